@@ -0,0 +1,220 @@
+/**
+ * Spending Digest Tests
+ * Tests period selection and the figures used by sendSpendingDigests
+ */
+
+const {
+  getDigestFrequency,
+  getDigestPeriod,
+  getExpenseDateKey,
+  calculateBudgetProgress,
+  calculateBalanceWithSettlements,
+  buildDigestSummary,
+} = require('../../src/digests/digestSummary');
+const {
+  generateEmailHtml,
+  generateEmailSubject,
+  TEMPLATE_IDS,
+} = require('../../src/email/mailersendService');
+
+const buildExpense = (overrides = {}) => ({
+  amount: 10,
+  categoryKey: 'food',
+  paidBy: 'u1',
+  date: '2026-10-14T12:00:00.000Z',
+  splitDetails: { user1Amount: 5, user2Amount: 5 },
+  ...overrides,
+});
+
+describe('spending digests', () => {
+  describe('getDigestFrequency', () => {
+    it('should only accept weekly and monthly', () => {
+      expect(getDigestFrequency({ spendingDigest: 'weekly' })).toBe('weekly');
+      expect(getDigestFrequency({ spendingDigest: 'monthly' })).toBe('monthly');
+      expect(getDigestFrequency({ spendingDigest: 'off' })).toBeNull();
+      expect(getDigestFrequency({ spendingDigest: false })).toBeNull();
+      expect(getDigestFrequency(undefined)).toBeNull();
+    });
+  });
+
+  describe('getDigestPeriod', () => {
+    it('should cover the previous Monday-Sunday on Mondays', () => {
+      expect(getDigestPeriod('weekly', '2026-10-19')).toEqual({
+        key: 'weekly:2026-10-12',
+        frequency: 'weekly',
+        startKey: '2026-10-12',
+        endKey: '2026-10-18',
+        month: 10,
+        year: 2026,
+      });
+      expect(getDigestPeriod('weekly', '2026-10-20')).toBeNull();
+    });
+
+    it('should cover the previous month on the 1st', () => {
+      expect(getDigestPeriod('monthly', '2026-01-01')).toEqual({
+        key: 'monthly:2025-12',
+        frequency: 'monthly',
+        startKey: '2025-12-01',
+        endKey: '2025-12-31',
+        month: 12,
+        year: 2025,
+      });
+      expect(getDigestPeriod('monthly', '2026-01-02')).toBeNull();
+    });
+  });
+
+  describe('getExpenseDateKey', () => {
+    it('should read ISO strings, Timestamps and createdAt', () => {
+      expect(getExpenseDateKey({ date: '2026-10-14T12:00:00.000Z' })).toBe('2026-10-14');
+      expect(getExpenseDateKey({ date: { toDate: () => new Date('2026-10-14T02:00:00Z') } }, 'America/New_York')).toBe('2026-10-13');
+      expect(getExpenseDateKey({ createdAt: { seconds: Date.UTC(2026, 9, 1, 12) / 1000 } })).toBe('2026-10-01');
+      expect(getExpenseDateKey({})).toBeNull();
+    });
+  });
+
+  describe('calculateBudgetProgress', () => {
+    it('should match the client result for the given month', () => {
+      const progress = calculateBudgetProgress(
+        { categoryBudgets: { food: 100, transport: 50 } },
+        [
+          { dateKey: '2026-10-02', categoryKey: 'food', amount: 90 },
+          { dateKey: '2026-10-05', categoryKey: 'food', amount: 20, primaryCurrencyAmount: 18 },
+          { dateKey: '2026-09-30', categoryKey: 'transport', amount: 40 },
+        ],
+        10,
+        2026
+      );
+
+      expect(progress.totalBudget).toBe(150);
+      expect(progress.totalSpent).toBe(108);
+      expect(progress.remaining).toBe(42);
+      expect(progress.categoryProgress.food.status).toBe('danger');
+      expect(progress.categoryProgress.transport.spent).toBe(0);
+    });
+
+    it('should include rollovers carried from last month', () => {
+      const progress = calculateBudgetProgress(
+        { categoryBudgets: { food: 100, transport: 50 }, categoryRollovers: { food: 25, transport: -80 } },
+        [{ dateKey: '2026-10-02', categoryKey: 'food', amount: 100 }],
+        10,
+        2026
+      );
+
+      expect(progress.totalBudget).toBe(125);
+      expect(progress.categoryProgress.food.percentage).toBe(80);
+      expect(progress.categoryProgress.transport.budget).toBe(0);
+    });
+
+    it('should return empty progress without a budget', () => {
+      expect(calculateBudgetProgress(null, [], 10, 2026).totalBudget).toBe(0);
+    });
+  });
+
+  describe('calculateBalanceWithSettlements', () => {
+    it('should net expenses against settlements and skip reversals', () => {
+      const balance = calculateBalanceWithSettlements(
+        [
+          buildExpense({ paidBy: 'u1', splitDetails: { user1Amount: 30, user2Amount: 30 } }),
+          buildExpense({ paidBy: 'u2', splitDetails: { user1Amount: 10, user2Amount: 10 } }),
+        ],
+        [
+          { settledBy: 'u2', amount: 5 },
+          { settledBy: 'u2', amount: 15, reversalId: 'r1' },
+        ],
+        'u1',
+        'u2'
+      );
+
+      expect(balance).toBe(15);
+    });
+  });
+
+  describe('buildDigestSummary', () => {
+    it('should summarise the period, top categories, budget, balance and unsettled expenses', () => {
+      const period = getDigestPeriod('weekly', '2026-10-19');
+      const summary = buildDigestSummary({
+        period,
+        expenses: [
+          buildExpense({ amount: 40, categoryKey: 'food' }),
+          buildExpense({ amount: 25, categoryKey: 'transport', date: '2026-10-18T12:00:00.000Z' }),
+          buildExpense({ amount: 15, categoryKey: 'fun', date: '2026-10-12T12:00:00.000Z' }),
+          buildExpense({ amount: 5, categoryKey: 'home', date: '2026-10-13T12:00:00.000Z' }),
+          buildExpense({ amount: 100, categoryKey: 'food', date: '2026-10-05T12:00:00.000Z', settledAt: '2026-10-06' }),
+          buildExpense({ amount: 60, categoryKey: 'food', date: '2026-10-19T12:00:00.000Z' }),
+        ],
+        settlements: [],
+        budget: { categoryBudgets: { food: 200, transport: 100 } },
+        categoryNames: { food: 'Food & Dining' },
+        user1Id: 'u1',
+        user2Id: 'u2',
+      });
+
+      expect(summary.totalSpent).toBe(85);
+      expect(summary.expenseCount).toBe(4);
+      expect(summary.topCategories).toEqual([
+        { key: 'food', name: 'Food & Dining', amount: 40 },
+        { key: 'transport', name: 'transport', amount: 25 },
+        { key: 'fun', name: 'fun', amount: 15 },
+      ]);
+      // Month to the end of the period; today's expense is not included
+      expect(summary.budgetProgress.totalSpent).toBe(165);
+      expect(summary.balance).toBe(30);
+      expect(summary.unsettledCount).toBe(5);
+    });
+
+    it('should leave out budget progress when there is no budget', () => {
+      const summary = buildDigestSummary({
+        period: getDigestPeriod('monthly', '2026-11-01'),
+        expenses: [],
+        settlements: [],
+        budget: null,
+        user1Id: 'u1',
+        user2Id: 'u2',
+      });
+
+      expect(summary.budgetProgress).toBeNull();
+      expect(summary.topCategories).toEqual([]);
+    });
+  });
+
+  describe('digest email', () => {
+    const variables = {
+      userName: 'Ana',
+      frequency: 'monthly',
+      periodLabel: 'septiembre de 2026',
+      totalSpent: '850,00 €',
+      expenseCount: '12',
+      topCategories: [{ name: 'Comida', amount: '400,00 €' }],
+      budgetTotal: '1.000,00 €',
+      budgetSpent: '850,00 €',
+      budgetPercent: '85',
+      budgetMonth: 'septiembre de 2026',
+      balanceText: 'Luca te debe 20,00 €',
+      unsettledCount: '3',
+    };
+
+    it('should render the digest in the recipient language', () => {
+      const html = generateEmailHtml(TEMPLATE_IDS.spendingDigest, variables, 'es');
+
+      expect(generateEmailSubject(TEMPLATE_IDS.spendingDigest, variables, 'es'))
+        .toBe('Tu resumen mensual de gastos: septiembre de 2026');
+      expect(html).toContain('Tu mes en gastos');
+      expect(html).toContain('Comida');
+      expect(html).toContain('850,00 € de 1.000,00 € usados en septiembre de 2026 (85%)');
+      expect(html).toContain('Luca te debe 20,00 €');
+    });
+
+    it('should skip the budget section and note empty periods', () => {
+      const html = generateEmailHtml(TEMPLATE_IDS.spendingDigest, {
+        ...variables,
+        frequency: 'weekly',
+        topCategories: [],
+        budgetTotal: null,
+      }, 'en');
+
+      expect(html).toContain('Your Week in Spending');
+      expect(html).toContain('No expenses were added in this period.');
+      expect(html).not.toContain('Budget Progress');
+    });
+  });
+});
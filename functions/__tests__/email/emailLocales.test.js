@@ -0,0 +1,119 @@
+/**
+ * Email Localization Tests
+ * Tests language resolution and the localized templates sent by mailersendService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  resolveEmailLocale,
+  translate,
+} = require('../../src/email/emailLocales');
+const {
+  generateEmailHtml,
+  generateEmailSubject,
+  TEMPLATE_IDS,
+} = require('../../src/email/mailersendService');
+
+const LOCALES_DIR = path.join(__dirname, '../../src/email/locales');
+
+const collectKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' ? collectKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('email localization', () => {
+  describe('locale files', () => {
+    it('should ship every app language with the same keys as English', () => {
+      expect(SUPPORTED_LANGUAGES.sort()).toEqual(['de', 'en', 'es', 'fr', 'it', 'pt']);
+
+      const englishKeys = collectKeys(require(path.join(LOCALES_DIR, 'en.json'))).sort();
+      fs.readdirSync(LOCALES_DIR).forEach((file) => {
+        const keys = collectKeys(require(path.join(LOCALES_DIR, file))).sort();
+        expect({ file, keys }).toEqual({ file, keys: englishKeys });
+      });
+    });
+  });
+
+  describe('normalizeLanguage', () => {
+    it('should reduce regional codes and fall back to English', () => {
+      expect(normalizeLanguage('pt-BR')).toBe('pt');
+      expect(normalizeLanguage('DE')).toBe('de');
+      expect(normalizeLanguage('ja')).toBe('en');
+      expect(normalizeLanguage(undefined)).toBe('en');
+    });
+  });
+
+  describe('resolveEmailLocale', () => {
+    it('should keep the couple currency locale only when it matches the language', () => {
+      expect(resolveEmailLocale('en', 'en-GB')).toBe('en-GB');
+      expect(resolveEmailLocale('de', 'en-US')).toBe('de-DE');
+      expect(resolveEmailLocale('fr', undefined)).toBe('fr-FR');
+      expect(resolveEmailLocale('ja', 'ja-JP')).toBe('en-US');
+    });
+  });
+
+  describe('translate', () => {
+    it('should interpolate placeholders', () => {
+      expect(translate('es', 'expenseAdded.subject', { partner: 'Ana' })).toBe('Ana ha añadido un gasto');
+    });
+
+    it('should fall back to English, then to the key', () => {
+      expect(translate('xx', 'budgetAlert.title')).toBe('Budget Alert');
+      expect(translate('de', 'missing.key')).toBe('missing.key');
+    });
+  });
+
+  describe('templates', () => {
+    const budgetVariables = {
+      userName: 'Ana',
+      percentUsed: '90',
+      budgetAmount: '1.000,00 €',
+      spentAmount: '900,00 €',
+      remainingAmount: '100,00 €',
+      period: 'März 2026',
+      unsubscribeUrl: 'https://example.com/unsubscribe',
+    };
+
+    it('should render the subject and body in the recipient language', () => {
+      const html = generateEmailHtml(TEMPLATE_IDS.monthlyBudgetAlert, budgetVariables, 'de');
+
+      expect(generateEmailSubject(TEMPLATE_IDS.monthlyBudgetAlert, budgetVariables, 'de'))
+        .toBe('Budget-Warnung (90 %) - März 2026');
+      expect(html).toContain('<html lang="de">');
+      expect(html).toContain('Hallo Ana,');
+      expect(html).toContain('Du hast 90 % deines Budgets für März 2026 verbraucht.');
+      expect(html).toContain('Abmelden');
+      expect(html).not.toContain('Budget Alert');
+    });
+
+    it('should default to English', () => {
+      const html = generateEmailHtml(TEMPLATE_IDS.monthlyBudgetAlert, { ...budgetVariables, period: 'March 2026' });
+
+      expect(html).toContain('<html lang="en">');
+      expect(html).toContain("You've used 90% of your budget for March 2026.");
+    });
+
+    it('should localize fallbacks for missing values', () => {
+      const html = generateEmailHtml(TEMPLATE_IDS.expenseAdded, {
+        partnerName: 'Luca',
+        amount: '12,00 €',
+        date: '15 marzo 2026',
+      }, 'it');
+
+      expect(html).toContain('Ciao,');
+      expect(html).toContain('Nessuna descrizione');
+      expect(html).toContain('Senza categoria');
+    });
+
+    it('should build subjects for every template', () => {
+      expect(generateEmailSubject(TEMPLATE_IDS.fiscalYearReminder, { fiscalYearLabel: 'FY2026', daysRemaining: '30' }, 'pt'))
+        .toBe('O ano fiscal FY2026 termina em 30 dias');
+      expect(generateEmailSubject(TEMPLATE_IDS.savingsMilestone, { milestone: '100', goalName: 'Vacances' }, 'fr'))
+        .toBe("Objectif d'épargne atteint : Vacances");
+      expect(generateEmailSubject(TEMPLATE_IDS.partnerInvitation, { senderName: 'Ana' }, 'es'))
+        .toBe('Ana te ha invitado a Dividela');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Recurrence Occurrence Table
+ *
+ * Expected occurrence dates shared by the client schedule
+ * (src/utils/__tests__/recurrence.test.js) and its server-side copy
+ * (functions/__tests__/recurring/recurrence.test.js), so the two stay in step.
+ * Each case maps occurrence indexes to date keys.
+ */
+
+module.exports = [
+  {
+    name: 'weekly across a month boundary',
+    rule: { frequency: 'weekly', startDate: '2026-01-29' },
+    occurrences: { 0: '2026-01-29', 1: '2026-02-05', 5: '2026-03-05' },
+  },
+  {
+    name: 'weekly with an interval',
+    rule: { frequency: 'weekly', interval: 2, startDate: '2026-01-01' },
+    occurrences: { 1: '2026-01-15' },
+  },
+  {
+    name: 'monthly clamped to short months without drifting',
+    rule: { frequency: 'monthly', startDate: '2026-01-31' },
+    occurrences: { 0: '2026-01-31', 1: '2026-02-28', 2: '2026-03-31', 3: '2026-04-30' },
+  },
+  {
+    name: 'monthly custom day after the start day',
+    rule: { frequency: 'monthly', startDate: '2026-01-03', dayOfMonth: 15 },
+    occurrences: { 0: '2026-01-15', 1: '2026-02-15' },
+  },
+  {
+    name: 'monthly custom day before the start day',
+    rule: { frequency: 'monthly', startDate: '2026-10-20', dayOfMonth: 5 },
+    occurrences: { 0: '2026-11-05', 1: '2026-12-05', 2: '2027-01-05' },
+  },
+  {
+    name: 'monthly custom day on the start day',
+    rule: { frequency: 'monthly', startDate: '2026-10-05', dayOfMonth: 5 },
+    occurrences: { 0: '2026-10-05', 1: '2026-11-05' },
+  },
+  {
+    name: 'monthly custom day before the start day at the end of the year',
+    rule: { frequency: 'monthly', interval: 2, startDate: '2026-12-20', dayOfMonth: 5 },
+    occurrences: { 0: '2027-01-05', 1: '2027-03-05' },
+  },
+  {
+    name: 'monthly custom day clamped in the start month',
+    rule: { frequency: 'monthly', startDate: '2026-02-28', dayOfMonth: 30 },
+    occurrences: { 0: '2026-02-28', 1: '2026-03-30' },
+  },
+  {
+    name: 'monthly with an interval over the year boundary',
+    rule: { frequency: 'monthly', interval: 3, startDate: '2026-11-10' },
+    occurrences: { 0: '2026-11-10', 1: '2027-02-10' },
+  },
+  {
+    name: 'yearly on a leap day',
+    rule: { frequency: 'yearly', startDate: '2028-02-29' },
+    occurrences: { 0: '2028-02-29', 1: '2029-02-28', 4: '2032-02-29' },
+  },
+];
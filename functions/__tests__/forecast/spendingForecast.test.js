@@ -0,0 +1,165 @@
+/**
+ * Spending Forecast Tests
+ * Tests the month-end projection behind the "on pace to exceed" alert
+ */
+
+const {
+  FORECAST_STATUS,
+  calculateMonthSpending,
+  getUpcomingRecurringAmounts,
+  projectMonthEnd,
+  buildMonthForecast,
+  getPaceAlertCategories,
+} = require('../../src/forecast/spendingForecast');
+const {
+  generateEmailHtml,
+  generateEmailSubject,
+  TEMPLATE_IDS,
+} = require('../../src/email/mailersendService');
+
+describe('spending forecast', () => {
+  describe('calculateMonthSpending', () => {
+    it('should sum one month up to a date', () => {
+      const expenses = [
+        { dateKey: '2026-10-02', amount: 20, categoryKey: 'food' },
+        { dateKey: '2026-10-09', amount: 30, primaryCurrencyAmount: 25, categoryKey: 'food' },
+        { dateKey: '2026-10-20', amount: 40, categoryKey: 'food' },
+        { dateKey: '2026-09-30', amount: 50, categoryKey: 'food' },
+        { dateKey: '2026-10-03', amount: 10 },
+      ];
+
+      expect(calculateMonthSpending(expenses, '2026-10', '2026-10-15')).toEqual({ food: 45, other: 10 });
+    });
+  });
+
+  describe('projectMonthEnd', () => {
+    it('should extrapolate the daily pace without history', () => {
+      expect(projectMonthEnd({ spent: 100, daysElapsed: 10, daysInMonth: 30 })).toBe(300);
+    });
+
+    it('should lean on history early in the month', () => {
+      // Pace alone says 600 by month end, history says 330
+      expect(projectMonthEnd({
+        spent: 60,
+        daysElapsed: 3,
+        daysInMonth: 30,
+        historicalAverage: 300,
+      })).toBe(357);
+    });
+
+    it('should not extrapolate recurring spending and add what is still scheduled', () => {
+      expect(projectMonthEnd({
+        spent: 150,
+        recurringSpent: 100,
+        daysElapsed: 10,
+        daysInMonth: 30,
+        upcomingRecurring: 100,
+      })).toBe(350);
+    });
+  });
+
+  describe('getUpcomingRecurringAmounts', () => {
+    it('should count occurrences not materialized yet for active series', () => {
+      const series = [
+        { status: 'active', frequency: 'weekly', interval: 1, startDate: '2026-10-01', occurrenceIndex: 3, amount: 10, categoryKey: 'food' },
+        { status: 'paused', frequency: 'weekly', interval: 1, startDate: '2026-10-01', occurrenceIndex: 0, amount: 99, categoryKey: 'food' },
+        {
+          status: 'active',
+          frequency: 'monthly',
+          interval: 1,
+          startDate: '2026-01-28',
+          dayOfMonth: 28,
+          occurrenceIndex: 9,
+          amount: 50,
+          categoryKey: 'bills',
+          skippedDates: [],
+        },
+      ];
+
+      // Weekly: Oct 22 and 29; monthly: Oct 28
+      expect(getUpcomingRecurringAmounts(series, '2026-10-31')).toEqual({ food: 20, bills: 50 });
+    });
+  });
+
+  describe('buildMonthForecast', () => {
+    const expenses = [
+      { date: '2026-10-05T12:00:00.000Z', amount: 200, categoryKey: 'dining' },
+      { date: '2026-10-06T12:00:00.000Z', amount: 50, categoryKey: 'groceries' },
+      { date: '2026-09-10T12:00:00.000Z', amount: 180, categoryKey: 'dining' },
+      { date: '2026-09-12T12:00:00.000Z', amount: 300, categoryKey: 'groceries' },
+    ];
+    const budget = {
+      month: 10,
+      year: 2026,
+      categoryBudgets: { dining: 250, groceries: 400 },
+    };
+
+    it('should flag categories projected over budget', () => {
+      const forecast = buildMonthForecast({
+        budget,
+        expenses,
+        history: [budget, { month: 9, year: 2026 }, { month: 11, year: 2026 }],
+        todayKey: '2026-10-10',
+      });
+
+      expect(forecast.daysElapsed).toBe(10);
+      expect(forecast.daysInMonth).toBe(31);
+      expect(forecast.categories.dining.status).toBe(FORECAST_STATUS.ON_PACE_TO_EXCEED);
+      expect(forecast.categories.dining.projected).toBeGreaterThan(250);
+      expect(forecast.categories.groceries.status).toBe(FORECAST_STATUS.ON_TRACK);
+      expect(forecast.flagged).toEqual(['dining']);
+    });
+
+    it('should include rollovers in the budget', () => {
+      const forecast = buildMonthForecast({
+        budget: { ...budget, categoryRollovers: { dining: 400 } },
+        expenses,
+        todayKey: '2026-10-10',
+      });
+
+      expect(forecast.categories.dining.budget).toBe(650);
+      expect(forecast.flagged).toEqual([]);
+    });
+  });
+
+  describe('getPaceAlertCategories', () => {
+    const forecast = { daysElapsed: 10, flagged: ['dining', 'travel'] };
+
+    it('should skip categories already alerted this month', () => {
+      expect(getPaceAlertCategories(forecast, { dining: { seconds: 1 } })).toEqual(['travel']);
+      expect(getPaceAlertCategories(forecast, undefined)).toEqual(['dining', 'travel']);
+    });
+
+    it('should wait until the pace means something', () => {
+      expect(getPaceAlertCategories({ ...forecast, daysElapsed: 3 }, {})).toEqual([]);
+    });
+  });
+
+  describe('pace alert email', () => {
+    const category = {
+      name: 'Dining',
+      spent: '$200.00',
+      projected: '$420.00',
+      budget: '$250.00',
+      overage: '$170.00',
+    };
+
+    it('should name the category in the subject and list projections', () => {
+      const variables = { userName: 'Ana', period: 'October 2026', categories: [category] };
+      const html = generateEmailHtml(TEMPLATE_IDS.budgetPaceAlert, variables, 'en');
+
+      expect(generateEmailSubject(TEMPLATE_IDS.budgetPaceAlert, variables, 'en'))
+        .toBe('Dining is on pace to exceed its budget - October 2026');
+      expect(html).toContain('On Pace to Exceed Your Budget');
+      expect(html).toContain('$420.00');
+      expect(html).toContain('About $170.00 over');
+    });
+
+    it('should count categories in the subject when there are several', () => {
+      const variables = { period: 'octubre de 2026', categories: [category, { ...category, name: 'Viajes' }] };
+
+      expect(generateEmailSubject(TEMPLATE_IDS.budgetPaceAlert, variables, 'es'))
+        .toBe('2 categorías van camino de superar su presupuesto - octubre de 2026');
+    });
+  });
+});
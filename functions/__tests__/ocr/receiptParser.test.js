@@ -238,6 +238,45 @@ describe('Receipt Parser', () => {
     });
   });
 
+  describe('detectCurrency', () => {
+    test('should detect currencies by their symbols', () => {
+      expect(receiptParser.detectCurrency('TOTAL ₹1,250.00').code).toBe('INR');
+      expect(receiptParser.detectCurrency('합계 ₩15,000').code).toBe('KRW');
+      expect(receiptParser.detectCurrency('RAZEM 45,50 zł').code).toBe('PLN');
+      expect(receiptParser.detectCurrency('Total CHF 12.50').code).toBe('CHF');
+      expect(receiptParser.detectCurrency('TOTAL KD 3.250').code).toBe('KWD');
+    });
+
+    test('should tell dollar variants apart', () => {
+      expect(receiptParser.detectCurrency('TOTAL CA$12.00').code).toBe('CAD');
+      expect(receiptParser.detectCurrency('TOTAL A$12.00').code).toBe('AUD');
+      expect(receiptParser.detectCurrency('TOTAL US$12.00').code).toBe('USD');
+      expect(receiptParser.detectCurrency('TOTAL MX$120.00').code).toBe('MXN');
+    });
+
+    test('should read 円 and full-width ￥ as yen and a plain ¥ as yuan', () => {
+      expect(receiptParser.detectCurrency('合計 1,280円').code).toBe('JPY');
+      expect(receiptParser.detectCurrency('合計 ￥1,280').code).toBe('JPY');
+      expect(receiptParser.detectCurrency('TOTAL ¥45.00').code).toBe('CNY');
+    });
+
+    test('should not detect a currency without one', () => {
+      expect(receiptParser.detectCurrency('TOTAL 12.00')).toEqual({ code: null, confidence: 0, detected: false });
+    });
+  });
+
+  describe('zero-decimal amounts', () => {
+    test('should read comma-grouped amounts without decimals', () => {
+      expect(receiptParser.extractAmount('TOTAL ￥2,560')).toBe(2560);
+      expect(receiptParser.extractAmount('TOTAL ₩15,000')).toBe(15000);
+    });
+
+    test('should still read a decimal comma', () => {
+      expect(receiptParser.parseAmountString('12,50')).toBe(12.5);
+      expect(receiptParser.parseAmountString('1.234,56')).toBe(1234.56);
+    });
+  });
+
   describe('suggestCategory', () => {
     test('should suggest "groceries" for grocery stores', () => {
       const merchant = 'WHOLE FOODS MARKET';
@@ -288,6 +327,59 @@ describe('Receipt Parser', () => {
     });
   });
 
+  describe('extractLineItems', () => {
+    test('should extract items with subtotal and tax', () => {
+      const result = receiptParser.extractLineItems(sampleReceipts.grocery_receipt);
+
+      expect(result.items).toHaveLength(5);
+      expect(result.items[0]).toEqual({
+        description: 'Organic Bananas',
+        quantity: 1,
+        unitPrice: 3.99,
+        price: 3.99,
+      });
+      expect(result.subtotal).toBe(21.62);
+      expect(result.tax).toBe(1.52);
+      expect(result.tip).toBeNull();
+    });
+
+    test('should read quantities and tip from restaurant receipts', () => {
+      const result = receiptParser.extractLineItems(sampleReceipts.restaurant_receipt);
+
+      expect(result.items[0]).toEqual({
+        description: 'Caesar Salad',
+        quantity: 2,
+        unitPrice: 9,
+        price: 18,
+      });
+      expect(result.items.reduce((sum, item) => sum + item.price, 0)).toBe(84);
+      expect(result.tip).toBe(15.12);
+    });
+
+    test('should not treat totals, payments or discounts as items', () => {
+      const text = `Apples 2.00
+Coupon -0.50
+TOTAL 1.50
+VISA 1.50
+CHANGE 0.00`;
+      const result = receiptParser.extractLineItems(text);
+
+      expect(result.items.map((item) => item.description)).toEqual(['Apples']);
+    });
+
+    test('should return no items when there are none', () => {
+      const result = receiptParser.extractLineItems(sampleReceipts.total_only_receipt);
+      expect(result.items).toEqual([]);
+    });
+
+    test('should be included in parseReceipt output', () => {
+      const parsed = receiptParser.parseReceipt(sampleReceipts.pharmacy_receipt);
+
+      expect(parsed.lineItems).toHaveLength(4);
+      expect(parsed.tax).toBe(3.2);
+    });
+  });
+
   describe('ReDoS Protection', () => {
     test('should handle very long input (10KB+) without hanging', () => {
       // Create a 15KB string that could cause ReDoS with unbounded quantifiers
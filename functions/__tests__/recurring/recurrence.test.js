@@ -0,0 +1,107 @@
+/**
+ * Recurring Expense Materialization Tests
+ * Tests due-occurrence calculation used by materializeRecurringExpenses
+ */
+
+const {
+  toDateKey,
+  getOccurrenceDate,
+  collectDueOccurrences,
+} = require('../../src/recurring/recurrence');
+const occurrenceTable = require('../fixtures/recurrenceOccurrences');
+
+describe('recurrence', () => {
+  describe('toDateKey', () => {
+    it('should format the date in the requested time zone', () => {
+      const date = new Date('2026-03-01T03:00:00Z');
+      expect(toDateKey(date, 'UTC')).toBe('2026-03-01');
+      expect(toDateKey(date, 'America/New_York')).toBe('2026-02-28');
+    });
+  });
+
+  describe('getOccurrenceDate', () => {
+    it('should match the client-side schedule for clamped monthly dates', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-01-31' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-02-28');
+      expect(getOccurrenceDate(rule, 2)).toBe('2026-03-31');
+    });
+
+    it('should step weekly rules across month boundaries', () => {
+      const rule = { frequency: 'weekly', startDate: '2026-01-29' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-02-05');
+    });
+
+    // Same table as the client-side schedule in src/utils/recurrence.js
+    it.each(occurrenceTable.map((entry) => [entry.name, entry]))('should match the shared schedule: %s', (name, { rule, occurrences }) => {
+      Object.entries(occurrences).forEach(([index, date]) => {
+        expect(getOccurrenceDate(rule, Number(index))).toBe(date);
+      });
+    });
+  });
+
+  describe('collectDueOccurrences', () => {
+    const baseSeries = {
+      frequency: 'monthly',
+      interval: 1,
+      startDate: '2026-01-05',
+      occurrenceIndex: 1,
+      status: 'active',
+      skippedDates: [],
+    };
+
+    it('should return occurrences due up to today', () => {
+      const result = collectDueOccurrences(baseSeries, '2026-03-10');
+
+      expect(result.dueDates).toEqual(['2026-02-05', '2026-03-05']);
+      expect(result.occurrenceIndex).toBe(3);
+      expect(result.nextOccurrenceDate).toBe('2026-04-05');
+      expect(result.status).toBe('active');
+    });
+
+    it('should include an occurrence due today', () => {
+      const result = collectDueOccurrences(baseSeries, '2026-02-05');
+      expect(result.dueDates).toEqual(['2026-02-05']);
+    });
+
+    it('should advance past skipped occurrences without creating them', () => {
+      const result = collectDueOccurrences(
+        { ...baseSeries, skippedDates: ['2026-02-05'] },
+        '2026-02-06'
+      );
+
+      expect(result.dueDates).toEqual([]);
+      expect(result.occurrenceIndex).toBe(2);
+      expect(result.nextOccurrenceDate).toBe('2026-03-05');
+    });
+
+    it('should end the series after the last occurrence', () => {
+      const result = collectDueOccurrences(
+        { ...baseSeries, maxOccurrences: 2 },
+        '2026-06-01'
+      );
+
+      expect(result.dueDates).toEqual(['2026-02-05']);
+      expect(result.status).toBe('ended');
+      expect(result.nextOccurrenceDate).toBeNull();
+    });
+
+    it('should respect the end date', () => {
+      const result = collectDueOccurrences(
+        { ...baseSeries, endDate: '2026-02-28' },
+        '2026-06-01'
+      );
+
+      expect(result.dueDates).toEqual(['2026-02-05']);
+      expect(result.status).toBe('ended');
+    });
+
+    it('should cap catch-up work per run', () => {
+      const weekly = { ...baseSeries, frequency: 'weekly', occurrenceIndex: 0 };
+      const result = collectDueOccurrences(weekly, '2030-01-01', 10);
+
+      expect(result.dueDates).toHaveLength(10);
+      expect(result.occurrenceIndex).toBe(10);
+      expect(result.nextOccurrenceDate).toBe(getOccurrenceDate(weekly, 10));
+    });
+  });
+});
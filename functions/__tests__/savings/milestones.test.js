@@ -0,0 +1,52 @@
+/**
+ * Savings Goal Milestone Tests
+ * Tests milestone detection used by checkSavingsGoalMilestone
+ */
+
+const {
+  getReachedMilestones,
+  getPendingMilestones,
+} = require('../../src/savings/milestones');
+
+describe('savings milestones', () => {
+  describe('getReachedMilestones', () => {
+    it('should return every milestone at or below the progress', () => {
+      expect(getReachedMilestones(500, 1000)).toEqual([25, 50]);
+      expect(getReachedMilestones(1000, 1000)).toEqual([25, 50, 75, 100]);
+      expect(getReachedMilestones(1500, 1000)).toEqual([25, 50, 75, 100]);
+    });
+
+    it('should not round progress up to a milestone', () => {
+      expect(getReachedMilestones(246, 1000)).toEqual([]);
+      expect(getReachedMilestones(250, 1000)).toEqual([25]);
+    });
+
+    it('should handle empty or invalid goals', () => {
+      expect(getReachedMilestones(0, 1000)).toEqual([]);
+      expect(getReachedMilestones(100, 0)).toEqual([]);
+      expect(getReachedMilestones(undefined, undefined)).toEqual([]);
+    });
+  });
+
+  describe('getPendingMilestones', () => {
+    it('should skip milestones already recorded on the goal', () => {
+      const goal = { currentAmount: 800, targetAmount: 1000, reachedMilestones: [25, 50] };
+      expect(getPendingMilestones(goal)).toEqual([75]);
+    });
+
+    it('should return several milestones when a large contribution crosses them', () => {
+      const goal = { currentAmount: 1000, targetAmount: 1000, reachedMilestones: [25] };
+      expect(getPendingMilestones(goal)).toEqual([50, 75, 100]);
+    });
+
+    it('should not re-announce after progress dips and recovers', () => {
+      const goal = { currentAmount: 600, targetAmount: 1000, reachedMilestones: [25, 50, 75] };
+      expect(getPendingMilestones(goal)).toEqual([]);
+    });
+
+    it('should treat goals without tracking as having reached nothing', () => {
+      expect(getPendingMilestones({ currentAmount: 300, targetAmount: 1000 })).toEqual([25]);
+      expect(getPendingMilestones(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Settlement Plan Reminder Tests
+ * Tests reminder selection used by sendSettlementPlanReminders
+ */
+
+const {
+  addDaysToKey,
+  getInstalmentToRemind,
+} = require('../../src/settlements/reminderSchedule');
+
+const buildPlan = (overrides = {}) => ({
+  status: 'active',
+  reminderDaysBefore: 2,
+  lastReminderDate: null,
+  instalments: [
+    { index: 0, dueDate: '2026-03-01', amount: 100, status: 'paid' },
+    { index: 1, dueDate: '2026-04-01', amount: 100, status: 'pending' },
+    { index: 2, dueDate: '2026-05-01', amount: 100, status: 'pending' },
+  ],
+  ...overrides,
+});
+
+describe('settlement plan reminders', () => {
+  describe('addDaysToKey', () => {
+    it('should move across month and year boundaries', () => {
+      expect(addDaysToKey('2026-03-30', 3)).toBe('2026-04-02');
+      expect(addDaysToKey('2026-01-01', -1)).toBe('2025-12-31');
+    });
+  });
+
+  describe('getInstalmentToRemind', () => {
+    it('should remind about the next pending instalment within the reminder window', () => {
+      expect(getInstalmentToRemind(buildPlan(), '2026-03-30')).toEqual(
+        expect.objectContaining({ index: 1, dueDate: '2026-04-01' })
+      );
+    });
+
+    it('should not remind before the reminder window opens', () => {
+      expect(getInstalmentToRemind(buildPlan(), '2026-03-29')).toBeNull();
+    });
+
+    it('should not remind twice for the same instalment', () => {
+      const plan = buildPlan({ lastReminderDate: '2026-04-01' });
+      expect(getInstalmentToRemind(plan, '2026-04-01')).toBeNull();
+    });
+
+    it('should still remind about an overdue instalment that was never announced', () => {
+      expect(getInstalmentToRemind(buildPlan(), '2026-04-10')).toEqual(
+        expect.objectContaining({ index: 1 })
+      );
+    });
+
+    it('should skip cancelled and completed plans', () => {
+      expect(getInstalmentToRemind(buildPlan({ status: 'cancelled' }), '2026-04-01')).toBeNull();
+      expect(getInstalmentToRemind(buildPlan({ status: 'completed' }), '2026-04-01')).toBeNull();
+      expect(getInstalmentToRemind(null, '2026-04-01')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Trash Purge Tests
+ * Tests the retention rules and the per-expense purge used by purgeDeletedExpenses
+ */
+
+const {
+  TRASH_RETENTION_DAYS,
+  isDeletedExpense,
+  excludeDeletedExpenses,
+  getPurgeCutoff,
+  getStoragePathFromUrl,
+} = require('../../src/trash/trashRetention');
+const { purgeExpense } = require('../../src/trash/purgeDeletedExpenses');
+
+const RECEIPT_URL = 'https://firebasestorage.googleapis.com/v0/b/test-project.appspot.com/o/receipts%2Fcouple1%2Fu1_123.jpg?alt=media&token=abc';
+
+/**
+ * Minimal Firestore/Storage fakes: query results are keyed by collection name
+ */
+const buildFakes = ({ sharedExpenses = [], receiptMetadata = null } = {}) => {
+  const deletedFiles = [];
+  const metadataRef = { delete: jest.fn() };
+
+  const buildQuery = (docs) => {
+    const queryRef = {
+      where: () => queryRef,
+      limit: () => queryRef,
+      get: async () => ({ empty: docs.length === 0, docs }),
+    };
+    return queryRef;
+  };
+
+  const db = {
+    collection: (name) => (name === 'receipts'
+      ? buildQuery(receiptMetadata ? [{ data: () => receiptMetadata, ref: metadataRef }] : [])
+      : buildQuery(sharedExpenses)),
+  };
+  const bucket = {
+    file: (path) => ({
+      delete: async () => {
+        deletedFiles.push(path);
+      },
+    }),
+  };
+
+  return { db, bucket, deletedFiles, metadataRef };
+};
+
+const buildExpenseDoc = (data) => ({
+  id: 'expense1',
+  updateTime: 'update-time',
+  data: () => data,
+  ref: { delete: jest.fn() },
+});
+
+describe('trash purge', () => {
+  describe('isDeletedExpense', () => {
+    it('should match the client rule for trashed and restored expenses', () => {
+      expect(isDeletedExpense({ deletedAt: new Date() })).toBe(true);
+      expect(isDeletedExpense({ deletedAt: null, deletedBy: 'u1' })).toBe(true);
+      expect(isDeletedExpense({ deletedAt: null, deletedBy: null })).toBe(false);
+      expect(excludeDeletedExpenses([{ amount: 1 }, { amount: 2, deletedBy: 'u1' }])).toEqual([{ amount: 1 }]);
+    });
+  });
+
+  describe('getPurgeCutoff', () => {
+    it('should go back the retention period', () => {
+      const now = new Date('2026-10-31T03:00:00Z');
+      expect(TRASH_RETENTION_DAYS).toBe(30);
+      expect(getPurgeCutoff(now).toISOString()).toBe('2026-10-01T03:00:00.000Z');
+    });
+  });
+
+  describe('getStoragePathFromUrl', () => {
+    it('should decode Firebase download URLs', () => {
+      expect(getStoragePathFromUrl(RECEIPT_URL)).toBe('receipts/couple1/u1_123.jpg');
+    });
+
+    it('should read gs:// URLs', () => {
+      expect(getStoragePathFromUrl('gs://test-project.appspot.com/receipts/a.jpg')).toBe('receipts/a.jpg');
+    });
+
+    it('should ignore anything else', () => {
+      expect(getStoragePathFromUrl('https://example.com/receipt.jpg')).toBeNull();
+      expect(getStoragePathFromUrl(null)).toBeNull();
+    });
+  });
+
+  describe('purgeExpense', () => {
+    it('should delete the expense only if it is unchanged since the query', async () => {
+      const { db, bucket } = buildFakes();
+      const expenseDoc = buildExpenseDoc({ coupleId: 'couple1', deletedAt: new Date() });
+
+      const receiptDeleted = await purgeExpense(db, bucket, expenseDoc);
+
+      expect(expenseDoc.ref.delete).toHaveBeenCalledWith({ lastUpdateTime: 'update-time' });
+      expect(receiptDeleted).toBe(false);
+    });
+
+    it('should delete an orphaned receipt, its thumbnail and metadata', async () => {
+      const { db, bucket, deletedFiles, metadataRef } = buildFakes({
+        receiptMetadata: {
+          storagePath: 'receipts/couple1/u1_123.jpg',
+          thumbnailPath: 'receipts/couple1/thumbs/u1_123.jpg',
+        },
+      });
+      const expenseDoc = buildExpenseDoc({ coupleId: 'couple1', receiptUrl: RECEIPT_URL });
+
+      const receiptDeleted = await purgeExpense(db, bucket, expenseDoc);
+
+      expect(receiptDeleted).toBe(true);
+      expect(deletedFiles).toEqual(['receipts/couple1/u1_123.jpg', 'receipts/couple1/thumbs/u1_123.jpg']);
+      expect(metadataRef.delete).toHaveBeenCalled();
+    });
+
+    it('should fall back to the path in the URL without metadata', async () => {
+      const { db, bucket, deletedFiles } = buildFakes();
+      const expenseDoc = buildExpenseDoc({ coupleId: 'couple1', receiptUrl: RECEIPT_URL });
+
+      await purgeExpense(db, bucket, expenseDoc);
+
+      expect(deletedFiles).toEqual(['receipts/couple1/u1_123.jpg']);
+    });
+
+    it('should keep a receipt another expense still uses', async () => {
+      const { db, bucket, deletedFiles } = buildFakes({ sharedExpenses: [{ id: 'expense2' }] });
+      const expenseDoc = buildExpenseDoc({ coupleId: 'couple1', receiptUrl: RECEIPT_URL });
+
+      const receiptDeleted = await purgeExpense(db, bucket, expenseDoc);
+
+      expect(receiptDeleted).toBe(false);
+      expect(deletedFiles).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Spending Digest Summary
+ *
+ * Builds the figures for the weekly/monthly spending digest. Budget progress
+ * and the partner balance are server-side copies of the client's
+ * budgetService.calculateBudgetProgress and
+ * calculations.calculateBalanceWithSettlements, so the digest shows the same
+ * numbers as the app.
+ */
+
+const { toDateKey } = require('../recurring/recurrence');
+const { addDaysToKey } = require('../settlements/reminderSchedule');
+
+const DIGEST_FREQUENCIES = ['weekly', 'monthly'];
+
+const TOP_CATEGORY_COUNT = 3;
+
+/**
+ * Read the digest frequency from notification preferences
+ * Anything other than 'weekly' or 'monthly' (including the `false` written by
+ * the unsubscribe link) means the digest is off.
+ *
+ * @param {Object} notifications - coupleSettings.notifications
+ * @returns {string|null} 'weekly', 'monthly' or null
+ */
+function getDigestFrequency(notifications) {
+  const frequency = notifications?.spendingDigest;
+  return DIGEST_FREQUENCIES.includes(frequency) ? frequency : null;
+}
+
+/**
+ * Get the period a digest sent today should cover
+ *
+ * Weekly digests go out on Mondays and cover the previous Monday-Sunday;
+ * monthly digests go out on the 1st and cover the previous month.
+ *
+ * @param {string} frequency - 'weekly' or 'monthly'
+ * @param {string} todayKey - Today's 'YYYY-MM-DD' key
+ * @returns {Object|null} { key, frequency, startKey, endKey, month, year }, or null when no digest is due
+ */
+function getDigestPeriod(frequency, todayKey) {
+  const [year, month, day] = todayKey.split('-').map(Number);
+
+  if (frequency === 'weekly') {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (weekday !== 1) {
+      return null;
+    }
+
+    const startKey = addDaysToKey(todayKey, -7);
+    const endKey = addDaysToKey(todayKey, -1);
+    const [endYear, endMonth] = endKey.split('-').map(Number);
+
+    return {
+      key: `weekly:${startKey}`,
+      frequency,
+      startKey,
+      endKey,
+      month: endMonth,
+      year: endYear,
+    };
+  }
+
+  if (frequency === 'monthly') {
+    if (day !== 1) {
+      return null;
+    }
+
+    const endKey = addDaysToKey(todayKey, -1);
+    const [endYear, endMonth] = endKey.split('-').map(Number);
+    const monthKey = endKey.slice(0, 7);
+
+    return {
+      key: `monthly:${monthKey}`,
+      frequency,
+      startKey: `${monthKey}-01`,
+      endKey,
+      month: endMonth,
+      year: endYear,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get an expense's date key from its `date` (ISO string, Timestamp or Date),
+ * falling back to `createdAt`
+ *
+ * @param {Object} expense - Expense document data
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} 'YYYY-MM-DD' key
+ */
+function getExpenseDateKey(expense, timeZone = 'UTC') {
+  const value = expense.date || expense.createdAt;
+  if (!value) {
+    return null;
+  }
+
+  let date;
+  if (typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (value.seconds !== undefined || value._seconds !== undefined) {
+    date = new Date((value.seconds ?? value._seconds) * 1000);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : toDateKey(date, timeZone);
+}
+
+/**
+ * Amount in the couple's primary currency
+ */
+function getExpenseAmount(expense) {
+  return expense.primaryCurrencyAmount || expense.amount || 0;
+}
+
+/**
+ * Calculate budget progress for a month
+ * Same result shape as the client's budgetService.calculateBudgetProgress
+ *
+ * @param {Object} budget - Budget document ({ categoryBudgets, categoryRollovers })
+ * @param {Array} expenses - Expenses with a precomputed `dateKey`
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year
+ * @returns {Object} { totalBudget, totalSpent, remaining, categoryProgress }
+ */
+function calculateBudgetProgress(budget, expenses, month, year) {
+  if (!budget || !budget.categoryBudgets) {
+    return {
+      totalBudget: 0,
+      totalSpent: 0,
+      remaining: 0,
+      categoryProgress: {},
+    };
+  }
+
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  const spending = {};
+
+  expenses.forEach((expense) => {
+    if (expense.dateKey && expense.dateKey.startsWith(monthKey)) {
+      const categoryKey = expense.categoryKey || expense.category || 'other';
+      spending[categoryKey] = (spending[categoryKey] || 0) + getExpenseAmount(expense);
+    }
+  });
+
+  const categoryProgress = {};
+  let totalBudget = 0;
+  let totalSpent = 0;
+
+  Object.entries(budget.categoryBudgets).forEach(([key, baseAmount]) => {
+    // Includes last month's rollover, never below zero (budgetRollover.js)
+    const budgetAmount = Math.max(0, baseAmount + (budget.categoryRollovers?.[key] || 0));
+    const spent = spending[key] || 0;
+    const percentage = budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0;
+
+    totalBudget += budgetAmount;
+    totalSpent += spent;
+
+    categoryProgress[key] = {
+      budget: budgetAmount,
+      spent,
+      remaining: budgetAmount - spent,
+      percentage,
+      status: percentage >= 100 ? 'danger' : percentage >= 80 ? 'warning' : 'normal',
+    };
+  });
+
+  return {
+    totalBudget,
+    totalSpent,
+    remaining: totalBudget - totalSpent,
+    categoryProgress,
+  };
+}
+
+/**
+ * Calculate the balance between partners from expenses and settlements
+ *
+ * Positive balance = user2 owes user1
+ * Negative balance = user1 owes user2
+ *
+ * @param {Array} expenses - Expense documents
+ * @param {Array} settlements - Settlement documents
+ * @param {string} user1Id - First partner
+ * @param {string} user2Id - Second partner
+ * @returns {number} Balance
+ */
+function calculateBalanceWithSettlements(expenses, settlements, user1Id, user2Id) {
+  let balance = 0;
+
+  expenses.forEach((expense) => {
+    const splitDetails = expense.splitDetails;
+    if (!splitDetails || typeof splitDetails.user2Amount !== 'number') {
+      return;
+    }
+
+    if (expense.paidBy === user1Id) {
+      balance += splitDetails.user2Amount;
+    } else if (expense.paidBy === user2Id) {
+      balance -= splitDetails.user2Amount;
+    }
+  });
+
+  settlements.forEach((settlement) => {
+    // Reversed settlements stay on record but no longer move the balance
+    if (settlement.reversalId || typeof settlement.amount !== 'number' || settlement.amount <= 0) {
+      return;
+    }
+
+    if (settlement.settledBy === user1Id) {
+      balance += settlement.amount;
+    } else if (settlement.settledBy === user2Id) {
+      balance -= settlement.amount;
+    }
+  });
+
+  return balance;
+}
+
+/**
+ * Build the digest figures for one couple
+ *
+ * @param {Object} params
+ * @param {Object} params.period - Period from getDigestPeriod
+ * @param {Array} params.expenses - All of the couple's expenses
+ * @param {Array} params.settlements - All of the couple's settlements
+ * @param {Object|null} params.budget - Budget for the period's month
+ * @param {Object} params.categoryNames - { categoryKey: name }
+ * @param {string} params.user1Id - First partner
+ * @param {string} params.user2Id - Second partner
+ * @param {string} params.timeZone - Time zone used for expense dates
+ * @returns {Object} Digest summary
+ */
+function buildDigestSummary({
+  period,
+  expenses,
+  settlements,
+  budget,
+  categoryNames = {},
+  user1Id,
+  user2Id,
+  timeZone = 'UTC',
+}) {
+  const datedExpenses = expenses.map((expense) => ({
+    ...expense,
+    dateKey: getExpenseDateKey(expense, timeZone),
+  }));
+
+  const periodExpenses = datedExpenses.filter((expense) => (
+    expense.dateKey && expense.dateKey >= period.startKey && expense.dateKey <= period.endKey
+  ));
+
+  const spendingByCategory = {};
+  let totalSpent = 0;
+
+  periodExpenses.forEach((expense) => {
+    const categoryKey = expense.categoryKey || expense.category || 'other';
+    const amount = getExpenseAmount(expense);
+    spendingByCategory[categoryKey] = (spendingByCategory[categoryKey] || 0) + amount;
+    totalSpent += amount;
+  });
+
+  const topCategories = Object.entries(spendingByCategory)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, TOP_CATEGORY_COUNT)
+    .map(([key, amount]) => ({ key, name: categoryNames[key] || key, amount }));
+
+  // Budget progress as of the end of the period
+  const progressExpenses = datedExpenses.filter((expense) => expense.dateKey && expense.dateKey <= period.endKey);
+  const budgetProgress = calculateBudgetProgress(budget, progressExpenses, period.month, period.year);
+
+  return {
+    totalSpent,
+    expenseCount: periodExpenses.length,
+    topCategories,
+    budgetProgress: budgetProgress.totalBudget > 0 ? budgetProgress : null,
+    balance: calculateBalanceWithSettlements(expenses, settlements, user1Id, user2Id),
+    unsettledCount: expenses.filter((expense) => !expense.settledAt).length,
+  };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  getDigestFrequency,
+  getDigestPeriod,
+  getExpenseDateKey,
+  calculateBudgetProgress,
+  calculateBalanceWithSettlements,
+  buildDigestSummary,
+};
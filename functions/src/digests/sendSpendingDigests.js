@@ -0,0 +1,297 @@
+/**
+ * Spending Digests
+ *
+ * Scheduled Cloud Function that sends each couple a weekly or monthly
+ * spending digest by email and push, depending on
+ * `coupleSettings.notifications.spendingDigest` ('off', 'weekly' or
+ * 'monthly'). The key of the last digested period is stored in
+ * `lastDigestPeriod` on the settings document so a retried run never sends
+ * the same digest twice.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { toDateKey } = require('../recurring/recurrence');
+const { excludeDeletedExpenses } = require('../trash/trashRetention');
+const {
+  sendEmail,
+  getUserEmail,
+  getUserEmailProfile,
+  logEmailSent,
+  generateUnsubscribeUrl,
+  formatCurrency,
+  TEMPLATE_IDS,
+} = require('../email/mailersendService');
+const {
+  resolveEmailLocale,
+  getTranslator,
+  formatMonthYear,
+  formatDateKeyRange,
+} = require('../email/emailLocales');
+const {
+  isPushEnabled,
+  sendPushToUser,
+  logPushSent,
+} = require('../push/pushNotificationService');
+const {
+  getDigestFrequency,
+  getDigestPeriod,
+  buildDigestSummary,
+} = require('./digestSummary');
+
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+/**
+ * Load everything the digest needs for one couple
+ */
+async function loadDigestData(db, coupleId, period) {
+  const [expensesSnapshot, settlementsSnapshot, budgetDoc, categoriesSnapshot] = await Promise.all([
+    db.collection('expenses').where('coupleId', '==', coupleId).get(),
+    db.collection('settlements').where('coupleId', '==', coupleId).get(),
+    db.collection('budgets').doc(`${coupleId}_${period.year}_${period.month}`).get(),
+    db.collection('categories').where('coupleId', '==', coupleId).get(),
+  ]);
+
+  const categoryNames = {};
+  categoriesSnapshot.forEach((doc) => {
+    const category = doc.data();
+    if (category.key && category.name) {
+      categoryNames[category.key] = category.name;
+    }
+  });
+
+  return {
+    expenses: excludeDeletedExpenses(expensesSnapshot.docs.map((doc) => doc.data())),
+    settlements: settlementsSnapshot.docs.map((doc) => doc.data()),
+    budget: budgetDoc.exists ? budgetDoc.data() : null,
+    categoryNames,
+  };
+}
+
+/**
+ * Describe the balance from one partner's point of view
+ *
+ * @param {number} balance - Positive when user2 owes user1
+ * @param {boolean} isUser1 - Whether the recipient is user1
+ */
+function describeBalance(balance, isUser1, partnerName, format, t) {
+  const owed = isUser1 ? balance : -balance;
+
+  if (Math.abs(owed) < 0.01) {
+    return t('spendingDigest.balanceSettled');
+  }
+
+  return owed > 0
+    ? t('spendingDigest.balanceOwesYou', { partner: partnerName, amount: format(owed) })
+    : t('spendingDigest.balanceYouOwe', { partner: partnerName, amount: format(-owed) });
+}
+
+/**
+ * Send one partner their digest by email and push
+ */
+async function sendDigestToPartner({ coupleId, userId, partnerId, isUser1, period, summary, settings, notifications }) {
+  const currency = settings.budgetPreferences?.budgetCurrency || 'USD';
+  const { displayName: userName, language } = await getUserEmailProfile(userId);
+  const { displayName: partnerDisplayName } = await getUserEmailProfile(partnerId);
+
+  const t = getTranslator(language);
+  const locale = resolveEmailLocale(language, settings.budgetPreferences?.currencyLocale);
+  const format = (amount) => formatCurrency(amount, currency, locale);
+  const partnerName = partnerDisplayName || t('spendingDigest.defaultPartner');
+  const balanceText = describeBalance(summary.balance, isUser1, partnerName, format, t);
+
+  if (notifications.emailEnabled !== false) {
+    try {
+      const userEmail = await getUserEmail(userId);
+
+      if (userEmail) {
+        const { budgetProgress } = summary;
+        const result = await sendEmail({
+          to: userEmail,
+          toName: userName,
+          templateId: TEMPLATE_IDS.spendingDigest,
+          language,
+          variables: {
+            userName,
+            frequency: period.frequency,
+            periodLabel: period.frequency === 'monthly'
+              ? formatMonthYear(period.month, period.year, locale)
+              : formatDateKeyRange(period.startKey, period.endKey, locale),
+            totalSpent: format(summary.totalSpent),
+            expenseCount: summary.expenseCount.toString(),
+            topCategories: summary.topCategories.map((category) => ({
+              name: category.name,
+              amount: format(category.amount),
+            })),
+            budgetTotal: budgetProgress ? format(budgetProgress.totalBudget) : null,
+            budgetSpent: budgetProgress ? format(budgetProgress.totalSpent) : null,
+            budgetPercent: budgetProgress
+              ? Math.round((budgetProgress.totalSpent / budgetProgress.totalBudget) * 100).toString()
+              : null,
+            budgetMonth: formatMonthYear(period.month, period.year, locale),
+            balanceText,
+            unsettledCount: summary.unsettledCount.toString(),
+            unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'spendingDigest'),
+          },
+        });
+
+        await logEmailSent({
+          coupleId,
+          userId,
+          type: 'spendingDigest',
+          messageId: result.messageId,
+          success: true,
+        });
+      } else {
+        console.log(`No email found for user ${userId}`);
+      }
+    } catch (error) {
+      console.error(`Error sending digest email to user ${userId}:`, error);
+      await logEmailSent({
+        coupleId,
+        userId,
+        type: 'spendingDigest',
+        messageId: null,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  try {
+    const pushEnabled = await isPushEnabled(coupleId, 'spendingDigest');
+    if (pushEnabled) {
+      const pushTitle = period.frequency === 'monthly'
+        ? t('spendingDigest.pushTitleMonthly')
+        : t('spendingDigest.pushTitleWeekly');
+      const pushBody = t('spendingDigest.pushBody', {
+        amount: format(summary.totalSpent),
+        count: summary.expenseCount,
+        balance: balanceText,
+      });
+
+      const pushResult = await sendPushToUser(userId, pushTitle, pushBody, {
+        screen: 'HomeTab',
+        type: 'spendingDigest',
+      });
+
+      await logPushSent({
+        coupleId,
+        userId,
+        type: 'spendingDigest',
+        success: pushResult.success,
+        sent: pushResult.sent,
+        error: pushResult.error,
+      });
+    }
+  } catch (pushError) {
+    console.error(`Error sending digest push to user ${userId}:`, pushError);
+  }
+}
+
+/**
+ * Send the digest for one couple if one is due today
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} settingsDoc - coupleSettings document
+ * @param {string} todayKey - Today's date key
+ * @returns {Promise<boolean>} Whether a digest was sent
+ */
+async function sendCoupleDigest(settingsDoc, todayKey) {
+  const db = admin.firestore();
+  const coupleId = settingsDoc.id;
+  const settings = settingsDoc.data();
+  const notifications = settings.notifications || {};
+
+  const frequency = getDigestFrequency(notifications);
+  const period = frequency ? getDigestPeriod(frequency, todayKey) : null;
+
+  if (!period || settings.lastDigestPeriod === period.key) {
+    return false;
+  }
+
+  const coupleDoc = await db.collection('couples').doc(coupleId).get();
+  const couple = coupleDoc.data();
+
+  if (!couple || !couple.user1Id) {
+    console.log(`Couple not found: ${coupleId}`);
+    return false;
+  }
+
+  // Record first so a failed send is not repeated by the next run
+  await settingsDoc.ref.update({
+    lastDigestPeriod: period.key,
+    lastDigestAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const data = await loadDigestData(db, coupleId, period);
+  const summary = buildDigestSummary({
+    period,
+    ...data,
+    user1Id: couple.user1Id,
+    user2Id: couple.user2Id,
+    timeZone: SCHEDULE_TIME_ZONE,
+  });
+
+  const partners = [
+    { userId: couple.user1Id, partnerId: couple.user2Id, isUser1: true },
+    { userId: couple.user2Id, partnerId: couple.user1Id, isUser1: false },
+  ].filter((partner) => partner.userId);
+
+  for (const partner of partners) {
+    await sendDigestToPartner({
+      coupleId,
+      ...partner,
+      period,
+      summary,
+      settings,
+      notifications,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Send weekly (Mondays) and monthly (1st) spending digests
+ * Runs daily at 8 AM Eastern Time
+ */
+exports.sendSpendingDigests = onSchedule(
+  {
+    schedule: '0 8 * * *', // Every day at 8 AM
+    timeZone: SCHEDULE_TIME_ZONE,
+    retryCount: 1,
+  },
+  async () => {
+    console.log('Running spending digests...');
+
+    const db = admin.firestore();
+    const todayKey = toDateKey(new Date(), SCHEDULE_TIME_ZONE);
+
+    try {
+      const settingsSnapshot = await db
+        .collection('coupleSettings')
+        .where('notifications.spendingDigest', 'in', ['weekly', 'monthly'])
+        .get();
+
+      let digestsSent = 0;
+
+      for (const settingsDoc of settingsSnapshot.docs) {
+        try {
+          if (await sendCoupleDigest(settingsDoc, todayKey)) {
+            digestsSent++;
+          }
+        } catch (error) {
+          console.error(`Error sending digest for couple ${settingsDoc.id}:`, error);
+        }
+      }
+
+      console.log(`Spending digests completed: ${digestsSent} digest(s) sent`);
+      return null;
+    } catch (error) {
+      console.error('Error in spending digests:', error);
+      return null;
+    }
+  }
+);
+
+exports.sendCoupleDigest = sendCoupleDigest;
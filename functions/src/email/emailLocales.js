@@ -0,0 +1,149 @@
+/**
+ * Email Localization
+ *
+ * Email strings for the languages the app ships (see src/i18n/locales).
+ * The recipient's language is the one LanguageContext stores on their
+ * `users` document; missing languages and missing keys fall back to English.
+ */
+
+const STRINGS = {
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  fr: require('./locales/fr.json'),
+  de: require('./locales/de.json'),
+  pt: require('./locales/pt.json'),
+  it: require('./locales/it.json'),
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Locale used for number and date formatting when the couple's currency
+// locale is for a different language than the recipient's
+const LANGUAGE_LOCALES = {
+  en: 'en-US',
+  es: 'es-ES',
+  fr: 'fr-FR',
+  de: 'de-DE',
+  pt: 'pt-BR',
+  it: 'it-IT',
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(STRINGS);
+
+/**
+ * Normalize a stored language code ("pt-BR", "DE") to a supported language
+ * @param {string} language - Language code
+ * @returns {string} Supported language code, English when unknown
+ */
+function normalizeLanguage(language) {
+  if (typeof language !== 'string') {
+    return DEFAULT_LANGUAGE;
+  }
+
+  const code = language.trim().toLowerCase().split(/[-_]/)[0];
+  return STRINGS[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Pick the locale for formatting amounts and dates in an email
+ *
+ * Keeps the couple's regional currency locale (e.g. "en-GB") when it matches
+ * the recipient's language, otherwise uses the language's default locale.
+ *
+ * @param {string} language - Recipient language
+ * @param {string} currencyLocale - Couple's budgetPreferences.currencyLocale
+ * @returns {string} BCP 47 locale
+ */
+function resolveEmailLocale(language, currencyLocale) {
+  const code = normalizeLanguage(language);
+
+  if (typeof currencyLocale === 'string' && currencyLocale.toLowerCase().split(/[-_]/)[0] === code) {
+    return currencyLocale;
+  }
+
+  return LANGUAGE_LOCALES[code];
+}
+
+function lookup(strings, key) {
+  return key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    strings
+  );
+}
+
+/**
+ * Translate an email string key, replacing {{placeholders}}
+ * @param {string} language - Recipient language
+ * @param {string} key - Dotted key, e.g. "budgetAlert.title"
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated string (English, then the key, when missing)
+ */
+function translate(language, key, params = {}) {
+  let value = lookup(STRINGS[normalizeLanguage(language)], key);
+
+  if (typeof value !== 'string') {
+    value = lookup(STRINGS[DEFAULT_LANGUAGE], key);
+  }
+
+  if (typeof value !== 'string') {
+    return key;
+  }
+
+  return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Get a translator bound to one language
+ * @param {string} language - Recipient language
+ * @returns {Function} (key, params) => string
+ */
+function getTranslator(language) {
+  const code = normalizeLanguage(language);
+  return (key, params) => translate(code, key, params);
+}
+
+/**
+ * Format a month and year ("March 2026", "marzo de 2026")
+ * @param {number} month - Month number (1-12)
+ * @param {number} year - Full year
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Localized period label
+ */
+function formatMonthYear(month, year, locale) {
+  return new Date(year, month - 1, 1).toLocaleDateString(locale, {
+    month: 'long',
+    year: 'numeric',
+  });
+}
+
+/**
+ * Format a range of 'YYYY-MM-DD' keys ("Oct 12 – 18, 2026", "12–18 oct. 2026")
+ * @param {string} startKey - First day
+ * @param {string} endKey - Last day
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Localized range label
+ */
+function formatDateKeyRange(startKey, endKey, locale) {
+  const toDate = (key) => new Date(`${key}T00:00:00.000Z`);
+
+  return new Intl.DateTimeFormat(locale, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  }).formatRange(toDate(startKey), toDate(endKey));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_LOCALES,
+  normalizeLanguage,
+  resolveEmailLocale,
+  translate,
+  getTranslator,
+  formatMonthYear,
+  formatDateKeyRange,
+};
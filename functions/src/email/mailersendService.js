@@ -3,10 +3,17 @@
  *
  * Handles email sending via Mailersend API with inline HTML templates.
  * Provides utility functions for notification preferences and logging.
+ * Subjects and bodies are rendered in the recipient's app language
+ * (see emailLocales.js).
  */
 
 const { MailerSend, EmailParams, Sender, Recipient } = require('mailersend');
 const admin = require('firebase-admin');
+const {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getTranslator,
+} = require('./emailLocales');
 
 // Configuration from environment variables
 const MAILERSEND_CONFIG = {
@@ -22,6 +29,8 @@ const TEMPLATE_IDS = {
   savingsMilestone: 'savings-milestone',
   partnerInvitation: 'partner-invitation',
   expenseAdded: 'expense-added',
+  spendingDigest: 'spending-digest',
+  budgetPaceAlert: 'budget-pace-alert',
 };
 
 // Mailersend client instance (lazy initialization)
@@ -46,10 +55,12 @@ function getMailerSendClient() {
 /**
  * Base email wrapper with Dividela branding
  */
-function emailWrapper(content, unsubscribeUrl) {
+function emailWrapper(content, unsubscribeUrl, language = DEFAULT_LANGUAGE) {
+  const t = getTranslator(language);
+
   return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${normalizeLanguage(language)}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -76,7 +87,7 @@ function emailWrapper(content, unsubscribeUrl) {
           <tr>
             <td style="padding: 20px 40px; background-color: #f8f9fa; border-top: 1px solid #eee;">
               <p style="margin: 0; color: #999; font-size: 12px; text-align: center;">
-                ${unsubscribeUrl ? `<a href="${unsubscribeUrl}" style="color: #667eea;">Unsubscribe</a> | ` : ''}
+                ${unsubscribeUrl ? `<a href="${unsubscribeUrl}" style="color: #667eea;">${t('common.unsubscribe')}</a> | ` : ''}
                 <a href="https://dividela.co" style="color: #667eea;">Dividela</a>
               </p>
             </td>
@@ -96,12 +107,13 @@ function emailWrapper(content, unsubscribeUrl) {
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email address
  * @param {string} options.toName - Recipient name (optional)
- * @param {string} options.subject - Email subject line
+ * @param {string} options.subject - Email subject line (optional, defaults to the template's localized subject)
  * @param {string} options.templateId - Template type (used to select HTML template)
  * @param {Object} options.variables - Template variables
+ * @param {string} options.language - Recipient language (optional, defaults to English)
  * @returns {Promise<Object>} Send result with messageId
  */
-async function sendEmail({ to, toName, subject, templateId, variables }) {
+async function sendEmail({ to, toName, subject, templateId, variables, language }) {
   const client = getMailerSendClient();
 
   const sender = new Sender(
@@ -112,12 +124,12 @@ async function sendEmail({ to, toName, subject, templateId, variables }) {
   const recipients = [new Recipient(to, toName || '')];
 
   // Generate HTML content based on template type
-  const html = generateEmailHtml(templateId, variables);
+  const html = generateEmailHtml(templateId, variables, language);
 
   const emailParams = new EmailParams()
     .setFrom(sender)
     .setTo(recipients)
-    .setSubject(subject)
+    .setSubject(subject || generateEmailSubject(templateId, variables, language))
     .setHtml(html)
     .setText(stripHtml(html));
 
@@ -137,51 +149,111 @@ async function sendEmail({ to, toName, subject, templateId, variables }) {
 
 /**
  * Generate HTML content based on template type
+ *
+ * @param {string} templateId - One of TEMPLATE_IDS
+ * @param {Object} variables - Template variables (amounts and dates already formatted)
+ * @param {string} language - Recipient language, English when missing or unsupported
+ * @returns {string} Full email HTML
  */
-function generateEmailHtml(templateId, variables) {
+function generateEmailHtml(templateId, variables = {}, language = DEFAULT_LANGUAGE) {
+  const t = getTranslator(language);
   let content = '';
 
   switch (templateId) {
     case TEMPLATE_IDS.monthlyBudgetAlert:
-      content = budgetAlertTemplate(variables);
+      content = budgetAlertTemplate(variables, t);
       break;
     case TEMPLATE_IDS.fiscalYearReminder:
-      content = fiscalYearTemplate(variables);
+      content = fiscalYearTemplate(variables, t);
       break;
     case TEMPLATE_IDS.savingsMilestone:
-      content = savingsMilestoneTemplate(variables);
+      content = savingsMilestoneTemplate(variables, t);
       break;
     case TEMPLATE_IDS.partnerInvitation:
-      content = partnerInvitationTemplate(variables);
+      content = partnerInvitationTemplate(variables, t);
       break;
     case TEMPLATE_IDS.expenseAdded:
-      content = expenseAddedTemplate(variables);
+      content = expenseAddedTemplate(variables, t);
+      break;
+    case TEMPLATE_IDS.spendingDigest:
+      content = spendingDigestTemplate(variables, t);
+      break;
+    case TEMPLATE_IDS.budgetPaceAlert:
+      content = budgetPaceAlertTemplate(variables, t);
       break;
     default:
-      content = `<p>Notification from Dividela</p>`;
+      content = `<p>${t('common.notification')}</p>`;
   }
 
-  return emailWrapper(content, variables.unsubscribeUrl);
+  return emailWrapper(content, variables.unsubscribeUrl, language);
+}
+
+/**
+ * Generate the subject line for a template in the recipient's language
+ *
+ * @param {string} templateId - One of TEMPLATE_IDS
+ * @param {Object} variables - Template variables
+ * @param {string} language - Recipient language
+ * @returns {string} Subject line
+ */
+function generateEmailSubject(templateId, variables = {}, language = DEFAULT_LANGUAGE) {
+  const t = getTranslator(language);
+
+  switch (templateId) {
+    case TEMPLATE_IDS.monthlyBudgetAlert:
+      return parseInt(variables.percentUsed) >= 100
+        ? t('budgetAlert.subjectExceeded', { period: variables.period })
+        : t('budgetAlert.subject', { percent: variables.percentUsed, period: variables.period });
+    case TEMPLATE_IDS.fiscalYearReminder:
+      return t('fiscalYear.subject', { label: variables.fiscalYearLabel, days: variables.daysRemaining });
+    case TEMPLATE_IDS.savingsMilestone:
+      return parseInt(variables.milestone) >= 100
+        ? t('savingsMilestone.subjectComplete', { goal: variables.goalName })
+        : t('savingsMilestone.subject', { percent: variables.milestone, goal: variables.goalName });
+    case TEMPLATE_IDS.partnerInvitation:
+      return t('partnerInvitation.subject', { sender: variables.senderName });
+    case TEMPLATE_IDS.expenseAdded:
+      return t('expenseAdded.subject', { partner: variables.partnerName });
+    case TEMPLATE_IDS.spendingDigest:
+      return variables.frequency === 'monthly'
+        ? t('spendingDigest.subjectMonthly', { period: variables.periodLabel })
+        : t('spendingDigest.subjectWeekly', { period: variables.periodLabel });
+    case TEMPLATE_IDS.budgetPaceAlert:
+      return (variables.categories || []).length === 1
+        ? t('budgetPaceAlert.subject', { category: variables.categories[0].name, period: variables.period })
+        : t('budgetPaceAlert.subjectMultiple', { count: (variables.categories || []).length, period: variables.period });
+    default:
+      return t('common.notification');
+  }
+}
+
+/**
+ * Greeting line, without a name when the recipient has none
+ */
+function greeting(vars, t) {
+  return vars.userName
+    ? t('common.greeting', { name: vars.userName })
+    : t('common.greetingNoName');
 }
 
 /**
  * Budget Alert Template
  */
-function budgetAlertTemplate(vars) {
+function budgetAlertTemplate(vars, t) {
   const isExceeded = parseInt(vars.percentUsed) >= 100;
   const statusColor = isExceeded ? '#f44336' : (parseInt(vars.percentUsed) >= 90 ? '#ff9800' : '#667eea');
 
   return `
     <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
-      ${isExceeded ? 'Budget Exceeded!' : 'Budget Alert'}
+      ${isExceeded ? t('budgetAlert.titleExceeded') : t('budgetAlert.title')}
     </h2>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Hi ${vars.userName},
+      ${greeting(vars, t)}
     </p>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
       ${isExceeded
-        ? `Your budget for ${vars.month} ${vars.year} has been exceeded.`
-        : `You've used ${vars.percentUsed}% of your budget for ${vars.month} ${vars.year}.`
+        ? t('budgetAlert.bodyExceeded', { period: vars.period })
+        : t('budgetAlert.body', { percent: vars.percentUsed, period: vars.period })
       }
     </p>
 
@@ -194,22 +266,22 @@ function budgetAlertTemplate(vars) {
     <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 20px 0;">
       <tr>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 8px 0 0 8px;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Budget</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('budgetAlert.budget')}</p>
           <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.budgetAmount}</p>
         </td>
         <td style="padding: 15px; background-color: #f8f9fa;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Spent</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('budgetAlert.spent')}</p>
           <p style="margin: 5px 0 0; color: ${statusColor}; font-size: 18px; font-weight: bold;">${vars.spentAmount}</p>
         </td>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 0 8px 8px 0;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Remaining</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('budgetAlert.remaining')}</p>
           <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.remainingAmount}</p>
         </td>
       </tr>
     </table>
 
     <p style="margin: 20px 0 0; color: #999; font-size: 14px;">
-      Open the Dividela app to review your expenses.
+      ${t('budgetAlert.footer')}
     </p>
   `;
 }
@@ -217,34 +289,37 @@ function budgetAlertTemplate(vars) {
 /**
  * Fiscal Year Reminder Template
  */
-function fiscalYearTemplate(vars) {
+function fiscalYearTemplate(vars, t) {
   return `
     <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
-      Fiscal Year Ending Soon
+      ${t('fiscalYear.title')}
     </h2>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Hi ${vars.userName},
+      ${greeting(vars, t)}
     </p>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Your fiscal year <strong>${vars.fiscalYearLabel}</strong> is ending in <strong>${vars.daysRemaining} days</strong>.
+      ${t('fiscalYear.body', {
+        label: `<strong>${vars.fiscalYearLabel}</strong>`,
+        days: `<strong>${vars.daysRemaining}</strong>`,
+      })}
     </p>
 
     <!-- Stats -->
     <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 20px 0;">
       <tr>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 8px 0 0 8px;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Annual Budget</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('fiscalYear.annualBudget')}</p>
           <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.totalBudget}</p>
         </td>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 0 8px 8px 0;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Total Spent</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('fiscalYear.totalSpent')}</p>
           <p style="margin: 5px 0 0; color: #667eea; font-size: 18px; font-weight: bold;">${vars.totalSpent}</p>
         </td>
       </tr>
     </table>
 
     <p style="margin: 20px 0 0; color: #666; font-size: 14px; line-height: 1.6;">
-      This is a good time to review your annual spending and plan for the upcoming fiscal year.
+      ${t('fiscalYear.footer')}
     </p>
   `;
 }
@@ -252,20 +327,20 @@ function fiscalYearTemplate(vars) {
 /**
  * Savings Milestone Template
  */
-function savingsMilestoneTemplate(vars) {
+function savingsMilestoneTemplate(vars, t) {
   const isComplete = parseInt(vars.milestone) >= 100;
 
   return `
     <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
-      ${isComplete ? 'Goal Reached!' : 'Savings Milestone!'}
+      ${isComplete ? t('savingsMilestone.titleComplete') : t('savingsMilestone.title')}
     </h2>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Hi ${vars.userName},
+      ${greeting(vars, t)}
     </p>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
       ${isComplete
-        ? `Congratulations! You've reached your savings goal "${vars.goalName}"!`
-        : `Great progress! You've reached ${vars.milestone}% of your savings goal "${vars.goalName}".`
+        ? t('savingsMilestone.bodyComplete', { goal: vars.goalName })
+        : t('savingsMilestone.body', { percent: vars.milestone, goal: vars.goalName })
       }
     </p>
 
@@ -278,18 +353,18 @@ function savingsMilestoneTemplate(vars) {
     <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 20px 0;">
       <tr>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 8px 0 0 8px;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Goal</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('savingsMilestone.goal')}</p>
           <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.targetAmount}</p>
         </td>
         <td style="padding: 15px; background-color: #f8f9fa; border-radius: 0 8px 8px 0;">
-          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Saved</p>
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('savingsMilestone.saved')}</p>
           <p style="margin: 5px 0 0; color: #4caf50; font-size: 18px; font-weight: bold;">${vars.savedAmount}</p>
         </td>
       </tr>
     </table>
 
     <p style="margin: 20px 0 0; color: #999; font-size: 14px;">
-      ${isComplete ? 'Time to celebrate!' : 'Keep up the great work!'}
+      ${isComplete ? t('savingsMilestone.footerComplete') : t('savingsMilestone.footer')}
     </p>
   `;
 }
@@ -297,34 +372,34 @@ function savingsMilestoneTemplate(vars) {
 /**
  * Partner Invitation Template
  */
-function partnerInvitationTemplate(vars) {
+function partnerInvitationTemplate(vars, t) {
   return `
     <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
-      You're Invited!
+      ${t('partnerInvitation.title')}
     </h2>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      <strong>${vars.senderName}</strong> has invited you to join them on Dividela, the couples expense tracking app.
+      ${t('partnerInvitation.body', { sender: `<strong>${vars.senderName}</strong>` })}
     </p>
 
-    <p style="margin: 0 0 10px; color: #666; font-size: 14px;">Your invitation code:</p>
+    <p style="margin: 0 0 10px; color: #666; font-size: 14px;">${t('partnerInvitation.codeLabel')}</p>
     <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 12px; text-align: center; margin: 20px 0;">
       <p style="margin: 0; color: #ffffff; font-size: 32px; font-weight: bold; letter-spacing: 4px;">${vars.inviteCode}</p>
     </div>
 
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Download the Dividela app and enter this code to connect with ${vars.senderName}.
+      ${t('partnerInvitation.instructions', { sender: vars.senderName })}
     </p>
 
     <table role="presentation" style="width: 100%; margin: 20px 0;">
       <tr>
         <td style="text-align: center;">
-          <a href="${vars.joinUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: bold; font-size: 16px;">Join Now</a>
+          <a href="${vars.joinUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 8px; font-weight: bold; font-size: 16px;">${t('partnerInvitation.button')}</a>
         </td>
       </tr>
     </table>
 
     <p style="margin: 20px 0 0; color: #999; font-size: 14px; text-align: center;">
-      This invitation expires in ${vars.expirationDays} days.
+      ${t('partnerInvitation.expires', { days: vars.expirationDays })}
     </p>
   `;
 }
@@ -332,16 +407,16 @@ function partnerInvitationTemplate(vars) {
 /**
  * Expense Added Template
  */
-function expenseAddedTemplate(vars) {
+function expenseAddedTemplate(vars, t) {
   return `
     <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
-      New Expense Added
+      ${t('expenseAdded.title')}
     </h2>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      Hi ${vars.userName},
+      ${greeting(vars, t)}
     </p>
     <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
-      <strong>${vars.partnerName}</strong> just added a new expense:
+      ${t('expenseAdded.body', { partner: `<strong>${vars.partnerName}</strong>` })}
     </p>
 
     <!-- Expense Card -->
@@ -349,14 +424,14 @@ function expenseAddedTemplate(vars) {
       <table role="presentation" style="width: 100%;">
         <tr>
           <td>
-            <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Amount</p>
+            <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('expenseAdded.amount')}</p>
             <p style="margin: 5px 0 0; color: #667eea; font-size: 24px; font-weight: bold;">${vars.amount}</p>
           </td>
         </tr>
         <tr>
           <td style="padding-top: 15px;">
-            <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Description</p>
-            <p style="margin: 5px 0 0; color: #333; font-size: 16px;">${vars.description}</p>
+            <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('expenseAdded.description')}</p>
+            <p style="margin: 5px 0 0; color: #333; font-size: 16px;">${vars.description || t('expenseAdded.noDescription')}</p>
           </td>
         </tr>
         <tr>
@@ -364,11 +439,11 @@ function expenseAddedTemplate(vars) {
             <table role="presentation" style="width: 100%;">
               <tr>
                 <td style="width: 50%;">
-                  <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Category</p>
-                  <p style="margin: 5px 0 0; color: #333; font-size: 14px;">${vars.category}</p>
+                  <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('expenseAdded.category')}</p>
+                  <p style="margin: 5px 0 0; color: #333; font-size: 14px;">${vars.category || t('expenseAdded.uncategorized')}</p>
                 </td>
                 <td style="width: 50%;">
-                  <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">Date</p>
+                  <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('expenseAdded.date')}</p>
                   <p style="margin: 5px 0 0; color: #333; font-size: 14px;">${vars.date}</p>
                 </td>
               </tr>
@@ -379,7 +454,130 @@ function expenseAddedTemplate(vars) {
     </div>
 
     <p style="margin: 20px 0 0; color: #999; font-size: 14px;">
-      Open the Dividela app to view details.
+      ${t('expenseAdded.footer')}
+    </p>
+  `;
+}
+
+/**
+ * Spending Digest Template
+ */
+function spendingDigestTemplate(vars, t) {
+  const topCategories = vars.topCategories || [];
+  const budgetPercent = parseInt(vars.budgetPercent) || 0;
+  const budgetColor = budgetPercent >= 100 ? '#f44336' : (budgetPercent >= 80 ? '#ff9800' : '#667eea');
+
+  const categoryRows = topCategories.map((category) => `
+      <tr>
+        <td style="padding: 8px 0; color: #333; font-size: 14px; border-bottom: 1px solid #eee;">${category.name}</td>
+        <td style="padding: 8px 0; color: #333; font-size: 14px; font-weight: bold; text-align: right; border-bottom: 1px solid #eee;">${category.amount}</td>
+      </tr>`).join('');
+
+  return `
+    <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
+      ${vars.frequency === 'monthly' ? t('spendingDigest.titleMonthly') : t('spendingDigest.titleWeekly')}
+    </h2>
+    <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
+      ${greeting(vars, t)}
+    </p>
+    <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
+      ${t('spendingDigest.intro', { period: `<strong>${vars.periodLabel}</strong>` })}
+    </p>
+
+    <!-- Stats -->
+    <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      <tr>
+        <td style="padding: 15px; background-color: #f8f9fa; border-radius: 8px 0 0 8px;">
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.totalSpent')}</p>
+          <p style="margin: 5px 0 0; color: #667eea; font-size: 18px; font-weight: bold;">${vars.totalSpent}</p>
+        </td>
+        <td style="padding: 15px; background-color: #f8f9fa;">
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.expenses')}</p>
+          <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.expenseCount}</p>
+        </td>
+        <td style="padding: 15px; background-color: #f8f9fa; border-radius: 0 8px 8px 0;">
+          <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.unsettled')}</p>
+          <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.unsettledCount}</p>
+        </td>
+      </tr>
+    </table>
+
+    <!-- Top Categories -->
+    <p style="margin: 20px 0 10px; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.topCategories')}</p>
+    ${topCategories.length > 0
+      ? `<table role="presentation" style="width: 100%; border-collapse: collapse;">${categoryRows}
+    </table>`
+      : `<p style="margin: 0; color: #666; font-size: 14px;">${t('spendingDigest.noExpenses')}</p>`
+    }
+
+    ${vars.budgetTotal ? `
+    <!-- Budget Progress -->
+    <p style="margin: 25px 0 10px; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.budgetProgress')}</p>
+    <div style="background-color: #f0f0f0; border-radius: 10px; height: 20px; margin: 10px 0; overflow: hidden;">
+      <div style="background: ${budgetColor}; height: 100%; width: ${Math.min(budgetPercent, 100)}%; border-radius: 10px;"></div>
+    </div>
+    <p style="margin: 0; color: #666; font-size: 14px;">
+      ${t('spendingDigest.budgetUsed', {
+        spent: vars.budgetSpent,
+        budget: vars.budgetTotal,
+        month: vars.budgetMonth,
+        percent: budgetPercent,
+      })}
+    </p>` : ''}
+
+    <!-- Balance -->
+    <div style="background-color: #f8f9fa; border-radius: 12px; padding: 20px; margin: 25px 0 20px;">
+      <p style="margin: 0; color: #999; font-size: 12px; text-transform: uppercase;">${t('spendingDigest.balance')}</p>
+      <p style="margin: 5px 0 0; color: #333; font-size: 18px; font-weight: bold;">${vars.balanceText}</p>
+    </div>
+
+    <p style="margin: 20px 0 0; color: #999; font-size: 14px;">
+      ${t('spendingDigest.footer')}
+    </p>
+  `;
+}
+
+/**
+ * Budget Pace Alert Template
+ */
+function budgetPaceAlertTemplate(vars, t) {
+  const categories = vars.categories || [];
+
+  const headerCell = 'padding: 8px 0; color: #999; font-size: 12px; text-transform: uppercase; border-bottom: 1px solid #eee;';
+  const categoryRows = categories.map((category) => `
+      <tr>
+        <td style="padding: 8px 0; color: #333; font-size: 14px; border-bottom: 1px solid #eee;">
+          ${category.name}
+          <br><span style="color: #ff9800; font-size: 12px;">${t('budgetPaceAlert.overBy', { amount: category.overage })}</span>
+        </td>
+        <td style="padding: 8px 0; color: #333; font-size: 14px; text-align: right; border-bottom: 1px solid #eee;">${category.spent}</td>
+        <td style="padding: 8px 0; color: #ff9800; font-size: 14px; font-weight: bold; text-align: right; border-bottom: 1px solid #eee;">${category.projected}</td>
+        <td style="padding: 8px 0; color: #333; font-size: 14px; text-align: right; border-bottom: 1px solid #eee;">${category.budget}</td>
+      </tr>`).join('');
+
+  return `
+    <h2 style="margin: 0 0 20px; color: #333; font-size: 22px;">
+      ${t('budgetPaceAlert.title')}
+    </h2>
+    <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
+      ${greeting(vars, t)}
+    </p>
+    <p style="margin: 0 0 20px; color: #666; font-size: 16px; line-height: 1.6;">
+      ${t('budgetPaceAlert.body', { period: `<strong>${vars.period}</strong>` })}
+    </p>
+
+    <!-- Categories -->
+    <table role="presentation" style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      <tr>
+        <td style="${headerCell}">${t('budgetPaceAlert.category')}</td>
+        <td style="${headerCell} text-align: right;">${t('budgetPaceAlert.spent')}</td>
+        <td style="${headerCell} text-align: right;">${t('budgetPaceAlert.projected')}</td>
+        <td style="${headerCell} text-align: right;">${t('budgetPaceAlert.budget')}</td>
+      </tr>${categoryRows}
+    </table>
+
+    <p style="margin: 20px 0 0; color: #999; font-size: 14px;">
+      ${t('budgetPaceAlert.footer')}
     </p>
   `;
 }
@@ -466,6 +664,34 @@ async function getUserDisplayName(userId) {
   }
 }
 
+/**
+ * Get the display name and app language of an email recipient
+ *
+ * The language is the one chosen in the app (LanguageContext saves it on the
+ * user document); unknown or missing languages fall back to English.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{displayName: string|null, language: string}>}
+ */
+async function getUserEmailProfile(userId) {
+  if (!userId) {
+    return { displayName: null, language: DEFAULT_LANGUAGE };
+  }
+
+  try {
+    const db = admin.firestore();
+    const userDoc = await db.collection('users').doc(userId).get();
+    const userData = userDoc.data() || {};
+    return {
+      displayName: userData.displayName || null,
+      language: normalizeLanguage(userData.language),
+    };
+  } catch (error) {
+    console.error(`Error fetching email profile for user ${userId}:`, error);
+    return { displayName: null, language: DEFAULT_LANGUAGE };
+  }
+}
+
 /**
  * Get couple notification preferences from Firestore
  */
@@ -504,6 +730,7 @@ function getDefaultNotificationPreferences() {
     fiscalYearEndReminder: true,
     savingsGoalMilestone: true,
     partnerActivity: false,
+    spendingDigest: 'off',
     daysBeforeFiscalYearEnd: 30,
   };
 }
@@ -644,6 +871,7 @@ module.exports = {
   // User data helpers
   getUserEmail,
   getUserDisplayName,
+  getUserEmailProfile,
 
   // Notification preferences
   getCoupleNotificationPreferences,
@@ -657,6 +885,8 @@ module.exports = {
   generateUnsubscribeUrl,
   formatCurrency,
   formatDate,
+  generateEmailHtml,
+  generateEmailSubject,
 
   // Template IDs (for reference)
   TEMPLATE_IDS,
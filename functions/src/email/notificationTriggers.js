@@ -13,6 +13,7 @@ const {
   sendEmail,
   getUserEmail,
   getUserDisplayName,
+  getUserEmailProfile,
   isNotificationEnabled,
   logEmailSent,
   generateUnsubscribeUrl,
@@ -20,12 +21,22 @@ const {
   formatDate,
   TEMPLATE_IDS,
 } = require('./mailersendService');
+const { resolveEmailLocale, formatMonthYear, translate } = require('./emailLocales');
 const {
   isPushEnabled,
   sendPushToCouple,
   sendPushToPartner,
+  sendPushToUser,
   logPushSent,
 } = require('../push/pushNotificationService');
+const { SAVINGS_GOALS_COLLECTION, getPendingMilestones } = require('../savings/milestones');
+const { toDateKey } = require('../recurring/recurrence');
+const { excludeDeletedExpenses } = require('../trash/trashRetention');
+const {
+  PACE_ALERT_MIN_DAYS,
+  buildMonthForecast,
+  getPaceAlertCategories,
+} = require('../forecast/spendingForecast');
 
 /**
  * Send budget alert when expense is added and threshold is crossed
@@ -93,9 +104,8 @@ exports.checkBudgetOnExpenseAdded = onDocumentCreated('expenses/{expenseId}', as
       .where('date', '<=', admin.firestore.Timestamp.fromDate(endDate))
       .get();
 
-    const totalSpent = expensesSnapshot.docs.reduce((sum, doc) => {
-      return sum + (doc.data().amount || 0);
-    }, 0);
+    const totalSpent = excludeDeletedExpenses(expensesSnapshot.docs.map((doc) => doc.data()))
+      .reduce((sum, expense) => sum + (expense.amount || 0), 0);
 
     const percentageUsed = Math.round((totalSpent / budgetAmount) * 100);
 
@@ -127,8 +137,6 @@ exports.checkBudgetOnExpenseAdded = onDocumentCreated('expenses/{expenseId}', as
     }
 
     const partners = [couple.user1Id, couple.user2Id].filter(Boolean);
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                        'July', 'August', 'September', 'October', 'November', 'December'];
 
     // Send email to both partners
     for (const userId of partners) {
@@ -139,26 +147,22 @@ exports.checkBudgetOnExpenseAdded = onDocumentCreated('expenses/{expenseId}', as
           continue;
         }
 
-        const userName = await getUserDisplayName(userId);
+        const { displayName: userName, language } = await getUserEmailProfile(userId);
+        const emailLocale = resolveEmailLocale(language, locale);
         const remainingAmount = budgetAmount - totalSpent;
 
-        const subject = percentageUsed >= 100
-          ? `Budget Exceeded - ${monthNames[month - 1]} ${year}`
-          : `Budget Alert (${percentageUsed}%) - ${monthNames[month - 1]} ${year}`;
-
         const result = await sendEmail({
           to: userEmail,
           toName: userName,
-          subject,
           templateId: TEMPLATE_IDS.monthlyBudgetAlert,
+          language,
           variables: {
             userName,
             percentUsed: percentageUsed.toString(),
-            budgetAmount: formatCurrency(budgetAmount, currency, locale),
-            spentAmount: formatCurrency(totalSpent, currency, locale),
-            remainingAmount: formatCurrency(remainingAmount, currency, locale),
-            month: monthNames[month - 1],
-            year: year.toString(),
+            budgetAmount: formatCurrency(budgetAmount, currency, emailLocale),
+            spentAmount: formatCurrency(totalSpent, currency, emailLocale),
+            remainingAmount: formatCurrency(remainingAmount, currency, emailLocale),
+            period: formatMonthYear(month, year, emailLocale),
             unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'monthlyBudgetAlert'),
           },
         });
@@ -221,6 +225,202 @@ exports.checkBudgetOnExpenseAdded = onDocumentCreated('expenses/{expenseId}', as
   }
 });
 
+/**
+ * Warn both partners when a category is on pace to exceed its budget
+ *
+ * Projects month-end spending per category (see forecast/spendingForecast.js)
+ * after each new expense. Alerted categories are recorded on the budget
+ * (`paceAlerts`) in a transaction before anything is sent, so each category
+ * is announced at most once per month. Uses the budget alert preference.
+ */
+exports.checkBudgetPaceOnExpenseAdded = onDocumentCreated('expenses/{expenseId}', async (event) => {
+  const snapshot = event.data;
+  if (!snapshot) {
+    console.log('No data associated with the event');
+    return;
+  }
+
+  const { coupleId } = snapshot.data();
+  if (!coupleId) {
+    return;
+  }
+
+  try {
+    const todayKey = toDateKey(new Date());
+    const [year, month, day] = todayKey.split('-').map(Number);
+
+    if (day < PACE_ALERT_MIN_DAYS) {
+      console.log('Too early in the month to judge spending pace');
+      return;
+    }
+
+    const alertsEnabled = await isNotificationEnabled(coupleId, 'monthlyBudgetAlert');
+    if (!alertsEnabled) {
+      console.log('Budget alerts disabled for couple:', coupleId);
+      return;
+    }
+
+    const db = admin.firestore();
+    const budgetRef = db.collection('budgets').doc(`${coupleId}_${year}_${month}`);
+
+    const [budgetDoc, expensesSnapshot, budgetsSnapshot, recurringSnapshot] = await Promise.all([
+      budgetRef.get(),
+      db.collection('expenses').where('coupleId', '==', coupleId).get(),
+      db.collection('budgets').where('coupleId', '==', coupleId).get(),
+      db.collection('recurringExpenses').where('coupleId', '==', coupleId).get(),
+    ]);
+
+    if (!budgetDoc.exists || budgetDoc.data().enabled === false) {
+      console.log('No enabled budget for current month');
+      return;
+    }
+
+    const budget = budgetDoc.data();
+    const forecast = buildMonthForecast({
+      budget,
+      expenses: excludeDeletedExpenses(expensesSnapshot.docs.map((doc) => doc.data())),
+      history: budgetsSnapshot.docs.map((doc) => doc.data()),
+      recurringExpenses: recurringSnapshot.docs.map((doc) => doc.data()),
+      todayKey,
+    });
+
+    const pending = await db.runTransaction(async (transaction) => {
+      const latest = await transaction.get(budgetRef);
+      const categoryKeys = getPaceAlertCategories(forecast, latest.data()?.paceAlerts);
+
+      if (categoryKeys.length > 0) {
+        const updates = {};
+        categoryKeys.forEach((key) => {
+          updates[`paceAlerts.${key}`] = admin.firestore.FieldValue.serverTimestamp();
+        });
+        transaction.update(budgetRef, updates);
+      }
+
+      return categoryKeys;
+    });
+
+    if (pending.length === 0) {
+      console.log('No category newly on pace to exceed its budget');
+      return;
+    }
+
+    const [settingsDoc, coupleDoc, categoriesSnapshot] = await Promise.all([
+      db.collection('coupleSettings').doc(coupleId).get(),
+      db.collection('couples').doc(coupleId).get(),
+      db.collection('categories').where('coupleId', '==', coupleId).get(),
+    ]);
+
+    const settings = settingsDoc.data() || {};
+    const currency = settings.budgetPreferences?.budgetCurrency || 'USD';
+    const locale = settings.budgetPreferences?.currencyLocale || 'en-US';
+    const couple = coupleDoc.data();
+
+    if (!couple) {
+      console.log('Couple not found');
+      return;
+    }
+
+    const categoryNames = {};
+    categoriesSnapshot.forEach((doc) => {
+      const category = doc.data();
+      if (category.key && category.name) {
+        categoryNames[category.key] = category.name;
+      }
+    });
+
+    const pushEnabled = await isPushEnabled(coupleId, 'monthlyBudgetAlert');
+    const partners = [couple.user1Id, couple.user2Id].filter(Boolean);
+
+    for (const userId of partners) {
+      const { displayName: userName, language } = await getUserEmailProfile(userId);
+      const emailLocale = resolveEmailLocale(language, locale);
+      const format = (amount) => formatCurrency(amount, currency, emailLocale);
+      const categories = pending.map((key) => {
+        const forecastCategory = forecast.categories[key];
+        return {
+          name: categoryNames[key] || key,
+          spent: format(forecastCategory.spent),
+          budget: format(forecastCategory.budget),
+          projected: format(forecastCategory.projected),
+          overage: format(Math.abs(forecastCategory.projectedRemaining)),
+        };
+      });
+
+      try {
+        const userEmail = await getUserEmail(userId);
+        if (userEmail) {
+          const result = await sendEmail({
+            to: userEmail,
+            toName: userName,
+            templateId: TEMPLATE_IDS.budgetPaceAlert,
+            language,
+            variables: {
+              userName,
+              period: formatMonthYear(month, year, emailLocale),
+              categories,
+              unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'monthlyBudgetAlert'),
+            },
+          });
+
+          await logEmailSent({
+            coupleId,
+            userId,
+            type: 'budgetPaceAlert',
+            messageId: result.messageId,
+            success: true,
+          });
+        } else {
+          console.log(`No email found for user ${userId}`);
+        }
+      } catch (error) {
+        console.error(`Error sending pace alert to user ${userId}:`, error);
+        await logEmailSent({
+          coupleId,
+          userId,
+          type: 'budgetPaceAlert',
+          messageId: null,
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (!pushEnabled) {
+        continue;
+      }
+
+      try {
+        const pushBody = categories.length === 1
+          ? translate(language, 'budgetPaceAlert.pushBody', {
+            category: categories[0].name,
+            projected: categories[0].projected,
+            budget: categories[0].budget,
+          })
+          : translate(language, 'budgetPaceAlert.pushBodyMultiple', { count: categories.length });
+
+        const pushResult = await sendPushToUser(userId, translate(language, 'budgetPaceAlert.pushTitle'), pushBody, {
+          screen: 'BudgetDashboard',
+          type: 'budgetPaceAlert',
+        });
+
+        await logPushSent({
+          coupleId,
+          userId,
+          type: 'budgetPaceAlert',
+          success: pushResult.success,
+          sent: pushResult.sent,
+          error: pushResult.error,
+        });
+      } catch (pushError) {
+        console.error(`Error sending pace alert push to user ${userId}:`, pushError);
+      }
+    }
+
+    console.log(`Pace alert sent for ${pending.length} categor${pending.length === 1 ? 'y' : 'ies'} of couple ${coupleId}`);
+  } catch (error) {
+    console.error('Error in budget pace trigger:', error);
+  }
+});
+
 /**
  * Send notification when partner adds expense (optional feature)
  */
@@ -270,9 +470,9 @@ exports.notifyPartnerOnExpenseAdded = onDocumentCreated('expenses/{expenseId}',
       return;
     }
 
-    // Get user names
+    // Get user names and the partner's language
     const paidByName = await getUserDisplayName(paidBy);
-    const partnerName = await getUserDisplayName(partnerId);
+    const { displayName: partnerName, language } = await getUserEmailProfile(partnerId);
 
     // Get currency settings
     const settingsDoc = await db.collection('coupleSettings').doc(coupleId).get();
@@ -280,18 +480,20 @@ exports.notifyPartnerOnExpenseAdded = onDocumentCreated('expenses/{expenseId}',
     const currency = settings.budgetPreferences?.budgetCurrency || 'USD';
     const locale = settings.budgetPreferences?.currencyLocale || 'en-US';
 
+    const emailLocale = resolveEmailLocale(language, locale);
+
     const result = await sendEmail({
       to: partnerEmail,
       toName: partnerName,
-      subject: `${paidByName} added an expense`,
       templateId: TEMPLATE_IDS.expenseAdded,
+      language,
       variables: {
         userName: partnerName,
         partnerName: paidByName,
-        amount: formatCurrency(amount, currency, locale),
-        description: description || 'No description',
-        category: category || 'Uncategorized',
-        date: formatDate(date, locale),
+        amount: formatCurrency(amount, currency, emailLocale),
+        description,
+        category,
+        date: formatDate(date, emailLocale),
         unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'partnerActivity'),
       },
     });
@@ -357,16 +559,18 @@ exports.sendPartnerInvitation = onDocumentCreated('coupleCodes/{codeId}', async
   }
 
   try {
-    // Get sender's info
-    const senderName = await getUserDisplayName(createdBy);
+    // Get sender's info; the invitee has no account yet, so the email is
+    // written in the sender's language
+    const { displayName, language } = await getUserEmailProfile(createdBy);
+    const senderName = displayName || translate(language, 'partnerInvitation.defaultSender');
 
     // Deep link to join (adjust based on your app's URL scheme)
     const joinUrl = `https://dividela.co/join?code=${code}`;
 
     const result = await sendEmail({
       to: inviteeEmail,
-      subject: `${senderName} invited you to Dividela`,
       templateId: TEMPLATE_IDS.partnerInvitation,
+      language,
       variables: {
         senderName,
         inviteCode: code,
@@ -396,49 +600,66 @@ exports.sendPartnerInvitation = onDocumentCreated('coupleCodes/{codeId}', async
 
 /**
  * Send savings goal milestone notification
+ *
+ * Listens on the same `savingsTargets` collection the client writes to.
+ * Reached milestones are recorded on the goal (`reachedMilestones`) in a
+ * transaction before anything is sent, so retries and the trigger's own
+ * follow-up update never announce a milestone twice.
  */
-exports.checkSavingsGoalMilestone = onDocumentUpdated('savingsGoals/{goalId}', async (event) => {
-  const beforeSnap = event.data.before;
+exports.checkSavingsGoalMilestone = onDocumentUpdated(`${SAVINGS_GOALS_COLLECTION}/{goalId}`, async (event) => {
   const afterSnap = event.data.after;
 
-  if (!beforeSnap || !afterSnap) {
+  if (!event.data.before || !afterSnap) {
     console.log('No data associated with the event');
     return;
   }
 
-  const before = beforeSnap.data();
   const after = afterSnap.data();
+  const { coupleId } = after;
 
-  const { coupleId, name, targetAmount, currentAmount } = after;
-
-  if (!coupleId || !targetAmount || targetAmount <= 0) {
+  if (!coupleId || !after.targetAmount || after.targetAmount <= 0) {
     return;
   }
 
   try {
-    // Check if notifications are enabled
-    const notificationsEnabled = await isNotificationEnabled(coupleId, 'savingsGoalMilestone');
-    if (!notificationsEnabled) {
-      console.log('Savings goal notifications disabled');
-      return;
-    }
+    const db = admin.firestore();
+
+    // Record newly reached milestones even when notifications are disabled,
+    // so enabling them later doesn't announce old progress
+    const { goal, pending } = await db.runTransaction(async (transaction) => {
+      const goalSnap = await transaction.get(afterSnap.ref);
+      if (!goalSnap.exists) {
+        return { goal: null, pending: [] };
+      }
+
+      const goalData = goalSnap.data();
+      const newlyReached = getPendingMilestones(goalData);
 
-    // Calculate percentages
-    const percentageBefore = Math.round(((before.currentAmount || 0) / (before.targetAmount || 1)) * 100);
-    const percentageAfter = Math.round((currentAmount / targetAmount) * 100);
+      if (newlyReached.length > 0) {
+        transaction.update(afterSnap.ref, {
+          reachedMilestones: admin.firestore.FieldValue.arrayUnion(...newlyReached),
+          lastMilestoneAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
 
-    // Only notify at milestones: 25%, 50%, 75%, 100%
-    const milestones = [25, 50, 75, 100];
-    const milestoneCrossed = milestones.find(milestone => {
-      return percentageBefore < milestone && percentageAfter >= milestone;
+      return { goal: goalData, pending: newlyReached };
     });
 
-    if (!milestoneCrossed) {
-      console.log(`No milestone crossed (${percentageAfter}%)`);
+    if (pending.length === 0) {
+      console.log('No new milestone reached');
       return;
     }
 
-    const db = admin.firestore();
+    // A single contribution can cross several milestones; announce the highest
+    const milestoneCrossed = pending[pending.length - 1];
+    const { name, currentAmount, targetAmount } = goal;
+
+    // Check if notifications are enabled
+    const notificationsEnabled = await isNotificationEnabled(coupleId, 'savingsGoalMilestone');
+    if (!notificationsEnabled) {
+      console.log('Savings goal notifications disabled');
+      return;
+    }
 
     // Get couple settings for currency
     const settingsDoc = await db.collection('coupleSettings').doc(coupleId).get();
@@ -465,23 +686,20 @@ exports.checkSavingsGoalMilestone = onDocumentUpdated('savingsGoals/{goalId}', a
           continue;
         }
 
-        const userName = await getUserDisplayName(userId);
-
-        const subject = percentageAfter >= 100
-          ? `Savings Goal Reached: ${name}`
-          : `Savings Milestone (${percentageAfter}%): ${name}`;
+        const { displayName: userName, language } = await getUserEmailProfile(userId);
+        const emailLocale = resolveEmailLocale(language, locale);
 
         const result = await sendEmail({
           to: userEmail,
           toName: userName,
-          subject,
           templateId: TEMPLATE_IDS.savingsMilestone,
+          language,
           variables: {
             userName,
             goalName: name,
             milestone: milestoneCrossed.toString(),
-            targetAmount: formatCurrency(targetAmount, currency, locale),
-            savedAmount: formatCurrency(currentAmount, currency, locale),
+            targetAmount: formatCurrency(targetAmount, currency, emailLocale),
+            savedAmount: formatCurrency(currentAmount, currency, emailLocale),
             unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'savingsGoalMilestone'),
           },
         });
@@ -12,13 +12,15 @@ const admin = require('firebase-admin');
 const {
   sendEmail,
   getUserEmail,
-  getUserDisplayName,
+  getUserEmailProfile,
   isNotificationEnabled,
   logEmailSent,
   generateUnsubscribeUrl,
   formatCurrency,
   TEMPLATE_IDS,
 } = require('./mailersendService');
+const { resolveEmailLocale } = require('./emailLocales');
+const { isDeletedExpense } = require('../trash/trashRetention');
 const {
   isPushEnabled,
   sendPushToCouple,
@@ -110,19 +112,20 @@ exports.checkFiscalYearEndReminders = onSchedule(
                   continue;
                 }
 
-                const userName = await getUserDisplayName(userId);
+                const { displayName: userName, language } = await getUserEmailProfile(userId);
+                const emailLocale = resolveEmailLocale(language, locale);
 
                 const result = await sendEmail({
                   to: userEmail,
                   toName: userName,
-                  subject: `Fiscal Year ${fiscalYearLabel} Ending in ${daysUntilEnd} Days`,
                   templateId: TEMPLATE_IDS.fiscalYearReminder,
+                  language,
                   variables: {
                     userName,
                     daysRemaining: daysUntilEnd.toString(),
                     fiscalYearLabel,
-                    totalBudget: formatCurrency(totalBudget, currency, locale),
-                    totalSpent: formatCurrency(totalSpent, currency, locale),
+                    totalBudget: formatCurrency(totalBudget, currency, emailLocale),
+                    totalSpent: formatCurrency(totalSpent, currency, emailLocale),
                     unsubscribeUrl: generateUnsubscribeUrl(coupleId, 'fiscalYearEndReminder'),
                   },
                 });
@@ -325,7 +328,9 @@ async function getAnnualBudgetSummary(db, coupleId, fiscalYear, referenceDate) {
 
     expensesSnapshot.forEach(doc => {
       const expense = doc.data();
-      totalSpent += expense.amount || 0;
+      if (!isDeletedExpense(expense)) {
+        totalSpent += expense.amount || 0;
+      }
     });
 
     return { totalBudget, totalSpent };
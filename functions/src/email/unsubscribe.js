@@ -17,6 +17,7 @@ const NOTIFICATION_TYPE_MAP = {
   savingsGoalMilestone: 'savingsGoalMilestone',
   partnerActivity: 'partnerActivity',
   expenseAdded: 'partnerActivity', // Maps to same preference
+  spendingDigest: 'spendingDigest',
   all: 'emailEnabled', // Master toggle
 };
 
@@ -103,6 +104,7 @@ function getNotificationName(type) {
     savingsGoalMilestone: 'Savings Goal Milestones',
     partnerActivity: 'Partner Activity Notifications',
     expenseAdded: 'Expense Added Notifications',
+    spendingDigest: 'Spending Digests',
     all: 'All Email Notifications',
   };
   return names[type] || type;
@@ -0,0 +1,255 @@
+/**
+ * Spending Forecast
+ *
+ * Server-side copy of the month-end projection in src/utils/spendingForecast.js,
+ * used by the "on pace to exceed" budget alert. Discretionary spending is
+ * projected from a blend of this month's daily pace and the average of
+ * previous months (history weighs most early in the month); recurring
+ * occurrences still scheduled this month are added at their real amounts.
+ */
+
+const { collectDueOccurrences } = require('../recurring/recurrence');
+const { getExpenseDateKey } = require('../digests/digestSummary');
+
+const FORECAST_STATUS = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  ON_PACE_TO_EXCEED: 'on_pace_to_exceed',
+  EXCEEDED: 'exceeded',
+};
+
+const AT_RISK_THRESHOLD = 90;
+
+const FORECAST_HISTORY_MONTHS = 6;
+
+// The first days of a month say little about its pace
+const PACE_ALERT_MIN_DAYS = 7;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Amount in the couple's primary currency
+ */
+function getExpenseAmount(expense) {
+  return expense.primaryCurrencyAmount || expense.amount || 0;
+}
+
+/**
+ * Sum spending by category for a 'YYYY-MM' month
+ *
+ * @param {Array} expenses - Expenses with a precomputed `dateKey`
+ * @param {string} monthKey - 'YYYY-MM'
+ * @param {string} upToKey - Only count expenses on or before this date key (optional)
+ * @returns {Object} { categoryKey: amount }
+ */
+function calculateMonthSpending(expenses, monthKey, upToKey = null) {
+  const spending = {};
+
+  expenses.forEach((expense) => {
+    if (!expense.dateKey || !expense.dateKey.startsWith(monthKey)) return;
+    if (upToKey && expense.dateKey > upToKey) return;
+
+    const categoryKey = expense.categoryKey || expense.category || 'other';
+    spending[categoryKey] = (spending[categoryKey] || 0) + getExpenseAmount(expense);
+  });
+
+  return spending;
+}
+
+/**
+ * Average spending per category across months
+ *
+ * @param {Array<Object>} monthlySpending - One { categoryKey: amount } map per month
+ * @returns {Object|null} Averages, or null without any history
+ */
+function calculateHistoricalAverages(monthlySpending = []) {
+  if (monthlySpending.length === 0) {
+    return null;
+  }
+
+  const totals = {};
+  monthlySpending.forEach((spending) => {
+    Object.entries(spending || {}).forEach(([key, amount]) => {
+      totals[key] = (totals[key] || 0) + amount;
+    });
+  });
+
+  const averages = {};
+  Object.entries(totals).forEach(([key, total]) => {
+    averages[key] = roundAmount(total / monthlySpending.length);
+  });
+
+  return averages;
+}
+
+/**
+ * Sum the recurring occurrences not materialized yet, up to a date, by category
+ *
+ * @param {Array} recurringExpenses - Recurring expense series documents
+ * @param {string} toKey - Last date key to include
+ * @returns {Object} { categoryKey: amount }
+ */
+function getUpcomingRecurringAmounts(recurringExpenses = [], toKey) {
+  const amounts = {};
+
+  recurringExpenses.forEach((series) => {
+    if (!series || series.status !== 'active') return;
+
+    const { dueDates } = collectDueOccurrences(series, toKey);
+    const categoryKey = series.categoryKey || series.category || 'other';
+    const amount = getExpenseAmount(series) * dueDates.length;
+
+    if (amount > 0) {
+      amounts[categoryKey] = roundAmount((amounts[categoryKey] || 0) + amount);
+    }
+  });
+
+  return amounts;
+}
+
+/**
+ * Project a category's spending to the end of the month
+ */
+function projectMonthEnd({
+  spent = 0,
+  recurringSpent = 0,
+  daysElapsed,
+  daysInMonth,
+  historicalAverage = null,
+  upcomingRecurring = 0,
+}) {
+  const elapsed = Math.min(Math.max(daysElapsed, 1), daysInMonth);
+  const daysRemaining = daysInMonth - elapsed;
+  const discretionarySpent = Math.max(0, spent - recurringSpent);
+
+  const paceRemaining = (discretionarySpent / elapsed) * daysRemaining;
+  let discretionaryRemaining = paceRemaining;
+
+  if (historicalAverage !== null && historicalAverage !== undefined) {
+    const historyRemaining = historicalAverage * (daysRemaining / daysInMonth);
+    const paceWeight = elapsed / daysInMonth;
+    discretionaryRemaining = paceWeight * paceRemaining + (1 - paceWeight) * historyRemaining;
+  }
+
+  return roundAmount(spent + discretionaryRemaining + upcomingRecurring);
+}
+
+/**
+ * Classify a projection against its budget
+ */
+function getForecastStatus(projected, spent, budget) {
+  if (!budget || budget <= 0) return FORECAST_STATUS.ON_TRACK;
+  if (spent > budget) return FORECAST_STATUS.EXCEEDED;
+  if (projected > budget) return FORECAST_STATUS.ON_PACE_TO_EXCEED;
+  if ((projected / budget) * 100 >= AT_RISK_THRESHOLD) return FORECAST_STATUS.AT_RISK;
+  return FORECAST_STATUS.ON_TRACK;
+}
+
+/**
+ * Forecast every budgeted category of the current month
+ *
+ * @param {Object} params
+ * @param {Object} params.budget - Current month's budget document
+ * @param {Array} params.expenses - The couple's expense documents
+ * @param {Array} params.history - The couple's budget documents (any order)
+ * @param {Array} params.recurringExpenses - Recurring expense series documents
+ * @param {string} params.todayKey - Today's date key
+ * @param {string} params.timeZone - Time zone used for expense dates
+ * @returns {Object} { daysElapsed, daysInMonth, categories, flagged }
+ */
+function buildMonthForecast({
+  budget,
+  expenses = [],
+  history = [],
+  recurringExpenses = [],
+  todayKey,
+  timeZone = 'UTC',
+}) {
+  const [year, month, day] = todayKey.split('-').map(Number);
+  const monthKey = todayKey.slice(0, 7);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthEndKey = `${monthKey}-${String(daysInMonth).padStart(2, '0')}`;
+
+  const datedExpenses = expenses.map((expense) => ({
+    ...expense,
+    dateKey: getExpenseDateKey(expense, timeZone),
+  }));
+  const recurringExpenseDocs = datedExpenses.filter((expense) => expense.recurringExpenseId);
+  const discretionaryExpenses = datedExpenses.filter((expense) => !expense.recurringExpenseId);
+
+  const previousMonths = history
+    .filter((entry) => entry.year < year || (entry.year === year && entry.month < month))
+    .sort((a, b) => (b.year - a.year) || (b.month - a.month))
+    .slice(0, FORECAST_HISTORY_MONTHS);
+  const historicalAverages = calculateHistoricalAverages(previousMonths.map((entry) => (
+    calculateMonthSpending(discretionaryExpenses, `${entry.year}-${String(entry.month).padStart(2, '0')}`)
+  )));
+
+  const spending = calculateMonthSpending(datedExpenses, monthKey, todayKey);
+  const recurringSpending = calculateMonthSpending(recurringExpenseDocs, monthKey, todayKey);
+  const upcomingRecurring = getUpcomingRecurringAmounts(recurringExpenses, monthEndKey);
+
+  const categories = {};
+  Object.entries(budget?.categoryBudgets || {}).forEach(([key, baseAmount]) => {
+    // Includes last month's rollover, never below zero (budgetRollover.js)
+    const budgetAmount = Math.max(0, baseAmount + (budget.categoryRollovers?.[key] || 0));
+    const spent = spending[key] || 0;
+    const projected = projectMonthEnd({
+      spent,
+      recurringSpent: recurringSpending[key] || 0,
+      daysElapsed: day,
+      daysInMonth,
+      historicalAverage: historicalAverages ? historicalAverages[key] || 0 : null,
+      upcomingRecurring: upcomingRecurring[key] || 0,
+    });
+
+    categories[key] = {
+      budget: budgetAmount,
+      spent,
+      projected,
+      projectedRemaining: roundAmount(budgetAmount - projected),
+      status: getForecastStatus(projected, spent, budgetAmount),
+    };
+  });
+
+  const flagged = Object.keys(categories)
+    .filter((key) => categories[key].status === FORECAST_STATUS.ON_PACE_TO_EXCEED)
+    .sort((a, b) => categories[a].projectedRemaining - categories[b].projectedRemaining);
+
+  return {
+    daysElapsed: day,
+    daysInMonth,
+    categories,
+    flagged,
+  };
+}
+
+/**
+ * Categories that should get an "on pace to exceed" alert now
+ * Each category is alerted at most once per month (`budget.paceAlerts`), and
+ * not before PACE_ALERT_MIN_DAYS days of the month have passed.
+ *
+ * @param {Object} forecast - Result of buildMonthForecast
+ * @param {Object} paceAlerts - Categories already alerted this month ({ key: timestamp })
+ * @returns {Array<string>} Category keys
+ */
+function getPaceAlertCategories(forecast, paceAlerts = {}) {
+  if (forecast.daysElapsed < PACE_ALERT_MIN_DAYS) {
+    return [];
+  }
+
+  return forecast.flagged.filter((key) => !paceAlerts?.[key]);
+}
+
+module.exports = {
+  FORECAST_STATUS,
+  FORECAST_HISTORY_MONTHS,
+  PACE_ALERT_MIN_DAYS,
+  calculateMonthSpending,
+  calculateHistoricalAverages,
+  getUpcomingRecurringAmounts,
+  projectMonthEnd,
+  getForecastStatus,
+  buildMonthForecast,
+  getPaceAlertCategories,
+};
@@ -29,6 +29,18 @@ const { sendTestEmail } = require('./email/mailersendService');
 // Import push notification functions
 const pushNotifications = require('./push');
 
+// Import recurring expense functions
+const recurringExpenses = require('./recurring/materializeRecurringExpenses');
+
+// Import settlement plan functions
+const settlementPlanReminders = require('./settlements/settlementPlanReminders');
+
+// Import spending digest functions
+const spendingDigests = require('./digests/sendSpendingDigests');
+
+// Import trash functions
+const trashPurge = require('./trash/purgeDeletedExpenses');
+
 // Export OCR function with CORS support (for web browsers)
 exports.processReceiptDirect = functions.https.onRequest((req, res) => {
   return cors(req, res, async () => {
@@ -111,6 +123,7 @@ exports.helloWorld = functions.https.onRequest((req, res) => {
 
 // Firestore Triggers
 exports.checkBudgetOnExpenseAdded = notificationTriggers.checkBudgetOnExpenseAdded;
+exports.checkBudgetPaceOnExpenseAdded = notificationTriggers.checkBudgetPaceOnExpenseAdded;
 exports.notifyPartnerOnExpenseAdded = notificationTriggers.notifyPartnerOnExpenseAdded;
 exports.sendPartnerInvitation = notificationTriggers.sendPartnerInvitation;
 exports.checkSavingsGoalMilestone = notificationTriggers.checkSavingsGoalMilestone;
@@ -122,6 +135,34 @@ exports.checkFiscalYearEndReminders = scheduledChecks.checkFiscalYearEndReminder
 exports.handleUnsubscribe = unsubscribe.handleUnsubscribe;
 exports.handleMailersendWebhook = webhooks.handleMailersendWebhook;
 
+// ============================================================================
+// Recurring Expense Functions
+// ============================================================================
+
+// Scheduled Functions
+exports.materializeRecurringExpenses = recurringExpenses.materializeRecurringExpenses;
+
+// ============================================================================
+// Settlement Plan Functions
+// ============================================================================
+
+// Scheduled Functions
+exports.sendSettlementPlanReminders = settlementPlanReminders.sendSettlementPlanReminders;
+
+// ============================================================================
+// Spending Digest Functions
+// ============================================================================
+
+// Scheduled Functions
+exports.sendSpendingDigests = spendingDigests.sendSpendingDigests;
+
+// ============================================================================
+// Trash Functions
+// ============================================================================
+
+// Scheduled Functions
+exports.purgeDeletedExpenses = trashPurge.purgeDeletedExpenses;
+
 // ============================================================================
 // Test & Utility Functions
 // ============================================================================
@@ -314,6 +314,8 @@ async function processReceiptDirect(params, context) {
         date: parsedData.date,
         tax: parsedData.tax,
         subtotal: parsedData.subtotal,
+        tip: parsedData.tip,
+        lineItems: parsedData.lineItems || [],
 
         // Currency detection (NEW)
         currency: parsedData.currency,
@@ -13,6 +13,8 @@ const MIN_AMOUNT = 0.01;
 const MAX_AMOUNT = 999999.99;
 const MIN_YEAR = 1900;
 const MAX_YEAR = 2100;
+const MAX_LINE_ITEMS = 100;
+const MAX_LINE_LENGTH = 200;
 
 /**
  * Supported currencies with detection patterns
@@ -22,9 +24,32 @@ const CURRENCY_PATTERNS = [
   // Unique symbols - high confidence
   { code: 'EUR', patterns: [/€/, /\bEUR\b/i], confidence: 0.95 },
   { code: 'GBP', patterns: [/£/, /\bGBP\b/i], confidence: 0.95 },
+  { code: 'INR', patterns: [/₹/, /\bINR\b/i], confidence: 0.95 },
+  { code: 'KRW', patterns: [/₩/, /원/, /\bKRW\b/i], confidence: 0.95 },
+  { code: 'PLN', patterns: [/zł/i, /\bPLN\b/i], confidence: 0.95 },
+  { code: 'CZK', patterns: [/Kč/, /\bCZK\b/i], confidence: 0.95 },
+  { code: 'TRY', patterns: [/₺/], confidence: 0.95 },
+  { code: 'RUB', patterns: [/₽/, /\bRUB\b/i], confidence: 0.95 },
+  { code: 'UAH', patterns: [/₴/, /грн/i, /\bUAH\b/i], confidence: 0.95 },
+  { code: 'PHP', patterns: [/₱/], confidence: 0.95 },
+  { code: 'THB', patterns: [/฿/, /บาท/, /\bTHB\b/i], confidence: 0.95 },
+  { code: 'VND', patterns: [/₫/, /\bVND\b/i], confidence: 0.95 },
+  { code: 'ILS', patterns: [/₪/, /\bILS\b/i, /\bNIS\b/], confidence: 0.95 },
+  { code: 'NGN', patterns: [/₦/, /\bNGN\b/i], confidence: 0.95 },
+  { code: 'CHF', patterns: [/\bCHF\b/i, /\bFr\.\s{0,2}\d/], confidence: 0.90 },
+  { code: 'KWD', patterns: [/\bKWD\b/i, /\bKD\s{0,2}\d/], confidence: 0.90 },
+  { code: 'HUF', patterns: [/\d\s{0,2}Ft\b/, /\bHUF\b/i], confidence: 0.85 },
+  { code: 'IDR', patterns: [/\bRp\.?\s{0,2}\d/, /\bIDR\b/i], confidence: 0.85 },
   // Multi-char symbols - medium-high confidence
   { code: 'BRL', patterns: [/R\$/, /\bBRL\b/i], confidence: 0.90 },
   { code: 'PEN', patterns: [/S\//, /\bPEN\b/i, /\bSOL(?:ES)?\b/i], confidence: 0.90 },
+  { code: 'CAD', patterns: [/CA\$/, /\bCAD\b/i], confidence: 0.90 },
+  { code: 'NZD', patterns: [/NZ\$/, /\bNZD\b/i], confidence: 0.90 },
+  { code: 'HKD', patterns: [/HK\$/, /\bHKD\b/i], confidence: 0.90 },
+  { code: 'AUD', patterns: [/(?<![A-Z])A\$/, /\bAUD\b/i], confidence: 0.90 },
+  { code: 'SGD', patterns: [/(?<![A-Z])S\$/, /\bSGD\b/i], confidence: 0.90 },
+  // Yen: 円 and full-width ￥ are Japanese, a plain ¥ is read as yuan
+  { code: 'JPY', patterns: [/円/, /￥/, /\bJPY\b/i], confidence: 0.90 },
   { code: 'CNY', patterns: [/¥/, /\bCNY\b/i, /\bRMB\b/i, /\bYUAN\b/i], confidence: 0.85 },
   { code: 'MXN', patterns: [/MX\$/, /\bMXN\b/i, /\bPESOS?\s+(?:MEXICANOS?)?\b/i], confidence: 0.85 },
   { code: 'COP', patterns: [/COL\$/, /\bCOP\b/i, /\bPESOS?\s+COLOMBIANOS?\b/i], confidence: 0.85 },
@@ -32,6 +57,24 @@ const CURRENCY_PATTERNS = [
   { code: 'USD', patterns: [/\$(?![\/R])/, /\bUSD\b/i], confidence: 0.70 },
 ];
 
+/**
+ * Optional currency symbol in front of an amount
+ * Order matters: multi-char symbols first (R$, S/, MX$, COL$, CA$, ...)
+ */
+const AMOUNT_SYMBOL_SOURCE = '(?:R\\$|S\\/|MX\\$|COL\\$|CA\\$|NZ\\$|HK\\$|A\\$|S\\$|CHF|Rp|[$€£¥￥₹₩₺₽₴₱฿₫₪₦])?';
+
+/**
+ * Line item detection patterns
+ * Summary rows are checked before items so "SUBTOTAL $21.62" is never an item
+ */
+const TRAILING_AMOUNT_PATTERN = new RegExp(`(-)?\\s{0,2}${AMOUNT_SYMBOL_SOURCE}\\s{0,2}(\\d{1,6}(?:[,.]\\d{3}){0,2}[,.]\\d{2})\\s{0,3}[A-Z]?$`);
+const SUBTOTAL_LINE_PATTERN = /\bsub[\s-]?total\b/i;
+const TAX_LINE_PATTERN = /\b(?:tax|vat|iva|gst|hst|pst|mwst|tva|igv)\b/i;
+const TIP_LINE_PATTERN = /\b(?:tip|gratuity|propina|pourboire|trinkgeld|gorjeta|mancia|service\s{1,3}charge)\b/i;
+const SUMMARY_LINE_PATTERN = /\b(?:t[o0]tal|balance|amount|due|change|cash|card|visa|mastercard|amex|debit|credit|auth|payment|paid|savings?|discount|price|gallons?|liters?)\b/i;
+// "2 x Caesar Salad   $18.00" - optional quantity prefix, description, line total
+const LINE_ITEM_PATTERN = new RegExp(`^(?:(\\d{1,3})\\s{0,2}[xX@]\\s{1,3})?(.{1,80}?)[\\s.:]{1,40}${AMOUNT_SYMBOL_SOURCE}\\s{0,2}\\d{1,6}(?:[,.]\\d{3}){0,2}[,.]\\d{2}\\s{0,3}[A-Z]?$`);
+
 /**
  * Extract text from OCR result object or return as-is if already a string
  */
@@ -109,7 +152,7 @@ function extractMerchantName(ocrResultOrText) {
 
 /**
  * Extract amount/total from receipt text
- * Supports multiple currency symbols: $, €, £, ¥, R$, S/, MX$, COL$
+ * Supports the currency symbols in AMOUNT_SYMBOL_SOURCE ($, €, £, ¥, ₹, ₩, R$, S/, MX$, COL$, ...)
  */
 function extractAmount(ocrResultOrText) {
   let text = extractTextFromOCR(ocrResultOrText);
@@ -121,19 +164,15 @@ function extractAmount(ocrResultOrText) {
     text = text.substring(0, MAX_TEXT_LENGTH);
   }
 
-  // Currency symbols pattern - covers all supported currencies
-  // Order matters: check multi-char symbols first (R$, S/, MX$, COL$)
-  const currencySymbol = '(?:R\\$|S\\/|MX\\$|COL\\$|[$€£¥])?';
-
   // Look for common total patterns with BOUNDED quantifiers to prevent ReDoS
   // Support both period (1,234.56) and comma (1.234,56) decimal formats
   const patterns = [
-    new RegExp(`total[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
-    new RegExp(`amount[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
-    new RegExp(`balance[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
-    new RegExp(`grand\\s{1,3}total[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
-    new RegExp(`subtotal[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
-    new RegExp(`sum[:\\s]{0,3}(?!-)${currencySymbol}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`total[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`amount[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`balance[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`grand\\s{1,3}total[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`subtotal[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
+    new RegExp(`sum[:\\s]{0,3}(?!-)${AMOUNT_SYMBOL_SOURCE}\\s{0,3}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'i'),
   ];
 
   for (const pattern of patterns) {
@@ -155,7 +194,7 @@ function extractAmount(ocrResultOrText) {
 
   // Fallback: find the largest amount (excluding negative amounts)
   // Pattern for amounts with various currency symbols
-  const amountPattern = /(?:R\$|S\/|MX\$|COL\$|[$€£¥])?\s{0,2}(\d{1,3}(?:[,.]\d{3})*(?:[,.]\d{1,2})?)/g;
+  const amountPattern = new RegExp(`${AMOUNT_SYMBOL_SOURCE}\\s{0,2}(\\d{1,3}(?:[,.]\\d{3})*(?:[,.]\\d{1,2})?)`, 'g');
   const matches = [...text.matchAll(amountPattern)];
 
   if (matches.length > 0) {
@@ -201,7 +240,7 @@ function parseAmountString(amountStr) {
   const lastComma = cleaned.lastIndexOf(',');
   const lastPeriod = cleaned.lastIndexOf('.');
 
-  if (lastComma > lastPeriod) {
+  if (lastComma > lastPeriod && lastPeriod !== -1) {
     // EU format: 1.234,56 - comma is decimal separator
     cleaned = cleaned.replace(/\./g, '').replace(',', '.');
   } else if (lastPeriod > lastComma) {
@@ -292,6 +331,72 @@ function extractDate(ocrResultOrText) {
   return new Date();
 }
 
+/**
+ * Extract line items, subtotal, tax and tip from receipt text
+ * Works line by line: each item row must end with its line total, which is
+ * how most printed receipts lay out purchases. Discounts (negative amounts)
+ * are not returned as items; they are absorbed when splits reconcile to the
+ * receipt total.
+ *
+ * @param {Object|string} ocrResultOrText - Vision API result or raw text
+ * @returns {{items: Array<{description: string, quantity: number, unitPrice: number, price: number}>,
+ *   subtotal: number|null, tax: number|null, tip: number|null}}
+ */
+function extractLineItems(ocrResultOrText) {
+  let text = extractTextFromOCR(ocrResultOrText);
+  const result = { items: [], subtotal: null, tax: null, tip: null };
+  if (!text) return result;
+
+  // Truncate input to prevent ReDoS
+  if (text.length > MAX_TEXT_LENGTH) {
+    text = text.substring(0, MAX_TEXT_LENGTH);
+  }
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim().substring(0, MAX_LINE_LENGTH);
+    const amountMatch = line.match(TRAILING_AMOUNT_PATTERN);
+    if (!amountMatch) continue;
+
+    const isNegative = !!amountMatch[1];
+    const amount = parseAmountString(amountMatch[2]);
+    if (amount < MIN_AMOUNT || amount > MAX_AMOUNT) continue;
+
+    if (SUBTOTAL_LINE_PATTERN.test(line)) {
+      result.subtotal = amount;
+      continue;
+    }
+    if (TAX_LINE_PATTERN.test(line)) {
+      // Receipts may list several tax rates - add them up
+      result.tax = Math.round(((result.tax || 0) + amount) * 100) / 100;
+      continue;
+    }
+    if (TIP_LINE_PATTERN.test(line)) {
+      result.tip = amount;
+      continue;
+    }
+    if (isNegative || SUMMARY_LINE_PATTERN.test(line)) continue;
+
+    const itemMatch = line.match(LINE_ITEM_PATTERN);
+    if (!itemMatch) continue;
+
+    const description = itemMatch[2].trim();
+    // Skip rows without words, e.g. dates, times or reference numbers
+    if (!/[a-z]{2}/i.test(description)) continue;
+
+    const quantity = itemMatch[1] ? Math.max(1, parseInt(itemMatch[1], 10)) : 1;
+    result.items.push({
+      description,
+      quantity,
+      unitPrice: Math.round((amount / quantity) * 100) / 100,
+      price: amount,
+    });
+
+    if (result.items.length >= MAX_LINE_ITEMS) break;
+  }
+
+  return result;
+}
+
 /**
  * Parse receipt text and extract structured data
  */
@@ -309,6 +414,10 @@ function parseReceipt(ocrResult) {
       currency: null,
       currencyConfidence: 0,
       date: new Date(),
+      lineItems: [],
+      subtotal: null,
+      tax: null,
+      tip: null,
       rawText: text,
       confidence: 0
     };
@@ -325,6 +434,7 @@ function parseReceipt(ocrResult) {
   const amount = extractAmount(processedText);
   const date = extractDate(processedText);
   const currencyInfo = detectCurrency(processedText);
+  const { items: lineItems, subtotal, tax, tip } = extractLineItems(processedText);
 
   // Calculate confidence score based on what we extracted
   let confidence = 0;
@@ -340,6 +450,10 @@ function parseReceipt(ocrResult) {
     currencyConfidence: currencyInfo.confidence,
     currencyDetected: currencyInfo.detected,
     date,
+    lineItems,
+    subtotal,
+    tax,
+    tip,
     rawText: processedText,
     confidence
   };
@@ -403,6 +517,7 @@ module.exports = {
   extractDate,
   detectCurrency,
   parseAmountString,
+  extractLineItems,
   parseReceipt,
   suggestCategory
 };
@@ -0,0 +1,133 @@
+/**
+ * Recurring Expense Materialization
+ *
+ * Scheduled Cloud Function that turns due occurrences of recurring expense
+ * series (`recurringExpenses` collection) into regular documents in the
+ * `expenses` collection, copying the series template's amount, category and
+ * split.
+ *
+ * Occurrence expenses use the deterministic ID `{seriesId}_{YYYY-MM-DD}` so a
+ * retried or overlapping run can never create the same occurrence twice.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { toDateKey, collectDueOccurrences } = require('./recurrence');
+
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+// gRPC status code returned by create() when the document already exists
+const ALREADY_EXISTS = 6;
+
+/**
+ * Build the expense document for one occurrence
+ *
+ * @param {string} seriesId - Recurring expense series ID
+ * @param {Object} series - Series document data
+ * @param {string} dateKey - Occurrence date ('YYYY-MM-DD')
+ * @returns {Object} Expense document
+ */
+function buildOccurrenceExpense(seriesId, series, dateKey) {
+  return {
+    ...series.expenseTemplate,
+    coupleId: series.coupleId,
+    // Midday UTC keeps the calendar day stable for clients in any time zone
+    date: `${dateKey}T12:00:00.000Z`,
+    recurringExpenseId: seriesId,
+    recurrenceDate: dateKey,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Materialize due occurrences for a single series
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.DocumentSnapshot} seriesDoc - Series document
+ * @param {string} todayKey - Today's date key
+ * @returns {Promise<number>} Number of expenses created
+ */
+async function materializeSeries(db, seriesDoc, todayKey) {
+  const series = seriesDoc.data();
+  const { dueDates, occurrenceIndex, nextOccurrenceDate, status } = collectDueOccurrences(
+    series,
+    todayKey
+  );
+
+  let created = 0;
+
+  for (const dateKey of dueDates) {
+    const expenseRef = db.collection('expenses').doc(`${seriesDoc.id}_${dateKey}`);
+
+    try {
+      await expenseRef.create(buildOccurrenceExpense(seriesDoc.id, series, dateKey));
+      created++;
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) {
+        throw error;
+      }
+      console.log(`Occurrence already exists: ${expenseRef.id}`);
+    }
+  }
+
+  await seriesDoc.ref.update({
+    occurrenceIndex,
+    nextOccurrenceDate,
+    status,
+    lastMaterializedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return created;
+}
+
+/**
+ * Materialize recurring expenses
+ * Runs daily at 6 AM Eastern Time
+ */
+exports.materializeRecurringExpenses = onSchedule(
+  {
+    schedule: '0 6 * * *', // Every day at 6 AM
+    timeZone: SCHEDULE_TIME_ZONE,
+    retryCount: 1,
+  },
+  async () => {
+    console.log('Running recurring expense materialization...');
+
+    const db = admin.firestore();
+    const todayKey = toDateKey(new Date(), SCHEDULE_TIME_ZONE);
+
+    try {
+      // Single-field range query; status is filtered in code to avoid a composite index
+      const dueSnapshot = await db
+        .collection('recurringExpenses')
+        .where('nextOccurrenceDate', '<=', todayKey)
+        .get();
+
+      let totalCreated = 0;
+
+      for (const seriesDoc of dueSnapshot.docs) {
+        if (seriesDoc.data().status !== 'active') {
+          continue;
+        }
+
+        try {
+          const created = await materializeSeries(db, seriesDoc, todayKey);
+          totalCreated += created;
+          console.log(`Series ${seriesDoc.id}: ${created} occurrence(s) created`);
+        } catch (error) {
+          console.error(`Error materializing series ${seriesDoc.id}:`, error);
+        }
+      }
+
+      console.log(`Recurring expense materialization completed: ${totalCreated} expense(s) created`);
+      return null;
+    } catch (error) {
+      console.error('Error in recurring expense materialization:', error);
+      return null;
+    }
+  }
+);
+
+exports.buildOccurrenceExpense = buildOccurrenceExpense;
+exports.materializeSeries = materializeSeries;
@@ -0,0 +1,147 @@
+/**
+ * Recurrence Date Math
+ *
+ * Server-side copy of src/utils/recurrence.js used by the materialization job.
+ * Occurrence dates are 'YYYY-MM-DD' keys computed from the series start date,
+ * so clamped days (e.g. the 31st in February) never drift.
+ */
+
+/**
+ * Convert a Date to a 'YYYY-MM-DD' key in the given time zone
+ *
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone (default UTC)
+ * @returns {string} Date key
+ */
+function toDateKey(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+/**
+ * Build a date key from UTC date components (month is 0-based and may overflow)
+ */
+function keyFromParts(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10);
+}
+
+function parseDateKey(key) {
+  if (!key || typeof key !== 'string') return null;
+  const [year, month, day] = key.split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return { year, monthIndex: month - 1, day };
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+/**
+ * Get the date key of the nth occurrence (0-based) of a series
+ *
+ * @param {Object} rule - Series with frequency, interval, startDate, dayOfMonth
+ * @param {number} index - Occurrence index
+ * @returns {string|null} Date key
+ */
+function getOccurrenceDate(rule, index) {
+  const start = parseDateKey(rule && rule.startDate);
+  if (!start || index < 0) return null;
+
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  switch (rule.frequency) {
+    case 'weekly':
+      return keyFromParts(start.year, start.monthIndex, start.day + index * interval * 7);
+
+    case 'monthly': {
+      const targetDay = rule.dayOfMonth || start.day;
+      // A custom day before the start day first falls in the next month
+      const firstMonth = Math.min(targetDay, daysInMonth(start.year, start.monthIndex)) < start.day ? 1 : 0;
+      const totalMonths = start.monthIndex + firstMonth + index * interval;
+      const year = start.year + Math.floor(totalMonths / 12);
+      const monthIndex = totalMonths % 12;
+      const day = Math.min(targetDay, daysInMonth(year, monthIndex));
+      return keyFromParts(year, monthIndex, day);
+    }
+
+    case 'yearly': {
+      const year = start.year + index * interval;
+      const day = Math.min(start.day, daysInMonth(year, start.monthIndex));
+      return keyFromParts(year, start.monthIndex, day);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a series has run out of occurrences at the given index
+ *
+ * @param {Object} rule - Series with optional endDate / maxOccurrences
+ * @param {number} index - Occurrence index
+ * @returns {boolean}
+ */
+function isRecurrenceFinished(rule, index) {
+  if (rule.maxOccurrences && index >= rule.maxOccurrences) {
+    return true;
+  }
+
+  const occurrence = getOccurrenceDate(rule, index);
+  if (!occurrence) return true;
+
+  return !!rule.endDate && occurrence > rule.endDate;
+}
+
+/**
+ * Work out which occurrences are due on or before today
+ *
+ * Returns the dates to materialize (skipped dates excluded) and the schedule
+ * state to write back onto the series.
+ *
+ * @param {Object} series - Recurring expense series document
+ * @param {string} todayKey - Today's date key
+ * @param {number} maxPerRun - Safety cap on occurrences processed
+ * @returns {{dueDates: Array<string>, occurrenceIndex: number, nextOccurrenceDate: string|null, status: string}}
+ */
+function collectDueOccurrences(series, todayKey, maxPerRun = 60) {
+  const skipped = new Set(series.skippedDates || []);
+  const dueDates = [];
+  let index = series.occurrenceIndex || 0;
+  let processed = 0;
+
+  while (processed < maxPerRun && !isRecurrenceFinished(series, index)) {
+    const date = getOccurrenceDate(series, index);
+    if (date > todayKey) break;
+
+    if (!skipped.has(date)) {
+      dueDates.push(date);
+    }
+
+    index++;
+    processed++;
+  }
+
+  const finished = isRecurrenceFinished(series, index);
+
+  return {
+    dueDates,
+    occurrenceIndex: index,
+    nextOccurrenceDate: finished ? null : getOccurrenceDate(series, index),
+    status: finished ? 'ended' : series.status,
+  };
+}
+
+module.exports = {
+  toDateKey,
+  getOccurrenceDate,
+  isRecurrenceFinished,
+  collectDueOccurrences,
+};
@@ -0,0 +1,56 @@
+/**
+ * Savings Goal Milestones
+ *
+ * Shared model for savings goals stored in the `savingsTargets` collection
+ * (written by the client's savingsTargetService). Milestones that have been
+ * reached are recorded on the goal document in `reachedMilestones`, which is
+ * owned by Cloud Functions, so each milestone is announced only once even if
+ * progress later dips below it and recovers.
+ */
+
+const SAVINGS_GOALS_COLLECTION = 'savingsTargets';
+
+const SAVINGS_MILESTONES = [25, 50, 75, 100];
+
+/**
+ * Get the milestones a goal's current progress has reached
+ *
+ * @param {number} currentAmount - Amount saved so far
+ * @param {number} targetAmount - Goal amount
+ * @returns {number[]} Reached milestone percentages, ascending
+ */
+function getReachedMilestones(currentAmount, targetAmount) {
+  const current = Number(currentAmount) || 0;
+  const target = Number(targetAmount) || 0;
+
+  if (target <= 0 || current <= 0) {
+    return [];
+  }
+
+  // Compare without rounding so 24.6% never counts as the 25% milestone
+  return SAVINGS_MILESTONES.filter((milestone) => current * 100 >= milestone * target);
+}
+
+/**
+ * Get milestones reached by a goal that have not been recorded yet
+ *
+ * @param {Object} goal - Savings goal document data
+ * @returns {number[]} Newly reached milestone percentages, ascending
+ */
+function getPendingMilestones(goal) {
+  if (!goal) {
+    return [];
+  }
+
+  const recorded = new Set(goal.reachedMilestones || []);
+  return getReachedMilestones(goal.currentAmount, goal.targetAmount).filter(
+    (milestone) => !recorded.has(milestone)
+  );
+}
+
+module.exports = {
+  SAVINGS_GOALS_COLLECTION,
+  SAVINGS_MILESTONES,
+  getReachedMilestones,
+  getPendingMilestones,
+};
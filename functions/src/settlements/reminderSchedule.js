@@ -0,0 +1,56 @@
+/**
+ * Settlement Plan Reminder Schedule
+ *
+ * Decides which settlement plan instalment, if any, is due a reminder today.
+ * Kept free of Firebase dependencies so it can be unit tested.
+ */
+
+// Reminders are sent at most this many days before an instalment is due
+const MAX_REMINDER_DAYS = 7;
+
+/**
+ * Add days to a 'YYYY-MM-DD' key
+ *
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+function addDaysToKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the instalment a plan should send a reminder for today
+ *
+ * @param {Object} plan - Settlement plan document data
+ * @param {string} todayKey - Today's date key
+ * @returns {Object|null} Pending instalment to remind about, or null
+ */
+function getInstalmentToRemind(plan, todayKey) {
+  if (!plan || plan.status !== 'active') {
+    return null;
+  }
+
+  const instalment = (plan.instalments || []).find((item) => item.status === 'pending');
+  if (!instalment || !instalment.dueDate) {
+    return null;
+  }
+
+  if (plan.lastReminderDate === instalment.dueDate) {
+    return null;
+  }
+
+  const daysBefore = Math.min(
+    MAX_REMINDER_DAYS,
+    Math.max(0, parseInt(plan.reminderDaysBefore, 10) || 0)
+  );
+
+  return addDaysToKey(instalment.dueDate, -daysBefore) <= todayKey ? instalment : null;
+}
+
+module.exports = {
+  MAX_REMINDER_DAYS,
+  addDaysToKey,
+  getInstalmentToRemind,
+};
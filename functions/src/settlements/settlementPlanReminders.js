@@ -0,0 +1,132 @@
+/**
+ * Settlement Plan Reminders
+ *
+ * Scheduled Cloud Function that reminds the paying partner of an upcoming
+ * settlement plan instalment (`settlementPlans` collection, written by the
+ * client's settlementService). Each plan asks to be reminded
+ * `reminderDaysBefore` days ahead of the due date; the due date of the last
+ * reminded instalment is stored in `lastReminderDate` so every instalment is
+ * announced only once.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { toDateKey } = require('../recurring/recurrence');
+const {
+  isPushEnabled,
+  sendPushToUser,
+  logPushSent,
+} = require('../push/pushNotificationService');
+const { formatCurrency } = require('../email/mailersendService');
+const {
+  MAX_REMINDER_DAYS,
+  addDaysToKey,
+  getInstalmentToRemind,
+} = require('./reminderSchedule');
+
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+/**
+ * Send the reminder for one plan and record it
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} planDoc - Plan document
+ * @param {Object} instalment - Instalment to remind about
+ * @param {string} todayKey - Today's date key
+ * @returns {Promise<boolean>} Whether a push was sent
+ */
+async function sendPlanReminder(planDoc, instalment, todayKey) {
+  const plan = planDoc.data();
+  const { coupleId, payerId, instalmentCount } = plan;
+
+  // Record first so a failed push is not retried every day
+  await planDoc.ref.update({
+    lastReminderDate: instalment.dueDate,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const pushEnabled = await isPushEnabled(coupleId, 'settlementReminder');
+  if (!pushEnabled) {
+    return false;
+  }
+
+  const settingsDoc = await admin.firestore().collection('coupleSettings').doc(coupleId).get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+  const currency = settings.budgetPreferences?.budgetCurrency || 'USD';
+  const locale = settings.budgetPreferences?.currencyLocale || 'en-US';
+
+  const amount = formatCurrency(instalment.amount, currency, locale);
+  const position = `${instalment.index + 1} of ${instalmentCount}`;
+  const pushTitle = instalment.dueDate < todayKey ? 'Payment Overdue' : 'Payment Reminder';
+  const pushBody = instalment.dueDate === todayKey
+    ? `Instalment ${position} (${amount}) of your settlement plan is due today`
+    : `Instalment ${position} (${amount}) of your settlement plan is due on ${instalment.dueDate}`;
+
+  const pushResult = await sendPushToUser(payerId, pushTitle, pushBody, {
+    screen: 'SettlementHistory',
+    type: 'settlementReminder',
+    planId: planDoc.id,
+  });
+
+  await logPushSent({
+    coupleId,
+    userId: payerId,
+    type: 'settlementReminder',
+    success: pushResult.success,
+    sent: pushResult.sent,
+    error: pushResult.error,
+  });
+
+  return pushResult.success;
+}
+
+/**
+ * Remind payers of upcoming settlement plan instalments
+ * Runs daily at 9 AM Eastern Time
+ */
+exports.sendSettlementPlanReminders = onSchedule(
+  {
+    schedule: '0 9 * * *', // Every day at 9 AM
+    timeZone: SCHEDULE_TIME_ZONE,
+    retryCount: 1,
+  },
+  async () => {
+    console.log('Running settlement plan reminders...');
+
+    const db = admin.firestore();
+    const todayKey = toDateKey(new Date(), SCHEDULE_TIME_ZONE);
+    const horizonKey = addDaysToKey(todayKey, MAX_REMINDER_DAYS);
+
+    try {
+      // Single-field range query; status is filtered in code to avoid a composite index
+      const dueSnapshot = await db
+        .collection('settlementPlans')
+        .where('nextDueDate', '<=', horizonKey)
+        .get();
+
+      let remindersSent = 0;
+
+      for (const planDoc of dueSnapshot.docs) {
+        const instalment = getInstalmentToRemind(planDoc.data(), todayKey);
+        if (!instalment) {
+          continue;
+        }
+
+        try {
+          if (await sendPlanReminder(planDoc, instalment, todayKey)) {
+            remindersSent++;
+          }
+        } catch (error) {
+          console.error(`Error sending reminder for plan ${planDoc.id}:`, error);
+        }
+      }
+
+      console.log(`Settlement plan reminders completed: ${remindersSent} reminder(s) sent`);
+      return null;
+    } catch (error) {
+      console.error('Error in settlement plan reminders:', error);
+      return null;
+    }
+  }
+);
+
+exports.sendPlanReminder = sendPlanReminder;
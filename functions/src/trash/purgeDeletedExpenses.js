@@ -0,0 +1,129 @@
+/**
+ * Trash Purge
+ *
+ * Scheduled Cloud Function that permanently deletes expenses that have been
+ * in the trash for more than TRASH_RETENTION_DAYS days. A purged expense's
+ * receipt image, thumbnail and `receipts` metadata are removed too, unless
+ * another expense of the couple still points at the same (deduplicated)
+ * receipt.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('firebase-admin');
+const { getPurgeCutoff, getStoragePathFromUrl } = require('./trashRetention');
+
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+/**
+ * Delete a receipt's files and metadata
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Bucket} bucket - Storage bucket
+ * @param {string} receiptUrl - Download URL of the receipt
+ */
+async function deleteReceiptFiles(db, bucket, receiptUrl) {
+  const metadataSnapshot = await db
+    .collection('receipts')
+    .where('url', '==', receiptUrl)
+    .limit(1)
+    .get();
+  const metadataDoc = metadataSnapshot.empty ? null : metadataSnapshot.docs[0];
+  const metadata = metadataDoc ? metadataDoc.data() : {};
+
+  const paths = [
+    metadata.storagePath || getStoragePathFromUrl(receiptUrl),
+    metadata.thumbnailPath,
+  ].filter(Boolean);
+
+  for (const path of paths) {
+    await bucket.file(path).delete({ ignoreNotFound: true });
+  }
+
+  if (metadataDoc) {
+    await metadataDoc.ref.delete();
+  }
+}
+
+/**
+ * Permanently delete one trashed expense and, if orphaned, its receipt
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Bucket} bucket - Storage bucket
+ * @param {FirebaseFirestore.DocumentSnapshot} expenseDoc - Trashed expense
+ * @returns {Promise<boolean>} Whether the receipt was deleted as well
+ */
+async function purgeExpense(db, bucket, expenseDoc) {
+  const { coupleId, receiptUrl } = expenseDoc.data();
+
+  // Fails instead of deleting if the expense was restored since it was read
+  await expenseDoc.ref.delete({ lastUpdateTime: expenseDoc.updateTime });
+
+  if (!receiptUrl) {
+    return false;
+  }
+
+  // Trashed expenses count too: they may still be restored with their receipt
+  const sharedSnapshot = await db
+    .collection('expenses')
+    .where('coupleId', '==', coupleId)
+    .where('receiptUrl', '==', receiptUrl)
+    .limit(1)
+    .get();
+
+  if (!sharedSnapshot.empty) {
+    return false;
+  }
+
+  await deleteReceiptFiles(db, bucket, receiptUrl);
+  return true;
+}
+
+/**
+ * Purge expired expenses from the trash
+ * Runs daily at 3 AM Eastern Time
+ */
+exports.purgeDeletedExpenses = onSchedule(
+  {
+    schedule: '0 3 * * *', // Every day at 3 AM
+    timeZone: SCHEDULE_TIME_ZONE,
+    retryCount: 1,
+  },
+  async () => {
+    console.log('Running trash purge...');
+
+    const db = admin.firestore();
+    const bucket = admin.storage().bucket();
+    const cutoff = admin.firestore.Timestamp.fromDate(getPurgeCutoff());
+
+    try {
+      // Restored expenses have deletedAt set back to null, which a range query skips
+      const expiredSnapshot = await db
+        .collection('expenses')
+        .where('deletedAt', '<=', cutoff)
+        .get();
+
+      let purged = 0;
+      let receiptsDeleted = 0;
+
+      for (const expenseDoc of expiredSnapshot.docs) {
+        try {
+          if (await purgeExpense(db, bucket, expenseDoc)) {
+            receiptsDeleted++;
+          }
+          purged++;
+        } catch (error) {
+          console.error(`Error purging expense ${expenseDoc.id}:`, error);
+        }
+      }
+
+      console.log(`Trash purge completed: ${purged} expense(s) and ${receiptsDeleted} receipt(s) deleted`);
+      return null;
+    } catch (error) {
+      console.error('Error in trash purge:', error);
+      return null;
+    }
+  }
+);
+
+exports.purgeExpense = purgeExpense;
+exports.deleteReceiptFiles = deleteReceiptFiles;
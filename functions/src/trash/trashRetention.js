@@ -0,0 +1,80 @@
+/**
+ * Expense Trash Retention
+ *
+ * Server-side copy of the trash rules in src/utils/expenseTrash.js. Deleted
+ * expenses keep their document with `deletedAt`/`deletedBy` set; they are
+ * left out of alerts, digests and summaries, and purgeDeletedExpenses removes
+ * them for good once TRASH_RETENTION_DAYS have passed.
+ */
+
+const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Whether an expense is in the trash
+ *
+ * @param {Object} expense - Expense document data
+ * @returns {boolean}
+ */
+function isDeletedExpense(expense) {
+  return Boolean(expense?.deletedAt || expense?.deletedBy);
+}
+
+/**
+ * Leave trashed expenses out of a list
+ *
+ * @param {Array} expenses - Expense document data
+ * @returns {Array} Expenses that aren't in the trash
+ */
+function excludeDeletedExpenses(expenses = []) {
+  return expenses.filter((expense) => !isDeletedExpense(expense));
+}
+
+/**
+ * Expenses deleted before this date are due to be purged
+ *
+ * @param {Date} now - Reference date
+ * @returns {Date}
+ */
+function getPurgeCutoff(now = new Date()) {
+  return new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/**
+ * Get the Storage object path of a receipt from its URL
+ * Handles Firebase download URLs (`.../o/<encoded path>?alt=media`) and
+ * `gs://bucket/path` URLs.
+ *
+ * @param {string} url - Receipt URL
+ * @returns {string|null} Object path, or null if the URL isn't a Storage URL
+ */
+function getStoragePathFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const gsMatch = url.match(/^gs:\/\/[^/]+\/(.+)$/);
+  if (gsMatch) {
+    return gsMatch[1];
+  }
+
+  const downloadMatch = url.match(/^https?:\/\/[^?#]+\/o\/([^?#]+)/);
+  if (downloadMatch) {
+    try {
+      return decodeURIComponent(downloadMatch[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  isDeletedExpense,
+  excludeDeletedExpenses,
+  getPurgeCutoff,
+  getStoragePathFromUrl,
+};
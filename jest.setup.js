@@ -80,6 +80,11 @@ jest.mock('@react-native-async-storage/async-storage', () =>
   require('@react-native-async-storage/async-storage/jest/async-storage-mock')
 );
 
+// Mock NetInfo
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+
 // Mock react-native-safe-area-context
 jest.mock('react-native-safe-area-context', () => {
   const inset = { top: 0, right: 0, bottom: 0, left: 0 };
@@ -261,6 +266,12 @@ jest.mock('expo-file-system', () => ({
   },
 }));
 
+// Mock expo-file-system legacy API (used by imageCompression, ocrService and
+// bankStatementParser). It is the same object as the expo-file-system mock, so
+// values a test queues on one are read through the other: reset them between
+// tests rather than leaving unused mockResolvedValueOnce values behind.
+jest.mock('expo-file-system/legacy', () => jest.requireMock('expo-file-system'));
+
 // Mock pdf-parse
 jest.mock('pdf-parse', () => {
   return jest.fn().mockResolvedValue({
@@ -305,7 +316,7 @@ global.Intl.NumberFormat = function (locale, options) {
           : options.currency === 'BRL' ? 'R$'
           : '$';
 
-        const decimals = options.maximumFractionDigits || 2;
+        const decimals = options.maximumFractionDigits ?? 2;
         return `${symbol}${Math.abs(value).toFixed(decimals)}`;
       },
     };
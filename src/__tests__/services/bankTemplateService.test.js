@@ -0,0 +1,93 @@
+// src/__tests__/services/bankTemplateService.test.js
+// Unit tests for couple-defined bank templates
+
+import { addBankTemplate, updateBankTemplate } from '../../services/bankTemplateService';
+import { getDoc, setDoc } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((...segments) => ({ path: segments.slice(1).join('/') })),
+  doc: jest.fn((ref, id) => ({ id })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  onSnapshot: jest.fn(),
+}));
+
+const TEMPLATE = {
+  name: 'Banco Estado',
+  identifier: 'bancoestado, cuentarut',
+  csv: {
+    dateColumn: 'Fecha',
+    descriptionColumn: 'Descripción',
+    debitColumn: 'Cargos',
+    creditColumn: 'Abonos',
+    decimalSeparator: ',',
+  },
+};
+
+describe('bankTemplateService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addBankTemplate', () => {
+    it('should save a normalised template under a couple-scoped id', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      const result = await addBankTemplate('couple1', TEMPLATE, 'user1');
+
+      expect(setDoc.mock.calls[0][0]).toEqual({ id: `couple1_${result.key}` });
+      expect(setDoc.mock.calls[0][1]).toEqual(
+        expect.objectContaining({
+          coupleId: 'couple1',
+          name: 'Banco Estado',
+          identifier: ['bancoestado', 'cuentarut'],
+          createdBy: 'user1',
+        })
+      );
+      expect(setDoc.mock.calls[0][1].csv).toEqual(
+        expect.objectContaining({ debitColumn: 'Cargos', amountColumn: null, decimalSeparator: ',' })
+      );
+    });
+
+    it('should reject invalid templates before touching Firestore', async () => {
+      await expect(addBankTemplate('couple1', { ...TEMPLATE, csv: { dateColumn: 'Fecha' } }, 'user1'))
+        .rejects.toThrow('Date and description columns are required');
+      expect(getDoc).not.toHaveBeenCalled();
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject a name that matches an existing template', async () => {
+      getDoc.mockResolvedValue({ exists: () => true });
+
+      await expect(addBankTemplate('couple1', TEMPLATE, 'user1')).rejects.toThrow(
+        'A template with a similar name already exists'
+      );
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateBankTemplate', () => {
+    it('should keep the couple and author when updating', async () => {
+      getDoc.mockResolvedValue({
+        exists: () => true,
+        data: () => ({ coupleId: 'couple1', key: 'banco_estado', createdBy: 'user1', ...TEMPLATE }),
+      });
+
+      await updateBankTemplate('couple1', 'banco_estado', { ...TEMPLATE, name: 'BancoEstado' });
+
+      expect(setDoc.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ coupleId: 'couple1', key: 'banco_estado', createdBy: 'user1', name: 'BancoEstado' })
+      );
+    });
+
+    it('should fail for an unknown template', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      await expect(updateBankTemplate('couple1', 'missing', TEMPLATE)).rejects.toThrow('Template not found');
+    });
+  });
+});
@@ -218,6 +218,34 @@ describe('budgetService.js - Calculation Functions', () => {
       });
     });
 
+    it('should include rollovers and report base and rollover', () => {
+      const expenses = [
+        {
+          categoryKey: 'food',
+          amount: 300,
+          createdAt: new Date('2024-01-10'),
+        },
+      ];
+
+      const result = calculateBudgetProgress(
+        { ...budget, categoryRollovers: { food: 100, transport: -50 } },
+        expenses
+      );
+
+      expect(result.totalBudget).toBe(1050);
+      expect(result.categoryProgress.food).toEqual({
+        budget: 600,
+        spent: 300,
+        remaining: 300,
+        percentage: 50,
+        status: 'normal',
+        base: 500,
+        rollover: 100,
+      });
+      expect(result.categoryProgress.transport.budget).toBe(250);
+      expect(result.categoryProgress.utilities.rollover).toBeUndefined();
+    });
+
     it('should return zeros for null budget', () => {
       const result = calculateBudgetProgress(null, []);
       expect(result).toEqual({
@@ -353,6 +381,15 @@ describe('budgetService.js - Calculation Functions', () => {
       expect(getTotalBudget(budget)).toBe(1000);
     });
 
+    it('should include rollovers', () => {
+      const budget = {
+        categoryBudgets: { food: 500, transport: 300 },
+        categoryRollovers: { food: 25.5 },
+      };
+
+      expect(getTotalBudget(budget)).toBe(825.5);
+    });
+
     it('should return 0 for null budget', () => {
       expect(getTotalBudget(null)).toBe(0);
     });
@@ -0,0 +1,320 @@
+// src/__tests__/services/currencyMigrationService.test.js
+// Unit tests for changing, resuming and undoing a primary currency change
+
+import {
+  previewCurrencyMigration,
+  runCurrencyMigration,
+  rollbackCurrencyMigration,
+} from '../../services/currencyMigrationService';
+import { getExchangeRate } from '../../services/exchangeRateService';
+import { updatePrimaryCurrency } from '../../services/coupleSettingsService';
+import { dryRunMigration, migrateCoupleToCurrency } from '../../utils/currencyMigration';
+
+import { getDoc, setDoc } from 'firebase/firestore';
+
+const mockStore = {};
+const mockBatches = [];
+
+// Apply a batched update to the in-memory store
+const mockApplyUpdate = ({ path }, updates) => {
+  const [name, id] = path.split('/');
+  const entry = (mockStore[name] || []).find((item) => item.id === id);
+  const data = { ...entry.data, ...updates };
+  Object.keys(updates).forEach((field) => {
+    if (updates[field] === 'DELETE') delete data[field];
+  });
+  entry.data = data;
+};
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, name) => ({ name })),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  doc: jest.fn((db, name, id) => ({ path: `${name}/${id}` })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(async ({ name }) => ({
+    docs: (mockStore[name] || []).map(({ id, data }) => ({ id, data: () => data })),
+  })),
+  setDoc: jest.fn(),
+  writeBatch: jest.fn(() => {
+    const batch = { update: jest.fn(mockApplyUpdate), set: jest.fn(), commit: jest.fn().mockResolvedValue() };
+    mockBatches.push(batch);
+    return batch;
+  }),
+  deleteField: jest.fn(() => 'DELETE'),
+  serverTimestamp: jest.fn(() => 'now'),
+}));
+
+jest.mock('../../services/exchangeRateService', () => ({
+  EXCHANGE_RATE_SOURCES: { NONE: 'none', MANUAL: 'manual', PROVIDER: 'provider', MIGRATION: 'migration' },
+  getExchangeRate: jest.fn(),
+}));
+
+jest.mock('../../services/coupleSettingsService', () => ({
+  updatePrimaryCurrency: jest.fn(),
+}));
+
+jest.mock('../../utils/currencyMigration', () => ({
+  ...jest.requireActual('../../utils/currencyMigration'),
+  dryRunMigration: jest.fn(),
+  migrateCoupleToCurrency: jest.fn(),
+}));
+
+const record = (data) => ({ exists: () => !!data, id: 'couple1', data: () => data });
+
+const usdExpense = (amount, extra = {}) => ({
+  coupleId: 'couple1',
+  amount,
+  currency: 'USD',
+  primaryCurrency: 'USD',
+  primaryCurrencyAmount: amount,
+  exchangeRate: 1.0,
+  date: '2026-10-01',
+  ...extra,
+});
+
+// All updates written, in order
+const writtenUpdates = () => mockBatches.flatMap((batch) => batch.update.mock.calls);
+
+describe('currencyMigrationService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBatches.length = 0;
+    Object.keys(mockStore).forEach((key) => delete mockStore[key]);
+
+    mockStore.expenses = [
+      { id: 'exp1', data: usdExpense(100) },
+      { id: 'exp2', data: usdExpense(50) },
+    ];
+    getExchangeRate.mockImplementation(async (coupleId, from, to, dateKey) => ({
+      rate: from === 'USD' ? 0.9 : 1 / 0.9,
+      date: dateKey,
+      source: 'provider',
+      provider: 'fixture',
+    }));
+    dryRunMigration.mockResolvedValue({ expensesNeedMigration: 0, budgetsNeedMigration: 1 });
+    migrateCoupleToCurrency.mockResolvedValue({ success: true });
+    getDoc.mockResolvedValue(record(null));
+  });
+
+  describe('previewCurrencyMigration', () => {
+    it('should count what changes and total the expenses before and after', async () => {
+      const preview = await previewCurrencyMigration('couple1', 'USD', 'EUR');
+
+      expect(preview).toEqual({
+        counts: { expenses: 2, budgets: 0, recurringExpenses: 0, settlements: 0 },
+        total: 2,
+        legacy: { expenses: 0, budgets: 1 },
+        missing: [],
+        totals: { before: 150, after: 135 },
+      });
+      expect(setDoc).not.toHaveBeenCalled();
+      expect(mockBatches).toHaveLength(0);
+    });
+
+    it('should report days without a rate unless a manual rate is given', async () => {
+      getExchangeRate.mockRejectedValue(new Error('No exchange rate available for USD/EUR'));
+
+      const preview = await previewCurrencyMigration('couple1', 'USD', 'EUR');
+      expect(preview.missing).toEqual([{ fromCurrency: 'USD', dateKey: '2026-10-01' }]);
+      expect(preview.totals).toBeNull();
+
+      const withManualRate = await previewCurrencyMigration('couple1', 'USD', 'EUR', { manualRates: { USD: 0.8 } });
+      expect(withManualRate.missing).toEqual([]);
+      expect(withManualRate.totals).toEqual({ before: 150, after: 120 });
+    });
+  });
+
+  describe('runCurrencyMigration', () => {
+    it('should convert documents, switch the primary currency and record completion', async () => {
+      const onProgress = jest.fn();
+
+      const result = await runCurrencyMigration('couple1', {
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        onProgress,
+      });
+
+      expect(result).toMatchObject({ success: true, processed: 2 });
+      expect(setDoc).toHaveBeenNthCalledWith(
+        1,
+        { path: 'currencyMigrations/couple1' },
+        expect.objectContaining({
+          coupleId: 'couple1',
+          status: 'running',
+          startedBy: 'test-user-123',
+          actorId: 'test-user-123',
+          updatedAt: 'now',
+        }),
+        { merge: true }
+      );
+      expect(migrateCoupleToCurrency).toHaveBeenCalledWith('couple1', 'USD');
+      expect(writtenUpdates()).toEqual([
+        [{ path: 'expenses/exp1' }, expect.objectContaining({ primaryCurrency: 'EUR', primaryCurrencyAmount: 90 })],
+        [{ path: 'expenses/exp2' }, expect.objectContaining({ primaryCurrency: 'EUR', primaryCurrencyAmount: 45 })],
+      ]);
+      expect(mockBatches[0].set).toHaveBeenCalledWith(
+        { path: 'currencyMigrations/couple1' },
+        expect.objectContaining({ processed: 2, total: 2, actorId: 'test-user-123', updatedAt: 'now' }),
+        { merge: true }
+      );
+      expect(updatePrimaryCurrency).toHaveBeenCalledWith('couple1', 'EUR', '€', 'de-DE');
+      expect(setDoc).toHaveBeenLastCalledWith(
+        { path: 'currencyMigrations/couple1' },
+        expect.objectContaining({ status: 'completed', processed: 2 }),
+        { merge: true }
+      );
+      expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+    });
+
+    it('should mark the change failed without switching currency when a rate is missing', async () => {
+      getExchangeRate.mockRejectedValue(new Error('No exchange rate available for USD/EUR'));
+
+      await expect(runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'EUR' }))
+        .rejects.toThrow('No exchange rate available for USD/EUR on 1 day(s)');
+
+      expect(updatePrimaryCurrency).not.toHaveBeenCalled();
+      expect(setDoc).toHaveBeenLastCalledWith(
+        { path: 'currencyMigrations/couple1' },
+        expect.objectContaining({ status: 'failed', error: expect.stringContaining('No exchange rate') }),
+        { merge: true }
+      );
+    });
+
+    it('should resume an interrupted change, skipping converted documents', async () => {
+      getDoc.mockResolvedValue(record({
+        migrationId: 'm1',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        status: 'running',
+        processed: 1,
+        total: 2,
+        manualRates: {},
+      }));
+      mockStore.expenses[0].data = {
+        ...usdExpense(100),
+        primaryCurrency: 'EUR',
+        primaryCurrencyAmount: 90,
+        currencyMigrationBackup: { migrationId: 'm1', fields: {}, missing: [] },
+      };
+
+      const result = await runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'EUR' });
+
+      expect(result).toEqual({ success: true, migrationId: 'm1', processed: 2 });
+      expect(migrateCoupleToCurrency).toHaveBeenCalledWith('couple1', 'USD');
+      expect(writtenUpdates()).toHaveLength(1);
+      expect(writtenUpdates()[0][0]).toEqual({ path: 'expenses/exp2' });
+    });
+
+    it('should not start a different change while one is interrupted', async () => {
+      getDoc.mockResolvedValue(record({ migrationId: 'm1', fromCurrency: 'USD', toCurrency: 'EUR', status: 'running' }));
+
+      await expect(runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'GBP' }))
+        .rejects.toThrow('Finish or undo the change to EUR first');
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should not resume a failed change', async () => {
+      getDoc.mockResolvedValue(record({ migrationId: 'm1', fromCurrency: 'USD', toCurrency: 'EUR', status: 'failed' }));
+
+      await expect(runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'EUR' }))
+        .rejects.toThrow('Undo the failed change to EUR first');
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should only take over a partner\'s change once it has stalled', async () => {
+      const partnerRun = {
+        migrationId: 'm1',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        status: 'running',
+        actorId: 'partner-456',
+        manualRates: {},
+      };
+
+      getDoc.mockResolvedValue(record({ ...partnerRun, updatedAt: new Date() }));
+      await expect(runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'EUR' }))
+        .rejects.toThrow('Your partner is changing the primary currency right now');
+      expect(setDoc).not.toHaveBeenCalled();
+
+      getDoc.mockResolvedValue(record({ ...partnerRun, updatedAt: new Date(Date.now() - 31 * 60 * 1000) }));
+      await expect(runCurrencyMigration('couple1', { fromCurrency: 'USD', toCurrency: 'EUR' }))
+        .resolves.toMatchObject({ success: true, migrationId: 'm1' });
+    });
+  });
+
+  describe('rollbackCurrencyMigration', () => {
+    it('should restore converted documents and convert newer ones back', async () => {
+      getDoc.mockResolvedValue(record({
+        migrationId: 'm1',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        status: 'completed',
+        manualRates: {},
+      }));
+      mockStore.expenses = [
+        {
+          id: 'exp1',
+          data: {
+            ...usdExpense(100),
+            primaryCurrency: 'EUR',
+            primaryCurrencyAmount: 90,
+            exchangeRate: 0.9,
+            exchangeRateDate: '2026-10-01',
+            currencyMigrationBackup: {
+              migrationId: 'm1',
+              fields: { primaryCurrency: 'USD', primaryCurrencyAmount: 100, exchangeRate: 1.0 },
+              missing: ['exchangeRateDate'],
+            },
+          },
+        },
+        { id: 'exp3', data: { ...usdExpense(18), currency: 'EUR', primaryCurrency: 'EUR', date: '2026-10-10' } },
+      ];
+
+      const result = await rollbackCurrencyMigration('couple1');
+
+      expect(result).toEqual({ success: true, restored: 1, revalued: 1 });
+      expect(mockBatches[0].update).toHaveBeenCalledWith({ path: 'expenses/exp1' }, {
+        primaryCurrency: 'USD',
+        primaryCurrencyAmount: 100,
+        exchangeRate: 1.0,
+        exchangeRateDate: 'DELETE',
+        currencyMigrationBackup: 'DELETE',
+      });
+      expect(getExchangeRate).toHaveBeenCalledWith('couple1', 'EUR', 'USD', '2026-10-10');
+      expect(mockBatches[1].update).toHaveBeenCalledWith(
+        { path: 'expenses/exp3' },
+        expect.objectContaining({ primaryCurrency: 'USD', primaryCurrencyAmount: 20 })
+      );
+      expect(updatePrimaryCurrency).toHaveBeenCalledWith('couple1', 'USD', '$', 'en-US');
+      expect(setDoc).toHaveBeenLastCalledWith(
+        { path: 'currencyMigrations/couple1' },
+        expect.objectContaining({ status: 'rolled_back' }),
+        { merge: true }
+      );
+    });
+
+    it('should mark an interrupted change failed before undoing it', async () => {
+      getDoc.mockResolvedValue(record({
+        migrationId: 'm1',
+        fromCurrency: 'USD',
+        toCurrency: 'EUR',
+        status: 'running',
+        actorId: 'test-user-123',
+        manualRates: {},
+      }));
+
+      await rollbackCurrencyMigration('couple1');
+
+      const statuses = setDoc.mock.calls.map(([, data]) => data.status).filter(Boolean);
+      expect(statuses).toEqual(['failed', 'rolling_back', 'rolled_back']);
+    });
+
+    it('should fail when there is nothing to undo', async () => {
+      await expect(rollbackCurrencyMigration('couple1')).rejects.toThrow('There is no currency change to undo');
+
+      getDoc.mockResolvedValue(record({ migrationId: 'm1', status: 'rolled_back' }));
+      await expect(rollbackCurrencyMigration('couple1')).rejects.toThrow('There is no currency change to undo');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// src/__tests__/services/exchangeRateService.test.js
+// Unit tests for exchange-rate providers and the daily rate cache
+
+import {
+  EXCHANGE_RATE_SOURCES,
+  createFrankfurterProvider,
+  createFixtureProvider,
+  setExchangeRateProvider,
+  getExchangeRateProvider,
+  getExchangeRate,
+} from '../../services/exchangeRateService';
+
+import { getDoc, setDoc } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn((db, ...segments) => ({ path: segments.join('/') })),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  serverTimestamp: jest.fn(() => 'now'),
+}));
+
+const missingDoc = { exists: () => false };
+
+describe('exchangeRateService.js', () => {
+  const fixture = createFixtureProvider({
+    'EUR-USD': { '2026-10-01': 1.1, '2026-10-15': 1.12 },
+    'GBP-USD': 1.3,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setExchangeRateProvider(fixture);
+  });
+
+  describe('createFixtureProvider', () => {
+    it('should use the latest rate on or before the day', async () => {
+      await expect(fixture.fetchRate('EUR', 'USD', '2026-10-16')).resolves.toEqual({ rate: 1.12, date: '2026-10-15' });
+      await expect(fixture.fetchRate('EUR', 'USD', '2026-10-01')).resolves.toEqual({ rate: 1.1, date: '2026-10-01' });
+    });
+
+    it('should invert the opposite pair', async () => {
+      const { rate } = await fixture.fetchRate('USD', 'GBP', '2026-10-16');
+
+      expect(rate).toBeCloseTo(1 / 1.3);
+    });
+
+    it('should fail for unknown pairs and days before the first rate', async () => {
+      await expect(fixture.fetchRate('JPY', 'USD', '2026-10-16')).rejects.toThrow('No exchange rate available for JPY/USD');
+      await expect(fixture.fetchRate('EUR', 'USD', '2026-09-30')).rejects.toThrow('No exchange rate available');
+    });
+  });
+
+  describe('createFrankfurterProvider', () => {
+    it('should request the rate for the day', async () => {
+      const fetchFn = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ base: 'EUR', date: '2026-10-16', rates: { USD: 1.1234 } }),
+      });
+      const provider = createFrankfurterProvider({ fetchFn, baseUrl: 'https://rates.test' });
+
+      const result = await provider.fetchRate('EUR', 'USD', '2026-10-18');
+
+      expect(fetchFn).toHaveBeenCalledWith('https://rates.test/2026-10-18?from=EUR&to=USD');
+      expect(result).toEqual({ rate: 1.1234, date: '2026-10-16' });
+    });
+
+    it('should fail when the API has no rate', async () => {
+      const provider = createFrankfurterProvider({
+        fetchFn: jest.fn().mockResolvedValue({ ok: false, status: 404 }),
+      });
+
+      await expect(provider.fetchRate('EUR', 'XYZ', '2026-10-18')).rejects.toThrow('No exchange rate available');
+    });
+  });
+
+  describe('setExchangeRateProvider', () => {
+    it('should reject objects that are not providers', () => {
+      expect(() => setExchangeRateProvider({ name: 'broken' })).toThrow('fetchRate');
+      expect(getExchangeRateProvider()).toBe(fixture);
+    });
+  });
+
+  describe('getExchangeRate', () => {
+    it('should not look up rates for the same currency', async () => {
+      const result = await getExchangeRate('couple1', 'USD', 'USD', new Date(2026, 9, 10));
+
+      expect(result).toMatchObject({ rate: 1.0, source: EXCHANGE_RATE_SOURCES.NONE });
+      expect(getDoc).not.toHaveBeenCalled();
+    });
+
+    it('should return a cached rate', async () => {
+      getDoc.mockResolvedValueOnce({
+        exists: () => true,
+        data: () => ({ rate: 1.09, rateDate: '2026-10-09', provider: 'frankfurter' }),
+      });
+
+      const result = await getExchangeRate('couple1', 'EUR', 'USD', new Date(2026, 9, 10));
+
+      expect(result).toEqual({
+        rate: 1.09,
+        date: '2026-10-09',
+        source: EXCHANGE_RATE_SOURCES.PROVIDER,
+        provider: 'frankfurter',
+        cached: true,
+      });
+      expect(getDoc.mock.calls[0][0].path).toBe('exchangeRates/couple1_EUR_USD_2026-10-10');
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should fetch and cache the rate for a past day', async () => {
+      getDoc.mockResolvedValueOnce(missingDoc);
+
+      const result = await getExchangeRate('couple1', 'EUR', 'USD', new Date(2026, 9, 16));
+
+      expect(result).toEqual({
+        rate: 1.12,
+        date: '2026-10-15',
+        source: EXCHANGE_RATE_SOURCES.PROVIDER,
+        provider: 'fixture',
+        cached: false,
+      });
+      expect(setDoc).toHaveBeenCalledWith(
+        { path: 'exchangeRates/couple1_EUR_USD_2026-10-16' },
+        expect.objectContaining({
+          coupleId: 'couple1',
+          fromCurrency: 'EUR',
+          toCurrency: 'USD',
+          date: '2026-10-16',
+          rateDate: '2026-10-15',
+          rate: 1.12,
+          provider: 'fixture',
+        })
+      );
+    });
+
+    it('should not cache today\'s rate', async () => {
+      getDoc.mockResolvedValueOnce(missingDoc);
+
+      await getExchangeRate('couple1', 'GBP', 'USD', new Date());
+
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should round rates and still return them when caching fails', async () => {
+      getDoc.mockResolvedValueOnce(missingDoc);
+      setDoc.mockRejectedValueOnce(new Error('Permission denied'));
+
+      const result = await getExchangeRate('couple1', 'USD', 'GBP', new Date(2026, 9, 16));
+
+      expect(result.rate).toBe(0.769231);
+    });
+
+    it('should fail when the provider has no rate', async () => {
+      getDoc.mockResolvedValueOnce(missingDoc);
+
+      await expect(getExchangeRate('couple1', 'JPY', 'USD', new Date(2026, 9, 16)))
+        .rejects.toThrow('No exchange rate available for JPY/USD');
+    });
+  });
+});
@@ -7,6 +7,10 @@ import {
   addExpense,
   updateExpense,
   deleteExpense,
+  restoreExpenseFromTrash,
+  getTrashedExpenses,
+  permanentlyDeleteExpense,
+  restoreDeletedExpense,
   canEditExpense,
   canDeleteExpense,
 } from '../../services/expenseService';
@@ -19,12 +23,18 @@ import {
   addDoc,
   updateDoc,
   deleteDoc,
+  setDoc,
   query,
   where,
   orderBy,
   serverTimestamp,
 } from 'firebase/firestore';
 
+// Activity log entries written with addDoc
+const getLoggedEntries = () => addDoc.mock.calls
+  .map(([, data]) => data)
+  .filter((data) => data && data.entityType);
+
 describe('expenseService.js - CRUD Operations', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -145,6 +155,20 @@ describe('expenseService.js - CRUD Operations', () => {
       expect(result).toEqual([]);
     });
 
+    it('should report more pages from the raw page size, not the expenses kept', async () => {
+      const docs = [
+        { id: 'expense1', data: () => ({ coupleId: 'couple1', amount: 10 }) },
+        { id: 'expense2', data: () => ({ coupleId: 'couple1', amount: 20, deletedAt: new Date() }) },
+      ];
+      getDocs.mockResolvedValue({ docs, forEach: (callback) => docs.forEach(callback) });
+
+      const result = await getExpenses('couple1', { limitCount: 2 });
+
+      expect(result.expenses.map((expense) => expense.id)).toEqual(['expense1']);
+      expect(result.lastDoc).toBe(docs[1]);
+      expect(result.hasMore).toBe(true);
+    });
+
     it('should handle errors when getting expenses', async () => {
       getDocs.mockRejectedValue(new Error('Firestore error'));
 
@@ -249,21 +273,264 @@ describe('expenseService.js - CRUD Operations', () => {
   });
 
   describe('Delete - deleteExpense', () => {
-    it('should delete an expense', async () => {
-      deleteDoc.mockResolvedValue();
+    it('should move an expense to the trash', async () => {
+      updateDoc.mockResolvedValue();
+      serverTimestamp.mockReturnValue('mock-timestamp');
+      doc.mockReturnValueOnce('expense-ref');
 
       const result = await deleteExpense('expense1');
 
-      expect(deleteDoc).toHaveBeenCalled();
-      expect(doc).toHaveBeenCalled();
+      expect(doc).toHaveBeenCalledWith(expect.anything(), 'expenses', 'expense1');
+      expect(updateDoc).toHaveBeenCalledWith('expense-ref', {
+        deletedAt: 'mock-timestamp',
+        deletedBy: 'test-user-123',
+        updatedAt: 'mock-timestamp',
+      });
+      expect(deleteDoc).not.toHaveBeenCalled();
       expect(result.success).toBe(true);
     });
 
     it('should handle errors when deleting expense', async () => {
-      deleteDoc.mockRejectedValue(new Error('Firestore error'));
+      updateDoc.mockRejectedValueOnce(new Error('Firestore error'));
 
       await expect(deleteExpense('expense1')).rejects.toThrow('Firestore error');
     });
+
+    it('should keep the receipt while the expense is in the trash', async () => {
+      updateDoc.mockResolvedValue();
+      getDoc.mockResolvedValueOnce({
+        exists: () => true,
+        data: () => ({ coupleId: 'couple1', receiptUrl: 'https://storage.example.com/r.jpg' }),
+      });
+
+      await deleteExpense('expense1');
+
+      expect(getDocs).not.toHaveBeenCalled();
+      expect(deleteDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trash', () => {
+    const trashedExpense = {
+      coupleId: 'couple1',
+      paidBy: 'user1',
+      amount: 40,
+      description: 'Dinner',
+      receiptUrl: 'https://storage.example.com/r.jpg',
+      deletedAt: new Date('2026-10-01T10:00:00Z'),
+      deletedBy: 'user2',
+    };
+
+    it('should leave trashed expenses out of getExpenses', async () => {
+      const docs = [
+        { id: 'expense1', data: () => ({ amount: 10 }) },
+        { id: 'expense2', data: () => trashedExpense },
+      ];
+      getDocs.mockResolvedValueOnce({ docs, forEach: (callback) => docs.forEach(callback) });
+
+      const result = await getExpenses('couple1');
+
+      expect(result.expenses.map((expense) => expense.id)).toEqual(['expense1']);
+    });
+
+    it('should list only trashed expenses, most recently deleted first', async () => {
+      const docs = [
+        { id: 'expense1', data: () => ({ amount: 10 }) },
+        { id: 'expense2', data: () => trashedExpense },
+        { id: 'expense3', data: () => ({ ...trashedExpense, deletedAt: new Date('2026-10-05T10:00:00Z') }) },
+      ];
+      getDocs.mockResolvedValueOnce({ docs, forEach: (callback) => docs.forEach(callback) });
+
+      const trashed = await getTrashedExpenses('couple1');
+
+      expect(trashed.map((expense) => expense.id)).toEqual(['expense3', 'expense2']);
+    });
+
+    it('should restore a trashed expense with its receipt', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => trashedExpense });
+      updateDoc.mockResolvedValue();
+      addDoc.mockResolvedValue({ id: 'entry1' });
+      serverTimestamp.mockReturnValue('mock-timestamp');
+      doc.mockReturnValueOnce('expense-ref');
+
+      const restored = await restoreExpenseFromTrash('expense1');
+
+      expect(updateDoc).toHaveBeenCalledWith('expense-ref', {
+        deletedAt: null,
+        deletedBy: null,
+        updatedAt: 'mock-timestamp',
+      });
+      expect(restored).toEqual(expect.objectContaining({
+        id: 'expense1',
+        receiptUrl: 'https://storage.example.com/r.jpg',
+      }));
+      expect(restored.deletedAt).toBeUndefined();
+      expect(getLoggedEntries()).toEqual([
+        expect.objectContaining({ action: 'restore', entityId: 'expense1' }),
+      ]);
+    });
+
+    it('should not restore an expense that is not in the trash', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ amount: 10 }) });
+
+      await expect(restoreExpenseFromTrash('expense1')).rejects.toThrow('not in the trash');
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should permanently delete a trashed expense and its orphaned receipt', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => trashedExpense });
+      deleteDoc.mockResolvedValue();
+      getDocs.mockResolvedValueOnce({ empty: false });
+
+      const result = await permanentlyDeleteExpense('expense1');
+
+      expect(deleteDoc).toHaveBeenCalled();
+      expect(getDocs).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+
+    it('should still succeed when the receipt cleanup fails', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => trashedExpense });
+      deleteDoc.mockResolvedValue();
+      getDocs.mockRejectedValueOnce(new Error('Query failed'));
+
+      const result = await permanentlyDeleteExpense('expense1');
+
+      expect(deleteDoc).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+
+    it('should not permanently delete an expense outside the trash', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ amount: 10 }) });
+
+      await expect(permanentlyDeleteExpense('expense1')).rejects.toThrow('Only expenses in the trash');
+      expect(deleteDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Activity log', () => {
+    const storedExpense = {
+      coupleId: 'couple1',
+      paidBy: 'user1',
+      amount: 40,
+      description: 'Dinner',
+      categoryKey: 'food',
+      receiptUrl: 'https://storage.example.com/r.jpg',
+    };
+
+    beforeEach(() => {
+      addDoc.mockResolvedValue({ id: 'entry1' });
+      serverTimestamp.mockReturnValue('timestamp');
+    });
+
+    it('should log only the fields an update changes', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => storedExpense });
+      updateDoc.mockResolvedValue();
+
+      await updateExpense('expense1', { amount: 45, description: 'Dinner' });
+
+      expect(getLoggedEntries()).toEqual([
+        expect.objectContaining({
+          coupleId: 'couple1',
+          actorId: 'test-user-123',
+          entityType: 'expense',
+          entityId: 'expense1',
+          action: 'update',
+          before: { amount: 40 },
+          after: { amount: 45 },
+        }),
+      ]);
+    });
+
+    it('should keep the whole deleted expense', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => storedExpense });
+      updateDoc.mockResolvedValue();
+
+      await deleteExpense('expense1');
+
+      expect(getLoggedEntries()).toEqual([
+        expect.objectContaining({
+          action: 'delete',
+          entityId: 'expense1',
+          before: storedExpense,
+          summary: { description: 'Dinner', amount: 40, categoryKey: 'food' },
+        }),
+      ]);
+    });
+
+    it('should not fail the change when the log write fails', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => storedExpense });
+      updateDoc.mockResolvedValue();
+      addDoc.mockRejectedValueOnce(new Error('Permission denied'));
+
+      await expect(updateExpense('expense1', { amount: 45 })).resolves.toEqual({ success: true });
+    });
+
+    it('should re-create a purged expense under its original ID without the receipt', async () => {
+      const entry = {
+        id: 'entry9',
+        coupleId: 'couple1',
+        entityType: 'expense',
+        entityId: 'expense1',
+        action: 'delete',
+        before: storedExpense,
+      };
+      getDoc.mockResolvedValueOnce({ exists: () => false });
+      setDoc.mockResolvedValue();
+      doc.mockReturnValueOnce('expense-ref');
+
+      const restored = await restoreDeletedExpense(entry);
+
+      expect(doc).toHaveBeenCalledWith(expect.anything(), 'expenses', 'expense1');
+      expect(setDoc).toHaveBeenCalledWith('expense-ref', expect.objectContaining({
+        amount: 40,
+        description: 'Dinner',
+        receiptUrl: null,
+      }));
+      expect(restored.id).toBe('expense1');
+      expect(getLoggedEntries()).toEqual([
+        expect.objectContaining({ action: 'restore', restoredFromEntryId: 'entry9' }),
+      ]);
+    });
+
+    it('should take an expense still in the trash out of it, receipt included', async () => {
+      getDoc.mockResolvedValueOnce({
+        exists: () => true,
+        data: () => ({ ...storedExpense, deletedAt: 'timestamp', deletedBy: 'user1' }),
+      });
+      updateDoc.mockResolvedValue();
+      doc.mockReturnValueOnce('expense-ref');
+
+      const restored = await restoreDeletedExpense({
+        id: 'entry9',
+        coupleId: 'couple1',
+        entityType: 'expense',
+        entityId: 'expense1',
+        action: 'delete',
+        before: storedExpense,
+      });
+
+      expect(setDoc).not.toHaveBeenCalled();
+      expect(updateDoc).toHaveBeenCalledWith('expense-ref', expect.objectContaining({ deletedAt: null, deletedBy: null }));
+      expect(restored.receiptUrl).toBe('https://storage.example.com/r.jpg');
+      expect(getLoggedEntries()).toEqual([
+        expect.objectContaining({ action: 'restore', restoredFromEntryId: 'entry9' }),
+      ]);
+    });
+
+    it('should not restore an expense twice', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => true, data: () => storedExpense });
+
+      await expect(restoreDeletedExpense({
+        id: 'entry9',
+        coupleId: 'couple1',
+        entityType: 'expense',
+        entityId: 'expense1',
+        action: 'delete',
+        before: storedExpense,
+      })).rejects.toThrow('already been restored');
+      expect(setDoc).not.toHaveBeenCalled();
+    });
   });
 
   describe('Permission Checks - canEditExpense', () => {
@@ -420,8 +687,7 @@ describe('expenseService.js - CRUD Operations', () => {
       );
       expect(deleteCheck.canDelete).toBe(true);
 
-      // Delete
-      deleteDoc.mockResolvedValue();
+      // Delete (moves the expense to the trash)
       const deleted = await deleteExpense('expense1');
       expect(deleted.success).toBe(true);
     });
@@ -0,0 +1,299 @@
+// src/__tests__/services/savingsTargetService.test.js
+// Unit tests for the savings contribution ledger
+
+import {
+  summarizeContributions,
+  addContribution,
+  reverseContribution,
+  getSavingsSummary,
+  getSavingsTarget,
+  calculateMonthlyContribution,
+  UNATTRIBUTED_CONTRIBUTOR,
+} from '../../services/savingsTargetService';
+
+import {
+  getDoc,
+  getDocs,
+  updateDoc,
+  runTransaction,
+  where,
+} from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((...segments) => ({ path: segments.slice(1).join('/') })),
+  doc: jest.fn((...segments) => ({ id: segments.length > 1 ? segments[segments.length - 1] : 'new-doc' })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  addDoc: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  runTransaction: jest.fn(),
+  writeBatch: jest.fn(),
+  serverTimestamp: jest.fn(() => 'now'),
+}));
+
+const snapshotOf = (docs) => ({
+  docs: docs.map((data, index) => ({ id: `doc${index}`, data: () => data })),
+  forEach(callback) {
+    this.docs.forEach(callback);
+  },
+});
+
+describe('savingsTargetService.js - Contribution Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarizeContributions', () => {
+    it('should total contributions per partner', () => {
+      const result = summarizeContributions([
+        { amount: 100, contributedBy: 'user1' },
+        { amount: 50.1, contributedBy: 'user2' },
+        { amount: 25.2, contributedBy: 'user1' },
+      ]);
+
+      expect(result.total).toBe(175.3);
+      expect(result.byUser).toEqual({ user1: 125.2, user2: 50.1 });
+      expect(result.count).toBe(3);
+    });
+
+    it('should net out reversals and not count them', () => {
+      const result = summarizeContributions([
+        { amount: 100, contributedBy: 'user1', reversedBy: 'r1' },
+        { amount: -100, contributedBy: 'user1', reversalOf: 'c1' },
+        { amount: 40, contributedBy: 'user2' },
+      ]);
+
+      expect(result.total).toBe(40);
+      expect(result.byUser).toEqual({ user1: 0, user2: 40 });
+      expect(result.count).toBe(1);
+    });
+
+    it('should group contributions without a contributor', () => {
+      const result = summarizeContributions([{ amount: 300, contributedBy: null }]);
+      expect(result.byUser).toEqual({ [UNATTRIBUTED_CONTRIBUTOR]: 300 });
+    });
+  });
+
+  const runTransactionWith = (docs) => {
+    const transaction = {
+      get: jest.fn(async (ref) => ({ exists: () => ref.id in docs, data: () => docs[ref.id] })),
+      set: jest.fn(),
+      update: jest.fn(),
+    };
+    runTransaction.mockImplementation((db, callback) => callback(transaction));
+    return transaction;
+  };
+
+  const targetUpdate = (transaction) =>
+    transaction.update.mock.calls.find(([ref]) => ref.id === 'target1')[1];
+
+  describe('addContribution', () => {
+    it('should reject a zero amount', async () => {
+      await expect(addContribution('target1', { amount: 0 })).rejects.toThrow(
+        'Contribution amount must be a non-zero number'
+      );
+      expect(runTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should record the contribution and add it to the totals in one transaction', async () => {
+      const transaction = runTransactionWith({
+        target1: {
+          targetAmount: 1000,
+          currentAmount: 150,
+          status: 'active',
+          hasContributionLedger: true,
+          contributionsByUser: { user2: 150 },
+          contributionCount: 1,
+        },
+      });
+
+      const result = await addContribution('target1', {
+        amount: '200',
+        contributedBy: 'user1',
+        note: 'Bonus',
+        expenseId: 'expense1',
+      });
+
+      expect(transaction.set).toHaveBeenCalledTimes(1);
+      expect(transaction.set.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ amount: 200, contributedBy: 'user1', note: 'Bonus', expenseId: 'expense1' })
+      );
+      expect(targetUpdate(transaction)).toEqual(
+        expect.objectContaining({
+          currentAmount: 350,
+          contributionsByUser: { user1: 200, user2: 150 },
+          contributionCount: 2,
+        })
+      );
+      expect(updateDoc).not.toHaveBeenCalled();
+      expect(result.contribution.id).toBe('new-doc');
+      expect(result.isCompleted).toBe(false);
+    });
+
+    it('should add an opening balance with a fixed ID for targets created before the ledger', async () => {
+      const transaction = runTransactionWith({
+        target1: { targetAmount: 1000, currentAmount: 300, status: 'active' },
+      });
+
+      await addContribution('target1', { amount: 100, contributedBy: 'user2' });
+
+      expect(transaction.set).toHaveBeenCalledTimes(2);
+      expect(transaction.set.mock.calls[0][0].id).toBe('opening');
+      expect(transaction.set.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ amount: 300, isOpeningBalance: true })
+      );
+      expect(targetUpdate(transaction)).toEqual(
+        expect.objectContaining({
+          currentAmount: 400,
+          contributionsByUser: { [UNATTRIBUTED_CONTRIBUTOR]: 300, user2: 100 },
+          contributionCount: 2,
+          hasContributionLedger: true,
+        })
+      );
+    });
+
+    it('should complete the goal when the contribution reaches the target', async () => {
+      const transaction = runTransactionWith({
+        target1: { targetAmount: 500, currentAmount: 400, status: 'active', hasContributionLedger: true },
+      });
+
+      const result = await addContribution('target1', { amount: 100, contributedBy: 'user1' });
+
+      expect(targetUpdate(transaction)).toEqual(expect.objectContaining({ status: 'completed' }));
+      expect(result.isCompleted).toBe(true);
+    });
+  });
+
+  describe('reverseContribution', () => {
+    const runWithContribution = (data, target = { targetAmount: 1000, currentAmount: 1000 }) =>
+      runTransactionWith({ c1: data, r1: data, target1: target });
+
+    it('should write an offsetting entry and reopen a completed goal', async () => {
+      const transaction = runWithContribution(
+        { amount: 500, contributedBy: 'user1' },
+        {
+          targetAmount: 1000,
+          currentAmount: 1000,
+          status: 'completed',
+          hasContributionLedger: true,
+          contributionsByUser: { user1: 500, user2: 500 },
+          contributionCount: 2,
+        }
+      );
+
+      const result = await reverseContribution('target1', 'c1', 'user2', 'Typo');
+
+      expect(transaction.set.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ amount: -500, contributedBy: 'user1', reversalOf: 'c1', createdBy: 'user2' })
+      );
+      expect(transaction.update.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ reversedBy: result.reversal.id })
+      );
+      expect(targetUpdate(transaction)).toEqual(
+        expect.objectContaining({
+          currentAmount: 500,
+          contributionsByUser: { user1: 0, user2: 500 },
+          contributionCount: 1,
+          status: 'active',
+          completedAt: null,
+        })
+      );
+      expect(updateDoc).not.toHaveBeenCalled();
+      expect(result.currentAmount).toBe(500);
+    });
+
+    it('should not reverse a contribution twice', async () => {
+      runWithContribution({ amount: 500, reversedBy: 'r1' });
+      await expect(reverseContribution('target1', 'c1', 'user1')).rejects.toThrow(
+        'Contribution has already been reversed'
+      );
+    });
+
+    it('should not reverse a reversal', async () => {
+      runWithContribution({ amount: -500, reversalOf: 'c1' });
+      await expect(reverseContribution('target1', 'r1', 'user1')).rejects.toThrow(
+        'A reversal cannot be reversed'
+      );
+    });
+  });
+
+  describe('getSavingsTarget', () => {
+    it('should return the target with its ID', async () => {
+      getDoc.mockResolvedValueOnce({ id: 'target1', exists: () => true, data: () => ({ name: 'Trip' }) });
+
+      await expect(getSavingsTarget('target1')).resolves.toEqual({ id: 'target1', name: 'Trip' });
+    });
+
+    it('should throw when the target does not exist', async () => {
+      getDoc.mockResolvedValueOnce({ exists: () => false });
+
+      await expect(getSavingsTarget('missing')).rejects.toThrow('Savings target not found');
+    });
+  });
+
+  describe('calculateMonthlyContribution', () => {
+    it('should accept stored Timestamps as the target date', () => {
+      const targetDate = new Date(Date.now() + 1000 * 60 * 60 * 24 * 30 * 4);
+      const timestamp = { toDate: () => targetDate };
+
+      expect(calculateMonthlyContribution(1000, 200, timestamp)).toEqual(
+        calculateMonthlyContribution(1000, 200, targetDate)
+      );
+      expect(calculateMonthlyContribution(1000, 200, timestamp).monthsRemaining).toBe(4);
+    });
+  });
+
+  describe('getSavingsSummary', () => {
+    it('should include per-partner contribution totals across targets', async () => {
+      getDocs.mockResolvedValue(
+        snapshotOf([
+          {
+            targetAmount: 1000,
+            currentAmount: 600,
+            status: 'active',
+            priority: 1,
+            contributionsByUser: { user1: 400, user2: 200 },
+          },
+          {
+            targetAmount: 500,
+            currentAmount: 100,
+            status: 'active',
+            priority: 2,
+            contributionsByUser: { user1: 100 },
+          },
+          { targetAmount: 200, currentAmount: 50, status: 'paused', priority: 3 },
+        ])
+      );
+
+      const summary = await getSavingsSummary('couple1');
+
+      expect(summary.totalCurrentAmount).toBe(750);
+      expect(summary.contributionsByPartner).toEqual({
+        user1: 500,
+        user2: 200,
+        [UNATTRIBUTED_CONTRIBUTOR]: 50,
+      });
+      expect(summary.activeTargets).toBe(2);
+      expect(summary.pausedTargets).toBe(1);
+    });
+
+    it('should only summarize targets of the given fiscal year', async () => {
+      getDocs.mockResolvedValueOnce(
+        snapshotOf([
+          { targetAmount: 1000, currentAmount: 250, status: 'active', priority: 1, fiscalYear: 2026 },
+        ])
+      );
+
+      const summary = await getSavingsSummary('couple1', 2026);
+
+      expect(where).toHaveBeenCalledWith('fiscalYear', '==', 2026);
+      expect(summary.totalTargets).toBe(1);
+      expect(summary.completionPercentage).toBe(25);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// src/__tests__/services/searchService.test.js
+// Unit tests for searching beyond the first page of expenses
+
+import { searchExpenses, saveSearch } from '../../services/searchService';
+import { getExpenses } from '../../services/expenseService';
+import { addDoc } from 'firebase/firestore';
+
+jest.mock('../../services/expenseService', () => ({
+  getExpenses: jest.fn(),
+}));
+
+const batch = (count, { offset = 0, description = 'Groceries', amount = 20, date, hasMore = count === 500 } = {}) => ({
+  expenses: Array.from({ length: count }, (_, index) => ({
+    id: `e${offset + index}`,
+    description,
+    amount,
+    date: date || '2026-03-01T12:00:00.000Z',
+  })),
+  lastDoc: { id: `doc${offset + count - 1}` },
+  hasMore,
+});
+
+describe('searchService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('searchExpenses', () => {
+    it('should keep reading past the first 500 expenses', async () => {
+      getExpenses
+        .mockResolvedValueOnce(batch(500))
+        .mockResolvedValueOnce(batch(3, { offset: 500, description: 'Dentist', amount: 150 }));
+
+      const result = await searchExpenses('couple1', 'dentist >100');
+
+      expect(getExpenses).toHaveBeenCalledTimes(2);
+      expect(getExpenses.mock.calls[1][1].startAfterDoc).toEqual({ id: 'doc499' });
+      expect(result.expenses).toHaveLength(3);
+      expect(result.scannedCount).toBe(503);
+      expect(result.hasMore).toBe(false);
+      expect(result.cursor).toBeNull();
+    });
+
+    it('should keep reading when trashed expenses leave a full batch short', async () => {
+      getExpenses
+        .mockResolvedValueOnce(batch(497, { hasMore: true }))
+        .mockResolvedValueOnce(batch(3, { offset: 500, description: 'Dentist', amount: 150 }));
+
+      const result = await searchExpenses('couple1', 'dentist');
+
+      expect(getExpenses).toHaveBeenCalledTimes(2);
+      expect(result.expenses).toHaveLength(3);
+      expect(result.hasMore).toBe(false);
+    });
+
+    it('should stop once a page of matches is found and return a cursor', async () => {
+      getExpenses.mockResolvedValueOnce(batch(500));
+
+      const result = await searchExpenses('couple1', 'groceries', { pageSize: 50 });
+
+      expect(getExpenses).toHaveBeenCalledTimes(1);
+      expect(result.expenses).toHaveLength(500);
+      expect(result.hasMore).toBe(true);
+      expect(result.cursor).toEqual({ id: 'doc499' });
+    });
+
+    it('should stop reading once expenses are older than the start date', async () => {
+      getExpenses.mockResolvedValueOnce(batch(500, { date: '2025-06-01T12:00:00.000Z' }));
+
+      const result = await searchExpenses('couple1', 'dentist after:2026-01-01');
+
+      expect(getExpenses).toHaveBeenCalledTimes(1);
+      expect(result.hasMore).toBe(false);
+    });
+
+    it('should not read anything for an empty query', async () => {
+      const result = await searchExpenses('couple1', '   ');
+
+      expect(getExpenses).not.toHaveBeenCalled();
+      expect(result.expenses).toEqual([]);
+    });
+  });
+
+  describe('saveSearch', () => {
+    it('should require a query', async () => {
+      await expect(saveSearch('couple1', { name: 'Empty', query: ' ' })).rejects.toThrow(
+        'Search query is required'
+      );
+      expect(addDoc).not.toHaveBeenCalled();
+    });
+
+    it('should name a search after its query by default', async () => {
+      addDoc.mockResolvedValue({ id: 'search1' });
+
+      const saved = await saveSearch('couple1', { query: ' currency:EUR ', createdBy: 'user1' });
+
+      expect(addDoc.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ coupleId: 'couple1', name: 'currency:EUR', query: 'currency:EUR' })
+      );
+      expect(saved.id).toBe('search1');
+    });
+  });
+});
@@ -1,13 +1,37 @@
 // src/__tests__/services/settlementService.test.js
-// Unit tests for settlement service calculation functions
+// Unit tests for settlement service calculation functions and reversals
 
 import {
   generateCategoryBreakdown,
   generateBudgetSummary,
   identifyTopCategories,
   calculateSettlementAmount,
+  buildPlanInstalments,
+  applyInstalmentPayment,
+  reverseSettlement,
 } from '../../services/settlementService';
 
+import { getDoc, getDocs, runTransaction } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((...segments) => ({ path: segments.slice(1).join('/') })),
+  doc: jest.fn((...segments) => ({
+    path: segments.slice(1).join('/'),
+    id: segments[segments.length - 1] || 'new-doc',
+  })),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(() => 'now'),
+  runTransaction: jest.fn(),
+  writeBatch: jest.fn(),
+}));
+
 describe('settlementService.js - Calculation Functions', () => {
   describe('generateCategoryBreakdown', () => {
     const categories = {
@@ -537,4 +561,182 @@ describe('settlementService.js - Calculation Functions', () => {
       expect(result).toBe(45);
     });
   });
+
+  describe('buildPlanInstalments', () => {
+    it('should split the total evenly with the remainder on the last instalment', () => {
+      const instalments = buildPlanInstalments(100, 3, 'monthly', '2026-01-31');
+
+      expect(instalments.map((i) => i.amount)).toEqual([33.33, 33.33, 33.34]);
+      expect(instalments.map((i) => i.dueDate)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+      expect(instalments.every((i) => i.status === 'pending')).toBe(true);
+    });
+
+    it('should split in the minor units of the plan currency', () => {
+      expect(buildPlanInstalments(10000, 3, 'monthly', '2026-01-31', 'JPY').map((i) => i.amount))
+        .toEqual([3333, 3333, 3334]);
+      expect(buildPlanInstalments(10, 3, 'monthly', '2026-01-31', 'KWD').map((i) => i.amount))
+        .toEqual([3.333, 3.333, 3.334]);
+    });
+
+    it('should schedule weekly instalments', () => {
+      const instalments = buildPlanInstalments(50, 2, 'weekly', '2026-03-30');
+      expect(instalments.map((i) => i.dueDate)).toEqual(['2026-03-30', '2026-04-06']);
+    });
+
+    it('should reject invalid plans', () => {
+      expect(() => buildPlanInstalments(100, 1, 'monthly', '2026-01-01')).toThrow(
+        'A plan needs at least 2 instalments'
+      );
+      expect(() => buildPlanInstalments(100, 2, 'daily', '2026-01-01')).toThrow(
+        'Invalid plan frequency'
+      );
+      expect(() => buildPlanInstalments(0.01, 2, 'monthly', '2026-01-01')).toThrow(
+        'Plan amount is too small for this many instalments'
+      );
+    });
+  });
+
+  describe('applyInstalmentPayment', () => {
+    const plan = {
+      status: 'active',
+      instalments: buildPlanInstalments(200, 2, 'monthly', '2026-01-15'),
+    };
+
+    it('should mark the instalment paid and move the next due date', () => {
+      const update = applyInstalmentPayment(plan, 0, 'settlement1');
+
+      expect(update.instalments[0]).toEqual(
+        expect.objectContaining({ status: 'paid', settlementId: 'settlement1' })
+      );
+      expect(update.paidCount).toBe(1);
+      expect(update.nextDueDate).toBe('2026-02-15');
+      expect(update.status).toBe('active');
+    });
+
+    it('should complete the plan when the last instalment is paid', () => {
+      const halfPaid = { ...plan, instalments: applyInstalmentPayment(plan, 0, 's1').instalments };
+      const update = applyInstalmentPayment(halfPaid, 1, 's2');
+
+      expect(update.status).toBe('completed');
+      expect(update.nextDueDate).toBeNull();
+    });
+
+    it('should not pay the same instalment twice or pay a cancelled plan', () => {
+      const paid = { ...plan, instalments: applyInstalmentPayment(plan, 0, 's1').instalments };
+      expect(() => applyInstalmentPayment(paid, 0, 's2')).toThrow('Instalment has already been paid');
+      expect(() => applyInstalmentPayment({ ...plan, status: 'cancelled' }, 0, 's1')).toThrow(
+        'Settlement plan is not active'
+      );
+    });
+  });
+
+  describe('reverseSettlement', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    const snapshotOf = (docs) => ({
+      docs,
+      forEach(callback) {
+        docs.forEach(callback);
+      },
+    });
+    const docOf = (id, data) => ({ id, exists: () => !!data, data: () => data });
+
+    const settlementData = {
+      coupleId: 'couple1',
+      amount: 50,
+      settledBy: 'user2',
+      settledAt: 'settled-at',
+    };
+
+    const setup = ({ settlement = settlementData, transactionDocs = {} } = {}) => {
+      getDoc.mockResolvedValue(docOf('s2', settlement));
+      getDocs
+        // getExpensesForSettlement
+        .mockResolvedValueOnce(snapshotOf([docOf('e1', { date: '2026-01-02' }), docOf('e2', { date: '2026-01-01' })]))
+        // getSettlements, newest first
+        .mockResolvedValueOnce(
+          snapshotOf([
+            docOf('s2', settlement),
+            docOf('s1', { coupleId: 'couple1', settledAt: 'earlier', reversalId: null }),
+          ])
+        );
+
+      const transaction = {
+        get: jest.fn((ref) => Promise.resolve(docOf(ref.id, transactionDocs[ref.path]))),
+        set: jest.fn(),
+        update: jest.fn(),
+      };
+      runTransaction.mockImplementation((db, callback) => callback(transaction));
+      return transaction;
+    };
+
+    const updatesFor = (transaction, path) =>
+      transaction.update.mock.calls.filter(([ref]) => ref.path === path).map(([, data]) => data);
+
+    it('should clear expense markers, flag the settlement and write an audit record', async () => {
+      const transaction = setup({
+        transactionDocs: {
+          'settlements/s2': settlementData,
+          'expenses/e1': { settledBySettlementId: 's2' },
+          // Re-settled by a later settlement - must not be touched
+          'expenses/e2': { settledBySettlementId: 's3' },
+        },
+      });
+
+      const reversal = await reverseSettlement('s2', 'user1', 'Wrong amount');
+
+      expect(updatesFor(transaction, 'expenses/e1')).toEqual([
+        { settledAt: null, settledBySettlementId: null },
+      ]);
+      expect(updatesFor(transaction, 'expenses/e2')).toEqual([]);
+      expect(transaction.set.mock.calls[0][1]).toEqual(
+        expect.objectContaining({
+          settlementId: 's2',
+          restoredExpenseIds: ['e1'],
+          reason: 'Wrong amount',
+          createdBy: 'user1',
+        })
+      );
+      expect(updatesFor(transaction, 'settlements/s2')[0]).toEqual(
+        expect.objectContaining({ reversalId: reversal.id, reversedBy: 'user1' })
+      );
+      expect(updatesFor(transaction, 'couples/couple1')).toEqual([{ lastSettlementAt: 'earlier' }]);
+    });
+
+    it('should reopen the plan instalment paid by the settlement', async () => {
+      const planSettlement = { ...settlementData, planId: 'plan1', instalmentIndex: 1 };
+      const instalments = buildPlanInstalments(100, 2, 'monthly', '2026-01-15').map((item) => ({
+        ...item,
+        status: 'paid',
+      }));
+      const transaction = setup({
+        settlement: planSettlement,
+        transactionDocs: {
+          'settlements/s2': planSettlement,
+          'settlementPlans/plan1': { status: 'completed', instalments },
+        },
+      });
+
+      await reverseSettlement('s2', 'user1');
+
+      const [planUpdate] = updatesFor(transaction, 'settlementPlans/plan1');
+      expect(planUpdate.instalments[1]).toEqual(
+        expect.objectContaining({ status: 'pending', settlementId: null })
+      );
+      expect(planUpdate.paidCount).toBe(1);
+      expect(planUpdate.status).toBe('active');
+      expect(planUpdate.nextDueDate).toBe('2026-02-15');
+    });
+
+    it('should not reverse a settlement twice', async () => {
+      getDoc.mockResolvedValue(docOf('s2', { ...settlementData, reversalId: 'r1' }));
+
+      await expect(reverseSettlement('s2', 'user1')).rejects.toThrow(
+        'Settlement has already been reversed'
+      );
+      expect(runTransaction).not.toHaveBeenCalled();
+    });
+  });
 });
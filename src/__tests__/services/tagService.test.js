@@ -0,0 +1,94 @@
+// src/__tests__/services/tagService.test.js
+// Unit tests for expense tags
+
+import { addTag, deleteTag, normalizeExpenseTags } from '../../services/tagService';
+import { getDoc, getDocs, setDoc, deleteDoc, writeBatch, arrayRemove, where } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((...segments) => ({ path: segments.slice(1).join('/') })),
+  doc: jest.fn((ref, id) => ({ id })),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  onSnapshot: jest.fn(),
+  writeBatch: jest.fn(),
+  arrayRemove: jest.fn((value) => ({ arrayRemove: value })),
+}));
+
+describe('tagService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeExpenseTags', () => {
+    it('should drop duplicates and empty values', () => {
+      expect(normalizeExpenseTags(['work', '', 'work', null, 'gift'])).toEqual(['work', 'gift']);
+      expect(normalizeExpenseTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('addTag', () => {
+    it('should require a name', async () => {
+      await expect(addTag('couple1', { name: '  ' })).rejects.toThrow('Tag name is required');
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject a name that matches an existing tag', async () => {
+      getDoc.mockResolvedValue({ exists: () => true });
+
+      await expect(addTag('couple1', { name: 'Work' })).rejects.toThrow(
+        'A tag with a similar name already exists'
+      );
+      expect(setDoc).not.toHaveBeenCalled();
+    });
+
+    it('should save the tag under a couple-scoped id', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      const result = await addTag('couple1', { name: ' Work Trip ', color: '#00BFA6' });
+
+      expect(setDoc.mock.calls[0][0]).toEqual({ id: `couple1_${result.key}` });
+      expect(setDoc.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ coupleId: 'couple1', name: 'Work Trip', color: '#00BFA6' })
+      );
+    });
+  });
+
+  describe('deleteTag', () => {
+    it('should remove the tag from every expense before deleting it', async () => {
+      const batch = { update: jest.fn(), commit: jest.fn() };
+      writeBatch.mockReturnValue(batch);
+      getDoc.mockResolvedValue({ exists: () => true });
+      getDocs.mockResolvedValue({
+        docs: [
+          { ref: 'expense1', data: () => ({ tags: ['work', 'travel'] }) },
+          { ref: 'expense2', data: () => ({ tags: ['work'] }) },
+          { ref: 'expense3', data: () => ({ tags: ['travel'] }) },
+          { ref: 'expense4', data: () => ({}) },
+        ],
+      });
+
+      const result = await deleteTag('couple1', 'work');
+
+      expect(where).toHaveBeenCalledWith('coupleId', '==', 'couple1');
+      expect(where).not.toHaveBeenCalledWith('tags', 'array-contains', 'work');
+
+      expect(arrayRemove).toHaveBeenCalledWith('work');
+      expect(batch.update).toHaveBeenCalledTimes(2);
+      expect(batch.update).toHaveBeenCalledWith('expense1', { tags: { arrayRemove: 'work' } });
+      expect(batch.commit).toHaveBeenCalledTimes(1);
+      expect(deleteDoc).toHaveBeenCalledWith({ id: 'couple1_work' });
+      expect(result).toEqual({ success: true, updatedExpenses: 2 });
+    });
+
+    it('should fail for an unknown tag', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      await expect(deleteTag('couple1', 'missing')).rejects.toThrow('Tag not found');
+      expect(deleteDoc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,210 @@
+// src/__tests__/services/tripService.test.js
+// Unit tests for trip totals, budgets and balances
+
+import {
+  createTrip,
+  calculateTripBalance,
+  calculateTripCurrencyTotal,
+  calculateTripSummary,
+  settleTrip,
+} from '../../services/tripService';
+import { createSettlement } from '../../services/settlementService';
+import { addDoc } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((...segments) => ({ path: segments.slice(1).join('/') })),
+  doc: jest.fn((...segments) => ({ id: segments[segments.length - 1] })),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  updateDoc: jest.fn(),
+  query: jest.fn((ref) => ref),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  onSnapshot: jest.fn(),
+  runTransaction: jest.fn(),
+  writeBatch: jest.fn(),
+  serverTimestamp: jest.fn(() => 'now'),
+}));
+
+jest.mock('../../services/settlementService', () => ({
+  ...jest.requireActual('../../services/settlementService'),
+  createSettlement: jest.fn(),
+}));
+
+const expense = (paidBy, amount, extra = {}) => ({
+  tripId: 'trip1',
+  paidBy,
+  amount,
+  splitDetails: { user1Amount: amount / 2, user2Amount: amount / 2 },
+  ...extra,
+});
+
+describe('tripService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTrip', () => {
+    it('should require a name', async () => {
+      await expect(createTrip('couple1', { name: '  ' })).rejects.toThrow('Trip name is required');
+      expect(addDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject an end date before the start date', async () => {
+      await expect(
+        createTrip('couple1', { name: 'Lisbon', startDate: '2026-05-10', endDate: '2026-05-01' })
+      ).rejects.toThrow('Trip end date must be after the start date');
+    });
+
+    it('should save an active trip with its currency and budget', async () => {
+      addDoc.mockResolvedValue({ id: 'trip1' });
+
+      const trip = await createTrip('couple1', {
+        name: ' Lisbon 2026 ',
+        currency: 'EUR',
+        budget: '1500',
+        createdBy: 'user1',
+      });
+
+      expect(addDoc.mock.calls[0][1]).toEqual(
+        expect.objectContaining({
+          coupleId: 'couple1',
+          name: 'Lisbon 2026',
+          currency: 'EUR',
+          budget: 1500,
+          status: 'active',
+        })
+      );
+      expect(trip.id).toBe('trip1');
+    });
+  });
+
+  describe('calculateTripBalance', () => {
+    it('should net trip expenses against trip settlements', () => {
+      const expenses = [expense('user1', 100), expense('user2', 40)];
+      const settlements = [
+        { id: 's1', tripId: 'trip1', amount: 10, settledBy: 'user2' },
+        { id: 's2', tripId: 'other', amount: 25, settledBy: 'user2' },
+      ];
+
+      expect(calculateTripBalance(expenses, settlements, 'trip1', 'user1', 'user2')).toBe(20);
+    });
+
+    it('should ignore expenses already cleared by an overall settle-up', () => {
+      const expenses = [
+        expense('user1', 100, { settledBySettlementId: 'overall' }),
+        expense('user1', 60),
+      ];
+      const settlements = [{ id: 'overall', amount: 50, settledBy: 'user2' }];
+
+      expect(calculateTripBalance(expenses, settlements, 'trip1', 'user1', 'user2')).toBe(30);
+    });
+
+    it('should skip reversed trip settlements', () => {
+      // Reversing a settlement clears the markers on its expenses
+      const expenses = [expense('user1', 100, { settledBySettlementId: null })];
+      const settlements = [
+        { id: 's1', tripId: 'trip1', amount: 50, settledBy: 'user2', reversalId: 'r1' },
+      ];
+
+      expect(calculateTripBalance(expenses, settlements, 'trip1', 'user1', 'user2')).toBe(50);
+    });
+  });
+
+  describe('calculateTripCurrencyTotal', () => {
+    const trip = { id: 'trip1', currency: 'EUR' };
+
+    it('should convert other currencies with the rate implied by trip expenses', () => {
+      const result = calculateTripCurrencyTotal(
+        [
+          { amount: 100, currency: 'EUR', primaryCurrency: 'USD', primaryCurrencyAmount: 110 },
+          { amount: 55, currency: 'USD', primaryCurrency: 'USD', primaryCurrencyAmount: 55 },
+        ],
+        trip
+      );
+
+      expect(result.total).toBe(150);
+      expect(result.unconvertedCount).toBe(0);
+    });
+
+    it('should count expenses it cannot convert', () => {
+      const result = calculateTripCurrencyTotal(
+        [{ amount: 2000, currency: 'JPY', primaryCurrency: 'USD', primaryCurrencyAmount: 14 }],
+        trip
+      );
+
+      expect(result.total).toBe(0);
+      expect(result.unconvertedCount).toBe(1);
+    });
+  });
+
+  describe('calculateTripSummary', () => {
+    it('should report budget use and category breakdown for the trip only', () => {
+      const summary = calculateTripSummary({
+        trip: { id: 'trip1', currency: 'USD', budget: 100 },
+        expenses: [
+          expense('user1', 80, { category: 'food' }),
+          expense('user2', 40, { category: 'transport' }),
+          expense('user1', 500, { tripId: null, category: 'food' }),
+        ],
+        settlements: [],
+        categories: { food: { name: 'Food', icon: '🍔' } },
+        user1Id: 'user1',
+        user2Id: 'user2',
+      });
+
+      expect(summary.expenseCount).toBe(2);
+      expect(summary.total).toBe(120);
+      expect(summary.budgetRemaining).toBe(-20);
+      expect(summary.isOverBudget).toBe(true);
+      expect(summary.balance).toBe(20);
+      expect(summary.categoryBreakdown.food.totalAmount).toBe(80);
+      expect(summary.topCategories[0].categoryKey).toBe('food');
+    });
+  });
+
+  describe('settleTrip', () => {
+    it('should settle the trip balance with only its expenses', async () => {
+      createSettlement.mockResolvedValue({ id: 's1' });
+      const tripExpense = expense('user1', 100);
+
+      await settleTrip(
+        { id: 'trip1', coupleId: 'couple1' },
+        {
+          user1Id: 'user1',
+          user2Id: 'user2',
+          note: 'Trip: Lisbon',
+          expenses: [tripExpense, expense('user1', 30, { tripId: 'other' })],
+          settlements: [],
+          categories: {},
+        }
+      );
+
+      expect(createSettlement).toHaveBeenCalledWith(
+        'couple1',
+        'user1',
+        'user2',
+        50,
+        'user2',
+        'Trip: Lisbon',
+        [tripExpense],
+        {},
+        null,
+        { tripId: 'trip1' }
+      );
+    });
+
+    it('should refuse to settle a settled trip', async () => {
+      await expect(
+        settleTrip({ id: 'trip1', coupleId: 'couple1' }, {
+          user1Id: 'user1',
+          user2Id: 'user2',
+          expenses: [],
+          settlements: [],
+        })
+      ).rejects.toThrow('This trip is already settled');
+      expect(createSettlement).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// src/__tests__/services/userLanguageService.test.js
+// Unit tests for saving the app language on the user's profile
+
+import { saveUserLanguage } from '../../services/userLanguageService';
+import { updateDoc } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn((db, ...segments) => ({ path: segments.join('/') })),
+  updateDoc: jest.fn(),
+}));
+
+describe('userLanguageService.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('saveUserLanguage', () => {
+    it('should save the language on the user document for emails', async () => {
+      updateDoc.mockResolvedValue();
+
+      await saveUserLanguage('user1', 'it');
+
+      expect(updateDoc).toHaveBeenCalledWith({ path: 'users/user1' }, { language: 'it' });
+    });
+
+    it('should require a user and a language', async () => {
+      await expect(saveUserLanguage(null, 'it')).rejects.toThrow('User ID and language are required');
+      await expect(saveUserLanguage('user1', '')).rejects.toThrow('User ID and language are required');
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should pass on write errors', async () => {
+      updateDoc.mockRejectedValue(new Error('Permission denied'));
+
+      await expect(saveUserLanguage('user1', 'de')).rejects.toThrow('Permission denied');
+    });
+  });
+});
@@ -16,6 +16,8 @@ import {
   groupExpensesByDate,
   formatDate,
   roundCurrency,
+  getSettlementPayer,
+  calculatePartialSettlement,
   validateSettlement,
   isSettlementValid,
 } from '../../utils/calculations';
@@ -416,6 +418,70 @@ describe('calculations.js - Math Behavior Tests', () => {
       const balance = calculateBalanceWithSettlements(expenses, 'not an array', user1Id, user2Id, coupleId);
       expect(balance).toBe(50);
     });
+
+    it('should ignore reversed settlements', () => {
+      const expenses = [
+        { paidBy: user1Id, splitDetails: { user1Amount: 50, user2Amount: 50 } },
+      ];
+      const settlements = [
+        { settledBy: user2Id, amount: 50, coupleId, reversalId: 'reversal1' },
+      ];
+      const balance = calculateBalanceWithSettlements(expenses, settlements, user1Id, user2Id, coupleId);
+      expect(balance).toBe(50);
+    });
+
+    it('should carry the remainder of a partial settlement forward', () => {
+      // user2 owes 500 and pays back 200; expenses stay unsettled
+      const expenses = [
+        { paidBy: user1Id, splitDetails: { user1Amount: 500, user2Amount: 500 } },
+      ];
+      const settlements = [
+        { settledBy: user2Id, amount: 200, coupleId, isPartial: true },
+      ];
+      const balance = calculateBalanceWithSettlements(expenses, settlements, user1Id, user2Id, coupleId);
+      expect(balance).toBe(300);
+    });
+  });
+
+  describe('getSettlementPayer', () => {
+    it('should pick user2 when user2 owes user1', () => {
+      expect(getSettlementPayer(50, 'user1', 'user2')).toBe('user2');
+    });
+
+    it('should pick user1 when user1 owes user2', () => {
+      expect(getSettlementPayer(-50, 'user1', 'user2')).toBe('user1');
+    });
+  });
+
+  describe('calculatePartialSettlement', () => {
+    it('should return the remaining balance of a partial payment', () => {
+      expect(calculatePartialSettlement(-500, 200)).toEqual({
+        outstanding: 500,
+        amount: 200,
+        remainingBalance: 300,
+        isPartial: true,
+      });
+    });
+
+    it('should treat paying the full balance as a full settlement', () => {
+      const result = calculatePartialSettlement(123.45, 123.45);
+      expect(result.remainingBalance).toBe(0);
+      expect(result.isPartial).toBe(false);
+    });
+
+    it('should avoid floating point remainders', () => {
+      expect(calculatePartialSettlement(0.3, 0.1).remainingBalance).toBe(0.2);
+    });
+
+    it('should round to the decimals of the balance currency', () => {
+      expect(calculatePartialSettlement(1000.4, 300.6, 'JPY')).toEqual({
+        outstanding: 1000,
+        amount: 301,
+        remainingBalance: 699,
+        isPartial: true,
+      });
+      expect(calculatePartialSettlement(10.1234, 4.0006, 'KWD').remainingBalance).toBe(6.122);
+    });
   });
 
   describe('formatBalance', () => {
@@ -749,6 +815,12 @@ describe('calculations.js - Math Behavior Tests', () => {
       expect(roundCurrency(10)).toBe(10);
     });
 
+    it('should round to the currency decimals', () => {
+      expect(roundCurrency(1234.5, 'JPY')).toBe(1235);
+      expect(roundCurrency(10.1236, 'KWD')).toBe(10.124);
+      expect(roundCurrency(10.126, 'EUR')).toBe(10.13);
+    });
+
     it('should handle rounding edge cases', () => {
       expect(roundCurrency(0.005)).toBe(0.01);
       expect(roundCurrency(0.004)).toBe(0);
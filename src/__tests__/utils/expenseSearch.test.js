@@ -0,0 +1,144 @@
+// src/__tests__/utils/expenseSearch.test.js
+// Unit tests for the expense search query syntax
+
+import {
+  parseDatePeriod,
+  parseSearchQuery,
+  isEmptySearch,
+  matchesSearch,
+  searchExpenseList,
+} from '../../utils/expenseSearch';
+
+const expenses = [
+  {
+    id: 'e1',
+    description: 'SQ *BLUE BOTTLE COFFEE #221',
+    amount: 8.5,
+    currency: 'USD',
+    categoryKey: 'food',
+    paidBy: 'user1',
+    date: new Date(2026, 2, 14, 9, 30).toISOString(),
+  },
+  {
+    id: 'e2',
+    description: 'Hotel in Lisbon',
+    notes: 'Booked through the airline',
+    amount: 420,
+    currency: 'EUR',
+    categoryKey: 'travel',
+    tags: ['vacation', 'work'],
+    paidBy: 'user2',
+    date: new Date(2026, 4, 2, 18, 0).toISOString(),
+    settledAt: '2026-05-10T00:00:00.000Z',
+  },
+  {
+    id: 'e3',
+    description: 'Groceries',
+    amount: 120,
+    currency: 'USD',
+    categoryKey: 'groceries',
+    tags: ['work'],
+    paidBy: 'user1',
+    date: new Date(2025, 11, 31, 12, 0).toISOString(),
+  },
+];
+
+const context = {
+  userId: 'user1',
+  partnerId: 'user2',
+  categories: { travel: { name: 'Travel & Holidays' } },
+  tags: { vacation: { key: 'vacation', name: 'Summer Vacation' }, work: { key: 'work', name: 'Work' } },
+};
+
+const ids = (query) => searchExpenseList(expenses, query, context).map((expense) => expense.id);
+
+describe('expenseSearch.js', () => {
+  describe('parseDatePeriod', () => {
+    it('should expand a month to its first and last millisecond', () => {
+      const period = parseDatePeriod('2026-02');
+
+      expect(period.start).toEqual(new Date(2026, 1, 1));
+      expect(period.end).toEqual(new Date(2026, 2, 1, 0, 0, 0, -1));
+    });
+
+    it('should reject impossible dates', () => {
+      expect(parseDatePeriod('2026-02-30')).toBeNull();
+      expect(parseDatePeriod('2026-13')).toBeNull();
+      expect(parseDatePeriod('March')).toBeNull();
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should separate words, phrases, exclusions and qualifiers', () => {
+      const search = parseSearchQuery('coffee "blue bottle" -decaf currency:usd >100 paid:me');
+
+      expect(search.terms).toEqual(['coffee', 'blue bottle']);
+      expect(search.excludedTerms).toEqual(['decaf']);
+      expect(search.currencies).toEqual(['USD']);
+      expect(search.minAmount).toBe(100.01);
+      expect(search.paidBy).toBe('me');
+    });
+
+    it('should parse amount ranges', () => {
+      const search = parseSearchQuery('amount:10..20');
+
+      expect(search.minAmount).toBe(10);
+      expect(search.maxAmount).toBe(20);
+    });
+
+    it('should report qualifiers it cannot understand', () => {
+      const search = parseSearchQuery('amount:lots status:maybe date:soon');
+
+      expect(search.invalidTokens).toEqual(['amount:lots', 'status:maybe', 'date:soon']);
+      expect(isEmptySearch(search)).toBe(true);
+    });
+
+    it('should search unknown qualifiers as text', () => {
+      expect(parseSearchQuery('ref:1234').terms).toEqual(['ref:1234']);
+    });
+  });
+
+  describe('matchesSearch', () => {
+    it('should match description and notes case-insensitively', () => {
+      expect(ids('lisbon')).toEqual(['e2']);
+      expect(ids('AIRLINE')).toEqual(['e2']);
+    });
+
+    it('should match merchants regardless of store numbers and prefixes', () => {
+      expect(ids('"blue bottle coffee #9"')).toEqual(['e1']);
+    });
+
+    it('should filter by amount, currency and exclusions', () => {
+      expect(ids('>100')).toEqual(['e2', 'e3']);
+      expect(ids('>100 currency:USD')).toEqual(['e3']);
+      expect(ids('<=120 -coffee')).toEqual(['e3']);
+    });
+
+    it('should filter by date periods and comparisons', () => {
+      expect(ids('date:2026')).toEqual(['e1', 'e2']);
+      expect(ids('date:2026-03')).toEqual(['e1']);
+      expect(ids('before:2026-03-14')).toEqual(['e3']);
+      expect(ids('after:2026-03-14')).toEqual(['e2']);
+      expect(ids('date:2026-03..2026-05')).toEqual(['e1', 'e2']);
+    });
+
+    it('should filter by category key or name, payer and status', () => {
+      expect(ids('category:holidays')).toEqual(['e2']);
+      expect(ids('cat:food')).toEqual(['e1']);
+      expect(ids('paid:partner')).toEqual(['e2']);
+      expect(ids('status:pending paid:me')).toEqual(['e1', 'e3']);
+    });
+
+    it('should filter by tag key or name and require every tag', () => {
+      expect(ids('tag:work')).toEqual(['e2', 'e3']);
+      expect(ids('tag:summer')).toEqual(['e2']);
+      expect(ids('tag:work tag:vacation')).toEqual(['e2']);
+    });
+
+    it('should not match an expense without a date when dates are searched', () => {
+      const search = parseSearchQuery('date:2026');
+
+      expect(matchesSearch({ description: 'Undated', amount: 5 }, search, context)).toBe(false);
+    });
+  });
+});
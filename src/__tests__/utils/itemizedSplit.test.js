@@ -0,0 +1,126 @@
+// src/__tests__/utils/itemizedSplit.test.js
+// Unit tests for itemized receipt splitting
+
+import { calculateItemizedSplit, createItemization } from '../../utils/itemizedSplit';
+
+describe('itemizedSplit.js', () => {
+  describe('createItemization', () => {
+    it('should default every line to shared and drop empty lines', () => {
+      const items = createItemization([
+        { description: 'Milk', quantity: 1, unitPrice: 3.49, price: 3.49 },
+        { description: 'Bag', quantity: 1, unitPrice: 0, price: 0 },
+      ]);
+
+      expect(items).toEqual([
+        { description: 'Milk', quantity: 1, price: 3.49, assignment: 'shared' },
+      ]);
+    });
+  });
+
+  describe('calculateItemizedSplit', () => {
+    it('should split shared items equally', () => {
+      const result = calculateItemizedSplit([
+        { price: 10, assignment: 'shared' },
+        { price: 6, assignment: 'shared' },
+      ]);
+
+      expect(result.user1Amount).toBe(8);
+      expect(result.user2Amount).toBe(8);
+      expect(result.user1Percentage).toBe(50);
+    });
+
+    it('should give the odd cent of a shared item to the current user', () => {
+      const result = calculateItemizedSplit([{ price: 0.05, assignment: 'shared' }]);
+
+      expect(result.user1Amount).toBe(0.03);
+      expect(result.user2Amount).toBe(0.02);
+    });
+
+    it('should allocate tax and tip in proportion to each share', () => {
+      const result = calculateItemizedSplit(
+        [
+          { price: 30, assignment: 'mine' },
+          { price: 10, assignment: 'partner' },
+          { price: 20, assignment: 'shared' },
+        ],
+        { tax: 6, tip: 9 }
+      );
+
+      // Mine: 40 of 60 in items, so two thirds of the 15 in extras
+      expect(result.user1Amount).toBe(50);
+      expect(result.user2Amount).toBe(25);
+      expect(result.total).toBe(75);
+      expect(result.user1Percentage + result.user2Percentage).toBe(100);
+    });
+
+    it('should reconcile to the receipt total including discounts', () => {
+      const result = calculateItemizedSplit(
+        [
+          { price: 12.99, assignment: 'mine' },
+          { price: 7.33, assignment: 'partner' },
+          { price: 4.41, assignment: 'shared' },
+        ],
+        { tax: 1.97, total: 25.1 }
+      );
+
+      expect(Math.round((result.user1Amount + result.user2Amount) * 100)).toBe(2510);
+      expect(result.tax).toBe(1.97);
+    });
+
+    it('should rescale to a converted target total', () => {
+      const result = calculateItemizedSplit(
+        [
+          { price: 75, assignment: 'mine' },
+          { price: 25, assignment: 'partner' },
+        ],
+        { total: 100, targetTotal: 110 }
+      );
+
+      expect(result.user1Amount).toBe(82.5);
+      expect(result.user2Amount).toBe(27.5);
+      expect(result.total).toBe(110);
+    });
+
+    it('should split in whole yen for JPY receipts', () => {
+      const result = calculateItemizedSplit([{ price: 1001, assignment: 'shared' }], { currency: 'JPY' });
+
+      expect(result.user1Amount).toBe(501);
+      expect(result.user2Amount).toBe(500);
+    });
+
+    it('should keep the third decimal for KWD receipts', () => {
+      const result = calculateItemizedSplit([{ price: 1.005, assignment: 'shared' }], { currency: 'KWD' });
+
+      expect(result.user1Amount).toBe(0.503);
+      expect(result.user2Amount).toBe(0.502);
+      expect(result.total).toBe(1.005);
+    });
+
+    it('should round a converted target total to the target currency', () => {
+      const result = calculateItemizedSplit(
+        [
+          { price: 75, assignment: 'mine' },
+          { price: 25, assignment: 'partner' },
+        ],
+        { total: 100, targetTotal: 15001, currency: 'USD', targetCurrency: 'JPY' }
+      );
+
+      expect(result.user1Amount).toBe(11251);
+      expect(result.user2Amount).toBe(3750);
+      expect(result.subtotal).toBe(100);
+      expect(result.total).toBe(15001);
+    });
+
+    it('should treat unassigned items as shared', () => {
+      const result = calculateItemizedSplit([{ price: 4 }]);
+      expect(result.user1Amount).toBe(2);
+    });
+
+    it('should reject empty receipts', () => {
+      expect(() => calculateItemizedSplit([])).toThrow('Itemized split needs at least one item');
+      expect(() => calculateItemizedSplit([{ price: 0, assignment: 'mine' }])).toThrow(
+        'Invalid amount: must be a positive number'
+      );
+    });
+  });
+});
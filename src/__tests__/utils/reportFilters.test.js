@@ -0,0 +1,71 @@
+// src/__tests__/utils/reportFilters.test.js
+// Unit tests for tag filters and breakdowns
+
+import {
+  applyAllFilters,
+  calculateTagBreakdown,
+  filterExpensesByTags,
+  getDefaultFilters,
+  groupExpensesByTag,
+} from '../../utils/reportFilters';
+
+const tags = {
+  work: { key: 'work', name: 'Work', color: '#6C63FF' },
+  gift: { key: 'gift', name: 'Gift', color: '#FF6584' },
+};
+
+const expenses = [
+  { id: 'e1', amount: 100, tags: ['work'] },
+  { id: 'e2', amount: 50, tags: ['work', 'gift'] },
+  { id: 'e3', amount: 30, primaryCurrencyAmount: 25 },
+];
+
+const ids = (list) => list.map((expense) => expense.id);
+
+describe('reportFilters.js', () => {
+  describe('filterExpensesByTags', () => {
+    it('should match any selected tag by default', () => {
+      expect(ids(filterExpensesByTags(expenses, ['gift', 'work']))).toEqual(['e1', 'e2']);
+    });
+
+    it('should require every selected tag when matching all', () => {
+      expect(ids(filterExpensesByTags(expenses, ['gift', 'work'], 'all'))).toEqual(['e2']);
+    });
+
+    it('should be applied through applyAllFilters', () => {
+      const filters = { ...getDefaultFilters(), tags: ['gift'] };
+
+      expect(ids(applyAllFilters(expenses, filters))).toEqual(['e2']);
+    });
+  });
+
+  describe('calculateTagBreakdown', () => {
+    it('should count an expense toward each of its tags', () => {
+      const breakdown = calculateTagBreakdown(expenses, tags);
+
+      expect(breakdown.items.map((item) => [item.key, item.total, item.count])).toEqual([
+        ['work', 150, 2],
+        ['gift', 50, 1],
+      ]);
+      expect(breakdown.untaggedTotal).toBe(25);
+      expect(breakdown.untaggedCount).toBe(1);
+    });
+
+    it('should treat deleted tags as untagged', () => {
+      const breakdown = calculateTagBreakdown([{ id: 'e4', amount: 10, tags: ['gone'] }], tags);
+
+      expect(breakdown.items).toEqual([]);
+      expect(breakdown.untaggedCount).toBe(1);
+    });
+  });
+
+  describe('groupExpensesByTag', () => {
+    it('should list an expense under every tag it carries', () => {
+      const groups = groupExpensesByTag(expenses, tags);
+
+      expect(ids(groups.work.expenses)).toEqual(['e1', 'e2']);
+      expect(ids(groups.gift.expenses)).toEqual(['e2']);
+      expect(ids(groups.untagged.expenses)).toEqual(['e3']);
+    });
+  });
+});
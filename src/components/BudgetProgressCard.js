@@ -3,14 +3,18 @@
 
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
+import { useTranslation } from 'react-i18next';
 import { COLORS, FONTS, SPACING, SIZES } from '../constants/theme';
 import { formatCurrency } from '../utils/calculations';
+import { FORECAST_STATUS } from '../utils/spendingForecast';
 
 export default function BudgetProgressCard({
   category,
-  progress, // { budget, spent, remaining, percentage, status }
+  progress, // { budget, spent, remaining, percentage, status, base?, rollover? }
+  forecast, // Optional month-end forecast { projected, projectedRemaining, status }
   style,
 }) {
+  const { t } = useTranslation();
   const getProgressColor = () => {
     if (progress.status === 'danger') {
       return ['#ef4444', '#dc2626']; // Red gradient
@@ -42,6 +46,16 @@ export default function BudgetProgressCard({
         </Text>
       </View>
 
+      {/* Rollover from last month: "base + rollover" */}
+      {!!progress.rollover && (
+        <Text style={[styles.rolloverText, progress.rollover < 0 && styles.rolloverTextDeficit]}>
+          {t(progress.rollover > 0 ? 'budget.rollover.surplus' : 'budget.rollover.deficit', {
+            base: formatCurrency(progress.base),
+            amount: formatCurrency(Math.abs(progress.rollover)),
+          })}
+        </Text>
+      )}
+
       {/* Progress Bar */}
       <View style={styles.progressBarContainer}>
         <View style={styles.progressBarBackground}>
@@ -61,6 +75,23 @@ export default function BudgetProgressCard({
       <Text style={styles.statsText}>
         {progress.percentage.toFixed(0)}% used • {formatCurrency(Math.abs(progress.remaining))} {progress.remaining >= 0 ? 'left' : 'over'}
       </Text>
+
+      {/* Month-end projection */}
+      {forecast && progress.budget > 0 && forecast.status !== FORECAST_STATUS.EXCEEDED && (
+        <Text
+          style={[
+            styles.forecastText,
+            forecast.status === FORECAST_STATUS.ON_PACE_TO_EXCEED && styles.forecastTextOver,
+          ]}
+        >
+          {forecast.status === FORECAST_STATUS.ON_PACE_TO_EXCEED
+            ? t('budget.forecast.cardOver', {
+              projected: formatCurrency(forecast.projected),
+              amount: formatCurrency(Math.abs(forecast.projectedRemaining)),
+            })
+            : t('budget.forecast.card', { projected: formatCurrency(forecast.projected) })}
+        </Text>
+      )}
     </View>
   );
 }
@@ -102,6 +133,13 @@ const styles = StyleSheet.create({
     fontSize: FONTS.sizes.body,
     color: COLORS.textSecondary,
   },
+  rolloverText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.success,
+  },
+  rolloverTextDeficit: {
+    color: COLORS.error,
+  },
   progressBarContainer: {
     marginVertical: SPACING.small,
   },
@@ -116,6 +154,15 @@ const styles = StyleSheet.create({
     height: '100%',
     borderRadius: SIZES.borderRadius.small,
   },
+  forecastText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textTertiary,
+    marginTop: SPACING.tiny,
+  },
+  forecastTextOver: {
+    color: COLORS.error,
+    fontWeight: FONTS.weights.semibold,
+  },
   statsText: {
     fontSize: FONTS.sizes.small,
     color: COLORS.textSecondary,
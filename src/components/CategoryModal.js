@@ -15,18 +15,21 @@ import {
 import EmojiPicker from 'rn-emoji-keyboard';
 import { useTranslation } from 'react-i18next';
 import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../constants/theme';
+import { ROLLOVER_MODES, normalizeRolloverSettings } from '../utils/budgetRollover';
 
 export default function CategoryModal({
   visible,
   onClose,
   onSave,
-  editingCategory = null, // { key, name, icon, defaultBudget }
+  editingCategory = null, // { key, name, icon, defaultBudget, rollover }
   mode = 'add', // 'add' or 'edit'
 }) {
   const { t } = useTranslation();
   const [name, setName] = useState('');
   const [icon, setIcon] = useState('');
   const [defaultBudget, setDefaultBudget] = useState('100');
+  const [rolloverMode, setRolloverMode] = useState(ROLLOVER_MODES.NONE);
+  const [rolloverCap, setRolloverCap] = useState('');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [isEmojiPickerOpen, setIsEmojiPickerOpen] = useState(false);
@@ -37,11 +40,16 @@ export default function CategoryModal({
       setName(editingCategory.name || '');
       setIcon(editingCategory.icon || '');
       setDefaultBudget(String(editingCategory.defaultBudget || 100));
+      const rollover = normalizeRolloverSettings(editingCategory.rollover);
+      setRolloverMode(rollover.mode);
+      setRolloverCap(rollover.cap !== null ? String(rollover.cap) : '');
     } else {
       // Reset for add mode
       setName('');
       setIcon('');
       setDefaultBudget('100');
+      setRolloverMode(ROLLOVER_MODES.NONE);
+      setRolloverCap('');
     }
     setErrors({});
   }, [editingCategory, mode, visible]);
@@ -64,6 +72,13 @@ export default function CategoryModal({
       newErrors.defaultBudget = t('components.categoryModal.budgetError');
     }
 
+    if (rolloverCap.trim()) {
+      const capNum = parseFloat(rolloverCap);
+      if (isNaN(capNum) || capNum <= 0) {
+        newErrors.rolloverCap = t('components.categoryModal.rolloverCapError');
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -79,6 +94,7 @@ export default function CategoryModal({
         name: name.trim(),
         icon: icon.trim(),
         defaultBudget: parseFloat(defaultBudget) || 0,
+        rollover: normalizeRolloverSettings({ mode: rolloverMode, cap: rolloverCap }),
       };
 
       await onSave(categoryData);
@@ -95,6 +111,8 @@ export default function CategoryModal({
     setName('');
     setIcon('');
     setDefaultBudget('100');
+    setRolloverMode(ROLLOVER_MODES.NONE);
+    setRolloverCap('');
     setErrors({});
     onClose();
   };
@@ -181,6 +199,46 @@ export default function CategoryModal({
               )}
             </View>
 
+            {/* Rollover */}
+            <View style={styles.formGroup}>
+              <Text style={styles.label}>{t('components.categoryModal.rollover')}</Text>
+              <View style={styles.rolloverOptions}>
+                {Object.values(ROLLOVER_MODES).map((mode) => (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[styles.rolloverOption, rolloverMode === mode && styles.rolloverOptionActive]}
+                    onPress={() => setRolloverMode(mode)}
+                    activeOpacity={0.7}
+                  >
+                    <Text style={[styles.rolloverOptionText, rolloverMode === mode && styles.rolloverOptionTextActive]}>
+                      {t(`components.categoryModal.rolloverModes.${mode}`)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.hint}>{t('components.categoryModal.rolloverHint')}</Text>
+            </View>
+
+            {rolloverMode !== ROLLOVER_MODES.NONE && (
+              <View style={styles.formGroup}>
+                <Text style={styles.label}>{t('components.categoryModal.rolloverCap')}</Text>
+                <View style={styles.budgetInputContainer}>
+                  <Text style={styles.dollarSign}>$</Text>
+                  <TextInput
+                    style={[styles.input, styles.budgetInput, errors.rolloverCap && styles.inputError]}
+                    placeholder="0"
+                    value={rolloverCap}
+                    onChangeText={setRolloverCap}
+                    keyboardType="numeric"
+                  />
+                </View>
+                <Text style={styles.hint}>{t('components.categoryModal.rolloverCapHint')}</Text>
+                {errors.rolloverCap && (
+                  <Text style={styles.errorText}>{errors.rolloverCap}</Text>
+                )}
+              </View>
+            )}
+
             {/* General Error */}
             {errors.general && (
               <View style={styles.generalErrorContainer}>
@@ -294,6 +352,31 @@ const styles = StyleSheet.create({
   budgetInput: {
     flex: 1,
   },
+  rolloverOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  rolloverOption: {
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.medium,
+    borderRadius: SIZES.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  rolloverOptionActive: {
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary + '15',
+  },
+  rolloverOptionText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  rolloverOptionTextActive: {
+    color: COLORS.primary,
+    fontWeight: FONTS.weights.semibold,
+  },
   errorText: {
     fontSize: FONTS.sizes.small,
     color: COLORS.error,
@@ -9,6 +9,7 @@ import {
   TouchableOpacity,
   StyleSheet,
   Platform,
+  ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS, FONTS, SPACING, SIZES } from '../constants/theme';
@@ -23,6 +24,12 @@ import {
 } from '../utils/currencyUtils';
 import { getCurrencyInfo } from '../constants/currencies';
 
+/**
+ * `suggestedRate` ({ rate, source, provider, date }) is a rate looked up for
+ * the expense (see exchangeRateService). It is filled in until the user enters
+ * their own rate, and passed back as the second argument of `onRateChange`;
+ * rates the user enters are passed back on their own.
+ */
 export default function ExchangeRateInput({
   fromAmount,
   fromCurrency,
@@ -30,12 +37,16 @@ export default function ExchangeRateInput({
   onRateChange,
   onConvertedAmountChange,
   initialRate = null,
+  suggestedRate = null,
+  suggestionLoading = false,
   style,
 }) {
-  const [exchangeRate, setExchangeRate] = useState(initialRate || '');
+  const [exchangeRate, setExchangeRate] = useState(initialRate ? initialRate.toString() : '');
   const [convertedAmount, setConvertedAmount] = useState('');
   const [calculationMode, setCalculationMode] = useState('rate'); // 'rate' or 'amount'
   const [error, setError] = useState(null);
+  const [userEdited, setUserEdited] = useState(false);
+  const [appliedSuggestion, setAppliedSuggestion] = useState(null);
 
   const fromInfo = getCurrencyInfo(fromCurrency);
   const toInfo = getCurrencyInfo(toCurrency);
@@ -75,8 +86,21 @@ export default function ExchangeRateInput({
     }
   }, [convertedAmount, fromAmount, calculationMode]);
 
+  // Fill in a looked-up rate until the user enters their own
+  useEffect(() => {
+    if (suggestedRate?.rate && !userEdited) {
+      setError(null);
+      setCalculationMode('rate');
+      setExchangeRate(suggestedRate.rate.toString());
+      setAppliedSuggestion(suggestedRate);
+      onRateChange(suggestedRate.rate, suggestedRate);
+    }
+  }, [suggestedRate]);
+
   const handleRateChange = (text) => {
     setError(null);
+    setUserEdited(true);
+    setAppliedSuggestion(null);
     setCalculationMode('rate');
     setExchangeRate(text);
 
@@ -93,6 +117,8 @@ export default function ExchangeRateInput({
 
   const handleConvertedAmountChange = (text) => {
     setError(null);
+    setUserEdited(true);
+    setAppliedSuggestion(null);
     setCalculationMode('amount');
     setConvertedAmount(text);
 
@@ -103,11 +129,20 @@ export default function ExchangeRateInput({
   };
 
   const handleQuickRate = (rate) => {
+    setUserEdited(true);
+    setAppliedSuggestion(null);
     setCalculationMode('rate');
     setExchangeRate(rate.toString());
     onRateChange(rate);
   };
 
+  const getSuggestionLabel = () => {
+    if (appliedSuggestion.source === 'recent') {
+      return 'Last rate you used for this currency';
+    }
+    return `Rate for ${appliedSuggestion.date} from ${appliedSuggestion.provider}`;
+  };
+
   // Suggested quick rates based on common conversions
   const getQuickRates = () => {
     // Common rate suggestions (you can make this dynamic based on historical data)
@@ -201,6 +236,20 @@ export default function ExchangeRateInput({
             {formatExchangeRate(parseFloat(exchangeRate), fromCurrency, toCurrency)}
           </Text>
         )}
+
+        {/* Where a filled-in rate came from */}
+        {suggestionLoading && !userEdited && (
+          <View style={styles.suggestionRow}>
+            <ActivityIndicator size="small" color={COLORS.primary} />
+            <Text style={styles.suggestionText}>Looking up the rate for this date…</Text>
+          </View>
+        )}
+        {appliedSuggestion && !suggestionLoading && (
+          <View style={styles.suggestionRow}>
+            <Ionicons name="globe-outline" size={14} color={COLORS.textSecondary} />
+            <Text style={styles.suggestionText}>{getSuggestionLabel()}</Text>
+          </View>
+        )}
       </View>
 
       {/* Quick Rate Suggestions */}
@@ -354,6 +403,17 @@ const styles = StyleSheet.create({
     marginTop: SPACING.tiny,
     textAlign: 'center',
   },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: SPACING.tiny,
+  },
+  suggestionText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginLeft: SPACING.tiny,
+  },
   errorContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -3,9 +3,10 @@
  *
  * Modal component for displaying detailed expense information
  * Shows full expense details, split breakdown, and settlement status
+ * For recurring occurrences: pause/resume, skip next and "edit this and future"
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -23,6 +24,7 @@ import { COLORS, FONTS, SPACING } from '../constants/theme';
 import { useBudget } from '../contexts/BudgetContext';
 import { formatCurrency, formatDate } from '../utils/calculations';
 import * as expenseService from '../services/expenseService';
+import * as recurringExpenseService from '../services/recurringExpenseService';
 
 export default function ExpenseDetailModal({
   visible,
@@ -34,8 +36,34 @@ export default function ExpenseDetailModal({
   onDelete,
 }) {
   const { t } = useTranslation();
-  const { categories } = useBudget();
+  const { categories, tags } = useBudget();
   const [deleting, setDeleting] = useState(false);
+  const [recurringSeries, setRecurringSeries] = useState(null);
+  const [recurringBusy, setRecurringBusy] = useState(false);
+
+  const recurringExpenseId = expense?.recurringExpenseId;
+
+  // Load the recurring series this occurrence belongs to
+  useEffect(() => {
+    if (!visible || !recurringExpenseId) {
+      setRecurringSeries(null);
+      return;
+    }
+
+    let cancelled = false;
+    recurringExpenseService.getRecurringExpense(recurringExpenseId)
+      .then((series) => {
+        if (!cancelled) setRecurringSeries(series);
+      })
+      .catch((error) => {
+        if (__DEV__) console.error('Error loading recurring series:', error);
+        if (!cancelled) setRecurringSeries(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, recurringExpenseId]);
 
   if (!expense) return null;
 
@@ -43,6 +71,7 @@ export default function ExpenseDetailModal({
   const categoryIcon = categories[categoryKey]?.icon || '💡';
   const categoryColor = COLORS.primary;
   const categoryName = categories[categoryKey]?.name || 'Other';
+  const expenseTags = (expense.tags || []).map((key) => tags?.[key]).filter(Boolean);
 
   const isPaidByUser = expense.paidBy === userDetails?.uid;
   const paidByName = isPaidByUser
@@ -76,6 +105,30 @@ export default function ExpenseDetailModal({
     }
   };
 
+  const handleEditSeries = () => {
+    if (onEdit) {
+      onEdit(expense, { editScope: 'future' });
+      onClose();
+    }
+  };
+
+  // Run a series action and refresh the displayed schedule
+  const runSeriesAction = async (action) => {
+    try {
+      setRecurringBusy(true);
+      await action(recurringExpenseId);
+      setRecurringSeries(await recurringExpenseService.getRecurringExpense(recurringExpenseId));
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('components.expenseDetail.recurring.actionError'));
+    } finally {
+      setRecurringBusy(false);
+    }
+  };
+
+  const nextScheduledDate = recurringExpenseService.getNextScheduledDate(recurringSeries);
+  const isSeriesPaused = recurringSeries?.status === 'paused';
+  const isSeriesEnded = recurringSeries?.status === 'ended';
+
   const handleDelete = async () => {
     const warningMessage = deleteCheck.isSettled
       ? t('components.expenseDetail.deleteWarningSettled')
@@ -152,6 +205,31 @@ export default function ExpenseDetailModal({
               <Text style={styles.value}>{expense.description || t('components.expenseDetail.noDescription')}</Text>
             </View>
 
+            {/* Tags */}
+            {expenseTags.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.label}>{t('components.expenseDetail.tags')}</Text>
+                <View style={styles.tagList}>
+                  {expenseTags.map((tag) => (
+                    <View
+                      key={tag.key}
+                      style={[styles.tagChip, { backgroundColor: (tag.color || COLORS.primary) + '20' }]}
+                    >
+                      <Text style={[styles.tagChipText, { color: tag.color || COLORS.primary }]}>{tag.name}</Text>
+                    </View>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Notes */}
+            {expense.notes ? (
+              <View style={styles.section}>
+                <Text style={styles.label}>{t('components.expenseDetail.notes')}</Text>
+                <Text style={styles.notesValue}>{expense.notes}</Text>
+              </View>
+            ) : null}
+
             {/* Amount */}
             <View style={styles.section}>
               <Text style={styles.label}>{t('components.expenseDetail.totalAmount')}</Text>
@@ -200,6 +278,79 @@ export default function ExpenseDetailModal({
               </View>
             </View>
 
+            {/* Recurring Series */}
+            {recurringSeries && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>{t('components.expenseDetail.recurring.title')}</Text>
+
+                <View style={styles.recurringRow}>
+                  <Ionicons name="repeat" size={20} color={COLORS.primary} />
+                  <Text style={styles.value}>
+                    {t(`components.recurrence.frequency.${recurringSeries.frequency}`)}
+                  </Text>
+                </View>
+
+                <Text style={styles.recurringStatus}>
+                  {isSeriesEnded
+                    ? t('components.expenseDetail.recurring.ended')
+                    : isSeriesPaused
+                      ? t('components.expenseDetail.recurring.paused')
+                      : nextScheduledDate
+                        ? t('components.expenseDetail.recurring.next', {
+                            date: formatDate(`${nextScheduledDate}T12:00:00`),
+                          })
+                        : t('components.expenseDetail.recurring.ended')}
+                </Text>
+
+                {!isSeriesEnded && (
+                  <View style={styles.recurringActions}>
+                    <TouchableOpacity
+                      style={styles.recurringButton}
+                      onPress={() => runSeriesAction(
+                        isSeriesPaused
+                          ? recurringExpenseService.resumeRecurringExpense
+                          : recurringExpenseService.pauseRecurringExpense
+                      )}
+                      disabled={recurringBusy}
+                    >
+                      <Ionicons name={isSeriesPaused ? 'play' : 'pause'} size={16} color={COLORS.primary} />
+                      <Text style={styles.recurringButtonText}>
+                        {isSeriesPaused
+                          ? t('components.expenseDetail.recurring.resume')
+                          : t('components.expenseDetail.recurring.pause')}
+                      </Text>
+                    </TouchableOpacity>
+
+                    {!isSeriesPaused && nextScheduledDate && (
+                      <TouchableOpacity
+                        style={styles.recurringButton}
+                        onPress={() => runSeriesAction(recurringExpenseService.skipOccurrence)}
+                        disabled={recurringBusy}
+                      >
+                        <Ionicons name="play-skip-forward" size={16} color={COLORS.primary} />
+                        <Text style={styles.recurringButtonText}>
+                          {t('components.expenseDetail.recurring.skipNext')}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+
+                    {canEdit && !isSettled && (
+                      <TouchableOpacity
+                        style={styles.recurringButton}
+                        onPress={handleEditSeries}
+                        disabled={recurringBusy}
+                      >
+                        <Ionicons name="create-outline" size={16} color={COLORS.primary} />
+                        <Text style={styles.recurringButtonText}>
+                          {t('components.expenseDetail.recurring.editFuture')}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                )}
+              </View>
+            )}
+
             {/* Settlement Status */}
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>{t('components.expenseDetail.settlementStatus')}</Text>
@@ -364,6 +515,25 @@ const styles = StyleSheet.create({
     fontSize: 18,
     color: COLORS.text,
   },
+  notesValue: {
+    ...FONTS.body,
+    color: COLORS.text,
+    lineHeight: 22,
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  tagChip: {
+    paddingVertical: SPACING.tiny,
+    paddingHorizontal: SPACING.medium,
+    borderRadius: 16,
+  },
+  tagChipText: {
+    ...FONTS.small,
+    fontWeight: '600',
+  },
   amountValue: {
     ...FONTS.heading,
     fontSize: 32,
@@ -436,6 +606,38 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginTop: SPACING.tiny,
   },
+  recurringRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  recurringStatus: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+  },
+  recurringActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+    marginTop: SPACING.base,
+  },
+  recurringButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.tiny,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    backgroundColor: COLORS.primary + '10',
+  },
+  recurringButtonText: {
+    ...FONTS.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   footer: {
     padding: SPACING.large,
     borderTopWidth: 1,
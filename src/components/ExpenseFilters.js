@@ -2,7 +2,7 @@
  * ExpenseFilters.js
  *
  * Comprehensive filter panel for expense reports
- * Includes date range, category, settlement status, and payer filters
+ * Includes date range, category, tag, settlement status, and payer filters
  */
 
 import React, { useState, useEffect } from 'react';
@@ -22,7 +22,7 @@ import { getDefaultFilters, countActiveFilters } from '../utils/reportFilters';
 
 export default function ExpenseFilters({ onFiltersChange, initialFilters }) {
   const { t } = useTranslation();
-  const { categories } = useBudget();
+  const { categories, tags } = useBudget();
   const [expanded, setExpanded] = useState(false);
   const [filters, setFilters] = useState(initialFilters || getDefaultFilters());
 
@@ -35,6 +35,8 @@ export default function ExpenseFilters({ onFiltersChange, initialFilters }) {
     color: COLORS.primary, // Use primary color for all custom categories
   }));
 
+  const tagArray = Object.values(tags || {}).sort((a, b) => a.name.localeCompare(b.name));
+
   // Notify parent when filters change
   useEffect(() => {
     if (onFiltersChange) {
@@ -64,6 +66,27 @@ export default function ExpenseFilters({ onFiltersChange, initialFilters }) {
     });
   };
 
+  const handleTagToggle = (tagKey) => {
+    setFilters(prev => {
+      const tags = prev.tags || [];
+      const isSelected = tags.includes(tagKey);
+
+      return {
+        ...prev,
+        tags: isSelected
+          ? tags.filter(key => key !== tagKey)
+          : [...tags, tagKey],
+      };
+    });
+  };
+
+  const handleTagMatchChange = (tagMatch) => {
+    setFilters(prev => ({
+      ...prev,
+      tagMatch,
+    }));
+  };
+
   const handleSettlementStatusChange = (status) => {
     setFilters(prev => ({
       ...prev,
@@ -169,6 +192,74 @@ export default function ExpenseFilters({ onFiltersChange, initialFilters }) {
               </View>
             </View>
 
+            {/* Tag Filter */}
+            {tagArray.length > 0 && (
+              <View style={styles.filterSection}>
+                <Text style={styles.filterLabel}>{t('components.expenseFilters.tags')}</Text>
+                <View style={styles.categoryGrid}>
+                  {tagArray.map(tag => {
+                    const isSelected = filters.tags?.includes(tag.key);
+                    const tagColor = tag.color || COLORS.primary;
+                    return (
+                      <TouchableOpacity
+                        key={tag.key}
+                        style={[
+                          styles.categoryChip,
+                          isSelected && { backgroundColor: tagColor + '15' },
+                          { borderColor: tagColor },
+                        ]}
+                        onPress={() => handleTagToggle(tag.key)}
+                        activeOpacity={0.7}
+                      >
+                        <Text
+                          style={[
+                            styles.categoryChipText,
+                            isSelected && styles.categoryChipTextSelected,
+                          ]}
+                        >
+                          {tag.name}
+                        </Text>
+                        {isSelected && (
+                          <Ionicons
+                            name="checkmark-circle"
+                            size={16}
+                            color={tagColor}
+                            style={styles.checkmark}
+                          />
+                        )}
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+
+                {/* Any/all only matters with more than one tag */}
+                {filters.tags?.length > 1 && (
+                  <View style={[styles.buttonGroup, styles.tagMatchGroup]}>
+                    {['any', 'all'].map(match => (
+                      <TouchableOpacity
+                        key={match}
+                        style={[
+                          styles.filterButton,
+                          (filters.tagMatch || 'any') === match && styles.filterButtonActive,
+                        ]}
+                        onPress={() => handleTagMatchChange(match)}
+                        activeOpacity={0.7}
+                      >
+                        <Text
+                          style={[
+                            styles.filterButtonText,
+                            (filters.tagMatch || 'any') === match && styles.filterButtonTextActive,
+                          ]}
+                        >
+                          {t(`components.expenseFilters.${match === 'all' ? 'matchAllTags' : 'matchAnyTag'}`)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </View>
+            )}
+
             {/* Settlement Status Filter */}
             <View style={styles.filterSection}>
               <Text style={styles.filterLabel}>{t('components.expenseFilters.settlementStatus')}</Text>
@@ -258,6 +349,14 @@ export default function ExpenseFilters({ onFiltersChange, initialFilters }) {
             </View>
           )}
 
+          {filters.tags && filters.tags.length > 0 && (
+            <View style={styles.activeFilterChip}>
+              <Text style={styles.activeFilterChipText}>
+                {t('components.expenseFilters.tagCount', { count: filters.tags.length })}
+              </Text>
+            </View>
+          )}
+
           {filters.settlementStatus && filters.settlementStatus !== 'all' && (
             <View style={styles.activeFilterChip}>
               <Text style={styles.activeFilterChipText}>
@@ -377,6 +476,9 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: SPACING.small,
   },
+  tagMatchGroup: {
+    marginTop: SPACING.small,
+  },
   filterButton: {
     flex: 1,
     paddingVertical: SPACING.base,
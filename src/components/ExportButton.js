@@ -25,6 +25,7 @@ export default function ExportButton({
   partnerDetails,
   filters,
   categories = {},
+  tags = {},
   disabled = false,
   style,
 }) {
@@ -51,6 +52,7 @@ export default function ExportButton({
       const result = await exportExpenses(expenses, userDetails, partnerDetails, categories, {
         startDate: filters?.startDate,
         endDate: filters?.endDate,
+        tags,
       });
 
       Alert.alert(
@@ -0,0 +1,225 @@
+// src/components/ItemizedSplitEditor.js
+// Assign receipt lines to me, my partner or both and preview the resulting split
+
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../constants/theme';
+import { formatCurrency, roundCurrency } from '../utils/currencyUtils';
+import { ITEM_ASSIGNMENTS, calculateItemizedSplit } from '../utils/itemizedSplit';
+
+export default function ItemizedSplitEditor({
+  itemization,
+  onChange,
+  total,
+  currency,
+  partnerName = 'Partner',
+  style,
+}) {
+  const { t } = useTranslation();
+
+  const items = itemization?.items || [];
+
+  const split = useMemo(() => {
+    try {
+      return calculateItemizedSplit(items, {
+        tax: itemization?.tax,
+        tip: itemization?.tip,
+        total: total > 0 ? total : null,
+        currency,
+      });
+    } catch (err) {
+      return null;
+    }
+  }, [items, itemization?.tax, itemization?.tip, total, currency]);
+
+  const handleAssign = (index, assignment) => {
+    onChange({
+      ...itemization,
+      items: items.map((item, i) => (i === index ? { ...item, assignment } : item)),
+    });
+  };
+
+  const handleAssignAll = (assignment) => {
+    onChange({
+      ...itemization,
+      items: items.map((item) => ({ ...item, assignment })),
+    });
+  };
+
+  const extras = split ? roundCurrency(split.total - split.subtotal, currency) : 0;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>{t('addExpense.itemized.title')}</Text>
+        <TouchableOpacity onPress={() => handleAssignAll('shared')}>
+          <Text style={styles.link}>{t('addExpense.itemized.shareAll')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {items.map((item, index) => (
+        <View key={`${item.description}-${index}`} style={styles.itemRow} testID={`itemized-line-${index}`}>
+          <View style={styles.itemHeader}>
+            <Text style={styles.itemDescription} numberOfLines={1}>
+              {item.quantity > 1 ? `${item.quantity} × ${item.description}` : item.description}
+            </Text>
+            <Text style={styles.itemPrice}>{formatCurrency(item.price, currency)}</Text>
+          </View>
+          <View style={styles.chipRow}>
+            {ITEM_ASSIGNMENTS.map((assignment) => (
+              <TouchableOpacity
+                key={assignment}
+                style={[styles.chip, item.assignment === assignment && styles.chipSelected]}
+                onPress={() => handleAssign(index, assignment)}
+                testID={`itemized-line-${index}-${assignment}`}
+              >
+                <Text style={[styles.chipText, item.assignment === assignment && styles.chipTextSelected]}>
+                  {t(`addExpense.itemized.assignment.${assignment}`, { partner: partnerName })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      ))}
+
+      {split ? (
+        <View style={styles.summary}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('addExpense.itemized.itemsTotal')}</Text>
+            <Text style={styles.summaryValue}>{formatCurrency(split.subtotal, currency)}</Text>
+          </View>
+          {extras !== 0 && (
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>
+                {extras > 0 ? t('addExpense.itemized.taxAndTip') : t('addExpense.itemized.discounts')}
+              </Text>
+              <Text style={styles.summaryValue}>{formatCurrency(extras, currency)}</Text>
+            </View>
+          )}
+          <View style={[styles.summaryRow, styles.summaryTotalRow]}>
+            <Text style={styles.summaryTotalLabel}>{t('addExpense.itemized.yourShare')}</Text>
+            <Text style={styles.summaryTotalValue}>{formatCurrency(split.user1Amount, currency)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryTotalLabel}>
+              {t('addExpense.itemized.partnerShare', { partner: partnerName })}
+            </Text>
+            <Text style={styles.summaryTotalValue}>{formatCurrency(split.user2Amount, currency)}</Text>
+          </View>
+          {extras !== 0 && (
+            <Text style={styles.hint}>{t('addExpense.itemized.proportionalHint')}</Text>
+          )}
+        </View>
+      ) : (
+        <Text style={[styles.hint, styles.hintError]}>{t('addExpense.itemized.invalid')}</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: SPACING.base,
+    padding: SPACING.base,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.small,
+  },
+  title: {
+    ...FONTS.body,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  link: {
+    ...FONTS.small,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  itemRow: {
+    paddingVertical: SPACING.small,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.small,
+  },
+  itemDescription: {
+    ...FONTS.body,
+    color: COLORS.text,
+    flex: 1,
+    marginRight: SPACING.small,
+  },
+  itemPrice: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 16,
+    backgroundColor: COLORS.background,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  chipSelected: {
+    backgroundColor: COLORS.primary + '20',
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...FONTS.small,
+    color: COLORS.text,
+  },
+  chipTextSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  summary: {
+    marginTop: SPACING.base,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  summaryTotalRow: {
+    marginTop: SPACING.small,
+  },
+  summaryLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  summaryValue: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  summaryTotalLabel: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  summaryTotalValue: {
+    ...FONTS.body,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  hint: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+  },
+  hintError: {
+    color: COLORS.error,
+  },
+});
@@ -0,0 +1,323 @@
+// src/components/RecurrenceSelector.js
+// "Repeat" section for AddExpenseScreen: frequency, custom day of month and end condition
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Platform,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../constants/theme';
+import FieldLabel from './FieldLabel';
+import { RECURRENCE_FREQUENCIES } from '../utils/recurrence';
+
+const END_TYPES = ['never', 'date', 'count'];
+
+/**
+ * Get the end type of a rule for display
+ */
+const getEndType = (rule) => {
+  if (rule?.maxOccurrences) return 'count';
+  if (rule?.endDate) return 'date';
+  return 'never';
+};
+
+export default function RecurrenceSelector({
+  value,
+  onChange,
+  startDate,
+  isPremium,
+  onRequireUpgrade,
+  style,
+}) {
+  const { t } = useTranslation();
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+
+  const frequency = value?.frequency || 'none';
+  const endType = getEndType(value);
+  const customDay = !!value?.dayOfMonth;
+
+  const update = (changes) => {
+    onChange({ ...value, ...changes });
+  };
+
+  const handleFrequencyPress = (nextFrequency) => {
+    if (nextFrequency === 'none') {
+      onChange(null);
+      return;
+    }
+
+    if (!isPremium) {
+      if (onRequireUpgrade) onRequireUpgrade();
+      return;
+    }
+
+    onChange({
+      ...value,
+      frequency: nextFrequency,
+      interval: value?.interval || 1,
+      // Custom day of month only applies to monthly schedules
+      dayOfMonth: nextFrequency === 'monthly' ? value?.dayOfMonth || null : null,
+    });
+  };
+
+  const handleEndTypePress = (type) => {
+    if (type === 'never') {
+      update({ endDate: null, maxOccurrences: null });
+    } else if (type === 'date') {
+      const defaultEnd = new Date(startDate || new Date());
+      defaultEnd.setFullYear(defaultEnd.getFullYear() + 1);
+      update({ endDate: value?.endDate || defaultEnd, maxOccurrences: null });
+    } else {
+      update({ endDate: null, maxOccurrences: value?.maxOccurrences || 12 });
+    }
+  };
+
+  const handleNumberChange = (field, text, max) => {
+    const cleaned = text.replace(/[^0-9]/g, '');
+    if (cleaned === '') {
+      update({ [field]: null });
+      return;
+    }
+    const num = parseInt(cleaned, 10);
+    if (num > max) return;
+    update({ [field]: num });
+  };
+
+  const handleEndDateChange = (selectedDate) => {
+    if (selectedDate) update({ endDate: selectedDate });
+  };
+
+  const endDateLabel = value?.endDate
+    ? new Date(value.endDate).toLocaleDateString()
+    : t('components.recurrence.pickDate');
+
+  return (
+    <View style={[styles.container, style]}>
+      <FieldLabel label={t('components.recurrence.label')} optional />
+
+      <View style={styles.chipRow}>
+        {['none', ...RECURRENCE_FREQUENCIES].map((option) => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, frequency === option && styles.chipSelected]}
+            onPress={() => handleFrequencyPress(option)}
+            testID={`recurrence-frequency-${option}`}
+          >
+            <Text style={[styles.chipText, frequency === option && styles.chipTextSelected]}>
+              {t(`components.recurrence.frequency.${option}`)}
+            </Text>
+            {option !== 'none' && !isPremium && (
+              <Ionicons name="lock-closed" size={12} color={COLORS.warning} />
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {value && frequency === 'monthly' && (
+        <View style={styles.row}>
+          <TouchableOpacity
+            style={styles.checkboxRow}
+            onPress={() => update({ dayOfMonth: customDay ? null : new Date(startDate || new Date()).getDate() })}
+          >
+            <Ionicons
+              name={customDay ? 'checkbox' : 'square-outline'}
+              size={20}
+              color={COLORS.primary}
+            />
+            <Text style={styles.rowLabel}>{t('components.recurrence.customDay')}</Text>
+          </TouchableOpacity>
+          {customDay && (
+            <TextInput
+              style={styles.numberInput}
+              value={value.dayOfMonth ? String(value.dayOfMonth) : ''}
+              onChangeText={(text) => handleNumberChange('dayOfMonth', text, 31)}
+              keyboardType="number-pad"
+              maxLength={2}
+              testID="recurrence-day-of-month"
+            />
+          )}
+        </View>
+      )}
+
+      {value && (
+        <>
+          <Text style={styles.subLabel}>{t('components.recurrence.ends')}</Text>
+          <View style={styles.chipRow}>
+            {END_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.chip, endType === type && styles.chipSelected]}
+                onPress={() => handleEndTypePress(type)}
+              >
+                <Text style={[styles.chipText, endType === type && styles.chipTextSelected]}>
+                  {t(`components.recurrence.endType.${type}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {endType === 'date' && (
+            <TouchableOpacity style={styles.dateButton} onPress={() => setShowEndDatePicker(true)}>
+              <Ionicons name="calendar-outline" size={18} color={COLORS.textSecondary} />
+              <Text style={styles.rowLabel}>{endDateLabel}</Text>
+            </TouchableOpacity>
+          )}
+
+          {endType === 'count' && (
+            <View style={styles.row}>
+              <Text style={styles.rowLabel}>{t('components.recurrence.occurrences')}</Text>
+              <TextInput
+                style={styles.numberInput}
+                value={value.maxOccurrences ? String(value.maxOccurrences) : ''}
+                onChangeText={(text) => handleNumberChange('maxOccurrences', text, 999)}
+                keyboardType="number-pad"
+                maxLength={3}
+                testID="recurrence-max-occurrences"
+              />
+            </View>
+          )}
+        </>
+      )}
+
+      {Platform.OS === 'ios' && showEndDatePicker && (
+        <Modal visible={showEndDatePicker} transparent animationType="slide">
+          <View style={styles.datePickerModal}>
+            <View style={styles.datePickerContainer}>
+              <View style={styles.datePickerHeader}>
+                <TouchableOpacity onPress={() => setShowEndDatePicker(false)}>
+                  <Text style={styles.datePickerButton}>{t('addExpense.dateDone')}</Text>
+                </TouchableOpacity>
+              </View>
+              <DateTimePicker
+                value={value?.endDate ? new Date(value.endDate) : new Date()}
+                minimumDate={startDate}
+                mode="date"
+                display="spinner"
+                onChange={(event, selectedDate) => handleEndDateChange(selectedDate)}
+              />
+            </View>
+          </View>
+        </Modal>
+      )}
+
+      {Platform.OS === 'android' && showEndDatePicker && (
+        <DateTimePicker
+          value={value?.endDate ? new Date(value.endDate) : new Date()}
+          minimumDate={startDate}
+          mode="date"
+          display="default"
+          onChange={(event, selectedDate) => {
+            setShowEndDatePicker(false);
+            handleEndDateChange(selectedDate);
+          }}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: SPACING.large,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.tiny,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 20,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  chipSelected: {
+    backgroundColor: COLORS.primary + '20',
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...FONTS.small,
+    color: COLORS.text,
+  },
+  chipTextSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  subLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.base,
+    marginBottom: SPACING.small,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: SPACING.base,
+  },
+  checkboxRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  rowLabel: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  numberInput: {
+    ...FONTS.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    width: 70,
+    textAlign: 'right',
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 12,
+    padding: SPACING.base,
+    marginTop: SPACING.base,
+  },
+  datePickerModal: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  datePickerContainer: {
+    backgroundColor: COLORS.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: SPACING.xlarge,
+  },
+  datePickerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: SPACING.base,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  datePickerButton: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
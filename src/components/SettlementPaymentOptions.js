@@ -0,0 +1,216 @@
+// src/components/SettlementPaymentOptions.js
+// Settle-up payment choice: pay in full, pay part now, or set up an instalment plan
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../constants/theme';
+import { calculatePartialSettlement, formatCurrency } from '../utils/calculations';
+import { SETTLEMENT_PLAN_FREQUENCIES } from '../services/settlementService';
+import { DEFAULT_CURRENCY, getCurrencyDecimals } from '../constants/currencies';
+
+export const PAYMENT_MODES = ['full', 'partial', 'plan'];
+
+const INSTALMENT_OPTIONS = [2, 3, 4, 6, 12];
+
+export default function SettlementPaymentOptions({
+  value,
+  onChange,
+  outstanding,
+  currency = DEFAULT_CURRENCY,
+  style,
+}) {
+  const { t } = useTranslation();
+
+  const decimals = getCurrencyDecimals(currency);
+  const factor = 10 ** decimals;
+
+  const mode = value?.mode || 'full';
+
+  const update = (changes) => {
+    onChange({ ...value, ...changes });
+  };
+
+  const handleAmountChange = (text) => {
+    // Allow digits and a single decimal separator with the currency's decimals
+    const cleaned = text.replace(',', '.').replace(/[^0-9.]/g, '');
+    const pattern = decimals > 0 ? new RegExp(`^\\d*\\.?\\d{0,${decimals}}$`) : /^\d*$/;
+    if (!pattern.test(cleaned)) return;
+    update({ amount: cleaned });
+  };
+
+  const partialAmount = parseFloat(value?.amount);
+  const partialPreview = mode === 'partial' && partialAmount > 0
+    ? calculatePartialSettlement(outstanding, partialAmount, currency)
+    : null;
+
+  const instalmentCount = value?.instalmentCount || INSTALMENT_OPTIONS[0];
+  const instalmentAmount = Math.floor((outstanding * factor) / instalmentCount) / factor;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.chipRow}>
+        {PAYMENT_MODES.map((option) => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, mode === option && styles.chipSelected]}
+            onPress={() => update({ mode: option })}
+            testID={`settlement-mode-${option}`}
+          >
+            <Text style={[styles.chipText, mode === option && styles.chipTextSelected]}>
+              {t(`settleUpModal.mode.${option}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {mode === 'partial' && (
+        <>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>{t('settleUpModal.amountPaid')}</Text>
+            <TextInput
+              style={styles.amountInput}
+              value={value?.amount || ''}
+              onChangeText={handleAmountChange}
+              keyboardType="decimal-pad"
+              placeholder={(0).toFixed(decimals)}
+              placeholderTextColor={COLORS.textSecondary}
+              testID="settlement-partial-amount"
+            />
+          </View>
+          {partialPreview && (
+            <Text
+              style={[
+                styles.hint,
+                partialPreview.amount > partialPreview.outstanding && styles.hintError,
+              ]}
+            >
+              {partialPreview.amount > partialPreview.outstanding
+                ? t('settleUpModal.exceedsBalance')
+                : t('settleUpModal.remainingAfter', {
+                  amount: formatCurrency(partialPreview.remainingBalance, currency),
+                })}
+            </Text>
+          )}
+        </>
+      )}
+
+      {mode === 'plan' && (
+        <>
+          <Text style={styles.subLabel}>{t('settleUpModal.instalments')}</Text>
+          <View style={styles.chipRow}>
+            {INSTALMENT_OPTIONS.map((count) => (
+              <TouchableOpacity
+                key={count}
+                style={[styles.chip, instalmentCount === count && styles.chipSelected]}
+                onPress={() => update({ instalmentCount: count })}
+              >
+                <Text style={[styles.chipText, instalmentCount === count && styles.chipTextSelected]}>
+                  {count}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.subLabel}>{t('settleUpModal.frequency')}</Text>
+          <View style={styles.chipRow}>
+            {SETTLEMENT_PLAN_FREQUENCIES.map((frequency) => (
+              <TouchableOpacity
+                key={frequency}
+                style={[styles.chip, (value?.frequency || 'monthly') === frequency && styles.chipSelected]}
+                onPress={() => update({ frequency })}
+              >
+                <Text
+                  style={[
+                    styles.chipText,
+                    (value?.frequency || 'monthly') === frequency && styles.chipTextSelected,
+                  ]}
+                >
+                  {t(`components.recurrence.frequency.${frequency}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.hint}>
+            {t('settleUpModal.planPreview', {
+              count: instalmentCount,
+              amount: formatCurrency(instalmentAmount, currency),
+            })}
+          </Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: SPACING.base,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  chip: {
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 20,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  chipSelected: {
+    backgroundColor: COLORS.primary + '20',
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...FONTS.small,
+    color: COLORS.text,
+  },
+  chipTextSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  subLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.base,
+    marginBottom: SPACING.small,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: SPACING.base,
+  },
+  rowLabel: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  amountInput: {
+    ...FONTS.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    width: 120,
+    textAlign: 'right',
+  },
+  hint: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+  },
+  hintError: {
+    color: COLORS.error,
+  },
+});
@@ -14,7 +14,7 @@ export default function DuplicateWarning({ duplicateStatus, onViewDetails }) {
     return null;
   }
 
-  const { duplicateCount, highestConfidence, needsReview, autoSkip } = duplicateStatus;
+  const { duplicateCount, highestConfidence, needsReview, autoSkip, exactMatch } = duplicateStatus;
 
   const getWarningLevel = () => {
     if (autoSkip) return 'high'; // Definitely duplicate
@@ -31,6 +31,7 @@ export default function DuplicateWarning({ duplicateStatus, onViewDetails }) {
 
   const getWarningText = () => {
     const level = getWarningLevel();
+    if (exactMatch) return t('import.preview.duplicateExactMatch');
     if (level === 'high') return t('import.preview.duplicateWillSkip');
     if (level === 'medium') return t('import.preview.duplicateLikely');
     return t('import.preview.duplicatePossible');
@@ -4,8 +4,20 @@ import { Button } from 'react-native-paper';
 import { useTranslation } from 'react-i18next';
 import * as DocumentPicker from 'expo-document-picker';
 
+// OFX/QFX/QIF files often come through as generic binary, so the extension decides
+const FILE_TYPES_BY_EXTENSION = {
+  csv: 'csv',
+  txt: 'csv',
+  pdf: 'pdf',
+  ofx: 'ofx',
+  qfx: 'ofx',
+  qif: 'qif',
+  xlsx: 'xlsx',
+  xls: 'xlsx',
+};
+
 /**
- * File picker button for selecting CSV or PDF bank statements
+ * File picker button for selecting CSV, XLSX/XLS, OFX/QFX, QIF or PDF bank statements
  */
 export default function FilePickerButton({ onFileSelected, loading, style }) {
   const { t } = useTranslation();
@@ -15,8 +27,21 @@ export default function FilePickerButton({ onFileSelected, loading, style }) {
     try {
       setPicking(true);
 
-      // Allow both CSV and PDF files on all platforms
-      const allowedTypes = ['text/csv', 'text/comma-separated-values', 'application/pdf', 'text/plain'];
+      // Allow CSV, XLSX/XLS, OFX/QFX, QIF and PDF files on all platforms
+      const allowedTypes = [
+        'text/csv',
+        'text/comma-separated-values',
+        'application/pdf',
+        'text/plain',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'application/x-ofx',
+        'application/vnd.intu.qfx',
+        'application/x-qfx',
+        'application/qif',
+        'application/x-qif',
+        'application/octet-stream',
+      ];
 
       const result = await DocumentPicker.getDocumentAsync({
         type: allowedTypes,
@@ -32,14 +57,13 @@ export default function FilePickerButton({ onFileSelected, loading, style }) {
         const file = result.assets[0];
 
         // Validate file type
-        const fileName = file.name.toLowerCase();
-        const isCSV = fileName.endsWith('.csv') || fileName.endsWith('.txt');
-        const isPDF = fileName.endsWith('.pdf');
+        const extension = file.name.toLowerCase().split('.').pop();
+        const fileType = FILE_TYPES_BY_EXTENSION[extension];
 
-        if (!isCSV && !isPDF) {
+        if (!fileType) {
           Alert.alert(
             t('import.errors.invalidFileType') || 'Invalid File Type',
-            t('import.errors.invalidFileTypeMessage') || 'Please select a CSV or PDF file.'
+            t('import.errors.invalidFileTypeMessage') || 'Please select a CSV, XLSX, XLS, OFX, QFX, QIF or PDF file.'
           );
           setPicking(false);
           return;
@@ -51,7 +75,7 @@ export default function FilePickerButton({ onFileSelected, loading, style }) {
           name: file.name,
           size: file.size,
           mimeType: file.mimeType,
-          type: isPDF ? 'pdf' : 'csv',
+          type: fileType,
         });
       }
 
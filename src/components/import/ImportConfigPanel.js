@@ -1,20 +1,40 @@
 import React from 'react';
-import { View, StyleSheet } from 'react-native';
+import { View, StyleSheet, ScrollView } from 'react-native';
 import { Card, Text, SegmentedButtons, Chip } from 'react-native-paper';
 import { useTranslation } from 'react-i18next';
 import { theme } from '../../constants/theme';
 import { CATEGORIES } from '../../constants/categories';
 
+// Fields the user can point at a spreadsheet column; amount, debit and credit may be left unused
+const MAPPING_FIELDS = [
+  { key: 'date', optional: false },
+  { key: 'description', optional: false },
+  { key: 'amount', optional: true },
+  { key: 'debit', optional: true },
+  { key: 'credit', optional: true },
+];
+
 /**
  * Configuration panel for import settings
+ * For spreadsheets it also shows a sheet picker and a column-mapping step
  */
 export default function ImportConfigPanel({
   config,
   onConfigChange,
   currentUser,
   partner,
+  spreadsheet,
+  onSheetChange,
+  onColumnMappingChange,
 }) {
   const { t } = useTranslation();
+
+  const handleColumnChange = (field, columnIndex) => {
+    onColumnMappingChange({
+      ...spreadsheet.columnMapping,
+      [field]: columnIndex,
+    });
+  };
   const handlePaidByChange = (value) => {
     onConfigChange({
       ...config,
@@ -67,6 +87,74 @@ export default function ImportConfigPanel({
       <Card.Content>
         <Text style={styles.sectionTitle}>{t('import.config.title')}</Text>
 
+        {spreadsheet && (
+          <>
+            {/* Sheet picker */}
+            {spreadsheet.sheetNames.length > 1 && (
+              <View style={styles.section}>
+                <Text style={styles.label}>{t('import.config.sheet')}</Text>
+                <View style={styles.categoryGrid}>
+                  {spreadsheet.sheetNames.map((sheetName) => (
+                    <Chip
+                      key={sheetName}
+                      selected={spreadsheet.sheetName === sheetName}
+                      onPress={() => onSheetChange(sheetName)}
+                      style={styles.categoryChip}
+                      textStyle={styles.categoryChipText}
+                    >
+                      {sheetName}
+                    </Chip>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Column mapping */}
+            <View style={styles.section}>
+              <Text style={styles.label}>{t('import.config.columnMapping')}</Text>
+              <Text style={styles.helpText}>{t('import.config.columnMappingHelp')}</Text>
+              {MAPPING_FIELDS.map(({ key, optional }) => {
+                const selectedIndex = spreadsheet.columnMapping[key] ?? -1;
+                const sample = selectedIndex >= 0 ? spreadsheet.sampleRow[selectedIndex] : null;
+
+                return (
+                  <View key={key} style={styles.mappingRow}>
+                    <Text style={styles.mappingLabel}>{t(`import.config.columns.${key}`)}</Text>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                      {optional && (
+                        <Chip
+                          selected={selectedIndex < 0}
+                          onPress={() => handleColumnChange(key, -1)}
+                          style={styles.categoryChip}
+                          textStyle={styles.categoryChipText}
+                        >
+                          {t('import.config.notUsed')}
+                        </Chip>
+                      )}
+                      {spreadsheet.headers.map((header, index) => (
+                        <Chip
+                          key={`${key}-${index}`}
+                          selected={selectedIndex === index}
+                          onPress={() => handleColumnChange(key, index)}
+                          style={styles.categoryChip}
+                          textStyle={styles.categoryChipText}
+                        >
+                          {header || `#${index + 1}`}
+                        </Chip>
+                      ))}
+                    </ScrollView>
+                    {!!sample && (
+                      <Text style={styles.sampleText} numberOfLines={1}>
+                        {t('import.config.sampleValue', { value: sample })}
+                      </Text>
+                    )}
+                  </View>
+                );
+              })}
+            </View>
+          </>
+        )}
+
         {/* Who Paid */}
         <View style={styles.section}>
           <Text style={styles.label}>{t('import.config.whoPaid')}</Text>
@@ -152,6 +240,25 @@ const styles = StyleSheet.create({
   categoryChipText: {
     fontSize: 13,
   },
+  helpText: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginBottom: 8,
+  },
+  mappingRow: {
+    marginBottom: 12,
+  },
+  mappingLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 6,
+    color: theme.colors.text,
+  },
+  sampleText: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginTop: 2,
+  },
   infoBox: {
     backgroundColor: theme.colors.primary + '15',
     padding: 12,
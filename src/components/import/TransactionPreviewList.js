@@ -28,6 +28,7 @@ export default function TransactionPreviewList({
   const selectedCount = Object.values(selectedTransactions).filter(Boolean).length;
   const duplicateCount = duplicateResults?.filter(r => r.hasDuplicates).length || 0;
   const autoSkippedCount = duplicateResults?.filter(r => r.highConfidenceDuplicate?.confidence >= 0.95).length || 0;
+  const bankIdCount = transactions.filter(transaction => transaction.fitId).length;
 
   // Calculate totals grouped by currency
   const totalsByCurrency = transactions
@@ -40,7 +41,7 @@ export default function TransactionPreviewList({
 
   const renderItem = ({ item, index }) => {
     const suggestion = suggestions?.[index]?.suggestion;
-    const duplicateStatus = duplicateResults?.[index]?.transaction?.duplicateStatus;
+    const duplicateStatus = item.duplicateStatus || duplicateResults?.[index]?.transaction?.duplicateStatus;
     const selected = selectedTransactions[index];
     const selectedCategory = categoryOverrides[index];
 
@@ -84,6 +85,14 @@ export default function TransactionPreviewList({
             ))}
           </View>
 
+          {bankIdCount > 0 && (
+            <View style={styles.infoBox}>
+              <Text style={styles.warningText}>
+                {t('import.preview.bankIdsDetected', { count: bankIdCount })}
+              </Text>
+            </View>
+          )}
+
           {autoSkippedCount > 0 && (
             <View style={styles.warningBox}>
               <Text style={styles.warningText}>
@@ -205,6 +214,14 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: COLORS.warning,
   },
+  infoBox: {
+    backgroundColor: COLORS.primary + '10',
+    padding: SPACING.medium,
+    borderRadius: SIZES.borderRadius.medium,
+    marginBottom: SPACING.medium,
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.primary,
+  },
   warningText: {
     fontSize: FONTS.sizes.small,
     fontWeight: FONTS.weights.medium,
@@ -8,6 +8,7 @@ import {
   getAllCurrencies,
   getPopularCurrencies,
   isSupportedCurrency,
+  getCurrencyDecimals,
   getCurrencySymbol,
   getCurrencyName,
   getCurrencyFlag,
@@ -51,11 +52,30 @@ describe('Currency Constants', () => {
       });
     });
 
-    it('should mark all currencies as popular', () => {
-      Object.values(SUPPORTED_CURRENCIES).forEach(currency => {
-        expect(currency.popular).toBe(true);
+    it('should mark only the priority currencies as popular', () => {
+      const popular = Object.values(SUPPORTED_CURRENCIES).filter(currency => currency.popular);
+      expect(popular.map(currency => currency.code)).toEqual(
+        ['USD', 'EUR', 'MXN', 'COP', 'PEN', 'CNY', 'BRL', 'GBP']
+      );
+    });
+
+    it('should cover ISO 4217 currencies beyond the priority ones', () => {
+      ['JPY', 'CHF', 'INR', 'PLN', 'KRW', 'KWD', 'CAD', 'AUD'].forEach(code => {
+        expect(SUPPORTED_CURRENCIES).toHaveProperty(code);
       });
     });
+
+    it('should use ISO 4217 minor units', () => {
+      expect(SUPPORTED_CURRENCIES.JPY.decimals).toBe(0);
+      expect(SUPPORTED_CURRENCIES.KRW.decimals).toBe(0);
+      expect(SUPPORTED_CURRENCIES.KWD.decimals).toBe(3);
+      expect(SUPPORTED_CURRENCIES.CHF.decimals).toBe(2);
+    });
+
+    it('should derive flags from the locale region', () => {
+      expect(SUPPORTED_CURRENCIES.JPY.flag).toBe('🇯🇵');
+      expect(SUPPORTED_CURRENCIES.CHF.flag).toBe('🇨🇭');
+    });
   });
 
   describe('DEFAULT_CURRENCY', () => {
@@ -98,7 +118,12 @@ describe('Currency Constants', () => {
     it('should return array of all currencies', () => {
       const currencies = getAllCurrencies();
       expect(Array.isArray(currencies)).toBe(true);
-      expect(currencies.length).toBe(8);
+      expect(currencies.length).toBeGreaterThan(150);
+    });
+
+    it('should list the priority currencies first', () => {
+      const codes = getAllCurrencies().map(currency => currency.code);
+      expect(codes.slice(0, 8)).toEqual(['USD', 'EUR', 'MXN', 'COP', 'PEN', 'CNY', 'BRL', 'GBP']);
     });
 
     it('should return currency objects with all properties', () => {
@@ -133,9 +158,13 @@ describe('Currency Constants', () => {
       expect(isSupportedCurrency('GBP')).toBe(true);
     });
 
+    it('should return true for other ISO 4217 currencies', () => {
+      expect(isSupportedCurrency('JPY')).toBe(true);
+      expect(isSupportedCurrency('CAD')).toBe(true);
+    });
+
     it('should return false for unsupported currencies', () => {
-      expect(isSupportedCurrency('JPY')).toBe(false);
-      expect(isSupportedCurrency('CAD')).toBe(false);
+      expect(isSupportedCurrency('XYZ')).toBe(false);
       expect(isSupportedCurrency('INVALID')).toBe(false);
     });
 
@@ -145,6 +174,14 @@ describe('Currency Constants', () => {
     });
   });
 
+  describe('getCurrencyDecimals', () => {
+    it('should return the minor units of a currency', () => {
+      expect(getCurrencyDecimals('USD')).toBe(2);
+      expect(getCurrencyDecimals('JPY')).toBe(0);
+      expect(getCurrencyDecimals('KWD')).toBe(3);
+    });
+  });
+
   describe('getCurrencySymbol', () => {
     it('should return correct symbols', () => {
       expect(getCurrencySymbol('USD')).toBe('$');
@@ -1,12 +1,13 @@
 // src/constants/currencies.js
 // Multi-currency support constants and configuration
 
+import { ISO_CURRENCIES } from './isoCurrencies';
+
 /**
- * Supported currencies with metadata
- * Priority currencies based on user requirements:
+ * Priority currencies based on user requirements, listed first in pickers:
  * USD, EUR, MXN, COP, PEN (Sol), CNY (Yuan), BRL, GBP
  */
-export const SUPPORTED_CURRENCIES = {
+const PRIORITY_CURRENCIES = {
   USD: {
     code: 'USD',
     name: 'US Dollar',
@@ -105,6 +106,41 @@ export const SUPPORTED_CURRENCIES = {
   },
 };
 
+/**
+ * Build the emoji flag for a locale's region (e.g. 'ja-JP' -> 🇯🇵)
+ */
+const getRegionFlag = (locale) => {
+  const region = locale.split('-')[1];
+  return String.fromCodePoint(...[...region].map((char) => 0x1F1E6 + char.charCodeAt(0) - 65));
+};
+
+/**
+ * Supported currencies with metadata
+ * The priority currencies come first, followed by every other ISO 4217
+ * circulating currency. `decimals` is the ISO 4217 minor unit (0 for JPY and
+ * KRW, 3 for KWD) and drives rounding, formatting and amount validation.
+ */
+export const SUPPORTED_CURRENCIES = Object.entries(ISO_CURRENCIES).reduce(
+  (currencies, [code, currency]) => {
+    if (!currencies[code]) {
+      currencies[code] = {
+        code,
+        name: currency.name,
+        symbol: currency.symbol,
+        symbolNative: currency.symbolNative || currency.symbol,
+        symbolPosition: currency.symbolPosition || 'prefix',
+        locale: currency.locale,
+        decimals: currency.decimals ?? 2,
+        flag: currency.flag || getRegionFlag(currency.locale),
+        popular: false,
+        warningThreshold: currency.warningThreshold,
+      };
+    }
+    return currencies;
+  },
+  { ...PRIORITY_CURRENCIES }
+);
+
 /**
  * Default currency (fallback)
  */
@@ -146,6 +182,15 @@ export const isSupportedCurrency = (code) => {
   return code in SUPPORTED_CURRENCIES;
 };
 
+/**
+ * Get the number of decimals (ISO 4217 minor units) for a currency
+ * @param {string} code - Currency code
+ * @returns {number} Decimal places (e.g., 2 for USD, 0 for JPY, 3 for KWD)
+ */
+export const getCurrencyDecimals = (code) => {
+  return getCurrencyInfo(code).decimals;
+};
+
 /**
  * Get currency symbol
  * @param {string} code - Currency code
@@ -218,6 +263,7 @@ export default {
   getAllCurrencies,
   getPopularCurrencies,
   isSupportedCurrency,
+  getCurrencyDecimals,
   getCurrencySymbol,
   getCurrencyName,
   getCurrencyFlag,
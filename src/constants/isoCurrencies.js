@@ -0,0 +1,161 @@
+// src/constants/isoCurrencies.js
+// ISO 4217 circulating currencies, merged into SUPPORTED_CURRENCIES
+//
+// Fund codes (e.g. CLF, USN), precious metals (XAU) and testing codes are left
+// out. Entries only list what differs from the defaults used by
+// constants/currencies.js:
+//   decimals       - ISO 4217 minor units (default 2)
+//   symbolNative   - Symbol used in the home country (default: symbol)
+//   symbolPosition - 'prefix' (default) or 'suffix'
+//   flag           - Emoji flag (default: flag of the locale's region)
+// warningThreshold is roughly $10K USD, like the priority currencies.
+
+export const ISO_CURRENCIES = {
+  AED: { name: 'UAE Dirham', symbol: 'AED', symbolNative: 'د.إ', locale: 'ar-AE', warningThreshold: 37000 },
+  AFN: { name: 'Afghan Afghani', symbol: '؋', locale: 'en-AF', warningThreshold: 700000 },
+  ALL: { name: 'Albanian Lek', symbol: 'ALL', symbolNative: 'Lek', symbolPosition: 'suffix', locale: 'sq-AL', warningThreshold: 900000 },
+  AMD: { name: 'Armenian Dram', symbol: '֏', symbolPosition: 'suffix', locale: 'hy-AM', warningThreshold: 4000000 },
+  AOA: { name: 'Angolan Kwanza', symbol: 'Kz', symbolPosition: 'suffix', locale: 'pt-AO', warningThreshold: 9000000 },
+  ARS: { name: 'Argentine Peso', symbol: 'AR$', symbolNative: '$', locale: 'es-AR', warningThreshold: 13000000 },
+  AUD: { name: 'Australian Dollar', symbol: 'A$', symbolNative: '$', locale: 'en-AU', warningThreshold: 15000 },
+  AWG: { name: 'Aruban Florin', symbol: 'Afl.', locale: 'nl-AW', warningThreshold: 18000 },
+  AZN: { name: 'Azerbaijani Manat', symbol: '₼', symbolPosition: 'suffix', locale: 'az-AZ', warningThreshold: 17000 },
+  BAM: { name: 'Bosnia-Herzegovina Convertible Mark', symbol: 'KM', symbolPosition: 'suffix', locale: 'bs-BA', warningThreshold: 17000 },
+  BBD: { name: 'Barbadian Dollar', symbol: 'Bds$', symbolNative: '$', locale: 'en-BB', warningThreshold: 20000 },
+  BDT: { name: 'Bangladeshi Taka', symbol: '৳', locale: 'en-BD', warningThreshold: 1200000 },
+  BHD: { name: 'Bahraini Dinar', decimals: 3, symbol: 'BHD', symbolNative: 'د.ب', locale: 'en-BH', warningThreshold: 3800 },
+  BIF: { name: 'Burundian Franc', decimals: 0, symbol: 'FBu', symbolPosition: 'suffix', locale: 'fr-BI', warningThreshold: 29000000 },
+  BMD: { name: 'Bermudan Dollar', symbol: 'BD$', symbolNative: '$', locale: 'en-BM', warningThreshold: 10000 },
+  BND: { name: 'Brunei Dollar', symbol: 'B$', symbolNative: '$', locale: 'ms-BN', warningThreshold: 13000 },
+  BOB: { name: 'Bolivian Boliviano', symbol: 'Bs', locale: 'es-BO', warningThreshold: 70000 },
+  BSD: { name: 'Bahamian Dollar', symbol: 'BS$', symbolNative: '$', locale: 'en-BS', warningThreshold: 10000 },
+  BTN: { name: 'Bhutanese Ngultrum', symbol: 'Nu.', locale: 'en-BT', warningThreshold: 850000 },
+  BWP: { name: 'Botswanan Pula', symbol: 'P', locale: 'en-BW', warningThreshold: 135000 },
+  BYN: { name: 'Belarusian Ruble', symbol: 'BYN', symbolNative: 'Br', symbolPosition: 'suffix', locale: 'be-BY', warningThreshold: 33000 },
+  BZD: { name: 'Belize Dollar', symbol: 'BZ$', symbolNative: '$', locale: 'en-BZ', warningThreshold: 20000 },
+  CAD: { name: 'Canadian Dollar', symbol: 'CA$', symbolNative: '$', locale: 'en-CA', warningThreshold: 14000 },
+  CDF: { name: 'Congolese Franc', symbol: 'FC', symbolPosition: 'suffix', locale: 'fr-CD', warningThreshold: 28000000 },
+  CHF: { name: 'Swiss Franc', symbol: 'CHF', locale: 'de-CH', warningThreshold: 8000 },
+  CLP: { name: 'Chilean Peso', decimals: 0, symbol: 'CLP$', symbolNative: '$', locale: 'es-CL', warningThreshold: 9500000 },
+  CRC: { name: 'Costa Rican Colón', symbol: '₡', locale: 'es-CR', warningThreshold: 5000000 },
+  CUP: { name: 'Cuban Peso', symbol: 'CUP$', symbolNative: '$', locale: 'es-CU', warningThreshold: 240000 },
+  CVE: { name: 'Cape Verdean Escudo', symbol: 'Esc', symbolPosition: 'suffix', locale: 'pt-CV', warningThreshold: 950000 },
+  CZK: { name: 'Czech Koruna', symbol: 'Kč', symbolPosition: 'suffix', locale: 'cs-CZ', warningThreshold: 220000 },
+  DJF: { name: 'Djiboutian Franc', decimals: 0, symbol: 'Fdj', symbolPosition: 'suffix', locale: 'fr-DJ', warningThreshold: 1800000 },
+  DKK: { name: 'Danish Krone', symbol: 'DKK', symbolNative: 'kr.', symbolPosition: 'suffix', locale: 'da-DK', warningThreshold: 64000 },
+  DOP: { name: 'Dominican Peso', symbol: 'RD$', locale: 'es-DO', warningThreshold: 600000 },
+  DZD: { name: 'Algerian Dinar', symbol: 'DZD', symbolNative: 'د.ج', locale: 'ar-DZ', warningThreshold: 1300000 },
+  EGP: { name: 'Egyptian Pound', symbol: 'E£', symbolNative: 'ج.م', locale: 'en-EG', warningThreshold: 500000 },
+  ERN: { name: 'Eritrean Nakfa', symbol: 'Nfk', locale: 'en-ER', warningThreshold: 150000 },
+  ETB: { name: 'Ethiopian Birr', symbol: 'ETB', symbolNative: 'Br', locale: 'am-ET', warningThreshold: 1300000 },
+  FJD: { name: 'Fijian Dollar', symbol: 'FJ$', symbolNative: '$', locale: 'en-FJ', warningThreshold: 22000 },
+  FKP: { name: 'Falkland Islands Pound', symbol: 'FK£', symbolNative: '£', locale: 'en-FK', warningThreshold: 8000 },
+  GEL: { name: 'Georgian Lari', symbol: '₾', symbolPosition: 'suffix', locale: 'ka-GE', warningThreshold: 27000 },
+  GHS: { name: 'Ghanaian Cedi', symbol: 'GH₵', symbolNative: '₵', locale: 'en-GH', warningThreshold: 150000 },
+  GIP: { name: 'Gibraltar Pound', symbol: 'GI£', symbolNative: '£', locale: 'en-GI', warningThreshold: 8000 },
+  GMD: { name: 'Gambian Dalasi', symbol: 'D', locale: 'en-GM', warningThreshold: 720000 },
+  GNF: { name: 'Guinean Franc', decimals: 0, symbol: 'FG', symbolPosition: 'suffix', locale: 'fr-GN', warningThreshold: 87000000 },
+  GTQ: { name: 'Guatemalan Quetzal', symbol: 'Q', locale: 'es-GT', warningThreshold: 77000 },
+  GYD: { name: 'Guyanaese Dollar', symbol: 'GY$', symbolNative: '$', locale: 'en-GY', warningThreshold: 2100000 },
+  HKD: { name: 'Hong Kong Dollar', symbol: 'HK$', symbolNative: '$', locale: 'zh-HK', warningThreshold: 78000 },
+  HNL: { name: 'Honduran Lempira', symbol: 'HNL', symbolNative: 'L', locale: 'es-HN', warningThreshold: 260000 },
+  HTG: { name: 'Haitian Gourde', symbol: 'G', locale: 'fr-HT', warningThreshold: 1300000 },
+  HUF: { name: 'Hungarian Forint', symbol: 'Ft', symbolPosition: 'suffix', locale: 'hu-HU', warningThreshold: 3500000 },
+  IDR: { name: 'Indonesian Rupiah', symbol: 'Rp', locale: 'id-ID', warningThreshold: 160000000 },
+  ILS: { name: 'Israeli New Shekel', symbol: '₪', locale: 'he-IL', warningThreshold: 36000 },
+  INR: { name: 'Indian Rupee', symbol: '₹', locale: 'en-IN', warningThreshold: 860000 },
+  IQD: { name: 'Iraqi Dinar', decimals: 3, symbol: 'IQD', symbolNative: 'ع.د', locale: 'en-IQ', warningThreshold: 13000000 },
+  IRR: { name: 'Iranian Rial', symbol: 'IRR', symbolNative: '﷼', locale: 'en-IR', warningThreshold: 420000000 },
+  ISK: { name: 'Icelandic Króna', decimals: 0, symbol: 'ISK', symbolNative: 'kr', symbolPosition: 'suffix', locale: 'is-IS', warningThreshold: 1250000 },
+  JMD: { name: 'Jamaican Dollar', symbol: 'J$', symbolNative: '$', locale: 'en-JM', warningThreshold: 1600000 },
+  JOD: { name: 'Jordanian Dinar', decimals: 3, symbol: 'JOD', symbolNative: 'د.ا', locale: 'en-JO', warningThreshold: 7100 },
+  JPY: { name: 'Japanese Yen', decimals: 0, symbol: 'JP¥', symbolNative: '¥', locale: 'ja-JP', warningThreshold: 1500000 },
+  KES: { name: 'Kenyan Shilling', symbol: 'KSh', locale: 'en-KE', warningThreshold: 1300000 },
+  KGS: { name: 'Kyrgystani Som', symbol: 'KGS', symbolNative: 'сом', symbolPosition: 'suffix', locale: 'ky-KG', warningThreshold: 870000 },
+  KHR: { name: 'Cambodian Riel', symbol: '៛', symbolPosition: 'suffix', locale: 'km-KH', warningThreshold: 40000000 },
+  KMF: { name: 'Comorian Franc', decimals: 0, symbol: 'CF', symbolPosition: 'suffix', locale: 'fr-KM', warningThreshold: 4200000 },
+  KPW: { name: 'North Korean Won', symbol: 'KP₩', symbolNative: '₩', locale: 'ko-KP', warningThreshold: 9000000 },
+  KRW: { name: 'South Korean Won', decimals: 0, symbol: '₩', locale: 'ko-KR', warningThreshold: 14000000 },
+  KWD: { name: 'Kuwaiti Dinar', decimals: 3, symbol: 'KD', symbolNative: 'د.ك', locale: 'en-KW', warningThreshold: 3100 },
+  KYD: { name: 'Cayman Islands Dollar', symbol: 'CI$', symbolNative: '$', locale: 'en-KY', warningThreshold: 8300 },
+  KZT: { name: 'Kazakhstani Tenge', symbol: '₸', symbolPosition: 'suffix', locale: 'kk-KZ', warningThreshold: 5000000 },
+  LAK: { name: 'Laotian Kip', symbol: '₭', locale: 'lo-LA', warningThreshold: 216000000 },
+  LBP: { name: 'Lebanese Pound', symbol: 'LBP', symbolNative: 'ل.ل', locale: 'en-LB', warningThreshold: 895000000 },
+  LKR: { name: 'Sri Lankan Rupee', symbol: 'LKR', symbolNative: 'Rs', locale: 'si-LK', warningThreshold: 3000000 },
+  LRD: { name: 'Liberian Dollar', symbol: 'L$', symbolNative: '$', locale: 'en-LR', warningThreshold: 2000000 },
+  LSL: { name: 'Lesotho Loti', symbol: 'LSL', symbolNative: 'L', locale: 'en-LS', warningThreshold: 180000 },
+  LYD: { name: 'Libyan Dinar', decimals: 3, symbol: 'LD', symbolNative: 'ل.د', locale: 'ar-LY', warningThreshold: 54000 },
+  MAD: { name: 'Moroccan Dirham', symbol: 'MAD', symbolNative: 'د.م.', symbolPosition: 'suffix', locale: 'fr-MA', warningThreshold: 90000 },
+  MDL: { name: 'Moldovan Leu', symbol: 'MDL', symbolNative: 'L', symbolPosition: 'suffix', locale: 'ro-MD', warningThreshold: 170000 },
+  MGA: { name: 'Malagasy Ariary', symbol: 'Ar', locale: 'fr-MG', warningThreshold: 45000000 },
+  MKD: { name: 'Macedonian Denar', symbol: 'MKD', symbolNative: 'ден', symbolPosition: 'suffix', locale: 'mk-MK', warningThreshold: 530000 },
+  MMK: { name: 'Myanmar Kyat', symbol: 'MMK', symbolNative: 'K', locale: 'en-MM', warningThreshold: 21000000 },
+  MNT: { name: 'Mongolian Tugrik', symbol: '₮', locale: 'mn-MN', warningThreshold: 36000000 },
+  MOP: { name: 'Macanese Pataca', symbol: 'MOP$', locale: 'zh-MO', warningThreshold: 80000 },
+  MRU: { name: 'Mauritanian Ouguiya', symbol: 'UM', symbolPosition: 'suffix', locale: 'fr-MR', warningThreshold: 400000 },
+  MUR: { name: 'Mauritian Rupee', symbol: 'MUR', symbolNative: 'Rs', locale: 'en-MU', warningThreshold: 450000 },
+  MVR: { name: 'Maldivian Rufiyaa', symbol: 'Rf', locale: 'en-MV', warningThreshold: 154000 },
+  MWK: { name: 'Malawian Kwacha', symbol: 'MK', locale: 'en-MW', warningThreshold: 17000000 },
+  MYR: { name: 'Malaysian Ringgit', symbol: 'RM', locale: 'ms-MY', warningThreshold: 43000 },
+  MZN: { name: 'Mozambican Metical', symbol: 'MT', symbolPosition: 'suffix', locale: 'pt-MZ', warningThreshold: 640000 },
+  NAD: { name: 'Namibian Dollar', symbol: 'N$', symbolNative: '$', locale: 'en-NA', warningThreshold: 180000 },
+  NGN: { name: 'Nigerian Naira', symbol: '₦', locale: 'en-NG', warningThreshold: 15500000 },
+  NIO: { name: 'Nicaraguan Córdoba', symbol: 'C$', locale: 'es-NI', warningThreshold: 370000 },
+  NOK: { name: 'Norwegian Krone', symbol: 'NOK', symbolNative: 'kr', symbolPosition: 'suffix', locale: 'nb-NO', warningThreshold: 100000 },
+  NPR: { name: 'Nepalese Rupee', symbol: 'NPR', symbolNative: 'रु', locale: 'en-NP', warningThreshold: 1400000 },
+  NZD: { name: 'New Zealand Dollar', symbol: 'NZ$', symbolNative: '$', locale: 'en-NZ', warningThreshold: 16500 },
+  OMR: { name: 'Omani Rial', decimals: 3, symbol: 'OMR', symbolNative: 'ر.ع.', locale: 'en-OM', warningThreshold: 3800 },
+  PAB: { name: 'Panamanian Balboa', symbol: 'B/.', locale: 'es-PA', warningThreshold: 10000 },
+  PGK: { name: 'Papua New Guinean Kina', symbol: 'PGK', symbolNative: 'K', locale: 'en-PG', warningThreshold: 41000 },
+  PHP: { name: 'Philippine Peso', symbol: '₱', locale: 'en-PH', warningThreshold: 570000 },
+  PKR: { name: 'Pakistani Rupee', symbol: 'PKR', symbolNative: 'Rs', locale: 'en-PK', warningThreshold: 2800000 },
+  PLN: { name: 'Polish Złoty', symbol: 'zł', symbolPosition: 'suffix', locale: 'pl-PL', warningThreshold: 37000 },
+  PYG: { name: 'Paraguayan Guaraní', decimals: 0, symbol: '₲', locale: 'es-PY', warningThreshold: 79000000 },
+  QAR: { name: 'Qatari Riyal', symbol: 'QAR', symbolNative: 'ر.ق', locale: 'en-QA', warningThreshold: 36000 },
+  RON: { name: 'Romanian Leu', symbol: 'RON', symbolNative: 'lei', symbolPosition: 'suffix', locale: 'ro-RO', warningThreshold: 44000 },
+  RSD: { name: 'Serbian Dinar', symbol: 'RSD', symbolNative: 'дин.', symbolPosition: 'suffix', locale: 'sr-RS', warningThreshold: 1000000 },
+  RUB: { name: 'Russian Ruble', symbol: '₽', symbolPosition: 'suffix', locale: 'ru-RU', warningThreshold: 800000 },
+  RWF: { name: 'Rwandan Franc', decimals: 0, symbol: 'RF', locale: 'en-RW', warningThreshold: 14000000 },
+  SAR: { name: 'Saudi Riyal', symbol: 'SAR', symbolNative: 'ر.س', locale: 'en-SA', warningThreshold: 37500 },
+  SBD: { name: 'Solomon Islands Dollar', symbol: 'SI$', symbolNative: '$', locale: 'en-SB', warningThreshold: 84000 },
+  SCR: { name: 'Seychellois Rupee', symbol: 'SCR', symbolNative: 'Rs', locale: 'en-SC', warningThreshold: 145000 },
+  SDG: { name: 'Sudanese Pound', symbol: 'SDG', symbolNative: 'ج.س.', locale: 'en-SD', warningThreshold: 6000000 },
+  SEK: { name: 'Swedish Krona', symbol: 'SEK', symbolNative: 'kr', symbolPosition: 'suffix', locale: 'sv-SE', warningThreshold: 96000 },
+  SGD: { name: 'Singapore Dollar', symbol: 'S$', symbolNative: '$', locale: 'en-SG', warningThreshold: 13000 },
+  SHP: { name: 'St. Helena Pound', symbol: 'SH£', symbolNative: '£', locale: 'en-SH', warningThreshold: 8000 },
+  SLE: { name: 'Sierra Leonean Leone', symbol: 'Le', locale: 'en-SL', warningThreshold: 230000 },
+  SOS: { name: 'Somali Shilling', symbol: 'Sh.So.', locale: 'so-SO', warningThreshold: 5700000 },
+  SRD: { name: 'Surinamese Dollar', symbol: 'SR$', symbolNative: '$', locale: 'nl-SR', warningThreshold: 370000 },
+  SSP: { name: 'South Sudanese Pound', symbol: 'SS£', symbolNative: '£', locale: 'en-SS', warningThreshold: 45000000 },
+  STN: { name: 'São Tomé & Príncipe Dobra', symbol: 'Db', symbolPosition: 'suffix', locale: 'pt-ST', warningThreshold: 215000 },
+  SVC: { name: 'Salvadoran Colón', symbol: 'SVC', symbolNative: '₡', locale: 'es-SV', warningThreshold: 87500 },
+  SYP: { name: 'Syrian Pound', symbol: 'SYP', symbolNative: 'ل.س', locale: 'en-SY', warningThreshold: 130000000 },
+  SZL: { name: 'Swazi Lilangeni', symbol: 'E', locale: 'en-SZ', warningThreshold: 180000 },
+  THB: { name: 'Thai Baht', symbol: '฿', locale: 'th-TH', warningThreshold: 330000 },
+  TJS: { name: 'Tajikistani Somoni', symbol: 'SM', symbolPosition: 'suffix', locale: 'tg-TJ', warningThreshold: 100000 },
+  TMT: { name: 'Turkmenistani Manat', symbol: 'TMT', symbolNative: 'm', symbolPosition: 'suffix', locale: 'tk-TM', warningThreshold: 35000 },
+  TND: { name: 'Tunisian Dinar', decimals: 3, symbol: 'DT', symbolNative: 'د.ت', locale: 'ar-TN', warningThreshold: 30000 },
+  TOP: { name: 'Tongan Paʻanga', symbol: 'T$', locale: 'to-TO', warningThreshold: 24000 },
+  TRY: { name: 'Turkish Lira', symbol: '₺', locale: 'tr-TR', warningThreshold: 400000 },
+  TTD: { name: 'Trinidad & Tobago Dollar', symbol: 'TT$', symbolNative: '$', locale: 'en-TT', warningThreshold: 68000 },
+  TWD: { name: 'New Taiwan Dollar', symbol: 'NT$', symbolNative: '$', locale: 'zh-TW', warningThreshold: 300000 },
+  TZS: { name: 'Tanzanian Shilling', symbol: 'TSh', locale: 'sw-TZ', warningThreshold: 26000000 },
+  UAH: { name: 'Ukrainian Hryvnia', symbol: '₴', symbolPosition: 'suffix', locale: 'uk-UA', warningThreshold: 415000 },
+  UGX: { name: 'Ugandan Shilling', decimals: 0, symbol: 'USh', locale: 'en-UG', warningThreshold: 36000000 },
+  UYU: { name: 'Uruguayan Peso', symbol: '$U', symbolNative: '$', locale: 'es-UY', warningThreshold: 400000 },
+  UZS: { name: 'Uzbekistani Som', symbol: 'UZS', symbolNative: 'soʻm', symbolPosition: 'suffix', locale: 'uz-UZ', warningThreshold: 126000000 },
+  VED: { name: 'Venezuelan Digital Bolívar', symbol: 'VED', symbolNative: 'Bs.D', locale: 'es-VE', warningThreshold: 1500000 },
+  VES: { name: 'Venezuelan Bolívar', symbol: 'Bs.S', locale: 'es-VE', warningThreshold: 1500000 },
+  VND: { name: 'Vietnamese Dong', decimals: 0, symbol: '₫', symbolPosition: 'suffix', locale: 'vi-VN', warningThreshold: 260000000 },
+  VUV: { name: 'Vanuatu Vatu', decimals: 0, symbol: 'VT', locale: 'en-VU', warningThreshold: 1200000 },
+  WST: { name: 'Samoan Tala', symbol: 'WS$', symbolNative: 'T', locale: 'en-WS', warningThreshold: 27500 },
+  XAF: { name: 'Central African CFA Franc', decimals: 0, symbol: 'FCFA', symbolPosition: 'suffix', locale: 'fr-CM', flag: '🌍', warningThreshold: 5750000 },
+  XCD: { name: 'East Caribbean Dollar', symbol: 'EC$', symbolNative: '$', locale: 'en-AG', flag: '🌎', warningThreshold: 27000 },
+  XCG: { name: 'Caribbean Guilder', symbol: 'Cg', locale: 'nl-CW', flag: '🌎', warningThreshold: 18000 },
+  XOF: { name: 'West African CFA Franc', decimals: 0, symbol: 'CFA', symbolNative: 'F CFA', symbolPosition: 'suffix', locale: 'fr-SN', flag: '🌍', warningThreshold: 5750000 },
+  XPF: { name: 'CFP Franc', decimals: 0, symbol: 'XPF', symbolNative: 'F', symbolPosition: 'suffix', locale: 'fr-PF', flag: '🌏', warningThreshold: 1050000 },
+  YER: { name: 'Yemeni Rial', symbol: 'YER', symbolNative: '﷼', locale: 'en-YE', warningThreshold: 2400000 },
+  ZAR: { name: 'South African Rand', symbol: 'R', locale: 'en-ZA', warningThreshold: 180000 },
+  ZMW: { name: 'Zambian Kwacha', symbol: 'ZK', locale: 'en-ZM', warningThreshold: 240000 },
+  ZWG: { name: 'Zimbabwe Gold', symbol: 'ZiG', locale: 'en-ZW', warningThreshold: 270000 },
+};
@@ -4,6 +4,7 @@
 import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { useAuth } from './AuthContext';
 import * as categoryService from '../services/categoryService';
+import * as tagService from '../services/tagService';
 import * as budgetService from '../services/budgetService';
 import * as expenseService from '../services/expenseService';
 
@@ -21,6 +22,7 @@ export const BudgetProvider = ({ children }) => {
   const { userDetails } = useAuth();
 
   const [categories, setCategories] = useState({});
+  const [tags, setTags] = useState({});
   const [currentBudget, setCurrentBudget] = useState(null);
   const [budgetProgress, setBudgetProgress] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -110,6 +112,18 @@ export const BudgetProvider = ({ children }) => {
     return () => unsubscribe();
   }, [coupleId]);
 
+  // Subscribe to real-time tag updates
+  useEffect(() => {
+    if (!coupleId) {
+      setTags({});
+      return;
+    }
+
+    const unsubscribe = tagService.subscribeToTagsForCouple(coupleId, setTags);
+
+    return () => unsubscribe();
+  }, [coupleId]);
+
   // Subscribe to real-time budget updates
   useEffect(() => {
     if (!coupleId) return;
@@ -207,6 +221,41 @@ export const BudgetProvider = ({ children }) => {
     }
   };
 
+  // Tag management functions
+  // The tag subscription picks up changes, so no reload is needed
+  const addTag = async (tagData) => {
+    try {
+      setError(null);
+      return await tagService.addTag(coupleId, tagData);
+    } catch (err) {
+      console.error('Error adding tag:', err);
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const updateTag = async (key, updates) => {
+    try {
+      setError(null);
+      return await tagService.updateTag(coupleId, key, updates);
+    } catch (err) {
+      console.error('Error updating tag:', err);
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const deleteTag = async (key) => {
+    try {
+      setError(null);
+      return await tagService.deleteTag(coupleId, key);
+    } catch (err) {
+      console.error('Error deleting tag:', err);
+      setError(err.message);
+      throw err;
+    }
+  };
+
   // Budget management functions
   const saveBudget = async (categoryBudgets, options) => {
     try {
@@ -272,6 +321,7 @@ export const BudgetProvider = ({ children }) => {
   const value = {
     // State
     categories,
+    tags,
     currentBudget,
     budgetProgress,
     loading,
@@ -284,6 +334,11 @@ export const BudgetProvider = ({ children }) => {
     resetCategories,
     loadCategories,
 
+    // Tag functions
+    addTag,
+    updateTag,
+    deleteTag,
+
     // Budget functions
     saveBudget,
     updateBudgetSettings,
@@ -3,11 +3,18 @@
  *
  * Manages language state and persistence
  * Provides language switching functionality throughout the app
+ *
+ * The choice is kept on the device and on the signed-in user's document
+ * (`users/{uid}.language`) so emails sent by Cloud Functions use it too.
  */
 
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { onAuthStateChanged } from 'firebase/auth';
+import { doc, getDoc } from 'firebase/firestore';
+import { auth, db } from '../config/firebase';
 import i18n from '../i18n/i18n.config';
+import { saveUserLanguage } from '../services/userLanguageService';
 
 const LanguageContext = createContext();
 
@@ -23,6 +30,23 @@ export const AVAILABLE_LANGUAGES = [
   { code: 'it', name: 'Italian', nativeName: 'Italiano' },
 ];
 
+const isAvailableLanguage = (code) => AVAILABLE_LANGUAGES.some(lang => lang.code === code);
+
+/**
+ * Save the language on the signed-in user's document
+ * Failures are only logged; the device preference is what the app uses.
+ */
+const saveLanguageToProfile = async (languageCode) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return;
+
+  try {
+    await saveUserLanguage(uid, languageCode);
+  } catch (error) {
+    console.error('Error saving language to profile:', error);
+  }
+};
+
 export function LanguageProvider({ children }) {
   const [currentLanguage, setCurrentLanguage] = useState(i18n.language);
   const [isLoading, setIsLoading] = useState(true);
@@ -32,10 +56,20 @@ export function LanguageProvider({ children }) {
     loadLanguagePreference();
   }, []);
 
+  // Keep the profile language in sync when a user signs in
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
+      if (firebaseUser) {
+        syncProfileLanguage(firebaseUser.uid);
+      }
+    });
+    return unsubscribe;
+  }, []);
+
   const loadLanguagePreference = async () => {
     try {
       const savedLanguage = await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY);
-      if (savedLanguage && AVAILABLE_LANGUAGES.some(lang => lang.code === savedLanguage)) {
+      if (savedLanguage && isAvailableLanguage(savedLanguage)) {
         await changeLanguage(savedLanguage, false); // Don't save again
       }
     } catch (error) {
@@ -45,10 +79,33 @@ export function LanguageProvider({ children }) {
     }
   };
 
+  // A device without a saved choice adopts the profile language; otherwise
+  // the device choice is written to the profile
+  const syncProfileLanguage = async (uid) => {
+    try {
+      const savedLanguage = await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY);
+      const userDoc = await getDoc(doc(db, 'users', uid));
+      if (!userDoc.exists()) return;
+
+      const profileLanguage = userDoc.data().language;
+      if (!savedLanguage && isAvailableLanguage(profileLanguage)) {
+        await changeLanguage(profileLanguage);
+        return;
+      }
+
+      const deviceLanguage = isAvailableLanguage(savedLanguage) ? savedLanguage : i18n.language;
+      if (isAvailableLanguage(deviceLanguage) && profileLanguage !== deviceLanguage) {
+        await saveLanguageToProfile(deviceLanguage);
+      }
+    } catch (error) {
+      console.error('Error syncing profile language:', error);
+    }
+  };
+
   const changeLanguage = async (languageCode, shouldSave = true) => {
     try {
       // Validate language code
-      if (!AVAILABLE_LANGUAGES.some(lang => lang.code === languageCode)) {
+      if (!isAvailableLanguage(languageCode)) {
         console.warn(`Invalid language code: ${languageCode}`);
         return;
       }
@@ -57,9 +114,10 @@ export function LanguageProvider({ children }) {
       await i18n.changeLanguage(languageCode);
       setCurrentLanguage(languageCode);
 
-      // Save to AsyncStorage if requested
+      // Save to AsyncStorage and the user's profile if requested
       if (shouldSave) {
         await AsyncStorage.setItem(LANGUAGE_STORAGE_KEY, languageCode);
+        await saveLanguageToProfile(languageCode);
       }
 
       console.log(`Language changed to: ${languageCode}`);
@@ -9,6 +9,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { View, ActivityIndicator, StyleSheet } from 'react-native';
 import { onboardingStorage } from '../utils/storage';
 import { subscribeToCoupleSettings } from '../services/coupleSettingsService';
+import { initializeNetworkListener } from '../services/offlineQueueService';
 import { COLORS } from '../constants/theme';
 
 // Auth screens
@@ -27,6 +28,12 @@ import CoreSetupScreen from '../screens/onboarding/CoreSetupScreen';
 import TabNavigator from './TabNavigator';
 import AddExpenseScreen from '../screens/main/AddExpenseScreen';
 import ImportExpensesScreen from '../screens/main/ImportExpensesScreen';
+import BankTemplatesScreen from '../screens/main/BankTemplatesScreen';
+import ActivityFeedScreen from '../screens/main/ActivityFeedScreen';
+import TrashScreen from '../screens/main/TrashScreen';
+import DataBackupScreen from '../screens/main/DataBackupScreen';
+import CurrencyMigrationScreen from '../screens/main/CurrencyMigrationScreen';
+import SearchExpensesScreen from '../screens/main/SearchExpensesScreen';
 import PaywallScreen from '../screens/main/PaywallScreen';
 
 const Stack = createStackNavigator();
@@ -36,6 +43,28 @@ export default function AppNavigator() {
   const [coreSetupComplete, setCoreSetupComplete] = useState(null);
   const navigationRef = useNavigationContainerRef();
 
+  // Replay writes queued while offline once the device is back online
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    let active = true;
+    let unsubscribe = null;
+    initializeNetworkListener({ autoProcessOnOnline: true }).then((listener) => {
+      if (active) {
+        unsubscribe = listener;
+      } else {
+        listener();
+      }
+    });
+
+    return () => {
+      active = false;
+      if (unsubscribe) unsubscribe();
+    };
+  }, [user?.uid]);
+
   // Subscribe to couple settings for real-time updates (including coreSetupComplete)
   useEffect(() => {
     if (!user || !userDetails?.coupleId) {
@@ -159,6 +188,67 @@ export default function AppNavigator() {
                 headerTintColor: COLORS.primary,
               }}
             />
+            <Stack.Screen
+              name="BankTemplates"
+              component={BankTemplatesScreen}
+              options={{
+                headerShown: true,
+                title: 'Bank Templates',
+                headerStyle: {
+                  backgroundColor: COLORS.background,
+                },
+                headerTintColor: COLORS.primary,
+              }}
+            />
+            <Stack.Screen
+              name="ActivityFeed"
+              component={ActivityFeedScreen}
+              options={{
+                headerShown: true,
+                title: 'Activity',
+                headerStyle: {
+                  backgroundColor: COLORS.background,
+                },
+                headerTintColor: COLORS.primary,
+              }}
+            />
+            <Stack.Screen
+              name="Trash"
+              component={TrashScreen}
+              options={{
+                headerShown: true,
+                title: 'Trash',
+                headerStyle: {
+                  backgroundColor: COLORS.background,
+                },
+                headerTintColor: COLORS.primary,
+              }}
+            />
+            <Stack.Screen
+              name="DataBackup"
+              component={DataBackupScreen}
+              options={{
+                headerShown: true,
+                title: 'Backup & Restore',
+                headerStyle: {
+                  backgroundColor: COLORS.background,
+                },
+                headerTintColor: COLORS.primary,
+              }}
+            />
+            <Stack.Screen
+              name="CurrencyMigration"
+              component={CurrencyMigrationScreen}
+              options={{
+                headerShown: true,
+                title: 'Primary Currency',
+                headerStyle: {
+                  backgroundColor: COLORS.background,
+                },
+                headerTintColor: COLORS.primary,
+              }}
+            />
+            <Stack.Screen name="SearchExpenses" component={SearchExpensesScreen} />
             <Stack.Screen
               name="Paywall"
               component={PaywallScreen}
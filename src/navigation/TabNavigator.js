@@ -5,7 +5,7 @@ import React from 'react';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons } from '@expo/vector-icons';
-import { Platform } from 'react-native';
+import { Platform, TouchableOpacity } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { COLORS, FONTS } from '../constants/theme';
@@ -19,11 +19,16 @@ import SettingsScreen from '../screens/main/SettingsScreen';
 import BudgetDashboardScreen from '../screens/main/BudgetDashboardScreen';
 import BudgetSetupScreen from '../screens/main/BudgetSetupScreen';
 import CategoryManagerScreen from '../screens/main/CategoryManagerScreen';
+import TagManagerScreen from '../screens/main/TagManagerScreen';
 import AnnualBudgetSetupScreen from '../screens/main/AnnualBudgetSetupScreen';
+import SavingsGoalsScreen from '../screens/main/SavingsGoalsScreen';
+import SavingsGoalDetailScreen from '../screens/main/SavingsGoalDetailScreen';
 
 // Settlement screens
 import SettlementHistoryScreen from '../screens/main/SettlementHistoryScreen';
 import SettlementDetailScreen from '../screens/main/SettlementDetailScreen';
+import TripsScreen from '../screens/main/TripsScreen';
+import TripDetailScreen from '../screens/main/TripDetailScreen';
 
 const Tab = createBottomTabNavigator();
 const BudgetStack = createStackNavigator();
@@ -67,11 +72,26 @@ function BudgetStackNavigator() {
         component={CategoryManagerScreen}
         options={{ title: t('navigation.categoryManager') }}
       />
+      <BudgetStack.Screen
+        name="TagManager"
+        component={TagManagerScreen}
+        options={{ title: t('navigation.tagManager') }}
+      />
       <BudgetStack.Screen
         name="AnnualBudgetSetup"
         component={AnnualBudgetSetupScreen}
         options={{ title: t('navigation.annualBudget') }}
       />
+      <BudgetStack.Screen
+        name="SavingsGoals"
+        component={SavingsGoalsScreen}
+        options={{ title: t('navigation.savingsGoals') }}
+      />
+      <BudgetStack.Screen
+        name="SavingsGoalDetail"
+        component={SavingsGoalDetailScreen}
+        options={{ title: t('navigation.savingsGoalDetails') }}
+      />
     </BudgetStack.Navigator>
   );
 }
@@ -102,13 +122,34 @@ function SettlementStackNavigator() {
       <SettlementStack.Screen
         name="SettlementHistory"
         component={SettlementHistoryScreen}
-        options={{ title: t('navigation.settlementHistory') }}
+        options={({ navigation }) => ({
+          title: t('navigation.settlementHistory'),
+          headerRight: () => (
+            <TouchableOpacity
+              onPress={() => navigation.navigate('Trips')}
+              style={{ paddingHorizontal: 16 }}
+              accessibilityLabel={t('navigation.trips')}
+            >
+              <Ionicons name="airplane-outline" size={22} color={COLORS.primary} />
+            </TouchableOpacity>
+          ),
+        })}
       />
       <SettlementStack.Screen
         name="SettlementDetail"
         component={SettlementDetailScreen}
         options={{ title: t('navigation.settlementDetails') }}
       />
+      <SettlementStack.Screen
+        name="Trips"
+        component={TripsScreen}
+        options={{ title: t('navigation.trips') }}
+      />
+      <SettlementStack.Screen
+        name="TripDetail"
+        component={TripDetailScreen}
+        options={{ title: t('navigation.tripDetails') }}
+      />
     </SettlementStack.Navigator>
   );
 }
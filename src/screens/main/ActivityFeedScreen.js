@@ -0,0 +1,474 @@
+// src/screens/main/ActivityFeedScreen.js
+// Couple-level activity feed: who added, edited or deleted expenses,
+// categories, budgets and settlements, with restore for deleted expenses
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { useBudget } from '../../contexts/BudgetContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import { getActivityLog } from '../../services/activityLogService';
+import { restoreDeletedExpense } from '../../services/expenseService';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS, isRestorableEntry } from '../../utils/activityLog';
+import { formatCurrency, formatDate } from '../../utils/calculations';
+
+const FILTERS = ['all', ACTIVITY_ENTITIES.EXPENSE, ACTIVITY_ENTITIES.CATEGORY, ACTIVITY_ENTITIES.BUDGET, ACTIVITY_ENTITIES.SETTLEMENT];
+
+const ENTITY_ICONS = {
+  [ACTIVITY_ENTITIES.EXPENSE]: 'receipt-outline',
+  [ACTIVITY_ENTITIES.CATEGORY]: 'pricetags-outline',
+  [ACTIVITY_ENTITIES.BUDGET]: 'wallet-outline',
+  [ACTIVITY_ENTITIES.SETTLEMENT]: 'swap-horizontal-outline',
+  [ACTIVITY_ENTITIES.SETTLEMENT_PLAN]: 'calendar-outline',
+};
+
+// Changed fields shown with their old and new value
+const AMOUNT_FIELDS = ['amount', 'defaultBudget', 'annualBudget'];
+const TEXT_FIELDS = ['description', 'name', 'notes'];
+
+const getEntryDate = (entry) => {
+  if (entry.createdAt?.toDate) return entry.createdAt.toDate();
+  if (entry.createdAt?.seconds) return new Date(entry.createdAt.seconds * 1000);
+  return entry.createdAt ? new Date(entry.createdAt) : null;
+};
+
+const matchesFilter = (entry, filter) => {
+  if (filter === 'all') return true;
+  if (filter === ACTIVITY_ENTITIES.SETTLEMENT) {
+    return entry.entityType === ACTIVITY_ENTITIES.SETTLEMENT
+      || entry.entityType === ACTIVITY_ENTITIES.SETTLEMENT_PLAN;
+  }
+  return entry.entityType === filter;
+};
+
+export default function ActivityFeedScreen() {
+  const { t } = useTranslation();
+  const { user, userDetails, getPartnerDetails } = useAuth();
+  const { categories } = useBudget();
+  const coupleId = userDetails?.coupleId;
+
+  const [entries, setEntries] = useState([]);
+  const [lastDoc, setLastDoc] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [filter, setFilter] = useState('all');
+  const [partnerName, setPartnerName] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    getPartnerDetails().then((partner) => setPartnerName(partner?.displayName || null));
+  }, [userDetails?.partnerId]);
+
+  const loadActivity = useCallback(async () => {
+    if (!coupleId) return;
+
+    try {
+      const result = await getActivityLog(coupleId);
+      setEntries(result.entries);
+      setLastDoc(result.lastDoc);
+    } catch (error) {
+      Alert.alert(t('common.error'), t('activity.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [coupleId, t]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadActivity();
+    setRefreshing(false);
+  };
+
+  const handleLoadMore = async () => {
+    if (!lastDoc || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const result = await getActivityLog(coupleId, { startAfterDoc: lastDoc });
+      setEntries((prev) => [...prev, ...result.entries]);
+      setLastDoc(result.lastDoc);
+    } catch (error) {
+      Alert.alert(t('common.error'), t('activity.loadError'));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Restores are newer than their delete entry, so they are always loaded first
+  const restoredEntryIds = useMemo(() => new Set(
+    entries
+      .filter((entry) => entry.action === ACTIVITY_ACTIONS.RESTORE && entry.restoredFromEntryId)
+      .map((entry) => entry.restoredFromEntryId)
+  ), [entries]);
+
+  const visibleEntries = entries.filter((entry) => matchesFilter(entry, filter));
+
+  const handleRestore = (entry) => {
+    Alert.alert(
+      t('activity.restoreTitle'),
+      t('activity.restoreMessage', { description: entry.summary?.description || t('activity.entities.expense') }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('activity.restore'),
+          onPress: async () => {
+            try {
+              setRestoringId(entry.id);
+              await restoreDeletedExpense(entry);
+              await loadActivity();
+              Alert.alert(t('common.success'), t('activity.restoreSuccess'));
+            } catch (error) {
+              Alert.alert(t('common.error'), error.message || t('activity.restoreError'));
+            } finally {
+              setRestoringId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const getActorName = (actorId) => {
+    if (actorId === user?.uid) return t('activity.you');
+    return partnerName || t('activity.partner');
+  };
+
+  const getEntryTitle = (entry) => {
+    return t(`activity.actions.${entry.entityType}.${entry.action}`, {
+      actor: getActorName(entry.actorId),
+      defaultValue: t('activity.actions.fallback', { actor: getActorName(entry.actorId) }),
+    });
+  };
+
+  const getEntryDetail = (entry) => {
+    const { summary = {} } = entry;
+
+    switch (entry.entityType) {
+      case ACTIVITY_ENTITIES.EXPENSE: {
+        const category = categories?.[summary.categoryKey]?.name;
+        return [
+          summary.description,
+          summary.amount !== undefined ? formatCurrency(summary.amount, summary.currency) : null,
+          category,
+        ].filter(Boolean).join(' • ');
+      }
+      case ACTIVITY_ENTITIES.CATEGORY:
+        return [summary.icon, summary.name].filter(Boolean).join(' ');
+      case ACTIVITY_ENTITIES.BUDGET:
+        return summary.month && summary.year
+          ? new Date(summary.year, summary.month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+          : '';
+      case ACTIVITY_ENTITIES.SETTLEMENT:
+        return summary.amount !== undefined ? formatCurrency(summary.amount) : '';
+      case ACTIVITY_ENTITIES.SETTLEMENT_PLAN:
+        return summary.totalAmount !== undefined
+          ? t('activity.planDetail', { amount: formatCurrency(summary.totalAmount), count: summary.instalmentCount })
+          : '';
+      default:
+        return '';
+    }
+  };
+
+  const formatFieldValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (AMOUNT_FIELDS.includes(field)) return formatCurrency(value);
+    return String(value);
+  };
+
+  const renderChanges = (entry) => {
+    if (entry.action !== ACTIVITY_ACTIONS.UPDATE || !entry.after) return null;
+
+    const fields = Object.keys(entry.after);
+    const detailed = fields.filter((field) => AMOUNT_FIELDS.includes(field) || TEXT_FIELDS.includes(field));
+    const others = fields.filter((field) => !detailed.includes(field));
+
+    return (
+      <View style={styles.changes}>
+        {detailed.map((field) => (
+          <Text key={field} style={styles.changeText} numberOfLines={2}>
+            {t('activity.changeValue', {
+              field: t(`activity.fields.${field}`, { defaultValue: field }),
+              before: formatFieldValue(field, entry.before?.[field]),
+              after: formatFieldValue(field, entry.after[field]),
+            })}
+          </Text>
+        ))}
+        {others.length > 0 && (
+          <Text style={styles.changeText} numberOfLines={2}>
+            {t('activity.changedFields', {
+              fields: others.map((field) => t(`activity.fields.${field}`, { defaultValue: field })).join(', '),
+            })}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderEntry = (entry) => {
+    const date = getEntryDate(entry);
+    const isDelete = entry.action === ACTIVITY_ACTIONS.DELETE;
+    const canRestore = isRestorableEntry(entry) && !restoredEntryIds.has(entry.id);
+    const detail = getEntryDetail(entry);
+
+    return (
+      <View key={entry.id} style={styles.entryRow}>
+        <View style={[styles.entryIcon, isDelete && styles.entryIconDelete]}>
+          <Ionicons
+            name={ENTITY_ICONS[entry.entityType] || 'ellipse-outline'}
+            size={18}
+            color={isDelete ? COLORS.error : COLORS.primary}
+          />
+        </View>
+        <View style={styles.entryContent}>
+          <Text style={styles.entryTitle}>{getEntryTitle(entry)}</Text>
+          {!!detail && <Text style={styles.entryDetail} numberOfLines={1}>{detail}</Text>}
+          {renderChanges(entry)}
+          {date && (
+            <Text style={styles.entryDate}>
+              {formatDate(date)} · {date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+          )}
+        </View>
+        {isRestorableEntry(entry) && (
+          canRestore ? (
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={() => handleRestore(entry)}
+              disabled={restoringId === entry.id}
+              accessibilityLabel={t('activity.restore')}
+            >
+              {restoringId === entry.id ? (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              ) : (
+                <Text style={styles.restoreButtonText}>{t('activity.restore')}</Text>
+              )}
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.restoredText}>{t('activity.restored')}</Text>
+          )
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} tintColor={COLORS.primary} />
+        }
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('activity.title')}</Text>
+          <Text style={styles.subtitle}>{t('activity.subtitle')}</Text>
+        </View>
+
+        {/* Filters */}
+        <View style={styles.filterRow}>
+          {FILTERS.map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.filterChip, filter === option && styles.filterChipSelected]}
+              onPress={() => setFilter(option)}
+            >
+              <Text style={[styles.filterChipText, filter === option && styles.filterChipTextSelected]}>
+                {t(`activity.filters.${option}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading && coupleId ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : (
+          <View style={styles.entryList}>
+            {visibleEntries.map(renderEntry)}
+          </View>
+        )}
+
+        {!loading && visibleEntries.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateIcon}>🕘</Text>
+            <Text style={styles.emptyStateText}>{t('activity.emptyTitle')}</Text>
+            <Text style={styles.emptyStateSubtext}>{t('activity.emptyText')}</Text>
+          </View>
+        )}
+
+        {!loading && lastDoc && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleLoadMore} activeOpacity={0.8}>
+            {loadingMore ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.secondaryButtonText}>{t('activity.loadMore')}</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+    marginBottom: SPACING.large,
+  },
+  filterChip: {
+    paddingVertical: SPACING.tiny,
+    paddingHorizontal: SPACING.medium,
+    borderRadius: SIZES.borderRadius.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.cardBackground,
+  },
+  filterChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  filterChipText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.text,
+  },
+  filterChipTextSelected: {
+    color: COLORS.textWhite,
+    fontWeight: FONTS.weights.semibold,
+  },
+  loader: {
+    marginTop: SPACING.xlarge,
+  },
+  entryList: {
+    gap: SPACING.small,
+  },
+  entryRow: {
+    ...COMMON_STYLES.card,
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: SPACING.medium,
+  },
+  entryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.primary + '15',
+  },
+  entryIconDelete: {
+    backgroundColor: COLORS.error + '15',
+  },
+  entryContent: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  entryDetail: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.tiny,
+  },
+  changes: {
+    marginTop: SPACING.tiny,
+  },
+  changeText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  entryDate: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textTertiary,
+    marginTop: SPACING.tiny,
+  },
+  restoreButton: {
+    paddingVertical: SPACING.tiny,
+    paddingHorizontal: SPACING.small,
+    borderRadius: SIZES.borderRadius.small,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    alignSelf: 'center',
+  },
+  restoreButtonText: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
+  restoredText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textTertiary,
+    alignSelf: 'center',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SPACING.xxlarge * 2,
+  },
+  emptyStateIcon: {
+    fontSize: 64,
+    marginBottom: SPACING.medium,
+    opacity: 0.5,
+  },
+  emptyStateText: {
+    fontSize: FONTS.sizes.title,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  emptyStateSubtext: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textTertiary,
+    textAlign: 'center',
+  },
+  secondaryButton: {
+    ...COMMON_STYLES.secondaryButton,
+    marginTop: SPACING.large,
+  },
+  secondaryButtonText: {
+    ...COMMON_STYLES.secondaryButtonText,
+  },
+});
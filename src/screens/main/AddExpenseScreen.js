@@ -7,6 +7,7 @@
  * - Category selection
  * - "Paid by" selector
  * - Split options (50/50 or custom)
+ * - Repeat schedule (recurring expenses, premium)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -38,47 +39,86 @@ import { useSubscription } from '../../contexts/SubscriptionContext';
 import { COLORS, FONTS, SPACING, COMMON_STYLES } from '../../constants/theme';
 import { calculateEqualSplit, calculateSplit, roundCurrency } from '../../utils/calculations';
 import * as expenseService from '../../services/expenseService';
+import * as recurringExpenseService from '../../services/recurringExpenseService';
+import { getTrips } from '../../services/tripService';
+import { normalizeExpenseTags } from '../../services/tagService';
 import CurrencyPicker from '../../components/CurrencyPicker';
 import ExchangeRateInput from '../../components/ExchangeRateInput';
 import { getCurrencyInfo, getCurrencySymbol } from '../../constants/currencies';
-import { createMultiCurrencyExpense, formatCurrency } from '../../utils/currencyUtils';
+import { createMultiCurrencyExpense, formatCurrency, validateAmount } from '../../utils/currencyUtils';
 import {
   getPrimaryCurrency,
   saveRecentExchangeRate,
   getRecentExchangeRate,
 } from '../../services/coupleSettingsService';
+import { getExchangeRate, EXCHANGE_RATE_SOURCES } from '../../services/exchangeRateService';
 import { scanReceiptDirect, recordOCRFeedback } from '../../services/ocrService';
 import { createMerchantAlias } from '../../services/merchantAliasService';
 import OCRSuggestionCard from '../../components/OCRSuggestionCard';
 import OCRProcessingBanner from '../../components/OCRProcessingBanner';
 import FieldLabel from '../../components/FieldLabel';
 import SplitPreviewCard from '../../components/SplitPreviewCard';
+import ItemizedSplitEditor from '../../components/ItemizedSplitEditor';
+import RecurrenceSelector from '../../components/RecurrenceSelector';
+import { toDateKey } from '../../utils/recurrence';
+import { calculateItemizedSplit, createItemization } from '../../utils/itemizedSplit';
+
+const MANUAL_RATE_INFO = { source: EXCHANGE_RATE_SOURCES.MANUAL, provider: null, date: null };
+
+// Flip a line assignment between the current user's and the payer's perspective
+const swapAssignment = (assignment) => {
+  if (assignment === 'mine') return 'partner';
+  if (assignment === 'partner') return 'mine';
+  return assignment;
+};
 
 export default function AddExpenseScreen({ navigation, route }) {
   const { t } = useTranslation();
   const { user, userDetails } = useAuth();
-  const { categories: budgetCategories, budgetProgress, isBudgetEnabled } = useBudget();
+  const { categories: budgetCategories, tags: budgetTags, addTag, budgetProgress, isBudgetEnabled } = useBudget();
   const { isPremium } = useSubscription();
 
   // Check if we're editing an existing expense
   const editingExpense = route.params?.expense;
   const isEditMode = !!editingExpense;
+  // 'future' edits this occurrence and the rest of its recurring series
+  const isSeriesEdit = isEditMode &&
+    route.params?.editScope === 'future' &&
+    !!editingExpense?.recurringExpenseId;
 
   const [amount, setAmount] = useState('');
   const [description, setDescription] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('food');
   const [paidBy, setPaidBy] = useState(user.uid); // Who paid
-  const [splitType, setSplitType] = useState('equal'); // 'equal' or 'custom'
+  const [splitType, setSplitType] = useState('equal'); // 'equal', 'full', 'custom' or 'itemized'
   const [userSplitPercentage, setUserSplitPercentage] = useState('50');
+  // Receipt lines assigned per partner (null = no itemized receipt)
+  const [itemization, setItemization] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [confirmedLargeAmount, setConfirmedLargeAmount] = useState(false);
 
+  // Recurrence rule (null = one-off expense)
+  const [recurrence, setRecurrence] = useState(null);
+
+  // Trip or event this expense belongs to (null = everyday spending)
+  const [tripId, setTripId] = useState(route.params?.tripId || null);
+  const [trips, setTrips] = useState([]);
+
+  // Tags and longer free-form notes
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [newTagName, setNewTagName] = useState('');
+  const [showNewTagInput, setShowNewTagInput] = useState(false);
+
   // Multi-currency state
   const [primaryCurrency, setPrimaryCurrency] = useState('USD');
   const [expenseCurrency, setExpenseCurrency] = useState('USD');
   const [exchangeRate, setExchangeRate] = useState(1.0);
   const [convertedAmount, setConvertedAmount] = useState(0);
+  const [exchangeRateInfo, setExchangeRateInfo] = useState(MANUAL_RATE_INFO);
+  const [rateSuggestion, setRateSuggestion] = useState(null);
+  const [rateLoading, setRateLoading] = useState(false);
 
   // OCR state (simplified - no upload/storage needed)
   const [ocrState, setOcrState] = useState({
@@ -119,6 +159,100 @@ export default function AddExpenseScreen({ navigation, route }) {
     }, [userDetails?.coupleId, isEditMode, expenseCurrency, primaryCurrency])
   );
 
+  // Look up the exchange rate for the expense date
+  // An edited expense keeps its saved rate unless its currency or date changes
+  const expenseDateKey = toDateKey(expenseDate);
+  useEffect(() => {
+    const keepsSavedRate = isEditMode &&
+      editingExpense.currency === expenseCurrency &&
+      toDateKey(editingExpense.date) === expenseDateKey;
+
+    if (!userDetails?.coupleId || expenseCurrency === primaryCurrency || keepsSavedRate) {
+      setRateSuggestion(null);
+      return;
+    }
+
+    let cancelled = false;
+    const lookUpRate = async () => {
+      setRateLoading(true);
+      try {
+        const quote = await getExchangeRate(userDetails.coupleId, expenseCurrency, primaryCurrency, expenseDate);
+        if (!cancelled) setRateSuggestion(quote);
+      } catch (err) {
+        // Fall back to the last rate the couple used for this pair
+        const recent = await getRecentExchangeRate(userDetails.coupleId, expenseCurrency, primaryCurrency);
+        if (!cancelled) {
+          setRateSuggestion(recent?.rate ? { rate: recent.rate, source: EXCHANGE_RATE_SOURCES.RECENT } : null);
+        }
+      } finally {
+        if (!cancelled) setRateLoading(false);
+      }
+    };
+    lookUpRate();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userDetails?.coupleId, expenseCurrency, primaryCurrency, expenseDateKey]);
+
+  const handleExchangeRateChange = (rate, suggestion = null) => {
+    setExchangeRate(rate);
+    setExchangeRateInfo(suggestion
+      ? { source: suggestion.source, provider: suggestion.provider || null, date: suggestion.date || null }
+      : MANUAL_RATE_INFO);
+  };
+
+  // Load trips the expense can be added to
+  useEffect(() => {
+    if (!userDetails?.coupleId) return;
+
+    getTrips(userDetails.coupleId)
+      .then((allTrips) => {
+        // Archived trips stay selectable only for expenses already in them
+        const selectable = allTrips.filter(
+          (trip) => trip.status === 'active' || trip.id === editingExpense?.tripId
+        );
+        setTrips(selectable);
+
+        // Opened from a trip: default to the trip currency
+        const presetTrip = selectable.find((trip) => trip.id === route.params?.tripId);
+        if (presetTrip && !isEditMode) {
+          setExpenseCurrency(presetTrip.currency);
+        }
+      })
+      .catch((err) => console.error('Error loading trips:', err));
+  }, [userDetails?.coupleId]);
+
+  const handleSelectTrip = (trip) => {
+    setTripId(trip ? trip.id : null);
+    if (trip && !isEditMode) {
+      setExpenseCurrency(trip.currency);
+    }
+  };
+
+  const handleToggleTag = (tagKey) => {
+    setSelectedTags((current) =>
+      current.includes(tagKey) ? current.filter((tag) => tag !== tagKey) : [...current, tagKey]
+    );
+  };
+
+  const handleCreateTag = async () => {
+    if (!newTagName.trim()) {
+      setShowNewTagInput(false);
+      return;
+    }
+
+    try {
+      const { key } = await addTag({ name: newTagName });
+      setSelectedTags((current) => [...current, key]);
+      setNewTagName('');
+      setShowNewTagInput(false);
+    } catch (err) {
+      console.error('Error creating tag:', err);
+      Alert.alert(t('common.error'), err.message || t('tagManager.saveError'));
+    }
+  };
+
   // Pre-populate form when editing
   useEffect(() => {
     if (editingExpense) {
@@ -126,6 +260,9 @@ export default function AddExpenseScreen({ navigation, route }) {
       setDescription(editingExpense.description);
       setSelectedCategory(editingExpense.categoryKey || editingExpense.category || 'food');
       setPaidBy(editingExpense.paidBy);
+      setTripId(editingExpense.tripId || null);
+      setSelectedTags(editingExpense.tags || []);
+      setNotes(editingExpense.notes || '');
 
       // Set date if available
       if (editingExpense.date) {
@@ -139,13 +276,47 @@ export default function AddExpenseScreen({ navigation, route }) {
       if (editingExpense.exchangeRate) {
         setExchangeRate(editingExpense.exchangeRate);
       }
+      if (editingExpense.exchangeRateSource && editingExpense.exchangeRateSource !== EXCHANGE_RATE_SOURCES.NONE) {
+        setExchangeRateInfo({
+          source: editingExpense.exchangeRateSource,
+          provider: editingExpense.exchangeRateProvider || null,
+          date: editingExpense.exchangeRateDate || null,
+        });
+      }
       if (editingExpense.primaryCurrencyAmount) {
         setConvertedAmount(editingExpense.primaryCurrencyAmount);
       }
 
+      // Load the series schedule when editing "this and future"
+      if (isSeriesEdit) {
+        recurringExpenseService.getRecurringExpense(editingExpense.recurringExpenseId)
+          .then((series) => {
+            if (series.status === 'ended') return;
+            setRecurrence({
+              frequency: series.frequency,
+              interval: series.interval,
+              dayOfMonth: series.dayOfMonth,
+              endDate: series.endDate ? new Date(series.endDate) : null,
+              maxOccurrences: series.maxOccurrences,
+            });
+          })
+          .catch((err) => console.error('Error loading recurring expense:', err));
+      }
+
       // Determine split type from split details
       const userPercentage = editingExpense.splitDetails?.user1Percentage || 50;
-      if (userPercentage === 50) {
+      if (editingExpense.itemization?.items?.length) {
+        // Assignments are stored from the payer's perspective
+        const payerIsMe = editingExpense.paidBy === user.uid;
+        setItemization({
+          ...editingExpense.itemization,
+          items: editingExpense.itemization.items.map((item) => ({
+            ...item,
+            assignment: payerIsMe ? item.assignment : swapAssignment(item.assignment),
+          })),
+        });
+        setSplitType('itemized');
+      } else if (userPercentage === 50) {
         setSplitType('equal');
       } else if (userPercentage === 100 || userPercentage === 0) {
         setSplitType('full');
@@ -154,7 +325,7 @@ export default function AddExpenseScreen({ navigation, route }) {
         setUserSplitPercentage(userPercentage.toString());
       }
     }
-  }, [editingExpense]);
+  }, [editingExpense, isSeriesEdit]);
 
   const handleAmountChange = (text) => {
     // Remove all non-numeric characters except decimal point
@@ -164,8 +335,10 @@ export default function AddExpenseScreen({ navigation, route }) {
     const parts = cleaned.split('.');
     if (parts.length > 2) return;
 
-    // Limit decimal places to 2
-    if (parts[1] && parts[1].length > 2) return;
+    // Limit decimal places to the currency's minor units (none for JPY, 3 for KWD)
+    const { decimals } = getCurrencyInfo(expenseCurrency);
+    if (parts.length > 1 && decimals === 0) return;
+    if (parts[1] && parts[1].length > decimals) return;
 
     // Store the raw value (without formatting)
     setAmount(cleaned);
@@ -292,6 +465,10 @@ export default function AddExpenseScreen({ navigation, route }) {
             alternatives: ocrData.alternativeCategories || [],
             belowThreshold: (ocrData.categoryConfidence || 0) < 0.55,
           },
+          // Receipt lines for itemized splitting
+          lineItems: ocrData.lineItems || [],
+          tax: ocrData.tax,
+          tip: ocrData.tip,
           confidence: ocrData.ocrConfidence,
           source: 'direct-ocr',
         },
@@ -336,6 +513,16 @@ export default function AddExpenseScreen({ navigation, route }) {
     if (suggestions.currency && suggestions.currencyConfidence >= 0.7) {
       setExpenseCurrency(suggestions.currency);
     }
+    // Offer a line-by-line split when the receipt has items
+    const items = createItemization(suggestions.lineItems);
+    if (items.length > 0) {
+      setItemization({
+        items,
+        tax: suggestions.tax || 0,
+        tip: suggestions.tip || 0,
+      });
+      setSplitType('itemized');
+    }
 
     // Clear OCR state
     setOcrState({
@@ -371,7 +558,7 @@ export default function AddExpenseScreen({ navigation, route }) {
 
   // Handle cancel with confirmation if form has data
   const handleCancel = () => {
-    const hasData = amount || description || selectedCategory !== 'food' || splitType !== 'equal';
+    const hasData = amount || description || notes || selectedCategory !== 'food' || splitType !== 'equal';
 
     if (hasData) {
       Alert.alert(
@@ -407,6 +594,13 @@ export default function AddExpenseScreen({ navigation, route }) {
       return;
     }
 
+    // The currency may have changed after the amount was typed
+    const amountValidation = validateAmount(parseFloat(amount), expenseCurrency);
+    if (!amountValidation.isValid) {
+      setError(amountValidation.error);
+      return;
+    }
+
     if (!description.trim()) {
       setError('Please enter a description');
       return;
@@ -489,6 +683,13 @@ export default function AddExpenseScreen({ navigation, route }) {
             user2Percentage: 100,
           };
         }
+      } else if (splitType === 'itemized') {
+        splitDetails = calculateItemizedSplit(itemization?.items, {
+          tax: itemization?.tax,
+          tip: itemization?.tip,
+          total: expenseAmount,
+          currency: expenseCurrency,
+        });
       } else {
         const parsedPercentage = parseInt(userSplitPercentage);
         const userPercentage = !isNaN(parsedPercentage) ? parsedPercentage : 50;
@@ -519,6 +720,15 @@ export default function AddExpenseScreen({ navigation, route }) {
             user2Percentage: 100,
           };
         }
+      } else if (splitType === 'itemized') {
+        splitDetails = calculateItemizedSplit(itemization?.items, {
+          tax: itemization?.tax,
+          tip: itemization?.tip,
+          total: expenseAmount,
+          targetTotal: amountForSplit,
+          currency: expenseCurrency,
+          targetCurrency: primaryCurrency,
+        });
       } else {
         const parsedPercentage = parseInt(userSplitPercentage);
         const userPercentage = !isNaN(parsedPercentage) ? parsedPercentage : 50;
@@ -526,6 +736,24 @@ export default function AddExpenseScreen({ navigation, route }) {
         splitDetails = calculateSplit(amountForSplit, userPercentage, partnerPercentage);
       }
 
+      // Keep the receipt lines so the split can be reviewed and edited later,
+      // with assignments stored from the payer's perspective like splitDetails
+      const storedItemization = splitType === 'itemized'
+        ? {
+          items: itemization.items.map((item) => ({
+            description: item.description,
+            quantity: item.quantity,
+            price: item.price,
+            assignment: paidBy === user.uid ? item.assignment : swapAssignment(item.assignment),
+          })),
+          tax: itemization.tax || 0,
+          tip: itemization.tip || 0,
+        }
+        : null;
+
+      // Writes made offline are queued and synced later (see offlineQueueService)
+      let savedOffline = false;
+
       if (isEditMode) {
         // Update existing expense
         const updates = {
@@ -534,21 +762,40 @@ export default function AddExpenseScreen({ navigation, route }) {
           primaryCurrencyAmount: amountForSplit,
           primaryCurrency,
           exchangeRate,
-          exchangeRateSource: expenseCurrency === primaryCurrency ? 'none' : 'manual',
+          exchangeRateSource: expenseCurrency === primaryCurrency ? EXCHANGE_RATE_SOURCES.NONE : exchangeRateInfo.source,
+          exchangeRateProvider: expenseCurrency === primaryCurrency ? null : exchangeRateInfo.provider,
+          exchangeRateDate: expenseCurrency === primaryCurrency ? null : exchangeRateInfo.date,
           description: description.trim(),
           category: selectedCategory,
           categoryKey: selectedCategory,
           paidBy: paidBy,
           splitDetails: {
-            user1Amount: roundCurrency(paidBy === user.uid ? splitDetails.user1Amount : splitDetails.user2Amount),
-            user2Amount: roundCurrency(paidBy === user.uid ? splitDetails.user2Amount : splitDetails.user1Amount),
+            user1Amount: roundCurrency(paidBy === user.uid ? splitDetails.user1Amount : splitDetails.user2Amount, primaryCurrency),
+            user2Amount: roundCurrency(paidBy === user.uid ? splitDetails.user2Amount : splitDetails.user1Amount, primaryCurrency),
             user1Percentage: paidBy === user.uid ? splitDetails.user1Percentage : splitDetails.user2Percentage,
             user2Percentage: paidBy === user.uid ? splitDetails.user2Percentage : splitDetails.user1Percentage,
           },
+          itemization: storedItemization,
+          tripId: tripId || null,
+          tags: normalizeExpenseTags(selectedTags),
+          notes: notes.trim(),
         };
 
         console.log('Updating expense:', editingExpense.id, updates);
-        await expenseService.updateExpense(editingExpense.id, updates);
+        if (isSeriesEdit) {
+          await recurringExpenseService.updateThisAndFutureOccurrences(
+            editingExpense,
+            updates,
+            recurrence
+          );
+          // Choosing "Doesn't repeat" stops the remaining occurrences
+          if (!recurrence) {
+            await recurringExpenseService.endRecurringExpense(editingExpense.recurringExpenseId);
+          }
+        } else {
+          const result = await expenseService.updateExpense(editingExpense.id, updates, editingExpense);
+          savedOffline = !!result?.pendingSync;
+        }
 
         console.log('✓ Expense updated successfully');
       } else {
@@ -557,6 +804,9 @@ export default function AddExpenseScreen({ navigation, route }) {
           amount: expenseAmount,
           currency: expenseCurrency,
           exchangeRate,
+          exchangeRateSource: exchangeRateInfo.source,
+          ...(exchangeRateInfo.provider && { exchangeRateProvider: exchangeRateInfo.provider }),
+          ...(exchangeRateInfo.date && { exchangeRateDate: exchangeRateInfo.date }),
           description: description.trim(),
           category: selectedCategory, // Legacy field for backward compatibility
           categoryKey: selectedCategory, // New field for budget tracking
@@ -564,21 +814,46 @@ export default function AddExpenseScreen({ navigation, route }) {
           coupleId: userDetails.coupleId,
           date: expenseDate.toISOString(), // Use selected date
           splitDetails: {
-            user1Amount: roundCurrency(paidBy === user.uid ? splitDetails.user1Amount : splitDetails.user2Amount),
-            user2Amount: roundCurrency(paidBy === user.uid ? splitDetails.user2Amount : splitDetails.user1Amount),
+            user1Amount: roundCurrency(paidBy === user.uid ? splitDetails.user1Amount : splitDetails.user2Amount, primaryCurrency),
+            user2Amount: roundCurrency(paidBy === user.uid ? splitDetails.user2Amount : splitDetails.user1Amount, primaryCurrency),
             user1Percentage: paidBy === user.uid ? splitDetails.user1Percentage : splitDetails.user2Percentage,
             user2Percentage: paidBy === user.uid ? splitDetails.user2Percentage : splitDetails.user1Percentage,
           },
+          ...(storedItemization && { itemization: storedItemization }),
+          ...(tripId && { tripId }),
+          ...(selectedTags.length > 0 && { tags: normalizeExpenseTags(selectedTags) }),
+          ...(notes.trim() && { notes: notes.trim() }),
         };
 
         // Add multi-currency fields
         const expenseData = createMultiCurrencyExpense(baseExpenseData, primaryCurrency);
 
+        // Create the series first so the first occurrence can link to it
+        let series = null;
+        if (recurrence) {
+          series = await recurringExpenseService.createRecurringExpense(
+            userDetails.coupleId,
+            user.uid,
+            expenseData,
+            { ...recurrence, startDate: expenseDate }
+          );
+          expenseData.recurringExpenseId = series.id;
+          expenseData.recurrenceDate = toDateKey(expenseDate);
+        }
+
         console.log('Creating expense:', expenseData);
-        await expenseService.addExpense(expenseData);
+        try {
+          const created = await expenseService.addExpense(expenseData);
+          savedOffline = !!created?.pendingSync;
+        } catch (addError) {
+          if (series) {
+            await recurringExpenseService.deleteRecurringExpense(series.id).catch(() => {});
+          }
+          throw addError;
+        }
 
         // Save exchange rate for future reuse
-        if (expenseCurrency !== primaryCurrency) {
+        if (expenseCurrency !== primaryCurrency && !savedOffline) {
           try {
             await saveRecentExchangeRate(userDetails.coupleId, expenseCurrency, primaryCurrency, exchangeRate);
           } catch (err) {
@@ -609,9 +884,11 @@ export default function AddExpenseScreen({ navigation, route }) {
       }
 
       // Update couple's lastActivity
-      await updateDoc(doc(db, 'couples', userDetails.coupleId), {
-        lastActivity: serverTimestamp(),
-      });
+      if (!savedOffline) {
+        await updateDoc(doc(db, 'couples', userDetails.coupleId), {
+          lastActivity: serverTimestamp(),
+        });
+      }
 
       // Navigate back to home
       navigation.goBack();
@@ -710,9 +987,11 @@ export default function AddExpenseScreen({ navigation, route }) {
             fromAmount={parseFloat(amount) || 0}
             fromCurrency={expenseCurrency}
             toCurrency={primaryCurrency}
-            onRateChange={setExchangeRate}
+            onRateChange={handleExchangeRateChange}
             onConvertedAmountChange={setConvertedAmount}
             initialRate={exchangeRate !== 1.0 ? exchangeRate : null}
+            suggestedRate={rateSuggestion}
+            suggestionLoading={rateLoading}
             style={styles.exchangeRateSection}
           />
         )}
@@ -819,6 +1098,91 @@ export default function AddExpenseScreen({ navigation, route }) {
           </TouchableOpacity>
         </View>
 
+        {/* Trip / Event */}
+        {trips.length > 0 && (
+          <View style={styles.section}>
+            <FieldLabel label={t('addExpense.trip')} />
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.tripRow}>
+              {[null, ...trips].map((trip) => {
+                const selected = (trip ? trip.id : null) === tripId;
+                return (
+                  <TouchableOpacity
+                    key={trip ? trip.id : 'none'}
+                    style={[styles.tripChip, selected && styles.tripChipSelected]}
+                    onPress={() => handleSelectTrip(trip)}
+                    testID={`trip-chip-${trip ? trip.id : 'none'}`}
+                  >
+                    <Text style={[styles.tripChipText, selected && styles.tripChipTextSelected]}>
+                      {trip ? trip.name : t('addExpense.noTrip')}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
+        )}
+
+        {/* Tags */}
+        <View style={styles.section}>
+          <FieldLabel label={t('addExpense.tags')} optional />
+          <View style={styles.tagWrap}>
+            {Object.values(budgetTags || {})
+              .sort((a, b) => a.name.localeCompare(b.name))
+              .map((tag) => {
+                const selected = selectedTags.includes(tag.key);
+                return (
+                  <TouchableOpacity
+                    key={tag.key}
+                    style={[
+                      styles.tripChip,
+                      selected && styles.tripChipSelected,
+                      selected && tag.color && { borderColor: tag.color, backgroundColor: tag.color + '20' },
+                    ]}
+                    onPress={() => handleToggleTag(tag.key)}
+                    testID={`tag-chip-${tag.key}`}
+                  >
+                    <Text style={[styles.tripChipText, selected && styles.tripChipTextSelected]}>
+                      {tag.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            {showNewTagInput ? (
+              <TextInput
+                style={styles.newTagInput}
+                value={newTagName}
+                onChangeText={setNewTagName}
+                onSubmitEditing={handleCreateTag}
+                onBlur={() => !newTagName.trim() && setShowNewTagInput(false)}
+                placeholder={t('addExpense.newTagPlaceholder')}
+                placeholderTextColor={COLORS.textTertiary}
+                maxLength={30}
+                returnKeyType="done"
+                autoFocus
+              />
+            ) : (
+              <TouchableOpacity style={styles.tripChip} onPress={() => setShowNewTagInput(true)}>
+                <Text style={styles.tripChipText}>+ {t('addExpense.newTag')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        {/* Notes */}
+        <View style={styles.section}>
+          <FieldLabel label={t('addExpense.notes')} optional />
+          <TextInput
+            style={styles.descriptionInput}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder={t('addExpense.notesPlaceholder')}
+            placeholderTextColor={COLORS.textTertiary}
+            multiline
+            numberOfLines={3}
+            maxLength={1000}
+          />
+        </View>
+
         {/* Date Picker - Platform specific */}
         {Platform.OS === 'ios' && showDatePicker && (
           <Modal visible={showDatePicker} transparent animationType="slide">
@@ -958,8 +1322,38 @@ export default function AddExpenseScreen({ navigation, route }) {
               </Text>
               <Text style={styles.splitDescription}>{t('addExpense.customDescription')}</Text>
             </Pressable>
+
+            {itemization && (
+              <Pressable
+                style={({ pressed }) => [
+                  styles.splitTypeButton,
+                  splitType === 'itemized' && styles.splitTypeButtonSelected,
+                  pressed && splitType !== 'itemized' && styles.splitTypeButtonPressed,
+                ]}
+                onPress={() => setSplitType('itemized')}
+              >
+                <Text style={styles.splitIcon}>🧾</Text>
+                <Text style={[
+                  styles.splitTypeText,
+                  splitType === 'itemized' && styles.splitTypeTextSelected,
+                ]}>
+                  {t('addExpense.itemized.label')}
+                </Text>
+                <Text style={styles.splitDescription}>{t('addExpense.itemized.description')}</Text>
+              </Pressable>
+            )}
           </View>
 
+          {splitType === 'itemized' && itemization && (
+            <ItemizedSplitEditor
+              itemization={itemization}
+              onChange={setItemization}
+              total={parseFloat(amount)}
+              currency={expenseCurrency}
+              partnerName={userDetails.partnerName || 'Partner'}
+            />
+          )}
+
           {splitType === 'custom' && (
             <View style={styles.customSplitContainer}>
               <View style={styles.splitInputRow}>
@@ -983,7 +1377,7 @@ export default function AddExpenseScreen({ navigation, route }) {
           )}
 
           {/* Split Preview - only show AFTER split type is selected */}
-          {amount && parseFloat(amount) > 0 && paidBy && splitType && (
+          {amount && parseFloat(amount) > 0 && paidBy && splitType && splitType !== 'itemized' && (
             <SplitPreviewCard
               amount={parseFloat(amount)}
               currency={expenseCurrency}
@@ -997,6 +1391,17 @@ export default function AddExpenseScreen({ navigation, route }) {
           )}
         </View>
 
+        {/* Repeat Schedule */}
+        {(!isEditMode || isSeriesEdit) && (
+          <RecurrenceSelector
+            value={recurrence}
+            onChange={setRecurrence}
+            startDate={expenseDate}
+            isPremium={isPremium}
+            onRequireUpgrade={() => navigation.navigate('Paywall', { feature: 'recurring_expenses' })}
+          />
+        )}
+
         {/* Error Message */}
         {error ? (
           <View style={styles.errorContainer}>
@@ -1226,6 +1631,44 @@ const styles = StyleSheet.create({
     color: COLORS.background,
     fontWeight: '600',
   },
+  tripRow: {
+    gap: SPACING.small,
+  },
+  tagWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+  },
+  newTagInput: {
+    ...FONTS.small,
+    minWidth: 120,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: COLORS.primary,
+    color: COLORS.text,
+  },
+  tripChip: {
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 20,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  tripChipSelected: {
+    backgroundColor: COLORS.primary + '20',
+    borderColor: COLORS.primary,
+  },
+  tripChipText: {
+    ...FONTS.small,
+    color: COLORS.text,
+  },
+  tripChipTextSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   splitTypeContainer: {
     flexDirection: 'row',
     gap: SPACING.base,
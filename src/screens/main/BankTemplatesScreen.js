@@ -0,0 +1,647 @@
+// src/screens/main/BankTemplatesScreen.js
+// Screen for the couple's own bank templates: create, edit, delete and share
+// the column mapping and number/date conventions of a bank's CSV export
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  Share,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import {
+  subscribeToBankTemplates,
+  addBankTemplate,
+  updateBankTemplate,
+  deleteBankTemplate,
+} from '../../services/bankTemplateService';
+import {
+  TEMPLATE_DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  AMOUNT_SIGNS,
+  encodeTemplateShareCode,
+  decodeTemplateShareCode,
+} from '../../utils/bankTemplates';
+
+const COLUMN_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'balance'];
+
+const EMPTY_FORM = {
+  name: '',
+  identifier: '',
+  columns: { date: '', description: '', amount: '', debit: '', credit: '', balance: '' },
+  dateFormat: 'auto',
+  decimalSeparator: '.',
+  amountSign: 'negativeIsDebit',
+  skipHeaderRows: '0',
+  skipFooterRows: '0',
+};
+
+const templateToForm = (template) => ({
+  name: template.name,
+  identifier: (template.identifier || []).join(', '),
+  columns: COLUMN_FIELDS.reduce((columns, field) => {
+    columns[field] = template.csv?.[`${field}Column`] || '';
+    return columns;
+  }, {}),
+  dateFormat: template.csv?.dateFormat || 'auto',
+  decimalSeparator: template.csv?.decimalSeparator || '.',
+  amountSign: template.csv?.amountSign || 'negativeIsDebit',
+  skipHeaderRows: String(template.csv?.skipHeaderRows || 0),
+  skipFooterRows: String(template.csv?.skipFooterRows || 0),
+});
+
+const formToTemplate = (form) => ({
+  name: form.name,
+  identifier: form.identifier,
+  csv: {
+    ...COLUMN_FIELDS.reduce((csv, field) => {
+      csv[`${field}Column`] = form.columns[field];
+      return csv;
+    }, {}),
+    dateFormat: form.dateFormat,
+    decimalSeparator: form.decimalSeparator,
+    amountSign: form.amountSign,
+    skipHeaderRows: form.skipHeaderRows,
+    skipFooterRows: form.skipFooterRows,
+  },
+});
+
+export default function BankTemplatesScreen() {
+  const { t } = useTranslation();
+  const { user, userDetails } = useAuth();
+  const coupleId = userDetails?.coupleId;
+
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const [codeModalVisible, setCodeModalVisible] = useState(false);
+  const [shareCode, setShareCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+
+  useEffect(() => {
+    if (!coupleId) return undefined;
+
+    const unsubscribe = subscribeToBankTemplates(coupleId, (items) => {
+      setTemplates(items);
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [coupleId]);
+
+  const updateForm = (updates) => {
+    setForm((prev) => ({ ...prev, ...updates }));
+    setFormError('');
+  };
+
+  const updateColumn = (field, value) => {
+    updateForm({ columns: { ...form.columns, [field]: value } });
+  };
+
+  const openModal = (template = null) => {
+    setEditingTemplate(template);
+    setForm(template ? templateToForm(template) : EMPTY_FORM);
+    setFormError('');
+    setModalVisible(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      if (editingTemplate) {
+        await updateBankTemplate(coupleId, editingTemplate.key, formToTemplate(form));
+      } else {
+        await addBankTemplate(coupleId, formToTemplate(form), user.uid);
+      }
+      setModalVisible(false);
+    } catch (error) {
+      setFormError(error.message || t('bankTemplates.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (template) => {
+    Alert.alert(
+      t('bankTemplates.deleteTitle'),
+      t('bankTemplates.deleteMessage', { name: template.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBankTemplate(coupleId, template.key);
+            } catch (error) {
+              Alert.alert(t('common.error'), error.message || t('bankTemplates.deleteError'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleShare = async (template) => {
+    const code = encodeTemplateShareCode(template);
+    const message = t('bankTemplates.shareMessage', { name: template.name, code });
+
+    try {
+      await Share.share({ message });
+    } catch (error) {
+      // Sharing is not available everywhere (e.g. some browsers), so show the code instead
+      Alert.alert(t('bankTemplates.shareTitle'), code);
+    }
+  };
+
+  const handleImportCode = () => {
+    try {
+      // Accept the whole shared message, not just the code
+      const code = shareCode.trim().split(/\s+/).pop();
+      const template = decodeTemplateShareCode(code);
+      setCodeModalVisible(false);
+      setShareCode('');
+      // Open the editor so the template can be checked before it is saved
+      setEditingTemplate(null);
+      setForm(templateToForm(template));
+      setFormError('');
+      setModalVisible(true);
+    } catch (error) {
+      setCodeError(error.message);
+    }
+  };
+
+  const renderOptions = (options, value, onChange, getLabel) => (
+    <View style={styles.optionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.option, value === option && styles.optionSelected]}
+          onPress={() => onChange(option)}
+        >
+          <Text style={[styles.optionText, value === option && styles.optionTextSelected]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('bankTemplates.title')}</Text>
+          <Text style={styles.subtitle}>{t('bankTemplates.subtitle')}</Text>
+        </View>
+
+        <TouchableOpacity style={styles.primaryButton} onPress={() => openModal()} activeOpacity={0.8}>
+          <Text style={styles.primaryButtonText}>{t('bankTemplates.addTemplate')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={() => {
+            setCodeError('');
+            setCodeModalVisible(true);
+          }}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.secondaryButtonText}>{t('bankTemplates.importCode')}</Text>
+        </TouchableOpacity>
+
+        {loading && coupleId ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : (
+          <View style={styles.templateList}>
+            {templates.map((template) => (
+              <View key={template.key} style={styles.templateRow}>
+                <View style={styles.templateInfo}>
+                  <Text style={styles.templateName} numberOfLines={1}>{template.name}</Text>
+                  <Text style={styles.templateDetails} numberOfLines={1}>
+                    {t('bankTemplates.matches', { identifiers: (template.identifier || []).join(', ') })}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => handleShare(template)}
+                  style={styles.iconButton}
+                  accessibilityLabel={t('bankTemplates.shareTitle')}
+                >
+                  <Ionicons name="share-outline" size={20} color={COLORS.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => openModal(template)}
+                  style={styles.iconButton}
+                  accessibilityLabel={t('common.edit')}
+                >
+                  <Ionicons name="create-outline" size={20} color={COLORS.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => handleDelete(template)}
+                  style={styles.iconButton}
+                  accessibilityLabel={t('common.delete')}
+                >
+                  <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {!loading && templates.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateIcon}>🏦</Text>
+            <Text style={styles.emptyStateText}>{t('bankTemplates.noTemplatesTitle')}</Text>
+            <Text style={styles.emptyStateSubtext}>{t('bankTemplates.noTemplatesText')}</Text>
+          </View>
+        )}
+      </ScrollView>
+
+      {/* Template editor */}
+      <Modal visible={modalVisible} animationType="slide" transparent onRequestClose={() => setModalVisible(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalTitle}>
+                {editingTemplate ? t('bankTemplates.editTitle') : t('bankTemplates.addTitle')}
+              </Text>
+
+              <Text style={styles.label}>{t('bankTemplates.nameLabel')}</Text>
+              <TextInput
+                style={styles.input}
+                placeholder={t('bankTemplates.namePlaceholder')}
+                value={form.name}
+                onChangeText={(name) => updateForm({ name })}
+                maxLength={40}
+              />
+
+              <Text style={styles.label}>{t('bankTemplates.identifiersLabel')}</Text>
+              <Text style={styles.helpText}>{t('bankTemplates.identifiersHelp')}</Text>
+              <TextInput
+                style={styles.input}
+                placeholder={t('bankTemplates.identifiersPlaceholder')}
+                value={form.identifier}
+                onChangeText={(identifier) => updateForm({ identifier })}
+                autoCapitalize="none"
+              />
+
+              {/* Column mapping */}
+              <Text style={styles.label}>{t('bankTemplates.columnsLabel')}</Text>
+              <Text style={styles.helpText}>{t('bankTemplates.columnsHelp')}</Text>
+              {COLUMN_FIELDS.map((field) => (
+                <View key={field} style={styles.columnRow}>
+                  <Text style={styles.columnLabel}>{t(`bankTemplates.columns.${field}`)}</Text>
+                  <TextInput
+                    style={[styles.input, styles.columnInput]}
+                    placeholder={t('bankTemplates.columnPlaceholder')}
+                    value={form.columns[field]}
+                    onChangeText={(value) => updateColumn(field, value)}
+                    autoCapitalize="none"
+                  />
+                </View>
+              ))}
+
+              <Text style={styles.label}>{t('bankTemplates.dateFormatLabel')}</Text>
+              {renderOptions(
+                TEMPLATE_DATE_FORMATS,
+                form.dateFormat,
+                (dateFormat) => updateForm({ dateFormat }),
+                (option) => (option === 'auto' ? t('bankTemplates.dateFormatAuto') : option)
+              )}
+
+              <Text style={styles.label}>{t('bankTemplates.decimalSeparatorLabel')}</Text>
+              {renderOptions(
+                DECIMAL_SEPARATORS,
+                form.decimalSeparator,
+                (decimalSeparator) => updateForm({ decimalSeparator }),
+                (option) => (option === ',' ? '1.234,56' : '1,234.56')
+              )}
+
+              <Text style={styles.label}>{t('bankTemplates.amountSignLabel')}</Text>
+              {renderOptions(
+                AMOUNT_SIGNS,
+                form.amountSign,
+                (amountSign) => updateForm({ amountSign }),
+                (option) => t(`bankTemplates.${option}`)
+              )}
+
+              <View style={styles.skipRow}>
+                <View style={styles.skipField}>
+                  <Text style={styles.label}>{t('bankTemplates.skipHeaderRowsLabel')}</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.skipHeaderRows}
+                    onChangeText={(skipHeaderRows) => updateForm({ skipHeaderRows: skipHeaderRows.replace(/\D/g, '') })}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                  />
+                </View>
+                <View style={styles.skipField}>
+                  <Text style={styles.label}>{t('bankTemplates.skipFooterRowsLabel')}</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={form.skipFooterRows}
+                    onChangeText={(skipFooterRows) => updateForm({ skipFooterRows: skipFooterRows.replace(/\D/g, '') })}
+                    keyboardType="number-pad"
+                    maxLength={2}
+                  />
+                </View>
+              </View>
+
+              {formError ? <Text style={styles.errorText}>{formError}</Text> : null}
+
+              <View style={styles.buttonContainer}>
+                <TouchableOpacity
+                  style={[styles.button, styles.cancelButton]}
+                  onPress={() => setModalVisible(false)}
+                  disabled={saving}
+                >
+                  <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.saveButton, saving && styles.buttonDisabled]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color={COLORS.textWhite} />
+                  ) : (
+                    <Text style={styles.saveButtonText}>{t('common.save')}</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Import a shared template */}
+      <Modal visible={codeModalVisible} animationType="fade" transparent onRequestClose={() => setCodeModalVisible(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('bankTemplates.importCodeTitle')}</Text>
+            <TextInput
+              style={[styles.input, styles.codeInput, codeError && styles.inputError]}
+              placeholder={t('bankTemplates.importCodePlaceholder')}
+              value={shareCode}
+              onChangeText={(text) => {
+                setShareCode(text);
+                setCodeError('');
+              }}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+            />
+
+            {codeError ? <Text style={styles.errorText}>{codeError}</Text> : null}
+
+            <View style={styles.buttonContainer}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton]}
+                onPress={() => setCodeModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton, !shareCode.trim() && styles.buttonDisabled]}
+                onPress={handleImportCode}
+                disabled={!shareCode.trim()}
+              >
+                <Text style={styles.saveButtonText}>{t('bankTemplates.importCodeButton')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  primaryButton: {
+    ...COMMON_STYLES.primaryButton,
+    marginBottom: SPACING.medium,
+  },
+  primaryButtonText: {
+    ...COMMON_STYLES.primaryButtonText,
+  },
+  secondaryButton: {
+    ...COMMON_STYLES.secondaryButton,
+    marginBottom: SPACING.large,
+  },
+  secondaryButtonText: {
+    ...COMMON_STYLES.secondaryButtonText,
+  },
+  loader: {
+    marginTop: SPACING.xlarge,
+  },
+  templateList: {
+    gap: SPACING.small,
+  },
+  templateRow: {
+    ...COMMON_STYLES.card,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  templateInfo: {
+    flex: 1,
+  },
+  templateName: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  templateDetails: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.tiny,
+  },
+  iconButton: {
+    padding: SPACING.small,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SPACING.xxlarge * 2,
+  },
+  emptyStateIcon: {
+    fontSize: 64,
+    marginBottom: SPACING.medium,
+    opacity: 0.5,
+  },
+  emptyStateText: {
+    fontSize: FONTS.sizes.title,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  emptyStateSubtext: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textTertiary,
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.screenPadding,
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.borderRadius.large,
+    padding: SPACING.xlarge,
+    width: '100%',
+    maxWidth: 500,
+    maxHeight: '90%',
+  },
+  modalTitle: {
+    fontSize: FONTS.sizes.heading,
+    fontWeight: FONTS.weights.bold,
+    color: COLORS.text,
+    marginBottom: SPACING.large,
+  },
+  label: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  helpText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  input: {
+    ...COMMON_STYLES.input,
+    marginBottom: SPACING.large,
+  },
+  inputError: {
+    borderColor: COLORS.error,
+  },
+  columnRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.medium,
+  },
+  columnLabel: {
+    width: 96,
+    fontSize: FONTS.sizes.small,
+    color: COLORS.text,
+    marginBottom: SPACING.medium,
+  },
+  columnInput: {
+    flex: 1,
+    marginBottom: SPACING.medium,
+  },
+  codeInput: {
+    minHeight: 96,
+    textAlignVertical: 'top',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.small,
+    marginBottom: SPACING.large,
+  },
+  option: {
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.medium,
+    borderRadius: SIZES.borderRadius.medium,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  optionSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  optionText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.text,
+  },
+  optionTextSelected: {
+    color: COLORS.textWhite,
+    fontWeight: FONTS.weights.semibold,
+  },
+  skipRow: {
+    flexDirection: 'row',
+    gap: SPACING.medium,
+  },
+  skipField: {
+    flex: 1,
+  },
+  errorText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.error,
+    marginTop: SPACING.medium,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    gap: SPACING.medium,
+    marginTop: SPACING.xlarge,
+  },
+  button: {
+    flex: 1,
+    height: 48,
+    borderRadius: SIZES.borderRadius.medium,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cancelButton: {
+    ...COMMON_STYLES.secondaryButton,
+  },
+  cancelButtonText: {
+    ...COMMON_STYLES.secondaryButtonText,
+  },
+  saveButton: {
+    ...COMMON_STYLES.primaryButton,
+  },
+  saveButtonText: {
+    ...COMMON_STYLES.primaryButtonText,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
@@ -20,6 +20,8 @@ import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/th
 import BudgetProgressCard from '../../components/BudgetProgressCard';
 import * as expenseService from '../../services/expenseService';
 import * as settlementService from '../../services/settlementService';
+import * as forecastService from '../../services/forecastService';
+import { getCoupleSettings } from '../../services/coupleSettingsService';
 import { Ionicons } from '@expo/vector-icons';
 import { formatCurrency } from '../../utils/calculations';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -44,6 +46,7 @@ export default function BudgetDashboardScreen({ navigation }) {
   const [refreshing, setRefreshing] = useState(false);
   const [recentSettlements, setRecentSettlements] = useState([]);
   const [loadingSettlements, setLoadingSettlements] = useState(false);
+  const [forecast, setForecast] = useState(null);
 
   const coupleId = userDetails?.coupleId;
 
@@ -67,6 +70,32 @@ export default function BudgetDashboardScreen({ navigation }) {
     loadRecentSettlements();
   }, [coupleId]);
 
+  // Load the month-end / fiscal-year-end forecast whenever spending changes
+  const totalSpentSoFar = budgetProgress?.totalSpent;
+  useEffect(() => {
+    const loadForecast = async () => {
+      if (!coupleId || !currentBudget) {
+        setForecast(null);
+        return;
+      }
+
+      try {
+        const settings = await getCoupleSettings(coupleId);
+        const result = await forecastService.getSpendingForecast(
+          coupleId,
+          currentBudget,
+          categories,
+          settings?.fiscalYear
+        );
+        setForecast(result);
+      } catch (error) {
+        console.error('Error loading spending forecast:', error);
+      }
+    };
+
+    loadForecast();
+  }, [coupleId, currentBudget, categories, totalSpentSoFar]);
+
   const handleRefresh = async () => {
     setRefreshing(true);
 
@@ -121,6 +150,9 @@ export default function BudgetDashboardScreen({ navigation }) {
   const totalBudget = budgetProgress?.totalBudget || 0;
   const totalSpent = budgetProgress?.totalSpent || 0;
   const remaining = budgetProgress?.remaining || 0;
+  const categoryProgressList = Object.values(budgetProgress?.categoryProgress || {});
+  const totalRollover = categoryProgressList.reduce((sum, progress) => sum + (progress.rollover || 0), 0);
+  const totalBaseBudget = categoryProgressList.reduce((sum, progress) => sum + (progress.base ?? progress.budget), 0);
 
   const categoryArray = Object.entries(categories).map(([key, category]) => ({
     key,
@@ -163,6 +195,14 @@ export default function BudgetDashboardScreen({ navigation }) {
             >
               {formatCurrency(totalBudget)}
             </Text>
+            {totalRollover !== 0 && (
+              <Text style={styles.summaryHint} numberOfLines={2}>
+                {t(totalRollover > 0 ? 'budget.rollover.surplus' : 'budget.rollover.deficit', {
+                  base: formatCurrency(totalBaseBudget),
+                  amount: formatCurrency(Math.abs(totalRollover)),
+                })}
+              </Text>
+            )}
           </View>
 
           <View style={[styles.summaryCard, styles.summaryCardWarning]}>
@@ -190,6 +230,65 @@ export default function BudgetDashboardScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Forecast */}
+        {forecast && forecast.month.totalBudget > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('budget.forecast.title')}</Text>
+
+            <View style={styles.forecastCard}>
+              <View style={styles.forecastRow}>
+                <Text style={styles.forecastLabel}>{t('budget.forecast.monthEnd')}</Text>
+                <Text
+                  style={[
+                    styles.forecastValue,
+                    forecast.month.totalProjected > forecast.month.totalBudget && styles.forecastValueOver,
+                  ]}
+                >
+                  {t('budget.forecast.projectedOfBudget', {
+                    projected: formatCurrency(forecast.month.totalProjected),
+                    budget: formatCurrency(forecast.month.totalBudget),
+                  })}
+                </Text>
+              </View>
+
+              <View style={styles.forecastRow}>
+                <Text style={styles.forecastLabel}>
+                  {t('budget.forecast.fiscalYearEnd', { label: forecast.fiscalYear.label })}
+                </Text>
+                <Text
+                  style={[
+                    styles.forecastValue,
+                    forecast.fiscalYear.totalProjected > forecast.fiscalYear.totalBudget && styles.forecastValueOver,
+                  ]}
+                >
+                  {t('budget.forecast.projectedOfBudget', {
+                    projected: formatCurrency(forecast.fiscalYear.totalProjected),
+                    budget: formatCurrency(forecast.fiscalYear.totalBudget),
+                  })}
+                </Text>
+              </View>
+
+              {forecast.month.flagged.length > 0 ? (
+                forecast.month.flagged.map((key) => (
+                  <View key={key} style={styles.forecastAlert}>
+                    <Ionicons name="trending-up" size={16} color={COLORS.error} />
+                    <Text style={styles.forecastAlertText}>
+                      {t('budget.forecast.onPaceToExceed', {
+                        category: categories[key]?.name || key,
+                        amount: formatCurrency(Math.abs(forecast.month.categories[key].projectedRemaining)),
+                      })}
+                    </Text>
+                  </View>
+                ))
+              ) : (
+                <Text style={styles.forecastOnTrack}>{t('budget.forecast.allOnTrack')}</Text>
+              )}
+
+              <Text style={styles.forecastNote}>{t('budget.forecast.basis')}</Text>
+            </View>
+          </View>
+        )}
+
         {/* Category Progress */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>{t('budget.dashboard.budgetProgressTitle')}</Text>
@@ -209,6 +308,7 @@ export default function BudgetDashboardScreen({ navigation }) {
                   key={category.key}
                   category={category}
                   progress={progress}
+                  forecast={forecast?.month.categories[category.key]}
                   style={styles.progressCard}
                 />
               );
@@ -328,6 +428,14 @@ export default function BudgetDashboardScreen({ navigation }) {
           >
             <Text style={styles.actionButtonText}>{t('budget.dashboard.annualBudget')}</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('SavingsGoals')}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.actionButtonText}>{t('budget.dashboard.savingsGoals')}</Text>
+          </TouchableOpacity>
         </View>
       </ScrollView>
     </View>
@@ -425,6 +533,12 @@ const styles = StyleSheet.create({
     fontWeight: FONTS.weights.bold,
     color: COLORS.textWhite,
   },
+  summaryHint: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textWhite,
+    opacity: 0.9,
+    marginTop: SPACING.tiny,
+  },
   section: {
     marginBottom: SPACING.large,
   },
@@ -434,6 +548,54 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     marginBottom: SPACING.medium,
   },
+  forecastCard: {
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: SIZES.borderRadius.medium,
+    padding: SPACING.medium,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    gap: SPACING.small,
+  },
+  forecastRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  forecastLabel: {
+    flex: 1,
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  forecastValue: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  forecastValueOver: {
+    color: COLORS.error,
+  },
+  forecastAlert: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    backgroundColor: COLORS.error + '15',
+    padding: SPACING.small,
+    borderRadius: SIZES.borderRadius.small,
+  },
+  forecastAlertText: {
+    flex: 1,
+    fontSize: FONTS.sizes.small,
+    color: COLORS.error,
+  },
+  forecastOnTrack: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.success,
+  },
+  forecastNote: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textTertiary,
+  },
   progressGrid: {
     gap: SPACING.medium,
   },
@@ -548,10 +710,12 @@ const styles = StyleSheet.create({
   },
   actions: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: SPACING.medium,
   },
   actionButton: {
     flex: 1,
+    minWidth: '40%',
     ...COMMON_STYLES.secondaryButton,
   },
   actionButtonText: {
@@ -201,6 +201,14 @@ export default function CategoryManagerScreen({ navigation }) {
           </TouchableOpacity>
         </View>
 
+        <TouchableOpacity
+          style={styles.tagsLink}
+          onPress={() => navigation.navigate('TagManager')}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.tagsLinkText}>🏷️ {t('categoryManager.manageTags')}</Text>
+        </TouchableOpacity>
+
         {/* Categories Grid */}
         <View style={styles.categoriesGrid}>
           {categoryArray.map((category) => (
@@ -289,6 +297,17 @@ const styles = StyleSheet.create({
   secondaryButtonText: {
     ...COMMON_STYLES.secondaryButtonText,
   },
+  tagsLink: {
+    alignItems: 'center',
+    paddingVertical: SPACING.small,
+    marginTop: -SPACING.small,
+    marginBottom: SPACING.large,
+  },
+  tagsLinkText: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
   categoriesGrid: {
     gap: SPACING.medium,
   },
@@ -0,0 +1,571 @@
+// src/screens/main/CurrencyMigrationScreen.js
+// Guided change of the couple's primary currency: preview what will be
+// converted, follow the progress, and resume or undo the change
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { getPrimaryCurrency } from '../../services/coupleSettingsService';
+import {
+  getCurrencyMigration,
+  previewCurrencyMigration,
+  runCurrencyMigration,
+  rollbackCurrencyMigration,
+} from '../../services/currencyMigrationService';
+import {
+  CURRENCY_MIGRATION_COLLECTIONS,
+  CURRENCY_MIGRATION_STATUS,
+} from '../../utils/currencyMigration';
+
+const isInterrupted = (migration) =>
+  migration?.status === CURRENCY_MIGRATION_STATUS.RUNNING ||
+  migration?.status === CURRENCY_MIGRATION_STATUS.FAILED ||
+  migration?.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK;
+
+export default function CurrencyMigrationScreen({ navigation, route }) {
+  const { t } = useTranslation();
+  const { userDetails } = useAuth();
+  const coupleId = userDetails?.coupleId;
+  const toCurrency = route?.params?.toCurrency || null;
+
+  const [loading, setLoading] = useState(true);
+  const [fromCurrency, setFromCurrency] = useState(null);
+  const [migration, setMigration] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [lookup, setLookup] = useState(null);
+  const [manualRates, setManualRates] = useState({});
+  const [busy, setBusy] = useState(null); // 'migrating' | 'undoing'
+  const [progress, setProgress] = useState(null);
+  const [outcome, setOutcome] = useState(null); // 'changed' | 'undone'
+
+  // Rates the user typed, for the preview and the migration
+  const getManualRates = () => {
+    const rates = {};
+    Object.entries(manualRates).forEach(([currency, text]) => {
+      const rate = parseFloat(text);
+      if (rate > 0) rates[currency] = rate;
+    });
+    return rates;
+  };
+
+  const loadPreview = async (from) => {
+    try {
+      setLookup({ done: 0, total: 0 });
+      const result = await previewCurrencyMigration(coupleId, from, toCurrency, {
+        manualRates: getManualRates(),
+        onProgress: (done, total) => setLookup({ done, total }),
+      });
+      setPreview(result);
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('currencyMigration.previewError'));
+    } finally {
+      setLookup(null);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      if (!coupleId) return;
+      try {
+        const [record, primary] = await Promise.all([
+          getCurrencyMigration(coupleId),
+          getPrimaryCurrency(coupleId),
+        ]);
+        setMigration(record);
+        setFromCurrency(primary.code);
+
+        if (toCurrency && toCurrency !== primary.code && !isInterrupted(record)) {
+          await loadPreview(primary.code);
+        }
+      } catch (error) {
+        Alert.alert(t('common.error'), error.message || t('currencyMigration.previewError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [coupleId, toCurrency]);
+
+  const refreshMigration = async () => {
+    try {
+      setMigration(await getCurrencyMigration(coupleId));
+    } catch (error) {
+      console.error('Error refreshing currency migration:', error);
+    }
+  };
+
+  const runMigration = async (from, to) => {
+    try {
+      setBusy('migrating');
+      setProgress({ written: 0, total: 0 });
+      await runCurrencyMigration(coupleId, {
+        fromCurrency: from,
+        toCurrency: to,
+        manualRates: getManualRates(),
+        onProgress: (written, total) => setProgress({ written, total }),
+      });
+      setOutcome('changed');
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('currencyMigration.error'));
+    } finally {
+      setBusy(null);
+      setProgress(null);
+      await refreshMigration();
+    }
+  };
+
+  const runRollback = async () => {
+    try {
+      setBusy('undoing');
+      setProgress({ written: 0, total: 0 });
+      await rollbackCurrencyMigration(coupleId, {
+        onProgress: (written, total) => setProgress({ written, total }),
+      });
+      setPreview(null);
+      setOutcome('undone');
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('currencyMigration.error'));
+    } finally {
+      setBusy(null);
+      setProgress(null);
+      await refreshMigration();
+    }
+  };
+
+  const handleUndo = () => {
+    Alert.alert(
+      t('currencyMigration.undoConfirmTitle'),
+      t('currencyMigration.undoConfirmMessage', { from: migration.fromCurrency, to: migration.toCurrency }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('currencyMigration.undo'), style: 'destructive', onPress: runRollback },
+      ]
+    );
+  };
+
+  const handleResume = () => {
+    if (migration.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK) {
+      runRollback();
+    } else {
+      runMigration(migration.fromCurrency, migration.toCurrency);
+    }
+  };
+
+  const renderProgress = () => {
+    const percentage = progress?.total ? (progress.written / progress.total) * 100 : 0;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          {busy === 'undoing' ? t('currencyMigration.undoingTitle') : t('currencyMigration.runningTitle')}
+        </Text>
+        <View style={styles.progressBar}>
+          <View style={[styles.progressFill, { width: `${Math.min(percentage, 100)}%` }]} />
+        </View>
+        <Text style={styles.progressText}>
+          {t('currencyMigration.progress', { written: progress?.written || 0, total: progress?.total || 0 })}
+        </Text>
+        <Text style={styles.sectionText}>{t('currencyMigration.keepOpen')}</Text>
+      </View>
+    );
+  };
+
+  const renderInterrupted = () => (
+    <View style={styles.section}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="alert-circle-outline" size={20} color={COLORS.warning} />
+        <Text style={styles.sectionTitle}>{t('currencyMigration.interruptedTitle')}</Text>
+      </View>
+      <Text style={styles.sectionText}>
+        {migration.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK
+          ? t('currencyMigration.interruptedUndoMessage', { to: migration.toCurrency })
+          : migration.status === CURRENCY_MIGRATION_STATUS.FAILED
+            ? t('currencyMigration.failedMessage', { from: migration.fromCurrency, to: migration.toCurrency })
+            : t('currencyMigration.interruptedMessage', {
+              from: migration.fromCurrency,
+              to: migration.toCurrency,
+              processed: migration.processed || 0,
+              total: migration.total || 0,
+            })}
+      </Text>
+      {migration.error && <Text style={styles.errorText}>{migration.error}</Text>}
+
+      {migration.status !== CURRENCY_MIGRATION_STATUS.FAILED && (
+        <TouchableOpacity style={styles.primaryButton} onPress={handleResume}>
+          <Text style={styles.primaryButtonText}>{t('currencyMigration.resume')}</Text>
+        </TouchableOpacity>
+      )}
+      {migration.status === CURRENCY_MIGRATION_STATUS.FAILED && (
+        <TouchableOpacity style={styles.primaryButton} onPress={handleUndo}>
+          <Text style={styles.primaryButtonText}>{t('currencyMigration.undo')}</Text>
+        </TouchableOpacity>
+      )}
+      {migration.status === CURRENCY_MIGRATION_STATUS.RUNNING && (
+        <TouchableOpacity style={[styles.secondaryButton, styles.buttonSpacing]} onPress={handleUndo}>
+          <Ionicons name="arrow-undo-outline" size={18} color={COLORS.primary} />
+          <Text style={styles.secondaryButtonText}>{t('currencyMigration.undo')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderMissingRates = () => {
+    const currencies = [...new Set(preview.missing.map(({ fromCurrency: code }) => code))];
+
+    return (
+      <View style={styles.warningBox}>
+        <Text style={styles.warningTitle}>{t('currencyMigration.missingTitle')}</Text>
+        {currencies.map((code) => (
+          <View key={code} style={styles.rateRow}>
+            <Text style={styles.warningText}>
+              {t('currencyMigration.missingMessage', {
+                count: preview.missing.filter(({ fromCurrency: missingCode }) => missingCode === code).length,
+                from: code,
+                to: toCurrency,
+              })}
+            </Text>
+            <View style={styles.rateInputRow}>
+              <Text style={styles.rateLabel}>{t('currencyMigration.manualRateLabel', { from: code, to: toCurrency })}</Text>
+              <TextInput
+                style={styles.input}
+                value={manualRates[code] || ''}
+                onChangeText={(text) => {
+                  const cleaned = text.replace(',', '.').replace(/[^0-9.]/g, '');
+                  if (/^\d*\.?\d{0,6}$/.test(cleaned)) {
+                    setManualRates((current) => ({ ...current, [code]: cleaned }));
+                  }
+                }}
+                keyboardType="decimal-pad"
+                placeholder={t('currencyMigration.manualRatePlaceholder')}
+                placeholderTextColor={COLORS.textSecondary}
+              />
+            </View>
+          </View>
+        ))}
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => loadPreview(fromCurrency)}>
+          <Ionicons name="refresh-outline" size={18} color={COLORS.primary} />
+          <Text style={styles.secondaryButtonText}>{t('currencyMigration.checkAgain')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderPreview = () => {
+    const canStart = preview.missing.length === 0;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('currencyMigration.previewTitle')}</Text>
+        {preview.total === 0 ? (
+          <Text style={styles.sectionText}>{t('currencyMigration.nothingToConvert', { currency: toCurrency })}</Text>
+        ) : (
+          <Text style={styles.sectionText}>{t('currencyMigration.previewDescription')}</Text>
+        )}
+
+        <View style={styles.countList}>
+          {CURRENCY_MIGRATION_COLLECTIONS.map((name) => (
+            <View key={name} style={styles.countRow}>
+              <Text style={styles.countLabel}>{t(`currencyMigration.collections.${name}`)}</Text>
+              <Text style={styles.countValue}>{preview.counts[name]}</Text>
+            </View>
+          ))}
+          {preview.totals && preview.counts.expenses > 0 && (
+            <View style={styles.countRow}>
+              <Text style={styles.countLabel}>{t('currencyMigration.expenseTotal')}</Text>
+              <Text style={styles.countValue}>
+                {formatCurrency(preview.totals.before, fromCurrency)} → {formatCurrency(preview.totals.after, toCurrency)}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {preview.legacy.expenses + preview.legacy.budgets > 0 && (
+          <Text style={styles.noteText}>
+            {t('currencyMigration.legacy', {
+              count: preview.legacy.expenses + preview.legacy.budgets,
+              currency: fromCurrency,
+            })}
+          </Text>
+        )}
+
+        {!canStart && renderMissingRates()}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, !canStart && styles.buttonDisabled]}
+          onPress={() => runMigration(fromCurrency, toCurrency)}
+          disabled={!canStart}
+        >
+          <Text style={styles.primaryButtonText}>{t('currencyMigration.start', { currency: toCurrency })}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderOutcome = () => (
+    <View style={styles.section}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="checkmark-circle" size={20} color={COLORS.success} />
+        <Text style={styles.sectionTitle}>
+          {outcome === 'undone' ? t('currencyMigration.undoneTitle') : t('currencyMigration.doneTitle')}
+        </Text>
+      </View>
+      <Text style={styles.sectionText}>
+        {outcome === 'undone'
+          ? t('currencyMigration.undoneMessage', { currency: migration?.fromCurrency })
+          : t('currencyMigration.doneMessage', { count: migration?.processed || 0, currency: migration?.toCurrency })}
+      </Text>
+
+      <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.goBack()}>
+        <Text style={styles.primaryButtonText}>{t('currencyMigration.done')}</Text>
+      </TouchableOpacity>
+      {outcome === 'changed' && migration?.status === CURRENCY_MIGRATION_STATUS.COMPLETED && (
+        <TouchableOpacity style={[styles.secondaryButton, styles.buttonSpacing]} onPress={handleUndo}>
+          <Ionicons name="arrow-undo-outline" size={18} color={COLORS.primary} />
+          <Text style={styles.secondaryButtonText}>{t('currencyMigration.undo')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderLastChange = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('currencyMigration.lastChangeTitle')}</Text>
+      <Text style={styles.sectionText}>
+        {t('currencyMigration.lastChangeMessage', {
+          from: migration.fromCurrency,
+          to: migration.toCurrency,
+          count: migration.processed || 0,
+        })}
+      </Text>
+      <TouchableOpacity style={styles.secondaryButton} onPress={handleUndo}>
+        <Ionicons name="arrow-undo-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.secondaryButtonText}>{t('currencyMigration.undo')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderContent = () => {
+    if (busy) return renderProgress();
+    if (outcome) return renderOutcome();
+    if (isInterrupted(migration)) return renderInterrupted();
+    if (lookup) {
+      return (
+        <View style={styles.loadingBox}>
+          <ActivityIndicator size="small" color={COLORS.primary} />
+          <Text style={styles.sectionText}>
+            {t('currencyMigration.lookingUpRates', { done: lookup.done, total: lookup.total })}
+          </Text>
+        </View>
+      );
+    }
+    if (preview) return renderPreview();
+    if (migration?.status === CURRENCY_MIGRATION_STATUS.COMPLETED) return renderLastChange();
+    return <Text style={styles.sectionText}>{t('currencyMigration.noChange')}</Text>;
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('currencyMigration.title')}</Text>
+          {toCurrency && fromCurrency && toCurrency !== fromCurrency && (
+            <Text style={styles.subtitle}>
+              {t('currencyMigration.subtitle', { from: fromCurrency, to: toCurrency })}
+            </Text>
+          )}
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        ) : (
+          renderContent()
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  section: {
+    ...COMMON_STYLES.card,
+    marginBottom: SPACING.large,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  sectionTitle: {
+    fontSize: FONTS.sizes.subtitle,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  sectionText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.medium,
+  },
+  noteText: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textTertiary,
+    marginBottom: SPACING.medium,
+  },
+  loadingBox: {
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  countList: {
+    marginBottom: SPACING.medium,
+    gap: SPACING.tiny,
+  },
+  countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  countLabel: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  countValue: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  warningBox: {
+    backgroundColor: COLORS.warning + '15',
+    borderRadius: SIZES.borderRadius.small,
+    padding: SPACING.medium,
+    marginBottom: SPACING.medium,
+  },
+  warningTitle: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.tiny,
+  },
+  warningText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  rateRow: {
+    marginBottom: SPACING.medium,
+  },
+  rateInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    marginTop: SPACING.small,
+  },
+  rateLabel: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.text,
+  },
+  input: {
+    flex: 1,
+    fontSize: FONTS.sizes.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.borderRadius.small,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.medium,
+  },
+  errorText: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.error,
+    marginBottom: SPACING.medium,
+  },
+  progressBar: {
+    height: 8,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 4,
+    overflow: 'hidden',
+    marginBottom: SPACING.small,
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  progressText: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  primaryButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.borderRadius.medium,
+    paddingVertical: SPACING.medium,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  primaryButtonText: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textWhite,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonSpacing: {
+    marginTop: SPACING.small,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.small,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: SIZES.borderRadius.medium,
+    paddingVertical: SPACING.medium,
+  },
+  secondaryButtonText: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
+});
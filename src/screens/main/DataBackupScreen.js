@@ -0,0 +1,414 @@
+// src/screens/main/DataBackupScreen.js
+// Export all of the couple's data to a JSON backup, and restore a backup
+// into a new or empty couple
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import {
+  exportCoupleBackup,
+  readBackupFile,
+  restoreCoupleBackup,
+} from '../../services/backupService';
+import { BACKUP_COLLECTIONS, CONTRIBUTIONS_KEY } from '../../utils/dataBackup';
+
+// Errors listed before "and N more"
+const MAX_ERRORS_SHOWN = 5;
+
+export default function DataBackupScreen() {
+  const { t } = useTranslation();
+  const { user, userDetails, getPartnerDetails } = useAuth();
+  const coupleId = userDetails?.coupleId;
+
+  const [partnerName, setPartnerName] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [picked, setPicked] = useState(null);
+  const [swapPartners, setSwapPartners] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    getPartnerDetails().then((partner) => setPartnerName(partner?.displayName || null));
+  }, [userDetails?.partnerId]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const displayNames = { [user.uid]: userDetails?.displayName || null };
+      if (userDetails?.partnerId) {
+        displayNames[userDetails.partnerId] = partnerName;
+      }
+
+      const result = await exportCoupleBackup(coupleId, displayNames);
+      Alert.alert(
+        t('backup.exportSuccessTitle'),
+        t('backup.exportSuccessMessage', { count: result.counts.expenses, filename: result.filename })
+      );
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('backup.exportError'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain', 'application/octet-stream'],
+        copyToCacheDirectory: true,
+      });
+
+      if (result.canceled || !result.assets?.length) {
+        return;
+      }
+
+      const file = result.assets[0];
+      const { backup, validation } = await readBackupFile(file.uri);
+      setSwapPartners(false);
+      setPicked({ name: file.name, backup, validation });
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('backup.readError'));
+    }
+  };
+
+  const runRestore = async () => {
+    try {
+      setRestoring(true);
+      setProgress({ written: 0, total: 0 });
+
+      const result = await restoreCoupleBackup(picked.backup, coupleId, {
+        swapPartners,
+        onProgress: (written, total) => setProgress({ written, total }),
+      });
+
+      setPicked(null);
+      Alert.alert(
+        t('backup.restoreSuccessTitle'),
+        result.skipped.receipts > 0
+          ? t('backup.restoreSuccessReceipts', { count: result.skipped.receipts })
+          : t('backup.restoreSuccessMessage')
+      );
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('backup.restoreError'));
+    } finally {
+      setRestoring(false);
+      setProgress(null);
+    }
+  };
+
+  const handleRestore = () => {
+    Alert.alert(
+      t('backup.restoreConfirmTitle'),
+      t('backup.restoreConfirmMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('backup.restore'), onPress: runRestore },
+      ]
+    );
+  };
+
+  const getMemberName = (member) => {
+    return member?.displayName || t('backup.unknownPartner');
+  };
+
+  const renderPreview = () => {
+    const { backup, validation } = picked;
+    const { counts, errors } = validation;
+
+    return (
+      <View style={styles.previewCard}>
+        <View style={styles.previewHeader}>
+          <Ionicons name="document-text-outline" size={20} color={COLORS.primary} />
+          <Text style={styles.previewTitle} numberOfLines={1}>{picked.name}</Text>
+        </View>
+
+        {backup?.exportedAt && (
+          <Text style={styles.previewMeta}>
+            {t('backup.exportedOn', { date: new Date(backup.exportedAt).toLocaleString() })}
+          </Text>
+        )}
+
+        <View style={styles.countList}>
+          {[...BACKUP_COLLECTIONS, CONTRIBUTIONS_KEY].map((name) => (
+            <View key={name} style={styles.countRow}>
+              <Text style={styles.countLabel}>{t(`backup.collections.${name}`)}</Text>
+              <Text style={styles.countValue}>{counts[name]}</Text>
+            </View>
+          ))}
+        </View>
+
+        {!validation.isValid ? (
+          <View style={styles.errorBox}>
+            <Text style={styles.errorTitle}>{t('backup.invalidTitle')}</Text>
+            {errors.slice(0, MAX_ERRORS_SHOWN).map((error, index) => (
+              <Text key={index} style={styles.errorText}>• {error}</Text>
+            ))}
+            {errors.length > MAX_ERRORS_SHOWN && (
+              <Text style={styles.errorText}>
+                {t('backup.moreErrors', { count: errors.length - MAX_ERRORS_SHOWN })}
+              </Text>
+            )}
+          </View>
+        ) : (
+          <>
+            <View style={styles.swapRow}>
+              <View style={styles.swapContent}>
+                <Text style={styles.swapLabel}>{t('backup.swapPartners')}</Text>
+                <Text style={styles.swapDescription}>
+                  {t('backup.swapPartnersDescription', {
+                    user1: getMemberName(backup.members?.user1),
+                    user2: getMemberName(backup.members?.user2),
+                  })}
+                </Text>
+              </View>
+              <Switch
+                value={swapPartners}
+                onValueChange={setSwapPartners}
+                disabled={restoring}
+                trackColor={{ false: COLORS.border, true: COLORS.primary }}
+              />
+            </View>
+
+            {validation.hasWarnings && (
+              <Text style={styles.warningText}>
+                {t('backup.warnings', { count: validation.warnings.length })}
+              </Text>
+            )}
+
+            <TouchableOpacity
+              style={[styles.primaryButton, restoring && styles.buttonDisabled]}
+              onPress={handleRestore}
+              disabled={restoring}
+            >
+              {restoring ? (
+                <View style={styles.progressRow}>
+                  <ActivityIndicator size="small" color={COLORS.textWhite} />
+                  <Text style={styles.primaryButtonText}>
+                    {t('backup.restoring', { written: progress?.written || 0, total: progress?.total || 0 })}
+                  </Text>
+                </View>
+              ) : (
+                <Text style={styles.primaryButtonText}>{t('backup.restore')}</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('backup.title')}</Text>
+          <Text style={styles.subtitle}>{t('backup.subtitle')}</Text>
+        </View>
+
+        {/* Export */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('backup.exportTitle')}</Text>
+          <Text style={styles.sectionText}>{t('backup.exportDescription')}</Text>
+          <TouchableOpacity
+            style={[styles.primaryButton, exporting && styles.buttonDisabled]}
+            onPress={handleExport}
+            disabled={exporting || !coupleId}
+          >
+            {exporting ? (
+              <ActivityIndicator size="small" color={COLORS.textWhite} />
+            ) : (
+              <Text style={styles.primaryButtonText}>{t('backup.exportButton')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Restore */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('backup.restoreTitle')}</Text>
+          <Text style={styles.sectionText}>{t('backup.restoreDescription')}</Text>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handlePickFile}
+            disabled={restoring || !coupleId}
+          >
+            <Ionicons name="folder-open-outline" size={18} color={COLORS.primary} />
+            <Text style={styles.secondaryButtonText}>{t('backup.chooseFile')}</Text>
+          </TouchableOpacity>
+
+          {picked && renderPreview()}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  section: {
+    ...COMMON_STYLES.card,
+    marginBottom: SPACING.large,
+  },
+  sectionTitle: {
+    fontSize: FONTS.sizes.subtitle,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  sectionText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.medium,
+  },
+  primaryButton: {
+    backgroundColor: COLORS.primary,
+    borderRadius: SIZES.borderRadius.medium,
+    paddingVertical: SPACING.medium,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  primaryButtonText: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textWhite,
+  },
+  buttonDisabled: {
+    opacity: 0.7,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.small,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    borderRadius: SIZES.borderRadius.medium,
+    paddingVertical: SPACING.medium,
+  },
+  secondaryButtonText: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
+  previewCard: {
+    marginTop: SPACING.medium,
+    paddingTop: SPACING.medium,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  previewHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  previewTitle: {
+    flex: 1,
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  previewMeta: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textTertiary,
+    marginTop: SPACING.tiny,
+  },
+  countList: {
+    marginVertical: SPACING.medium,
+    gap: SPACING.tiny,
+  },
+  countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  countLabel: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  countValue: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  errorBox: {
+    backgroundColor: COLORS.error + '15',
+    borderRadius: SIZES.borderRadius.small,
+    padding: SPACING.medium,
+  },
+  errorTitle: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.error,
+    marginBottom: SPACING.tiny,
+  },
+  errorText: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.error,
+  },
+  swapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.medium,
+    marginBottom: SPACING.medium,
+  },
+  swapContent: {
+    flex: 1,
+  },
+  swapLabel: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.text,
+  },
+  swapDescription: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.tiny,
+  },
+  warningText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.warning,
+    marginBottom: SPACING.medium,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+});
@@ -42,15 +42,37 @@ import {
   formatBalance,
   formatCurrency,
   formatDate,
+  getSettlementPayer,
   sortExpensesByDate,
   validateSettlement,
 } from '../../utils/calculations';
 import { getExpenseDualDisplay, formatCurrency as formatCurrencyNew } from '../../utils/currencyUtils';
 import { getCurrencyFlag } from '../../constants/currencies';
 import ExpenseDetailModal from '../../components/ExpenseDetailModal';
+import SettlementPaymentOptions from '../../components/SettlementPaymentOptions';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import * as settlementService from '../../services/settlementService';
+import { restoreExpenseFromTrash } from '../../services/expenseService';
 import { getPrimaryCurrency, getCoupleSettings } from '../../services/coupleSettingsService';
+import { getSavingsSummary } from '../../services/savingsTargetService';
+import { getCurrentFiscalYear } from '../../services/fiscalPeriodService';
+import { getOccurrenceDate, parseDateKey, toDateKey } from '../../utils/recurrence';
+import { excludeDeletedExpenses } from '../../utils/expenseTrash';
+import {
+  subscribeToMutationQueue,
+  retryFailedMutations,
+  discardFailedMutations,
+} from '../../services/offlineQueueService';
+import { applyPendingExpenses, MUTATION_STATUS, SYNC_STATES } from '../../utils/offlineMutations';
+
+const DEFAULT_PAYMENT_OPTION = { mode: 'full', amount: '', instalmentCount: 2, frequency: 'monthly' };
+
+const SYNC_ICONS = {
+  [SYNC_STATES.PENDING]: 'cloud-upload-outline',
+  [SYNC_STATES.SYNCED]: 'cloud-done-outline',
+  [SYNC_STATES.CONFLICT]: 'alert-circle-outline',
+  [SYNC_STATES.FAILED]: 'cloud-offline-outline',
+};
 
 export default function HomeScreen({ navigation }) {
   const { user, userDetails, getPartnerDetails } = useAuth();
@@ -74,10 +96,13 @@ export default function HomeScreen({ navigation }) {
   const [error, setError] = useState(null); // Track errors for UI display
   const [settleUpModalVisible, setSettleUpModalVisible] = useState(false);
   const [settling, setSettling] = useState(false);
+  const [paymentOption, setPaymentOption] = useState(DEFAULT_PAYMENT_OPTION);
   const [expenseFilter, setExpenseFilter] = useState('active'); // 'all', 'active', 'settled'
   const [selectedExpense, setSelectedExpense] = useState(null);
   const [expenseDetailModalVisible, setExpenseDetailModalVisible] = useState(false);
   const [partnerDetails, setPartnerDetails] = useState(null);
+  const [savingsSummary, setSavingsSummary] = useState(null);
+  const [offlineQueue, setOfflineQueue] = useState({ mutations: [], syncStates: {} });
 
   // Nudge-related state
   const [onboardingCompleted, setOnboardingCompleted] = useState(true);
@@ -171,6 +196,29 @@ export default function HomeScreen({ navigation }) {
     }, [userDetails?.coupleId])
   );
 
+  // Fetch the fiscal-year savings summary when it's enabled for Home
+  useFocusEffect(
+    React.useCallback(() => {
+      const fetchSavingsSummary = async () => {
+        if (!userDetails?.coupleId) return;
+
+        try {
+          const settings = await getCoupleSettings(userDetails.coupleId);
+          if (settings?.display?.showSavingsOnHome === false) {
+            setSavingsSummary(null);
+            return;
+          }
+
+          const { fiscalYear } = getCurrentFiscalYear(settings?.fiscalYear);
+          setSavingsSummary(await getSavingsSummary(userDetails.coupleId, fiscalYear));
+        } catch (error) {
+          if (__DEV__) console.error('Error fetching savings summary:', error);
+        }
+      };
+      fetchSavingsSummary();
+    }, [userDetails?.coupleId])
+  );
+
   // Real-time expenses listener
   useEffect(() => {
     if (!userDetails?.coupleId) {
@@ -195,7 +243,7 @@ export default function HomeScreen({ navigation }) {
         });
 
         if (__DEV__) console.log(`Loaded ${expensesList.length} expenses`);
-        setExpenses(expensesList);
+        setExpenses(excludeDeletedExpenses(expensesList));
 
         setError(null); // Clear any previous errors
         setLoading(false);
@@ -221,6 +269,11 @@ export default function HomeScreen({ navigation }) {
     return () => unsubscribe();
   }, [userDetails?.coupleId, user?.uid, userDetails?.partnerId]);
 
+  // Writes queued while offline, shown on the expense list until they sync
+  useEffect(() => {
+    return subscribeToMutationQueue(setOfflineQueue);
+  }, []);
+
   // Real-time settlements listener
   useEffect(() => {
     if (!userDetails?.coupleId) {
@@ -290,31 +343,107 @@ export default function HomeScreen({ navigation }) {
     setExpenseDetailModalVisible(true);
   };
 
-  const handleEditExpense = (expense) => {
-    navigation.navigate('AddExpense', { expense });
+  const handleEditExpense = (expense, options = {}) => {
+    navigation.navigate('AddExpense', { expense, ...options });
+  };
+
+  const undoDeleteExpense = async (expenseId) => {
+    try {
+      await restoreExpenseFromTrash(expenseId);
+    } catch (error) {
+      if (__DEV__) console.error('Error undoing expense delete:', error);
+      Alert.alert(t('common.error'), t('home.alerts.undoDeleteFailed'));
+    }
   };
 
   const handleDeleteExpense = (expenseId) => {
-    // The expense is already deleted by ExpenseDetailModal
-    // Just close the modal - real-time listener will update the list
-    if (__DEV__) console.log('Expense deleted:', expenseId);
+    // ExpenseDetailModal has already moved the expense to the trash and the
+    // real-time listener drops it from the list; offer a quick way back
+    if (__DEV__) console.log('Expense moved to trash:', expenseId);
+
+    if (Platform.OS === 'web') {
+      const undo = window.confirm(
+        `${t('home.alerts.expenseDeletedTitle')}\n\n${t('home.alerts.expenseDeletedMessage')}\n\n${t('home.alerts.undoDeletePrompt')}`
+      );
+      if (undo) {
+        undoDeleteExpense(expenseId);
+      }
+      return;
+    }
+
+    Alert.alert(
+      t('home.alerts.expenseDeletedTitle'),
+      t('home.alerts.expenseDeletedMessage'),
+      [
+        { text: t('home.alerts.undoDelete'), onPress: () => undoDeleteExpense(expenseId) },
+        { text: t('common.ok') },
+      ]
+    );
+  };
+
+  // Balances and settlements use server data only; the list also shows queued writes
+  const listedExpenses = useMemo(
+    () => applyPendingExpenses(expenses, offlineQueue.mutations, offlineQueue.syncStates, userDetails?.coupleId),
+    [expenses, offlineQueue, userDetails?.coupleId]
+  );
+
+  // Queued writes that gave up after the retry limit, until retried or discarded
+  const failedSyncCount = useMemo(
+    () => offlineQueue.mutations.filter((mutation) =>
+      mutation.status === MUTATION_STATUS.FAILED &&
+      (!userDetails?.coupleId || mutation.coupleId === userDetails.coupleId)
+    ).length,
+    [offlineQueue, userDetails?.coupleId]
+  );
+
+  const handleRetrySync = async () => {
+    try {
+      const results = await retryFailedMutations();
+      if (results.failed > 0) {
+        Alert.alert(t('common.error'), t('home.syncFailed.retryFailed'));
+      }
+    } catch (error) {
+      if (__DEV__) console.error('Error retrying failed writes:', error);
+      Alert.alert(t('common.error'), t('home.syncFailed.retryFailed'));
+    }
+  };
+
+  const handleDiscardSync = () => {
+    Alert.alert(
+      t('home.syncFailed.discardTitle'),
+      t('home.syncFailed.discardMessage', { count: failedSyncCount }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('home.syncFailed.discard'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await discardFailedMutations();
+            } catch (error) {
+              if (__DEV__) console.error('Error discarding failed writes:', error);
+            }
+          },
+        },
+      ]
+    );
   };
 
   // PERFORMANCE: Memoize filtered expenses to avoid recalculating on every render
   const filteredExpenses = useMemo(() => {
     if (expenseFilter === 'active') {
-      return expenses.filter(exp => !exp.settledAt);
+      return listedExpenses.filter(exp => !exp.settledAt);
     } else if (expenseFilter === 'settled') {
-      return expenses.filter(exp => exp.settledAt);
+      return listedExpenses.filter(exp => exp.settledAt);
     }
-    return expenses; // 'all'
-  }, [expenses, expenseFilter]);
+    return listedExpenses; // 'all'
+  }, [listedExpenses, expenseFilter]);
 
   // PERFORMANCE: Memoize expense counts
   const { unsettledCount, settledCount } = useMemo(() => ({
-    unsettledCount: expenses.filter(exp => !exp.settledAt).length,
-    settledCount: expenses.filter(exp => exp.settledAt).length,
-  }), [expenses]);
+    unsettledCount: listedExpenses.filter(exp => !exp.settledAt).length,
+    settledCount: listedExpenses.filter(exp => exp.settledAt).length,
+  }), [listedExpenses]);
 
   const handleSettleUp = async () => {
     if (!user || !userDetails || !userDetails.coupleId) {
@@ -329,25 +458,81 @@ export default function HomeScreen({ navigation }) {
       return;
     }
 
+    const outstandingBalance = Math.abs(balance);
+    // Positive balance = partner owes you, so the partner is the one paying
+    const payerId = getSettlementPayer(balance, user.uid, userDetails.partnerId);
+    const payeeId = payerId === user.uid ? userDetails.partnerId : user.uid;
+
+    let amount = outstandingBalance;
+    if (paymentOption.mode === 'partial') {
+      amount = parseFloat(paymentOption.amount);
+      if (!(amount > 0) || amount > outstandingBalance) {
+        Alert.alert(t('settleUpModal.invalidAmountTitle'), t('settleUpModal.invalidAmountMessage', {
+          amount: formatCurrency(outstandingBalance),
+        }));
+        return;
+      }
+    }
+
     setSettling(true);
     try {
+      if (paymentOption.mode === 'plan') {
+        // First instalment falls due one period from today
+        const startDate = getOccurrenceDate(
+          { frequency: paymentOption.frequency, startDate: toDateKey(new Date()) },
+          1
+        );
+        const plan = await settlementService.createSettlementPlan(userDetails.coupleId, {
+          payerId,
+          payeeId,
+          totalAmount: outstandingBalance,
+          instalmentCount: paymentOption.instalmentCount,
+          frequency: paymentOption.frequency,
+          startDate,
+          createdBy: user.uid,
+          currency: primaryCurrency,
+        });
+
+        setSettleUpModalVisible(false);
+        setPaymentOption(DEFAULT_PAYMENT_OPTION);
+        Alert.alert(t('settleUpModal.planCreatedTitle'), t('settleUpModal.planCreatedMessage', {
+          count: plan.instalmentCount,
+          date: parseDateKey(plan.nextDueDate).toLocaleDateString(),
+        }));
+        return;
+      }
+
       // Use the settlementService with budget integration
       const settlement = await settlementService.createSettlement(
         userDetails.coupleId,
         user.uid,
         userDetails.partnerId,
-        Math.abs(balance),
-        user.uid,
+        amount,
+        payerId,
         'You settled up',
         expenses,
         categories,
-        currentBudget
+        currentBudget,
+        { outstandingBalance, currency: primaryCurrency }
       );
 
       setSettleUpModalVisible(false);
+      setPaymentOption(DEFAULT_PAYMENT_OPTION);
+
+      if (settlement.pendingSync) {
+        Alert.alert(t('home.alerts.settledTitle'), t('home.alerts.settlementQueued', {
+          amount: formatCurrency(settlement.amount),
+        }), [{ text: t('common.ok') }]);
+        return;
+      }
 
       // Show success message with budget insights if available
-      let message = `You paid ${formatCurrency(Math.abs(balance))}.\n\n${settlement.expensesSettledCount} expense${settlement.expensesSettledCount !== 1 ? 's' : ''} marked as settled.`;
+      let message = settlement.isPartial
+        ? t('settleUpModal.partialSuccessMessage', {
+          amount: formatCurrency(settlement.amount),
+          remaining: formatCurrency(settlement.remainingBalance),
+        })
+        : `You paid ${formatCurrency(settlement.amount)}.\n\n${settlement.expensesSettledCount} expense${settlement.expensesSettledCount !== 1 ? 's' : ''} marked as settled.`;
 
       if (settlement.budgetSummary?.includedInBudget) {
         const budgetStatus = settlement.budgetSummary.budgetRemaining >= 0 ? 'under budget' : 'over budget';
@@ -426,6 +611,13 @@ export default function HomeScreen({ navigation }) {
                 <Text style={styles.modalAmount}>{formatCurrency(balanceInfo.amount)}</Text>
               </View>
 
+              <SettlementPaymentOptions
+                value={paymentOption}
+                onChange={setPaymentOption}
+                outstanding={Math.abs(balance)}
+                currency={primaryCurrency}
+              />
+
               {/* Settlement Summary */}
               <View style={styles.settlementSummary}>
                 <View style={styles.summaryRow}>
@@ -585,6 +777,23 @@ export default function HomeScreen({ navigation }) {
               </>
             )}
           </View>
+          {item.syncState && (
+            <View style={styles.syncStateRow}>
+              <Ionicons
+                name={SYNC_ICONS[item.syncState]}
+                size={12}
+                color={item.syncState === SYNC_STATES.SYNCED ? COLORS.success : COLORS.warning}
+              />
+              <Text
+                style={[
+                  styles.syncStateText,
+                  item.syncState === SYNC_STATES.SYNCED && styles.syncStateTextSynced,
+                ]}
+              >
+                {t(`home.list.sync.${item.syncState}`)}
+              </Text>
+            </View>
+          )}
         </View>
 
         <View style={styles.expenseAmountContainer}>
@@ -670,12 +879,21 @@ export default function HomeScreen({ navigation }) {
             <Text style={styles.greeting}>{t('home.greeting', { name: userDetails?.displayName || 'there' })}</Text>
             <Text style={styles.subtitle}>{t('home.subtitle', { partnerName })}</Text>
           </View>
-          <TouchableOpacity
-            style={styles.historyButton}
-            onPress={() => navigation.navigate('SettlementsTab')}
-          >
-            <Ionicons name="time-outline" size={24} color={COLORS.primary} />
-          </TouchableOpacity>
+          <View style={styles.headerButtons}>
+            <TouchableOpacity
+              style={styles.historyButton}
+              onPress={() => navigation.navigate('SearchExpenses')}
+              accessibilityLabel={t('search.title')}
+            >
+              <Ionicons name="search-outline" size={24} color={COLORS.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.historyButton}
+              onPress={() => navigation.navigate('SettlementsTab')}
+            >
+              <Ionicons name="time-outline" size={24} color={COLORS.primary} />
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Unpaired User Banner - Enhanced */}
@@ -760,6 +978,56 @@ export default function HomeScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Savings Goals Summary */}
+        {savingsSummary?.totalTargets > 0 && (
+          <TouchableOpacity
+            style={styles.savingsCard}
+            onPress={() => navigation.navigate('BudgetTab', { screen: 'SavingsGoals' })}
+            activeOpacity={0.7}
+          >
+            <View style={styles.savingsCardHeader}>
+              <Ionicons name="wallet-outline" size={20} color={COLORS.primary} />
+              <Text style={styles.savingsCardTitle}>{t('home.savings.title')}</Text>
+              <Text style={styles.savingsCardPercent}>{savingsSummary.completionPercentage}%</Text>
+            </View>
+            <View style={styles.savingsProgressBar}>
+              <View
+                style={[
+                  styles.savingsProgressFill,
+                  { width: `${Math.min(savingsSummary.completionPercentage, 100)}%` },
+                ]}
+              />
+            </View>
+            <Text style={styles.savingsCardText}>
+              {t('home.savings.progress', {
+                saved: formatCurrencyNew(savingsSummary.totalCurrentAmount, primaryCurrency),
+                target: formatCurrencyNew(savingsSummary.totalTargetAmount, primaryCurrency),
+                count: savingsSummary.activeTargets,
+              })}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Writes that could not sync */}
+        {failedSyncCount > 0 && (
+          <View style={styles.syncFailedBanner}>
+            <View style={styles.syncFailedHeader}>
+              <Ionicons name="cloud-offline-outline" size={20} color={COLORS.warning} />
+              <Text style={styles.syncFailedText}>
+                {t('home.syncFailed.message', { count: failedSyncCount })}
+              </Text>
+            </View>
+            <View style={styles.syncFailedActions}>
+              <TouchableOpacity onPress={handleDiscardSync}>
+                <Text style={styles.syncFailedDiscardText}>{t('home.syncFailed.discard')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleRetrySync}>
+                <Text style={styles.syncFailedRetryText}>{t('home.syncFailed.retry')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
         {/* Error Message */}
         {error && (
           <View style={styles.errorBanner}>
@@ -912,6 +1180,10 @@ const styles = StyleSheet.create({
     // paddingTop is set dynamically via inline style using safe area insets
     paddingBottom: SPACING.base,
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: SPACING.small,
+  },
   historyButton: {
     padding: SPACING.small,
     borderRadius: 8,
@@ -938,6 +1210,51 @@ const styles = StyleSheet.create({
     alignSelf: isLargeScreen ? 'center' : 'stretch',
     width: isLargeScreen ? '100%' : 'auto',
   },
+  savingsCard: {
+    backgroundColor: COLORS.background,
+    marginHorizontal: SPACING.screenPadding,
+    marginBottom: SPACING.base,
+    padding: SPACING.base,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    maxWidth: isLargeScreen ? 600 : '100%',
+    alignSelf: isLargeScreen ? 'center' : 'stretch',
+    width: isLargeScreen ? '100%' : 'auto',
+  },
+  savingsCardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  savingsCardTitle: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: '600',
+    flex: 1,
+  },
+  savingsCardPercent: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  savingsProgressBar: {
+    height: 6,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginTop: SPACING.small,
+  },
+  savingsProgressFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: COLORS.primary,
+  },
+  savingsCardText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+  },
   balanceCardPositive: {
     backgroundColor: '#E8F5E9',
     borderWidth: 2,
@@ -1020,6 +1337,42 @@ const styles = StyleSheet.create({
     color: COLORS.error,
     flex: 1,
   },
+  syncFailedBanner: {
+    backgroundColor: COLORS.backgroundSecondary,
+    borderLeftWidth: 3,
+    borderLeftColor: COLORS.warning,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    marginHorizontal: SPACING.screenPadding,
+    marginBottom: SPACING.base,
+    borderRadius: 8,
+  },
+  syncFailedHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+  },
+  syncFailedText: {
+    ...FONTS.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  syncFailedActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: SPACING.base,
+    marginTop: SPACING.small,
+  },
+  syncFailedDiscardText: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+    fontWeight: '600',
+  },
+  syncFailedRetryText: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
   expensesSection: {
     flex: 1,
     paddingHorizontal: SPACING.screenPadding,
@@ -1167,6 +1520,20 @@ const styles = StyleSheet.create({
     color: COLORS.success,
     fontWeight: '600',
   },
+  syncStateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+    gap: SPACING.tiny,
+  },
+  syncStateText: {
+    ...FONTS.small,
+    color: COLORS.warning,
+    fontWeight: '600',
+  },
+  syncStateTextSynced: {
+    color: COLORS.success,
+  },
   expenseAmountContainer: {
     alignItems: 'flex-end',
     marginLeft: SPACING.small,
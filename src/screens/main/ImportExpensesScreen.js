@@ -16,7 +16,18 @@ import ImportSummary from '../../components/import/ImportSummary';
 import DebugPanel from '../../components/import/DebugPanel';
 import { previewImport, importFromFile } from '../../services/importService';
 import { markDuplicatesForReview } from '../../utils/duplicateDetector';
+import { inspectSpreadsheet } from '../../utils/bankStatementParser';
+import { hasRequiredColumns } from '../../utils/xlsxParser';
 import { getPrimaryCurrency } from '../../services/coupleSettingsService';
+import { getBankTemplatesForCouple } from '../../services/bankTemplateService';
+
+const FILE_TYPE_ICONS = {
+  csv: 'file-table',
+  pdf: 'file-pdf-box',
+  ofx: 'bank',
+  qif: 'bank',
+  xlsx: 'file-excel',
+};
 
 /**
  * Screen for importing expenses from bank statements
@@ -46,6 +57,9 @@ export default function ImportExpensesScreen({ navigation }) {
   const [selectedFile, setSelectedFile] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // Spreadsheet state: sheet names, header row and column mapping for XLSX/XLS files
+  const [spreadsheet, setSpreadsheet] = useState(null);
+
   // Config state
   const [config, setConfig] = useState({
     coupleId,
@@ -56,6 +70,7 @@ export default function ImportExpensesScreen({ navigation }) {
     availableCategories: ['food', 'groceries', 'transport', 'home', 'fun', 'other'],
     detectDuplicates: false, // Disabled by default to improve browser performance
     currency: 'USD', // Will be updated to primary currency
+    bankTemplates: [], // The couple's own bank templates, loaded on focus
   });
 
   // Fetch primary currency on mount and when screen comes into focus
@@ -75,6 +90,20 @@ export default function ImportExpensesScreen({ navigation }) {
         }
       };
       fetchPrimaryCurrency();
+
+      // Reload templates too, in case they were edited on the templates screen
+      const fetchBankTemplates = async () => {
+        if (coupleId) {
+          try {
+            const bankTemplates = await getBankTemplatesForCouple(coupleId);
+            setConfig(prev => ({ ...prev, bankTemplates }));
+          } catch (error) {
+            console.error('Error fetching bank templates:', error);
+            // Import still works with the built-in templates
+          }
+        }
+      };
+      fetchBankTemplates();
     }, [coupleId])
   );
 
@@ -108,15 +137,69 @@ export default function ImportExpensesScreen({ navigation }) {
 
   // Handle file selection
   const handleFileSelected = async (file) => {
+    console.log('📁 File selected:', file.name);
+    setSelectedFile(file);
+    setPreviewData(null);
+    setSpreadsheet(null);
+
+    // Spreadsheets need a sheet and column mapping before they can be previewed
+    if (file.type === 'xlsx') {
+      await loadSpreadsheet(file);
+      return;
+    }
+
+    await runPreview(file, config);
+  };
+
+  // Read sheet names, header row and detected columns for the chosen sheet
+  const loadSpreadsheet = async (file, sheetName) => {
+    try {
+      setIsLoading(true);
+      const info = await inspectSpreadsheet(file.uri, { sheetName });
+      setSpreadsheet(info);
+    } catch (error) {
+      console.error('Error reading spreadsheet:', error);
+      Alert.alert(t('import.errors.parseError'), error.message || t('import.errors.parseErrorMessage'));
+      if (!sheetName) {
+        setSelectedFile(null);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSheetChange = (sheetName) => {
+    if (sheetName !== spreadsheet?.sheetName) {
+      loadSpreadsheet(selectedFile, sheetName);
+    }
+  };
+
+  const handleColumnMappingChange = (columnMapping) => {
+    setSpreadsheet(prev => ({ ...prev, columnMapping }));
+  };
+
+  const handlePreviewSpreadsheet = () => {
+    runPreview(selectedFile, {
+      ...config,
+      spreadsheet: {
+        sheetName: spreadsheet.sheetName,
+        headerIndex: spreadsheet.headerIndex,
+        columnMapping: spreadsheet.columnMapping,
+      },
+    });
+  };
+
+  // Parse the file and build the transaction preview
+  const runPreview = async (file, previewConfig) => {
+    // A spreadsheet stays selected on failure so the column mapping can be fixed
+    const keepFileOnError = file.type === 'xlsx';
+
     try {
-      console.log('📁 File selected:', file.name);
-      setSelectedFile(file);
       setIsLoading(true);
-      setPreviewData(null);
 
       console.log('🔍 Starting preview import...');
       // Preview the import - pass file object so previewImport can access fileType
-      const result = await previewImport(file.uri, config, file);
+      const result = await previewImport(file.uri, previewConfig, file);
       console.log('✅ Preview result:', { success: result.success, transactionCount: result.transactions?.length });
 
       if (!result.success) {
@@ -131,7 +214,9 @@ export default function ImportExpensesScreen({ navigation }) {
           t('import.errors.parseError'),
           errorMessage
         );
-        setSelectedFile(null);
+        if (!keepFileOnError) {
+          setSelectedFile(null);
+        }
         setIsLoading(false);
         return;
       }
@@ -160,7 +245,9 @@ export default function ImportExpensesScreen({ navigation }) {
         t('import.errors.previewError'),
         error.message || t('import.errors.previewErrorMessage')
       );
-      setSelectedFile(null);
+      if (!keepFileOnError) {
+        setSelectedFile(null);
+      }
     } finally {
       console.log('🏁 Setting isLoading to false');
       setIsLoading(false);
@@ -308,6 +395,7 @@ export default function ImportExpensesScreen({ navigation }) {
           // Reset state
           setTimeout(() => {
             setSelectedFile(null);
+            setSpreadsheet(null);
             setPreviewData(null);
             setSelectedTransactions({});
             setCategoryOverrides({});
@@ -385,12 +473,23 @@ export default function ImportExpensesScreen({ navigation }) {
                 loading={isLoading}
               />
 
+              <TouchableOpacity
+                style={styles.templatesLink}
+                onPress={() => navigation.navigate('BankTemplates')}
+                activeOpacity={0.7}
+              >
+                <MaterialCommunityIcons name="table-cog" size={18} color={COLORS.primary} />
+                <Text style={styles.templatesLinkText}>
+                  {t('import.manageTemplates')}
+                </Text>
+              </TouchableOpacity>
+
               {selectedFile && !isLoading && (
                 <Card style={styles.fileInfoCard}>
                   <Card.Content>
                     <View style={styles.fileInfoContent}>
                       <MaterialCommunityIcons
-                        name={selectedFile.type === 'csv' ? 'file-table' : 'file-pdf-box'}
+                        name={FILE_TYPE_ICONS[selectedFile.type] || 'file-document-outline'}
                         size={24}
                         color={COLORS.primary}
                       />
@@ -413,9 +512,29 @@ export default function ImportExpensesScreen({ navigation }) {
                 onConfigChange={setConfig}
                 currentUser={user}
                 partner={{ partnerId, partnerName }}
+                spreadsheet={spreadsheet}
+                onSheetChange={handleSheetChange}
+                onColumnMappingChange={handleColumnMappingChange}
               />
             )}
 
+            {/* Spreadsheets are previewed once the columns are confirmed */}
+            {selectedFile && !isLoading && spreadsheet && (
+              <View style={styles.section}>
+                <Button
+                  mode="contained"
+                  icon="table-eye"
+                  onPress={handlePreviewSpreadsheet}
+                  disabled={!hasRequiredColumns(spreadsheet.columnMapping)}
+                >
+                  {t('import.previewTransactions')}
+                </Button>
+                {!hasRequiredColumns(spreadsheet.columnMapping) && (
+                  <Text style={styles.mappingHint}>{t('import.config.mappingIncomplete')}</Text>
+                )}
+              </View>
+            )}
+
             {/* Instructions */}
             <Card style={styles.instructionsCard}>
               <Card.Content>
@@ -465,6 +584,7 @@ export default function ImportExpensesScreen({ navigation }) {
               onPress={() => {
                 setPreviewData(null);
                 setSelectedFile(null);
+                setSpreadsheet(null);
                 setSelectedTransactions({});
                 setCategoryOverrides({});
               }}
@@ -629,6 +749,24 @@ const styles = StyleSheet.create({
     fontSize: FONTS.sizes.small,
     color: COLORS.textSecondary,
   },
+  templatesLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: SPACING.medium,
+  },
+  templatesLinkText: {
+    marginLeft: SPACING.small,
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
+  mappingHint: {
+    marginTop: SPACING.small,
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+  },
   // Instructions Card
   instructionsCard: {
     marginTop: SPACING.base,
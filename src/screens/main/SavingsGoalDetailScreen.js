@@ -0,0 +1,569 @@
+/**
+ * SavingsGoalDetailScreen.js
+ *
+ * A single savings goal: progress and milestones, the monthly contribution
+ * needed to reach it by its target date, what each partner has put in, and
+ * the contribution ledger. Active goals accept new contributions; goals can
+ * be paused, resumed, completed or deleted.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDate } from '../../utils/calculations';
+import { formatCurrency } from '../../utils/currencyUtils';
+import * as savingsTargetService from '../../services/savingsTargetService';
+import { getPrimaryCurrency } from '../../services/coupleSettingsService';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+export default function SavingsGoalDetailScreen({ route, navigation }) {
+  const { targetId } = route.params;
+  const { user, userDetails, getPartnerDetails } = useAuth();
+  const { t } = useTranslation();
+  const [target, setTarget] = useState(null);
+  const [contributions, setContributions] = useState([]);
+  const [currency, setCurrency] = useState('USD');
+  const [partnerName, setPartnerName] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [updating, setUpdating] = useState(false);
+
+  const loadTarget = async () => {
+    try {
+      setError(null);
+      const [targetData, ledger] = await Promise.all([
+        savingsTargetService.getSavingsTarget(targetId),
+        savingsTargetService.getContributions(targetId),
+      ]);
+      setTarget(targetData);
+      setContributions(ledger);
+      navigation.setOptions({ title: targetData.name });
+    } catch (err) {
+      console.error('Error loading savings goal:', err);
+      setError(err.message || t('savingsGoals.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadTarget();
+    }, [targetId])
+  );
+
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      return;
+    }
+
+    getPrimaryCurrency(userDetails.coupleId)
+      .then((primary) => setCurrency(primary.code))
+      .catch((err) => console.error('Error loading primary currency:', err));
+    getPartnerDetails().then((partner) => setPartnerName(partner?.displayName || null));
+  }, [userDetails?.coupleId, userDetails?.partnerId]);
+
+  const getContributorName = (userId) => {
+    if (userId === user.uid) return t('savingsGoals.detail.you');
+    if (userId === savingsTargetService.UNATTRIBUTED_CONTRIBUTOR || !userId) {
+      return t('savingsGoals.detail.unattributed');
+    }
+    return partnerName || t('savingsGoals.detail.partner');
+  };
+
+  const handleAddContribution = async () => {
+    const value = parseFloat(amount);
+    if (!(value > 0)) {
+      Alert.alert(t('common.error'), t('savingsGoals.detail.amountRequired'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { isCompleted } = await savingsTargetService.addContribution(targetId, {
+        amount: value,
+        note: note.trim(),
+        contributedBy: user.uid,
+      });
+      setAmount('');
+      setNote('');
+      await loadTarget();
+      if (isCompleted && target.status !== 'completed') {
+        Alert.alert(t('savingsGoals.detail.reachedTitle'), t('savingsGoals.detail.reachedMessage', { name: target.name }));
+      }
+    } catch (err) {
+      Alert.alert(t('common.error'), err.message || t('savingsGoals.detail.contributionError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReverse = (contribution) => {
+    Alert.alert(
+      t('savingsGoals.detail.reverseTitle'),
+      t('savingsGoals.detail.reverseMessage', { amount: formatCurrency(contribution.amount, currency) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('savingsGoals.detail.reverse'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await savingsTargetService.reverseContribution(targetId, contribution.id, user.uid);
+              await loadTarget();
+            } catch (err) {
+              Alert.alert(t('common.error'), err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const runStatusChange = async (change) => {
+    setUpdating(true);
+    try {
+      await change(targetId);
+      await loadTarget();
+    } catch (err) {
+      Alert.alert(t('common.error'), err.message);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('savingsGoals.detail.deleteTitle'),
+      t('savingsGoals.detail.deleteMessage', { name: target.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await savingsTargetService.deleteSavingsTarget(targetId);
+              navigation.goBack();
+            } catch (err) {
+              Alert.alert(t('common.error'), err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  if (error || !target) {
+    return (
+      <View style={styles.centerContainer}>
+        <Ionicons name="alert-circle-outline" size={64} color={COLORS.error} />
+        <Text style={styles.errorText}>{error || t('savingsGoals.loadError')}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={loadTarget}>
+          <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const { percentage, nextMilestone } = savingsTargetService.getMilestoneProgress(target);
+  const targetDate = toDate(target.targetDate);
+  const plan = savingsTargetService.calculateMonthlyContribution(
+    target.targetAmount,
+    target.currentAmount || 0,
+    target.targetDate
+  );
+  const remaining = Math.max(0, target.targetAmount - (target.currentAmount || 0));
+  const isActive = target.status === 'active';
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      {/* Progress */}
+      <View style={styles.headerCard}>
+        {!isActive && (
+          <View style={styles.statusBadge}>
+            <Text style={styles.statusBadgeText}>{t(`savingsGoals.status.${target.status}`)}</Text>
+          </View>
+        )}
+        <Text style={styles.totalLabel}>{t('savingsGoals.detail.saved')}</Text>
+        <Text style={styles.totalValue}>{formatCurrency(target.currentAmount || 0, currency)}</Text>
+        <Text style={styles.metaText}>
+          {t('savingsGoals.ofTarget', { target: formatCurrency(target.targetAmount, currency) })}
+        </Text>
+        <View style={styles.progressContainer}>
+          <View style={styles.progressBar}>
+            <View
+              style={[
+                styles.progressFill,
+                {
+                  width: `${Math.min(percentage, 100)}%`,
+                  backgroundColor: target.status === 'completed' ? COLORS.success : COLORS.primary,
+                },
+              ]}
+            />
+          </View>
+          <Text style={styles.metaText}>
+            {nextMilestone
+              ? t('savingsGoals.detail.nextMilestone', { percentage, milestone: nextMilestone })
+              : t('savingsGoals.detail.percentSaved', { percentage })}
+          </Text>
+        </View>
+      </View>
+
+      {/* Plan */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('savingsGoals.detail.plan')}</Text>
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>{t('savingsGoals.detail.remaining')}</Text>
+            <Text style={styles.rowValue}>{formatCurrency(remaining, currency)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.rowLabel}>{t('savingsGoals.detail.targetDate')}</Text>
+            <Text style={styles.rowValue}>
+              {targetDate ? targetDate.toLocaleDateString() : t('savingsGoals.detail.noTargetDate')}
+            </Text>
+          </View>
+          {plan.monthlyContribution > 0 && (
+            <View style={styles.row}>
+              <Text style={styles.rowLabel}>
+                {t('savingsGoals.detail.monthlyNeeded', { count: plan.monthsRemaining })}
+              </Text>
+              <Text style={[styles.rowValue, styles.highlightValue]}>
+                {formatCurrency(plan.monthlyContribution, currency)}
+              </Text>
+            </View>
+          )}
+          {target.status === 'paused' && (
+            <Text style={styles.metaText}>{t('savingsGoals.detail.pausedHint')}</Text>
+          )}
+        </View>
+      </View>
+
+      {/* Contributions by partner */}
+      {Object.keys(target.contributionsByUser || {}).length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('savingsGoals.detail.byPartner')}</Text>
+          <View style={styles.card}>
+            {Object.entries(target.contributionsByUser).map(([userId, total]) => (
+              <View key={userId} style={styles.row}>
+                <Text style={styles.rowLabel}>{getContributorName(userId)}</Text>
+                <Text style={styles.rowValue}>{formatCurrency(total, currency)}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {/* Log a contribution */}
+      {isActive && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('savingsGoals.detail.addContribution')}</Text>
+          <View style={styles.card}>
+            <TextInput
+              style={styles.input}
+              value={amount}
+              onChangeText={(text) => {
+                const cleaned = text.replace(',', '.').replace(/[^0-9.]/g, '');
+                if (/^\d*\.?\d{0,2}$/.test(cleaned)) setAmount(cleaned);
+              }}
+              keyboardType="decimal-pad"
+              placeholder="0.00"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            <TextInput
+              style={[styles.input, styles.noteInput]}
+              value={note}
+              onChangeText={setNote}
+              placeholder={t('savingsGoals.detail.notePlaceholder')}
+              placeholderTextColor={COLORS.textSecondary}
+              maxLength={100}
+            />
+            <TouchableOpacity
+              style={[styles.primaryButton, saving && styles.buttonDisabled]}
+              onPress={handleAddContribution}
+              disabled={saving}
+              testID="savings-goal-contribute"
+            >
+              {saving ? (
+                <ActivityIndicator color={COLORS.background} />
+              ) : (
+                <Text style={styles.primaryButtonText}>{t('savingsGoals.detail.contribute')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {/* Ledger */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('savingsGoals.detail.history')}</Text>
+        <View style={styles.card}>
+          {contributions.length === 0 ? (
+            <Text style={styles.metaText}>{t('savingsGoals.detail.noContributions')}</Text>
+          ) : (
+            contributions.map((contribution) => {
+              const isReversed = Boolean(contribution.reversedBy);
+              const canReverse = !contribution.reversalOf && !isReversed && !contribution.isOpeningBalance;
+
+              return (
+                <View key={contribution.id} style={styles.row}>
+                  <View style={styles.rowDetails}>
+                    <Text style={[styles.rowLabel, isReversed && styles.reversedText]} numberOfLines={1}>
+                      {contribution.reversalOf
+                        ? t('savingsGoals.detail.reversal')
+                        : contribution.note || getContributorName(contribution.contributedBy)}
+                    </Text>
+                    <Text style={styles.metaText}>{formatDate(contribution.date)}</Text>
+                  </View>
+                  <Text style={[styles.rowValue, isReversed && styles.reversedText]}>
+                    {formatCurrency(contribution.amount, currency)}
+                  </Text>
+                  {canReverse && (
+                    <TouchableOpacity
+                      onPress={() => handleReverse(contribution)}
+                      accessibilityLabel={t('savingsGoals.detail.reverse')}
+                    >
+                      <Ionicons name="arrow-undo-outline" size={18} color={COLORS.textSecondary} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })
+          )}
+        </View>
+      </View>
+
+      {/* Status actions */}
+      <View style={styles.actions}>
+        {target.status === 'active' && (
+          <>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => runStatusChange(savingsTargetService.pauseSavingsTarget)}
+              disabled={updating}
+            >
+              <Text style={styles.secondaryButtonText}>{t('savingsGoals.detail.pause')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => runStatusChange(savingsTargetService.completeSavingsTarget)}
+              disabled={updating}
+            >
+              <Text style={styles.secondaryButtonText}>{t('savingsGoals.detail.markComplete')}</Text>
+            </TouchableOpacity>
+          </>
+        )}
+        {target.status === 'paused' && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => runStatusChange(savingsTargetService.resumeSavingsTarget)}
+            disabled={updating}
+          >
+            <Text style={styles.secondaryButtonText}>{t('savingsGoals.detail.resume')}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+          <Text style={styles.deleteButtonText}>{t('savingsGoals.detail.delete')}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  contentContainer: {
+    padding: SPACING.base,
+    paddingBottom: SPACING.xxlarge,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xlarge,
+  },
+  errorText: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.base,
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: SPACING.base,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.large,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary,
+  },
+  retryButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  headerCard: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.large,
+    alignItems: 'center',
+  },
+  statusBadge: {
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.small,
+    paddingVertical: 2,
+    marginBottom: SPACING.small,
+  },
+  statusBadgeText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  totalLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  totalValue: {
+    ...FONTS.large,
+    fontSize: FONTS.sizes.large,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  metaText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  progressContainer: {
+    alignSelf: 'stretch',
+    marginTop: SPACING.base,
+  },
+  progressBar: {
+    height: 8,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  section: {
+    marginTop: SPACING.large,
+  },
+  sectionTitle: {
+    ...FONTS.title,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  card: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.base,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.small,
+    gap: SPACING.small,
+  },
+  rowDetails: {
+    flex: 1,
+  },
+  rowLabel: {
+    ...FONTS.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  rowValue: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  highlightValue: {
+    color: COLORS.primary,
+  },
+  reversedText: {
+    color: COLORS.textSecondary,
+    textDecorationLine: 'line-through',
+  },
+  input: {
+    ...FONTS.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+  },
+  noteInput: {
+    marginTop: SPACING.small,
+  },
+  primaryButton: {
+    marginTop: SPACING.base,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  primaryButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  actions: {
+    marginTop: SPACING.xlarge,
+    gap: SPACING.small,
+  },
+  secondaryButton: {
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  secondaryButtonText: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+  },
+  deleteButton: {
+    paddingVertical: SPACING.base,
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    ...FONTS.body,
+    color: COLORS.error,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
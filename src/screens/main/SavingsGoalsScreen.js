@@ -0,0 +1,545 @@
+/**
+ * SavingsGoalsScreen.js
+ *
+ * Lists the couple's savings goals with a summary of the current fiscal year,
+ * and lets them start a new goal with a target date
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import * as savingsTargetService from '../../services/savingsTargetService';
+import { getCoupleSettings, updateDisplayPreferences } from '../../services/coupleSettingsService';
+import { getCurrentFiscalYear, formatFiscalYearDisplay } from '../../services/fiscalPeriodService';
+import { formatCurrency } from '../../utils/currencyUtils';
+import ToggleRow from '../../components/ToggleRow';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const EMPTY_FORM = {
+  name: '',
+  targetAmount: '',
+  targetDate: '',
+};
+
+// Active goals first, then paused, then completed
+const STATUS_ORDER = { active: 0, paused: 1, completed: 2 };
+
+export default function SavingsGoalsScreen({ navigation }) {
+  const { userDetails } = useAuth();
+  const { t } = useTranslation();
+  const [targets, setTargets] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [currency, setCurrency] = useState('USD');
+  const [fiscalYear, setFiscalYear] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadGoals = async () => {
+    if (!userDetails?.coupleId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setError(null);
+      const coupleSettings = await getCoupleSettings(userDetails.coupleId);
+      const currentFiscalYear = getCurrentFiscalYear(coupleSettings.fiscalYear);
+      const [allTargets, fiscalYearSummary] = await Promise.all([
+        savingsTargetService.getSavingsTargets(userDetails.coupleId),
+        savingsTargetService.getSavingsSummary(userDetails.coupleId, currentFiscalYear.fiscalYear),
+      ]);
+
+      setSettings(coupleSettings);
+      setCurrency(coupleSettings.budgetPreferences?.budgetCurrency || 'USD');
+      setFiscalYear(currentFiscalYear.fiscalYear);
+      setTargets(
+        [...allTargets].sort(
+          (a, b) => (STATUS_ORDER[a.status] ?? 0) - (STATUS_ORDER[b.status] ?? 0) || a.priority - b.priority
+        )
+      );
+      setSummary(fiscalYearSummary);
+    } catch (err) {
+      console.error('Error loading savings goals:', err);
+      setError(t('savingsGoals.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload when coming back from a goal's detail screen
+  useFocusEffect(
+    useCallback(() => {
+      loadGoals();
+    }, [userDetails?.coupleId])
+  );
+
+  const handleToggleShowOnHome = async (value) => {
+    const display = { ...settings?.display, showSavingsOnHome: value };
+    setSettings({ ...settings, display });
+    try {
+      await updateDisplayPreferences(userDetails.coupleId, display);
+    } catch (err) {
+      setSettings(settings);
+    }
+  };
+
+  const openForm = () => {
+    setForm(EMPTY_FORM);
+    setFormError('');
+    setShowForm(true);
+  };
+
+  const formAmount = parseFloat(form.targetAmount);
+  const hasValidDate = DATE_KEY_PATTERN.test(form.targetDate);
+  const preview = formAmount > 0 && hasValidDate
+    ? savingsTargetService.calculateMonthlyContribution(formAmount, 0, form.targetDate)
+    : null;
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      setFormError(t('savingsGoals.form.nameRequired'));
+      return;
+    }
+    if (!(formAmount > 0)) {
+      setFormError(t('savingsGoals.form.amountRequired'));
+      return;
+    }
+    if (form.targetDate && (!hasValidDate || new Date(form.targetDate) <= new Date())) {
+      setFormError(t('savingsGoals.form.invalidDate'));
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const target = await savingsTargetService.createSavingsTarget(userDetails.coupleId, {
+        name: form.name.trim(),
+        targetAmount: formAmount,
+        targetDate: form.targetDate || null,
+        monthlyContribution: preview?.monthlyContribution || null,
+        priority: targets.length + 1,
+        fiscalYear,
+      });
+      setShowForm(false);
+      navigation.navigate('SavingsGoalDetail', { targetId: target.id });
+    } catch (err) {
+      setFormError(err.message || t('savingsGoals.form.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderSummary = () => {
+    if (!summary) {
+      return null;
+    }
+
+    return (
+      <View style={styles.summaryCard}>
+        <Text style={styles.summaryLabel}>
+          {t('savingsGoals.summaryTitle', { fiscalYear: formatFiscalYearDisplay(fiscalYear, settings?.fiscalYear) })}
+        </Text>
+        <Text style={styles.summaryValue}>
+          {formatCurrency(summary.totalCurrentAmount, currency)}
+        </Text>
+        <Text style={styles.goalMeta}>
+          {t('savingsGoals.summaryProgress', {
+            percentage: summary.completionPercentage,
+            target: formatCurrency(summary.totalTargetAmount, currency),
+          })}
+        </Text>
+        <View style={styles.progressBar}>
+          <View
+            style={[styles.progressFill, { width: `${Math.min(summary.completionPercentage, 100)}%` }]}
+          />
+        </View>
+        <Text style={styles.goalMeta}>
+          {t('savingsGoals.summaryCounts', {
+            active: summary.activeTargets,
+            paused: summary.pausedTargets,
+            completed: summary.completedTargets,
+          })}
+        </Text>
+        <ToggleRow
+          label={t('savingsGoals.showOnHome')}
+          value={settings?.display?.showSavingsOnHome !== false}
+          onToggle={handleToggleShowOnHome}
+          showBorder={false}
+        />
+      </View>
+    );
+  };
+
+  const renderGoal = ({ item }) => {
+    const { percentage } = savingsTargetService.getMilestoneProgress(item);
+    const { monthlyContribution } = savingsTargetService.calculateMonthlyContribution(
+      item.targetAmount,
+      item.currentAmount || 0,
+      item.targetDate
+    );
+
+    return (
+      <TouchableOpacity
+        style={[styles.goalCard, item.status !== 'active' && styles.goalCardInactive]}
+        onPress={() => navigation.navigate('SavingsGoalDetail', { targetId: item.id })}
+        activeOpacity={0.7}
+      >
+        <View style={styles.goalHeader}>
+          <Text style={styles.goalName} numberOfLines={1}>{item.name}</Text>
+          {item.status !== 'active' && (
+            <View style={styles.statusBadge}>
+              <Text style={styles.statusBadgeText}>{t(`savingsGoals.status.${item.status}`)}</Text>
+            </View>
+          )}
+        </View>
+        <View style={styles.goalStats}>
+          <Text style={styles.goalAmount}>{formatCurrency(item.currentAmount || 0, currency)}</Text>
+          <Text style={styles.goalMeta}>
+            {t('savingsGoals.ofTarget', { target: formatCurrency(item.targetAmount, currency) })}
+          </Text>
+        </View>
+        <View style={styles.progressBar}>
+          <View
+            style={[
+              styles.progressFill,
+              {
+                width: `${Math.min(percentage, 100)}%`,
+                backgroundColor: item.status === 'completed' ? COLORS.success : COLORS.primary,
+              },
+            ]}
+          />
+        </View>
+        {item.status === 'active' && monthlyContribution > 0 && (
+          <Text style={styles.goalMeta}>
+            {t('savingsGoals.monthlyNeeded', { amount: formatCurrency(monthlyContribution, currency) })}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {error ? (
+        <View style={styles.centerContainer}>
+          <Ionicons name="alert-circle-outline" size={64} color={COLORS.error} />
+          <Text style={styles.emptySubtitle}>{error}</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={targets}
+          keyExtractor={(item) => item.id}
+          renderItem={renderGoal}
+          ListHeaderComponent={targets.length > 0 ? renderSummary() : null}
+          contentContainerStyle={targets.length === 0 ? styles.emptyList : styles.listContent}
+          ListEmptyComponent={
+            <View style={styles.centerContainer}>
+              <Ionicons name="wallet-outline" size={64} color={COLORS.textSecondary} />
+              <Text style={styles.emptyTitle}>{t('savingsGoals.emptyTitle')}</Text>
+              <Text style={styles.emptySubtitle}>{t('savingsGoals.emptySubtitle')}</Text>
+            </View>
+          }
+        />
+      )}
+
+      <TouchableOpacity style={styles.addButton} onPress={openForm} testID="savings-goals-add">
+        <Ionicons name="add" size={22} color={COLORS.background} />
+        <Text style={styles.addButtonText}>{t('savingsGoals.newGoal')}</Text>
+      </TouchableOpacity>
+
+      <Modal visible={showForm} animationType="slide" transparent onRequestClose={() => setShowForm(false)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('savingsGoals.newGoal')}</Text>
+
+            <Text style={styles.inputLabel}>{t('savingsGoals.form.name')}</Text>
+            <TextInput
+              style={styles.input}
+              value={form.name}
+              onChangeText={(name) => setForm({ ...form, name })}
+              placeholder={t('savingsGoals.form.namePlaceholder')}
+              placeholderTextColor={COLORS.textSecondary}
+              maxLength={60}
+            />
+
+            <Text style={styles.inputLabel}>{t('savingsGoals.form.targetAmount')}</Text>
+            <TextInput
+              style={styles.input}
+              value={form.targetAmount}
+              onChangeText={(text) => {
+                const cleaned = text.replace(',', '.').replace(/[^0-9.]/g, '');
+                if (/^\d*\.?\d{0,2}$/.test(cleaned)) setForm({ ...form, targetAmount: cleaned });
+              }}
+              keyboardType="decimal-pad"
+              placeholder="0.00"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+
+            <Text style={styles.inputLabel}>{t('savingsGoals.form.targetDate')}</Text>
+            <TextInput
+              style={styles.input}
+              value={form.targetDate}
+              onChangeText={(targetDate) => setForm({ ...form, targetDate })}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor={COLORS.textSecondary}
+              maxLength={10}
+            />
+
+            {preview?.monthlyContribution > 0 && (
+              <Text style={styles.previewText}>
+                {t('savingsGoals.form.monthlyPreview', {
+                  amount: formatCurrency(preview.monthlyContribution, currency),
+                  count: preview.monthsRemaining,
+                })}
+              </Text>
+            )}
+
+            {formError ? <Text style={styles.formError}>{formError}</Text> : null}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setShowForm(false)}>
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.saveButton, saving && styles.buttonDisabled]}
+                onPress={handleCreate}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator color={COLORS.background} />
+                ) : (
+                  <Text style={styles.saveButtonText}>{t('savingsGoals.form.create')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xlarge,
+  },
+  listContent: {
+    padding: SPACING.base,
+    paddingBottom: 96,
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  emptyTitle: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    marginTop: SPACING.base,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+    textAlign: 'center',
+  },
+  summaryCard: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.base,
+    marginBottom: SPACING.large,
+  },
+  summaryLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  summaryValue: {
+    ...FONTS.large,
+    fontSize: FONTS.sizes.large,
+    fontWeight: '700',
+    color: COLORS.text,
+    marginTop: 4,
+  },
+  goalCard: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.base,
+    marginBottom: SPACING.base,
+  },
+  goalCardInactive: {
+    opacity: 0.7,
+  },
+  goalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  goalName: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    flex: 1,
+  },
+  statusBadge: {
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.small,
+    paddingVertical: 2,
+  },
+  statusBadgeText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  goalStats: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    justifyContent: 'space-between',
+    marginTop: SPACING.small,
+  },
+  goalAmount: {
+    ...FONTS.title,
+    color: COLORS.text,
+  },
+  goalMeta: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginTop: SPACING.small,
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+    backgroundColor: COLORS.primary,
+  },
+  addButton: {
+    position: 'absolute',
+    right: SPACING.base,
+    bottom: SPACING.base,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+    borderRadius: 24,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    gap: 4,
+  },
+  addButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: SPACING.large,
+  },
+  modalTitle: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    marginBottom: SPACING.base,
+  },
+  inputLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+    marginBottom: 4,
+  },
+  input: {
+    ...FONTS.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+  },
+  previewText: {
+    ...FONTS.small,
+    color: COLORS.primary,
+    marginTop: SPACING.small,
+  },
+  formError: {
+    ...FONTS.small,
+    color: COLORS.error,
+    marginTop: SPACING.small,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: SPACING.base,
+    marginTop: SPACING.large,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  cancelButtonText: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  saveButton: {
+    flex: 1,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  saveButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
@@ -0,0 +1,542 @@
+/**
+ * SearchExpensesScreen.js
+ *
+ * Searches the couple's whole expense history, not just the loaded page
+ * - Query syntax from utils/expenseSearch (amounts, dates, currency, ...)
+ * - Saved searches shared by both partners
+ * - "Load more" reads further back in the history
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { COLORS, FONTS, SPACING } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { useBudget } from '../../contexts/BudgetContext';
+import * as searchService from '../../services/searchService';
+import { parseSearchQuery } from '../../utils/expenseSearch';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { formatDate } from '../../utils/calculations';
+import ExpenseDetailModal from '../../components/ExpenseDetailModal';
+
+const EXAMPLE_QUERIES = ['coffee >10', 'currency:EUR date:2026', 'category:food paid:partner', '"weekly shop" -costco'];
+
+export default function SearchExpensesScreen({ navigation, route }) {
+  const { user, userDetails, getPartnerDetails } = useAuth();
+  const { categories, tags } = useBudget();
+  const { t } = useTranslation();
+  const insets = useSafeAreaInsets();
+
+  const [queryText, setQueryText] = useState(route?.params?.query || '');
+  const [results, setResults] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [scannedCount, setScannedCount] = useState(0);
+  const [searchedQuery, setSearchedQuery] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [partnerDetails, setPartnerDetails] = useState(null);
+  const [selectedExpense, setSelectedExpense] = useState(null);
+
+  // Ignore results from a search the user has already replaced
+  const searchIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      return;
+    }
+
+    const unsubscribe = searchService.subscribeToSavedSearches(
+      userDetails.coupleId,
+      setSavedSearches,
+      (err) => console.error('Error loading saved searches:', err)
+    );
+
+    return () => unsubscribe();
+  }, [userDetails?.coupleId]);
+
+  useEffect(() => {
+    if (userDetails?.partnerId) {
+      getPartnerDetails()
+        .then(setPartnerDetails)
+        .catch((err) => console.error('Error fetching partner details:', err));
+    }
+  }, [userDetails?.partnerId]);
+
+  useEffect(() => {
+    if (route?.params?.query) {
+      runSearch(route.params.query);
+    }
+  }, [route?.params?.query]);
+
+  const searchContext = {
+    userId: user?.uid,
+    partnerId: userDetails?.partnerId,
+    categories,
+    tags,
+  };
+
+  const runSearch = async (text, { loadMore = false } = {}) => {
+    const trimmed = String(text || '').trim();
+    if (!trimmed || !userDetails?.coupleId) {
+      return;
+    }
+
+    const searchId = ++searchIdRef.current;
+    setSearching(true);
+    setError(null);
+
+    try {
+      const page = await searchService.searchExpenses(userDetails.coupleId, trimmed, {
+        context: searchContext,
+        cursor: loadMore ? cursor : null,
+      });
+      if (searchId !== searchIdRef.current) return;
+
+      setResults(loadMore ? [...results, ...page.expenses] : page.expenses);
+      setScannedCount(loadMore ? scannedCount + page.scannedCount : page.scannedCount);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+      setSearchedQuery(trimmed);
+    } catch (err) {
+      if (searchId !== searchIdRef.current) return;
+      console.error('Error searching expenses:', err);
+      setError(t('search.error'));
+    } finally {
+      if (searchId === searchIdRef.current) {
+        setSearching(false);
+      }
+    }
+  };
+
+  const applyQuery = (text) => {
+    setQueryText(text);
+    runSearch(text);
+  };
+
+  const handleClear = () => {
+    searchIdRef.current += 1;
+    setQueryText('');
+    setResults([]);
+    setSearchedQuery(null);
+    setHasMore(false);
+    setCursor(null);
+    setSearching(false);
+  };
+
+  const handleSaveSearch = async () => {
+    try {
+      await searchService.saveSearch(userDetails.coupleId, {
+        query: queryText,
+        createdBy: user.uid,
+      });
+      Alert.alert(t('search.savedTitle'), t('search.savedMessage', { query: queryText.trim() }));
+    } catch (err) {
+      console.error('Error saving search:', err);
+      Alert.alert(t('common.error'), t('search.saveError'));
+    }
+  };
+
+  const handleDeleteSavedSearch = (savedSearch) => {
+    Alert.alert(t('search.deleteSavedTitle'), t('search.deleteSavedMessage', { name: savedSearch.name }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await searchService.deleteSavedSearch(savedSearch.id);
+          } catch (err) {
+            console.error('Error deleting saved search:', err);
+            Alert.alert(t('common.error'), t('search.deleteSavedError'));
+          }
+        },
+      },
+    ]);
+  };
+
+  const invalidTokens = queryText.trim() ? parseSearchQuery(queryText).invalidTokens : [];
+  const isSaved = savedSearches.some((savedSearch) => savedSearch.query === queryText.trim());
+
+  const renderResult = ({ item }) => {
+    const categoryKey = item.categoryKey || item.category || 'other';
+    const isPaidByUser = item.paidBy === user?.uid;
+
+    return (
+      <TouchableOpacity style={styles.resultItem} onPress={() => setSelectedExpense(item)} activeOpacity={0.7}>
+        <Text style={styles.resultIcon}>{categories?.[categoryKey]?.icon || '💡'}</Text>
+        <View style={styles.resultContent}>
+          <Text style={styles.resultDescription} numberOfLines={1}>
+            {item.description || t('stats.list.noDescription')}
+          </Text>
+          <Text style={styles.resultMeta}>
+            {formatDate(item.date)} ·{' '}
+            {isPaidByUser
+              ? t('stats.list.youPaid')
+              : t('stats.list.partnerPaid', { partnerName: partnerDetails?.displayName || 'Partner' })}
+          </Text>
+        </View>
+        <View style={styles.resultAmountColumn}>
+          <Text style={styles.resultAmount}>{formatCurrency(item.amount, item.currency || 'USD')}</Text>
+          {item.settledAt && <Text style={styles.resultSettled}>{t('search.settled')}</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderHints = () => (
+    <ScrollView contentContainerStyle={styles.hints} keyboardShouldPersistTaps="handled">
+      {savedSearches.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>{t('search.savedSearches')}</Text>
+          <View style={styles.chipRow}>
+            {savedSearches.map((savedSearch) => (
+              <TouchableOpacity
+                key={savedSearch.id}
+                style={styles.chip}
+                onPress={() => applyQuery(savedSearch.query)}
+                onLongPress={() => handleDeleteSavedSearch(savedSearch)}
+              >
+                <Ionicons name="bookmark" size={14} color={COLORS.primary} />
+                <Text style={styles.chipText} numberOfLines={1}>{savedSearch.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hintText}>{t('search.savedHint')}</Text>
+        </>
+      )}
+
+      <Text style={styles.sectionTitle}>{t('search.syntaxTitle')}</Text>
+      <Text style={styles.hintText}>{t('search.syntaxHelp')}</Text>
+      <View style={styles.chipRow}>
+        {EXAMPLE_QUERIES.map((example) => (
+          <TouchableOpacity key={example} style={styles.chip} onPress={() => applyQuery(example)}>
+            <Text style={styles.chipText}>{example}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </ScrollView>
+  );
+
+  const renderFooter = () => {
+    if (results.length === 0 && !hasMore) {
+      return null;
+    }
+
+    return (
+      <View style={styles.footer}>
+        <Text style={styles.hintText}>{t('search.scanned', { count: scannedCount })}</Text>
+        {hasMore && (
+          <TouchableOpacity
+            style={styles.loadMoreButton}
+            onPress={() => runSearch(searchedQuery, { loadMore: true })}
+            disabled={searching}
+          >
+            {searching ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.loadMoreText}>{t('search.loadMore')}</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderBody = () => {
+    if (searchedQuery === null) {
+      return searching ? (
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        renderHints()
+      );
+    }
+
+    return (
+      <FlatList
+        data={results}
+        keyExtractor={(item) => item.id}
+        renderItem={renderResult}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={[styles.listContent, { paddingBottom: SPACING.xxlarge + insets.bottom }]}
+        ListHeaderComponent={
+          <Text style={styles.resultCount}>{t('search.resultCount', { count: results.length })}</Text>
+        }
+        ListEmptyComponent={
+          searching ? (
+            <ActivityIndicator size="large" color={COLORS.primary} style={{ marginTop: SPACING.xlarge }} />
+          ) : (
+            <View style={styles.centerContainer}>
+              <Ionicons name="search-outline" size={48} color={COLORS.textSecondary} />
+              <Text style={styles.emptyTitle}>{t('search.noResults')}</Text>
+              {hasMore && <Text style={styles.hintText}>{t('search.noResultsYet')}</Text>}
+            </View>
+          )
+        }
+        ListFooterComponent={renderFooter}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.header, { paddingTop: Platform.OS === 'web' ? SPACING.base : Math.max(insets.top, 10) }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton}>
+          <Ionicons name="arrow-back" size={24} color={COLORS.primary} />
+        </TouchableOpacity>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={18} color={COLORS.textSecondary} />
+          <TextInput
+            style={styles.searchInput}
+            value={queryText}
+            onChangeText={setQueryText}
+            onSubmitEditing={() => runSearch(queryText)}
+            placeholder={t('search.placeholder')}
+            placeholderTextColor={COLORS.textSecondary}
+            returnKeyType="search"
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoFocus={!route?.params?.query}
+            testID="search-input"
+          />
+          {queryText.length > 0 && (
+            <TouchableOpacity onPress={handleClear}>
+              <Ionicons name="close-circle" size={18} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          onPress={handleSaveSearch}
+          style={styles.headerButton}
+          disabled={!queryText.trim() || isSaved}
+          accessibilityLabel={t('search.save')}
+        >
+          <Ionicons
+            name={isSaved ? 'bookmark' : 'bookmark-outline'}
+            size={22}
+            color={queryText.trim() ? COLORS.primary : COLORS.textSecondary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {invalidTokens.length > 0 && (
+        <Text style={styles.warningText}>{t('search.invalidTokens', { tokens: invalidTokens.join(', ') })}</Text>
+      )}
+
+      {error && (
+        <View style={styles.errorBanner}>
+          <Ionicons name="alert-circle" size={20} color={COLORS.error} />
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity onPress={() => runSearch(queryText)}>
+            <Text style={styles.retryText}>{t('common.retry')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {renderBody()}
+
+      <ExpenseDetailModal
+        visible={!!selectedExpense}
+        expense={selectedExpense}
+        userDetails={userDetails}
+        partnerDetails={partnerDetails}
+        onClose={() => setSelectedExpense(null)}
+        onEdit={(expense, options = {}) => navigation.navigate('AddExpense', { expense, ...options })}
+        onDelete={(expenseId) => setResults(results.filter((expense) => expense.id !== expenseId))}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: SPACING.small,
+    paddingBottom: SPACING.small,
+    backgroundColor: COLORS.background,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerButton: {
+    padding: SPACING.small,
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 10,
+    paddingHorizontal: SPACING.medium,
+    marginHorizontal: SPACING.tiny,
+  },
+  searchInput: {
+    ...FONTS.body,
+    flex: 1,
+    color: COLORS.text,
+    paddingVertical: Platform.OS === 'ios' ? SPACING.medium : SPACING.small,
+    paddingHorizontal: SPACING.small,
+  },
+  warningText: {
+    ...FONTS.small,
+    color: COLORS.warning,
+    paddingHorizontal: SPACING.base,
+    paddingTop: SPACING.small,
+  },
+  errorBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.errorLight,
+    padding: SPACING.medium,
+    margin: SPACING.base,
+    borderRadius: 8,
+  },
+  errorText: {
+    ...FONTS.body,
+    flex: 1,
+    color: COLORS.error,
+    marginLeft: SPACING.small,
+  },
+  retryText: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: FONTS.weights.semibold,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xlarge,
+  },
+  emptyTitle: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    marginTop: SPACING.base,
+    textAlign: 'center',
+  },
+  hints: {
+    padding: SPACING.base,
+  },
+  sectionTitle: {
+    ...FONTS.title,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+    marginTop: SPACING.base,
+  },
+  hintText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.tiny,
+    lineHeight: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: SPACING.small,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 16,
+    paddingHorizontal: SPACING.medium,
+    paddingVertical: SPACING.tiny + 2,
+    marginRight: SPACING.small,
+    marginBottom: SPACING.small,
+    maxWidth: '100%',
+  },
+  chipText: {
+    ...FONTS.small,
+    color: COLORS.text,
+    marginLeft: SPACING.tiny,
+  },
+  listContent: {
+    padding: SPACING.base,
+    flexGrow: 1,
+  },
+  resultCount: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  resultItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.medium,
+    marginBottom: SPACING.small,
+  },
+  resultIcon: {
+    fontSize: 24,
+    marginRight: SPACING.medium,
+  },
+  resultContent: {
+    flex: 1,
+  },
+  resultDescription: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: FONTS.weights.semibold,
+  },
+  resultMeta: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  resultAmountColumn: {
+    alignItems: 'flex-end',
+    marginLeft: SPACING.small,
+  },
+  resultAmount: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: FONTS.weights.semibold,
+  },
+  resultSettled: {
+    ...FONTS.small,
+    color: COLORS.success,
+    marginTop: 2,
+  },
+  footer: {
+    alignItems: 'center',
+    paddingVertical: SPACING.base,
+  },
+  loadMoreButton: {
+    marginTop: SPACING.small,
+    paddingHorizontal: SPACING.large,
+    paddingVertical: SPACING.small,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    minWidth: 140,
+    alignItems: 'center',
+  },
+  loadMoreText: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: FONTS.weights.semibold,
+  },
+});
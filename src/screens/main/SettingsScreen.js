@@ -24,6 +24,7 @@ import {
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import { doc, updateDoc, getDoc } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../contexts/AuthContext';
@@ -33,9 +34,7 @@ import { onboardingStorage } from '../../utils/storage';
 import { COLORS, FONTS, SPACING } from '../../constants/theme';
 import { formatCurrency, calculateBalance } from '../../utils/calculations';
 import CurrencyPicker from '../../components/CurrencyPicker';
-import { getCurrencyInfo } from '../../constants/currencies';
 import {
-  updatePrimaryCurrency,
   getPrimaryCurrency,
   updateNotificationPreferences,
   getCoupleSettings,
@@ -49,8 +48,12 @@ import {
   registerForPushNotifications,
 } from '../../services/pushNotificationService';
 import { deleteBudgetForMonth } from '../../services/budgetService';
+import { getCurrencyMigration } from '../../services/currencyMigrationService';
+import { CURRENCY_MIGRATION_STATUS } from '../../utils/currencyMigration';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 
+const DIGEST_FREQUENCIES = ['off', 'weekly', 'monthly'];
+
 const { width: screenWidth } = Dimensions.get('window');
 const isSmallScreen = screenWidth < 375;
 const isMediumScreen = screenWidth >= 375 && screenWidth < 768;
@@ -71,7 +74,7 @@ export default function SettingsScreen({ navigation }) {
   const [unpairModalVisible, setUnpairModalVisible] = useState(false);
   const [unpairing, setUnpairing] = useState(false);
   const [primaryCurrency, setPrimaryCurrency] = useState('USD');
-  const [currencyLoading, setCurrencyLoading] = useState(false);
+  const [currencyMigration, setCurrencyMigration] = useState(null);
   const [languageModalVisible, setLanguageModalVisible] = useState(false);
   const [restartOnboardingModalVisible, setRestartOnboardingModalVisible] = useState(false);
   const [showAliasManager, setShowAliasManager] = useState(false);
@@ -85,6 +88,7 @@ export default function SettingsScreen({ navigation }) {
     fiscalYearEndReminder: true,
     savingsGoalMilestone: true,
     partnerActivity: false,
+    spendingDigest: 'off',
   });
   const [notificationsLoading, setNotificationsLoading] = useState(false);
   const [pushPermissionStatus, setPushPermissionStatus] = useState('undetermined');
@@ -126,15 +130,11 @@ export default function SettingsScreen({ navigation }) {
     }
   }, [userDetails?.displayName]);
 
-  // Fetch primary currency and notification settings
+  // Fetch notification settings
   useEffect(() => {
     const fetchSettings = async () => {
       if (userDetails?.coupleId) {
         try {
-          // Fetch currency
-          const currency = await getPrimaryCurrency(userDetails.coupleId);
-          setPrimaryCurrency(currency.code);
-
           // Fetch notification preferences
           const settings = await getCoupleSettings(userDetails.coupleId);
           if (settings.notifications) {
@@ -158,6 +158,32 @@ export default function SettingsScreen({ navigation }) {
     fetchSettings();
   }, [userDetails?.coupleId]);
 
+  // Re-check the primary currency and the last currency change on focus, as
+  // both change on the currency change screen
+  useFocusEffect(
+    React.useCallback(() => {
+      const fetchCurrency = async () => {
+        if (!userDetails?.coupleId) return;
+        try {
+          const [currency, migration] = await Promise.all([
+            getPrimaryCurrency(userDetails.coupleId),
+            getCurrencyMigration(userDetails.coupleId),
+          ]);
+          setPrimaryCurrency(currency.code);
+          setCurrencyMigration(migration);
+        } catch (error) {
+          console.error('Error fetching currency change:', error);
+        }
+      };
+      fetchCurrency();
+    }, [userDetails?.coupleId])
+  );
+
+  const currencyChangeInterrupted =
+    currencyMigration?.status === CURRENCY_MIGRATION_STATUS.RUNNING ||
+    currencyMigration?.status === CURRENCY_MIGRATION_STATUS.FAILED ||
+    currencyMigration?.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK;
+
   const handleSaveName = async () => {
     if (!displayName.trim()) {
       Alert.alert(t('common.error'), t('settings.nameEmpty'));
@@ -213,36 +239,11 @@ export default function SettingsScreen({ navigation }) {
     }
   };
 
-  const confirmCurrencyChange = async () => {
+  const confirmCurrencyChange = () => {
     console.log('✅ User confirmed currency change');
     setCurrencyChangeModalVisible(false);
-    setCurrencyLoading(true);
-
-    try {
-      console.log('🔄 Fetching currency info for:', pendingCurrency);
-      const currencyInfo = getCurrencyInfo(pendingCurrency);
-      console.log('📦 Currency info:', currencyInfo);
-
-      console.log('🔄 Calling updatePrimaryCurrency...');
-      await updatePrimaryCurrency(
-        userDetails.coupleId,
-        pendingCurrency,
-        currencyInfo.symbol,
-        currencyInfo.locale
-      );
-      console.log('✅ updatePrimaryCurrency completed');
-
-      setPrimaryCurrency(pendingCurrency);
-      console.log(`✅ Primary currency successfully changed to ${pendingCurrency}`);
-    } catch (error) {
-      console.error('❌ Error updating currency:', error);
-      console.error('❌ Error stack:', error.stack);
-      console.error('❌ Failed to update currency. Please try again.');
-    } finally {
-      console.log('🔄 Setting currencyLoading to false');
-      setCurrencyLoading(false);
-      setPendingCurrency(null);
-    }
+    navigation.navigate('CurrencyMigration', { toCurrency: pendingCurrency });
+    setPendingCurrency(null);
   };
 
   const cancelCurrencyChange = () => {
@@ -402,6 +403,51 @@ export default function SettingsScreen({ navigation }) {
 
         {userDetails?.coupleId && userDetails?.partnerId && (
           <>
+            <TouchableOpacity
+              style={styles.settingRow}
+              onPress={() => navigation.navigate('ActivityFeed')}
+              activeOpacity={0.7}
+            >
+              <View style={styles.settingIcon}>
+                <Ionicons name="time-outline" size={20} color={COLORS.primary} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingLabel}>{t('settings.activityLog')}</Text>
+                <Text style={styles.settingValue}>{t('settings.activityLogDescription')}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.settingRow}
+              onPress={() => navigation.navigate('Trash')}
+              activeOpacity={0.7}
+            >
+              <View style={styles.settingIcon}>
+                <Ionicons name="trash-outline" size={20} color={COLORS.primary} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingLabel}>{t('settings.trash')}</Text>
+                <Text style={styles.settingValue}>{t('settings.trashDescription')}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.settingRow}
+              onPress={() => navigation.navigate('DataBackup')}
+              activeOpacity={0.7}
+            >
+              <View style={styles.settingIcon}>
+                <Ionicons name="cloud-download-outline" size={20} color={COLORS.primary} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingLabel}>{t('settings.dataBackup')}</Text>
+                <Text style={styles.settingValue}>{t('settings.dataBackupDescription')}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+
             <View style={styles.settingRow}>
               <View style={styles.settingIcon}>
                 <Ionicons name="heart" size={20} color={COLORS.error} />
@@ -881,7 +927,7 @@ export default function SettingsScreen({ navigation }) {
             </View>
 
             {/* Partner Activity */}
-            <View style={[styles.settingRow, styles.settingRowLast]}>
+            <View style={styles.settingRow}>
               <View style={styles.settingIcon}>
                 <Ionicons
                   name="person-add"
@@ -909,6 +955,39 @@ export default function SettingsScreen({ navigation }) {
                 </View>
               </TouchableOpacity>
             </View>
+
+            {/* Spending Digest */}
+            <View style={[styles.settingRow, styles.settingRowLast]}>
+              <View style={styles.settingIcon}>
+                <Ionicons
+                  name="newspaper"
+                  size={20}
+                  color={notifications.spendingDigest && notifications.spendingDigest !== 'off' ? COLORS.primary : COLORS.textSecondary}
+                />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingLabel}>{t('settings.notifications.spendingDigest')}</Text>
+                <Text style={styles.settingDescription}>{t('settings.notifications.spendingDigestDesc')}</Text>
+                <View style={styles.digestOptions}>
+                  {DIGEST_FREQUENCIES.map((frequency) => {
+                    const selected = (notifications.spendingDigest || 'off') === frequency;
+                    return (
+                      <TouchableOpacity
+                        key={frequency}
+                        style={[styles.digestOption, selected && styles.digestOptionActive]}
+                        onPress={() => handleNotificationToggle('spendingDigest', frequency)}
+                        disabled={notificationsLoading || selected}
+                        activeOpacity={0.7}
+                      >
+                        <Text style={[styles.digestOptionText, selected && styles.digestOptionTextActive]}>
+                          {t(`settings.notifications.digest.${frequency}`)}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            </View>
           </>
         )}
       </View>
@@ -952,12 +1031,42 @@ export default function SettingsScreen({ navigation }) {
               selectedCurrency={primaryCurrency}
               onSelect={handleCurrencyChange}
               label={t('settings.currencyLabel')}
-              disabled={currencyLoading}
+              disabled={currencyChangeInterrupted}
               style={styles.currencyPicker}
             />
           </View>
         </View>
 
+        {(currencyChangeInterrupted || currencyMigration?.status === CURRENCY_MIGRATION_STATUS.COMPLETED) && (
+          <TouchableOpacity
+            style={styles.settingRow}
+            onPress={() => navigation.navigate('CurrencyMigration')}
+            activeOpacity={0.7}
+          >
+            <View style={styles.settingIcon}>
+              <Ionicons
+                name={currencyChangeInterrupted ? 'alert-circle-outline' : 'swap-horizontal'}
+                size={20}
+                color={currencyChangeInterrupted ? COLORS.warning : COLORS.primary}
+              />
+            </View>
+            <View style={styles.settingContent}>
+              <Text style={styles.settingLabel}>{t('settings.currencyMigration')}</Text>
+              <Text style={styles.settingValue}>
+                {currencyMigration.status === CURRENCY_MIGRATION_STATUS.FAILED
+                  ? t('settings.currencyMigrationFailed')
+                  : currencyChangeInterrupted
+                    ? t('settings.currencyMigrationInterrupted')
+                    : t('settings.currencyMigrationLast', {
+                      from: currencyMigration.fromCurrency,
+                      to: currencyMigration.toCurrency,
+                    })}
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={COLORS.textSecondary} />
+          </TouchableOpacity>
+        )}
+
         <View style={styles.settingRow}>
           <View style={styles.settingIcon}>
             <Ionicons name="pie-chart" size={20} color={COLORS.primary} />
@@ -1308,13 +1417,8 @@ export default function SettingsScreen({ navigation }) {
               <TouchableOpacity
                 style={[styles.modalButton, styles.modalButtonPrimary]}
                 onPress={confirmCurrencyChange}
-                disabled={currencyLoading}
               >
-                {currencyLoading ? (
-                  <ActivityIndicator size="small" color={COLORS.background} />
-                ) : (
-                  <Text style={styles.modalButtonTextPrimary}>{t('settings.currencyChange.change')}</Text>
-                )}
+                <Text style={styles.modalButtonTextPrimary}>{t('settings.currencyChange.change')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -1840,6 +1944,30 @@ const styles = StyleSheet.create({
   toggleThumbActive: {
     transform: [{ translateX: 22 }],
   },
+  digestOptions: {
+    flexDirection: 'row',
+    gap: SPACING.small,
+    marginTop: SPACING.small,
+  },
+  digestOption: {
+    paddingVertical: 6,
+    paddingHorizontal: SPACING.base,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  digestOptionActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  digestOptionText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+  },
+  digestOptionTextActive: {
+    color: COLORS.textWhite,
+    fontWeight: FONTS.weights.semibold,
+  },
   // Account management styles
   dangerRow: {
     borderTopWidth: 1,
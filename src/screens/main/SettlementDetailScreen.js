@@ -14,20 +14,26 @@ import {
   ActivityIndicator,
   TouchableOpacity,
   FlatList,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
 import { COLORS, FONTS, SPACING, SIZES } from '../../constants/theme';
 import { useAuth } from '../../contexts/AuthContext';
 import { useBudget } from '../../contexts/BudgetContext';
 import { formatCurrency, formatDate } from '../../utils/calculations';
 import * as settlementService from '../../services/settlementService';
+import { parseDateKey } from '../../utils/recurrence';
 
 export default function SettlementDetailScreen({ route, navigation }) {
   const { settlementId } = route.params;
   const { user, userDetails } = useAuth();
   const { categories } = useBudget();
+  const { t } = useTranslation();
   const [settlement, setSettlement] = useState(null);
   const [expenses, setExpenses] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [reversing, setReversing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -45,6 +51,16 @@ export default function SettlementDetailScreen({ route, navigation }) {
       ]);
       setSettlement(settlementData);
       setExpenses(expenseData);
+
+      // Plan schedule is supplementary - the settlement still shows without it
+      if (settlementData.planId) {
+        try {
+          setPlan(await settlementService.getSettlementPlanById(settlementData.planId));
+        } catch (planError) {
+          console.error('Error loading settlement plan:', planError);
+          setPlan(null);
+        }
+      }
     } catch (error) {
       console.error('Error loading settlement details:', error);
       setError(error.message || 'Failed to load settlement details. Please try again.');
@@ -53,6 +69,32 @@ export default function SettlementDetailScreen({ route, navigation }) {
     }
   };
 
+  const handleReverse = () => {
+    Alert.alert(
+      t('settlementDetail.reverseTitle'),
+      t('settlementDetail.reverseMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('settlementDetail.reverse'),
+          style: 'destructive',
+          onPress: async () => {
+            setReversing(true);
+            try {
+              await settlementService.reverseSettlement(settlementId, user.uid);
+              await loadSettlementDetails();
+            } catch (error) {
+              console.error('Error reversing settlement:', error);
+              Alert.alert(t('common.error'), t('settlementDetail.reverseError'));
+            } finally {
+              setReversing(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   if (loading) {
     return (
       <View style={styles.centerContainer}>
@@ -168,6 +210,19 @@ export default function SettlementDetailScreen({ route, navigation }) {
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      {settlement.reversalId && (
+        <View style={styles.reversedBanner}>
+          <Ionicons name="arrow-undo" size={18} color={COLORS.error} />
+          <Text style={styles.reversedText}>
+            {t('settlementDetail.reversedOn', {
+              date: settlement.reversedAt?.toDate
+                ? formatDate(settlement.reversedAt.toDate())
+                : formatDate(new Date()),
+            })}
+          </Text>
+        </View>
+      )}
+
       {/* Header Card */}
       <View style={styles.headerCard}>
         <View style={styles.amountSection}>
@@ -198,6 +253,21 @@ export default function SettlementDetailScreen({ route, navigation }) {
           </View>
         </View>
 
+        {settlement.isPartial && (
+          <View style={styles.partialContainer}>
+            <Text style={styles.partialLabel}>
+              {t('settlementDetail.paidOf', {
+                amount: formatCurrency(settlement.amount),
+                total: formatCurrency(settlement.balanceAtSettlement),
+              })}
+            </Text>
+            <View style={styles.partialRow}>
+              <Text style={styles.partialLabel}>{t('settlementDetail.remaining')}</Text>
+              <Text style={styles.partialValue}>{formatCurrency(settlement.remainingBalance)}</Text>
+            </View>
+          </View>
+        )}
+
         {settlement.settlementPeriodDays > 0 && (
           <View style={styles.periodContainer}>
             <Ionicons name="time-outline" size={16} color={COLORS.textSecondary} />
@@ -215,6 +285,49 @@ export default function SettlementDetailScreen({ route, navigation }) {
         )}
       </View>
 
+      {/* Payment Plan */}
+      {plan && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('settlementDetail.planTitle')}</Text>
+          <View style={styles.planCard}>
+            <Text style={styles.planSummary}>
+              {t('settlementDetail.planSummary', {
+                paid: plan.paidCount || 0,
+                count: plan.instalmentCount,
+                total: formatCurrency(plan.totalAmount),
+              })}
+            </Text>
+            {plan.status === 'cancelled' && (
+              <Text style={styles.planCancelled}>{t('settlementDetail.planCancelled')}</Text>
+            )}
+            {(plan.instalments || []).map((instalment) => {
+              const isPaid = instalment.status === 'paid';
+              const isThisPayment = instalment.settlementId === settlementId;
+
+              return (
+                <View
+                  key={instalment.index}
+                  style={[styles.instalmentRow, isThisPayment && styles.instalmentRowCurrent]}
+                >
+                  <Ionicons
+                    name={isPaid ? 'checkmark-circle' : 'ellipse-outline'}
+                    size={18}
+                    color={isPaid ? COLORS.success : COLORS.textSecondary}
+                  />
+                  <Text style={styles.instalmentLabel}>
+                    {t('settlementDetail.instalmentDue', {
+                      number: instalment.index + 1,
+                      date: parseDateKey(instalment.dueDate).toLocaleDateString(),
+                    })}
+                  </Text>
+                  <Text style={styles.instalmentAmount}>{formatCurrency(instalment.amount)}</Text>
+                </View>
+              );
+            })}
+          </View>
+        </View>
+      )}
+
       {/* Budget Summary */}
       {budgetSummary.includedInBudget && (
         <View style={styles.section}>
@@ -320,6 +433,23 @@ export default function SettlementDetailScreen({ route, navigation }) {
           </View>
         </View>
       )}
+
+      {!settlement.reversalId && (
+        <TouchableOpacity
+          style={styles.reverseButton}
+          onPress={handleReverse}
+          disabled={reversing}
+        >
+          {reversing ? (
+            <ActivityIndicator size="small" color={COLORS.error} />
+          ) : (
+            <>
+              <Ionicons name="arrow-undo-outline" size={18} color={COLORS.error} />
+              <Text style={styles.reverseButtonText}>{t('settlementDetail.reverse')}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      )}
     </ScrollView>
   );
 }
@@ -464,9 +594,99 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontStyle: 'italic',
   },
+  reversedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    backgroundColor: COLORS.error + '15',
+    borderRadius: 8,
+    padding: SPACING.medium,
+    marginBottom: SPACING.base,
+  },
+  reversedText: {
+    ...FONTS.small,
+    color: COLORS.error,
+    fontWeight: '600',
+    flex: 1,
+  },
+  reverseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.small,
+    borderWidth: 1,
+    borderColor: COLORS.error,
+    borderRadius: 8,
+    paddingVertical: SPACING.medium,
+    marginTop: SPACING.small,
+    marginBottom: SPACING.large,
+  },
+  reverseButtonText: {
+    ...FONTS.body,
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+  partialContainer: {
+    marginTop: SPACING.base,
+    padding: SPACING.medium,
+    borderRadius: 8,
+    backgroundColor: COLORS.warning + '15',
+    gap: SPACING.tiny,
+  },
+  partialRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  partialLabel: {
+    ...FONTS.small,
+    color: COLORS.text,
+  },
+  partialValue: {
+    ...FONTS.small,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
   section: {
     marginBottom: SPACING.base,
   },
+  planCard: {
+    backgroundColor: COLORS.cardBackground,
+    borderRadius: 12,
+    padding: SPACING.base,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  planSummary: {
+    ...FONTS.body,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  planCancelled: {
+    ...FONTS.small,
+    color: COLORS.error,
+    marginBottom: SPACING.small,
+  },
+  instalmentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.tiny,
+    borderRadius: 6,
+  },
+  instalmentRowCurrent: {
+    backgroundColor: COLORS.primary + '10',
+  },
+  instalmentLabel: {
+    ...FONTS.small,
+    color: COLORS.text,
+    flex: 1,
+  },
+  instalmentAmount: {
+    ...FONTS.small,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
   sectionTitle: {
     ...FONTS.title,
     fontSize: 18,
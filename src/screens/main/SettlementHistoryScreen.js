@@ -13,13 +13,17 @@ import {
   FlatList,
   TouchableOpacity,
   ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
 import { COLORS, FONTS, SPACING } from '../../constants/theme';
 import { useAuth } from '../../contexts/AuthContext';
 import { useBudget } from '../../contexts/BudgetContext';
 import { formatCurrency, formatDate } from '../../utils/calculations';
 import * as settlementService from '../../services/settlementService';
+import { getExpenses } from '../../services/expenseService';
+import { parseDateKey } from '../../utils/recurrence';
 import SettlementFilters from '../../components/SettlementFilters';
 import {
   getDefaultSettlementFilters,
@@ -28,8 +32,11 @@ import {
 
 export default function SettlementHistoryScreen({ navigation }) {
   const { user, userDetails } = useAuth();
-  const { categories } = useBudget();
+  const { categories, currentBudget } = useBudget();
+  const { t } = useTranslation();
   const [settlements, setSettlements] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [recordingPlanId, setRecordingPlanId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
@@ -65,6 +72,74 @@ export default function SettlementHistoryScreen({ navigation }) {
     return () => unsubscribe();
   }, [userDetails?.coupleId]);
 
+  // Real-time subscription to settlement plans
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      return;
+    }
+
+    const unsubscribe = settlementService.subscribeToSettlementPlans(
+      userDetails.coupleId,
+      setPlans,
+      (error) => {
+        // Plans are secondary to the history list - keep showing settlements
+        console.error('Error in settlement plans subscription:', error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [userDetails?.coupleId]);
+
+  const activePlans = plans.filter((plan) => plan.status === 'active');
+
+  const handleRecordInstalment = async (plan) => {
+    const instalment = settlementService.getNextPendingInstalment(plan);
+    if (!instalment) return;
+
+    setRecordingPlanId(plan.id);
+    try {
+      const { expenses } = await getExpenses(userDetails.coupleId);
+      await settlementService.recordPlanInstalment(plan.id, instalment.index, {
+        user1Id: user.uid,
+        user2Id: userDetails.partnerId,
+        note: t('settlementHistory.instalmentNote', {
+          number: instalment.index + 1,
+          count: plan.instalmentCount,
+        }),
+        expenses,
+        settlements,
+        categories,
+        currentBudget,
+      });
+    } catch (error) {
+      console.error('Error recording instalment:', error);
+      Alert.alert(t('common.error'), t('settlementHistory.recordInstalmentError'));
+    } finally {
+      setRecordingPlanId(null);
+    }
+  };
+
+  const handleCancelPlan = (plan) => {
+    Alert.alert(
+      t('settlementHistory.cancelPlanTitle'),
+      t('settlementHistory.cancelPlanMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('settlementHistory.cancelPlan'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await settlementService.cancelSettlementPlan(plan.id);
+            } catch (error) {
+              Alert.alert(t('common.error'), t('settlementHistory.cancelPlanError'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     setError(null);
@@ -124,6 +199,18 @@ export default function SettlementHistoryScreen({ navigation }) {
               </Text>
             </View>
           </View>
+          {item.reversalId && (
+            <View style={styles.reversedBadge}>
+              <Text style={styles.reversedBadgeText}>{t('settlementHistory.reversedBadge')}</Text>
+            </View>
+          )}
+          {item.isPartial && (
+            <View style={styles.partialBadge}>
+              <Text style={styles.partialBadgeText}>
+                {t('settlementHistory.partialBadge', { amount: formatCurrency(item.remainingBalance) })}
+              </Text>
+            </View>
+          )}
           <Text style={styles.settlementDate}>{formatDate(settledDate)}</Text>
         </View>
 
@@ -135,6 +222,14 @@ export default function SettlementHistoryScreen({ navigation }) {
               {item.expensesSettledCount || 0} expense{item.expensesSettledCount !== 1 ? 's' : ''}
             </Text>
           </View>
+          {item.planId && (
+            <View style={styles.statItem}>
+              <Ionicons name="repeat-outline" size={16} color={COLORS.textSecondary} />
+              <Text style={styles.statText}>
+                {t('settlementHistory.planInstalment', { number: (item.instalmentIndex || 0) + 1 })}
+              </Text>
+            </View>
+          )}
           {item.settlementPeriodDays > 0 && (
             <View style={styles.statItem}>
               <Ionicons name="calendar-outline" size={16} color={COLORS.textSecondary} />
@@ -213,7 +308,7 @@ export default function SettlementHistoryScreen({ navigation }) {
     );
   }
 
-  if (settlements.length === 0) {
+  if (settlements.length === 0 && activePlans.length === 0) {
     return (
       <View style={styles.centerContainer}>
         <Ionicons name="wallet-outline" size={64} color={COLORS.textSecondary} />
@@ -232,28 +327,86 @@ export default function SettlementHistoryScreen({ navigation }) {
     setFilters(newFilters);
   };
 
-  const renderListHeader = () => {
-    if (filteredSettlements.length === 0) {
-      return null;
-    }
+  const renderPlanCard = (plan) => {
+    const instalment = settlementService.getNextPendingInstalment(plan);
+    const isPayer = plan.payerId === user.uid;
+    const isRecording = recordingPlanId === plan.id;
 
     return (
-      <View style={styles.headerStats}>
-        <View style={styles.headerStatItem}>
-          <Text style={styles.headerStatValue}>{filteredSettlements.length}</Text>
-          <Text style={styles.headerStatLabel}>Total Settlements</Text>
+      <View key={plan.id} style={styles.planCard}>
+        <View style={styles.planHeader}>
+          <Ionicons name="calendar-outline" size={18} color={COLORS.primary} />
+          <Text style={styles.planTitle}>
+            {isPayer
+              ? t('settlementHistory.planYouPay', { amount: formatCurrency(plan.totalAmount) })
+              : t('settlementHistory.planPartnerPays', { amount: formatCurrency(plan.totalAmount) })}
+          </Text>
         </View>
-        <View style={styles.headerStatDivider} />
-        <View style={styles.headerStatItem}>
-          <Text style={styles.headerStatValue}>
-            {formatCurrency(filteredSettlements.reduce((sum, s) => sum + (s.amount || 0), 0))}
+        <Text style={styles.planProgress}>
+          {t('settlementHistory.planProgress', { paid: plan.paidCount || 0, count: plan.instalmentCount })}
+        </Text>
+        {instalment && (
+          <Text style={styles.planNext}>
+            {t('settlementHistory.planNextDue', {
+              amount: formatCurrency(instalment.amount),
+              date: parseDateKey(instalment.dueDate).toLocaleDateString(),
+            })}
           </Text>
-          <Text style={styles.headerStatLabel}>Total Amount</Text>
+        )}
+        <View style={styles.planActions}>
+          <TouchableOpacity onPress={() => handleCancelPlan(plan)} disabled={isRecording}>
+            <Text style={styles.planCancelText}>{t('settlementHistory.cancelPlan')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.planRecordButton}
+            onPress={() => handleRecordInstalment(plan)}
+            disabled={isRecording}
+          >
+            {isRecording ? (
+              <ActivityIndicator size="small" color={COLORS.background} />
+            ) : (
+              <Text style={styles.planRecordText}>{t('settlementHistory.recordInstalment')}</Text>
+            )}
+          </TouchableOpacity>
         </View>
       </View>
     );
   };
 
+  const renderListHeader = () => {
+    const plansSection = activePlans.length > 0 && (
+      <View style={styles.plansSection}>
+        <Text style={styles.plansSectionTitle}>{t('settlementHistory.activePlans')}</Text>
+        {activePlans.map(renderPlanCard)}
+      </View>
+    );
+
+    if (filteredSettlements.length === 0) {
+      return plansSection || null;
+    }
+
+    return (
+      <>
+        {plansSection}
+        <View style={styles.headerStats}>
+          <View style={styles.headerStatItem}>
+            <Text style={styles.headerStatValue}>{filteredSettlements.length}</Text>
+            <Text style={styles.headerStatLabel}>Total Settlements</Text>
+          </View>
+          <View style={styles.headerStatDivider} />
+          <View style={styles.headerStatItem}>
+            <Text style={styles.headerStatValue}>
+              {formatCurrency(
+                filteredSettlements.reduce((sum, s) => sum + (s.reversalId ? 0 : s.amount || 0), 0)
+              )}
+            </Text>
+            <Text style={styles.headerStatLabel}>Total Amount</Text>
+          </View>
+        </View>
+      </>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyContainer}>
       <Ionicons name="filter-outline" size={64} color={COLORS.textSecondary} />
@@ -493,6 +646,94 @@ const styles = StyleSheet.create({
     ...FONTS.small,
     color: COLORS.textSecondary,
   },
+  reversedBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: COLORS.error + '15',
+    paddingHorizontal: SPACING.small,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginBottom: SPACING.small,
+  },
+  reversedBadgeText: {
+    ...FONTS.small,
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+  partialBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: COLORS.warning + '20',
+    paddingHorizontal: SPACING.small,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginBottom: SPACING.small,
+  },
+  partialBadgeText: {
+    ...FONTS.small,
+    color: COLORS.warning,
+    fontWeight: '600',
+  },
+  plansSection: {
+    marginBottom: SPACING.base,
+  },
+  plansSectionTitle: {
+    ...FONTS.body,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  planCard: {
+    backgroundColor: COLORS.primary + '10',
+    borderRadius: 12,
+    padding: SPACING.base,
+    marginBottom: SPACING.small,
+    borderWidth: 1,
+    borderColor: COLORS.primary + '40',
+  },
+  planHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.small,
+    marginBottom: SPACING.small,
+  },
+  planTitle: {
+    ...FONTS.body,
+    fontWeight: '600',
+    color: COLORS.text,
+    flex: 1,
+  },
+  planProgress: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  planNext: {
+    ...FONTS.small,
+    color: COLORS.text,
+    marginTop: SPACING.tiny,
+  },
+  planActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: SPACING.base,
+  },
+  planCancelText: {
+    ...FONTS.small,
+    color: COLORS.error,
+    fontWeight: '600',
+  },
+  planRecordButton: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: SPACING.base,
+    paddingVertical: SPACING.small,
+    borderRadius: 8,
+    minWidth: 120,
+    alignItems: 'center',
+  },
+  planRecordText: {
+    ...FONTS.small,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
   noteText: {
     ...FONTS.small,
     color: COLORS.textSecondary,
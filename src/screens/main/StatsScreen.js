@@ -43,9 +43,12 @@ import {
   groupExpensesByMonth,
   groupExpensesByCategory,
   groupExpensesBySettlementStatus,
+  groupExpensesByTag,
+  calculateTagBreakdown,
   generateReportSummary,
   getDefaultFilters,
 } from '../../utils/reportFilters';
+import { excludeDeletedExpenses } from '../../utils/expenseTrash';
 import ExpenseFilters from '../../components/ExpenseFilters';
 import ExportButton from '../../components/ExportButton';
 import ExpenseDetailModal from '../../components/ExpenseDetailModal';
@@ -56,11 +59,11 @@ const isSmallScreen = screenWidth < 375;
 const isMediumScreen = screenWidth >= 375 && screenWidth < 768;
 const isLargeScreen = screenWidth >= 768;
 
-export default function StatsScreen() {
+export default function StatsScreen({ navigation }) {
   const { t } = useTranslation();
   const { user, userDetails, getPartnerDetails } = useAuth();
   const insets = useSafeAreaInsets();
-  const { categories, budgetProgress } = useBudget();
+  const { categories, tags, budgetProgress } = useBudget();
   const [expenses, setExpenses] = useState([]);
   const [settlements, setSettlements] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -72,7 +75,7 @@ export default function StatsScreen() {
   // New state for advanced filtering and reporting
   const [filters, setFilters] = useState(getDefaultFilters());
   const [sortBy, setSortBy] = useState('date-desc'); // 'date-desc', 'date-asc', 'amount-desc', 'amount-asc', 'category'
-  const [groupBy, setGroupBy] = useState('none'); // 'none', 'month', 'category', 'status'
+  const [groupBy, setGroupBy] = useState('none'); // 'none', 'month', 'category', 'status', 'tag'
   const [selectedExpense, setSelectedExpense] = useState(null); // For detail modal
   const [showDetailModal, setShowDetailModal] = useState(false);
 
@@ -120,7 +123,7 @@ export default function StatsScreen() {
         });
 
         if (__DEV__) console.log(`Stats: Loaded ${expensesList.length} expenses`);
-        setExpenses(expensesList);
+        setExpenses(excludeDeletedExpenses(expensesList));
         setError(null);
         setLoading(false);
         setRefreshing(false);
@@ -208,8 +211,14 @@ export default function StatsScreen() {
     groupedExpenses = groupExpensesByCategory(sortedFilteredExpenses, categories);
   } else if (groupBy === 'status') {
     groupedExpenses = groupExpensesBySettlementStatus(sortedFilteredExpenses);
+  } else if (groupBy === 'tag') {
+    groupedExpenses = groupExpensesByTag(sortedFilteredExpenses, tags);
   }
 
+  // Tag totals overlap (an expense can carry several tags), so they are shown separately
+  const tagBreakdown = calculateTagBreakdown(filteredExpenses, tags);
+  const hasTags = Object.keys(tags || {}).length > 0;
+
   // Sort categories by total amount
   const sortedCategories = Object.entries(categoryTotals).sort(([, a], [, b]) => b - a);
 
@@ -288,6 +297,18 @@ export default function StatsScreen() {
               {t('stats.grouping.status')}
             </Text>
           </TouchableOpacity>
+          {hasTags && (
+            <TouchableOpacity
+              style={[styles.sortButton, groupBy === 'tag' && styles.sortButtonActive]}
+              onPress={() => setGroupBy('tag')}
+            >
+              <Text
+                style={[styles.sortButtonText, groupBy === 'tag' && styles.sortButtonTextActive]}
+              >
+                {t('stats.grouping.tag')}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     </View>
@@ -437,6 +458,38 @@ export default function StatsScreen() {
     );
   };
 
+  const renderTagItem = tagItem => (
+    <View key={tagItem.key} style={styles.categoryItem}>
+      <View style={styles.categoryDetails}>
+        <View style={styles.categoryHeader}>
+          <View style={styles.tagNameRow}>
+            <View style={[styles.tagDot, { backgroundColor: tagItem.color || COLORS.primary }]} />
+            <Text style={styles.categoryName}>{tagItem.name}</Text>
+          </View>
+          <Text style={styles.categoryAmount}>{formatCurrency(tagItem.total)}</Text>
+        </View>
+
+        <View style={styles.progressBarContainer}>
+          <View
+            style={[
+              styles.progressBar,
+              {
+                width: `${Math.min(tagItem.percentage, 100)}%`,
+                backgroundColor: tagItem.color || COLORS.primary,
+              },
+            ]}
+          />
+        </View>
+
+        <Text style={styles.categoryPercentage}>
+          {t('stats.tags.count', { count: tagItem.count })}
+          {' · '}
+          {t('stats.breakdown.percentage', { percentage: tagItem.percentage.toFixed(1) })}
+        </Text>
+      </View>
+    </View>
+  );
+
   const renderSettlementItem = settlement => {
     const settledAt = settlement.settledAt?.toDate ? settlement.settledAt.toDate() : new Date();
     const dateStr = settledAt.toLocaleDateString();
@@ -494,8 +547,19 @@ export default function StatsScreen() {
       >
         {/* Header */}
         <View style={[styles.header, { paddingTop: Platform.OS === 'web' ? SPACING.base : Math.max(insets.top, 10) }]}>
-          <Text style={styles.headerTitle}>{t('stats.title')}</Text>
-          <Text style={styles.headerSubtitle}>{t('stats.subtitle')}</Text>
+          <View style={styles.headerRow}>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle}>{t('stats.title')}</Text>
+              <Text style={styles.headerSubtitle}>{t('stats.subtitle')}</Text>
+            </View>
+            <TouchableOpacity
+              style={styles.searchButton}
+              onPress={() => navigation.navigate('SearchExpenses')}
+              accessibilityLabel={t('search.title')}
+            >
+              <Ionicons name="search-outline" size={24} color={COLORS.primary} />
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Error Message */}
@@ -527,6 +591,7 @@ export default function StatsScreen() {
                   partnerDetails={partnerDetails}
                   filters={filters}
                   categories={categories}
+                  tags={tags}
                 />
               </View>
             )}
@@ -583,6 +648,23 @@ export default function StatsScreen() {
               </View>
             )}
 
+            {/* Tag Breakdown */}
+            {filteredExpenses.length > 0 && tagBreakdown.items.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>{t('stats.tags.title')}</Text>
+                <Text style={styles.sectionSubtitle}>{t('stats.tags.subtitle')}</Text>
+                {tagBreakdown.items.map(renderTagItem)}
+                {tagBreakdown.untaggedCount > 0 && (
+                  <Text style={styles.emptyText}>
+                    {t('stats.tags.untagged', {
+                      amount: formatCurrency(tagBreakdown.untaggedTotal),
+                      count: tagBreakdown.untaggedCount,
+                    })}
+                  </Text>
+                )}
+              </View>
+            )}
+
             {/* Settlement History */}
             {settlements.length > 0 && (
               <View style={styles.section}>
@@ -634,6 +716,19 @@ const styles = StyleSheet.create({
     // paddingTop is set dynamically via inline style using safe area insets
     paddingBottom: SPACING.base,
   },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+  },
+  searchButton: {
+    padding: SPACING.small,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary + '15',
+  },
   headerTitle: {
     ...FONTS.heading,
     fontSize: isSmallScreen ? 24 : 28,
@@ -903,6 +998,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: SPACING.base,
   },
+  tagNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexShrink: 1,
+  },
+  tagDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: SPACING.small,
+  },
   categoryIconText: {
     fontSize: isSmallScreen ? 20 : 24,
   },
@@ -0,0 +1,353 @@
+// src/screens/main/TagManagerScreen.js
+// Screen for managing expense tags (add, rename, recolor, delete)
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useBudget } from '../../contexts/BudgetContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import { TAG_COLORS } from '../../services/tagService';
+
+export default function TagManagerScreen() {
+  const { t } = useTranslation();
+  const { tags, addTag, updateTag, deleteTag } = useBudget();
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingTag, setEditingTag] = useState(null);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(TAG_COLORS[0]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const tagArray = Object.values(tags || {}).sort((a, b) => a.name.localeCompare(b.name));
+
+  const openModal = (tag = null) => {
+    setEditingTag(tag);
+    setName(tag?.name || '');
+    setColor(tag?.color || TAG_COLORS[tagArray.length % TAG_COLORS.length]);
+    setFormError('');
+    setModalVisible(true);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setFormError(t('tagManager.nameRequired'));
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (editingTag) {
+        await updateTag(editingTag.key, { name, color });
+      } else {
+        await addTag({ name, color });
+      }
+      setModalVisible(false);
+    } catch (error) {
+      setFormError(error.message || t('tagManager.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (tag) => {
+    Alert.alert(
+      t('tagManager.deleteTitle'),
+      t('tagManager.deleteMessage', { name: tag.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTag(tag.key);
+            } catch (error) {
+              Alert.alert(t('common.error'), error.message || t('tagManager.deleteError'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('tagManager.title')}</Text>
+          <Text style={styles.subtitle}>{t('tagManager.subtitle')}</Text>
+        </View>
+
+        <TouchableOpacity style={styles.primaryButton} onPress={() => openModal()} activeOpacity={0.8}>
+          <Text style={styles.primaryButtonText}>{t('tagManager.addTag')}</Text>
+        </TouchableOpacity>
+
+        {/* Tag List */}
+        <View style={styles.tagList}>
+          {tagArray.map((tag) => (
+            <View key={tag.key} style={styles.tagRow}>
+              <View style={[styles.colorDot, { backgroundColor: tag.color || TAG_COLORS[0] }]} />
+              <Text style={styles.tagName} numberOfLines={1}>{tag.name}</Text>
+              <TouchableOpacity
+                onPress={() => openModal(tag)}
+                style={styles.iconButton}
+                accessibilityLabel={t('common.edit')}
+              >
+                <Ionicons name="create-outline" size={20} color={COLORS.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleDelete(tag)}
+                style={styles.iconButton}
+                accessibilityLabel={t('common.delete')}
+              >
+                <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+
+        {tagArray.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateIcon}>🏷️</Text>
+            <Text style={styles.emptyStateText}>{t('tagManager.noTagsTitle')}</Text>
+            <Text style={styles.emptyStateSubtext}>{t('tagManager.noTagsText')}</Text>
+          </View>
+        )}
+      </ScrollView>
+
+      {/* Tag Modal */}
+      <Modal visible={modalVisible} animationType="slide" transparent onRequestClose={() => setModalVisible(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {editingTag ? t('tagManager.editTitle') : t('tagManager.addTitle')}
+            </Text>
+
+            <Text style={styles.label}>{t('tagManager.nameLabel')}</Text>
+            <TextInput
+              style={[styles.input, formError && styles.inputError]}
+              placeholder={t('tagManager.namePlaceholder')}
+              value={name}
+              onChangeText={(text) => {
+                setName(text);
+                setFormError('');
+              }}
+              maxLength={30}
+              autoFocus
+            />
+
+            <Text style={styles.label}>{t('tagManager.colorLabel')}</Text>
+            <View style={styles.colorRow}>
+              {TAG_COLORS.map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.colorOption, { backgroundColor: option }, color === option && styles.colorOptionSelected]}
+                  onPress={() => setColor(option)}
+                >
+                  {color === option && <Ionicons name="checkmark" size={18} color={COLORS.textWhite} />}
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {formError ? <Text style={styles.errorText}>{formError}</Text> : null}
+
+            <View style={styles.buttonContainer}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton]}
+                onPress={() => setModalVisible(false)}
+                disabled={saving}
+              >
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton, saving && styles.buttonDisabled]}
+                onPress={handleSave}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator color={COLORS.textWhite} />
+                ) : (
+                  <Text style={styles.saveButtonText}>{t('common.save')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  primaryButton: {
+    ...COMMON_STYLES.primaryButton,
+    marginBottom: SPACING.large,
+  },
+  primaryButtonText: {
+    ...COMMON_STYLES.primaryButtonText,
+  },
+  tagList: {
+    gap: SPACING.small,
+  },
+  tagRow: {
+    ...COMMON_STYLES.card,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  colorDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginRight: SPACING.medium,
+  },
+  tagName: {
+    flex: 1,
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  iconButton: {
+    padding: SPACING.small,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SPACING.xxlarge * 2,
+  },
+  emptyStateIcon: {
+    fontSize: 64,
+    marginBottom: SPACING.medium,
+    opacity: 0.5,
+  },
+  emptyStateText: {
+    fontSize: FONTS.sizes.title,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  emptyStateSubtext: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textTertiary,
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.screenPadding,
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    borderRadius: SIZES.borderRadius.large,
+    padding: SPACING.xlarge,
+    width: '100%',
+    maxWidth: 500,
+  },
+  modalTitle: {
+    fontSize: FONTS.sizes.heading,
+    fontWeight: FONTS.weights.bold,
+    color: COLORS.text,
+    marginBottom: SPACING.large,
+  },
+  label: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  input: {
+    ...COMMON_STYLES.input,
+    marginBottom: SPACING.large,
+  },
+  inputError: {
+    borderColor: COLORS.error,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.medium,
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  colorOptionSelected: {
+    borderWidth: 3,
+    borderColor: COLORS.text,
+  },
+  errorText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.error,
+    marginTop: SPACING.medium,
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    gap: SPACING.medium,
+    marginTop: SPACING.xlarge,
+  },
+  button: {
+    flex: 1,
+    height: 48,
+    borderRadius: SIZES.borderRadius.medium,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cancelButton: {
+    ...COMMON_STYLES.secondaryButton,
+  },
+  cancelButtonText: {
+    ...COMMON_STYLES.secondaryButtonText,
+  },
+  saveButton: {
+    ...COMMON_STYLES.primaryButton,
+  },
+  saveButtonText: {
+    ...COMMON_STYLES.primaryButtonText,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
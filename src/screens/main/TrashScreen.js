@@ -0,0 +1,314 @@
+// src/screens/main/TrashScreen.js
+// Expenses either partner deleted in the last 30 days, with restore and
+// delete forever; older ones are purged by the purgeDeletedExpenses function
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../contexts/AuthContext';
+import { useBudget } from '../../contexts/BudgetContext';
+import { COLORS, FONTS, SPACING, SIZES, COMMON_STYLES } from '../../constants/theme';
+import {
+  getTrashedExpenses,
+  restoreExpenseFromTrash,
+  permanentlyDeleteExpense,
+} from '../../services/expenseService';
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from '../../utils/expenseTrash';
+import { formatCurrency, formatDate } from '../../utils/calculations';
+
+export default function TrashScreen() {
+  const { t } = useTranslation();
+  const { user, userDetails, getPartnerDetails } = useAuth();
+  const { categories } = useBudget();
+  const coupleId = userDetails?.coupleId;
+
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [partnerName, setPartnerName] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    getPartnerDetails().then((partner) => setPartnerName(partner?.displayName || null));
+  }, [userDetails?.partnerId]);
+
+  const loadTrash = useCallback(async () => {
+    if (!coupleId) return;
+
+    try {
+      setExpenses(await getTrashedExpenses(coupleId));
+    } catch (error) {
+      Alert.alert(t('common.error'), t('trash.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [coupleId, t]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadTrash();
+    setRefreshing(false);
+  };
+
+  const handleRestore = async (expense) => {
+    try {
+      setBusyId(expense.id);
+      await restoreExpenseFromTrash(expense.id);
+      setExpenses((prev) => prev.filter((item) => item.id !== expense.id));
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('trash.restoreError'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteForever = (expense) => {
+    Alert.alert(
+      t('trash.deleteForeverTitle'),
+      t('trash.deleteForeverMessage', { description: expense.description || t('trash.untitled') }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('trash.deleteForever'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setBusyId(expense.id);
+              await permanentlyDeleteExpense(expense.id);
+              setExpenses((prev) => prev.filter((item) => item.id !== expense.id));
+            } catch (error) {
+              Alert.alert(t('common.error'), error.message || t('trash.deleteForeverError'));
+            } finally {
+              setBusyId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const getDeletedByName = (expense) => {
+    if (expense.deletedBy === user?.uid) return t('trash.you');
+    return partnerName || t('trash.partner');
+  };
+
+  const renderExpense = (expense) => {
+    const category = categories?.[expense.categoryKey || expense.category];
+    const daysLeft = getDaysUntilPurge(expense);
+    const isBusy = busyId === expense.id;
+
+    return (
+      <View key={expense.id} style={styles.expenseRow}>
+        <View style={styles.expenseIcon}>
+          <Text style={styles.expenseIconText}>{category?.icon || '🧾'}</Text>
+        </View>
+        <View style={styles.expenseContent}>
+          <Text style={styles.expenseTitle} numberOfLines={1}>
+            {expense.description || t('trash.untitled')}
+          </Text>
+          <Text style={styles.expenseDetail} numberOfLines={1}>
+            {[formatCurrency(expense.amount, expense.currency), formatDate(expense.date)].filter(Boolean).join(' • ')}
+          </Text>
+          <Text style={styles.expenseMeta}>
+            {t('trash.deletedBy', { name: getDeletedByName(expense) })}
+            {' · '}
+            <Text style={daysLeft <= 3 ? styles.expiringText : null}>
+              {t('trash.daysLeft', { count: daysLeft })}
+            </Text>
+          </Text>
+          <View style={styles.actionRow}>
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={() => handleRestore(expense)}
+              disabled={isBusy}
+              accessibilityLabel={t('trash.restore')}
+            >
+              {isBusy ? (
+                <ActivityIndicator size="small" color={COLORS.primary} />
+              ) : (
+                <Text style={styles.restoreButtonText}>{t('trash.restore')}</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={() => handleDeleteForever(expense)}
+              disabled={isBusy}
+              accessibilityLabel={t('trash.deleteForever')}
+            >
+              <Ionicons name="trash-outline" size={16} color={COLORS.error} />
+              <Text style={styles.deleteButtonText}>{t('trash.deleteForever')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="dark" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} tintColor={COLORS.primary} />
+        }
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('trash.title')}</Text>
+          <Text style={styles.subtitle}>{t('trash.subtitle', { days: TRASH_RETENTION_DAYS })}</Text>
+        </View>
+
+        {loading && coupleId ? (
+          <ActivityIndicator color={COLORS.primary} style={styles.loader} />
+        ) : (
+          <View style={styles.expenseList}>
+            {expenses.map(renderExpense)}
+          </View>
+        )}
+
+        {!loading && expenses.length === 0 && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateIcon}>🗑️</Text>
+            <Text style={styles.emptyStateText}>{t('trash.emptyTitle')}</Text>
+            <Text style={styles.emptyStateSubtext}>{t('trash.emptyText')}</Text>
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...COMMON_STYLES.container,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: SPACING.screenPadding,
+  },
+  header: {
+    marginBottom: SPACING.large,
+  },
+  title: {
+    ...COMMON_STYLES.heading,
+    marginBottom: SPACING.small,
+  },
+  subtitle: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textSecondary,
+  },
+  loader: {
+    marginTop: SPACING.xlarge,
+  },
+  expenseList: {
+    gap: SPACING.small,
+  },
+  expenseRow: {
+    ...COMMON_STYLES.card,
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: SPACING.medium,
+  },
+  expenseIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.error + '15',
+  },
+  expenseIconText: {
+    fontSize: 18,
+  },
+  expenseContent: {
+    flex: 1,
+  },
+  expenseTitle: {
+    fontSize: FONTS.sizes.body,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.text,
+  },
+  expenseDetail: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.tiny,
+  },
+  expenseMeta: {
+    fontSize: FONTS.sizes.tiny,
+    color: COLORS.textTertiary,
+    marginTop: SPACING.tiny,
+  },
+  expiringText: {
+    color: COLORS.error,
+    fontWeight: FONTS.weights.semibold,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: SPACING.small,
+    marginTop: SPACING.small,
+  },
+  restoreButton: {
+    paddingVertical: SPACING.tiny,
+    paddingHorizontal: SPACING.small,
+    borderRadius: SIZES.borderRadius.small,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  restoreButtonText: {
+    fontSize: FONTS.sizes.small,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.primary,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.tiny,
+    paddingVertical: SPACING.tiny,
+    paddingHorizontal: SPACING.small,
+  },
+  deleteButtonText: {
+    fontSize: FONTS.sizes.small,
+    color: COLORS.error,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: SPACING.xxlarge * 2,
+  },
+  emptyStateIcon: {
+    fontSize: 64,
+    marginBottom: SPACING.medium,
+    opacity: 0.5,
+  },
+  emptyStateText: {
+    fontSize: FONTS.sizes.title,
+    fontWeight: FONTS.weights.semibold,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.small,
+  },
+  emptyStateSubtext: {
+    fontSize: FONTS.sizes.body,
+    color: COLORS.textTertiary,
+    textAlign: 'center',
+  },
+});
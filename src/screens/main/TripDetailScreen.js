@@ -0,0 +1,450 @@
+/**
+ * TripDetailScreen.js
+ *
+ * Summary of a single trip or event: spending against its budget, category
+ * breakdown, what each partner owes for the trip and its expenses
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import { useBudget } from '../../contexts/BudgetContext';
+import { formatCurrency, formatDate } from '../../utils/calculations';
+import { formatCurrency as formatInCurrency } from '../../utils/currencyUtils';
+import * as tripService from '../../services/tripService';
+import { subscribeToSettlements } from '../../services/settlementService';
+
+export default function TripDetailScreen({ route, navigation }) {
+  const { tripId } = route.params;
+  const { user, userDetails } = useAuth();
+  const { categories } = useBudget();
+  const { t } = useTranslation();
+  const [trip, setTrip] = useState(null);
+  const [expenses, setExpenses] = useState([]);
+  const [settlements, setSettlements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [settling, setSettling] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTrip = async () => {
+    try {
+      setError(null);
+      const tripData = await tripService.getTripById(tripId);
+      const tripExpenses = await tripService.getTripExpenses(tripData.coupleId, tripId);
+      setTrip(tripData);
+      setExpenses(tripExpenses);
+      navigation.setOptions({ title: tripData.name });
+    } catch (err) {
+      console.error('Error loading trip:', err);
+      setError(err.message || t('trips.loadError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload when coming back from adding or editing a trip expense
+  useFocusEffect(
+    useCallback(() => {
+      loadTrip();
+    }, [tripId])
+  );
+
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      return;
+    }
+
+    const unsubscribe = subscribeToSettlements(userDetails.coupleId, setSettlements, (err) => {
+      console.error('Error in settlements subscription:', err);
+    });
+
+    return () => unsubscribe();
+  }, [userDetails?.coupleId]);
+
+  const handleSettle = (summary) => {
+    const amount = formatCurrency(Math.abs(summary.balance));
+    Alert.alert(
+      t('trips.detail.settleTitle'),
+      summary.balance > 0
+        ? t('trips.detail.settleMessagePartnerPays', { amount })
+        : t('trips.detail.settleMessageYouPay', { amount }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('trips.detail.settle'),
+          onPress: async () => {
+            setSettling(true);
+            try {
+              await tripService.settleTrip(trip, {
+                user1Id: user.uid,
+                user2Id: userDetails.partnerId,
+                note: t('trips.detail.settlementNote', { name: trip.name }),
+                expenses,
+                settlements,
+                categories,
+              });
+              await loadTrip();
+            } catch (err) {
+              console.error('Error settling trip:', err);
+              Alert.alert(t('common.error'), err.message || t('trips.detail.settleError'));
+            } finally {
+              setSettling(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleToggleArchive = async () => {
+    try {
+      await tripService.setTripStatus(trip.id, trip.status === 'archived' ? 'active' : 'archived');
+      await loadTrip();
+    } catch (err) {
+      Alert.alert(t('common.error'), err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  if (error || !trip) {
+    return (
+      <View style={styles.centerContainer}>
+        <Ionicons name="alert-circle-outline" size={64} color={COLORS.error} />
+        <Text style={styles.errorText}>{error || t('trips.loadError')}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={loadTrip}>
+          <Text style={styles.retryButtonText}>{t('common.retry')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const summary = tripService.calculateTripSummary({
+    trip,
+    expenses,
+    settlements,
+    categories,
+    user1Id: user.uid,
+    user2Id: userDetails.partnerId,
+  });
+  const tripSettlements = tripService.getTripSettlements(settlements, trip.id);
+  const isSettled = Math.abs(summary.balance) < 0.01;
+  const dates = tripService.formatTripDates(trip);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      {/* Header Card */}
+      <View style={styles.headerCard}>
+        {dates && <Text style={styles.metaText}>{dates}</Text>}
+        <Text style={styles.totalLabel}>{t('trips.detail.totalSpent')}</Text>
+        <Text style={styles.totalValue}>{formatInCurrency(summary.tripCurrencyTotal, trip.currency)}</Text>
+        {summary.unconvertedCount > 0 && (
+          <Text style={styles.metaText}>
+            {t('trips.detail.unconverted', { count: summary.unconvertedCount })}
+          </Text>
+        )}
+        <Text style={styles.metaText}>{t('trips.expenseCount', { count: summary.expenseCount })}</Text>
+
+        {summary.budget !== null && (
+          <View style={styles.budgetContainer}>
+            <View style={styles.progressBar}>
+              <View
+                style={[
+                  styles.progressFill,
+                  {
+                    width: `${Math.min(summary.budgetPercentage, 100)}%`,
+                    backgroundColor: summary.isOverBudget ? COLORS.error : COLORS.success,
+                  },
+                ]}
+              />
+            </View>
+            <Text style={[styles.metaText, summary.isOverBudget && styles.overBudgetText]}>
+              {summary.isOverBudget
+                ? t('trips.detail.overBudget', {
+                  amount: formatInCurrency(Math.abs(summary.budgetRemaining), trip.currency),
+                })
+                : t('trips.detail.budgetRemaining', {
+                  amount: formatInCurrency(summary.budgetRemaining, trip.currency),
+                  budget: formatInCurrency(summary.budget, trip.currency),
+                })}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {/* Trip Balance */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('trips.detail.balance')}</Text>
+        <View style={styles.card}>
+          <Text style={styles.balanceText}>
+            {isSettled
+              ? t('trips.detail.settled')
+              : summary.balance > 0
+                ? t('trips.detail.partnerOwes', { amount: formatCurrency(summary.balance) })
+                : t('trips.detail.youOwe', { amount: formatCurrency(Math.abs(summary.balance)) })}
+          </Text>
+          {!isSettled && (
+            <TouchableOpacity
+              style={[styles.primaryButton, settling && styles.buttonDisabled]}
+              onPress={() => handleSettle(summary)}
+              disabled={settling}
+              testID="trip-settle"
+            >
+              {settling ? (
+                <ActivityIndicator color={COLORS.background} />
+              ) : (
+                <Text style={styles.primaryButtonText}>{t('trips.detail.settle')}</Text>
+              )}
+            </TouchableOpacity>
+          )}
+          {tripSettlements.map((settlement) => (
+            <TouchableOpacity
+              key={settlement.id}
+              style={styles.row}
+              onPress={() => navigation.navigate('SettlementDetail', { settlementId: settlement.id })}
+            >
+              <Ionicons name="checkmark-circle" size={18} color={COLORS.success} />
+              <Text style={styles.rowLabel}>
+                {settlement.settledAt?.toDate ? formatDate(settlement.settledAt.toDate()) : ''}
+              </Text>
+              <Text style={styles.rowValue}>{formatCurrency(settlement.amount)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {/* Category Breakdown */}
+      {Object.keys(summary.categoryBreakdown).length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('trips.detail.categories')}</Text>
+          <View style={styles.card}>
+            {Object.entries(summary.categoryBreakdown)
+              .sort(([, a], [, b]) => b.totalAmount - a.totalAmount)
+              .map(([categoryKey, data]) => (
+                <View key={categoryKey} style={styles.row}>
+                  <Text style={styles.rowIcon}>{data.icon}</Text>
+                  <Text style={styles.rowLabel}>{data.categoryName}</Text>
+                  <Text style={styles.rowValue}>{formatCurrency(data.totalAmount)}</Text>
+                </View>
+              ))}
+          </View>
+        </View>
+      )}
+
+      {/* Expenses */}
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>{t('trips.detail.expenses')}</Text>
+          {trip.status === 'active' && (
+            <TouchableOpacity
+              onPress={() => navigation.navigate('AddExpense', { tripId: trip.id })}
+              testID="trip-add-expense"
+            >
+              <Text style={styles.linkText}>{t('trips.detail.addExpense')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <View style={styles.card}>
+          {expenses.length === 0 ? (
+            <Text style={styles.metaText}>{t('trips.detail.noExpenses')}</Text>
+          ) : (
+            expenses.map((expense) => {
+              const category = categories[expense.categoryKey || expense.category || 'other'];
+              return (
+                <View key={expense.id} style={styles.row}>
+                  <Text style={styles.rowIcon}>{category?.icon || '💡'}</Text>
+                  <View style={styles.rowDetails}>
+                    <Text style={styles.rowLabel} numberOfLines={1}>
+                      {expense.description || t('trips.detail.noDescription')}
+                    </Text>
+                    <Text style={styles.metaText}>
+                      {expense.paidBy === user.uid ? t('trips.detail.youPaid') : t('trips.detail.partnerPaid')}
+                    </Text>
+                  </View>
+                  <Text style={styles.rowValue}>
+                    {formatInCurrency(expense.amount, expense.currency || trip.currency)}
+                  </Text>
+                </View>
+              );
+            })
+          )}
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.secondaryButton} onPress={handleToggleArchive}>
+        <Text style={styles.secondaryButtonText}>
+          {trip.status === 'archived' ? t('trips.detail.reopen') : t('trips.detail.archive')}
+        </Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  contentContainer: {
+    padding: SPACING.base,
+    paddingBottom: SPACING.xxlarge,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xlarge,
+  },
+  errorText: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.base,
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: SPACING.base,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.large,
+    borderRadius: 8,
+    backgroundColor: COLORS.primary,
+  },
+  retryButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  headerCard: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.large,
+    alignItems: 'center',
+  },
+  totalLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+  },
+  totalValue: {
+    ...FONTS.large,
+    fontSize: FONTS.sizes.large,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  metaText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  overBudgetText: {
+    color: COLORS.error,
+  },
+  budgetContainer: {
+    alignSelf: 'stretch',
+    marginTop: SPACING.base,
+  },
+  progressBar: {
+    height: 8,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  section: {
+    marginTop: SPACING.large,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    ...FONTS.title,
+    color: COLORS.text,
+    marginBottom: SPACING.small,
+  },
+  linkText: {
+    ...FONTS.body,
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  card: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.base,
+  },
+  balanceText: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.small,
+    gap: SPACING.small,
+  },
+  rowIcon: {
+    fontSize: 20,
+  },
+  rowDetails: {
+    flex: 1,
+  },
+  rowLabel: {
+    ...FONTS.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  rowValue: {
+    ...FONTS.body,
+    color: COLORS.text,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    marginTop: SPACING.base,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  primaryButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    marginTop: SPACING.xlarge,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  secondaryButtonText: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
@@ -0,0 +1,479 @@
+/**
+ * TripsScreen.js
+ *
+ * Lists the couple's trips and events and lets them start a new one
+ * Each trip shows its spending against its own budget
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { COLORS, FONTS, SPACING } from '../../constants/theme';
+import { useAuth } from '../../contexts/AuthContext';
+import * as tripService from '../../services/tripService';
+import { subscribeToExpenses } from '../../services/expenseService';
+import { getPrimaryCurrency } from '../../services/coupleSettingsService';
+import { formatCurrency } from '../../utils/currencyUtils';
+import CurrencyPicker from '../../components/CurrencyPicker';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const EMPTY_FORM = {
+  name: '',
+  currency: null,
+  budget: '',
+  startDate: '',
+  endDate: '',
+};
+
+export default function TripsScreen({ navigation }) {
+  const { user, userDetails } = useAuth();
+  const { t } = useTranslation();
+  const [trips, setTrips] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [primaryCurrency, setPrimaryCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      setLoading(false);
+      return;
+    }
+
+    const unsubscribe = tripService.subscribeToTrips(
+      userDetails.coupleId,
+      (fetchedTrips) => {
+        setTrips(fetchedTrips);
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Error in trips subscription:', err);
+        setError(t('trips.loadError'));
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [userDetails?.coupleId]);
+
+  useEffect(() => {
+    if (!userDetails?.coupleId) {
+      return;
+    }
+
+    const unsubscribe = subscribeToExpenses(userDetails.coupleId, setExpenses);
+    getPrimaryCurrency(userDetails.coupleId)
+      .then((currency) => setPrimaryCurrency(currency.code))
+      .catch((err) => console.error('Error loading primary currency:', err));
+
+    return () => unsubscribe();
+  }, [userDetails?.coupleId]);
+
+  const openForm = () => {
+    setForm({ ...EMPTY_FORM, currency: primaryCurrency });
+    setFormError('');
+    setShowForm(true);
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      setFormError(t('trips.form.nameRequired'));
+      return;
+    }
+    if ((form.startDate && !DATE_KEY_PATTERN.test(form.startDate)) ||
+        (form.endDate && !DATE_KEY_PATTERN.test(form.endDate))) {
+      setFormError(t('trips.form.invalidDate'));
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      const trip = await tripService.createTrip(userDetails.coupleId, {
+        name: form.name,
+        currency: form.currency || primaryCurrency,
+        budget: form.budget || null,
+        startDate: form.startDate || null,
+        endDate: form.endDate || null,
+        createdBy: user.uid,
+      });
+      setShowForm(false);
+      navigation.navigate('TripDetail', { tripId: trip.id });
+    } catch (err) {
+      setFormError(err.message || t('trips.form.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderTrip = ({ item }) => {
+    const { tripCurrencyTotal, budgetPercentage, isOverBudget, expenseCount } =
+      tripService.calculateTripSummary({
+        trip: item,
+        expenses,
+        settlements: [],
+        user1Id: user.uid,
+        user2Id: userDetails.partnerId,
+      });
+    const dates = tripService.formatTripDates(item);
+
+    return (
+      <TouchableOpacity
+        style={[styles.tripCard, item.status === 'archived' && styles.tripCardArchived]}
+        onPress={() => navigation.navigate('TripDetail', { tripId: item.id })}
+        activeOpacity={0.7}
+      >
+        <View style={styles.tripHeader}>
+          <Text style={styles.tripName} numberOfLines={1}>{item.name}</Text>
+          {item.status === 'archived' && (
+            <View style={styles.archivedBadge}>
+              <Text style={styles.archivedBadgeText}>{t('trips.archived')}</Text>
+            </View>
+          )}
+        </View>
+        {dates && <Text style={styles.tripMeta}>{dates}</Text>}
+        <View style={styles.tripStats}>
+          <Text style={styles.tripTotal}>{formatCurrency(tripCurrencyTotal, item.currency)}</Text>
+          <Text style={styles.tripMeta}>{t('trips.expenseCount', { count: expenseCount })}</Text>
+        </View>
+        {item.budget ? (
+          <>
+            <View style={styles.progressBar}>
+              <View
+                style={[
+                  styles.progressFill,
+                  {
+                    width: `${Math.min(budgetPercentage, 100)}%`,
+                    backgroundColor: isOverBudget ? COLORS.error : COLORS.success,
+                  },
+                ]}
+              />
+            </View>
+            <Text style={styles.tripMeta}>
+              {t('trips.budgetUsed', {
+                percentage: budgetPercentage,
+                budget: formatCurrency(item.budget, item.currency),
+              })}
+            </Text>
+          </>
+        ) : null}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {error ? (
+        <View style={styles.centerContainer}>
+          <Ionicons name="alert-circle-outline" size={64} color={COLORS.error} />
+          <Text style={styles.emptySubtitle}>{error}</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={trips}
+          keyExtractor={(item) => item.id}
+          renderItem={renderTrip}
+          contentContainerStyle={trips.length === 0 ? styles.emptyList : styles.listContent}
+          ListEmptyComponent={
+            <View style={styles.centerContainer}>
+              <Ionicons name="airplane-outline" size={64} color={COLORS.textSecondary} />
+              <Text style={styles.emptyTitle}>{t('trips.emptyTitle')}</Text>
+              <Text style={styles.emptySubtitle}>{t('trips.emptySubtitle')}</Text>
+            </View>
+          }
+        />
+      )}
+
+      <TouchableOpacity style={styles.addButton} onPress={openForm} testID="trips-add">
+        <Ionicons name="add" size={22} color={COLORS.background} />
+        <Text style={styles.addButtonText}>{t('trips.newTrip')}</Text>
+      </TouchableOpacity>
+
+      <Modal visible={showForm} animationType="slide" transparent onRequestClose={() => setShowForm(false)}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('trips.newTrip')}</Text>
+
+            <Text style={styles.inputLabel}>{t('trips.form.name')}</Text>
+            <TextInput
+              style={styles.input}
+              value={form.name}
+              onChangeText={(name) => setForm({ ...form, name })}
+              placeholder={t('trips.form.namePlaceholder')}
+              placeholderTextColor={COLORS.textSecondary}
+              maxLength={60}
+            />
+
+            <CurrencyPicker
+              selectedCurrency={form.currency || primaryCurrency}
+              onSelect={(currency) => setForm({ ...form, currency })}
+              label={t('trips.form.currency')}
+            />
+
+            <Text style={styles.inputLabel}>{t('trips.form.budget')}</Text>
+            <TextInput
+              style={styles.input}
+              value={form.budget}
+              onChangeText={(text) => {
+                const cleaned = text.replace(',', '.').replace(/[^0-9.]/g, '');
+                if (/^\d*\.?\d{0,2}$/.test(cleaned)) setForm({ ...form, budget: cleaned });
+              }}
+              keyboardType="decimal-pad"
+              placeholder={t('trips.form.optional')}
+              placeholderTextColor={COLORS.textSecondary}
+            />
+
+            <View style={styles.dateRow}>
+              <View style={styles.dateField}>
+                <Text style={styles.inputLabel}>{t('trips.form.startDate')}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={form.startDate}
+                  onChangeText={(startDate) => setForm({ ...form, startDate })}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor={COLORS.textSecondary}
+                  maxLength={10}
+                />
+              </View>
+              <View style={styles.dateField}>
+                <Text style={styles.inputLabel}>{t('trips.form.endDate')}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={form.endDate}
+                  onChangeText={(endDate) => setForm({ ...form, endDate })}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor={COLORS.textSecondary}
+                  maxLength={10}
+                />
+              </View>
+            </View>
+
+            {formError ? <Text style={styles.formError}>{formError}</Text> : null}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setShowForm(false)}>
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.saveButton, saving && styles.buttonDisabled]}
+                onPress={handleCreate}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator color={COLORS.background} />
+                ) : (
+                  <Text style={styles.saveButtonText}>{t('trips.form.create')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xlarge,
+  },
+  listContent: {
+    padding: SPACING.base,
+    paddingBottom: 96,
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  emptyTitle: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    marginTop: SPACING.base,
+    textAlign: 'center',
+  },
+  emptySubtitle: {
+    ...FONTS.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+    textAlign: 'center',
+  },
+  tripCard: {
+    backgroundColor: COLORS.background,
+    borderRadius: 12,
+    padding: SPACING.base,
+    marginBottom: SPACING.base,
+  },
+  tripCardArchived: {
+    opacity: 0.6,
+  },
+  tripHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  tripName: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    flex: 1,
+  },
+  archivedBadge: {
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.small,
+    paddingVertical: 2,
+  },
+  archivedBadgeText: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+  },
+  tripStats: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    justifyContent: 'space-between',
+    marginTop: SPACING.small,
+  },
+  tripTotal: {
+    ...FONTS.title,
+    color: COLORS.text,
+  },
+  tripMeta: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginTop: SPACING.small,
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  addButton: {
+    position: 'absolute',
+    right: SPACING.base,
+    bottom: SPACING.base,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+    borderRadius: 24,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+    gap: 4,
+  },
+  addButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: SPACING.large,
+  },
+  modalTitle: {
+    ...FONTS.heading,
+    color: COLORS.text,
+    marginBottom: SPACING.base,
+  },
+  inputLabel: {
+    ...FONTS.small,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.small,
+    marginBottom: 4,
+  },
+  input: {
+    ...FONTS.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.backgroundSecondary,
+    borderRadius: 8,
+    paddingVertical: SPACING.small,
+    paddingHorizontal: SPACING.base,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: SPACING.base,
+  },
+  dateField: {
+    flex: 1,
+  },
+  formError: {
+    ...FONTS.small,
+    color: COLORS.error,
+    marginTop: SPACING.small,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: SPACING.base,
+    marginTop: SPACING.large,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.backgroundSecondary,
+  },
+  cancelButtonText: {
+    ...FONTS.body,
+    color: COLORS.text,
+  },
+  saveButton: {
+    flex: 1,
+    paddingVertical: SPACING.base,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  saveButtonText: {
+    ...FONTS.body,
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
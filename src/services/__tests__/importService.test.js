@@ -184,7 +184,7 @@ describe('Import Service', () => {
       const mockExistingExpenses = createMockExpenses(2);
       const mockCategories = ['food', 'groceries', 'transport'];
 
-      getExpenses.mockResolvedValue(mockExistingExpenses);
+      getExpenses.mockResolvedValue({ expenses: mockExistingExpenses, lastDoc: null });
       validateTransactions.mockReturnValue({
         isValid: true,
         validCount: 3,
@@ -7,6 +7,7 @@
  * - Persist queue across app restarts
  * - Handle concurrent offline/online transitions
  * - Manage queue priority and expiration
+ * - Queue expense, settlement and budget writes and replay them in order
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -20,9 +21,16 @@ import {
   retryFailedUploads,
   isOnline,
   setNetworkState,
+  queueMutation,
+  processMutationQueue,
+  retryFailedMutations,
+  discardFailedMutations,
+  subscribeToMutationQueue,
 } from '../offlineQueueService';
 import { uploadReceipt } from '../receiptService';
 import { scanReceiptInBackground } from '../ocrService';
+import { replayExpenseMutation } from '../expenseService';
+import { replayBudgetMutation } from '../budgetService';
 
 // Mock AsyncStorage
 jest.mock('@react-native-async-storage/async-storage', () => ({
@@ -37,6 +45,11 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
 jest.mock('../receiptService');
 jest.mock('../ocrService');
 
+// Mock the services that replay queued writes
+jest.mock('../expenseService', () => ({ replayExpenseMutation: jest.fn() }));
+jest.mock('../settlementService', () => ({ replaySettlementMutation: jest.fn() }));
+jest.mock('../budgetService', () => ({ replayBudgetMutation: jest.fn() }));
+
 // Mock network info
 jest.mock('@react-native-community/netinfo', () => ({
   fetch: jest.fn(),
@@ -396,7 +409,8 @@ describe('Offline Queue Service', () => {
         { id: '1', imageUri: 'file:///receipt1.jpg', coupleId: 'couple-123', userId: 'user-123', status: 'pending' },
       ];
 
-      AsyncStorage.getItem.mockResolvedValue(JSON.stringify(queue));
+      // Receipts are queued; no writes are
+      AsyncStorage.getItem.mockImplementation(async (key) => (key === 'offline_queue' ? JSON.stringify(queue) : null));
       uploadReceipt.mockResolvedValue('https://receipt-url.com');
       scanReceiptInBackground.mockResolvedValue({
         expenseId: 'expense-123',
@@ -406,11 +420,15 @@ describe('Offline Queue Service', () => {
       const { initializeNetworkListener } = require('../offlineQueueService');
       await initializeNetworkListener({ autoProcessOnOnline: true });
 
-      // Simulate coming online
+      // Simulate going offline and coming back online
+      jest.useFakeTimers();
+      networkCallback({ isConnected: false });
       networkCallback({ isConnected: true });
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
 
       // Wait for async processing
-      await new Promise(resolve => setTimeout(resolve, 100));
+      await new Promise(resolve => setTimeout(resolve, 0));
 
       expect(uploadReceipt).toHaveBeenCalled();
     });
@@ -525,9 +543,9 @@ describe('Offline Queue Service', () => {
   describe('Queue Statistics', () => {
     it('should track upload success rate', async () => {
       const queue = [
-        { id: '1', status: 'pending', attempts: [] },
-        { id: '2', status: 'failed', attempts: [{ success: false }] },
-        { id: '3', status: 'failed', attempts: [{ success: false }, { success: false }] },
+        { id: '1', status: 'pending', retryCount: 0 },
+        { id: '2', status: 'failed', retryCount: 1 },
+        { id: '3', status: 'failed', retryCount: 2 },
       ];
 
       AsyncStorage.getItem.mockResolvedValue(JSON.stringify(queue));
@@ -555,4 +573,211 @@ describe('Offline Queue Service', () => {
       expect(stats.averageWaitTime).toBeLessThan(11000);
     });
   });
+
+  describe('Mutation Queue', () => {
+    let storedMutations;
+
+    beforeEach(() => {
+      storedMutations = null;
+      AsyncStorage.getItem.mockImplementation(async (key) => (key === 'offline_mutations' ? storedMutations : null));
+      AsyncStorage.setItem.mockImplementation(async (key, value) => {
+        if (key === 'offline_mutations') storedMutations = value;
+      });
+    });
+
+    const storeMutations = (mutations) => {
+      storedMutations = JSON.stringify(mutations);
+    };
+
+    const getSavedMutations = () => JSON.parse(storedMutations);
+
+    const queued = (overrides) => ({
+      id: overrides.entityId,
+      entity: 'expense',
+      op: 'create',
+      coupleId: 'couple-123',
+      data: { amount: 10 },
+      base: null,
+      status: 'pending',
+      retryCount: 0,
+      queuedAt: Date.now(),
+      ...overrides,
+    });
+
+    it('should persist queued writes', async () => {
+      await queueMutation({
+        entity: 'expense',
+        op: 'create',
+        entityId: 'expense-1',
+        coupleId: 'couple-123',
+        data: { amount: 25, description: 'Groceries' },
+      });
+
+      const saved = getSavedMutations();
+      expect(saved).toHaveLength(1);
+      expect(saved[0]).toMatchObject({ entityId: 'expense-1', status: 'pending', data: { amount: 25 } });
+    });
+
+    it('should reject unsupported entities and missing fields', async () => {
+      await expect(queueMutation({ entity: 'trip', entityId: '1', coupleId: 'c' }))
+        .rejects.toThrow('Unsupported offline entity: trip');
+      await expect(queueMutation({ entity: 'expense', entityId: '1' }))
+        .rejects.toThrow('Missing required fields');
+    });
+
+    it('should replay writes in order and remove them', async () => {
+      setNetworkState('online');
+      storeMutations([
+        queued({ entityId: 'expense-1' }),
+        queued({ entityId: 'budget-1', entity: 'budget', op: 'update' }),
+      ]);
+      const order = [];
+      replayExpenseMutation.mockImplementation(async (mutation) => {
+        order.push(mutation.entityId);
+        return { conflicts: [] };
+      });
+      replayBudgetMutation.mockImplementation(async (mutation) => {
+        order.push(mutation.entityId);
+        return { conflicts: ['categoryBudgets'] };
+      });
+
+      const results = await processMutationQueue();
+
+      expect(order).toEqual(['expense-1', 'budget-1']);
+      expect(results).toMatchObject({ processed: 2, successful: 2, conflicts: 1, failed: 0 });
+      expect(getSavedMutations()).toEqual([]);
+    });
+
+    it('should stop at a failed write so later writes keep their order', async () => {
+      setNetworkState('online');
+      storeMutations([
+        queued({ entityId: 'expense-1' }),
+        queued({ entityId: 'expense-2' }),
+      ]);
+      replayExpenseMutation.mockRejectedValueOnce(new Error('Network error'));
+
+      const results = await processMutationQueue();
+
+      expect(replayExpenseMutation).toHaveBeenCalledTimes(1);
+      expect(results).toMatchObject({ processed: 1, failed: 1, errors: ['Network error'] });
+      expect(getSavedMutations()[0]).toMatchObject({ entityId: 'expense-1', status: 'pending', retryCount: 1 });
+    });
+
+    it('should mark writes failed after the retry limit and move on', async () => {
+      setNetworkState('online');
+      storeMutations([
+        queued({ entityId: 'expense-1', retryCount: 2 }),
+        queued({ entityId: 'expense-2' }),
+      ]);
+      replayExpenseMutation
+        .mockRejectedValueOnce(new Error('Permission denied'))
+        .mockResolvedValueOnce({ conflicts: [] });
+
+      const results = await processMutationQueue();
+
+      expect(results).toMatchObject({ processed: 2, successful: 1, failed: 1 });
+      expect(getSavedMutations()).toEqual([
+        expect.objectContaining({ entityId: 'expense-1', status: 'failed', retryCount: 3 }),
+      ]);
+    });
+
+    it('should replay writes left syncing when the app was closed', async () => {
+      setNetworkState('online');
+      storeMutations([
+        queued({ entityId: 'expense-1', status: 'syncing' }),
+        queued({ entityId: 'expense-2' }),
+      ]);
+      replayExpenseMutation.mockResolvedValue({ conflicts: [] });
+
+      const results = await processMutationQueue();
+
+      expect(replayExpenseMutation.mock.calls.map(([mutation]) => mutation.entityId))
+        .toEqual(['expense-1', 'expense-2']);
+      expect(results).toMatchObject({ processed: 2, successful: 2 });
+      expect(getSavedMutations()).toEqual([]);
+    });
+
+    it('should retry writes that gave up', async () => {
+      setNetworkState('online');
+      storeMutations([queued({ entityId: 'expense-1', status: 'failed', retryCount: 3, error: 'Permission denied' })]);
+      replayExpenseMutation.mockResolvedValue({ conflicts: [] });
+
+      const results = await retryFailedMutations();
+
+      expect(replayExpenseMutation).toHaveBeenCalledWith(expect.objectContaining({
+        entityId: 'expense-1',
+        retryCount: 0,
+      }));
+      expect(results).toMatchObject({ processed: 1, successful: 1 });
+      expect(getSavedMutations()).toEqual([]);
+    });
+
+    it('should keep writes queued while a replay is writing', async () => {
+      setNetworkState('online');
+      storeMutations([queued({ entityId: 'expense-1' })]);
+      let finishWrite;
+      replayExpenseMutation.mockImplementationOnce(() => new Promise((resolve) => {
+        finishWrite = () => resolve({ conflicts: [] });
+      }));
+
+      const replay = processMutationQueue();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(replayExpenseMutation).toHaveBeenCalledTimes(1);
+
+      await queueMutation({
+        entity: 'settlement',
+        op: 'create',
+        entityId: 'settlement-1',
+        coupleId: 'couple-123',
+        data: { amount: 40 },
+      });
+      finishWrite();
+      await replay;
+
+      expect(getSavedMutations()).toEqual([
+        expect.objectContaining({ entityId: 'settlement-1', status: 'pending' }),
+      ]);
+    });
+
+    it('should discard only writes that gave up', async () => {
+      storeMutations([
+        queued({ entityId: 'expense-1', status: 'failed', retryCount: 3 }),
+        queued({ entityId: 'expense-2' }),
+      ]);
+
+      const discarded = await discardFailedMutations();
+
+      expect(discarded).toBe(1);
+      expect(getSavedMutations()).toEqual([expect.objectContaining({ entityId: 'expense-2' })]);
+    });
+
+    it('should not replay writes while offline', async () => {
+      setNetworkState('offline');
+      storeMutations([queued({ entityId: 'expense-1' })]);
+
+      const results = await processMutationQueue();
+
+      expect(results.message).toBe('Device is offline');
+      expect(replayExpenseMutation).not.toHaveBeenCalled();
+    });
+
+    it('should notify subscribers of the queue and sync outcomes', async () => {
+      setNetworkState('online');
+      storeMutations([queued({ entityId: 'expense-9' })]);
+      replayExpenseMutation.mockResolvedValueOnce({ conflicts: ['amount'] });
+      const callback = jest.fn();
+
+      const unsubscribe = subscribeToMutationQueue(callback);
+      await processMutationQueue();
+      unsubscribe();
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({
+        mutations: [expect.objectContaining({ entityId: 'expense-9' })],
+      }));
+      expect(callback).toHaveBeenLastCalledWith({
+        mutations: [],
+        syncStates: expect.objectContaining({ 'expense-9': 'conflict' }),
+      });
+    });
+  });
 });
@@ -6,10 +6,12 @@ import {
   deleteReceipt,
   getReceiptUrl,
   cancelUpload,
+  deleteReceiptIfOrphaned,
+  getCoupleReceipts,
 } from '../receiptService';
 
 import { ref, uploadBytesResumable, deleteObject, getDownloadURL } from 'firebase/storage';
-import { doc, getDoc } from 'firebase/firestore';
+import { doc, getDoc, getDocs, setDoc, deleteDoc, where } from 'firebase/firestore';
 
 // Mock Firebase modules
 jest.mock('firebase/storage');
@@ -343,7 +345,7 @@ describe('receiptService', () => {
       ref.mockReturnValue(mockStorageRef);
       deleteObject.mockResolvedValue();
 
-      await deleteReceipt(receiptUrl);
+      await deleteReceipt(receiptUrl, 'couple123');
 
       expect(ref).toHaveBeenCalled();
       expect(deleteObject).toHaveBeenCalledWith(mockStorageRef);
@@ -356,7 +358,7 @@ describe('receiptService', () => {
       ref.mockReturnValue(mockStorageRef);
       deleteObject.mockRejectedValue(new Error('Delete failed'));
 
-      await expect(deleteReceipt(receiptUrl)).rejects.toThrow('Delete failed');
+      await expect(deleteReceipt(receiptUrl, 'couple123')).rejects.toThrow('Delete failed');
     });
 
     it('should handle null URL gracefully', async () => {
@@ -370,6 +372,11 @@ describe('receiptService', () => {
     it('should handle invalid URL format', async () => {
       await expect(deleteReceipt('not-a-url')).rejects.toThrow('Invalid receipt URL');
     });
+
+    it('should require the couple that owns the receipt', async () => {
+      await expect(deleteReceipt('https://storage.example.com/receipt.jpg')).rejects.toThrow('Couple ID is required');
+      expect(deleteObject).not.toHaveBeenCalled();
+    });
   });
 
   describe('getReceiptUrl', () => {
@@ -468,8 +475,141 @@ describe('receiptService', () => {
       deleteObject.mockResolvedValue();
 
       // Delete
-      await deleteReceipt(uploadedUrl);
+      await deleteReceipt(uploadedUrl, coupleId);
       expect(deleteObject).toHaveBeenCalled();
     });
   });
+
+  describe('receipt deduplication', () => {
+    const mockStorageRef = { name: 'mock-ref' };
+    const mockUploadTask = {
+      on: jest.fn((event, onProgress, onError, onComplete) => {
+        onComplete();
+        return jest.fn();
+      }),
+      snapshot: { ref: mockStorageRef },
+    };
+
+    beforeEach(() => {
+      ref.mockReturnValue(mockStorageRef);
+      uploadBytesResumable.mockReturnValue(mockUploadTask);
+      getDownloadURL.mockResolvedValue('https://storage.example.com/receipts/couple123/new.jpg');
+    });
+
+    it('should reuse an identical receipt instead of uploading again', async () => {
+      getDoc.mockResolvedValueOnce({
+        id: 'couple123_hash',
+        exists: () => true,
+        data: () => ({ url: 'https://storage.example.com/receipts/couple123/existing.jpg' }),
+      });
+
+      const result = await uploadReceipt('file:///local/receipt.jpg', 'couple123', 'user456');
+
+      expect(result).toBe('https://storage.example.com/receipts/couple123/existing.jpg');
+      expect(uploadBytesResumable).not.toHaveBeenCalled();
+    });
+
+    it('should look up receipts by content hash so identical images share a key', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      await uploadReceipt('file:///local/a.jpg', 'couple123', 'user456');
+      await uploadReceipt('file:///local/b.jpg', 'couple123', 'user789');
+
+      const receiptDocIds = doc.mock.calls
+        .filter((call) => call[1] === 'receipts')
+        .map((call) => call[2]);
+      expect(receiptDocIds[0]).toMatch(/^couple123_/);
+      expect(new Set(receiptDocIds).size).toBe(1);
+    });
+
+    it('should record receipt metadata after uploading', async () => {
+      getDoc.mockResolvedValue({ exists: () => false });
+
+      await uploadReceipt('file:///local/receipt.jpg', 'couple123', 'user456');
+
+      expect(setDoc).toHaveBeenCalledWith(
+        undefined,
+        expect.objectContaining({
+          coupleId: 'couple123',
+          uploadedBy: 'user456',
+          url: 'https://storage.example.com/receipts/couple123/new.jpg',
+          contentHash: expect.any(String),
+        })
+      );
+    });
+  });
+
+  describe('deleteReceiptIfOrphaned', () => {
+    const receiptUrl = 'https://storage.example.com/receipts/couple123/receipt.jpg';
+
+    it('should keep a receipt still referenced by another expense', async () => {
+      getDocs.mockResolvedValueOnce({ empty: false, docs: [{ id: 'expense2' }] });
+
+      const result = await deleteReceiptIfOrphaned(receiptUrl, 'couple123');
+
+      expect(result).toBe(false);
+      expect(deleteObject).not.toHaveBeenCalled();
+    });
+
+    it('should delete the image, thumbnail and metadata when no expense references it', async () => {
+      deleteObject.mockResolvedValue();
+      getDocs
+        .mockResolvedValueOnce({ empty: true, docs: [] })
+        .mockResolvedValueOnce({
+          docs: [
+            {
+              id: 'couple123_hash',
+              data: () => ({ url: receiptUrl, thumbnailPath: 'receipts/couple123/thumbnails/t.jpg' }),
+            },
+          ],
+        });
+
+      const result = await deleteReceiptIfOrphaned(receiptUrl, 'couple123');
+
+      expect(result).toBe(true);
+      expect(deleteObject).toHaveBeenCalledTimes(2);
+      expect(ref).toHaveBeenCalledWith(expect.anything(), 'receipts/couple123/thumbnails/t.jpg');
+      expect(deleteDoc).toHaveBeenCalled();
+      // Metadata is only looked up within the couple's own receipts
+      expect(where).toHaveBeenCalledWith('coupleId', '==', 'couple123');
+      expect(where).toHaveBeenCalledWith('url', '==', receiptUrl);
+    });
+
+    it('should do nothing without a receipt URL', async () => {
+      expect(await deleteReceiptIfOrphaned(null, 'couple123')).toBe(false);
+      expect(getDocs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCoupleReceipts', () => {
+    it('should list expenses with receipts, newest first, with thumbnails', async () => {
+      getDocs
+        .mockResolvedValueOnce({
+          docs: [
+            {
+              id: 'e1',
+              data: () => ({ receiptUrl: 'https://x/1.jpg', amount: 10, date: '2026-01-01', description: 'A' }),
+            },
+            { id: 'e2', data: () => ({ amount: 20, date: '2026-02-01' }) },
+            {
+              id: 'e3',
+              data: () => ({ receiptUrl: 'https://x/3.jpg', amount: 30, date: '2026-03-01', description: 'C' }),
+            },
+          ],
+        })
+        .mockResolvedValueOnce({
+          docs: [{ id: 'r1', data: () => ({ url: 'https://x/1.jpg', thumbnailUrl: 'https://x/1_t.jpg' }) }],
+        });
+
+      const result = await getCoupleReceipts('couple123');
+
+      expect(result.map((r) => r.expenseId)).toEqual(['e3', 'e1']);
+      expect(result[1].thumbnailUrl).toBe('https://x/1_t.jpg');
+      expect(result[0].thumbnailUrl).toBeNull();
+    });
+
+    it('should require a couple ID', async () => {
+      await expect(getCoupleReceipts('')).rejects.toThrow('Couple ID is required');
+    });
+  });
 });
@@ -0,0 +1,160 @@
+// src/services/activityLogService.js
+// Service for the couple's append-only activity log
+//
+// Expense, category, budget and settlement changes each add an entry to
+// `activityLog`: who made the change, what it touched and the values before
+// and after. firestore.rules only allows creating entries, never editing or
+// deleting them. Writing an entry is best effort and never fails the change
+// it describes, except inside settlement transactions where it is atomic.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../config/firebase';
+import {
+  ACTIVITY_ACTIONS,
+  stripUndefined,
+  getChangedFields,
+  buildActivitySummary,
+} from '../utils/activityLog';
+
+const ACTIVITY_LOG_COLLECTION = 'activityLog';
+
+// Entries per page in the activity feed
+const DEFAULT_ACTIVITY_LIMIT = 50;
+
+/**
+ * Build an activity log entry for the signed-in user
+ * @param {Object} params
+ * @param {string} params.coupleId - Couple ID
+ * @param {string} params.entityType - One of ACTIVITY_ENTITIES
+ * @param {string} params.entityId - ID of the changed document
+ * @param {string} params.action - One of ACTIVITY_ACTIONS
+ * @param {Object} params.before - Values before the change (null for creates)
+ * @param {Object} params.after - Values after the change (null for deletes)
+ * @param {Object} params.summary - Feed summary (defaults to one built from after/before)
+ * @param {string} params.restoredFromEntryId - Delete entry a restore undid
+ * @returns {Object} Entry document
+ */
+export const buildActivityEntry = ({
+  coupleId,
+  entityType,
+  entityId,
+  action,
+  before = null,
+  after = null,
+  summary = null,
+  restoredFromEntryId = null,
+}) => {
+  return stripUndefined({
+    coupleId,
+    actorId: auth.currentUser?.uid || null,
+    entityType,
+    entityId,
+    action,
+    summary: summary || buildActivitySummary(entityType, after || before),
+    before,
+    after,
+    restoredFromEntryId,
+    createdAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Add an entry to the activity log
+ * Pass a transaction (or batch) to write the entry together with the change.
+ * @param {Object} params - See buildActivityEntry
+ * @param {Transaction|WriteBatch} transaction - Optional transaction to write in
+ * @returns {Promise<void>}
+ */
+export const logActivity = async (params, transaction = null) => {
+  if (!params?.coupleId) {
+    return;
+  }
+
+  if (transaction) {
+    transaction.set(doc(collection(db, ACTIVITY_LOG_COLLECTION)), buildActivityEntry(params));
+    return;
+  }
+
+  try {
+    await addDoc(collection(db, ACTIVITY_LOG_COLLECTION), buildActivityEntry(params));
+  } catch (error) {
+    if (__DEV__) console.warn('Failed to write activity log entry:', error);
+  }
+};
+
+/**
+ * Log an update with only the fields that changed
+ * Nothing is logged when the update leaves every field as it was.
+ * @param {Object} params
+ * @param {string} params.coupleId - Couple ID
+ * @param {string} params.entityType - One of ACTIVITY_ENTITIES
+ * @param {string} params.entityId - ID of the changed document
+ * @param {Object} params.before - Document before the update
+ * @param {Object} params.after - Fields written by the update
+ * @returns {Promise<void>}
+ */
+export const logUpdate = async ({ coupleId, entityType, entityId, before, after }) => {
+  const changes = getChangedFields(before, after);
+  if (!changes) {
+    return;
+  }
+
+  await logActivity({
+    coupleId,
+    entityType,
+    entityId,
+    action: ACTIVITY_ACTIONS.UPDATE,
+    before: changes.before,
+    after: changes.after,
+    summary: buildActivitySummary(entityType, { ...before, ...after }),
+  });
+};
+
+/**
+ * Get a page of the couple's activity, newest first
+ * @param {string} coupleId - Couple ID
+ * @param {Object} options - Query options
+ * @param {number} options.limitCount - Maximum number of entries (default: 50)
+ * @param {DocumentSnapshot} options.startAfterDoc - Document to start after for pagination
+ * @returns {Promise<{entries: Array, lastDoc: DocumentSnapshot|null}>}
+ */
+export const getActivityLog = async (coupleId, options = {}) => {
+  try {
+    const { limitCount = DEFAULT_ACTIVITY_LIMIT, startAfterDoc = null } = options;
+
+    const queryConstraints = [
+      where('coupleId', '==', coupleId),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount),
+    ];
+
+    if (startAfterDoc) {
+      queryConstraints.push(startAfter(startAfterDoc));
+    }
+
+    const snapshot = await getDocs(query(collection(db, ACTIVITY_LOG_COLLECTION), ...queryConstraints));
+    const entries = snapshot.docs.map((entryDoc) => ({
+      id: entryDoc.id,
+      ...entryDoc.data(),
+    }));
+
+    return {
+      entries,
+      lastDoc: snapshot.docs.length === limitCount ? snapshot.docs[snapshot.docs.length - 1] : null,
+    };
+  } catch (error) {
+    if (__DEV__) console.error('Error getting activity log:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,297 @@
+// src/services/backupService.js
+// Service for exporting a couple's data to a JSON backup and restoring it
+
+import { Platform } from 'react-native';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  setDoc,
+  writeBatch,
+  Timestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../config/firebase';
+import { isExpenseDeleted } from '../utils/expenseTrash';
+import {
+  BACKUP_COLLECTIONS,
+  buildBackup,
+  buildUserIdMap,
+  generateBackupFilename,
+  getBackupCounts,
+  prepareRestore,
+  validateBackup,
+} from '../utils/dataBackup';
+
+// Firestore limit on writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Load the members of a couple
+ * @param {string} coupleId - Couple ID
+ * @returns {Promise<Object>} { user1Id, user2Id }
+ */
+const getCoupleMembers = async (coupleId) => {
+  const coupleDoc = await getDoc(doc(db, 'couples', coupleId));
+  if (!coupleDoc.exists()) {
+    throw new Error('Couple not found');
+  }
+
+  const { user1Id = null, user2Id = null } = coupleDoc.data();
+  return { user1Id, user2Id };
+};
+
+/**
+ * Load every document of a couple in one collection
+ */
+const loadCollection = async (collectionName, coupleId) => {
+  const snapshot = await getDocs(
+    query(collection(db, collectionName), where('coupleId', '==', coupleId))
+  );
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, data: docSnap.data() }));
+};
+
+/**
+ * Collect all of a couple's data into a backup object
+ * Trashed expenses are left out.
+ * @param {string} coupleId - Couple ID
+ * @param {Object} displayNames - { userId: displayName } stored for the restore preview
+ * @returns {Promise<Object>} Backup object
+ */
+export const createCoupleBackup = async (coupleId, displayNames = {}) => {
+  try {
+    if (!coupleId) {
+      throw new Error('Couple ID is required');
+    }
+
+    const { user1Id, user2Id } = await getCoupleMembers(coupleId);
+
+    const collections = {};
+    for (const collectionName of BACKUP_COLLECTIONS) {
+      collections[collectionName] = await loadCollection(collectionName, coupleId);
+    }
+    collections.expenses = collections.expenses.filter(({ data }) => !isExpenseDeleted(data));
+
+    const contributions = [];
+    for (const target of collections.savingsTargets) {
+      const snapshot = await getDocs(collection(db, 'savingsTargets', target.id, 'contributions'));
+      snapshot.docs.forEach((docSnap) => {
+        contributions.push({ id: docSnap.id, targetId: target.id, data: docSnap.data() });
+      });
+    }
+
+    const settingsDoc = await getDoc(doc(db, 'coupleSettings', coupleId));
+
+    return buildBackup({
+      coupleId,
+      members: {
+        user1: { id: user1Id, displayName: displayNames[user1Id] },
+        user2: { id: user2Id, displayName: displayNames[user2Id] },
+      },
+      coupleSettings: settingsDoc.exists() ? settingsDoc.data() : null,
+      collections,
+      contributions,
+    });
+  } catch (error) {
+    if (__DEV__) console.error('Error creating backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download (web) or share (mobile) a backup file
+ * Note: Requires expo-file-system and expo-sharing on mobile
+ * @param {Object} backup - Backup object
+ * @returns {Promise<Object>} { success, filename }
+ */
+const saveBackupFile = async (backup) => {
+  const content = JSON.stringify(backup, null, 2);
+  const filename = generateBackupFilename(new Date(backup.exportedAt));
+
+  if (Platform.OS === 'web') {
+    const blob = new Blob([content], { type: 'application/json;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return { success: true, filename };
+  }
+
+  const FileSystem = require('expo-file-system');
+  const Sharing = require('expo-sharing');
+
+  const fileUri = `${FileSystem.documentDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(fileUri, content, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing not available');
+  }
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType: 'application/json',
+    dialogTitle: 'Export Backup',
+    UTI: 'public.json',
+  });
+
+  return { success: true, filename };
+};
+
+/**
+ * Create a backup of a couple and download or share it
+ * @param {string} coupleId - Couple ID
+ * @param {Object} displayNames - { userId: displayName }
+ * @returns {Promise<Object>} { success, filename, counts }
+ */
+export const exportCoupleBackup = async (coupleId, displayNames = {}) => {
+  try {
+    const backup = await createCoupleBackup(coupleId, displayNames);
+    const { filename } = await saveBackupFile(backup);
+
+    return { success: true, filename, counts: getBackupCounts(backup) };
+  } catch (error) {
+    if (__DEV__) console.error('Error exporting backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Read and validate a backup file picked by the user
+ * @param {string} uri - File URI from the document picker
+ * @returns {Promise<Object>} { backup, validation }
+ */
+export const readBackupFile = async (uri) => {
+  let content;
+  if (Platform.OS === 'web') {
+    const response = await fetch(uri);
+    content = await response.text();
+  } else {
+    const FileSystem = require('expo-file-system');
+    content = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.UTF8,
+    });
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(content);
+  } catch (error) {
+    throw new Error('The selected file is not valid JSON');
+  }
+
+  return { backup, validation: validateBackup(backup) };
+};
+
+/**
+ * Whether a couple has no expenses or settlements yet
+ * @param {string} coupleId - Couple ID
+ * @returns {Promise<boolean>}
+ */
+export const isCoupleEmpty = async (coupleId) => {
+  for (const collectionName of ['expenses', 'settlements']) {
+    const snapshot = await getDocs(
+      query(collection(db, collectionName), where('coupleId', '==', coupleId), limit(1))
+    );
+    if (!snapshot.empty) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Write documents in batches of BATCH_SIZE
+ */
+const commitInBatches = async (writes, onBatch) => {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const chunk = writes.slice(i, i + BATCH_SIZE);
+    const batch = writeBatch(db);
+    chunk.forEach(({ ref, data }) => batch.set(ref, data));
+    await batch.commit();
+    onBatch(chunk.length);
+  }
+};
+
+/**
+ * Restore a backup into a new or empty couple
+ * IDs are remapped to the target couple, and its members take the place of
+ * the partners in the backup.
+ * @param {Object} backup - Parsed backup
+ * @param {string} coupleId - Target couple ID
+ * @param {Object} options
+ * @param {boolean} options.swapPartners - Swap which member gets which partner's data
+ * @param {Function} options.onProgress - Called with (written, total)
+ * @returns {Promise<Object>} { success, counts, skipped }
+ */
+export const restoreCoupleBackup = async (backup, coupleId, { swapPartners = false, onProgress } = {}) => {
+  try {
+    const validation = validateBackup(backup);
+    if (!validation.isValid) {
+      throw new Error(`Invalid backup: ${validation.errors[0]}`);
+    }
+
+    if (!(await isCoupleEmpty(coupleId))) {
+      throw new Error('Backups can only be restored into a couple without expenses or settlements');
+    }
+
+    const members = await getCoupleMembers(coupleId);
+    const userIdMap = buildUserIdMap(backup.members, members, {
+      currentUserId: auth.currentUser?.uid || null,
+      swap: swapPartners,
+    });
+
+    const { coupleSettings, documents, contributions, skipped } = prepareRestore(backup, {
+      coupleId,
+      userIdMap,
+      generateId: () => doc(collection(db, 'expenses')).id,
+      toTimestamp: (date) => Timestamp.fromDate(date),
+    });
+
+    const total = documents.length + contributions.length + (coupleSettings ? 1 : 0);
+    let written = 0;
+    const reportBatch = (count) => {
+      written += count;
+      if (onProgress) onProgress(written, total);
+    };
+
+    if (coupleSettings) {
+      await setDoc(doc(db, 'coupleSettings', coupleId), { ...coupleSettings, coupleId }, { merge: true });
+      reportBatch(1);
+    }
+
+    await commitInBatches(
+      documents.map(({ collection: collectionName, id, data }) => ({
+        ref: doc(db, collectionName, id),
+        data,
+      })),
+      reportBatch
+    );
+
+    // Contribution rules read their target, so targets must be committed first
+    await commitInBatches(
+      contributions.map(({ targetId, id, data }) => ({
+        ref: doc(db, 'savingsTargets', targetId, 'contributions', id),
+        data,
+      })),
+      reportBatch
+    );
+
+    console.log(`✅ Backup restored into couple ${coupleId}: ${written} document(s)`);
+    return { success: true, counts: validation.counts, skipped };
+  } catch (error) {
+    if (__DEV__) console.error('Error restoring backup:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,140 @@
+// src/services/bankTemplateService.js
+// Service for the couple's own bank statement templates
+//
+// Built-in templates only cover a handful of US banks. Couples can save a
+// template for any bank (column names, date format, decimal separator, sign
+// convention and rows to skip); the import checks these before the built-ins.
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { generateCategoryKey } from '../constants/defaultCategories';
+import { normalizeBankTemplate } from '../utils/bankTemplates';
+
+const snapshotToTemplates = (snapshot) => {
+  const templates = [];
+  snapshot.forEach((doc) => {
+    templates.push({
+      id: doc.id,
+      ...doc.data(),
+    });
+  });
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Get all bank templates for a couple, sorted by name
+ */
+export const getBankTemplatesForCouple = async (coupleId) => {
+  try {
+    const q = query(collection(db, 'bankTemplates'), where('coupleId', '==', coupleId));
+    const snapshot = await getDocs(q);
+    return snapshotToTemplates(snapshot);
+  } catch (error) {
+    if (__DEV__) console.error('Error getting bank templates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to real-time bank template updates
+ */
+export const subscribeToBankTemplates = (coupleId, callback) => {
+  const q = query(collection(db, 'bankTemplates'), where('coupleId', '==', coupleId));
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshotToTemplates(snapshot));
+  }, (error) => {
+    if (__DEV__) console.error('Error in bank template subscription:', error);
+  });
+};
+
+/**
+ * Save a new bank template
+ * @param {string} coupleId - Couple ID
+ * @param {Object} template - { name, identifier, csv } (see bankTemplates.normalizeBankTemplate)
+ * @param {string} userId - User creating the template
+ * @returns {Object} { success, key }
+ */
+export const addBankTemplate = async (coupleId, template, userId) => {
+  try {
+    const normalized = normalizeBankTemplate(template);
+    const key = generateCategoryKey(normalized.name);
+
+    if (!key) {
+      throw new Error('Template name must contain letters or numbers');
+    }
+
+    const templateDocRef = doc(collection(db, 'bankTemplates'), `${coupleId}_${key}`);
+    const existingDoc = await getDoc(templateDocRef);
+
+    if (existingDoc.exists()) {
+      throw new Error('A template with a similar name already exists');
+    }
+
+    await setDoc(templateDocRef, {
+      coupleId,
+      key,
+      ...normalized,
+      createdBy: userId,
+      createdAt: new Date(),
+    });
+
+    if (__DEV__) console.log('✅ Bank template added:', normalized.name);
+    return { success: true, key };
+  } catch (error) {
+    if (__DEV__) console.error('Error adding bank template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a bank template's settings
+ * The key stays the same even if the name changes
+ */
+export const updateBankTemplate = async (coupleId, key, template) => {
+  try {
+    const templateDocRef = doc(collection(db, 'bankTemplates'), `${coupleId}_${key}`);
+
+    const templateDoc = await getDoc(templateDocRef);
+    if (!templateDoc.exists()) {
+      throw new Error('Template not found');
+    }
+
+    await setDoc(templateDocRef, {
+      ...templateDoc.data(),
+      ...normalizeBankTemplate(template),
+      updatedAt: new Date(),
+    });
+
+    if (__DEV__) console.log('✅ Bank template updated:', key);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error updating bank template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a bank template
+ */
+export const deleteBankTemplate = async (coupleId, key) => {
+  try {
+    await deleteDoc(doc(collection(db, 'bankTemplates'), `${coupleId}_${key}`));
+
+    if (__DEV__) console.log('✅ Bank template deleted:', key);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error deleting bank template:', error);
+    throw error;
+  }
+};
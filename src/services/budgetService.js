@@ -14,6 +14,20 @@ import {
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { COMPLEXITY_MODES } from '../constants/budgetDefaults';
+import { getCategoriesForCouple } from './categoryService';
+import { logActivity, logUpdate } from './activityLogService';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS } from '../utils/activityLog';
+import { excludeDeletedExpenses } from '../utils/expenseTrash';
+import { isOnline, queueMutation } from './offlineQueueService';
+import { MUTATION_ENTITIES, MUTATION_OPS, resolveMutation } from '../utils/offlineMutations';
+import {
+  calculateRollovers,
+  getCategoryRollover,
+  getEffectiveCategoryBudget,
+  getEffectiveTotalBudget,
+  getPreviousMonth,
+  hasRollover,
+} from '../utils/budgetRollover';
 
 /**
  * Get current month and year
@@ -33,6 +47,42 @@ const getBudgetDocId = (coupleId, month, year) => {
   return `${coupleId}_${year}_${month}`;
 };
 
+/**
+ * Calculate the rollovers a month starts with from the previous month's
+ * budget and spending
+ * Skips the extra reads when no category has rollover turned on.
+ * @param {string} coupleId - Couple ID
+ * @param {object} categories - Categories object
+ * @param {number} month - Month (1-12) being initialised
+ * @param {number} year - Year being initialised
+ * @param {object} previousBudget - Previous month's budget, when already loaded
+ * @returns {object} { categoryKey: amount }
+ */
+const loadRolloversForMonth = async (coupleId, categories, month, year, previousBudget = null) => {
+  if (!Object.values(categories || {}).some(hasRollover)) {
+    return {};
+  }
+
+  const previous = getPreviousMonth(month, year);
+  let budget = previousBudget;
+
+  if (!budget) {
+    const budgetDoc = await getDoc(doc(db, 'budgets', getBudgetDocId(coupleId, previous.month, previous.year)));
+    if (!budgetDoc.exists()) {
+      return {};
+    }
+    budget = budgetDoc.data();
+  }
+
+  const expensesSnapshot = await getDocs(
+    query(collection(db, 'expenses'), where('coupleId', '==', coupleId))
+  );
+  const expenses = excludeDeletedExpenses(expensesSnapshot.docs.map((expenseDoc) => expenseDoc.data()));
+  const spending = calculateSpendingByCategory(expenses, previous.month, previous.year);
+
+  return calculateRollovers(categories, budget, spending);
+};
+
 /**
  * Initialize budget for a month with default values
  * @param {string} coupleId - Couple ID
@@ -40,6 +90,8 @@ const getBudgetDocId = (coupleId, month, year) => {
  * @param {number} month - Month (1-12)
  * @param {number} year - Year
  * @param {object} options - Additional options (complexity, autoCalculated, currency, etc.)
+ * Category budgets are the categories' defaults; rollovers from the previous
+ * month are stored separately in `categoryRollovers`.
  */
 export const initializeBudgetForMonth = async (coupleId, categories, month, year, options = {}) => {
   try {
@@ -52,11 +104,15 @@ export const initializeBudgetForMonth = async (coupleId, categories, month, year
       categoryBudgets[key] = category.defaultBudget;
     });
 
+    // Carry last month's surplus/deficit for categories that opted in
+    const categoryRollovers = await loadRolloversForMonth(coupleId, categories, month, year);
+
     const budgetDoc = {
       coupleId,
       month,
       year,
       categoryBudgets,
+      categoryRollovers,
       currency: options.currency || 'USD', // Budget currency (primary currency)
       enabled: options.enabled !== undefined ? options.enabled : true,
       includeSavings: options.includeSavings !== undefined ? options.includeSavings : true,
@@ -117,37 +173,100 @@ export const getCurrentMonthBudget = async (coupleId, categories, options = {})
 };
 
 /**
- * Update budget for a month
+ * Write a month's budget and record it in the activity log
  */
-export const saveBudget = async (coupleId, month, year, categoryBudgets, options = {}) => {
-  try {
-    const budgetsRef = collection(db, 'budgets');
-    const docId = getBudgetDocId(coupleId, month, year);
+const writeBudget = async (coupleId, month, year, categoryBudgets, options = {}) => {
+  const budgetsRef = collection(db, 'budgets');
+  const docId = getBudgetDocId(coupleId, month, year);
 
-    const budgetDoc = await getDoc(doc(budgetsRef, docId));
-    const existingData = budgetDoc.exists() ? budgetDoc.data() : {};
+  const budgetDoc = await getDoc(doc(budgetsRef, docId));
+  const existingData = budgetDoc.exists() ? budgetDoc.data() : {};
+
+  const updatedBudget = {
+    ...existingData,
+    coupleId,
+    month,
+    year,
+    categoryBudgets,
+    ...(options.enabled !== undefined && { enabled: options.enabled }),
+    ...(options.includeSavings !== undefined && { includeSavings: options.includeSavings }),
+    updatedAt: new Date(),
+  };
+
+  await setDoc(doc(budgetsRef, docId), updatedBudget);
 
-    const updatedBudget = {
-      ...existingData,
+  if (budgetDoc.exists()) {
+    await logUpdate({
       coupleId,
-      month,
-      year,
-      categoryBudgets,
-      ...(options.enabled !== undefined && { enabled: options.enabled }),
-      ...(options.includeSavings !== undefined && { includeSavings: options.includeSavings }),
-      updatedAt: new Date(),
-    };
+      entityType: ACTIVITY_ENTITIES.BUDGET,
+      entityId: docId,
+      before: existingData,
+      after: updatedBudget,
+    });
+  } else {
+    await logActivity({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.BUDGET,
+      entityId: docId,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: updatedBudget,
+    });
+  }
 
-    await setDoc(doc(budgetsRef, docId), updatedBudget);
+  console.log(`✅ Budget saved for ${month}/${year}`);
+  return updatedBudget;
+};
 
-    console.log(`✅ Budget saved for ${month}/${year}`);
-    return updatedBudget;
+/**
+ * Update budget for a month
+ * Offline, the change is queued and the budget is returned with
+ * `pendingSync: true`.
+ */
+export const saveBudget = async (coupleId, month, year, categoryBudgets, options = {}) => {
+  try {
+    if (!(await isOnline())) {
+      const settings = {
+        ...(options.enabled !== undefined && { enabled: options.enabled }),
+        ...(options.includeSavings !== undefined && { includeSavings: options.includeSavings }),
+      };
+      await queueMutation({
+        entity: MUTATION_ENTITIES.BUDGET,
+        op: MUTATION_OPS.UPDATE,
+        entityId: getBudgetDocId(coupleId, month, year),
+        coupleId,
+        data: { month, year, categoryBudgets, ...settings },
+      });
+      return { coupleId, month, year, categoryBudgets, ...settings, pendingSync: true };
+    }
+
+    return await writeBudget(coupleId, month, year, categoryBudgets, options);
   } catch (error) {
     console.error('Error saving budget:', error);
     throw error;
   }
 };
 
+/**
+ * Replay a queued budget change
+ * A budget the partner changed after this one was queued keeps the server
+ * version. Called by processMutationQueue in offlineQueueService.
+ * @param {Object} mutation - Queued mutation
+ * @returns {Promise<Object>} { conflicts }
+ */
+export const replayBudgetMutation = async (mutation) => {
+  const budgetDoc = await getDoc(doc(db, 'budgets', mutation.entityId));
+  if (budgetDoc.exists()) {
+    const { action, conflicts } = resolveMutation(mutation, budgetDoc.data());
+    if (action === 'skip') {
+      return { conflicts };
+    }
+  }
+
+  const { month, year, categoryBudgets, ...options } = mutation.data;
+  await writeBudget(mutation.coupleId, month, year, categoryBudgets, options);
+  return { conflicts: [] };
+};
+
 /**
  * Delete budget for a specific month
  * Used when restarting onboarding to clear existing budget
@@ -164,7 +283,27 @@ export const deleteBudgetForMonth = async (coupleId, month, year) => {
   const budgetRef = doc(db, 'budgets', budgetId);
 
   try {
+    // Previous values are only needed for the activity log
+    let budget = null;
+    try {
+      const budgetDoc = await getDoc(budgetRef);
+      budget = budgetDoc?.exists?.() ? budgetDoc.data() : null;
+    } catch (readError) {
+      console.warn('Could not read budget before delete:', readError);
+    }
+
     await deleteDoc(budgetRef);
+
+    if (budget) {
+      await logActivity({
+        coupleId,
+        entityType: ACTIVITY_ENTITIES.BUDGET,
+        entityId: budgetId,
+        action: ACTIVITY_ACTIONS.DELETE,
+        before: budget,
+      });
+    }
+
     console.log(`✅ Budget deleted: ${budgetId}`);
     return { success: true };
   } catch (error) {
@@ -194,6 +333,14 @@ export const updateBudgetSettings = async (coupleId, month, year, settings) => {
 
     await setDoc(doc(budgetsRef, docId), updates);
 
+    await logUpdate({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.BUDGET,
+      entityId: docId,
+      before: budgetDoc.data(),
+      after: settings,
+    });
+
     console.log(`✅ Budget settings updated for ${month}/${year}`);
     return updates;
   } catch (error) {
@@ -247,6 +394,7 @@ export const calculateSpendingByCategory = (expenses, month, year) => {
 
 /**
  * Calculate budget progress for current month
+ * Category budgets include the month's rollovers
  */
 export const calculateBudgetProgress = (budget, expenses) => {
   if (!budget || !budget.categoryBudgets) {
@@ -265,7 +413,9 @@ export const calculateBudgetProgress = (budget, expenses) => {
   let totalBudget = 0;
   let totalSpent = 0;
 
-  Object.entries(budget.categoryBudgets).forEach(([key, budgetAmount]) => {
+  Object.entries(budget.categoryBudgets).forEach(([key, baseAmount]) => {
+    const budgetAmount = getEffectiveCategoryBudget(budget, key);
+    const rollover = getCategoryRollover(budget, key);
     const spent = spending[key] || 0;
     const remaining = budgetAmount - spent;
     const percentage = budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0;
@@ -279,6 +429,8 @@ export const calculateBudgetProgress = (budget, expenses) => {
       remaining,
       percentage,
       status: percentage >= 100 ? 'danger' : percentage >= 80 ? 'warning' : 'normal',
+      // Shown as "base + rollover" when the month carries something over
+      ...(rollover !== 0 && { base: baseAmount, rollover }),
     };
   });
 
@@ -306,19 +458,17 @@ export const calculateBudgetSavings = (budget, expenses) => {
 };
 
 /**
- * Get total budget amount for current month
+ * Get total budget amount for current month, including rollovers
  */
 export const getTotalBudget = (budget) => {
-  if (!budget || !budget.categoryBudgets) {
-    return 0;
-  }
-
-  return Object.values(budget.categoryBudgets).reduce((sum, amount) => sum + amount, 0);
+  return getEffectiveTotalBudget(budget);
 };
 
 /**
  * Copy budget from one month to another
  * Useful for creating next month's budget based on current month
+ * Base category budgets are copied; rollovers are recalculated for the target
+ * month from the month before it.
  */
 export const copyBudgetToMonth = async (coupleId, fromMonth, fromYear, toMonth, toYear) => {
   try {
@@ -330,10 +480,22 @@ export const copyBudgetToMonth = async (coupleId, fromMonth, fromYear, toMonth,
     }
 
     const fromBudget = fromBudgetDoc.data();
+    const previous = getPreviousMonth(toMonth, toYear);
+    const isPreviousMonth = previous.month === fromMonth && previous.year === fromYear;
+    const categories = await getCategoriesForCouple(coupleId);
+    const categoryRollovers = await loadRolloversForMonth(
+      coupleId,
+      categories,
+      toMonth,
+      toYear,
+      isPreviousMonth ? fromBudget : null
+    );
+
     const toBudget = {
       ...fromBudget,
       month: toMonth,
       year: toYear,
+      categoryRollovers,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -343,6 +505,14 @@ export const copyBudgetToMonth = async (coupleId, fromMonth, fromYear, toMonth,
     const toDocId = getBudgetDocId(coupleId, toMonth, toYear);
     await setDoc(doc(collection(db, 'budgets'), toDocId), toBudget);
 
+    await logActivity({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.BUDGET,
+      entityId: toDocId,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: toBudget,
+    });
+
     console.log(`✅ Budget copied from ${fromMonth}/${fromYear} to ${toMonth}/${toYear}`);
     return toBudget;
   } catch (error) {
@@ -16,6 +16,9 @@ import {
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { DEFAULT_CATEGORIES, generateCategoryKey } from '../constants/defaultCategories';
+import { normalizeRolloverSettings } from '../utils/budgetRollover';
+import { logActivity, logUpdate } from './activityLogService';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS } from '../utils/activityLog';
 
 /**
  * Initialize default categories for a couple
@@ -108,7 +111,7 @@ export const subscribeToCategoriesForCouple = (coupleId, callback) => {
 /**
  * Add a custom category
  */
-export const addCustomCategory = async (coupleId, { name, icon, defaultBudget, frequency = 'monthly', annualBudget }) => {
+export const addCustomCategory = async (coupleId, { name, icon, defaultBudget, frequency = 'monthly', annualBudget, rollover }) => {
   try {
     // Generate unique key from name
     const key = generateCategoryKey(name);
@@ -132,12 +135,21 @@ export const addCustomCategory = async (coupleId, { name, icon, defaultBudget, f
       defaultBudget: monthlyBudget,
       frequency, // 'monthly', 'annual', or 'both'
       annualBudget: annualBudget || (frequency === 'annual' ? monthlyBudget : monthlyBudget * 12),
+      rollover: normalizeRolloverSettings(rollover),
       isDefault: false,
       createdAt: new Date(),
     };
 
     await setDoc(doc(categoriesRef, `${coupleId}_${key}`), categoryDoc);
 
+    await logActivity({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.CATEGORY,
+      entityId: key,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: categoryDoc,
+    });
+
     if (__DEV__) console.log('✅ Custom category added:', name);
     return { success: true, key };
   } catch (error) {
@@ -148,7 +160,7 @@ export const addCustomCategory = async (coupleId, { name, icon, defaultBudget, f
 
 /**
  * Update a category
- * Can update name, icon, and defaultBudget
+ * Can update name, icon, defaultBudget and rollover settings
  */
 export const updateCategory = async (coupleId, key, updates) => {
   try {
@@ -170,6 +182,9 @@ export const updateCategory = async (coupleId, key, updates) => {
     if (updates.annualBudget !== undefined) {
       allowedUpdates.annualBudget = parseFloat(updates.annualBudget) || 0;
     }
+    if (updates.rollover !== undefined) {
+      allowedUpdates.rollover = normalizeRolloverSettings(updates.rollover);
+    }
 
     await setDoc(categoryDocRef, {
       ...categoryDoc.data(),
@@ -177,6 +192,14 @@ export const updateCategory = async (coupleId, key, updates) => {
       updatedAt: new Date(),
     });
 
+    await logUpdate({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.CATEGORY,
+      entityId: key,
+      before: categoryDoc.data(),
+      after: allowedUpdates,
+    });
+
     if (__DEV__) console.log('✅ Category updated:', key);
     return { success: true };
   } catch (error) {
@@ -264,6 +287,14 @@ export const deleteCategory = async (coupleId, key, expenseService) => {
 
     await deleteDoc(categoryDocRef);
 
+    await logActivity({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.CATEGORY,
+      entityId: key,
+      action: ACTIVITY_ACTIONS.DELETE,
+      before: categoryData,
+    });
+
     if (__DEV__) console.log('✅ Category deleted:', key);
     return { success: true };
   } catch (error) {
@@ -315,7 +346,13 @@ export const resetToDefaultCategories = async (coupleId, expenseService) => {
         customCategoriesWithExpenses.push(data.key);
       } else {
         // Delete it
-        deletePromises.push(deleteDoc(catDoc.ref));
+        deletePromises.push(deleteDoc(catDoc.ref).then(() => logActivity({
+          coupleId,
+          entityType: ACTIVITY_ENTITIES.CATEGORY,
+          entityId: data.key,
+          action: ACTIVITY_ACTIONS.DELETE,
+          before: data,
+        })));
       }
     }
 
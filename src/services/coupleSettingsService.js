@@ -40,6 +40,8 @@ export const DEFAULT_COUPLE_SETTINGS = {
     fiscalYearEndReminder: true,
     savingsGoalMilestone: true,
     partnerActivity: true, // Notify when partner adds expenses
+    settlementReminder: true, // Remind the payer before a plan instalment is due
+    spendingDigest: 'off', // 'off', 'weekly' or 'monthly' spending summary
     daysBeforeFiscalYearEnd: 30,
   },
   display: {
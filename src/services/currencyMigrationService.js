@@ -0,0 +1,452 @@
+// src/services/currencyMigrationService.js
+// Service for changing a couple's primary currency
+//
+// A change re-values historical amounts in the new currency: expenses,
+// budgets, recurring series and settlements. Every re-valued document keeps
+// its previous values (see utils/currencyMigration.js), and progress is
+// tracked in `currencyMigrations/{coupleId}`, so an interrupted change can be
+// resumed and a finished one rolled back. Savings goals, annual budgets and
+// trip budgets keep their amounts.
+//
+// The security rules let a partner re-value the other's documents only while
+// the record names them as its actor and its progress is recent, so every
+// record write is signed (see signMigrationFields).
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  writeBatch,
+  deleteField,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../config/firebase';
+import { getCurrencyInfo } from '../constants/currencies';
+import { toDateKey } from '../utils/recurrence';
+import {
+  CURRENCY_MIGRATION_STATUS,
+  CURRENCY_MIGRATION_COLLECTIONS,
+  CURRENCY_MIGRATION_BACKUP_FIELD,
+  collectRateRequests,
+  isCurrencyMigrationStale,
+  dryRunMigration,
+  getMigrationRateKey,
+  getRevaluedTotals,
+  getRollbackFields,
+  migrateCoupleToCurrency,
+  needsRevaluation,
+  revalueDocument,
+} from '../utils/currencyMigration';
+import { EXCHANGE_RATE_SOURCES, getExchangeRate } from './exchangeRateService';
+import { updatePrimaryCurrency } from './coupleSettingsService';
+
+// Documents per write batch; each batch also updates the migration record
+const BATCH_SIZE = 200;
+
+const getMigrationRef = (coupleId) => doc(db, 'currencyMigrations', coupleId);
+
+/**
+ * Add the fields the security rules require on every migration record write
+ */
+const signMigrationFields = (coupleId, fields) => ({
+  ...fields,
+  coupleId,
+  actorId: auth.currentUser?.uid || null,
+  updatedAt: serverTimestamp(),
+});
+
+const writeMigration = (coupleId, fields) =>
+  setDoc(getMigrationRef(coupleId), signMigrationFields(coupleId, fields), { merge: true });
+
+/**
+ * Fail unless the current user can continue a change
+ * A partner's change in progress can only be taken over once it has stalled.
+ */
+const assertCanContinue = (migration) => {
+  if (migration.actorId && migration.actorId !== auth.currentUser?.uid && !isCurrencyMigrationStale(migration)) {
+    throw new Error('Your partner is changing the primary currency right now');
+  }
+};
+
+/**
+ * Get a couple's latest primary currency change
+ * @param {string} coupleId - Couple ID
+ * @returns {Promise<Object|null>} Migration record
+ */
+export const getCurrencyMigration = async (coupleId) => {
+  try {
+    const snapshot = await getDoc(getMigrationRef(coupleId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  } catch (error) {
+    if (__DEV__) console.error('Error getting currency migration:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load every document a primary currency change re-values
+ * Trashed expenses are included so they keep matching if restored.
+ * @param {string} coupleId - Couple ID
+ * @returns {Promise<Object>} { collectionName: [{ id, data }] }
+ */
+const loadMigrationDocuments = async (coupleId) => {
+  const documents = {};
+  for (const collectionName of CURRENCY_MIGRATION_COLLECTIONS) {
+    const snapshot = await getDocs(
+      query(collection(db, collectionName), where('coupleId', '==', coupleId))
+    );
+    documents[collectionName] = snapshot.docs.map((docSnap) => ({ id: docSnap.id, data: docSnap.data() }));
+  }
+  return documents;
+};
+
+/**
+ * Look up the exchange rates a migration needs
+ * Days the provider has no rate for use the manual rate for the pair, if any.
+ * @param {string} coupleId - Couple ID
+ * @param {Array} requests - [{ fromCurrency, dateKey }] from collectRateRequests
+ * @param {string} toCurrency - Target currency
+ * @param {Object} manualRates - { fromCurrency: rate } fallback rates
+ * @param {Function} onProgress - Called with (looked up, total)
+ * @returns {Promise<Object>} { rates, missing }
+ */
+const resolveRates = async (coupleId, requests, toCurrency, manualRates = {}, onProgress) => {
+  const rates = {};
+  const missing = [];
+
+  for (let i = 0; i < requests.length; i++) {
+    const { fromCurrency, dateKey } = requests[i];
+    const key = getMigrationRateKey(fromCurrency, dateKey);
+
+    try {
+      rates[key] = await getExchangeRate(coupleId, fromCurrency, toCurrency, dateKey);
+    } catch (error) {
+      const manualRate = manualRates[fromCurrency];
+      if (manualRate > 0) {
+        rates[key] = { rate: manualRate, date: dateKey, source: EXCHANGE_RATE_SOURCES.MANUAL, provider: null };
+      } else {
+        missing.push({ fromCurrency, dateKey });
+      }
+    }
+
+    if (onProgress) onProgress(i + 1, requests.length);
+  }
+
+  return { rates, missing };
+};
+
+/**
+ * Describe the missing rates of a migration as an error
+ */
+const missingRatesError = (missing, toCurrency) => {
+  const pairs = [...new Set(missing.map(({ fromCurrency }) => `${fromCurrency}/${toCurrency}`))];
+  return new Error(`No exchange rate available for ${pairs.join(', ')} on ${missing.length} day(s)`);
+};
+
+/**
+ * Preview a primary currency change without writing anything
+ * @param {string} coupleId - Couple ID
+ * @param {string} fromCurrency - Current primary currency
+ * @param {string} toCurrency - New primary currency
+ * @param {Object} options
+ * @param {Object} options.manualRates - { fromCurrency: rate } for days without a rate
+ * @param {Function} options.onProgress - Called with (rates looked up, total)
+ * @returns {Promise<Object>} { counts, total, legacy, missing, totals }
+ *   `legacy` counts documents without currency fields, `totals` is the sum of
+ *   the re-valued expenses before and after (null while rates are missing)
+ */
+export const previewCurrencyMigration = async (coupleId, fromCurrency, toCurrency, { manualRates, onProgress } = {}) => {
+  try {
+    const legacy = await dryRunMigration(coupleId);
+    const documents = await loadMigrationDocuments(coupleId);
+    const today = toDateKey(new Date());
+    const options = { fromCurrency, toCurrency, migrationId: null, today };
+
+    const counts = {};
+    CURRENCY_MIGRATION_COLLECTIONS.forEach((collectionName) => {
+      counts[collectionName] = documents[collectionName]
+        .filter(({ data }) => needsRevaluation(collectionName, data, options)).length;
+    });
+
+    const requests = collectRateRequests(documents, options);
+    const { rates, missing } = await resolveRates(coupleId, requests, toCurrency, manualRates, onProgress);
+
+    return {
+      counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      legacy: {
+        expenses: legacy.expensesNeedMigration || 0,
+        budgets: legacy.budgetsNeedMigration || 0,
+      },
+      missing,
+      totals: missing.length === 0
+        ? getRevaluedTotals(documents.expenses, { ...options, rates })
+        : null,
+    };
+  } catch (error) {
+    if (__DEV__) console.error('Error previewing currency migration:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-value every document that still needs it, in batches
+ * Each batch also records the progress on the migration record.
+ * @returns {Promise<number>} Documents written
+ */
+const revalueDocuments = async (coupleId, { fromCurrency, toCurrency, migrationId, manualRates, onProgress, processed = 0 }) => {
+  const documents = await loadMigrationDocuments(coupleId);
+  const today = toDateKey(new Date());
+  const options = { fromCurrency, toCurrency, migrationId, today };
+
+  const { rates, missing } = await resolveRates(
+    coupleId,
+    collectRateRequests(documents, options),
+    toCurrency,
+    manualRates
+  );
+  if (missing.length > 0) {
+    throw missingRatesError(missing, toCurrency);
+  }
+
+  const writes = [];
+  CURRENCY_MIGRATION_COLLECTIONS.forEach((collectionName) => {
+    documents[collectionName].forEach(({ id, data }) => {
+      const updates = revalueDocument(collectionName, data, { ...options, rates });
+      if (updates) {
+        writes.push({ ref: doc(db, collectionName, id), updates });
+      }
+    });
+  });
+
+  const total = processed + writes.length;
+  let written = processed;
+  if (onProgress) onProgress(written, total);
+  if (writes.length === 0) {
+    return 0;
+  }
+
+  // Rules check the record as it was before each batch, so refresh it first
+  await writeMigration(coupleId, { processed: written, total });
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const chunk = writes.slice(i, i + BATCH_SIZE);
+    const batch = writeBatch(db);
+    chunk.forEach(({ ref, updates }) => batch.update(ref, updates));
+    written += chunk.length;
+    batch.set(getMigrationRef(coupleId), signMigrationFields(coupleId, { processed: written, total }), { merge: true });
+    await batch.commit();
+    if (onProgress) onProgress(written, total);
+  }
+
+  return writes.length;
+};
+
+/**
+ * Set a couple's primary currency in their settings
+ */
+const setPrimaryCurrency = async (coupleId, currencyCode) => {
+  const currencyInfo = getCurrencyInfo(currencyCode);
+  await updatePrimaryCurrency(coupleId, currencyCode, currencyInfo.symbol, currencyInfo.locale);
+};
+
+/**
+ * Change a couple's primary currency, re-valuing their historical amounts
+ * Resumes the couple's interrupted change to the same currency, if any.
+ * A change that failed can only be undone. Documents without currency fields
+ * are first tagged with the current primary currency.
+ * @param {string} coupleId - Couple ID
+ * @param {Object} options
+ * @param {string} options.fromCurrency - Current primary currency
+ * @param {string} options.toCurrency - New primary currency
+ * @param {Object} options.manualRates - { fromCurrency: rate } for days without a rate
+ * @param {Function} options.onProgress - Called with (written, total)
+ * @returns {Promise<Object>} { success, migrationId, processed }
+ */
+export const runCurrencyMigration = async (coupleId, { fromCurrency, toCurrency, manualRates = {}, onProgress } = {}) => {
+  try {
+    const existing = await getCurrencyMigration(coupleId);
+    const resuming = existing?.status === CURRENCY_MIGRATION_STATUS.RUNNING;
+    if (resuming && existing.toCurrency !== toCurrency) {
+      throw new Error(`Finish or undo the change to ${existing.toCurrency} first`);
+    }
+    if (existing?.status === CURRENCY_MIGRATION_STATUS.FAILED) {
+      throw new Error(`Undo the failed change to ${existing.toCurrency} first`);
+    }
+    if (existing?.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK) {
+      throw new Error('Finish undoing the last currency change first');
+    }
+    if (resuming) {
+      assertCanContinue(existing);
+    }
+
+    const migration = resuming
+      ? { ...existing, manualRates: { ...existing.manualRates, ...manualRates } }
+      : {
+        coupleId,
+        migrationId: `${fromCurrency}-${toCurrency}-${Date.now()}`,
+        fromCurrency,
+        toCurrency,
+        manualRates,
+        processed: 0,
+        total: 0,
+        startedBy: auth.currentUser?.uid || null,
+      };
+
+    await writeMigration(coupleId, {
+      ...migration,
+      status: CURRENCY_MIGRATION_STATUS.RUNNING,
+      error: null,
+      ...(resuming ? {} : { startedAt: serverTimestamp(), completedAt: null, rolledBackAt: null }),
+    });
+
+    try {
+      const legacy = await migrateCoupleToCurrency(coupleId, migration.fromCurrency);
+      if (!legacy.success) {
+        throw new Error(legacy.error || 'Could not add currency fields to existing data');
+      }
+
+      const options = {
+        fromCurrency: migration.fromCurrency,
+        toCurrency,
+        migrationId: migration.migrationId,
+        manualRates: migration.manualRates,
+        onProgress,
+      };
+
+      let processed = migration.processed || 0;
+      processed += await revalueDocuments(coupleId, { ...options, processed });
+      await setPrimaryCurrency(coupleId, toCurrency);
+
+      // Catch expenses added in the old currency while the change was running
+      processed += await revalueDocuments(coupleId, { ...options, processed });
+
+      await writeMigration(coupleId, {
+        status: CURRENCY_MIGRATION_STATUS.COMPLETED,
+        processed,
+        completedAt: serverTimestamp(),
+      });
+
+      console.log(`✅ Primary currency changed from ${migration.fromCurrency} to ${toCurrency}: ${processed} document(s)`);
+      return { success: true, migrationId: migration.migrationId, processed };
+    } catch (error) {
+      // Ends the partner's write access; the change can still be undone
+      await writeMigration(coupleId, { status: CURRENCY_MIGRATION_STATUS.FAILED, error: error.message });
+      throw error;
+    }
+  } catch (error) {
+    if (__DEV__) console.error('Error changing primary currency:', error);
+    throw error;
+  }
+};
+
+/**
+ * Undo a couple's latest primary currency change
+ * Documents the change re-valued get their previous values back. Documents
+ * added in the new currency since are re-valued into the previous one.
+ * Works on finished, failed and interrupted changes, and resumes an
+ * interrupted undo.
+ * @param {string} coupleId - Couple ID
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (written, total)
+ * @returns {Promise<Object>} { success, restored, revalued }
+ */
+export const rollbackCurrencyMigration = async (coupleId, { onProgress } = {}) => {
+  try {
+    const migration = await getCurrencyMigration(coupleId);
+    if (!migration || migration.status === CURRENCY_MIGRATION_STATUS.ROLLED_BACK) {
+      throw new Error('There is no currency change to undo');
+    }
+
+    const { migrationId, fromCurrency, toCurrency, manualRates = {} } = migration;
+
+    if (migration.status === CURRENCY_MIGRATION_STATUS.RUNNING || migration.status === CURRENCY_MIGRATION_STATUS.ROLLING_BACK) {
+      assertCanContinue(migration);
+    }
+    if (migration.status === CURRENCY_MIGRATION_STATUS.RUNNING) {
+      // An interrupted change is marked failed before it is undone
+      await writeMigration(coupleId, { status: CURRENCY_MIGRATION_STATUS.FAILED });
+    }
+
+    await writeMigration(coupleId, {
+      status: CURRENCY_MIGRATION_STATUS.ROLLING_BACK,
+      error: null,
+    });
+
+    try {
+      const documents = await loadMigrationDocuments(coupleId);
+      const restores = [];
+      CURRENCY_MIGRATION_COLLECTIONS.forEach((collectionName) => {
+        documents[collectionName].forEach(({ id, data }) => {
+          const rollback = getRollbackFields(data, migrationId);
+          if (!rollback) {
+            return;
+          }
+
+          const updates = { ...rollback.restore, [CURRENCY_MIGRATION_BACKUP_FIELD]: deleteField() };
+          rollback.remove.forEach((field) => {
+            updates[field] = deleteField();
+          });
+          restores.push({ ref: doc(db, collectionName, id), updates });
+        });
+      });
+
+      let written = 0;
+      const total = restores.length;
+      for (let i = 0; i < restores.length; i += BATCH_SIZE) {
+        const chunk = restores.slice(i, i + BATCH_SIZE);
+        const batch = writeBatch(db);
+        chunk.forEach(({ ref, updates }) => batch.update(ref, updates));
+        written += chunk.length;
+        batch.set(getMigrationRef(coupleId), signMigrationFields(coupleId, { processed: written, total }), { merge: true });
+        await batch.commit();
+        if (onProgress) onProgress(written, total);
+      }
+
+      await setPrimaryCurrency(coupleId, fromCurrency);
+
+      // Manual rates are inverted for the way back
+      const inverseRates = {};
+      Object.entries(manualRates).forEach(([currency, rate]) => {
+        if (currency === fromCurrency && rate > 0) {
+          inverseRates[toCurrency] = 1 / rate;
+        }
+      });
+
+      const revalued = await revalueDocuments(coupleId, {
+        fromCurrency: toCurrency,
+        toCurrency: fromCurrency,
+        migrationId: `${migrationId}-rollback`,
+        manualRates: inverseRates,
+        onProgress,
+        processed: written,
+      });
+
+      await writeMigration(coupleId, {
+        status: CURRENCY_MIGRATION_STATUS.ROLLED_BACK,
+        rolledBackAt: serverTimestamp(),
+      });
+
+      console.log(`✅ Currency change to ${toCurrency} undone: ${written} restored, ${revalued} re-valued`);
+      return { success: true, restored: written, revalued };
+    } catch (error) {
+      // Stays rolling back so the undo can be resumed
+      await writeMigration(coupleId, { error: error.message });
+      throw error;
+    }
+  } catch (error) {
+    if (__DEV__) console.error('Error undoing currency change:', error);
+    throw error;
+  }
+};
+
+export default {
+  getCurrencyMigration,
+  previewCurrencyMigration,
+  runCurrencyMigration,
+  rollbackCurrencyMigration,
+};
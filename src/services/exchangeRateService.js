@@ -0,0 +1,188 @@
+// src/services/exchangeRateService.js
+// Service for looking up exchange rates for an expense's date
+//
+// Rates come from a pluggable provider and are cached per couple, currency
+// pair and day in the `exchangeRates` collection. A provider is an object with
+// a `name` (stored on expenses as `exchangeRateProvider`) and
+// `fetchRate(fromCurrency, toCurrency, dateKey)`, which resolves to
+// { rate, date } where `date` is the day the rate was published for.
+
+import {
+  doc,
+  getDoc,
+  setDoc,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDateKey } from '../utils/recurrence';
+
+// Where an expense's exchange rate came from
+export const EXCHANGE_RATE_SOURCES = {
+  NONE: 'none', // Same currency as the couple's primary currency
+  MANUAL: 'manual', // Typed or picked by the user
+  RECENT: 'recent', // Last rate the couple used for the pair
+  PROVIDER: 'provider', // Fetched from the exchange-rate provider
+  MIGRATION: 'migration', // Combined from stored rates when the primary currency changed
+};
+
+// Must stay allowed in the web build's connect-src (firebase.json hosting headers)
+const FRANKFURTER_URL = 'https://api.frankfurter.app';
+
+// Rates are stored with this many decimals
+const RATE_DECIMALS = 6;
+
+const roundRate = (rate) => Number(rate.toFixed(RATE_DECIMALS));
+
+/**
+ * Provider backed by the Frankfurter API (European Central Bank reference rates)
+ * Days without a published rate (weekends, holidays) return the previous one.
+ * @param {Object} options
+ * @param {Function} options.fetchFn - fetch implementation
+ * @param {string} options.baseUrl - API base URL
+ * @returns {Object} Exchange-rate provider
+ */
+export const createFrankfurterProvider = ({ fetchFn = (...args) => fetch(...args), baseUrl = FRANKFURTER_URL } = {}) => ({
+  name: 'frankfurter',
+  fetchRate: async (fromCurrency, toCurrency, dateKey) => {
+    const response = await fetchFn(`${baseUrl}/${dateKey}?from=${fromCurrency}&to=${toCurrency}`);
+    if (!response.ok) {
+      throw new Error(`No exchange rate available for ${fromCurrency}/${toCurrency}`);
+    }
+
+    const data = await response.json();
+    const rate = data?.rates?.[toCurrency];
+    if (typeof rate !== 'number') {
+      throw new Error(`No exchange rate available for ${fromCurrency}/${toCurrency}`);
+    }
+
+    return { rate, date: data.date || dateKey };
+  },
+});
+
+/**
+ * Provider that serves rates from a fixed table, for tests and local development
+ * Rates are keyed by pair, either as a single rate or by day:
+ *   { 'EUR-USD': 1.1, 'GBP-USD': { '2026-10-01': 1.27, '2026-10-15': 1.3 } }
+ * A day without a rate uses the latest earlier one, and the inverse pair is
+ * used when a pair is missing.
+ * @param {Object} rates - Rate table
+ * @param {string} name - Provider name
+ * @returns {Object} Exchange-rate provider
+ */
+export const createFixtureProvider = (rates = {}, name = 'fixture') => {
+  const lookup = (pair, dateKey) => {
+    const entry = rates[pair];
+    if (typeof entry === 'number') {
+      return { rate: entry, date: dateKey };
+    }
+    if (!entry) {
+      return null;
+    }
+
+    const day = Object.keys(entry).sort().reverse().find((key) => key <= dateKey);
+    return day ? { rate: entry[day], date: day } : null;
+  };
+
+  return {
+    name,
+    fetchRate: async (fromCurrency, toCurrency, dateKey) => {
+      const direct = lookup(`${fromCurrency}-${toCurrency}`, dateKey);
+      if (direct) {
+        return direct;
+      }
+
+      const inverse = lookup(`${toCurrency}-${fromCurrency}`, dateKey);
+      if (inverse) {
+        return { rate: 1 / inverse.rate, date: inverse.date };
+      }
+
+      throw new Error(`No exchange rate available for ${fromCurrency}/${toCurrency}`);
+    },
+  };
+};
+
+let provider = createFrankfurterProvider();
+
+/**
+ * Replace the exchange-rate provider
+ * @param {Object} nextProvider - Object with `name` and `fetchRate`
+ */
+export const setExchangeRateProvider = (nextProvider) => {
+  if (!nextProvider?.name || typeof nextProvider.fetchRate !== 'function') {
+    throw new Error('An exchange-rate provider needs a name and a fetchRate function');
+  }
+  provider = nextProvider;
+};
+
+/**
+ * Get the current exchange-rate provider
+ */
+export const getExchangeRateProvider = () => provider;
+
+/**
+ * Get the cache document ID for a couple's rate on a day
+ */
+export const getExchangeRateCacheId = (coupleId, fromCurrency, toCurrency, dateKey) =>
+  `${coupleId}_${fromCurrency}_${toCurrency}_${dateKey}`;
+
+/**
+ * Get the exchange rate for an expense's date
+ * Cached rates are reused; past days are cached after the first lookup.
+ * Today's rate is fetched every time because it may not be published yet.
+ * @param {string} coupleId - Couple ID
+ * @param {string} fromCurrency - Expense currency
+ * @param {string} toCurrency - Couple's primary currency
+ * @param {Date} date - Expense date (defaults to today)
+ * @returns {Promise<Object>} { rate, date, source, provider, cached }
+ */
+export const getExchangeRate = async (coupleId, fromCurrency, toCurrency, date = new Date()) => {
+  try {
+    const dateKey = toDateKey(date);
+
+    if (fromCurrency === toCurrency) {
+      return { rate: 1.0, date: dateKey, source: EXCHANGE_RATE_SOURCES.NONE, provider: null, cached: false };
+    }
+
+    const cacheRef = doc(db, 'exchangeRates', getExchangeRateCacheId(coupleId, fromCurrency, toCurrency, dateKey));
+    const cached = await getDoc(cacheRef);
+    if (cached.exists()) {
+      const data = cached.data();
+      return {
+        rate: data.rate,
+        date: data.rateDate || dateKey,
+        source: EXCHANGE_RATE_SOURCES.PROVIDER,
+        provider: data.provider,
+        cached: true,
+      };
+    }
+
+    const result = await provider.fetchRate(fromCurrency, toCurrency, dateKey);
+    const rate = roundRate(result.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Invalid exchange rate for ${fromCurrency}/${toCurrency}`);
+    }
+
+    const rateDate = result.date || dateKey;
+    if (dateKey < toDateKey(new Date())) {
+      try {
+        await setDoc(cacheRef, {
+          coupleId,
+          fromCurrency,
+          toCurrency,
+          date: dateKey,
+          rateDate,
+          rate,
+          provider: provider.name,
+          fetchedAt: serverTimestamp(),
+        });
+      } catch (cacheError) {
+        console.warn('Could not cache exchange rate:', cacheError);
+      }
+    }
+
+    return { rate, date: rateDate, source: EXCHANGE_RATE_SOURCES.PROVIDER, provider: provider.name, cached: false };
+  } catch (error) {
+    console.error('Error getting exchange rate:', error);
+    throw error;
+  }
+};
@@ -9,6 +9,7 @@ import {
   addDoc,
   updateDoc,
   deleteDoc,
+  setDoc,
   query,
   where,
   orderBy,
@@ -17,18 +18,27 @@ import {
   onSnapshot,
   serverTimestamp,
 } from 'firebase/firestore';
-import { db } from '../config/firebase';
+import { db, auth } from '../config/firebase';
+import { deleteReceiptIfOrphaned } from './receiptService';
+import { logActivity, logUpdate } from './activityLogService';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS, getRestoredExpenseData } from '../utils/activityLog';
+import { isExpenseDeleted, excludeDeletedExpenses, sortByDeletedAt } from '../utils/expenseTrash';
+import { isOnline, queueMutation } from './offlineQueueService';
+import { MUTATION_ENTITIES, MUTATION_OPS, resolveMutation } from '../utils/offlineMutations';
 
 // Default limit for expense queries to prevent fetching entire history
 const DEFAULT_EXPENSE_LIMIT = 500;
 
 /**
  * Get expenses for a couple with optional pagination
+ * Expenses in the trash are left out after the limit is applied, so a page
+ * can hold fewer than `limitCount` expenses; use `hasMore` to know whether
+ * older expenses remain.
  * @param {string} coupleId - The couple's ID
  * @param {Object} options - Query options
  * @param {number} options.limitCount - Maximum number of expenses to fetch (default: 500)
  * @param {DocumentSnapshot} options.startAfterDoc - Document to start after for pagination
- * @returns {Promise<{expenses: Array, lastDoc: DocumentSnapshot|null}>}
+ * @returns {Promise<{expenses: Array, lastDoc: DocumentSnapshot|null, hasMore: boolean}>}
  */
 export const getExpenses = async (coupleId, options = {}) => {
   try {
@@ -61,7 +71,11 @@ export const getExpenses = async (coupleId, options = {}) => {
     // Return last document for pagination
     const lastDoc = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null;
 
-    return { expenses, lastDoc };
+    return {
+      expenses: excludeDeletedExpenses(expenses),
+      lastDoc,
+      hasMore: snapshot.docs.length === limitCount,
+    };
   } catch (error) {
     if (__DEV__) console.error('Error getting expenses:', error);
     throw error;
@@ -70,6 +84,7 @@ export const getExpenses = async (coupleId, options = {}) => {
 
 /**
  * Subscribe to real-time expense updates
+ * Expenses in the trash are left out.
  * @param {string} coupleId - The couple's ID
  * @param {Function} callback - Callback function receiving expenses array
  * @param {number} limitCount - Maximum number of expenses to fetch (default: 500)
@@ -93,7 +108,7 @@ export const subscribeToExpenses = (coupleId, callback, limitCount = DEFAULT_EXP
       });
     });
 
-    callback(expenses);
+    callback(excludeDeletedExpenses(expenses));
   }, (error) => {
     if (__DEV__) console.error('Error in expense subscription:', error);
   });
@@ -122,9 +137,23 @@ export const getExpenseById = async (expenseId) => {
 
 /**
  * Add a new expense
+ * Offline, the expense is queued and returned with `pendingSync: true`; it is
+ * written with the same ID once the device is back online.
  */
 export const addExpense = async (expenseData) => {
   try {
+    if (!(await isOnline())) {
+      const expenseId = doc(collection(db, 'expenses')).id;
+      await queueMutation({
+        entity: MUTATION_ENTITIES.EXPENSE,
+        op: MUTATION_OPS.CREATE,
+        entityId: expenseId,
+        coupleId: expenseData.coupleId,
+        data: expenseData,
+      });
+      return { id: expenseId, ...expenseData, pendingSync: true };
+    }
+
     const expensesRef = collection(db, 'expenses');
 
     const newExpense = {
@@ -134,6 +163,14 @@ export const addExpense = async (expenseData) => {
 
     const docRef = await addDoc(expensesRef, newExpense);
 
+    await logActivity({
+      coupleId: expenseData.coupleId,
+      entityType: ACTIVITY_ENTITIES.EXPENSE,
+      entityId: docRef.id,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: expenseData,
+    });
+
     if (__DEV__) console.log('✅ Expense added:', docRef.id);
     return {
       id: docRef.id,
@@ -145,20 +182,69 @@ export const addExpense = async (expenseData) => {
   }
 };
 
+/**
+ * Write an expense update and record the changed fields in the activity log
+ */
+const writeExpenseUpdate = async (expenseId, allowedUpdates, before = null) => {
+  const expenseRef = doc(db, 'expenses', expenseId);
+
+  // Previous values are only needed for the activity log
+  if (!before) {
+    try {
+      const expenseDoc = await getDoc(expenseRef);
+      if (expenseDoc?.exists?.()) {
+        before = expenseDoc.data();
+      }
+    } catch (readError) {
+      if (__DEV__) console.warn('Could not read expense before update:', readError);
+    }
+  }
+
+  await updateDoc(expenseRef, {
+    ...allowedUpdates,
+    updatedAt: serverTimestamp(),
+  });
+
+  if (before) {
+    await logUpdate({
+      coupleId: before.coupleId,
+      entityType: ACTIVITY_ENTITIES.EXPENSE,
+      entityId: expenseId,
+      before,
+      after: allowedUpdates,
+    });
+  }
+};
+
 /**
  * Update an existing expense
+ * The changed fields are recorded in the activity log. Offline, the update
+ * is queued; pass the expense as the user last saw it (`current`) so fields
+ * the partner changed in the meantime are kept when it is replayed.
+ * @param {string} expenseId - Expense ID
+ * @param {Object} updates - Fields to update
+ * @param {Object} current - Expense the updates were made to (optional)
  */
-export const updateExpense = async (expenseId, updates) => {
+export const updateExpense = async (expenseId, updates, current = null) => {
   try {
-    const expenseRef = doc(db, 'expenses', expenseId);
-
     // Remove fields that shouldn't be updated
     const { id, createdAt, ...allowedUpdates } = updates;
 
-    await updateDoc(expenseRef, {
-      ...allowedUpdates,
-      updatedAt: serverTimestamp(),
-    });
+    if (!(await isOnline())) {
+      await queueMutation({
+        entity: MUTATION_ENTITIES.EXPENSE,
+        op: MUTATION_OPS.UPDATE,
+        entityId: expenseId,
+        coupleId: current?.coupleId || updates.coupleId,
+        data: allowedUpdates,
+        base: current
+          ? Object.keys(allowedUpdates).reduce((base, field) => ({ ...base, [field]: current[field] }), {})
+          : null,
+      });
+      return { success: true, pendingSync: true };
+    }
+
+    await writeExpenseUpdate(expenseId, allowedUpdates);
 
     if (__DEV__) console.log('✅ Expense updated:', expenseId);
     return { success: true };
@@ -169,14 +255,75 @@ export const updateExpense = async (expenseId, updates) => {
 };
 
 /**
- * Delete an expense
+ * Replay a queued expense write against the server version
+ * Called by processMutationQueue in offlineQueueService.
+ * @param {Object} mutation - Queued mutation
+ * @returns {Promise<Object>} { conflicts } - Fields where the server value was kept
+ */
+export const replayExpenseMutation = async (mutation) => {
+  const expenseRef = doc(db, 'expenses', mutation.entityId);
+  const expenseDoc = await getDoc(expenseRef);
+  const serverData = expenseDoc.exists() ? expenseDoc.data() : null;
+
+  const { action, data, conflicts } = resolveMutation(mutation, serverData);
+  if (action === 'skip') {
+    return { conflicts };
+  }
+
+  if (mutation.op === MUTATION_OPS.CREATE) {
+    await setDoc(expenseRef, { ...data, createdAt: serverTimestamp() });
+    await logActivity({
+      coupleId: data.coupleId,
+      entityType: ACTIVITY_ENTITIES.EXPENSE,
+      entityId: mutation.entityId,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: data,
+    });
+  } else {
+    await writeExpenseUpdate(mutation.entityId, data, serverData);
+  }
+
+  if (__DEV__) console.log('✅ Queued expense write synced:', mutation.entityId);
+  return { conflicts };
+};
+
+/**
+ * Move an expense to the trash
+ * Either partner can restore it for TRASH_RETENTION_DAYS days; the receipt
+ * is kept until purgeDeletedExpenses removes the expense for good.
  */
 export const deleteExpense = async (expenseId) => {
   try {
     const expenseRef = doc(db, 'expenses', expenseId);
-    await deleteDoc(expenseRef);
 
-    if (__DEV__) console.log('✅ Expense deleted:', expenseId);
+    // Previous values are only needed for the activity log
+    let expense = null;
+    try {
+      const expenseDoc = await getDoc(expenseRef);
+      if (expenseDoc?.exists?.()) {
+        expense = expenseDoc.data();
+      }
+    } catch (readError) {
+      if (__DEV__) console.warn('Could not read expense before delete:', readError);
+    }
+
+    await updateDoc(expenseRef, {
+      deletedAt: serverTimestamp(),
+      deletedBy: auth.currentUser?.uid || null,
+      updatedAt: serverTimestamp(),
+    });
+
+    if (expense) {
+      await logActivity({
+        coupleId: expense.coupleId,
+        entityType: ACTIVITY_ENTITIES.EXPENSE,
+        entityId: expenseId,
+        action: ACTIVITY_ACTIONS.DELETE,
+        before: expense,
+      });
+    }
+
+    if (__DEV__) console.log('✅ Expense moved to trash:', expenseId);
     return { success: true };
   } catch (error) {
     if (__DEV__) console.error('Error deleting expense:', error);
@@ -184,6 +331,168 @@ export const deleteExpense = async (expenseId) => {
   }
 };
 
+/**
+ * Fields written to take an expense out of the trash
+ */
+const getUntrashFields = () => ({
+  deletedAt: null,
+  deletedBy: null,
+  updatedAt: serverTimestamp(),
+});
+
+/**
+ * Restore an expense from the trash
+ * @param {string} expenseId - ID of the trashed expense
+ * @returns {Promise<Object>} The restored expense
+ */
+export const restoreExpenseFromTrash = async (expenseId) => {
+  try {
+    const expenseRef = doc(db, 'expenses', expenseId);
+
+    const expenseDoc = await getDoc(expenseRef);
+    if (!expenseDoc.exists()) {
+      throw new Error('This expense has been permanently deleted');
+    }
+
+    if (!isExpenseDeleted(expenseDoc.data())) {
+      throw new Error('This expense is not in the trash');
+    }
+    const { deletedAt, deletedBy, ...expense } = expenseDoc.data();
+
+    await updateDoc(expenseRef, getUntrashFields());
+
+    await logActivity({
+      coupleId: expense.coupleId,
+      entityType: ACTIVITY_ENTITIES.EXPENSE,
+      entityId: expenseId,
+      action: ACTIVITY_ACTIONS.RESTORE,
+      after: expense,
+    });
+
+    if (__DEV__) console.log('✅ Expense restored from trash:', expenseId);
+    return {
+      id: expenseId,
+      ...expense,
+    };
+  } catch (error) {
+    if (__DEV__) console.error('Error restoring expense from trash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the couple's trashed expenses, most recently deleted first
+ * @param {string} coupleId - The couple's ID
+ * @returns {Promise<Array>} Trashed expenses
+ */
+export const getTrashedExpenses = async (coupleId) => {
+  try {
+    // Filtered in JavaScript instead of Firestore to avoid needing a composite index
+    const snapshot = await getDocs(query(collection(db, 'expenses'), where('coupleId', '==', coupleId)));
+    const expenses = [];
+
+    snapshot.forEach((doc) => {
+      const expense = { id: doc.id, ...doc.data() };
+      if (isExpenseDeleted(expense)) {
+        expenses.push(expense);
+      }
+    });
+
+    return sortByDeletedAt(expenses);
+  } catch (error) {
+    if (__DEV__) console.error('Error getting trashed expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete an expense from the trash
+ * Also removes its receipt image once no other expense references it.
+ * @param {string} expenseId - ID of the trashed expense
+ * @returns {Promise<Object>} { success: true }
+ */
+export const permanentlyDeleteExpense = async (expenseId) => {
+  try {
+    const expenseRef = doc(db, 'expenses', expenseId);
+
+    const expenseDoc = await getDoc(expenseRef);
+    if (!expenseDoc.exists()) {
+      return { success: true };
+    }
+
+    const expense = expenseDoc.data();
+    if (!isExpenseDeleted(expense)) {
+      throw new Error('Only expenses in the trash can be permanently deleted');
+    }
+
+    await deleteDoc(expenseRef);
+
+    // Receipt cleanup is best effort and must never block deleting the expense
+    if (expense.receiptUrl) {
+      try {
+        await deleteReceiptIfOrphaned(expense.receiptUrl, expense.coupleId);
+      } catch (receiptError) {
+        if (__DEV__) console.warn('Failed to delete receipt for expense:', receiptError);
+      }
+    }
+
+    if (__DEV__) console.log('✅ Expense permanently deleted:', expenseId);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error permanently deleting expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore a deleted expense from its activity log entry
+ * An expense still in the trash comes back as it was, receipt included. One
+ * that has already been purged is re-created under its original ID, without
+ * its receipt image.
+ * @param {Object} entry - Activity log entry of the deletion
+ * @returns {Promise<Object>} The restored expense
+ */
+export const restoreDeletedExpense = async (entry) => {
+  try {
+    let expense = getRestoredExpenseData(entry);
+    const expenseRef = doc(db, 'expenses', entry.entityId);
+
+    const existingDoc = await getDoc(expenseRef);
+    if (existingDoc.exists()) {
+      if (!isExpenseDeleted(existingDoc.data())) {
+        throw new Error('This expense has already been restored');
+      }
+      const { deletedAt, deletedBy, ...trashedExpense } = existingDoc.data();
+
+      await updateDoc(expenseRef, getUntrashFields());
+      expense = trashedExpense;
+    } else {
+      await setDoc(expenseRef, {
+        ...expense,
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    await logActivity({
+      coupleId: entry.coupleId,
+      entityType: ACTIVITY_ENTITIES.EXPENSE,
+      entityId: entry.entityId,
+      action: ACTIVITY_ACTIONS.RESTORE,
+      after: expense,
+      restoredFromEntryId: entry.id,
+    });
+
+    if (__DEV__) console.log('✅ Expense restored:', entry.entityId);
+    return {
+      id: entry.entityId,
+      ...expense,
+    };
+  } catch (error) {
+    if (__DEV__) console.error('Error restoring expense:', error);
+    throw error;
+  }
+};
+
 /**
  * Check if a user can edit an expense
  * User can edit if they created it and it's not settled
@@ -0,0 +1,201 @@
+// src/services/forecastService.js
+// Service for month-end and fiscal-year-end spending forecasts
+//
+// Loads what the projections in utils/spendingForecast need: the couple's
+// expenses, previous months from getBudgetHistory and recurring series that
+// haven't been materialized yet. The "on pace to exceed" email/push alert is
+// computed by the same rules in functions/src/forecast/spendingForecast.js.
+
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getBudgetHistory, calculateSpendingByCategory } from './budgetService';
+import { getRecurringExpenses } from './recurringExpenseService';
+import { getCurrentFiscalYear } from './fiscalPeriodService';
+import { getEffectiveCategoryBudget } from '../utils/budgetRollover';
+import { toDateKey } from '../utils/recurrence';
+import { excludeDeletedExpenses } from '../utils/expenseTrash';
+import {
+  FORECAST_HISTORY_MONTHS,
+  FORECAST_STATUS,
+  isRecurringExpense,
+  getDaysInMonth,
+  calculateHistoricalAverages,
+  getUpcomingRecurringAmounts,
+  forecastMonth,
+  projectFiscalYearEnd,
+  getForecastStatus,
+} from '../utils/spendingForecast';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the date an expense counts towards (same rule as calculateSpendingByCategory)
+ */
+const getExpenseDate = (expense) => {
+  return new Date(expense.createdAt?.seconds ? expense.createdAt.seconds * 1000 : expense.createdAt);
+};
+
+/**
+ * Sum spending by category between two dates (inclusive)
+ */
+const calculateSpendingBetween = (expenses, start, end) => {
+  const spending = {};
+
+  expenses.forEach((expense) => {
+    const date = getExpenseDate(expense);
+    if (date >= start && date <= end) {
+      const categoryKey = expense.categoryKey || expense.category || 'other';
+      spending[categoryKey] = (spending[categoryKey] || 0) + (expense.primaryCurrencyAmount || expense.amount);
+    }
+  });
+
+  return spending;
+};
+
+/**
+ * Build month-end and fiscal-year-end forecasts from loaded data
+ *
+ * @param {Object} params
+ * @param {Object} params.budget - Current month's budget document
+ * @param {Object} params.categories - Categories object (annualBudget is used for the fiscal year)
+ * @param {Array} params.expenses - The couple's expenses
+ * @param {Array} params.history - Budget documents from getBudgetHistory
+ * @param {Array} params.recurringExpenses - Recurring expense series
+ * @param {Object} params.fiscalYearSettings - Fiscal year settings ({ startMonth, startDay })
+ * @param {Date} params.today - Reference date (defaults to now)
+ * @returns {Object} { month, fiscalYear } forecasts
+ */
+export const buildSpendingForecast = ({
+  budget,
+  categories = {},
+  expenses = [],
+  history = [],
+  recurringExpenses = [],
+  fiscalYearSettings,
+  today = new Date(),
+}) => {
+  const month = today.getMonth() + 1;
+  const year = today.getFullYear();
+  const daysInMonth = getDaysInMonth(month, year);
+  const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+  const monthEndKey = toDateKey(monthEnd);
+
+  const recurringExpenseDocs = expenses.filter(isRecurringExpense);
+  const discretionaryExpenses = expenses.filter((expense) => !isRecurringExpense(expense));
+
+  // Previous months only (annual budgets can create future months)
+  const previousMonths = history
+    .filter((entry) => entry.year < year || (entry.year === year && entry.month < month))
+    .slice(0, FORECAST_HISTORY_MONTHS);
+  const historicalAverages = calculateHistoricalAverages(
+    previousMonths.map((entry) => calculateSpendingByCategory(discretionaryExpenses, entry.month, entry.year))
+  );
+
+  const categoryBudgets = {};
+  Object.keys(budget?.categoryBudgets || {}).forEach((key) => {
+    categoryBudgets[key] = getEffectiveCategoryBudget(budget, key);
+  });
+
+  const recurringSpending = calculateSpendingByCategory(recurringExpenseDocs, month, year);
+  const upcomingThisMonth = getUpcomingRecurringAmounts(recurringExpenses, monthEndKey);
+
+  const monthForecast = forecastMonth({
+    categoryBudgets,
+    spending: calculateSpendingByCategory(expenses, month, year),
+    recurringSpending,
+    historicalAverages,
+    upcomingRecurring: upcomingThisMonth,
+    daysElapsed: today.getDate(),
+    daysInMonth,
+  });
+
+  // Fiscal year: spent so far + rest of this month + later months at the usual rate
+  const { start, end, fiscalYearLabel } = getCurrentFiscalYear(fiscalYearSettings);
+  const spentToDate = calculateSpendingBetween(expenses, start, today);
+  const upcomingAfterMonth = getUpcomingRecurringAmounts(recurringExpenses, toDateKey(end), monthEndKey);
+  const daysAfterMonth = Math.max(0, Math.round((end - monthEnd) / DAY_MS));
+
+  const fiscalCategories = {};
+  let fiscalTotalBudget = 0;
+  let fiscalTotalProjected = 0;
+
+  Object.entries(monthForecast.categories).forEach(([key, forecast]) => {
+    const recurringThisMonth = (recurringSpending[key] || 0) + (upcomingThisMonth[key] || 0);
+    const monthlyRate = historicalAverages
+      ? historicalAverages[key] || 0
+      : Math.max(0, forecast.projected - recurringThisMonth);
+
+    const projected = projectFiscalYearEnd({
+      spentToDate: spentToDate[key] || 0,
+      monthSpent: forecast.spent,
+      monthProjected: forecast.projected,
+      monthlyRate,
+      daysAfterMonth,
+      upcomingRecurring: upcomingAfterMonth[key] || 0,
+    });
+    const annualBudget = categories[key]?.annualBudget ?? forecast.budget * 12;
+
+    fiscalTotalBudget += annualBudget;
+    fiscalTotalProjected += projected;
+
+    fiscalCategories[key] = {
+      budget: annualBudget,
+      spent: spentToDate[key] || 0,
+      projected,
+      projectedRemaining: Math.round((annualBudget - projected) * 100) / 100,
+      status: getForecastStatus(projected, spentToDate[key] || 0, annualBudget),
+    };
+  });
+
+  return {
+    month: {
+      month,
+      year,
+      daysElapsed: today.getDate(),
+      daysInMonth,
+      hasHistory: historicalAverages !== null,
+      ...monthForecast,
+    },
+    fiscalYear: {
+      label: fiscalYearLabel,
+      endDate: toDateKey(end),
+      totalBudget: Math.round(fiscalTotalBudget * 100) / 100,
+      totalProjected: Math.round(fiscalTotalProjected * 100) / 100,
+      categories: fiscalCategories,
+      flagged: Object.keys(fiscalCategories)
+        .filter((key) => fiscalCategories[key].status === FORECAST_STATUS.ON_PACE_TO_EXCEED),
+    },
+  };
+};
+
+/**
+ * Load the data for and build the current spending forecast
+ *
+ * @param {string} coupleId - Couple ID
+ * @param {Object} budget - Current month's budget document
+ * @param {Object} categories - Categories object
+ * @param {Object} fiscalYearSettings - Fiscal year settings from coupleSettings
+ * @returns {Promise<Object>} Forecast from buildSpendingForecast
+ */
+export const getSpendingForecast = async (coupleId, budget, categories, fiscalYearSettings) => {
+  try {
+    const [expensesSnapshot, history, recurringExpenses] = await Promise.all([
+      getDocs(query(collection(db, 'expenses'), where('coupleId', '==', coupleId))),
+      // Newest first; the extra year covers future months created by annual budgets
+      getBudgetHistory(coupleId, FORECAST_HISTORY_MONTHS + 12),
+      getRecurringExpenses(coupleId),
+    ]);
+
+    return buildSpendingForecast({
+      budget,
+      categories,
+      expenses: excludeDeletedExpenses(expensesSnapshot.docs.map((expenseDoc) => expenseDoc.data())),
+      history,
+      recurringExpenses,
+      fiscalYearSettings,
+    });
+  } catch (error) {
+    if (__DEV__) console.error('Error building spending forecast:', error);
+    throw error;
+  }
+};
@@ -24,9 +24,10 @@ const MAX_IMPORT_SIZE = 1000; // User-defined limit
  *
  * @param {string} fileUri - URI of the file to parse
  * @param {Object} fileInfo - File information for validation
+ * @param {Object} parseOptions - Extra parser options (spreadsheet sheetName, headerIndex, columnMapping; customTemplates)
  * @returns {Promise<Object>} Parsed result
  */
-export async function parseFile(fileUri, fileInfo = null) {
+export async function parseFile(fileUri, fileInfo = null, parseOptions = {}) {
   const timer = startTimer('PARSER', 'File parsing');
 
   try {
@@ -47,7 +48,7 @@ export async function parseFile(fileUri, fileInfo = null) {
 
     // Parse with retry logic for network-related failures
     // Pass fileType if available from fileInfo to help with blob URL detection
-    const options = fileInfo?.type ? { fileType: fileInfo.type } : {};
+    const options = fileInfo?.type ? { ...parseOptions, fileType: fileInfo.type } : { ...parseOptions };
     const result = await retryOperation(
       () => parseBankStatement(fileUri, options),
       undefined,
@@ -615,7 +616,7 @@ export async function importFromFile(fileUri, config, onProgress = null, fileInf
       if (onProgress) onProgress({ step: 'checking_duplicates', progress: 0 });
 
       try {
-        existingExpenses = await getExpenses(config.coupleId);
+        ({ expenses: existingExpenses } = await getExpenses(config.coupleId));
       } catch (error) {
         console.warn('Could not fetch existing expenses for duplicate detection:', error);
       }
@@ -703,6 +704,8 @@ export async function importFromFile(fileUri, config, onProgress = null, fileInf
  *
  * @param {string} fileUri - URI of file to preview
  * @param {Object} config - Preview configuration
+ * @param {Object} config.spreadsheet - Sheet and column mapping chosen for XLSX/XLS files
+ * @param {Array} config.bankTemplates - The couple's bank templates
  * @returns {Promise<Object>} Preview result
  */
 export async function previewImport(fileUri, config, fileInfo = null) {
@@ -711,16 +714,23 @@ export async function previewImport(fileUri, config, fileInfo = null) {
     console.log('🔍 previewImport: Config coupleId:', config.coupleId);
 
     // Parse file - pass fileInfo for validation and type detection
-    const parseResult = await parseFile(fileUri, fileInfo);
+    const parseResult = await parseFile(fileUri, fileInfo, {
+      ...config.spreadsheet,
+      customTemplates: config.bankTemplates,
+    });
     console.log('✅ previewImport: Parse complete, transactions:', parseResult.transactions?.length);
 
     if (!parseResult.success) {
       throw new Error(parseResult.error);
     }
 
+    // Bank transaction IDs (OFX/QFX) make duplicate checks exact and cheap, so they always run
+    const hasBankTransactionIds = (parseResult.metadata?.transactionIdCount || 0) > 0;
+    const detectDuplicates = config.detectDuplicates !== false || hasBankTransactionIds;
+
     // Fetch existing expenses for duplicate detection
     let existingExpenses = [];
-    if (config.detectDuplicates !== false && config.coupleId) {
+    if (detectDuplicates && config.coupleId) {
       try {
         console.log('🔄 previewImport: Fetching existing expenses for coupleId:', config.coupleId);
 
@@ -729,10 +739,10 @@ export async function previewImport(fileUri, config, fileInfo = null) {
           setTimeout(() => reject(new Error('Timeout fetching expenses')), 60000) // 60 second timeout
         );
 
-        existingExpenses = await Promise.race([
+        ({ expenses: existingExpenses } = await Promise.race([
           getExpenses(config.coupleId),
           timeoutPromise
-        ]);
+        ]));
 
         console.log('✅ previewImport: Fetched', existingExpenses.length, 'existing expenses');
       } catch (error) {
@@ -753,7 +763,7 @@ export async function previewImport(fileUri, config, fileInfo = null) {
     const processResult = await processTransactions(parseResult.transactions, {
       ...config,
       existingExpenses,
-      detectDuplicates: config.detectDuplicates !== false,
+      detectDuplicates,
     });
     console.log('✅ previewImport: Processing complete');
 
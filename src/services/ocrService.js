@@ -133,6 +133,8 @@ export const scanReceiptDirect = async (imageUri, coupleId, userId) => {
       date: ocrData.date,
       tax: ocrData.tax,
       subtotal: ocrData.subtotal,
+      tip: ocrData.tip,
+      lineItems: ocrData.lineItems || [],
       // Currency detection (NEW)
       currency: ocrData.currency,
       currencyConfidence: ocrData.currencyConfidence,
@@ -1,21 +1,43 @@
 /**
  * Offline Queue Service
  *
- * Manages receipt upload queue when offline
- * This is a placeholder implementation for testing purposes
- * Full implementation required for production
+ * Manages the receipt upload queue and the write queue for expenses,
+ * settlements and budgets made while offline. Both queues persist in
+ * AsyncStorage and are processed when the network listener sees the device
+ * come back online.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
 import { uploadReceipt } from './receiptService';
 import { scanReceiptInBackground } from './ocrService';
+import {
+  MUTATION_ENTITIES,
+  MUTATION_STATUS,
+  SYNC_STATES,
+  createMutation,
+  enqueueMutation,
+  getMutationCounts,
+  resetInterruptedMutations,
+} from '../utils/offlineMutations';
 
 const QUEUE_KEY = 'offline_queue';
+const MUTATION_QUEUE_KEY = 'offline_mutations';
 const MAX_RETRIES = 3;
+// Wait after reconnecting before processing, so the connection can settle
+const AUTO_PROCESS_DELAY = 1000;
 
 let networkState = 'online';
 let networkListener = null;
+// Upload attempts this session, for the success rate in getQueueStatus
+const uploadStats = { successful: 0, failed: 0 };
+
+let mutationProcessing = null;
+// Every read-modify-write of the mutation queue runs in turn on this chain
+let mutationQueueLock = Promise.resolve();
+const mutationListeners = new Set();
+// Outcome of mutations replayed this session, by entity ID
+const syncStates = {};
 
 /**
  * Queue a receipt for upload when offline
@@ -129,9 +151,11 @@ export const processUploadQueue = async (options = {}) => {
       }
 
       results.successful++;
+      uploadStats.successful++;
     } catch (error) {
       results.failed++;
       results.errors.push(error.message);
+      uploadStats.failed++;
 
       // Mark as failed
       item.status = 'failed';
@@ -181,9 +205,11 @@ export const retryFailedUploads = async (options = {}) => {
       }
 
       results.successful++;
+      uploadStats.successful++;
     } catch (error) {
       item.retryCount++;
       results.failed++;
+      uploadStats.failed++;
     }
   }
 
@@ -215,6 +241,10 @@ export const getQueueStatus = async (options = {}) => {
     status.totalAttempts = attempts;
     status.averageAttempts = queue.length > 0 ? attempts / queue.length : 0;
 
+    // Uploaded receipts leave the queue, so the rate covers this session
+    const uploads = uploadStats.successful + uploadStats.failed;
+    status.successRate = uploads > 0 ? uploadStats.successful / uploads : null;
+
     const now = Date.now();
     const totalWait = queue.reduce((sum, item) => sum + (now - item.timestamp), 0);
     status.averageWaitTime = queue.length > 0 ? totalWait / queue.length : 0;
@@ -267,25 +297,233 @@ export const setNetworkState = (state) => {
 
 /**
  * Initialize network listener
+ * With `autoProcessOnOnline`, queued writes and receipts are processed when
+ * the device comes back online, and on the first event if it starts online
+ * (NetInfo reports the current state right after subscribing) so that items
+ * left from a previous session are picked up. The two queues are processed
+ * side by side so a failing write never holds back receipt uploads.
  */
 export const initializeNetworkListener = async (options = {}) => {
   if (networkListener) {
     networkListener(); // Unsubscribe existing
   }
 
+  let firstEvent = true;
   networkListener = NetInfo.addEventListener(state => {
-    const wasOffline = networkState === 'offline';
+    const wasOffline = networkState === 'offline' || firstEvent;
+    firstEvent = false;
     networkState = state.isConnected ? 'online' : 'offline';
 
-    // Auto-process queue when coming online
+    // Auto-process queues when coming online
     if (wasOffline && state.isConnected && options.autoProcessOnOnline) {
-      setTimeout(() => processUploadQueue(), 1000);
+      setTimeout(() => {
+        processMutationQueue().catch((error) => {
+          if (__DEV__) console.error('Failed to process mutation queue:', error);
+        });
+        processUploadQueue().catch((error) => {
+          if (__DEV__) console.error('Failed to process upload queue:', error);
+        });
+      }, AUTO_PROCESS_DELAY);
     }
   });
 
   return networkListener;
 };
 
+/**
+ * Queue an expense, settlement or budget write for when the device is online
+ * @param {Object} params - See createMutation in utils/offlineMutations
+ * @returns {Promise<Object>} The queued mutation
+ */
+export const queueMutation = async (params) => {
+  if (!Object.values(MUTATION_ENTITIES).includes(params.entity)) {
+    throw new Error(`Unsupported offline entity: ${params.entity}`);
+  }
+  if (!params.entityId || !params.coupleId) {
+    throw new Error('Missing required fields');
+  }
+
+  const mutation = createMutation(params);
+  await updateMutationQueue((queue) => enqueueMutation(queue, mutation));
+
+  if (__DEV__) console.log(`📥 Queued offline ${mutation.entity} ${mutation.op}:`, mutation.entityId);
+  return mutation;
+};
+
+/**
+ * Get all queued mutations, oldest first
+ */
+export const getQueuedMutations = async () => {
+  return await getMutationQueue();
+};
+
+/**
+ * Get the number of queued mutations in each status
+ */
+export const getMutationQueueStatus = async () => {
+  return getMutationCounts(await getMutationQueue());
+};
+
+/**
+ * Clear the mutation queue
+ */
+export const clearMutationQueue = async () => {
+  await updateMutationQueue(() => []);
+};
+
+/**
+ * Give writes that failed after the retry limit another round of attempts
+ * @returns {Promise<Object>} Results of processMutationQueue
+ */
+export const retryFailedMutations = async () => {
+  // A running replay has already picked its writes, so start a new one after it
+  await mutationProcessing;
+  await updateMutationQueue((queue) => queue.map((mutation) => (
+    mutation.status === MUTATION_STATUS.FAILED
+      ? { ...mutation, status: MUTATION_STATUS.PENDING, retryCount: 0, error: null }
+      : mutation
+  )));
+  return processMutationQueue();
+};
+
+/**
+ * Drop writes that failed after the retry limit
+ * @returns {Promise<number>} Number of writes dropped
+ */
+export const discardFailedMutations = async () => {
+  let discarded = 0;
+  await updateMutationQueue((queue) => {
+    const remaining = queue.filter((mutation) => mutation.status !== MUTATION_STATUS.FAILED);
+    discarded = queue.length - remaining.length;
+    return remaining;
+  });
+  return discarded;
+};
+
+/**
+ * Subscribe to the mutation queue
+ * The callback is called right away and after every change with
+ * { mutations, syncStates }.
+ * @param {Function} callback - Called with the queue state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMutationQueue = (callback) => {
+  mutationListeners.add(callback);
+  getMutationQueue().then((mutations) => {
+    if (mutationListeners.has(callback)) {
+      callback({ mutations, syncStates: { ...syncStates } });
+    }
+  });
+
+  return () => {
+    mutationListeners.delete(callback);
+  };
+};
+
+/**
+ * Replay queued mutations in the order they were made
+ * Each entity's service writes the mutation after resolving it against the
+ * server version (see resolveMutation in utils/offlineMutations). A failed
+ * write stops the run so later mutations never overtake it; after
+ * MAX_RETRIES attempts it is marked failed and skipped until it is retried
+ * or discarded. Mutations left syncing by an interrupted run are replayed.
+ * Each status change re-reads the queue and only touches its own mutation,
+ * so writes queued during a run are kept. Concurrent calls share the same run.
+ * @returns {Promise<Object>} { processed, successful, conflicts, failed, errors }
+ */
+export const processMutationQueue = async () => {
+  if (!mutationProcessing) {
+    mutationProcessing = replayMutations().finally(() => {
+      mutationProcessing = null;
+    });
+  }
+  return mutationProcessing;
+};
+
+// Services are required lazily because they import this module to queue writes
+const getMutationHandler = (entity) => {
+  switch (entity) {
+    case MUTATION_ENTITIES.EXPENSE:
+      return require('./expenseService').replayExpenseMutation;
+    case MUTATION_ENTITIES.SETTLEMENT:
+      return require('./settlementService').replaySettlementMutation;
+    case MUTATION_ENTITIES.BUDGET:
+      return require('./budgetService').replayBudgetMutation;
+    default:
+      return null;
+  }
+};
+
+async function replayMutations() {
+  const results = {
+    processed: 0,
+    successful: 0,
+    conflicts: 0,
+    failed: 0,
+    errors: [],
+  };
+
+  if (!(await isOnline())) {
+    return { ...results, message: 'Device is offline' };
+  }
+
+  const queue = await updateMutationQueue(resetInterruptedMutations);
+  const pendingIds = queue
+    .filter(mutation => mutation.status === MUTATION_STATUS.PENDING)
+    .map(mutation => mutation.id);
+
+  for (const id of pendingIds) {
+    // Take the latest version: later offline edits may have been merged in
+    let mutation = null;
+    await updateMutationQueue((current) => {
+      mutation = current.find(queued => queued.id === id && queued.status === MUTATION_STATUS.PENDING);
+      return mutation
+        ? replaceMutation(current, { ...mutation, status: MUTATION_STATUS.SYNCING })
+        : current;
+    });
+    if (!mutation) {
+      continue;
+    }
+
+    results.processed++;
+
+    try {
+      const handler = getMutationHandler(mutation.entity);
+      if (!handler) {
+        throw new Error(`Unsupported offline entity: ${mutation.entity}`);
+      }
+
+      const { conflicts = [] } = (await handler(mutation)) || {};
+      if (conflicts.length > 0) {
+        results.conflicts++;
+        if (__DEV__) console.warn(`Kept server values for ${mutation.entity} ${mutation.entityId}:`, conflicts);
+      }
+
+      syncStates[mutation.entityId] = conflicts.length > 0 ? SYNC_STATES.CONFLICT : SYNC_STATES.SYNCED;
+      await updateMutationQueue((current) => current.filter(queued => queued.id !== id));
+      results.successful++;
+    } catch (error) {
+      results.failed++;
+      results.errors.push(error.message);
+
+      const retryCount = (mutation.retryCount || 0) + 1;
+      const exhausted = retryCount >= MAX_RETRIES;
+      await updateMutationQueue((current) => replaceMutation(current, {
+        ...mutation,
+        retryCount,
+        status: exhausted ? MUTATION_STATUS.FAILED : MUTATION_STATUS.PENDING,
+        error: error.message,
+      }));
+
+      if (!exhausted) {
+        break;
+      }
+    }
+  }
+
+  return results;
+}
+
 // Private helpers
 
 async function getQueue() {
@@ -303,3 +541,45 @@ async function getQueue() {
 async function saveQueue(queue) {
   await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
 }
+
+async function getMutationQueue() {
+  try {
+    const data = await AsyncStorage.getItem(MUTATION_QUEUE_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    if (__DEV__) console.error('Failed to get mutation queue:', error);
+    await AsyncStorage.setItem(MUTATION_QUEUE_KEY, '[]');
+    return [];
+  }
+}
+
+async function saveMutationQueue(queue) {
+  await AsyncStorage.setItem(MUTATION_QUEUE_KEY, JSON.stringify(queue));
+  notifyMutationListeners(queue);
+}
+
+// Read, change and save the mutation queue after any change already in progress
+function updateMutationQueue(update) {
+  const run = mutationQueueLock.then(async () => {
+    const queue = update(await getMutationQueue());
+    await saveMutationQueue(queue);
+    return queue;
+  });
+  mutationQueueLock = run.catch(() => {});
+  return run;
+}
+
+function replaceMutation(queue, mutation) {
+  return queue.map(queued => (queued.id === mutation.id ? mutation : queued));
+}
+
+function notifyMutationListeners(mutations) {
+  const state = { mutations, syncStates: { ...syncStates } };
+  mutationListeners.forEach((listener) => {
+    try {
+      listener(state);
+    } catch (error) {
+      if (__DEV__) console.error('Mutation queue listener failed:', error);
+    }
+  });
+}
@@ -417,7 +417,6 @@ export function handleNotificationNavigation(data, navigation) {
       navigation.navigate('HomeTab');
       break;
     case 'SavingsGoals':
-      // Navigate to savings goals if that screen exists
       navigation.navigate('BudgetTab', { screen: 'SavingsGoals' });
       break;
     default:
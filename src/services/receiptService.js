@@ -0,0 +1,439 @@
+// src/services/receiptService.js
+// Service for receipt image storage: upload, dedupe, thumbnails and cleanup
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { storage, db } from '../config/firebase';
+import { compressReceipt, createThumbnail } from '../utils/imageCompression';
+import { hashBlob } from '../utils/contentHash';
+
+const DEFAULT_UPLOAD_TIMEOUT = 60000; // 60 seconds
+
+/**
+ * Fetch a local or remote image URI as a Blob
+ */
+const fetchBlob = async (uri) => {
+  const response = await fetch(uri);
+  return response.blob();
+};
+
+/**
+ * Release a Blob's native memory (React Native keeps blobs alive until closed)
+ */
+const releaseBlob = (blob) => {
+  if (blob && typeof blob.close === 'function') {
+    try {
+      blob.close();
+    } catch (error) {
+      // Already released
+    }
+  }
+};
+
+/**
+ * Metadata document ID for a receipt. Keyed by content hash so identical
+ * images uploaded by either partner resolve to the same document.
+ */
+const getReceiptDocId = (coupleId, contentHash) => `${coupleId}_${contentHash}`;
+
+/**
+ * Wait for an upload task to finish, cancelling it if it takes too long
+ *
+ * @param {Object} uploadTask - Firebase UploadTask
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {Function|null} onProgress - Called with the rounded percentage
+ * @returns {Promise<void>}
+ */
+const uploadWithTimeout = (uploadTask, timeoutMs, onProgress = null) => {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let unsubscribe = null;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (typeof unsubscribe === 'function') unsubscribe();
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const timer = setTimeout(() => {
+      if (typeof uploadTask.cancel === 'function') uploadTask.cancel();
+      finish(new Error('Upload timeout exceeded'));
+    }, timeoutMs);
+
+    unsubscribe = uploadTask.on(
+      'state_changed',
+      (snapshot) => {
+        if (onProgress && snapshot.totalBytes > 0) {
+          onProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100));
+        }
+      },
+      (error) => finish(error),
+      () => finish(null)
+    );
+
+    // The task may have completed synchronously before `on` returned
+    if (settled && typeof unsubscribe === 'function') unsubscribe();
+  });
+};
+
+/**
+ * Upload a blob to a storage path and return its download URL
+ */
+const uploadBlob = async (blob, path, timeoutMs, onProgress = null) => {
+  const storageRef = ref(storage, path);
+  const uploadTask = uploadBytesResumable(storageRef, blob, { contentType: 'image/jpeg' });
+
+  await uploadWithTimeout(uploadTask, timeoutMs, onProgress);
+
+  return getDownloadURL(uploadTask.snapshot.ref);
+};
+
+/**
+ * Find an already uploaded receipt with the same content for this couple
+ *
+ * @returns {Promise<Object|null>} Receipt metadata or null
+ */
+const findExistingReceipt = async (coupleId, contentHash) => {
+  if (!contentHash) return null;
+
+  const receiptDoc = await getDoc(doc(db, 'receipts', getReceiptDocId(coupleId, contentHash)));
+  if (receiptDoc?.exists?.()) {
+    return { id: receiptDoc.id, ...receiptDoc.data() };
+  }
+  return null;
+};
+
+/**
+ * Generate and upload a thumbnail for a receipt (best effort)
+ *
+ * @returns {Promise<Object|null>} { url, path } or null if generation failed
+ */
+const uploadThumbnail = async (imageUri, coupleId, userId, timestamp, timeoutMs) => {
+  let blob = null;
+  try {
+    const thumbnail = await createThumbnail(imageUri);
+    if (!thumbnail?.uri) return null;
+
+    blob = await fetchBlob(thumbnail.uri);
+    const path = `receipts/${coupleId}/thumbnails/${userId}_${timestamp}.jpg`;
+    const url = await uploadBlob(blob, path, timeoutMs);
+
+    return { url, path };
+  } catch (error) {
+    if (__DEV__) console.warn('Failed to create receipt thumbnail:', error);
+    return null;
+  } finally {
+    releaseBlob(blob);
+  }
+};
+
+/**
+ * Upload a receipt image to Firebase Storage
+ *
+ * The image is compressed before upload and a thumbnail is stored alongside
+ * it. If the couple has already uploaded an identical image, the existing
+ * download URL is returned and nothing is uploaded.
+ *
+ * @param {string} imageUri - Local URI of the receipt image
+ * @param {string} coupleId - ID of the couple
+ * @param {string} userId - ID of the uploading user
+ * @param {Function|null} onProgress - Called with upload progress (0-100)
+ * @param {number} timeoutMs - Upload timeout in milliseconds
+ * @returns {Promise<string>} Download URL of the receipt
+ */
+export const uploadReceipt = async (
+  imageUri,
+  coupleId,
+  userId,
+  onProgress = null,
+  timeoutMs = DEFAULT_UPLOAD_TIMEOUT
+) => {
+  if (!imageUri || imageUri.trim() === '') {
+    throw new Error('Image URI is required');
+  }
+  if (!coupleId || coupleId.trim() === '') {
+    throw new Error('Couple ID is required');
+  }
+  if (!userId || userId.trim() === '') {
+    throw new Error('User ID is required');
+  }
+
+  let originalBlob = null;
+  let uploadBlobData = null;
+
+  try {
+    // Hash the original image so re-picking the same photo is detected even
+    // though compression output may differ between runs
+    originalBlob = await fetchBlob(imageUri);
+
+    let contentHash = null;
+    try {
+      contentHash = await hashBlob(originalBlob);
+    } catch (error) {
+      if (__DEV__) console.warn('Could not hash receipt, skipping dedupe:', error);
+    }
+
+    if (contentHash) {
+      try {
+        const existing = await findExistingReceipt(coupleId, contentHash);
+        if (existing?.url) {
+          if (__DEV__) console.log('♻️ Receipt already uploaded, reusing:', existing.id);
+          if (onProgress) onProgress(100);
+          return existing.url;
+        }
+      } catch (error) {
+        if (__DEV__) console.warn('Receipt dedupe lookup failed:', error);
+      }
+    }
+
+    // Compress, falling back to the original image if compression fails
+    let uploadUri = imageUri;
+    try {
+      const compressed = await compressReceipt(imageUri);
+      if (compressed?.uri) uploadUri = compressed.uri;
+    } catch (error) {
+      if (__DEV__) console.warn('Receipt compression failed, uploading original:', error);
+    }
+
+    uploadBlobData = uploadUri === imageUri ? originalBlob : await fetchBlob(uploadUri);
+
+    const timestamp = Date.now();
+    const storagePath = `receipts/${coupleId}/${userId}_${timestamp}.jpg`;
+    const url = await uploadBlob(uploadBlobData, storagePath, timeoutMs, onProgress);
+
+    const thumbnail = await uploadThumbnail(imageUri, coupleId, userId, timestamp, timeoutMs);
+
+    try {
+      const receiptId = getReceiptDocId(coupleId, contentHash || `${userId}_${timestamp}`);
+      await setDoc(doc(db, 'receipts', receiptId), {
+        coupleId,
+        uploadedBy: userId,
+        url,
+        storagePath,
+        thumbnailUrl: thumbnail?.url || null,
+        thumbnailPath: thumbnail?.path || null,
+        contentHash,
+        size: uploadBlobData?.size || null,
+        createdAt: serverTimestamp(),
+      });
+    } catch (error) {
+      // The upload itself succeeded; missing metadata only disables dedupe for this image
+      if (__DEV__) console.warn('Failed to save receipt metadata:', error);
+    }
+
+    if (__DEV__) console.log('✅ Receipt uploaded:', storagePath);
+    return url;
+  } catch (error) {
+    if (__DEV__) console.error('Error uploading receipt:', error);
+    throw error;
+  } finally {
+    if (uploadBlobData !== originalBlob) releaseBlob(uploadBlobData);
+    releaseBlob(originalBlob);
+  }
+};
+
+/**
+ * Cancel an in-progress upload
+ *
+ * @param {Object} uploadTask - Firebase UploadTask
+ * @returns {boolean} Whether the task was cancelled
+ */
+export const cancelUpload = (uploadTask) => {
+  return uploadTask.cancel();
+};
+
+/**
+ * Get a couple's metadata document for a receipt by its download URL
+ *
+ * @param {string} receiptUrl - Download URL
+ * @param {string} coupleId - ID of the couple
+ * @returns {Promise<Object|null>} Receipt metadata or null
+ */
+export const getReceiptByUrl = async (receiptUrl, coupleId) => {
+  const receiptsQuery = query(
+    collection(db, 'receipts'),
+    where('coupleId', '==', coupleId),
+    where('url', '==', receiptUrl)
+  );
+  const snapshot = await getDocs(receiptsQuery);
+  const receiptDoc = snapshot?.docs?.[0];
+
+  return receiptDoc ? { id: receiptDoc.id, ...receiptDoc.data() } : null;
+};
+
+/**
+ * Delete a storage object, ignoring objects that are already gone
+ */
+const deleteStorageObject = async (pathOrUrl) => {
+  try {
+    await deleteObject(ref(storage, pathOrUrl));
+  } catch (error) {
+    if (error?.code !== 'storage/object-not-found') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Delete a receipt image, its thumbnail and the couple's metadata for it
+ *
+ * @param {string} receiptUrl - Download URL of the receipt
+ * @param {string} coupleId - ID of the couple that owns the receipt
+ * @returns {Promise<Object>} { success: true }
+ */
+export const deleteReceipt = async (receiptUrl, coupleId) => {
+  if (!receiptUrl || receiptUrl.trim() === '') {
+    throw new Error('Receipt URL is required');
+  }
+  if (!/^(https?|gs):\/\//.test(receiptUrl)) {
+    throw new Error('Invalid receipt URL');
+  }
+  if (!coupleId) {
+    throw new Error('Couple ID is required');
+  }
+
+  try {
+    await deleteStorageObject(receiptUrl);
+
+    // Thumbnail and metadata cleanup is best effort; the main image is gone
+    try {
+      const metadata = await getReceiptByUrl(receiptUrl, coupleId);
+      if (metadata) {
+        if (metadata.thumbnailPath) {
+          await deleteStorageObject(metadata.thumbnailPath);
+        }
+        await deleteDoc(doc(db, 'receipts', metadata.id));
+      }
+    } catch (error) {
+      if (__DEV__) console.warn('Failed to clean up receipt metadata:', error);
+    }
+
+    if (__DEV__) console.log('✅ Receipt deleted:', receiptUrl);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error deleting receipt:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a receipt if no remaining expense of the couple references it
+ *
+ * Deduplicated receipts can be shared by several expenses, so the image is
+ * only removed once the last expense pointing at it is gone.
+ *
+ * @param {string} receiptUrl - Download URL of the receipt
+ * @param {string} coupleId - ID of the couple
+ * @returns {Promise<boolean>} Whether the receipt was deleted
+ */
+export const deleteReceiptIfOrphaned = async (receiptUrl, coupleId) => {
+  if (!receiptUrl || !coupleId) {
+    return false;
+  }
+
+  try {
+    const expensesQuery = query(
+      collection(db, 'expenses'),
+      where('coupleId', '==', coupleId),
+      where('receiptUrl', '==', receiptUrl)
+    );
+    const snapshot = await getDocs(expensesQuery);
+
+    if (snapshot && !snapshot.empty) {
+      return false;
+    }
+
+    await deleteReceipt(receiptUrl, coupleId);
+    return true;
+  } catch (error) {
+    if (__DEV__) console.error('Error deleting orphaned receipt:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the receipt URL attached to an expense
+ *
+ * @param {string} expenseId - ID of the expense
+ * @returns {Promise<string|null>} Receipt URL or null
+ */
+export const getReceiptUrl = async (expenseId) => {
+  if (!expenseId || expenseId.trim() === '') {
+    throw new Error('Expense ID is required');
+  }
+
+  try {
+    const expenseDoc = await getDoc(doc(db, 'expenses', expenseId));
+
+    if (!expenseDoc.exists()) {
+      throw new Error('Expense not found');
+    }
+
+    return expenseDoc.data().receiptUrl || null;
+  } catch (error) {
+    if (__DEV__) console.error('Error getting receipt URL:', error);
+    throw error;
+  }
+};
+
+/**
+ * List all receipts attached to a couple's expenses, newest expense first
+ *
+ * @param {string} coupleId - ID of the couple
+ * @returns {Promise<Array>} [{ expenseId, receiptUrl, thumbnailUrl, description, amount, date }]
+ */
+export const getCoupleReceipts = async (coupleId) => {
+  if (!coupleId || coupleId.trim() === '') {
+    throw new Error('Couple ID is required');
+  }
+
+  try {
+    const [expensesSnapshot, receiptsSnapshot] = await Promise.all([
+      getDocs(query(collection(db, 'expenses'), where('coupleId', '==', coupleId))),
+      getDocs(query(collection(db, 'receipts'), where('coupleId', '==', coupleId))),
+    ]);
+
+    const thumbnailsByUrl = {};
+    receiptsSnapshot.docs.forEach((receiptDoc) => {
+      const data = receiptDoc.data();
+      thumbnailsByUrl[data.url] = data.thumbnailUrl || null;
+    });
+
+    const receipts = [];
+    expensesSnapshot.docs.forEach((expenseDoc) => {
+      const expense = expenseDoc.data();
+      if (!expense.receiptUrl) return;
+
+      receipts.push({
+        expenseId: expenseDoc.id,
+        receiptUrl: expense.receiptUrl,
+        thumbnailUrl: thumbnailsByUrl[expense.receiptUrl] || null,
+        description: expense.description || '',
+        amount: expense.amount,
+        date: expense.date,
+      });
+    });
+
+    receipts.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return receipts;
+  } catch (error) {
+    if (__DEV__) console.error('Error getting couple receipts:', error);
+    throw error;
+  }
+};
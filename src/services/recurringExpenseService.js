@@ -0,0 +1,389 @@
+// src/services/recurringExpenseService.js
+// Service for managing recurring expense series
+//
+// A series is a template stored in the `recurringExpenses` collection. The
+// `materializeRecurringExpenses` Cloud Function turns due occurrences into
+// regular documents in `expenses`, tagged with `recurringExpenseId` and
+// `recurrenceDate`. The client only creates the first occurrence itself.
+
+import {
+  collection,
+  getDocs,
+  getDoc,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import * as expenseService from './expenseService';
+import {
+  RECURRENCE_STATUS,
+  getOccurrenceDate,
+  getOccurrenceIndexOnOrAfter,
+  getUpcomingOccurrences,
+  isRecurrenceFinished,
+  parseDateKey,
+  toDateKey,
+  validateRecurrenceRule,
+} from '../utils/recurrence';
+
+// Expense fields copied onto every materialized occurrence
+const TEMPLATE_FIELDS = [
+  'amount',
+  'currency',
+  'primaryCurrencyAmount',
+  'primaryCurrency',
+  'exchangeRate',
+  'exchangeRateSource',
+  'exchangeRateProvider',
+  'exchangeRateDate',
+  'description',
+  'category',
+  'categoryKey',
+  'paidBy',
+  'splitDetails',
+];
+
+const RULE_FIELDS = ['frequency', 'interval', 'dayOfMonth', 'startDate', 'endDate', 'maxOccurrences'];
+
+/**
+ * Pick the recurring-relevant fields from expense data
+ * @param {Object} expenseData - Expense fields
+ * @returns {Object} Template fields
+ */
+export const buildExpenseTemplate = (expenseData) => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (expenseData[field] !== undefined) {
+      template[field] = expenseData[field];
+    }
+  });
+  return template;
+};
+
+/**
+ * Normalize a recurrence rule for storage
+ */
+const normalizeRule = (rule) => ({
+  frequency: rule.frequency,
+  interval: rule.interval || 1,
+  dayOfMonth: rule.frequency === 'monthly' && rule.dayOfMonth ? rule.dayOfMonth : null,
+  startDate: toDateKey(rule.startDate),
+  endDate: rule.endDate ? toDateKey(rule.endDate) : null,
+  maxOccurrences: rule.maxOccurrences || null,
+});
+
+/**
+ * Compute schedule state (next date and status) for an occurrence index
+ */
+const getScheduleState = (rule, occurrenceIndex) => {
+  const finished = isRecurrenceFinished(rule, occurrenceIndex);
+  return {
+    occurrenceIndex,
+    nextOccurrenceDate: finished ? null : getOccurrenceDate(rule, occurrenceIndex),
+    status: finished ? RECURRENCE_STATUS.ENDED : RECURRENCE_STATUS.ACTIVE,
+  };
+};
+
+/**
+ * Get the next occurrence that hasn't been skipped
+ * @param {Object} series - Recurring expense series
+ * @returns {string|null} Date key
+ */
+export const getNextScheduledDate = (series) => {
+  if (!series || series.status === RECURRENCE_STATUS.ENDED) return null;
+
+  const upcoming = getUpcomingOccurrences(series, series.occurrenceIndex || 0, 12);
+  const next = upcoming.find((occurrence) => !occurrence.skipped);
+  return next ? next.date : null;
+};
+
+/**
+ * Create a recurring expense series
+ *
+ * @param {string} coupleId - The couple's ID
+ * @param {string} userId - User creating the series
+ * @param {Object} expenseData - Expense fields used as the template
+ * @param {Object} rule - Recurrence rule (frequency, interval, dayOfMonth, startDate, endDate, maxOccurrences)
+ * @param {Object} options - Options
+ * @param {boolean} options.firstOccurrenceCreated - Whether the start-date expense was already added
+ * @returns {Promise<Object>} Created series with id
+ */
+export const createRecurringExpense = async (coupleId, userId, expenseData, rule, options = {}) => {
+  try {
+    if (!coupleId) throw new Error('Couple ID is required');
+    if (!userId) throw new Error('User ID is required');
+
+    const { firstOccurrenceCreated = true } = options;
+    const validation = validateRecurrenceRule(rule);
+    if (!validation.isValid) {
+      throw new Error(validation.errors[0]);
+    }
+
+    const normalizedRule = normalizeRule(rule);
+    const series = {
+      coupleId,
+      createdBy: userId,
+      ...normalizedRule,
+      ...getScheduleState(normalizedRule, firstOccurrenceCreated ? 1 : 0),
+      skippedDates: [],
+      expenseTemplate: buildExpenseTemplate(expenseData),
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(collection(db, 'recurringExpenses'), series);
+
+    if (__DEV__) console.log('✅ Recurring expense created:', docRef.id);
+    return { id: docRef.id, ...series };
+  } catch (error) {
+    if (__DEV__) console.error('Error creating recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all recurring expense series for a couple
+ * @param {string} coupleId - The couple's ID
+ * @returns {Promise<Array>} Series sorted by next occurrence
+ */
+export const getRecurringExpenses = async (coupleId) => {
+  try {
+    const q = query(collection(db, 'recurringExpenses'), where('coupleId', '==', coupleId));
+    const snapshot = await getDocs(q);
+    const series = [];
+
+    snapshot.forEach((doc) => {
+      series.push({ id: doc.id, ...doc.data() });
+    });
+
+    // Ended series last, then by next occurrence
+    series.sort((a, b) => {
+      if (!a.nextOccurrenceDate) return 1;
+      if (!b.nextOccurrenceDate) return -1;
+      return a.nextOccurrenceDate.localeCompare(b.nextOccurrenceDate);
+    });
+
+    return series;
+  } catch (error) {
+    if (__DEV__) console.error('Error getting recurring expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single recurring expense series
+ */
+export const getRecurringExpense = async (recurringExpenseId) => {
+  try {
+    const seriesDoc = await getDoc(doc(db, 'recurringExpenses', recurringExpenseId));
+
+    if (!seriesDoc.exists()) {
+      throw new Error('Recurring expense not found');
+    }
+
+    return { id: seriesDoc.id, ...seriesDoc.data() };
+  } catch (error) {
+    if (__DEV__) console.error('Error getting recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pause a series. No occurrences are materialized while paused.
+ */
+export const pauseRecurringExpense = async (recurringExpenseId) => {
+  try {
+    await updateDoc(doc(db, 'recurringExpenses', recurringExpenseId), {
+      status: RECURRENCE_STATUS.PAUSED,
+      updatedAt: serverTimestamp(),
+    });
+
+    if (__DEV__) console.log('✅ Recurring expense paused:', recurringExpenseId);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error pausing recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resume a paused series. Occurrences that fell inside the pause are not
+ * back-filled; the schedule continues from today.
+ */
+export const resumeRecurringExpense = async (recurringExpenseId) => {
+  try {
+    const series = await getRecurringExpense(recurringExpenseId);
+    const today = toDateKey(new Date());
+    const nextIndex = Math.max(
+      series.occurrenceIndex || 0,
+      getOccurrenceIndexOnOrAfter(series, today)
+    );
+
+    await updateDoc(doc(db, 'recurringExpenses', recurringExpenseId), {
+      ...getScheduleState(series, nextIndex),
+      updatedAt: serverTimestamp(),
+    });
+
+    if (__DEV__) console.log('✅ Recurring expense resumed:', recurringExpenseId);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error resuming recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Skip a single upcoming occurrence
+ *
+ * @param {string} recurringExpenseId - Series ID
+ * @param {string} dateKey - Occurrence to skip ('YYYY-MM-DD'); defaults to the next one
+ * @returns {Promise<{success: boolean, skippedDate: string}>}
+ */
+export const skipOccurrence = async (recurringExpenseId, dateKey = null) => {
+  try {
+    const series = await getRecurringExpense(recurringExpenseId);
+    const skippedDate = dateKey || getNextScheduledDate(series);
+
+    if (!skippedDate) {
+      throw new Error('This recurring expense has no upcoming occurrences');
+    }
+
+    const skippedDates = series.skippedDates || [];
+    if (!skippedDates.includes(skippedDate)) {
+      await updateDoc(doc(db, 'recurringExpenses', recurringExpenseId), {
+        skippedDates: [...skippedDates, skippedDate],
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    if (__DEV__) console.log('✅ Recurring occurrence skipped:', recurringExpenseId, skippedDate);
+    return { success: true, skippedDate };
+  } catch (error) {
+    if (__DEV__) console.error('Error skipping occurrence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Undo a skipped occurrence
+ */
+export const unskipOccurrence = async (recurringExpenseId, dateKey) => {
+  try {
+    const series = await getRecurringExpense(recurringExpenseId);
+
+    await updateDoc(doc(db, 'recurringExpenses', recurringExpenseId), {
+      skippedDates: (series.skippedDates || []).filter((date) => date !== dateKey),
+      updatedAt: serverTimestamp(),
+    });
+
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error restoring occurrence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edit "this and future" occurrences of a series
+ *
+ * Updates the given materialized expense and the series template so every
+ * later occurrence uses the new values. Earlier occurrences are untouched.
+ * When schedule fields are passed, the schedule is re-based on this
+ * occurrence's date (so an "after N times" limit counts from here).
+ *
+ * @param {Object} expense - The materialized expense being edited (must have recurringExpenseId)
+ * @param {Object} expenseUpdates - Expense field updates
+ * @param {Object|null} ruleUpdates - Optional schedule changes
+ * @returns {Promise<{success: boolean}>}
+ */
+export const updateThisAndFutureOccurrences = async (expense, expenseUpdates, ruleUpdates = null) => {
+  try {
+    if (!expense?.recurringExpenseId) {
+      throw new Error('Expense is not part of a recurring series');
+    }
+
+    const series = await getRecurringExpense(expense.recurringExpenseId);
+
+    await expenseService.updateExpense(expense.id, expenseUpdates);
+
+    const seriesUpdates = {
+      expenseTemplate: {
+        ...series.expenseTemplate,
+        ...buildExpenseTemplate(expenseUpdates),
+      },
+      updatedAt: serverTimestamp(),
+    };
+
+    if (ruleUpdates) {
+      const thisOccurrence = expense.recurrenceDate || toDateKey(expense.date);
+      const rule = {
+        ...RULE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: series[field] }), {}),
+        ...ruleUpdates,
+        startDate: thisOccurrence,
+      };
+
+      const validation = validateRecurrenceRule(rule);
+      if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+      }
+
+      const normalizedRule = normalizeRule(rule);
+      const dayAfter = parseDateKey(thisOccurrence);
+      dayAfter.setDate(dayAfter.getDate() + 1);
+      const nextIndex = getOccurrenceIndexOnOrAfter(normalizedRule, dayAfter);
+      Object.assign(seriesUpdates, normalizedRule, getScheduleState(normalizedRule, nextIndex));
+
+      // A paused series stays paused after a schedule change
+      if (series.status === RECURRENCE_STATUS.PAUSED && seriesUpdates.status === RECURRENCE_STATUS.ACTIVE) {
+        seriesUpdates.status = RECURRENCE_STATUS.PAUSED;
+      }
+    }
+
+    await updateDoc(doc(db, 'recurringExpenses', expense.recurringExpenseId), seriesUpdates);
+
+    if (__DEV__) console.log('✅ Recurring expense updated from:', expense.id);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error updating recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop a series. Existing occurrences are kept.
+ */
+export const endRecurringExpense = async (recurringExpenseId) => {
+  try {
+    await updateDoc(doc(db, 'recurringExpenses', recurringExpenseId), {
+      status: RECURRENCE_STATUS.ENDED,
+      nextOccurrenceDate: null,
+      updatedAt: serverTimestamp(),
+    });
+
+    if (__DEV__) console.log('✅ Recurring expense ended:', recurringExpenseId);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error ending recurring expense:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a series template. Existing occurrences are kept.
+ */
+export const deleteRecurringExpense = async (recurringExpenseId) => {
+  try {
+    await deleteDoc(doc(db, 'recurringExpenses', recurringExpenseId));
+
+    if (__DEV__) console.log('✅ Recurring expense deleted:', recurringExpenseId);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error deleting recurring expense:', error);
+    throw error;
+  }
+};
@@ -1,5 +1,9 @@
 // src/services/savingsTargetService.js
 // Service for managing savings goals and targets
+//
+// Goals live in the `savingsTargets` collection, which is also watched by the
+// checkSavingsGoalMilestone Cloud Function. That function owns the
+// `reachedMilestones` field; the client only reads it.
 
 import {
   doc,
@@ -11,10 +15,25 @@ import {
   query,
   where,
   getDocs,
+  orderBy,
+  runTransaction,
+  writeBatch,
   serverTimestamp,
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 
+// Keep in sync with functions/src/savings/milestones.js
+export const SAVINGS_MILESTONES = [25, 50, 75, 100];
+
+// Key used in per-partner breakdowns for contributions without a contributor
+export const UNATTRIBUTED_CONTRIBUTOR = 'unattributed';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Fixed ID of the opening-balance entry of targets created before the ledger
+const OPENING_BALANCE_ID = 'opening';
+
 /**
  * Create a savings target
  *
@@ -53,6 +72,10 @@ export const createSavingsTarget = async (coupleId, targetData) => {
       updatedAt: serverTimestamp(),
       completedAt: null,
       milestones: [],
+      reachedMilestones: [],
+      hasContributionLedger: true,
+      contributionsByUser: {},
+      contributionCount: 0,
     };
 
     await setDoc(targetRef, savingsTarget);
@@ -101,6 +124,30 @@ export const getSavingsTargets = async (coupleId, status = null) => {
   }
 };
 
+/**
+ * Get a single savings target
+ *
+ * @param {string} targetId - The savings target ID
+ * @returns {Object} Savings target
+ */
+export const getSavingsTarget = async (targetId) => {
+  try {
+    const targetDoc = await getDoc(doc(db, 'savingsTargets', targetId));
+
+    if (!targetDoc.exists()) {
+      throw new Error('Savings target not found');
+    }
+
+    return {
+      id: targetDoc.id,
+      ...targetDoc.data(),
+    };
+  } catch (error) {
+    console.error('Error getting savings target:', error);
+    throw error;
+  }
+};
+
 /**
  * Get savings targets for a specific fiscal year
  *
@@ -138,51 +185,284 @@ export const getSavingsTargetsForFiscalYear = async (coupleId, fiscalYear) => {
 };
 
 /**
- * Update savings progress
+ * Summarize a list of contributions
+ * Reversals are stored as offsetting entries, so a plain sum nets them out.
+ *
+ * @param {Array} contributions - Contribution documents
+ * @returns {Object} { total, byUser, count }
+ */
+export const summarizeContributions = (contributions) => {
+  const byUser = {};
+  let total = 0;
+  let count = 0;
+
+  contributions.forEach((contribution) => {
+    const amount = contribution.amount || 0;
+    const userKey = contribution.contributedBy || UNATTRIBUTED_CONTRIBUTOR;
+
+    total += amount;
+    byUser[userKey] = (byUser[userKey] || 0) + amount;
+
+    // Count contributions that still stand (not reversals, not reversed)
+    if (!contribution.reversalOf && !contribution.reversedBy) {
+      count++;
+    }
+  });
+
+  // Round away floating point noise from repeated additions
+  Object.keys(byUser).forEach((key) => {
+    byUser[key] = Math.round(byUser[key] * 100) / 100;
+  });
+
+  return {
+    total: Math.round(total * 100) / 100,
+    byUser,
+    count,
+  };
+};
+
+// Ledger totals as stored on a target, in the shape of summarizeContributions
+const getLedgerTotals = (targetData) => ({
+  total: targetData.currentAmount || 0,
+  byUser: targetData.contributionsByUser || {},
+  count: targetData.contributionCount || 0,
+});
+
+// Target fields after adding one ledger entry to the given totals
+const applyLedgerEntry = (targetData, ledger, { amount, contributedBy, countChange }) => {
+  const userKey = contributedBy || UNATTRIBUTED_CONTRIBUTOR;
+  const total = Math.round((ledger.total + amount) * 100) / 100;
+  const byUser = {
+    ...ledger.byUser,
+    [userKey]: Math.round(((ledger.byUser[userKey] || 0) + amount) * 100) / 100,
+  };
+  const isCompleted = total >= targetData.targetAmount;
+
+  const updates = {
+    currentAmount: total,
+    contributionsByUser: byUser,
+    contributionCount: ledger.count + countChange,
+    hasContributionLedger: true,
+    updatedAt: serverTimestamp(),
+  };
+
+  if (isCompleted && targetData.status !== 'completed') {
+    updates.status = 'completed';
+    updates.completedAt = serverTimestamp();
+  } else if (!isCompleted && targetData.status === 'completed') {
+    // A reversal can take a completed goal back below its target
+    updates.status = 'active';
+    updates.completedAt = null;
+  }
+
+  return { updates, currentAmount: total, contributionsByUser: byUser, isCompleted };
+};
+
+/**
+ * Get the contribution ledger for a savings target, newest first
  *
  * @param {string} targetId - The savings target ID
- * @param {number} amount - Amount to add/subtract
- * @param {string} note - Optional note for this update
- * @returns {Object} Updated savings target
+ * @returns {Array} Array of contributions
  */
-export const updateSavingsProgress = async (targetId, amount, note = null) => {
+export const getContributions = async (targetId) => {
   try {
-    const targetRef = doc(db, 'savingsTargets', targetId);
-    const targetDoc = await getDoc(targetRef);
+    const contributionsQuery = query(
+      collection(db, 'savingsTargets', targetId, 'contributions'),
+      orderBy('date', 'desc')
+    );
+    const snapshot = await getDocs(contributionsQuery);
+    const contributions = [];
 
-    if (!targetDoc.exists()) {
-      throw new Error('Savings target not found');
+    snapshot.forEach((doc) => {
+      contributions.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    return contributions;
+  } catch (error) {
+    console.error('Error getting savings contributions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a contribution to a savings target
+ *
+ * The entry and the target's totals are written in one transaction, so
+ * concurrent contributions from both partners are all counted. Targets
+ * created before the ledger existed get an opening-balance entry for their
+ * existing amount first; it has a fixed ID so it can only be written once.
+ *
+ * @param {string} targetId - The savings target ID
+ * @param {Object} contributionData - { amount, contributedBy, date, note, expenseId }
+ * @returns {Object} Created contribution and updated progress
+ */
+export const addContribution = async (targetId, contributionData) => {
+  try {
+    const amount = parseFloat(contributionData.amount);
+
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new Error('Contribution amount must be a non-zero number');
     }
 
-    const targetData = targetDoc.data();
-    const newCurrentAmount = targetData.currentAmount + parseFloat(amount);
+    const targetRef = doc(db, 'savingsTargets', targetId);
+    const contributionsRef = collection(db, 'savingsTargets', targetId, 'contributions');
+    const openingBalanceRef = doc(contributionsRef, OPENING_BALANCE_ID);
+    const contributionRef = doc(contributionsRef);
+
+    const contribution = {
+      amount,
+      contributedBy: contributionData.contributedBy || null,
+      date: contributionData.date
+        ? new Date(contributionData.date).toISOString()
+        : new Date().toISOString(),
+      note: contributionData.note || '',
+      expenseId: contributionData.expenseId || null,
+      createdBy: contributionData.contributedBy || null,
+      createdAt: serverTimestamp(),
+    };
+
+    const progress = await runTransaction(db, async (transaction) => {
+      const targetDoc = await transaction.get(targetRef);
 
-    // Check if target is reached
-    const isCompleted = newCurrentAmount >= targetData.targetAmount;
+      if (!targetDoc.exists()) {
+        throw new Error('Savings target not found');
+      }
 
-    const updates = {
-      currentAmount: newCurrentAmount,
-      updatedAt: serverTimestamp(),
+      const targetData = targetDoc.data();
+      const openingEntries = [];
+
+      if (!targetData.hasContributionLedger && targetData.currentAmount) {
+        const openingBalance = {
+          amount: targetData.currentAmount,
+          contributedBy: null,
+          date: new Date().toISOString(),
+          note: 'Opening balance',
+          expenseId: null,
+          isOpeningBalance: true,
+          createdBy: contributionData.contributedBy || null,
+          createdAt: serverTimestamp(),
+        };
+        transaction.set(openingBalanceRef, openingBalance);
+        openingEntries.push(openingBalance);
+      }
+
+      const ledger = targetData.hasContributionLedger
+        ? getLedgerTotals(targetData)
+        : summarizeContributions(openingEntries);
+      const { updates, ...result } = applyLedgerEntry(targetData, ledger, {
+        amount,
+        contributedBy: contribution.contributedBy,
+        countChange: 1,
+      });
+
+      transaction.set(contributionRef, contribution);
+      transaction.update(targetRef, updates);
+
+      return result;
+    });
+
+    console.log('✅ Savings contribution added:', contributionRef.id);
+    return {
+      contribution: { id: contributionRef.id, ...contribution },
+      ...progress,
     };
+  } catch (error) {
+    console.error('Error adding savings contribution:', error);
+    throw error;
+  }
+};
 
-    if (isCompleted && targetData.status !== 'completed') {
-      updates.status = 'completed';
-      updates.completedAt = serverTimestamp();
-    }
+/**
+ * Reverse a contribution
+ * Writes an offsetting entry and links both, so the ledger keeps its history.
+ *
+ * @param {string} targetId - The savings target ID
+ * @param {string} contributionId - The contribution to reverse
+ * @param {string} userId - User performing the reversal
+ * @param {string} reason - Optional reason
+ * @returns {Object} Reversal entry and updated progress
+ */
+export const reverseContribution = async (targetId, contributionId, userId, reason = null) => {
+  try {
+    const contributionRef = doc(db, 'savingsTargets', targetId, 'contributions', contributionId);
+    const reversalRef = doc(collection(db, 'savingsTargets', targetId, 'contributions'));
+
+    const targetRef = doc(db, 'savingsTargets', targetId);
+
+    const { reversal, progress } = await runTransaction(db, async (transaction) => {
+      const contributionDoc = await transaction.get(contributionRef);
+      const targetDoc = await transaction.get(targetRef);
 
-    // Add milestone if provided
-    if (note) {
-      const milestone = {
-        date: new Date(),
-        amount: parseFloat(amount),
-        note,
-        balance: newCurrentAmount,
+      if (!contributionDoc.exists()) {
+        throw new Error('Contribution not found');
+      }
+      if (!targetDoc.exists()) {
+        throw new Error('Savings target not found');
+      }
+
+      const original = contributionDoc.data();
+
+      if (original.reversalOf) {
+        throw new Error('A reversal cannot be reversed');
+      }
+      if (original.reversedBy) {
+        throw new Error('Contribution has already been reversed');
+      }
+
+      const reversalEntry = {
+        amount: -original.amount,
+        // Attribute to the original contributor so per-partner totals net out
+        contributedBy: original.contributedBy || null,
+        date: new Date().toISOString(),
+        note: reason || '',
+        expenseId: original.expenseId || null,
+        reversalOf: contributionId,
+        createdBy: userId,
+        createdAt: serverTimestamp(),
       };
 
-      updates.milestones = [...(targetData.milestones || []), milestone];
-    }
+      // The original no longer stands and the reversal itself is not counted
+      const targetData = targetDoc.data();
+      const { updates, ...result } = applyLedgerEntry(targetData, getLedgerTotals(targetData), {
+        amount: reversalEntry.amount,
+        contributedBy: reversalEntry.contributedBy,
+        countChange: -1,
+      });
+
+      transaction.set(reversalRef, reversalEntry);
+      transaction.update(contributionRef, {
+        reversedBy: reversalRef.id,
+        reversedAt: serverTimestamp(),
+      });
+      transaction.update(targetRef, updates);
+
+      return { reversal: { id: reversalRef.id, ...reversalEntry }, progress: result };
+    });
 
-    await updateDoc(targetRef, updates);
+    console.log('✅ Savings contribution reversed:', contributionId);
+    return { reversal, ...progress };
+  } catch (error) {
+    console.error('Error reversing savings contribution:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update savings progress
+ * Records the change as a contribution in the target's ledger.
+ *
+ * @param {string} targetId - The savings target ID
+ * @param {number} amount - Amount to add/subtract
+ * @param {string} note - Optional note for this update
+ * @param {string} contributedBy - Optional ID of the contributing partner
+ * @returns {Object} Updated savings target
+ */
+export const updateSavingsProgress = async (targetId, amount, note = null, contributedBy = null) => {
+  try {
+    const { isCompleted } = await addContribution(targetId, { amount, note, contributedBy });
 
     console.log('✅ Savings progress updated:', targetId);
     return { success: true, isCompleted };
@@ -242,6 +522,20 @@ export const updateSavingsTarget = async (targetId, updates) => {
 export const deleteSavingsTarget = async (targetId) => {
   try {
     const targetRef = doc(db, 'savingsTargets', targetId);
+
+    // Firestore doesn't cascade deletes to sub-collections
+    const contributionsSnapshot = await getDocs(
+      collection(db, 'savingsTargets', targetId, 'contributions')
+    );
+    const contributionDocs = contributionsSnapshot.docs;
+    for (let i = 0; i < contributionDocs.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      contributionDocs.slice(i, i + BATCH_SIZE).forEach((contributionDoc) => {
+        batch.delete(contributionDoc.ref);
+      });
+      await batch.commit();
+    }
+
     await deleteDoc(targetRef);
 
     console.log('✅ Savings target deleted:', targetId);
@@ -257,7 +551,7 @@ export const deleteSavingsTarget = async (targetId) => {
  *
  * @param {number} targetAmount - Target amount to save
  * @param {number} currentAmount - Current saved amount
- * @param {Date} targetDate - Target completion date
+ * @param {Date|Timestamp} targetDate - Target completion date
  * @returns {Object} Calculation results
  */
 export const calculateMonthlyContribution = (targetAmount, currentAmount, targetDate) => {
@@ -280,7 +574,8 @@ export const calculateMonthlyContribution = (targetAmount, currentAmount, target
   }
 
   const today = new Date();
-  const target = new Date(targetDate);
+  // Stored targets come back from Firestore as Timestamps
+  const target = typeof targetDate.toDate === 'function' ? targetDate.toDate() : new Date(targetDate);
   const monthsRemaining = Math.max(
     1,
     Math.ceil((target - today) / (1000 * 60 * 60 * 24 * 30))
@@ -318,31 +613,46 @@ export const calculateSavingsRate = (totalSpent, totalBudget) => {
  * Get savings summary for all targets
  *
  * @param {string} coupleId - The couple ID
- * @returns {Object} Savings summary
+ * @param {number} fiscalYear - Only summarize targets of this fiscal year (optional)
+ * @returns {Object} Savings summary, including per-partner contribution totals
  */
-export const getSavingsSummary = async (coupleId) => {
+export const getSavingsSummary = async (coupleId, fiscalYear = null) => {
   try {
-    const allTargets = await getSavingsTargets(coupleId);
+    const allTargets = fiscalYear
+      ? await getSavingsTargetsForFiscalYear(coupleId, fiscalYear)
+      : await getSavingsTargets(coupleId);
 
     const summary = {
       totalTargets: allTargets.length,
       activeTargets: 0,
+      pausedTargets: 0,
       completedTargets: 0,
       totalTargetAmount: 0,
       totalCurrentAmount: 0,
       totalRemaining: 0,
       completionPercentage: 0,
+      contributionsByPartner: {},
     };
 
     allTargets.forEach((target) => {
       if (target.status === 'active') {
         summary.activeTargets++;
+      } else if (target.status === 'paused') {
+        summary.pausedTargets++;
       } else if (target.status === 'completed') {
         summary.completedTargets++;
       }
 
       summary.totalTargetAmount += target.targetAmount;
       summary.totalCurrentAmount += target.currentAmount;
+
+      // Targets without a ledger yet only have an unattributed balance
+      const byUser = target.contributionsByUser ||
+        (target.currentAmount ? { [UNATTRIBUTED_CONTRIBUTOR]: target.currentAmount } : {});
+      Object.entries(byUser).forEach(([userId, amount]) => {
+        summary.contributionsByPartner[userId] =
+          (summary.contributionsByPartner[userId] || 0) + amount;
+      });
     });
 
     summary.totalRemaining = summary.totalTargetAmount - summary.totalCurrentAmount;
@@ -358,6 +668,26 @@ export const getSavingsSummary = async (coupleId) => {
   }
 };
 
+/**
+ * Get milestone progress for a savings target
+ *
+ * @param {Object} target - Savings target
+ * @returns {Object} { percentage, reachedMilestones, nextMilestone }
+ */
+export const getMilestoneProgress = (target) => {
+  const targetAmount = target?.targetAmount || 0;
+  const percentage =
+    targetAmount > 0 ? Math.floor(((target.currentAmount || 0) / targetAmount) * 100) : 0;
+  const reachedMilestones = target?.reachedMilestones || [];
+  const nextMilestone = SAVINGS_MILESTONES.find((milestone) => percentage < milestone) || null;
+
+  return {
+    percentage,
+    reachedMilestones,
+    nextMilestone,
+  };
+};
+
 /**
  * Pause a savings target
  *
@@ -0,0 +1,167 @@
+// src/services/searchService.js
+// Service for searching the full expense history and managing saved searches
+//
+// Screens only hold the most recent page of expenses, so search reads the
+// history in batches with getExpenses and filters each batch client-side.
+// Firestore has no full-text search, and filtering in JS keeps us off
+// composite indexes for every qualifier combination.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getExpenses } from './expenseService';
+import { parseSearchQuery, matchesSearch, isEmptySearch } from '../utils/expenseSearch';
+
+// Same batch size as the expense list
+const SEARCH_BATCH_SIZE = 500;
+
+// Batches read per call before handing control back to the screen
+const MAX_BATCHES_PER_PAGE = 10;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Search the couple's whole expense history
+ *
+ * Reads expenses newest first until at least `pageSize` matches are found,
+ * the history runs out, or MAX_BATCHES_PER_PAGE batches have been read. Pass
+ * the returned cursor back in to continue where the previous call stopped.
+ *
+ * @param {string} coupleId - The couple's ID
+ * @param {string} queryText - Query in the expenseSearch syntax
+ * @param {Object} options
+ * @param {Object} options.context - { userId, partnerId, categories, tags } for matchesSearch
+ * @param {DocumentSnapshot} options.cursor - Cursor from the previous page
+ * @param {number} options.pageSize - Matches to collect before returning (default: 50)
+ * @returns {Promise<{expenses: Array, cursor: DocumentSnapshot|null, hasMore: boolean, scannedCount: number}>}
+ */
+export const searchExpenses = async (coupleId, queryText, options = {}) => {
+  try {
+    const { context = {}, cursor = null, pageSize = DEFAULT_PAGE_SIZE } = options;
+    const search = parseSearchQuery(queryText);
+
+    if (isEmptySearch(search)) {
+      return { expenses: [], cursor: null, hasMore: false, scannedCount: 0 };
+    }
+
+    const matches = [];
+    let lastDoc = cursor;
+    let hasMore = true;
+    let scannedCount = 0;
+    let batches = 0;
+
+    while (hasMore && matches.length < pageSize && batches < MAX_BATCHES_PER_PAGE) {
+      const { expenses, lastDoc: batchLastDoc, hasMore: batchHasMore } = await getExpenses(coupleId, {
+        limitCount: SEARCH_BATCH_SIZE,
+        startAfterDoc: lastDoc,
+      });
+      batches += 1;
+      scannedCount += expenses.length;
+
+      expenses.forEach((expense) => {
+        if (matchesSearch(expense, search, context)) {
+          matches.push(expense);
+        }
+      });
+
+      lastDoc = batchLastDoc;
+      hasMore = batchHasMore;
+
+      // Expenses arrive newest first, so nothing older can match a start date
+      const oldest = expenses[expenses.length - 1];
+      if (search.startDate && oldest?.date && new Date(oldest.date) < search.startDate) {
+        hasMore = false;
+      }
+    }
+
+    return {
+      expenses: matches,
+      cursor: hasMore ? lastDoc : null,
+      hasMore,
+      scannedCount,
+    };
+  } catch (error) {
+    console.error('Error searching expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a search so both partners can run it again
+ *
+ * @param {string} coupleId - The couple ID
+ * @param {Object} searchData - { name, query, createdBy }
+ * @returns {Object} Saved search
+ */
+export const saveSearch = async (coupleId, { name, query: queryText, createdBy }) => {
+  try {
+    const trimmedQuery = String(queryText || '').trim();
+    if (!trimmedQuery) {
+      throw new Error('Search query is required');
+    }
+
+    const savedSearch = {
+      coupleId,
+      name: String(name || '').trim() || trimmedQuery,
+      query: trimmedQuery,
+      createdBy,
+      createdAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(collection(db, 'savedSearches'), savedSearch);
+    return { id: docRef.id, ...savedSearch };
+  } catch (error) {
+    console.error('Error saving search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to the couple's saved searches, sorted by name
+ */
+export const subscribeToSavedSearches = (coupleId, callback, errorCallback) => {
+  const savedSearchesQuery = query(collection(db, 'savedSearches'), where('coupleId', '==', coupleId));
+
+  return onSnapshot(
+    savedSearchesQuery,
+    (snapshot) => {
+      const savedSearches = [];
+      snapshot.forEach((doc) => {
+        savedSearches.push({
+          id: doc.id,
+          ...doc.data(),
+        });
+      });
+
+      // Sort in JavaScript to avoid needing a composite index
+      savedSearches.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      callback(savedSearches);
+    },
+    (error) => {
+      console.error('Error in saved searches subscription:', error);
+      if (errorCallback) {
+        errorCallback(error);
+      }
+    }
+  );
+};
+
+/**
+ * Delete a saved search
+ */
+export const deleteSavedSearch = async (savedSearchId) => {
+  try {
+    await deleteDoc(doc(db, 'savedSearches', savedSearchId));
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    throw error;
+  }
+};
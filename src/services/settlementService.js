@@ -14,8 +14,24 @@ import {
   serverTimestamp,
   runTransaction,
   writeBatch,
+  updateDoc,
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import {
+  calculateBalanceWithSettlements,
+  calculatePartialSettlement,
+  roundCurrency,
+} from '../utils/calculations';
+import { getOccurrenceDate, toDateKey } from '../utils/recurrence';
+import { DEFAULT_CURRENCY, getCurrencyDecimals } from '../constants/currencies';
+import { getEffectiveTotalBudget } from '../utils/budgetRollover';
+import { logActivity } from './activityLogService';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS } from '../utils/activityLog';
+import { isExpenseDeleted } from '../utils/expenseTrash';
+import { isOnline, queueMutation } from './offlineQueueService';
+import { MUTATION_ENTITIES, MUTATION_OPS } from '../utils/offlineMutations';
+
+export const SETTLEMENT_PLAN_FREQUENCIES = ['weekly', 'monthly'];
 
 /**
  * Generate category breakdown from expenses
@@ -93,11 +109,8 @@ export const generateBudgetSummary = (expenses, currentBudget, categories) => {
     };
   }
 
-  // Calculate total budget
-  let totalBudget = 0;
-  if (currentBudget.categoryBudgets) {
-    totalBudget = Object.values(currentBudget.categoryBudgets).reduce((sum, amount) => sum + amount, 0);
-  }
+  // Calculate total budget (including rollovers from last month)
+  const totalBudget = getEffectiveTotalBudget(currentBudget);
 
   // Calculate total spent on these expenses
   // Use primaryCurrencyAmount for multi-currency support, fallback to amount
@@ -151,6 +164,17 @@ const calculateSettlementPeriodDays = (settlements) => {
 
 /**
  * Create a new settlement with budget and category analytics
+ *
+ * Pass `options.outstandingBalance` to record a partial payment: when the
+ * amount is below the outstanding balance, expenses stay unsettled and the
+ * remainder carries forward in the running balance. `options.planId` and
+ * `options.instalmentIndex` mark the matching settlement plan instalment as
+ * paid in the same transaction. `options.tripId` records a settlement of a
+ * single trip's expenses (see tripService). `options.currency` is the
+ * currency of the balance, used to round the payment.
+ *
+ * Offline, the settlement is queued and returned with `pendingSync: true`.
+ * `options.settlementId` writes it under that ID when the queue replays it.
  */
 export const createSettlement = async (
   coupleId,
@@ -161,16 +185,69 @@ export const createSettlement = async (
   note,
   expenses,
   categories,
-  currentBudget
+  currentBudget,
+  options = {}
 ) => {
   try {
-    // Filter unsettled expenses
-    const unsettledExpenses = expenses.filter(exp => !exp.settledAt);
+    const {
+      outstandingBalance = null,
+      planId = null,
+      instalmentIndex = null,
+      tripId = null,
+      settlementId = null,
+      currency = DEFAULT_CURRENCY,
+    } = options;
+
+    // Filter unsettled expenses (trashed ones never count towards a settlement)
+    const unsettledExpenses = expenses.filter(exp => !exp.settledAt && !isExpenseDeleted(exp));
 
     if (unsettledExpenses.length === 0) {
       throw new Error('No unsettled expenses to settle');
     }
 
+    const payment = outstandingBalance !== null
+      ? calculatePartialSettlement(outstandingBalance, amount, currency)
+      : null;
+
+    if (payment && payment.amount > payment.outstanding) {
+      throw new Error('Payment exceeds the outstanding balance');
+    }
+
+    const isPartial = !!payment?.isPartial;
+
+    if (!settlementId && !(await isOnline())) {
+      const queuedId = doc(collection(db, 'settlements')).id;
+      await queueMutation({
+        entity: MUTATION_ENTITIES.SETTLEMENT,
+        op: MUTATION_OPS.CREATE,
+        entityId: queuedId,
+        coupleId,
+        data: {
+          user1Id,
+          user2Id,
+          amount,
+          settledBy,
+          note: note || '',
+          expenseIds: unsettledExpenses.map(exp => exp.id),
+          categories,
+          currentBudget,
+          options: { outstandingBalance, planId, instalmentIndex, tripId, currency },
+        },
+      });
+
+      return {
+        id: queuedId,
+        coupleId,
+        amount,
+        settledBy,
+        note: note || '',
+        isPartial,
+        remainingBalance: payment ? payment.remainingBalance : 0,
+        expensesSettledCount: isPartial ? 0 : unsettledExpenses.length,
+        pendingSync: true,
+      };
+    }
+
     // Generate category breakdown with proper user attribution
     const categoryBreakdown = generateCategoryBreakdown(unsettledExpenses, categories, user1Id, user2Id);
 
@@ -195,15 +272,31 @@ export const createSettlement = async (
     const settlementsSnapshot = await getDocs(settlementsQuery);
     const previousSettlements = [];
     settlementsSnapshot.forEach((doc) => {
-      previousSettlements.push({ id: doc.id, ...doc.data() });
+      const data = doc.data();
+      if (!data.reversalId) {
+        previousSettlements.push({ id: doc.id, ...data });
+      }
     });
 
     const settlementPeriodDays = calculateSettlementPeriodDays(previousSettlements);
 
     // Use transaction to ensure atomicity
     const settlementData = await runTransaction(db, async (transaction) => {
+      // Transactions require all reads before writes
+      let plan = null;
+      const planRef = planId ? doc(db, 'settlementPlans', planId) : null;
+      if (planRef) {
+        const planDoc = await transaction.get(planRef);
+        if (!planDoc.exists()) {
+          throw new Error('Settlement plan not found');
+        }
+        plan = planDoc.data();
+      }
+
       // Create settlement document
-      const settlementRef = doc(collection(db, 'settlements'));
+      const settlementRef = settlementId
+        ? doc(db, 'settlements', settlementId)
+        : doc(collection(db, 'settlements'));
       const settlement = {
         coupleId,
         user1Id,
@@ -211,8 +304,13 @@ export const createSettlement = async (
         amount,
         settledBy,
         note: note || '',
-        expensesSettledCount: unsettledExpenses.length,
-        balanceAtSettlement: amount,
+        expensesSettledCount: isPartial ? 0 : unsettledExpenses.length,
+        balanceAtSettlement: payment ? payment.outstanding : amount,
+        isPartial,
+        remainingBalance: payment ? payment.remainingBalance : 0,
+        planId,
+        instalmentIndex,
+        tripId,
         settledAt: serverTimestamp(),
 
         // Budget & Category Analytics
@@ -225,14 +323,20 @@ export const createSettlement = async (
 
       transaction.set(settlementRef, settlement);
 
-      // Mark all unsettled expenses as settled
-      unsettledExpenses.forEach((expense) => {
-        const expenseRef = doc(db, 'expenses', expense.id);
-        transaction.update(expenseRef, {
-          settledAt: serverTimestamp(),
-          settledBySettlementId: settlementRef.id,
+      // A partial payment leaves expenses open until the balance is cleared
+      if (!isPartial) {
+        unsettledExpenses.forEach((expense) => {
+          const expenseRef = doc(db, 'expenses', expense.id);
+          transaction.update(expenseRef, {
+            settledAt: serverTimestamp(),
+            settledBySettlementId: settlementRef.id,
+          });
         });
-      });
+      }
+
+      if (plan) {
+        transaction.update(planRef, applyInstalmentPayment(plan, instalmentIndex, settlementRef.id));
+      }
 
       // Update couple's lastSettlementAt
       const coupleRef = doc(db, 'couples', coupleId);
@@ -240,6 +344,22 @@ export const createSettlement = async (
         lastSettlementAt: serverTimestamp(),
       });
 
+      await logActivity({
+        coupleId,
+        entityType: ACTIVITY_ENTITIES.SETTLEMENT,
+        entityId: settlementRef.id,
+        action: ACTIVITY_ACTIONS.CREATE,
+        after: {
+          amount,
+          settledBy,
+          note: settlement.note,
+          isPartial,
+          expensesSettledCount: settlement.expensesSettledCount,
+          planId,
+          tripId,
+        },
+      }, transaction);
+
       return { id: settlementRef.id, ...settlement };
     });
 
@@ -251,6 +371,59 @@ export const createSettlement = async (
   }
 };
 
+/**
+ * Replay a queued settlement
+ * If any of its expenses was settled, moved to the trash or removed in the
+ * meantime, the balance it was made for no longer holds: the settlement is
+ * dropped and the server version kept. Called by processMutationQueue in
+ * offlineQueueService.
+ * @param {Object} mutation - Queued mutation
+ * @returns {Promise<Object>} { conflicts }
+ */
+export const replaySettlementMutation = async (mutation) => {
+  const existing = await getDoc(doc(db, 'settlements', mutation.entityId));
+  if (existing.exists()) {
+    return { conflicts: [] };
+  }
+
+  const {
+    user1Id,
+    user2Id,
+    amount,
+    settledBy,
+    note,
+    expenseIds = [],
+    categories,
+    currentBudget,
+    options = {},
+  } = mutation.data;
+
+  const expenses = [];
+  for (const expenseId of expenseIds) {
+    const expenseDoc = await getDoc(doc(db, 'expenses', expenseId));
+    const expense = expenseDoc.exists() ? { id: expenseDoc.id, ...expenseDoc.data() } : null;
+    if (!expense || expense.settledAt || isExpenseDeleted(expense)) {
+      return { conflicts: ['expenses'] };
+    }
+    expenses.push(expense);
+  }
+
+  await createSettlement(
+    mutation.coupleId,
+    user1Id,
+    user2Id,
+    amount,
+    settledBy,
+    note,
+    expenses,
+    categories,
+    currentBudget,
+    { ...options, settlementId: mutation.entityId }
+  );
+
+  return { conflicts: [] };
+};
+
 /**
  * Get all settlements for a couple
  */
@@ -366,6 +539,123 @@ export const getExpensesForSettlement = async (settlementId) => {
   }
 };
 
+/**
+ * Reverse a mistaken settlement
+ *
+ * Clears the settlement markers on its expenses, flags the settlement as
+ * reversed and writes an immutable record to `settlementReversals`, all in
+ * one transaction. The settlement document itself is kept (settlements are an
+ * audit trail) but no longer counts towards the balance. A reversed plan
+ * instalment becomes payable again, and the couple's `lastSettlementAt` falls
+ * back to the latest settlement that is still in effect.
+ */
+export const reverseSettlement = async (settlementId, userId, reason = '') => {
+  try {
+    const settlement = await getSettlementById(settlementId);
+
+    if (settlement.reversalId) {
+      throw new Error('Settlement has already been reversed');
+    }
+
+    const [expenses, settlements] = await Promise.all([
+      getExpensesForSettlement(settlementId),
+      getSettlements(settlement.coupleId),
+    ]);
+
+    // Already sorted by settledAt desc
+    const previousSettlement = settlements.find(
+      (item) => item.id !== settlementId && !item.reversalId
+    );
+
+    const reversal = await runTransaction(db, async (transaction) => {
+      // Transactions require all reads before writes
+      const settlementRef = doc(db, 'settlements', settlementId);
+      const settlementDoc = await transaction.get(settlementRef);
+      if (!settlementDoc.exists()) {
+        throw new Error('Settlement not found');
+      }
+      if (settlementDoc.data().reversalId) {
+        throw new Error('Settlement has already been reversed');
+      }
+
+      let plan = null;
+      const planRef = settlement.planId ? doc(db, 'settlementPlans', settlement.planId) : null;
+      if (planRef) {
+        const planDoc = await transaction.get(planRef);
+        plan = planDoc.exists() ? planDoc.data() : null;
+      }
+
+      // Only clear expenses that still point at this settlement
+      const expenseRefs = expenses.map((expense) => doc(db, 'expenses', expense.id));
+      const expenseDocs = await Promise.all(expenseRefs.map((ref) => transaction.get(ref)));
+      const restoredExpenseIds = [];
+
+      expenseDocs.forEach((expenseDoc, index) => {
+        if (expenseDoc.exists() && expenseDoc.data().settledBySettlementId === settlementId) {
+          transaction.update(expenseRefs[index], {
+            settledAt: null,
+            settledBySettlementId: null,
+          });
+          restoredExpenseIds.push(expenseDoc.id);
+        }
+      });
+
+      const reversalRef = doc(collection(db, 'settlementReversals'));
+      const reversalRecord = {
+        coupleId: settlement.coupleId,
+        settlementId,
+        amount: settlement.amount,
+        settledBy: settlement.settledBy,
+        settledAt: settlement.settledAt || null,
+        planId: settlement.planId || null,
+        instalmentIndex: settlement.instalmentIndex ?? null,
+        restoredExpenseIds,
+        reason: reason || '',
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+      };
+
+      transaction.set(reversalRef, reversalRecord);
+
+      transaction.update(settlementRef, {
+        reversalId: reversalRef.id,
+        reversedBy: userId,
+        reversedAt: serverTimestamp(),
+      });
+
+      if (plan) {
+        transaction.update(planRef, revertInstalmentPayment(plan, settlement.instalmentIndex));
+      }
+
+      transaction.update(doc(db, 'couples', settlement.coupleId), {
+        lastSettlementAt: previousSettlement?.settledAt || null,
+      });
+
+      await logActivity({
+        coupleId: settlement.coupleId,
+        entityType: ACTIVITY_ENTITIES.SETTLEMENT,
+        entityId: settlementId,
+        action: ACTIVITY_ACTIONS.REVERSE,
+        before: { reversalId: null },
+        after: {
+          reversalId: reversalRef.id,
+          reason: reversalRecord.reason,
+          restoredExpenseIds,
+        },
+        summary: { amount: settlement.amount, settledBy: settlement.settledBy },
+      }, transaction);
+
+      return { id: reversalRef.id, ...reversalRecord };
+    });
+
+    console.log('✅ Settlement reversed:', settlementId);
+    return reversal;
+  } catch (error) {
+    console.error('Error reversing settlement:', error);
+    throw error;
+  }
+};
+
 /**
  * Calculate settlement amount from expenses and previous settlements
  * Uses the same logic as HomeScreen's balance calculation
@@ -390,8 +680,10 @@ export const calculateSettlementAmount = (expenses, settlements, user1Id, user2I
     }
   });
 
-  // Factor in previous settlements
+  // Factor in previous settlements (reversed settlements no longer count)
   settlements.forEach((settlement) => {
+    if (settlement.reversalId) return;
+
     if (settlement.settledBy === user1Id) {
       balance += settlement.amount;
     } else if (settlement.settledBy === user2Id) {
@@ -401,3 +693,355 @@ export const calculateSettlementAmount = (expenses, settlements, user1Id, user2I
 
   return Math.abs(balance);
 };
+
+// ============================================
+// SETTLEMENT PLANS
+// ============================================
+
+/**
+ * Split a plan total into scheduled instalments
+ * Amounts are split in the currency's minor units (cents, or whole yen for
+ * JPY) with any remainder on the last instalment
+ *
+ * @param {number} totalAmount - Amount to be repaid
+ * @param {number} instalmentCount - Number of instalments (at least 2)
+ * @param {string} frequency - 'weekly' | 'monthly'
+ * @param {string|Date} startDate - Due date of the first instalment
+ * @param {string} currency - Currency of the plan
+ * @returns {Array} Instalments: { index, dueDate, amount, status, settlementId, paidAt }
+ */
+export const buildPlanInstalments = (totalAmount, instalmentCount, frequency, startDate, currency = DEFAULT_CURRENCY) => {
+  if (!SETTLEMENT_PLAN_FREQUENCIES.includes(frequency)) {
+    throw new Error('Invalid plan frequency');
+  }
+
+  const count = parseInt(instalmentCount, 10);
+  if (!Number.isInteger(count) || count < 2) {
+    throw new Error('A plan needs at least 2 instalments');
+  }
+
+  const startKey = toDateKey(startDate);
+  if (!startKey) {
+    throw new Error('Invalid plan start date');
+  }
+
+  const factor = 10 ** getCurrencyDecimals(currency);
+  const totalUnits = Math.round(Math.abs(totalAmount) * factor);
+  if (totalUnits < count) {
+    throw new Error('Plan amount is too small for this many instalments');
+  }
+
+  const baseUnits = Math.floor(totalUnits / count);
+  const rule = { frequency, startDate: startKey };
+
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    dueDate: getOccurrenceDate(rule, index),
+    amount: (index === count - 1 ? totalUnits - baseUnits * (count - 1) : baseUnits) / factor,
+    status: 'pending',
+    settlementId: null,
+    paidAt: null,
+  }));
+};
+
+/**
+ * Get the first unpaid instalment of a plan
+ */
+export const getNextPendingInstalment = (plan) => {
+  return (plan?.instalments || []).find((instalment) => instalment.status === 'pending') || null;
+};
+
+/**
+ * Build the plan update for a paid instalment
+ * Used inside createSettlement's transaction so the payment and plan stay in step
+ */
+export const applyInstalmentPayment = (plan, instalmentIndex, settlementId) => {
+  if (plan.status !== 'active') {
+    throw new Error('Settlement plan is not active');
+  }
+
+  const instalment = plan.instalments?.find((item) => item.index === instalmentIndex);
+  if (!instalment) {
+    throw new Error('Instalment not found');
+  }
+  if (instalment.status === 'paid') {
+    throw new Error('Instalment has already been paid');
+  }
+
+  // serverTimestamp() is not allowed inside arrays, so paidAt is an ISO string
+  const instalments = plan.instalments.map((item) =>
+    item.index === instalmentIndex
+      ? { ...item, status: 'paid', settlementId, paidAt: new Date().toISOString() }
+      : item
+  );
+  const next = getNextPendingInstalment({ instalments });
+
+  return {
+    instalments,
+    paidCount: instalments.filter((item) => item.status === 'paid').length,
+    nextDueDate: next ? next.dueDate : null,
+    status: next ? 'active' : 'completed',
+    updatedAt: serverTimestamp(),
+  };
+};
+
+/**
+ * Build the plan update for a reversed instalment payment
+ * The instalment becomes payable again and a completed plan is reopened
+ */
+export const revertInstalmentPayment = (plan, instalmentIndex) => {
+  const instalments = (plan.instalments || []).map((item) =>
+    item.index === instalmentIndex
+      ? { ...item, status: 'pending', settlementId: null, paidAt: null }
+      : item
+  );
+  const next = getNextPendingInstalment({ instalments });
+  // A cancelled plan stays cancelled; a completed one has an instalment to pay again
+  const isCancelled = plan.status === 'cancelled';
+
+  return {
+    instalments,
+    paidCount: instalments.filter((item) => item.status === 'paid').length,
+    nextDueDate: !isCancelled && next ? next.dueDate : null,
+    status: isCancelled ? 'cancelled' : 'active',
+    updatedAt: serverTimestamp(),
+  };
+};
+
+/**
+ * Create a settlement plan of scheduled instalments
+ * The payer is reminded `reminderDaysBefore` days ahead of each due date
+ */
+export const createSettlementPlan = async (coupleId, planData) => {
+  try {
+    const {
+      payerId,
+      payeeId,
+      totalAmount,
+      instalmentCount,
+      frequency,
+      startDate,
+      reminderDaysBefore = 1,
+      note = '',
+      createdBy,
+      currency = DEFAULT_CURRENCY,
+    } = planData;
+
+    if (!payerId || !payeeId || payerId === payeeId) {
+      throw new Error('A plan needs a payer and a different payee');
+    }
+
+    const instalments = buildPlanInstalments(totalAmount, instalmentCount, frequency, startDate, currency);
+
+    const plan = {
+      coupleId,
+      payerId,
+      payeeId,
+      totalAmount: roundCurrency(Math.abs(totalAmount), currency),
+      currency,
+      frequency,
+      instalmentCount: instalments.length,
+      instalments,
+      paidCount: 0,
+      nextDueDate: instalments[0].dueDate,
+      reminderDaysBefore: Math.max(0, parseInt(reminderDaysBefore, 10) || 0),
+      lastReminderDate: null,
+      note,
+      status: 'active',
+      createdBy,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(collection(db, 'settlementPlans'), plan);
+    console.log('✅ Settlement plan created:', docRef.id);
+
+    await logActivity({
+      coupleId,
+      entityType: ACTIVITY_ENTITIES.SETTLEMENT_PLAN,
+      entityId: docRef.id,
+      action: ACTIVITY_ACTIONS.CREATE,
+      after: {
+        payerId,
+        payeeId,
+        totalAmount: plan.totalAmount,
+        frequency,
+        instalmentCount: plan.instalmentCount,
+        note,
+      },
+    });
+
+    return { id: docRef.id, ...plan };
+  } catch (error) {
+    console.error('Error creating settlement plan:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all settlement plans for a couple
+ */
+export const getSettlementPlans = async (coupleId) => {
+  try {
+    const plansQuery = query(
+      collection(db, 'settlementPlans'),
+      where('coupleId', '==', coupleId)
+    );
+
+    const snapshot = await getDocs(plansQuery);
+    const plans = [];
+
+    snapshot.forEach((doc) => {
+      plans.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    // Sort in JavaScript to avoid needing a composite index
+    return plans.sort((a, b) => (a.nextDueDate || '9999').localeCompare(b.nextDueDate || '9999'));
+  } catch (error) {
+    console.error('Error getting settlement plans:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to real-time settlement plan updates
+ */
+export const subscribeToSettlementPlans = (coupleId, callback, errorCallback) => {
+  const plansQuery = query(
+    collection(db, 'settlementPlans'),
+    where('coupleId', '==', coupleId)
+  );
+
+  return onSnapshot(
+    plansQuery,
+    (snapshot) => {
+      const plans = [];
+      snapshot.forEach((doc) => {
+        plans.push({
+          id: doc.id,
+          ...doc.data(),
+        });
+      });
+
+      plans.sort((a, b) => (a.nextDueDate || '9999').localeCompare(b.nextDueDate || '9999'));
+      callback(plans);
+    },
+    (error) => {
+      console.error('Error in settlement plans subscription:', error);
+      if (errorCallback) {
+        errorCallback(error);
+      }
+    }
+  );
+};
+
+/**
+ * Get a single settlement plan by ID
+ */
+export const getSettlementPlanById = async (planId) => {
+  try {
+    const planDoc = await getDoc(doc(db, 'settlementPlans', planId));
+
+    if (!planDoc.exists()) {
+      throw new Error('Settlement plan not found');
+    }
+
+    return {
+      id: planDoc.id,
+      ...planDoc.data(),
+    };
+  } catch (error) {
+    console.error('Error getting settlement plan:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an active settlement plan
+ * Instalments already paid stay recorded as settlements
+ */
+export const cancelSettlementPlan = async (planId) => {
+  try {
+    const planRef = doc(db, 'settlementPlans', planId);
+
+    // Previous values are only needed for the activity log
+    let plan = null;
+    try {
+      const planDoc = await getDoc(planRef);
+      plan = planDoc?.exists?.() ? planDoc.data() : null;
+    } catch (readError) {
+      console.warn('Could not read settlement plan before cancelling:', readError);
+    }
+
+    await updateDoc(planRef, {
+      status: 'cancelled',
+      nextDueDate: null,
+      updatedAt: serverTimestamp(),
+    });
+
+    if (plan) {
+      await logActivity({
+        coupleId: plan.coupleId,
+        entityType: ACTIVITY_ENTITIES.SETTLEMENT_PLAN,
+        entityId: planId,
+        action: ACTIVITY_ACTIONS.CANCEL,
+        before: { status: plan.status },
+        after: { status: 'cancelled' },
+        summary: { totalAmount: plan.totalAmount, instalmentCount: plan.instalmentCount },
+      });
+    }
+  } catch (error) {
+    console.error('Error cancelling settlement plan:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the payment of a plan instalment as a settlement
+ * The payment is capped at the current outstanding balance, so a plan never
+ * overpays if the balance changed after it was set up.
+ */
+export const recordPlanInstalment = async (
+  planId,
+  instalmentIndex,
+  { user1Id, user2Id, note, expenses, settlements, categories, currentBudget }
+) => {
+  try {
+    const plan = await getSettlementPlanById(planId);
+    const instalment = plan.instalments?.find((item) => item.index === instalmentIndex);
+
+    if (!instalment) {
+      throw new Error('Instalment not found');
+    }
+
+    const outstandingBalance = Math.abs(
+      calculateBalanceWithSettlements(expenses, settlements, user1Id, user2Id, plan.coupleId)
+    );
+
+    if (outstandingBalance <= 0) {
+      throw new Error('No outstanding balance to pay');
+    }
+
+    const currency = plan.currency || DEFAULT_CURRENCY;
+    const amount = Math.min(instalment.amount, roundCurrency(outstandingBalance, currency));
+
+    return await createSettlement(
+      plan.coupleId,
+      user1Id,
+      user2Id,
+      amount,
+      plan.payerId,
+      note,
+      expenses,
+      categories,
+      currentBudget,
+      { outstandingBalance, planId, instalmentIndex, currency }
+    );
+  } catch (error) {
+    console.error('Error recording plan instalment:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,198 @@
+// src/services/tagService.js
+// Service for managing expense tags
+//
+// Tags cut across categories ("work-reimbursable", "gift", "vacation") and an
+// expense can carry several. Expenses store tag keys in their `tags` array;
+// the tag documents hold the display name and color.
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  writeBatch,
+  arrayRemove,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { generateCategoryKey } from '../constants/defaultCategories';
+
+export const TAG_COLORS = ['#6C63FF', '#00BFA6', '#FF6584', '#F9A826', '#3F8EFC', '#8D99AE'];
+
+const MAX_TAG_NAME_LENGTH = 30;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 450;
+
+const validateTagName = (name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Tag name is required');
+  }
+  if (trimmed.length > MAX_TAG_NAME_LENGTH) {
+    throw new Error(`Tag name must be ${MAX_TAG_NAME_LENGTH} characters or less`);
+  }
+  return trimmed;
+};
+
+/**
+ * Clean up a list of tag keys for saving on an expense
+ * @param {Array} tags - Tag keys
+ * @returns {Array} Unique, non-empty tag keys
+ */
+export const normalizeExpenseTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter((tag) => typeof tag === 'string' && tag.trim()))];
+};
+
+const snapshotToTags = (snapshot) => {
+  const tags = {};
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+    tags[data.key] = {
+      id: doc.id,
+      ...data,
+    };
+  });
+  return tags;
+};
+
+/**
+ * Get all tags for a couple, keyed by tag key
+ */
+export const getTagsForCouple = async (coupleId) => {
+  try {
+    const q = query(collection(db, 'tags'), where('coupleId', '==', coupleId));
+    const snapshot = await getDocs(q);
+    return snapshotToTags(snapshot);
+  } catch (error) {
+    if (__DEV__) console.error('Error getting tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to real-time tag updates
+ */
+export const subscribeToTagsForCouple = (coupleId, callback) => {
+  const q = query(collection(db, 'tags'), where('coupleId', '==', coupleId));
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshotToTags(snapshot));
+  }, (error) => {
+    if (__DEV__) console.error('Error in tag subscription:', error);
+  });
+};
+
+/**
+ * Add a tag
+ * @returns {Object} { success, key }
+ */
+export const addTag = async (coupleId, { name, color }) => {
+  try {
+    const trimmedName = validateTagName(name);
+    const key = generateCategoryKey(trimmedName);
+
+    if (!key) {
+      throw new Error('Tag name must contain letters or numbers');
+    }
+
+    const tagsRef = collection(db, 'tags');
+    const existingDoc = await getDoc(doc(tagsRef, `${coupleId}_${key}`));
+
+    if (existingDoc.exists()) {
+      throw new Error('A tag with a similar name already exists');
+    }
+
+    await setDoc(doc(tagsRef, `${coupleId}_${key}`), {
+      coupleId,
+      key,
+      name: trimmedName,
+      color: color || TAG_COLORS[0],
+      createdAt: new Date(),
+    });
+
+    if (__DEV__) console.log('✅ Tag added:', trimmedName);
+    return { success: true, key };
+  } catch (error) {
+    if (__DEV__) console.error('Error adding tag:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename or recolor a tag
+ * The key stays the same so expenses keep their tag
+ */
+export const updateTag = async (coupleId, key, updates) => {
+  try {
+    const tagDocRef = doc(collection(db, 'tags'), `${coupleId}_${key}`);
+
+    const tagDoc = await getDoc(tagDocRef);
+    if (!tagDoc.exists()) {
+      throw new Error('Tag not found');
+    }
+
+    const allowedUpdates = {};
+    if (updates.name !== undefined) allowedUpdates.name = validateTagName(updates.name);
+    if (updates.color !== undefined) allowedUpdates.color = updates.color;
+
+    await setDoc(tagDocRef, {
+      ...tagDoc.data(),
+      ...allowedUpdates,
+      updatedAt: new Date(),
+    });
+
+    if (__DEV__) console.log('✅ Tag updated:', key);
+    return { success: true };
+  } catch (error) {
+    if (__DEV__) console.error('Error updating tag:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a tag and remove it from every expense that carries it
+ * @returns {Object} { success, updatedExpenses }
+ */
+export const deleteTag = async (coupleId, key) => {
+  try {
+    const tagDocRef = doc(collection(db, 'tags'), `${coupleId}_${key}`);
+
+    const tagDoc = await getDoc(tagDocRef);
+    if (!tagDoc.exists()) {
+      throw new Error('Tag not found');
+    }
+
+    // Filter tags on the client so the query needs no composite index
+    const expensesQuery = query(
+      collection(db, 'expenses'),
+      where('coupleId', '==', coupleId)
+    );
+    const snapshot = await getDocs(expensesQuery);
+    const taggedDocs = snapshot.docs.filter((expenseDoc) => {
+      const tags = expenseDoc.data().tags;
+      return Array.isArray(tags) && tags.includes(key);
+    });
+
+    for (let i = 0; i < taggedDocs.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      taggedDocs.slice(i, i + BATCH_SIZE).forEach((expenseDoc) => {
+        batch.update(expenseDoc.ref, { tags: arrayRemove(key) });
+      });
+      await batch.commit();
+    }
+
+    await deleteDoc(tagDocRef);
+
+    if (__DEV__) console.log('✅ Tag deleted:', key);
+    return { success: true, updatedExpenses: taggedDocs.length };
+  } catch (error) {
+    if (__DEV__) console.error('Error deleting tag:', error);
+    throw error;
+  }
+};
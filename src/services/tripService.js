@@ -0,0 +1,424 @@
+// src/services/tripService.js
+// Service for trips and events - groups of expenses with their own budget and balance
+//
+// Expenses join a trip through their `tripId` field and still count towards
+// the couple's overall balance. A trip can also be settled on its own: the
+// settlement carries the `tripId` and only marks that trip's expenses.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import {
+  calculateBalanceWithSettlements,
+  getSettlementPayer,
+  roundCurrency,
+} from '../utils/calculations';
+import {
+  createSettlement,
+  generateCategoryBreakdown,
+  identifyTopCategories,
+} from './settlementService';
+import { parseDateKey } from '../utils/recurrence';
+import { isExpenseDeleted } from '../utils/expenseTrash';
+
+export const TRIP_STATUSES = ['active', 'archived'];
+
+const sortTrips = (trips) => {
+  // Active trips first, then most recent start date
+  return trips.sort((a, b) => {
+    if (a.status !== b.status) {
+      return a.status === 'active' ? -1 : 1;
+    }
+    return (b.startDate || '').localeCompare(a.startDate || '');
+  });
+};
+
+const validateTripData = ({ name, budget }) => {
+  if (name !== undefined && !String(name || '').trim()) {
+    throw new Error('Trip name is required');
+  }
+  if (budget !== undefined && budget !== null && budget !== '') {
+    const parsedBudget = parseFloat(budget);
+    if (isNaN(parsedBudget) || parsedBudget < 0) {
+      throw new Error('Trip budget must be a positive number');
+    }
+  }
+};
+
+const parseBudget = (budget) => {
+  return budget === null || budget === undefined || budget === '' ? null : roundCurrency(parseFloat(budget));
+};
+
+/**
+ * Create a trip
+ *
+ * @param {string} coupleId - The couple ID
+ * @param {Object} tripData - { name, currency, budget, startDate, endDate, createdBy }
+ *   Dates are YYYY-MM-DD keys; the budget is in the trip currency
+ * @returns {Object} Created trip
+ */
+export const createTrip = async (coupleId, tripData) => {
+  try {
+    const {
+      name,
+      currency = 'USD',
+      budget = null,
+      startDate = null,
+      endDate = null,
+      createdBy,
+    } = tripData;
+
+    validateTripData({ name: name || '', budget });
+
+    if (startDate && endDate && endDate < startDate) {
+      throw new Error('Trip end date must be after the start date');
+    }
+
+    const trip = {
+      coupleId,
+      name: name.trim(),
+      currency,
+      budget: parseBudget(budget),
+      startDate,
+      endDate,
+      status: 'active',
+      createdBy,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+
+    const docRef = await addDoc(collection(db, 'trips'), trip);
+    console.log('✅ Trip created:', docRef.id);
+
+    return { id: docRef.id, ...trip };
+  } catch (error) {
+    console.error('Error creating trip:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all trips for a couple
+ */
+export const getTrips = async (coupleId) => {
+  try {
+    const tripsQuery = query(collection(db, 'trips'), where('coupleId', '==', coupleId));
+
+    const snapshot = await getDocs(tripsQuery);
+    const trips = [];
+
+    snapshot.forEach((doc) => {
+      trips.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    return sortTrips(trips);
+  } catch (error) {
+    console.error('Error getting trips:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to real-time trip updates
+ */
+export const subscribeToTrips = (coupleId, callback, errorCallback) => {
+  const tripsQuery = query(collection(db, 'trips'), where('coupleId', '==', coupleId));
+
+  return onSnapshot(
+    tripsQuery,
+    (snapshot) => {
+      const trips = [];
+      snapshot.forEach((doc) => {
+        trips.push({
+          id: doc.id,
+          ...doc.data(),
+        });
+      });
+
+      callback(sortTrips(trips));
+    },
+    (error) => {
+      console.error('Error in trips subscription:', error);
+      if (errorCallback) {
+        errorCallback(error);
+      }
+    }
+  );
+};
+
+/**
+ * Get a single trip by ID
+ */
+export const getTripById = async (tripId) => {
+  try {
+    const tripDoc = await getDoc(doc(db, 'trips', tripId));
+
+    if (!tripDoc.exists()) {
+      throw new Error('Trip not found');
+    }
+
+    return {
+      id: tripDoc.id,
+      ...tripDoc.data(),
+    };
+  } catch (error) {
+    console.error('Error getting trip:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a trip's name, currency, budget or dates
+ */
+export const updateTrip = async (tripId, updates) => {
+  try {
+    const { name, currency, budget, startDate, endDate } = updates;
+    validateTripData({ name, budget });
+
+    const allowedUpdates = {};
+    if (name !== undefined) allowedUpdates.name = name.trim();
+    if (currency !== undefined) allowedUpdates.currency = currency;
+    if (budget !== undefined) allowedUpdates.budget = parseBudget(budget);
+    if (startDate !== undefined) allowedUpdates.startDate = startDate;
+    if (endDate !== undefined) allowedUpdates.endDate = endDate;
+
+    await updateDoc(doc(db, 'trips', tripId), {
+      ...allowedUpdates,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error updating trip:', error);
+    throw error;
+  }
+};
+
+/**
+ * Archive or reopen a trip
+ * Trips are archived rather than deleted so their expenses keep their group
+ */
+export const setTripStatus = async (tripId, status) => {
+  try {
+    if (!TRIP_STATUSES.includes(status)) {
+      throw new Error('Invalid trip status');
+    }
+
+    await updateDoc(doc(db, 'trips', tripId), {
+      status,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error updating trip status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Format a trip's date range for display
+ * @returns {string|null} Localized dates, or null when the trip has no dates
+ */
+export const formatTripDates = (trip) => {
+  const start = parseDateKey(trip?.startDate);
+  const end = parseDateKey(trip?.endDate);
+  if (start && end) {
+    return `${start.toLocaleDateString()} – ${end.toLocaleDateString()}`;
+  }
+  return start ? start.toLocaleDateString() : null;
+};
+
+/**
+ * Get all expenses tagged to a trip
+ */
+export const getTripExpenses = async (coupleId, tripId) => {
+  try {
+    const expensesQuery = query(
+      collection(db, 'expenses'),
+      where('coupleId', '==', coupleId),
+      where('tripId', '==', tripId)
+    );
+
+    const snapshot = await getDocs(expensesQuery);
+    const expenses = [];
+
+    snapshot.forEach((doc) => {
+      const expense = { id: doc.id, ...doc.data() };
+      if (!isExpenseDeleted(expense)) {
+        expenses.push(expense);
+      }
+    });
+
+    // Sort by date in JavaScript instead of Firestore to avoid needing a composite index
+    expenses.sort((a, b) => {
+      const dateA = a.date ? new Date(a.date) : new Date(0);
+      const dateB = b.date ? new Date(b.date) : new Date(0);
+      return dateB - dateA;
+    });
+
+    return expenses;
+  } catch (error) {
+    console.error('Error getting trip expenses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the settlements recorded for a trip, skipping reversed ones
+ */
+export const getTripSettlements = (settlements, tripId) => {
+  return (settlements || []).filter(
+    (settlement) => settlement.tripId === tripId && !settlement.reversalId
+  );
+};
+
+/**
+ * Calculate what one partner owes the other for a trip
+ * Positive balance = user2 owes user1 (same convention as calculateBalance)
+ *
+ * Expenses cleared by an overall settle-up are already paid for, so only
+ * open expenses and those settled through the trip count here.
+ *
+ * @param {Array} expenses - The trip's expenses
+ * @param {Array} settlements - All of the couple's settlements
+ * @param {string} tripId - The trip ID
+ * @param {string} user1Id - Current user's ID
+ * @param {string} user2Id - Partner's ID
+ * @returns {number} Trip balance
+ */
+export const calculateTripBalance = (expenses, settlements, tripId, user1Id, user2Id) => {
+  const tripSettlements = getTripSettlements(settlements, tripId);
+  const tripSettlementIds = new Set(tripSettlements.map((settlement) => settlement.id));
+
+  const openExpenses = (expenses || []).filter(
+    (expense) => !expense.settledBySettlementId || tripSettlementIds.has(expense.settledBySettlementId)
+  );
+
+  return roundCurrency(
+    calculateBalanceWithSettlements(openExpenses, tripSettlements, user1Id, user2Id)
+  );
+};
+
+/**
+ * Convert expenses to the trip currency
+ *
+ * Expenses entered in the trip currency count at face value. Others are
+ * converted from their primary-currency amount using the average rate of the
+ * trip-currency expenses; without such a rate they can't be converted and are
+ * counted in `unconvertedCount` instead.
+ *
+ * @param {Array} expenses - The trip's expenses
+ * @param {Object} trip - The trip
+ * @returns {{ total: number, unconvertedCount: number }}
+ */
+export const calculateTripCurrencyTotal = (expenses, trip) => {
+  const tripCurrency = trip?.currency;
+  let total = 0;
+  let unconvertedCount = 0;
+
+  // Primary-currency value of one unit of trip currency, from expenses that have both
+  let tripCurrencyAmount = 0;
+  let primaryAmount = 0;
+  (expenses || []).forEach((expense) => {
+    if (expense.currency === tripCurrency && expense.primaryCurrencyAmount) {
+      tripCurrencyAmount += expense.amount;
+      primaryAmount += expense.primaryCurrencyAmount;
+    }
+  });
+  const impliedRate = tripCurrencyAmount > 0 ? primaryAmount / tripCurrencyAmount : null;
+
+  (expenses || []).forEach((expense) => {
+    const primaryValue = expense.primaryCurrencyAmount || expense.amount;
+
+    if (!expense.currency || expense.currency === tripCurrency) {
+      total += expense.amount;
+    } else if (expense.primaryCurrency === tripCurrency) {
+      total += primaryValue;
+    } else if (impliedRate) {
+      total += primaryValue / impliedRate;
+    } else {
+      unconvertedCount += 1;
+    }
+  });
+
+  return { total: roundCurrency(total), unconvertedCount };
+};
+
+/**
+ * Summarize a trip: totals, budget, balance and category breakdown
+ *
+ * Totals, balance and categories are in the couple's primary currency like
+ * the rest of the app; `tripCurrencyTotal` and the budget figures are in the
+ * trip currency.
+ *
+ * @returns {Object} Trip summary
+ */
+export const calculateTripSummary = ({ trip, expenses, settlements, categories, user1Id, user2Id }) => {
+  const tripExpenses = (expenses || []).filter((expense) => expense.tripId === trip.id);
+
+  const total = roundCurrency(
+    tripExpenses.reduce((sum, expense) => sum + (expense.primaryCurrencyAmount || expense.amount), 0)
+  );
+  const { total: tripCurrencyTotal, unconvertedCount } = calculateTripCurrencyTotal(tripExpenses, trip);
+
+  const categoryBreakdown = generateCategoryBreakdown(tripExpenses, categories || {}, user1Id, user2Id);
+
+  const budget = trip.budget || null;
+  const budgetRemaining = budget !== null ? roundCurrency(budget - tripCurrencyTotal) : null;
+  const budgetPercentage = budget ? Math.round((tripCurrencyTotal / budget) * 100) : null;
+
+  return {
+    expenseCount: tripExpenses.length,
+    total,
+    tripCurrencyTotal,
+    unconvertedCount,
+    budget,
+    budgetRemaining,
+    budgetPercentage,
+    isOverBudget: budgetRemaining !== null && budgetRemaining < 0,
+    balance: calculateTripBalance(tripExpenses, settlements, trip.id, user1Id, user2Id),
+    categoryBreakdown,
+    topCategories: identifyTopCategories(categoryBreakdown),
+  };
+};
+
+/**
+ * Settle up a single trip
+ * Pays off the trip balance and marks only the trip's open expenses as settled
+ */
+export const settleTrip = async (trip, { user1Id, user2Id, note, expenses, settlements, categories }) => {
+  try {
+    const tripExpenses = (expenses || []).filter((expense) => expense.tripId === trip.id);
+    const balance = calculateTripBalance(tripExpenses, settlements, trip.id, user1Id, user2Id);
+
+    if (Math.abs(balance) < 0.01) {
+      throw new Error('This trip is already settled');
+    }
+
+    return await createSettlement(
+      trip.coupleId,
+      user1Id,
+      user2Id,
+      Math.abs(balance),
+      getSettlementPayer(balance, user1Id, user2Id),
+      note,
+      tripExpenses,
+      categories,
+      null,
+      { tripId: trip.id }
+    );
+  } catch (error) {
+    console.error('Error settling trip:', error);
+    throw error;
+  }
+};
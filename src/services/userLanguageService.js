@@ -0,0 +1,31 @@
+// src/services/userLanguageService.js
+// Service for the app language kept on a user's profile
+//
+// Cloud Functions read `users/{uid}.language` to send notification emails in
+// each recipient's language (see functions/src/email/emailLocales.js).
+
+import { doc, updateDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+/**
+ * Save a user's app language on their profile
+ * @param {string} userId - User ID
+ * @param {string} languageCode - Language code, e.g. 'it'
+ * @returns {Promise<void>}
+ */
+export const saveUserLanguage = async (userId, languageCode) => {
+  try {
+    if (!userId || !languageCode) {
+      throw new Error('User ID and language are required');
+    }
+
+    await updateDoc(doc(db, 'users', userId), { language: languageCode });
+  } catch (error) {
+    if (__DEV__) console.error('Error saving user language:', error);
+    throw error;
+  }
+};
+
+export default {
+  saveUserLanguage,
+};
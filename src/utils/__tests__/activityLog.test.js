@@ -0,0 +1,98 @@
+// src/utils/__tests__/activityLog.test.js
+// Unit tests for activity log helpers
+
+import {
+  stripUndefined,
+  isSameValue,
+  getChangedFields,
+  buildActivitySummary,
+  isRestorableEntry,
+  getRestoredExpenseData,
+} from '../activityLog';
+
+describe('activityLog', () => {
+  describe('stripUndefined', () => {
+    it('should drop undefined values at any depth and keep dates', () => {
+      const date = new Date('2026-10-19T10:00:00Z');
+
+      expect(stripUndefined({
+        a: 1,
+        b: undefined,
+        nested: { c: undefined, d: null, date },
+        list: [{ e: undefined, f: 2 }],
+      })).toEqual({ a: 1, nested: { d: null, date }, list: [{ f: 2 }] });
+    });
+  });
+
+  describe('isSameValue', () => {
+    it('should compare dates and Firestore timestamps by instant', () => {
+      const date = new Date('2026-10-19T10:00:00Z');
+      const timestamp = { toDate: () => new Date('2026-10-19T10:00:00Z') };
+
+      expect(isSameValue(date, timestamp)).toBe(true);
+      expect(isSameValue({ user1Amount: 5, user2Amount: 5 }, { user2Amount: 5, user1Amount: 5 })).toBe(true);
+      expect(isSameValue(undefined, null)).toBe(true);
+      expect(isSameValue(40, 45)).toBe(false);
+    });
+  });
+
+  describe('getChangedFields', () => {
+    it('should keep only changed fields that are written', () => {
+      expect(getChangedFields(
+        { amount: 40, description: 'Dinner', paidBy: 'u1' },
+        { amount: 45, description: 'Dinner', notes: 'Tip included', updatedAt: new Date() }
+      )).toEqual({
+        before: { amount: 40, notes: null },
+        after: { amount: 45, notes: 'Tip included' },
+      });
+    });
+
+    it('should return null when nothing changed', () => {
+      expect(getChangedFields({ amount: 40 }, { amount: 40, updatedAt: new Date() })).toBeNull();
+    });
+  });
+
+  describe('buildActivitySummary', () => {
+    it('should pick the fields shown in the feed', () => {
+      expect(buildActivitySummary('expense', {
+        description: 'Dinner',
+        amount: 40,
+        categoryKey: 'food',
+        currency: undefined,
+        paidBy: 'u1',
+      })).toEqual({ description: 'Dinner', amount: 40, categoryKey: 'food' });
+      expect(buildActivitySummary('budget', { month: 10, year: 2026, categoryBudgets: {} }))
+        .toEqual({ month: 10, year: 2026 });
+      expect(buildActivitySummary('unknown', { a: 1 })).toEqual({});
+    });
+  });
+
+  describe('restoring expenses', () => {
+    const entry = {
+      entityType: 'expense',
+      action: 'delete',
+      before: {
+        id: 'expense1',
+        coupleId: 'couple1',
+        amount: 40,
+        receiptUrl: 'https://storage.example.com/r.jpg',
+        updatedAt: new Date(),
+      },
+    };
+
+    it('should only restore deleted expenses', () => {
+      expect(isRestorableEntry(entry)).toBe(true);
+      expect(isRestorableEntry({ ...entry, action: 'update' })).toBe(false);
+      expect(isRestorableEntry({ ...entry, entityType: 'category' })).toBe(false);
+      expect(() => getRestoredExpenseData({ ...entry, before: null })).toThrow('Only deleted expenses');
+    });
+
+    it('should drop the id, receipt and update stamp', () => {
+      expect(getRestoredExpenseData(entry)).toEqual({
+        coupleId: 'couple1',
+        amount: 40,
+        receiptUrl: null,
+      });
+    });
+  });
+});
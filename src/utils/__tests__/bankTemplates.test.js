@@ -0,0 +1,92 @@
+import {
+  detectBank,
+  applyBankTemplate,
+  getBankCSVMapping,
+  normalizeBankTemplate,
+  encodeTemplateShareCode,
+  decodeTemplateShareCode,
+} from '../bankTemplates';
+
+const SANTANDER = {
+  key: 'santander',
+  name: 'Santander',
+  identifier: ['santander'],
+  csv: {
+    dateColumn: 'Fecha operación',
+    descriptionColumn: 'Concepto',
+    amountColumn: 'Importe',
+    debitColumn: null,
+    creditColumn: null,
+    balanceColumn: 'Saldo',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    amountSign: 'negativeIsDebit',
+    skipHeaderRows: 0,
+    skipFooterRows: 0,
+  },
+};
+
+describe('Bank Templates', () => {
+  describe('detectBank', () => {
+    test('checks custom templates before the built-ins', () => {
+      const bank = detectBank('santander chase export.csv', [SANTANDER]);
+
+      expect(bank).toEqual(expect.objectContaining({ key: 'santander', isCustom: true }));
+    });
+
+    test('falls back to the built-in templates', () => {
+      expect(detectBank('Chase statement', [SANTANDER])).toEqual(expect.objectContaining({ key: 'chase' }));
+      expect(detectBank('unknown bank', [SANTANDER])).toBeNull();
+    });
+  });
+
+  describe('applyBankTemplate', () => {
+    test('labels results with custom template details', () => {
+      const result = applyBankTemplate({ transactions: [], metadata: {} }, 'santander', [SANTANDER]);
+
+      expect(result.metadata).toEqual(
+        expect.objectContaining({ detectedBank: 'Santander', bankKey: 'santander', customTemplate: true })
+      );
+      expect(getBankCSVMapping('santander', [SANTANDER]).decimalSeparator).toBe(',');
+    });
+  });
+
+  describe('normalizeBankTemplate', () => {
+    test('cleans identifiers and fills defaults', () => {
+      const template = normalizeBankTemplate({
+        name: ' BBVA ',
+        identifier: 'BBVA, , es',
+        csv: { dateColumn: 'Fecha', descriptionColumn: 'Concepto', debitColumn: 'Cargo', creditColumn: 'Abono' },
+      });
+
+      expect(template.name).toBe('BBVA');
+      expect(template.identifier).toEqual(['bbva']);
+      expect(template.csv).toEqual(
+        expect.objectContaining({ amountColumn: null, dateFormat: 'auto', decimalSeparator: '.', skipHeaderRows: 0 })
+      );
+    });
+
+    test('rejects templates without identifiers or amount columns', () => {
+      const csv = { dateColumn: 'Fecha', descriptionColumn: 'Concepto', amountColumn: 'Importe' };
+
+      expect(() => normalizeBankTemplate({ name: 'BBVA', identifier: '', csv })).toThrow('identifier');
+      expect(() => normalizeBankTemplate({
+        name: 'BBVA',
+        identifier: 'bbva',
+        csv: { dateColumn: 'Fecha', descriptionColumn: 'Concepto' },
+      })).toThrow('amount column');
+    });
+  });
+
+  describe('share codes', () => {
+    test('round-trip a template', () => {
+      const decoded = decodeTemplateShareCode(encodeTemplateShareCode(SANTANDER));
+
+      expect(decoded).toEqual({ name: SANTANDER.name, identifier: SANTANDER.identifier, csv: SANTANDER.csv });
+    });
+
+    test('reject codes that are not templates', () => {
+      expect(() => decodeTemplateShareCode('not a code')).toThrow('not a valid template code');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// src/utils/__tests__/budgetRollover.test.js
+// Unit tests for per-category budget rollover math
+
+import {
+  ROLLOVER_MODES,
+  normalizeRolloverSettings,
+  getPreviousMonth,
+  getEffectiveCategoryBudget,
+  getEffectiveTotalBudget,
+  calculateCategoryRollover,
+  calculateRollovers,
+} from '../budgetRollover';
+
+describe('budgetRollover', () => {
+  describe('normalizeRolloverSettings', () => {
+    it('should default to no rollover', () => {
+      expect(normalizeRolloverSettings(undefined)).toEqual({ mode: 'none', cap: null });
+      expect(normalizeRolloverSettings({ mode: 'sideways', cap: 50 })).toEqual({ mode: 'none', cap: null });
+    });
+
+    it('should keep only positive caps', () => {
+      expect(normalizeRolloverSettings({ mode: 'both', cap: '75' })).toEqual({ mode: 'both', cap: 75 });
+      expect(normalizeRolloverSettings({ mode: 'surplus', cap: 0 })).toEqual({ mode: 'surplus', cap: null });
+      expect(normalizeRolloverSettings({ mode: 'deficit', cap: '' })).toEqual({ mode: 'deficit', cap: null });
+    });
+  });
+
+  describe('getPreviousMonth', () => {
+    it('should wrap January to December of the previous year', () => {
+      expect(getPreviousMonth(1, 2026)).toEqual({ month: 12, year: 2025 });
+      expect(getPreviousMonth(4, 2026)).toEqual({ month: 3, year: 2026 });
+    });
+  });
+
+  describe('calculateCategoryRollover', () => {
+    it('should carry only what the mode allows', () => {
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.SURPLUS }, 200, 150)).toBe(50);
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.SURPLUS }, 200, 260)).toBe(0);
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.DEFICIT }, 200, 150)).toBe(0);
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.DEFICIT }, 200, 260)).toBe(-60);
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.BOTH }, 200, 260)).toBe(-60);
+      expect(calculateCategoryRollover({ mode: ROLLOVER_MODES.NONE }, 200, 150)).toBe(0);
+    });
+
+    it('should apply the cap in both directions', () => {
+      expect(calculateCategoryRollover({ mode: 'both', cap: 30 }, 200, 100)).toBe(30);
+      expect(calculateCategoryRollover({ mode: 'both', cap: 30 }, 200, 300)).toBe(-30);
+    });
+
+    it('should round to cents', () => {
+      expect(calculateCategoryRollover({ mode: 'surplus' }, 100, 66.666)).toBe(33.33);
+    });
+  });
+
+  describe('effective budgets', () => {
+    const budget = {
+      categoryBudgets: { food: 300, dining: 100, transport: 50 },
+      categoryRollovers: { food: 40, dining: -30, transport: -80 },
+    };
+
+    it('should add the rollover to the base and never go below zero', () => {
+      expect(getEffectiveCategoryBudget(budget, 'food')).toBe(340);
+      expect(getEffectiveCategoryBudget(budget, 'dining')).toBe(70);
+      expect(getEffectiveCategoryBudget(budget, 'transport')).toBe(0);
+      expect(getEffectiveTotalBudget(budget)).toBe(410);
+    });
+
+    it('should fall back to the base without rollovers', () => {
+      expect(getEffectiveTotalBudget({ categoryBudgets: { food: 300 } })).toBe(300);
+      expect(getEffectiveTotalBudget(null)).toBe(0);
+    });
+  });
+
+  describe('calculateRollovers', () => {
+    const categories = {
+      dining: { name: 'Dining', rollover: { mode: 'both', cap: null } },
+      groceries: { name: 'Groceries', rollover: { mode: 'surplus', cap: 20 } },
+      transport: { name: 'Transport' },
+      gifts: { name: 'Gifts', rollover: { mode: 'both' } },
+    };
+
+    it('should carry last month\'s leftovers for opted-in categories', () => {
+      const previousBudget = {
+        categoryBudgets: { dining: 200, groceries: 400, transport: 100 },
+        categoryRollovers: { dining: 50 },
+      };
+
+      const rollovers = calculateRollovers(categories, previousBudget, {
+        dining: 300,
+        groceries: 350,
+        transport: 10,
+      });
+
+      expect(rollovers).toEqual({ dining: -50, groceries: 20 });
+    });
+
+    it('should return nothing without a previous budget', () => {
+      expect(calculateRollovers(categories, null, {})).toEqual({});
+    });
+  });
+});
@@ -102,5 +102,37 @@ Total,,$17.50`;
     test('rejects empty CSV', async () => {
       await expect(parseCSV('')).rejects.toThrow();
     });
+
+    test('applies a bank template with decimal commas, sign convention and skipped rows', async () => {
+      const csvContent = `Kontoauszug Girokonto
+IBAN DE89 3704 0044 0532 0130 00
+Buchungstag;Verwendungszweck;Umsatz
+14.01.2026;REWE MARKT;-1.234,56
+15.01.2026;GEHALT;2.500,00
+Endsaldo;;1.265,44`;
+
+      const result = await parseCSV(csvContent, {
+        template: {
+          dateColumn: 'Buchungstag',
+          descriptionColumn: 'Verwendungszweck',
+          amountColumn: 'Umsatz',
+          debitColumn: null,
+          creditColumn: null,
+          balanceColumn: null,
+          dateFormat: 'DD/MM/YYYY',
+          decimalSeparator: ',',
+          amountSign: 'negativeIsDebit',
+          skipHeaderRows: 2,
+          skipFooterRows: 1,
+        },
+      });
+
+      expect(result.transactions).toHaveLength(2);
+      expect(result.transactions[0]).toEqual(
+        expect.objectContaining({ description: 'REWE MARKT', amount: 1234.56, type: 'debit' })
+      );
+      expect(result.transactions[0].date.getDate()).toBe(14);
+      expect(result.transactions[1]).toEqual(expect.objectContaining({ amount: 2500, type: 'credit' }));
+    });
   });
 });
@@ -7,6 +7,12 @@ import {
   migrateCoupleToCurrency,
   checkMigrationNeeded,
   dryRunMigration,
+  collectRateRequests,
+  revalueDocument,
+  getRollbackFields,
+  getRevaluedTotals,
+  isCurrencyMigrationStale,
+  CURRENCY_MIGRATION_BACKUP_FIELD,
 } from '../currencyMigration';
 
 // Mock Firebase
@@ -383,4 +389,229 @@ describe('Currency Migration', () => {
       );
     });
   });
+
+  describe('Primary currency change', () => {
+    const rate = (value, date) => ({ rate: value, date, source: 'provider', provider: 'fixture' });
+    const options = {
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      migrationId: 'm1',
+      today: '2026-10-19',
+      rates: {
+        'USD_2026-09-01': rate(0.85, '2026-09-01'),
+        'USD_2026-10-01': rate(0.9, '2026-10-01'),
+        'USD_2026-10-19': rate(0.92, '2026-10-19'),
+      },
+    };
+
+    const usdExpense = {
+      amount: 100,
+      currency: 'USD',
+      primaryCurrency: 'USD',
+      primaryCurrencyAmount: 100,
+      exchangeRate: 1.0,
+      exchangeRateSource: 'none',
+      date: '2026-10-01',
+      splitDetails: { user1Amount: 60, user2Amount: 40, user1Percentage: 60, user2Percentage: 40 },
+    };
+
+    describe('isCurrencyMigrationStale', () => {
+      const now = new Date('2026-10-19T12:00:00Z');
+
+      it('should be stale after 30 minutes without progress', () => {
+        expect(isCurrencyMigrationStale({ updatedAt: new Date('2026-10-19T11:45:00Z') }, now)).toBe(false);
+        expect(isCurrencyMigrationStale({ updatedAt: new Date('2026-10-19T11:29:00Z') }, now)).toBe(true);
+      });
+
+      it('should read Firestore timestamps and treat a missing time as stale', () => {
+        const timestamp = { toDate: () => new Date('2026-10-19T11:50:00Z') };
+        expect(isCurrencyMigrationStale({ updatedAt: timestamp }, now)).toBe(false);
+        expect(isCurrencyMigrationStale({}, now)).toBe(true);
+      });
+    });
+
+    describe('collectRateRequests', () => {
+      it('should list each currency and day once, skipping documents already in the new currency', () => {
+        const requests = collectRateRequests({
+          expenses: [
+            { id: 'a', data: usdExpense },
+            { id: 'b', data: { ...usdExpense, date: '2026-12-01' } },
+            { id: 'c', data: { ...usdExpense, primaryCurrency: 'EUR' } },
+          ],
+          budgets: [{ id: 'd', data: { month: 10, year: 2026, currency: 'USD' } }],
+          settlements: [{ id: 'e', data: { amount: 40, settledAt: '2026-09-01' } }],
+        }, options);
+
+        expect(requests).toEqual([
+          { fromCurrency: 'USD', dateKey: '2026-09-01' },
+          { fromCurrency: 'USD', dateKey: '2026-10-01' },
+          { fromCurrency: 'USD', dateKey: '2026-10-19' },
+        ]);
+      });
+    });
+
+    describe('revalueDocument', () => {
+      it('should convert an expense in the old primary currency at its day\'s rate', () => {
+        const updates = revalueDocument('expenses', usdExpense, options);
+
+        expect(updates).toMatchObject({
+          currency: 'USD',
+          primaryCurrency: 'EUR',
+          primaryCurrencyAmount: 90,
+          exchangeRate: 0.9,
+          exchangeRateSource: 'provider',
+          exchangeRateProvider: 'fixture',
+          exchangeRateDate: '2026-10-01',
+          splitDetails: { user1Amount: 54, user2Amount: 36, user1Percentage: 60, user2Percentage: 40 },
+        });
+        expect(updates[CURRENCY_MIGRATION_BACKUP_FIELD]).toEqual({
+          migrationId: 'm1',
+          fields: {
+            currency: 'USD',
+            primaryCurrency: 'USD',
+            primaryCurrencyAmount: 100,
+            exchangeRate: 1.0,
+            exchangeRateSource: 'none',
+            splitDetails: usdExpense.splitDetails,
+          },
+          missing: ['exchangeRateProvider', 'exchangeRateDate'],
+        });
+      });
+
+      it('should combine the stored rate of an expense in a third currency', () => {
+        const updates = revalueDocument('expenses', {
+          amount: 50,
+          currency: 'GBP',
+          primaryCurrency: 'USD',
+          primaryCurrencyAmount: 65,
+          exchangeRate: 1.3,
+          date: '2026-10-01',
+        }, options);
+
+        expect(updates).toMatchObject({
+          currency: 'GBP',
+          exchangeRate: 1.17,
+          primaryCurrencyAmount: 58.5,
+          exchangeRateSource: 'migration',
+        });
+      });
+
+      it('should use the entered amount of an expense in the new currency', () => {
+        const updates = revalueDocument('expenses', {
+          amount: 20,
+          currency: 'EUR',
+          primaryCurrency: 'USD',
+          primaryCurrencyAmount: 21.8,
+          exchangeRate: 1.09,
+          date: '2026-10-01',
+        }, options);
+
+        expect(updates).toMatchObject({
+          primaryCurrencyAmount: 20,
+          exchangeRate: 1.0,
+          exchangeRateSource: 'none',
+          exchangeRateProvider: null,
+        });
+      });
+
+      it('should keep a split adding up to the new total', () => {
+        const updates = revalueDocument('expenses', {
+          ...usdExpense,
+          amount: 10,
+          primaryCurrencyAmount: 10,
+          splitDetails: { user1Amount: 3.33, user2Amount: 6.67 },
+        }, options);
+
+        expect(updates.primaryCurrencyAmount).toBe(9);
+        expect(updates.splitDetails).toEqual({ user1Amount: 3, user2Amount: 6 });
+      });
+
+      it('should round to the new currency\'s minor units', () => {
+        const updates = revalueDocument('expenses', { ...usdExpense, amount: 12.34, primaryCurrencyAmount: 12.34 }, {
+          ...options,
+          toCurrency: 'JPY',
+          rates: { 'USD_2026-10-01': rate(150.37, '2026-10-01') },
+        });
+
+        expect(updates.primaryCurrencyAmount).toBe(1856);
+      });
+
+      it('should convert budgets at the rate of the first of their month', () => {
+        const updates = revalueDocument('budgets', {
+          month: 9,
+          year: 2026,
+          currency: 'USD',
+          categoryBudgets: { food: 500, fun: 100 },
+        }, options);
+
+        expect(updates).toMatchObject({
+          currency: 'EUR',
+          categoryBudgets: { food: 425, fun: 85 },
+          categoryRollovers: {},
+        });
+        expect(updates[CURRENCY_MIGRATION_BACKUP_FIELD].missing).toEqual(['categoryRollovers']);
+      });
+
+      it('should convert settlement amounts at the settlement\'s date', () => {
+        const updates = revalueDocument('settlements', {
+          amount: 40,
+          balanceAtSettlement: 50,
+          remainingBalance: 10,
+          settledAt: '2026-10-01',
+        }, options);
+
+        expect(updates).toMatchObject({ currency: 'EUR', amount: 36, balanceAtSettlement: 45, remainingBalance: 9 });
+      });
+
+      it('should convert recurring expense templates at today\'s rate', () => {
+        const updates = revalueDocument('recurringExpenses', {
+          expenseTemplate: { amount: 30, currency: 'USD', primaryCurrency: 'USD', primaryCurrencyAmount: 30, description: 'Rent' },
+        }, options);
+
+        expect(updates.expenseTemplate).toMatchObject({
+          description: 'Rent',
+          primaryCurrency: 'EUR',
+          primaryCurrencyAmount: 27.6,
+          exchangeRateDate: '2026-10-19',
+        });
+      });
+
+      it('should skip documents already converted by the migration', () => {
+        const converted = { ...usdExpense, [CURRENCY_MIGRATION_BACKUP_FIELD]: { migrationId: 'm1' } };
+
+        expect(revalueDocument('expenses', converted, options)).toBeNull();
+        expect(revalueDocument('expenses', { ...usdExpense, primaryCurrency: 'EUR' }, options)).toBeNull();
+      });
+
+      it('should fail without a rate for the day', () => {
+        expect(() => revalueDocument('expenses', { ...usdExpense, date: '2026-10-05' }, options))
+          .toThrow('No exchange rate for USD/EUR on 2026-10-05');
+      });
+    });
+
+    describe('getRollbackFields', () => {
+      it('should return the previous values saved by the migration', () => {
+        const updates = revalueDocument('expenses', usdExpense, options);
+
+        expect(getRollbackFields({ ...usdExpense, ...updates }, 'm1')).toEqual({
+          restore: updates[CURRENCY_MIGRATION_BACKUP_FIELD].fields,
+          remove: ['exchangeRateProvider', 'exchangeRateDate'],
+        });
+        expect(getRollbackFields({ ...usdExpense, ...updates }, 'other')).toBeNull();
+        expect(getRollbackFields(usdExpense, 'm1')).toBeNull();
+      });
+    });
+
+    describe('getRevaluedTotals', () => {
+      it('should sum the converted expenses before and after', () => {
+        const totals = getRevaluedTotals([
+          { id: 'a', data: usdExpense },
+          { id: 'b', data: { ...usdExpense, amount: 50, primaryCurrencyAmount: 50 } },
+          { id: 'c', data: { ...usdExpense, primaryCurrency: 'EUR', primaryCurrencyAmount: 70 } },
+        ], options);
+
+        expect(totals).toEqual({ before: 150, after: 135 });
+      });
+    });
+  });
 });
@@ -50,6 +50,12 @@ describe('currencyUtils', () => {
       const result = formatCurrency(100);
       expect(result).toContain('$');
     });
+
+    it('should format zero-decimal and three-decimal currencies', () => {
+      expect(formatCurrency(1234.5, 'JPY')).toMatch(/1,?235/);
+      expect(formatCurrency(1234.5, 'JPY')).not.toContain('.');
+      expect(formatCurrency(12.3456, 'KWD')).toContain('12.346');
+    });
   });
 
   describe('formatCurrencyCompact', () => {
@@ -139,6 +145,11 @@ describe('currencyUtils', () => {
       const result = convertWithRate(33.33, 'EUR', 'USD', 1.1);
       expect(result.convertedAmount).toBe(36.66);
     });
+
+    it('should round to the target currency decimals', () => {
+      const result = convertWithRate(12.34, 'USD', 'JPY', 150.37);
+      expect(result.convertedAmount).toBe(1856);
+    });
   });
 
   describe('formatExchangeRate', () => {
@@ -202,6 +213,12 @@ describe('currencyUtils', () => {
     it('should round with specified currency', () => {
       expect(roundCurrency(123.456, 'USD')).toBe(123.46);
     });
+
+    it('should use the currency minor units', () => {
+      expect(roundCurrency(1234.5, 'JPY')).toBe(1235);
+      expect(roundCurrency(1234.4, 'KRW')).toBe(1234);
+      expect(roundCurrency(12.3456, 'KWD')).toBe(12.346);
+    });
   });
 
   describe('validateAmount', () => {
@@ -239,6 +256,20 @@ describe('currencyUtils', () => {
       expect(result.isValid).toBe(false);
       expect(result.error).toContain('maximum');
     });
+
+    it('should reject decimals the currency does not have', () => {
+      expect(validateAmount(1500, 'JPY').isValid).toBe(true);
+      expect(validateAmount(1500.5, 'JPY')).toEqual({
+        isValid: false,
+        error: 'JPY amounts cannot have decimals',
+      });
+      expect(validateAmount(12.345, 'KWD').isValid).toBe(true);
+      expect(validateAmount(12.345, 'USD').error).toBe('USD amounts can have at most 2 decimal places');
+    });
+
+    it('should tolerate floating-point noise', () => {
+      expect(validateAmount(0.1 + 0.2, 'USD').isValid).toBe(true);
+    });
   });
 
   describe('validateExchangeRate', () => {
@@ -328,6 +359,39 @@ describe('currencyUtils', () => {
 
       expect(result.primaryCurrencyAmount).toBe(36.66);
     });
+
+    it('should record where a looked-up rate came from', () => {
+      const expenseData = {
+        amount: 50,
+        currency: 'EUR',
+        exchangeRate: 1.12,
+        exchangeRateSource: 'provider',
+        exchangeRateProvider: 'frankfurter',
+        exchangeRateDate: '2026-10-15',
+        description: 'Test',
+      };
+
+      const result = createMultiCurrencyExpense(expenseData, 'USD');
+
+      expect(result.exchangeRateSource).toBe('provider');
+      expect(result.exchangeRateProvider).toBe('frankfurter');
+      expect(result.exchangeRateDate).toBe('2026-10-15');
+    });
+
+    it('should not record a provider for same-currency expenses', () => {
+      const expenseData = {
+        amount: 50,
+        currency: 'USD',
+        exchangeRateSource: 'provider',
+        exchangeRateProvider: 'frankfurter',
+        description: 'Test',
+      };
+
+      const result = createMultiCurrencyExpense(expenseData, 'USD');
+
+      expect(result.exchangeRateSource).toBe('none');
+      expect(result).not.toHaveProperty('exchangeRateProvider');
+    });
   });
 
   describe('getExpenseDisplayAmount', () => {
@@ -0,0 +1,277 @@
+// src/utils/__tests__/dataBackup.test.js
+// Unit tests for couple data backups
+
+import {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  CONTRIBUTIONS_KEY,
+  serializeValue,
+  deserializeValue,
+  buildBackup,
+  validateBackup,
+  buildUserIdMap,
+  prepareRestore,
+  generateBackupFilename,
+} from '../dataBackup';
+
+describe('dataBackup', () => {
+  const exportedAt = new Date('2026-10-19T12:00:00Z');
+  const createdAt = { toDate: () => new Date('2026-10-01T08:00:00Z') };
+
+  const createBackup = () => buildBackup({
+    coupleId: 'oldCouple',
+    members: {
+      user1: { id: 'alice', displayName: 'Alice' },
+      user2: { id: 'bob', displayName: 'Bob' },
+    },
+    coupleSettings: { coupleId: 'oldCouple', fiscalYear: { startMonth: 1 } },
+    collections: {
+      categories: [{ id: 'oldCouple_food', data: { coupleId: 'oldCouple', key: 'food', name: 'Food' } }],
+      budgets: [{
+        id: 'oldCouple_2026_10',
+        data: { coupleId: 'oldCouple', categoryBudgets: { food: 300 } },
+      }],
+      savingsTargets: [{
+        id: 'oldCouple_1700000000000',
+        data: {
+          id: 'oldCouple_1700000000000',
+          coupleId: 'oldCouple',
+          reachedMilestones: [25, 50],
+          contributionsByUser: { alice: 100, bob: 50 },
+        },
+      }],
+      recurringExpenses: [{ id: 'series1', data: { coupleId: 'oldCouple', paidBy: 'alice', amount: 20 } }],
+      settlements: [{
+        id: 'settle1',
+        data: { coupleId: 'oldCouple', user1Id: 'alice', user2Id: 'bob', amount: 40, planId: 'plan1' },
+      }],
+      expenses: [
+        {
+          id: 'exp1',
+          data: {
+            coupleId: 'oldCouple',
+            amount: 80,
+            description: 'Groceries',
+            date: '2026-10-01',
+            paidBy: 'alice',
+            category: 'food',
+            receiptUrl: 'https://example.com/receipt.jpg',
+            settledBySettlementId: 'settle1',
+            tripId: 'trip1',
+            createdAt,
+          },
+        },
+        {
+          id: 'series1_2026-10-05',
+          data: {
+            coupleId: 'oldCouple',
+            amount: 20,
+            description: 'Gym',
+            date: '2026-10-05',
+            paidBy: 'alice',
+            recurringExpenseId: 'series1',
+            recurrenceDate: '2026-10-05',
+          },
+        },
+      ],
+      merchantAliases: [{ id: 'alias1', data: { coupleId: 'oldCouple', ocrMerchant: 'WM', userAlias: 'Walmart' } }],
+    },
+    contributions: [
+      { id: 'contrib1', targetId: 'oldCouple_1700000000000', data: { amount: 100, userId: 'alice', createdAt } },
+    ],
+    exportedAt,
+  });
+
+  describe('serializeValue / deserializeValue', () => {
+    it('should keep dates as markers and turn them back into timestamps', () => {
+      const serialized = serializeValue({ createdAt, nested: [{ at: exportedAt }], skipped: undefined });
+
+      expect(serialized).toEqual({
+        createdAt: { $date: '2026-10-01T08:00:00.000Z' },
+        nested: [{ at: { $date: '2026-10-19T12:00:00.000Z' } }],
+        skipped: null,
+      });
+
+      const restored = deserializeValue(serialized, (date) => ({ seconds: date.getTime() / 1000 }));
+      expect(restored.createdAt).toEqual({ seconds: new Date('2026-10-01T08:00:00Z').getTime() / 1000 });
+    });
+  });
+
+  describe('buildBackup', () => {
+    it('should produce a versioned backup of every collection', () => {
+      const backup = createBackup();
+
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+      expect(backup.exportedAt).toBe('2026-10-19T12:00:00.000Z');
+      expect(backup.collections.tags).toEqual([]);
+      expect(backup.collections[CONTRIBUTIONS_KEY]).toHaveLength(1);
+      expect(backup.collections.expenses[0].data.createdAt).toEqual({ $date: '2026-10-01T08:00:00.000Z' });
+    });
+
+    it('should survive a JSON round trip', () => {
+      const backup = JSON.parse(JSON.stringify(createBackup()));
+
+      expect(validateBackup(backup).isValid).toBe(true);
+    });
+  });
+
+  describe('validateBackup', () => {
+    it('should count the documents of a valid backup', () => {
+      const result = validateBackup(createBackup());
+
+      expect(result.isValid).toBe(true);
+      expect(result.counts.expenses).toBe(2);
+      expect(result.counts[CONTRIBUTIONS_KEY]).toBe(1);
+    });
+
+    it('should reject files that are not backups', () => {
+      expect(validateBackup({ foo: 'bar' }).errors).toEqual(['This file is not a Dividela backup']);
+      expect(validateBackup(null).isValid).toBe(false);
+    });
+
+    it('should reject backups from a newer schema', () => {
+      const backup = { ...createBackup(), schemaVersion: BACKUP_SCHEMA_VERSION + 1 };
+
+      expect(validateBackup(backup).errors[0]).toMatch(/newer version/);
+    });
+
+    it('should validate expenses like imported ones', () => {
+      const backup = createBackup();
+      backup.collections.expenses[0].data.amount = -5;
+      backup.collections.expenses[1].data.description = '<script>alert(1)</script>';
+
+      const result = validateBackup(backup);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.some((e) => e.startsWith('expenses exp1:'))).toBe(true);
+      expect(result.errors.some((e) => e.includes('suspicious content'))).toBe(true);
+    });
+
+    it('should reject reserved field names and duplicate IDs', () => {
+      const backup = createBackup();
+      backup.collections.merchantAliases.push({ id: 'alias1', data: { __name__: 'x' } });
+
+      const result = validateBackup(backup);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'merchantAliases alias1: duplicate document ID',
+        expect.stringContaining('__name__'),
+      ]));
+    });
+
+    it('should warn about contributions without a target', () => {
+      const backup = createBackup();
+      backup.collections[CONTRIBUTIONS_KEY][0].targetId = 'missing';
+
+      const result = validateBackup(backup);
+
+      expect(result.isValid).toBe(true);
+      expect(result.hasWarnings).toBe(true);
+    });
+  });
+
+  describe('buildUserIdMap', () => {
+    const members = { user1: { id: 'alice' }, user2: { id: 'bob' } };
+
+    it('should match partners by position', () => {
+      expect(buildUserIdMap(members, { user1Id: 'carol', user2Id: 'dave' })).toEqual({
+        alice: 'carol',
+        bob: 'dave',
+      });
+    });
+
+    it('should keep the signed-in user on their own data', () => {
+      expect(buildUserIdMap(members, { user1Id: 'carol', user2Id: 'bob' }, { currentUserId: 'bob' })).toEqual({
+        alice: 'carol',
+        bob: 'bob',
+      });
+    });
+
+    it('should swap partners on request', () => {
+      expect(buildUserIdMap(members, { user1Id: 'carol', user2Id: 'dave' }, { swap: true })).toEqual({
+        alice: 'dave',
+        bob: 'carol',
+      });
+    });
+  });
+
+  describe('prepareRestore', () => {
+    const restore = (backup, coupleId = 'newCouple') => {
+      let nextId = 0;
+      return prepareRestore(backup, {
+        coupleId,
+        userIdMap: { alice: 'carol', bob: 'dave' },
+        generateId: () => `new${++nextId}`,
+      });
+    };
+    const findDocument = (result, collectionName, predicate = () => true) =>
+      result.documents.find((d) => d.collection === collectionName && predicate(d));
+
+    it('should move prefixed IDs to the new couple and give other documents new IDs', () => {
+      const result = restore(createBackup());
+
+      expect(findDocument(result, 'categories').id).toBe('newCouple_food');
+      expect(findDocument(result, 'budgets').id).toBe('newCouple_2026_10');
+      expect(findDocument(result, 'savingsTargets').data.id).toBe('newCouple_1700000000000');
+      expect(findDocument(result, 'settlements').id).toMatch(/^new\d+$/);
+      expect(result.documents.every((d) => d.data.coupleId === 'newCouple')).toBe(true);
+    });
+
+    it('should remap partners and references between documents', () => {
+      const result = restore(createBackup());
+      const settlement = findDocument(result, 'settlements');
+      const expense = findDocument(result, 'expenses', (d) => d.data.description === 'Groceries');
+      const target = findDocument(result, 'savingsTargets');
+
+      expect(settlement.data).toMatchObject({ user1Id: 'carol', user2Id: 'dave' });
+      expect(expense.data.paidBy).toBe('carol');
+      expect(expense.data.settledBySettlementId).toBe(settlement.id);
+      expect(target.data.contributionsByUser).toEqual({ carol: 100, dave: 50 });
+    });
+
+    it('should keep recurring occurrences keyed by series and date', () => {
+      const result = restore(createBackup());
+      const series = findDocument(result, 'recurringExpenses');
+      const occurrence = findDocument(result, 'expenses', (d) => d.data.recurrenceDate === '2026-10-05');
+
+      expect(occurrence.id).toBe(`${series.id}_2026-10-05`);
+      expect(occurrence.data.recurringExpenseId).toBe(series.id);
+    });
+
+    it('should clear references to data outside the backup', () => {
+      const result = restore(createBackup());
+      const expense = findDocument(result, 'expenses', (d) => d.data.description === 'Groceries');
+
+      expect(expense.data.tripId).toBeNull();
+      expect(expense.data.receiptUrl).toBeNull();
+      expect(findDocument(result, 'settlements').data.planId).toBeNull();
+      expect(findDocument(result, 'savingsTargets').data.reachedMilestones).toEqual([]);
+      expect(result.skipped.receipts).toBe(1);
+    });
+
+    it('should keep receipts when restoring into the same couple', () => {
+      const result = restore(createBackup(), 'oldCouple');
+      const expense = findDocument(result, 'expenses', (d) => d.data.description === 'Groceries');
+
+      expect(expense.data.receiptUrl).toBe('https://example.com/receipt.jpg');
+      expect(result.skipped.receipts).toBe(0);
+    });
+
+    it('should attach contributions to the remapped target and restore dates', () => {
+      const result = restore(JSON.parse(JSON.stringify(createBackup())));
+
+      expect(result.contributions).toHaveLength(1);
+      expect(result.contributions[0].targetId).toBe('newCouple_1700000000000');
+      expect(result.contributions[0].data.userId).toBe('carol');
+      expect(result.contributions[0].data.createdAt).toEqual(new Date('2026-10-01T08:00:00Z'));
+      expect(result.coupleSettings.coupleId).toBe('newCouple');
+    });
+  });
+
+  describe('generateBackupFilename', () => {
+    it('should include the backup date', () => {
+      expect(generateBackupFilename(exportedAt)).toBe('dividela-backup-2026-10-19.json');
+    });
+  });
+});
@@ -1,4 +1,9 @@
-import { isDuplicate, findDuplicates, detectDuplicatesForTransactions } from '../duplicateDetector';
+import {
+  isDuplicate,
+  findDuplicates,
+  detectDuplicatesForTransactions,
+  markDuplicatesForReview,
+} from '../duplicateDetector';
 
 describe('Duplicate Detector', () => {
   describe('isDuplicate', () => {
@@ -218,4 +223,49 @@ describe('Duplicate Detector', () => {
       expect(results[0].duplicates.length).toBe(0);
     });
   });
+
+  describe('bank transaction IDs', () => {
+    const importedExpense = {
+      id: 'imported',
+      date: '2023-01-01',
+      description: 'STARBUCKS',
+      amount: 5.50,
+      importMetadata: { fitId: '20230101-001', accountId: '12345' },
+    };
+
+    test('matches the same FITID exactly, even outside the date window', () => {
+      const transaction = {
+        date: new Date('2024-01-15'),
+        description: 'Something else',
+        amount: 99,
+        fitId: '20230101-001',
+        accountId: '12345',
+      };
+
+      const results = detectDuplicatesForTransactions([transaction], [importedExpense], { useCache: false });
+
+      expect(results[0].highConfidenceDuplicate.exactMatch).toBe(true);
+      expect(results[0].highConfidenceDuplicate.confidence).toBe(1);
+      expect(markDuplicatesForReview(results)[0].duplicateStatus).toEqual(
+        expect.objectContaining({ autoSkip: true, exactMatch: true })
+      );
+    });
+
+    test('never matches a different FITID, even when everything else matches', () => {
+      const transaction = {
+        date: new Date('2023-01-01'),
+        description: 'STARBUCKS',
+        amount: 5.50,
+        fitId: '20230101-002',
+      };
+
+      expect(isDuplicate(transaction, importedExpense).isDuplicate).toBe(false);
+    });
+
+    test('does not match a FITID from another account', () => {
+      const transaction = { ...importedExpense, fitId: '20230101-001', accountId: '99999' };
+
+      expect(isDuplicate(transaction, importedExpense).isDuplicate).toBe(false);
+    });
+  });
 });
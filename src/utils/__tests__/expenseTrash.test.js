@@ -0,0 +1,79 @@
+// src/utils/__tests__/expenseTrash.test.js
+// Unit tests for expense trash helpers
+
+import {
+  TRASH_RETENTION_DAYS,
+  isExpenseDeleted,
+  excludeDeletedExpenses,
+  getTrashExpiryDate,
+  getDaysUntilPurge,
+  sortByDeletedAt,
+} from '../expenseTrash';
+
+describe('expenseTrash', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  describe('isExpenseDeleted', () => {
+    it('should treat expenses with a deletion time or author as trashed', () => {
+      expect(isExpenseDeleted({ deletedAt: now })).toBe(true);
+      // Pending server timestamps read as null until the write is confirmed
+      expect(isExpenseDeleted({ deletedAt: null, deletedBy: 'user1' })).toBe(true);
+    });
+
+    it('should treat active and restored expenses as not trashed', () => {
+      expect(isExpenseDeleted({ amount: 10 })).toBe(false);
+      expect(isExpenseDeleted({ deletedAt: null, deletedBy: null })).toBe(false);
+      expect(isExpenseDeleted(null)).toBe(false);
+    });
+  });
+
+  describe('excludeDeletedExpenses', () => {
+    it('should keep only expenses outside the trash', () => {
+      const expenses = [{ id: 'a' }, { id: 'b', deletedBy: 'user1' }, { id: 'c', deletedAt: null }];
+
+      expect(excludeDeletedExpenses(expenses).map((expense) => expense.id)).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('getTrashExpiryDate', () => {
+    it('should add the retention period to Firestore timestamps', () => {
+      const deletedAt = { toDate: () => new Date('2026-10-01T12:00:00Z') };
+
+      expect(getTrashExpiryDate({ deletedAt }).toISOString()).toBe('2026-10-31T12:00:00.000Z');
+    });
+
+    it('should count from now while the deletion time is pending', () => {
+      const expiry = getTrashExpiryDate({ deletedAt: null, deletedBy: 'user1' }, now);
+
+      expect(expiry.getTime() - now.getTime()).toBe(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('getDaysUntilPurge', () => {
+    it('should round partial days up', () => {
+      const deletedAt = new Date('2026-09-20T06:00:00Z');
+
+      expect(getDaysUntilPurge({ deletedAt }, now)).toBe(1);
+    });
+
+    it('should never go below zero', () => {
+      expect(getDaysUntilPurge({ deletedAt: { seconds: 0 } }, now)).toBe(0);
+    });
+
+    it('should start at the full retention period', () => {
+      expect(getDaysUntilPurge({ deletedAt: now }, now)).toBe(TRASH_RETENTION_DAYS);
+    });
+  });
+
+  describe('sortByDeletedAt', () => {
+    it('should put the most recently deleted expense first without changing the input', () => {
+      const expenses = [
+        { id: 'old', deletedAt: new Date('2026-10-01T00:00:00Z') },
+        { id: 'new', deletedAt: new Date('2026-10-10T00:00:00Z') },
+      ];
+
+      expect(sortByDeletedAt(expenses).map((expense) => expense.id)).toEqual(['new', 'old']);
+      expect(expenses[0].id).toBe('old');
+    });
+  });
+});
@@ -6,18 +6,20 @@
  */
 
 import * as ImageManipulator from 'expo-image-manipulator';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
 import { compressReceipt, getImageInfo } from '../imageCompression';
 
-// Mock expo modules
-jest.mock('expo-image-manipulator');
-jest.mock('expo-file-system');
+// expo-image-manipulator and expo-file-system/legacy are mocked in jest.setup.js
 
 describe('imageCompression', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Some tests queue more file checks than compressReceipt reads; drop them
+    FileSystem.getInfoAsync.mockReset();
+    ImageManipulator.manipulateAsync.mockReset();
     // Set up default mock for deleteAsync to prevent undefined errors
-    FileSystem.deleteAsync = jest.fn().mockResolvedValue();
+    FileSystem.deleteAsync.mockReset();
+    FileSystem.deleteAsync.mockResolvedValue();
   });
 
   describe('getImageInfo', () => {
@@ -0,0 +1,237 @@
+// src/utils/__tests__/offlineMutations.test.js
+// Unit tests for the offline write queue helpers
+
+import {
+  MUTATION_ENTITIES,
+  MUTATION_OPS,
+  MUTATION_STATUS,
+  SYNC_STATES,
+  createMutation,
+  enqueueMutation,
+  resolveMutation,
+  applyPendingExpenses,
+  getMutationCounts,
+  resetInterruptedMutations,
+} from '../offlineMutations';
+
+describe('offlineMutations', () => {
+  const queuedAt = new Date('2026-10-19T12:00:00Z').getTime();
+
+  const createExpense = (data) => createMutation({
+    entity: MUTATION_ENTITIES.EXPENSE,
+    op: MUTATION_OPS.CREATE,
+    entityId: 'exp1',
+    coupleId: 'couple1',
+    data,
+  }, queuedAt);
+
+  const updateExpense = (data, base = null, entityId = 'exp1') => createMutation({
+    entity: MUTATION_ENTITIES.EXPENSE,
+    op: MUTATION_OPS.UPDATE,
+    entityId,
+    coupleId: 'couple1',
+    data,
+    base,
+  }, queuedAt);
+
+  describe('createMutation', () => {
+    it('should create a pending mutation with JSON-safe data', () => {
+      const mutation = updateExpense(
+        { amount: 20, skipped: undefined },
+        { amount: 10, updatedAt: { toDate: () => new Date('2026-10-01T08:00:00Z') } }
+      );
+
+      expect(mutation).toMatchObject({
+        entity: 'expense',
+        op: 'update',
+        status: MUTATION_STATUS.PENDING,
+        retryCount: 0,
+        queuedAt,
+        data: { amount: 20 },
+        base: { amount: 10, updatedAt: '2026-10-01T08:00:00.000Z' },
+      });
+      expect(mutation.data).not.toHaveProperty('skipped');
+    });
+  });
+
+  describe('enqueueMutation', () => {
+    it('should append mutations in order', () => {
+      const queue = enqueueMutation([createExpense({ amount: 10 })], updateExpense({ amount: 5 }, null, 'exp2'));
+
+      expect(queue.map((mutation) => mutation.entityId)).toEqual(['exp1', 'exp2']);
+    });
+
+    it('should fold an update into a pending create', () => {
+      const queue = enqueueMutation(
+        [createExpense({ amount: 10, description: 'Lunch' })],
+        updateExpense({ amount: 12 }, { amount: 10 })
+      );
+
+      expect(queue).toHaveLength(1);
+      expect(queue[0].op).toBe(MUTATION_OPS.CREATE);
+      expect(queue[0].data).toEqual({ amount: 12, description: 'Lunch' });
+      expect(queue[0].base).toBeNull();
+    });
+
+    it('should keep the oldest base values when merging updates', () => {
+      const queue = enqueueMutation(
+        [updateExpense({ amount: 12 }, { amount: 10 })],
+        updateExpense({ amount: 15, description: 'Dinner' }, { amount: 12, description: 'Lunch' })
+      );
+
+      expect(queue).toHaveLength(1);
+      expect(queue[0].data).toEqual({ amount: 15, description: 'Dinner' });
+      expect(queue[0].base).toEqual({ amount: 10, description: 'Lunch' });
+    });
+
+    it('should not merge into a mutation that has failed', () => {
+      const failed = { ...updateExpense({ amount: 12 }), status: MUTATION_STATUS.FAILED };
+
+      expect(enqueueMutation([failed], updateExpense({ amount: 15 }))).toHaveLength(2);
+    });
+  });
+
+  describe('resolveMutation', () => {
+    it('should apply a create once and skip it afterwards', () => {
+      const mutation = createExpense({ amount: 10 });
+
+      expect(resolveMutation(mutation, null)).toMatchObject({ action: 'apply', data: { amount: 10 } });
+      expect(resolveMutation(mutation, { amount: 10 })).toMatchObject({ action: 'skip', reason: 'exists' });
+    });
+
+    it('should drop updates to missing or trashed documents', () => {
+      const mutation = updateExpense({ amount: 12 });
+
+      expect(resolveMutation(mutation, null).reason).toBe('missing');
+      expect(resolveMutation(mutation, { amount: 10, deletedBy: 'user2' }).reason).toBe('missing');
+    });
+
+    it('should keep fields the partner changed and write the others', () => {
+      const mutation = updateExpense(
+        { amount: 12, description: 'Lunch out' },
+        { amount: 10, description: 'Lunch' }
+      );
+
+      const result = resolveMutation(mutation, { amount: 11, description: 'Lunch' });
+
+      expect(result).toEqual({
+        action: 'apply',
+        data: { description: 'Lunch out' },
+        conflicts: ['amount'],
+        reason: 'conflict',
+      });
+    });
+
+    it('should not treat identical changes as conflicts', () => {
+      const mutation = updateExpense({ amount: 12 }, { amount: 10 });
+
+      expect(resolveMutation(mutation, { amount: 12 })).toMatchObject({ action: 'apply', conflicts: [] });
+    });
+
+    it('should compare nested values regardless of key order', () => {
+      const mutation = updateExpense(
+        { splitDetails: { user1Amount: 6, user2Amount: 6 } },
+        { splitDetails: { user1Amount: 5, user2Amount: 5 } }
+      );
+
+      const result = resolveMutation(mutation, { splitDetails: { user2Amount: 5, user1Amount: 5 } });
+
+      expect(result.action).toBe('apply');
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should skip the update when every field conflicts', () => {
+      const mutation = updateExpense({ amount: 12 }, { amount: 10 });
+
+      expect(resolveMutation(mutation, { amount: 11 })).toMatchObject({
+        action: 'skip',
+        conflicts: ['amount'],
+        reason: 'conflict',
+      });
+    });
+
+    it('should fall back to update times without base values', () => {
+      const mutation = updateExpense({ categoryBudgets: { food: 300 } });
+      const before = { toDate: () => new Date(queuedAt - 60000) };
+      const after = { toDate: () => new Date(queuedAt + 60000) };
+
+      expect(resolveMutation(mutation, { updatedAt: before }).action).toBe('apply');
+      expect(resolveMutation(mutation, { updatedAt: after })).toMatchObject({
+        action: 'skip',
+        reason: 'conflict',
+      });
+    });
+  });
+
+  describe('applyPendingExpenses', () => {
+    const expenses = [
+      { id: 'exp2', amount: 30, description: 'Fuel', coupleId: 'couple1' },
+      { id: 'exp3', amount: 40, description: 'Rent', coupleId: 'couple1' },
+    ];
+
+    it('should add pending creates and apply pending updates', () => {
+      const queue = [
+        createExpense({ amount: 10, description: 'Lunch', coupleId: 'couple1' }),
+        updateExpense({ amount: 35 }, null, 'exp2'),
+      ];
+
+      const result = applyPendingExpenses(expenses, queue, {}, 'couple1');
+
+      expect(result).toHaveLength(3);
+      expect(result[0]).toMatchObject({ id: 'exp1', syncState: SYNC_STATES.PENDING });
+      expect(result[1]).toMatchObject({ id: 'exp2', amount: 35, syncState: SYNC_STATES.PENDING });
+      expect(result[2].syncState).toBeUndefined();
+    });
+
+    it('should mark writes that gave up as failed', () => {
+      const queue = [{ ...updateExpense({ amount: 35 }, null, 'exp2'), status: MUTATION_STATUS.FAILED }];
+
+      const result = applyPendingExpenses(expenses, queue, {}, 'couple1');
+
+      expect(result[0]).toMatchObject({ id: 'exp2', amount: 35, syncState: SYNC_STATES.FAILED });
+    });
+
+    it('should mark expenses synced this session', () => {
+      const result = applyPendingExpenses(expenses, [], { exp3: SYNC_STATES.CONFLICT });
+
+      expect(result[1].syncState).toBe(SYNC_STATES.CONFLICT);
+    });
+
+    it('should ignore other couples and other entities', () => {
+      const queue = [
+        { ...createExpense({ amount: 10 }), coupleId: 'couple2' },
+        { ...createExpense({ amount: 10 }), entity: MUTATION_ENTITIES.BUDGET },
+      ];
+
+      expect(applyPendingExpenses(expenses, queue, {}, 'couple1')).toEqual(expenses);
+    });
+  });
+
+  describe('resetInterruptedMutations', () => {
+    it('should put syncing mutations back to pending and leave the rest', () => {
+      const queue = [
+        { id: '1', status: MUTATION_STATUS.SYNCING },
+        { id: '2', status: MUTATION_STATUS.PENDING },
+        { id: '3', status: MUTATION_STATUS.FAILED },
+      ];
+
+      expect(resetInterruptedMutations(queue).map(({ status }) => status)).toEqual([
+        MUTATION_STATUS.PENDING,
+        MUTATION_STATUS.PENDING,
+        MUTATION_STATUS.FAILED,
+      ]);
+    });
+  });
+
+  describe('getMutationCounts', () => {
+    it('should count mutations by status', () => {
+      const queue = [
+        { status: MUTATION_STATUS.PENDING },
+        { status: MUTATION_STATUS.PENDING },
+        { status: MUTATION_STATUS.FAILED },
+      ];
+
+      expect(getMutationCounts(queue)).toEqual({ total: 3, pending: 2, syncing: 0, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { parseOFX, isOFXContent, parseOFXDate, parseOFXAmount } from '../ofxParser';
+
+const SGML_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM>
+<BANKID>123456
+<ACCTID>987654321
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20260101
+<DTEND>20260131
+<STMTTRN>
+<TRNTYPE>POS
+<DTPOSTED>20260114120000[-5:EST]
+<TRNAMT>-42,50
+<FITID>2026011401
+<NAME>CAFE &amp; BAR
+<MEMO>Card 1234
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260105
+<TRNAMT>1500.00
+<FITID>2026010501
+<NAME>SALARY
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>POS
+<DTPOSTED>20260114
+<TRNAMT>-42.50
+<FITID>2026011401
+<NAME>CAFE &amp; BAR
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const XML_STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CURDEF>USD</CURDEF>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20260203</DTPOSTED><TRNAMT>-12.99</TRNAMT><FITID>A1</FITID><NAME>STREAMING CO</NAME></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+describe('OFX Parser', () => {
+  describe('parseOFXDate', () => {
+    test('keeps the calendar date and ignores time and zone', () => {
+      const date = parseOFXDate('20260114235959.000[-5:EST]');
+      expect(date.getFullYear()).toBe(2026);
+      expect(date.getMonth()).toBe(0);
+      expect(date.getDate()).toBe(14);
+    });
+
+    test('rejects invalid dates', () => {
+      expect(parseOFXDate('20261340')).toBeNull();
+      expect(parseOFXDate('')).toBeNull();
+    });
+  });
+
+  describe('parseOFXAmount', () => {
+    test('accepts dot or comma decimals', () => {
+      expect(parseOFXAmount('-42.50')).toBe(-42.5);
+      expect(parseOFXAmount('-42,50')).toBe(-42.5);
+      expect(parseOFXAmount('1,500.00')).toBe(1500);
+      expect(parseOFXAmount('abc')).toBeNaN();
+    });
+  });
+
+  describe('parseOFX', () => {
+    test('parses SGML statements with FITIDs and account details', async () => {
+      const result = await parseOFX(SGML_STATEMENT);
+
+      expect(result.transactions).toHaveLength(2);
+      const [salary, cafe] = result.transactions;
+
+      expect(salary).toEqual(expect.objectContaining({ description: 'SALARY', amount: 1500, type: 'credit' }));
+      expect(cafe).toEqual(
+        expect.objectContaining({
+          description: 'CAFE & BAR',
+          memo: 'Card 1234',
+          amount: 42.5,
+          type: 'debit',
+          currency: 'EUR',
+          fitId: '2026011401',
+          accountId: '987654321',
+        })
+      );
+      expect(result.metadata).toEqual(
+        expect.objectContaining({ format: 'ofx', accountId: '987654321', transactionIdCount: 2 })
+      );
+    });
+
+    test('skips FITIDs repeated within the same file', async () => {
+      const result = await parseOFX(SGML_STATEMENT);
+
+      expect(result.metadata.duplicateFitIds).toEqual(['2026011401']);
+    });
+
+    test('parses OFX 2.x XML credit card statements', async () => {
+      const result = await parseOFX(XML_STATEMENT);
+
+      expect(result.transactions).toEqual([
+        expect.objectContaining({ description: 'STREAMING CO', amount: 12.99, type: 'debit', fitId: 'A1', accountId: '4111', currency: 'USD' }),
+      ]);
+    });
+
+    test('rejects files that are not OFX', async () => {
+      await expect(parseOFX('Date,Description,Amount')).rejects.toThrow('does not look like an OFX');
+    });
+  });
+
+  describe('isOFXContent', () => {
+    test('recognises SGML and XML headers', () => {
+      expect(isOFXContent(SGML_STATEMENT)).toBe(true);
+      expect(isOFXContent(XML_STATEMENT)).toBe(true);
+      expect(isOFXContent('Date,Description,Amount')).toBe(false);
+    });
+  });
+});
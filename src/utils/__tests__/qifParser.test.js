@@ -0,0 +1,76 @@
+import { parseQIF, isQIFContent, parseQIFDate } from '../qifParser';
+
+const BANK_QIF = `!Type:Bank
+D01/14/2026
+T-1,234.56
+PRENT PAYMENT
+MJanuary
+N1042
+LHousing
+^
+D1/20'26
+T-8.50
+PCOFFEE SHOP
+^
+D01/31/2026
+T2500.00
+PSALARY
+^
+`;
+
+describe('QIF Parser', () => {
+  describe('parseQIFDate', () => {
+    test('parses Quicken apostrophe years', () => {
+      const date = parseQIFDate("1/20'26");
+      expect(date.getFullYear()).toBe(2026);
+      expect(date.getMonth()).toBe(0);
+      expect(date.getDate()).toBe(20);
+    });
+
+    test('parses two-digit years and ISO dates', () => {
+      expect(parseQIFDate('12/31/99').getFullYear()).toBe(1999);
+      expect(parseQIFDate('2026-03-05').getDate()).toBe(5);
+      expect(parseQIFDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('parseQIF', () => {
+    test('parses bank records', async () => {
+      const result = await parseQIF(BANK_QIF);
+
+      expect(result.transactions).toHaveLength(3);
+      expect(result.transactions[0]).toEqual(
+        expect.objectContaining({
+          description: 'RENT PAYMENT',
+          memo: 'January',
+          amount: 1234.56,
+          type: 'debit',
+          checkNumber: '1042',
+        })
+      );
+      expect(result.transactions[1]).toEqual(expect.objectContaining({ description: 'COFFEE SHOP', amount: 8.5 }));
+      expect(result.transactions[2]).toEqual(expect.objectContaining({ description: 'SALARY', type: 'credit' }));
+      expect(result.metadata).toEqual(expect.objectContaining({ format: 'qif', accountType: 'bank' }));
+    });
+
+    test('accepts a last record without its terminator', async () => {
+      const result = await parseQIF('!Type:CCard\nD02/01/2026\nT-20\nPBOOKSHOP');
+
+      expect(result.transactions).toEqual([expect.objectContaining({ description: 'BOOKSHOP', amount: 20 })]);
+    });
+
+    test('skips account lists and rejects investment accounts', async () => {
+      const withAccounts = `!Option:AutoSwitch\n!Account\nNChecking\nTBank\n^\n!Clear:AutoSwitch\n${BANK_QIF}`;
+      expect((await parseQIF(withAccounts)).transactions).toHaveLength(3);
+
+      await expect(parseQIF('!Type:Invst\nD01/14/2026\nT-100\nPBUY\n^')).rejects.toThrow('not supported');
+    });
+  });
+
+  describe('isQIFContent', () => {
+    test('recognises QIF headers', () => {
+      expect(isQIFContent(BANK_QIF)).toBe(true);
+      expect(isQIFContent('Date,Description,Amount')).toBe(false);
+    });
+  });
+});
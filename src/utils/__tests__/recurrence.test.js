@@ -0,0 +1,172 @@
+// src/utils/__tests__/recurrence.test.js
+// Unit tests for recurring expense date math
+
+import {
+  toDateKey,
+  parseDateKey,
+  getOccurrenceDate,
+  getOccurrenceIndexOnOrAfter,
+  isRecurrenceFinished,
+  getUpcomingOccurrences,
+  validateRecurrenceRule,
+} from '../recurrence';
+import occurrenceTable from '../../../functions/__tests__/fixtures/recurrenceOccurrences';
+
+describe('recurrence', () => {
+  describe('toDateKey / parseDateKey', () => {
+    it('should round-trip a local date', () => {
+      const date = new Date(2026, 0, 5);
+      expect(toDateKey(date)).toBe('2026-01-05');
+      expect(parseDateKey('2026-01-05').getTime()).toBe(date.getTime());
+    });
+
+    it('should pass through existing date keys', () => {
+      expect(toDateKey('2026-03-31')).toBe('2026-03-31');
+    });
+
+    it('should accept Firestore timestamps', () => {
+      const timestamp = { toDate: () => new Date(2026, 6, 4) };
+      expect(toDateKey(timestamp)).toBe('2026-07-04');
+    });
+
+    it('should return null for invalid input', () => {
+      expect(toDateKey(null)).toBeNull();
+      expect(toDateKey('not a date')).toBeNull();
+      expect(parseDateKey('')).toBeNull();
+    });
+  });
+
+  describe('getOccurrenceDate', () => {
+    it('should step weekly rules by whole weeks', () => {
+      const rule = { frequency: 'weekly', startDate: '2026-01-30' };
+      expect(getOccurrenceDate(rule, 0)).toBe('2026-01-30');
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-02-06');
+      expect(getOccurrenceDate(rule, 5)).toBe('2026-03-06');
+    });
+
+    it('should honour the interval', () => {
+      const rule = { frequency: 'weekly', interval: 2, startDate: '2026-01-01' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-01-15');
+    });
+
+    it('should clamp monthly rules to the end of short months without drifting', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-01-31' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-02-28');
+      expect(getOccurrenceDate(rule, 2)).toBe('2026-03-31');
+      expect(getOccurrenceDate(rule, 3)).toBe('2026-04-30');
+    });
+
+    it('should use a custom day of month', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-01-03', dayOfMonth: 15 };
+      expect(getOccurrenceDate(rule, 0)).toBe('2026-01-15');
+      expect(getOccurrenceDate(rule, 1)).toBe('2026-02-15');
+    });
+
+    it('should not schedule a custom day before the start date', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-10-20', dayOfMonth: 5 };
+      expect(getOccurrenceDate(rule, 0)).toBe('2026-11-05');
+      expect(getOccurrenceIndexOnOrAfter(rule, '2026-10-20')).toBe(0);
+    });
+
+    it('should roll monthly rules over the year boundary', () => {
+      const rule = { frequency: 'monthly', interval: 3, startDate: '2026-11-10' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2027-02-10');
+    });
+
+    it('should handle leap days for yearly rules', () => {
+      const rule = { frequency: 'yearly', startDate: '2028-02-29' };
+      expect(getOccurrenceDate(rule, 1)).toBe('2029-02-28');
+      expect(getOccurrenceDate(rule, 4)).toBe('2032-02-29');
+    });
+
+    it('should return null for unknown frequencies', () => {
+      expect(getOccurrenceDate({ frequency: 'daily', startDate: '2026-01-01' }, 1)).toBeNull();
+    });
+
+    // Same table as the server-side copy in functions/src/recurring
+    it.each(occurrenceTable.map((entry) => [entry.name, entry]))('should match the shared schedule: %s', (name, { rule, occurrences }) => {
+      Object.entries(occurrences).forEach(([index, date]) => {
+        expect(getOccurrenceDate(rule, Number(index))).toBe(date);
+      });
+    });
+  });
+
+  describe('getOccurrenceIndexOnOrAfter', () => {
+    it('should find the first occurrence on or after a date', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-01-10' };
+      expect(getOccurrenceIndexOnOrAfter(rule, '2026-01-10')).toBe(0);
+      expect(getOccurrenceIndexOnOrAfter(rule, '2026-01-11')).toBe(1);
+      expect(getOccurrenceIndexOnOrAfter(rule, '2026-04-01')).toBe(3);
+    });
+  });
+
+  describe('isRecurrenceFinished', () => {
+    it('should stop after the maximum number of occurrences', () => {
+      const rule = { frequency: 'weekly', startDate: '2026-01-01', maxOccurrences: 3 };
+      expect(isRecurrenceFinished(rule, 2)).toBe(false);
+      expect(isRecurrenceFinished(rule, 3)).toBe(true);
+    });
+
+    it('should stop after the end date', () => {
+      const rule = { frequency: 'monthly', startDate: '2026-01-15', endDate: '2026-03-15' };
+      expect(isRecurrenceFinished(rule, 2)).toBe(false);
+      expect(isRecurrenceFinished(rule, 3)).toBe(true);
+    });
+  });
+
+  describe('getUpcomingOccurrences', () => {
+    it('should flag skipped dates', () => {
+      const rule = {
+        frequency: 'weekly',
+        startDate: '2026-01-01',
+        skippedDates: ['2026-01-08'],
+      };
+
+      expect(getUpcomingOccurrences(rule, 1, 2)).toEqual([
+        { index: 1, date: '2026-01-08', skipped: true },
+        { index: 2, date: '2026-01-15', skipped: false },
+      ]);
+    });
+
+    it('should not list occurrences past the end', () => {
+      const rule = { frequency: 'yearly', startDate: '2026-05-01', maxOccurrences: 2 };
+      expect(getUpcomingOccurrences(rule, 0, 5)).toHaveLength(2);
+    });
+  });
+
+  describe('validateRecurrenceRule', () => {
+    it('should accept a valid monthly rule', () => {
+      const result = validateRecurrenceRule({
+        frequency: 'monthly',
+        startDate: new Date(2026, 0, 1),
+        dayOfMonth: 28,
+        maxOccurrences: 12,
+      });
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject unknown frequencies', () => {
+      expect(validateRecurrenceRule({ frequency: 'hourly', startDate: '2026-01-01' }).isValid).toBe(false);
+      expect(validateRecurrenceRule(null).isValid).toBe(false);
+    });
+
+    it('should reject a day of month on non-monthly rules', () => {
+      const result = validateRecurrenceRule({ frequency: 'weekly', startDate: '2026-01-01', dayOfMonth: 3 });
+      expect(result.isValid).toBe(false);
+    });
+
+    it('should reject an end date before the start date', () => {
+      const result = validateRecurrenceRule({
+        frequency: 'weekly',
+        startDate: '2026-02-01',
+        endDate: '2026-01-01',
+      });
+      expect(result.errors).toContain('End date must be after the start date');
+    });
+
+    it('should reject a zero occurrence count', () => {
+      const result = validateRecurrenceRule({ frequency: 'weekly', startDate: '2026-01-01', maxOccurrences: 0 });
+      expect(result.isValid).toBe(false);
+    });
+  });
+});
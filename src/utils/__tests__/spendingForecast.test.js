@@ -0,0 +1,148 @@
+// src/utils/__tests__/spendingForecast.test.js
+// Unit tests for month-end and fiscal-year-end spending projections
+
+import {
+  FORECAST_STATUS,
+  calculateHistoricalAverages,
+  getUpcomingRecurringAmounts,
+  projectMonthEnd,
+  getForecastStatus,
+  forecastMonth,
+  projectFiscalYearEnd,
+} from '../spendingForecast';
+
+describe('spendingForecast', () => {
+  describe('calculateHistoricalAverages', () => {
+    it('should average per category and count missing months as zero', () => {
+      expect(calculateHistoricalAverages([
+        { food: 300, dining: 90 },
+        { food: 200 },
+        { food: 250, dining: 60 },
+      ])).toEqual({ food: 250, dining: 50 });
+    });
+
+    it('should return null without history', () => {
+      expect(calculateHistoricalAverages([])).toBeNull();
+    });
+  });
+
+  describe('getUpcomingRecurringAmounts', () => {
+    const series = [
+      {
+        status: 'active',
+        frequency: 'weekly',
+        interval: 1,
+        startDate: '2026-10-01',
+        occurrenceIndex: 2,
+        skippedDates: ['2026-10-22'],
+        amount: 15,
+        categoryKey: 'food',
+      },
+      {
+        status: 'paused',
+        frequency: 'monthly',
+        interval: 1,
+        startDate: '2026-01-20',
+        dayOfMonth: 20,
+        occurrenceIndex: 9,
+        amount: 500,
+        categoryKey: 'housing',
+      },
+    ];
+
+    it('should count unmaterialized, unskipped occurrences of active series', () => {
+      // Oct 15 and 29 (Oct 22 skipped)
+      expect(getUpcomingRecurringAmounts(series, '2026-10-31')).toEqual({ food: 30 });
+    });
+
+    it('should only count occurrences after the start key', () => {
+      expect(getUpcomingRecurringAmounts(series, '2026-11-07', '2026-10-31')).toEqual({ food: 15 });
+    });
+  });
+
+  describe('projectMonthEnd', () => {
+    it('should extrapolate the daily pace without history', () => {
+      expect(projectMonthEnd({ spent: 100, daysElapsed: 10, daysInMonth: 30 })).toBe(300);
+    });
+
+    it('should weigh history more early in the month', () => {
+      expect(projectMonthEnd({ spent: 60, daysElapsed: 3, daysInMonth: 30, historicalAverage: 300 })).toBe(357);
+      expect(projectMonthEnd({ spent: 60, daysElapsed: 3, daysInMonth: 30, historicalAverage: 0 })).toBe(114);
+    });
+
+    it('should add scheduled recurring amounts instead of extrapolating them', () => {
+      expect(projectMonthEnd({
+        spent: 150,
+        recurringSpent: 100,
+        daysElapsed: 10,
+        daysInMonth: 30,
+        upcomingRecurring: 100,
+      })).toBe(350);
+    });
+
+    it('should return what was spent on the last day', () => {
+      expect(projectMonthEnd({ spent: 420, daysElapsed: 31, daysInMonth: 31, historicalAverage: 100 })).toBe(420);
+    });
+  });
+
+  describe('getForecastStatus', () => {
+    it('should classify projections against the budget', () => {
+      expect(getForecastStatus(150, 50, 200)).toBe(FORECAST_STATUS.ON_TRACK);
+      expect(getForecastStatus(185, 50, 200)).toBe(FORECAST_STATUS.AT_RISK);
+      expect(getForecastStatus(250, 50, 200)).toBe(FORECAST_STATUS.ON_PACE_TO_EXCEED);
+      expect(getForecastStatus(250, 210, 200)).toBe(FORECAST_STATUS.EXCEEDED);
+      expect(getForecastStatus(250, 50, 0)).toBe(FORECAST_STATUS.ON_TRACK);
+    });
+  });
+
+  describe('forecastMonth', () => {
+    it('should total categories and flag the largest overage first', () => {
+      const forecast = forecastMonth({
+        categoryBudgets: { food: 300, dining: 100, travel: 200 },
+        spending: { food: 150, dining: 60, travel: 80 },
+        daysElapsed: 10,
+        daysInMonth: 30,
+      });
+
+      expect(forecast.categories.food).toEqual({
+        budget: 300,
+        spent: 150,
+        projected: 450,
+        projectedRemaining: -150,
+        status: FORECAST_STATUS.ON_PACE_TO_EXCEED,
+      });
+      expect(forecast.categories.dining.status).toBe(FORECAST_STATUS.ON_PACE_TO_EXCEED);
+      expect(forecast.flagged).toEqual(['food', 'dining', 'travel']);
+      expect(forecast.totalBudget).toBe(600);
+      expect(forecast.totalSpent).toBe(290);
+      expect(forecast.totalProjected).toBe(870);
+    });
+
+    it('should use history for categories with no spending yet', () => {
+      const forecast = forecastMonth({
+        categoryBudgets: { food: 300, gifts: 50 },
+        spending: { food: 20 },
+        historicalAverages: { food: 280 },
+        daysElapsed: 2,
+        daysInMonth: 30,
+      });
+
+      expect(forecast.categories.food.projected).toBeGreaterThan(250);
+      expect(forecast.categories.gifts.projected).toBe(0);
+      expect(forecast.flagged).toEqual([]);
+    });
+  });
+
+  describe('projectFiscalYearEnd', () => {
+    it('should add the rest of the month, later months and scheduled recurring', () => {
+      expect(projectFiscalYearEnd({
+        spentToDate: 1000,
+        monthSpent: 100,
+        monthProjected: 300,
+        monthlyRate: 250,
+        daysAfterMonth: 365.25 / 6,
+        upcomingRecurring: 40,
+      })).toBe(1740);
+    });
+  });
+});
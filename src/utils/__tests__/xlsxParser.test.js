@@ -0,0 +1,186 @@
+import * as XLSX from 'xlsx';
+import {
+  parseXLSX,
+  inspectSpreadsheet,
+  isSpreadsheetContent,
+  hasRequiredColumns,
+  excelSerialToDate,
+  parseSpreadsheetAmount,
+  getFormatCurrency,
+} from '../xlsxParser';
+
+/**
+ * Build workbook bytes from { sheetName: rows } with optional cell formats
+ */
+function buildWorkbook(sheets, { formats = {}, bookType = 'xlsx', date1904 = false } = {}) {
+  const workbook = XLSX.utils.book_new();
+
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    Object.entries(formats[name] || {}).forEach(([address, format]) => {
+      sheet[address].z = format;
+    });
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+
+  if (date1904) {
+    workbook.Workbook = { WBProps: { date1904: true } };
+  }
+
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType }));
+}
+
+const STATEMENT_ROWS = [
+  ['Everyday Account export'],
+  ['Generated 2026-02-01'],
+  ['Date', 'Payee', 'Amount'],
+  [46036, 'GROCERY MART', -54.2],
+  [46037, 'COFFEE SHOP', '(3,50 €)'],
+  [46040, 'SALARY', '€2.500,00'],
+];
+
+const STATEMENT_FORMATS = {
+  Transactions: {
+    A4: 'yyyy-mm-dd',
+    A5: 'yyyy-mm-dd',
+    A6: 'yyyy-mm-dd',
+    C4: '[$€-407] #,##0.00',
+  },
+};
+
+describe('XLSX Parser', () => {
+  describe('excelSerialToDate', () => {
+    test('converts 1900 and 1904 serials to local dates', () => {
+      const date = excelSerialToDate(46036);
+      expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2026, 0, 14]);
+
+      const date1904 = excelSerialToDate(44574, true);
+      expect([date1904.getFullYear(), date1904.getMonth(), date1904.getDate()]).toEqual([2026, 0, 14]);
+    });
+
+    test('ignores the time of day and rejects non-serials', () => {
+      expect(excelSerialToDate(46036.75).getDate()).toBe(14);
+      expect(excelSerialToDate(0)).toBeNull();
+      expect(excelSerialToDate('46036')).toBeNull();
+    });
+  });
+
+  describe('parseSpreadsheetAmount', () => {
+    test('reads both decimal separators and negative notations', () => {
+      expect(parseSpreadsheetAmount('$1,234.56')).toEqual({ value: 1234.56, currency: 'USD' });
+      expect(parseSpreadsheetAmount('1.234,56 €')).toEqual({ value: 1234.56, currency: 'EUR' });
+      expect(parseSpreadsheetAmount('(45.00)')).toEqual({ value: -45, currency: null });
+      expect(parseSpreadsheetAmount('12,5-')).toEqual({ value: -12.5, currency: null });
+      expect(parseSpreadsheetAmount('n/a')).toBeNull();
+    });
+  });
+
+  describe('getFormatCurrency', () => {
+    test('reads quoted and locale-tagged symbols', () => {
+      expect(getFormatCurrency('"$"#,##0.00')).toBe('USD');
+      expect(getFormatCurrency('[$€-407] #,##0.00')).toBe('EUR');
+      expect(getFormatCurrency('#,##0.00\\ [$GBP]')).toBe('GBP');
+      expect(getFormatCurrency('0.00')).toBeNull();
+    });
+  });
+
+  describe('inspectSpreadsheet', () => {
+    test('lists sheets and detects the header row below title rows', () => {
+      const content = buildWorkbook({ Summary: [], Transactions: STATEMENT_ROWS }, { formats: STATEMENT_FORMATS });
+
+      const info = inspectSpreadsheet(content);
+
+      expect(info.sheetNames).toEqual(['Summary', 'Transactions']);
+      expect(info.sheetName).toBe('Transactions');
+      expect(info.headerIndex).toBe(2);
+      expect(info.headers).toEqual(['Date', 'Payee', 'Amount']);
+      expect(info.columnMapping).toEqual(
+        expect.objectContaining({ date: 0, description: -1, amount: 2, debit: -1, credit: -1 })
+      );
+    });
+
+    test('names columns by letter when the sheet has no header row', () => {
+      const content = buildWorkbook({ Sheet1: [['2026-01-14', 'CAFE', 12.5]] });
+
+      const info = inspectSpreadsheet(content);
+
+      expect(info.headers).toEqual(['A', 'B', 'C']);
+      expect(info.headerIndex).toBe(0);
+    });
+  });
+
+  describe('parseXLSX', () => {
+    test('parses serial dates and formatted currency cells with a column mapping', async () => {
+      const content = buildWorkbook({ Transactions: STATEMENT_ROWS }, { formats: STATEMENT_FORMATS });
+
+      const result = await parseXLSX(content, {
+        headerIndex: 2,
+        columnMapping: { date: 0, description: 1, amount: 2 },
+      });
+
+      expect(result.transactions).toHaveLength(3);
+      const [grocery, coffee, salary] = result.transactions;
+
+      expect(grocery.date.getFullYear()).toBe(2026);
+      expect(grocery.date.getMonth()).toBe(0);
+      expect(grocery.date.getDate()).toBe(14);
+      expect(grocery).toEqual(expect.objectContaining({ description: 'GROCERY MART', amount: 54.2, type: 'credit', currency: 'EUR' }));
+      expect(coffee).toEqual(expect.objectContaining({ amount: 3.5, currency: 'EUR' }));
+      expect(salary).toEqual(expect.objectContaining({ amount: 2500, type: 'debit' }));
+      expect(result.metadata).toEqual(
+        expect.objectContaining({ format: 'xlsx', sheetName: 'Transactions', transactionIdCount: 0 })
+      );
+    });
+
+    test('asks for a mapping when the columns cannot be detected', async () => {
+      const content = buildWorkbook({ Transactions: STATEMENT_ROWS }, { formats: STATEMENT_FORMATS });
+
+      await expect(parseXLSX(content)).rejects.toThrow('Choose which column holds each field');
+    });
+
+    test('reads legacy XLS workbooks using the 1904 date system', async () => {
+      const content = buildWorkbook(
+        { Report: [['Date', 'Description', 'Debit', 'Credit'], [44574, 'TAXI', 18, ''], [44575, 'REFUND', '', 20]] },
+        { bookType: 'biff8', date1904: true, formats: { Report: { A2: 'dd/mm/yyyy', A3: 'dd/mm/yyyy' } } }
+      );
+
+      const result = await parseXLSX(content);
+
+      expect(result.transactions.map(t => [t.date.getDate(), t.description, t.amount, t.type])).toEqual([
+        [14, 'TAXI', 18, 'debit'],
+        [15, 'REFUND', 20, 'credit'],
+      ]);
+    });
+
+    test('treats unformatted numbers in the date column as serials', async () => {
+      const content = buildWorkbook({ Sheet1: [['Date', 'Description', 'Amount'], [46036, 'CAFE', 4]] });
+
+      const result = await parseXLSX(content);
+
+      expect(result.transactions[0].date.getDate()).toBe(14);
+    });
+
+    test('rejects unknown sheets', async () => {
+      const content = buildWorkbook({ Sheet1: [['Date', 'Description', 'Amount']] });
+
+      await expect(parseXLSX(content, { sheetName: 'Missing' })).rejects.toThrow('was not found');
+    });
+  });
+
+  describe('hasRequiredColumns', () => {
+    test('needs a date, a description and at least one amount column', () => {
+      expect(hasRequiredColumns({ date: 0, description: 1, amount: 2 })).toBe(true);
+      expect(hasRequiredColumns({ date: 0, description: 1, amount: -1, credit: 3 })).toBe(true);
+      expect(hasRequiredColumns({ date: 0, description: -1, amount: 2 })).toBe(false);
+      expect(hasRequiredColumns(null)).toBe(false);
+    });
+  });
+
+  describe('isSpreadsheetContent', () => {
+    test('recognises XLSX and XLS bytes', () => {
+      expect(isSpreadsheetContent(buildWorkbook({ Sheet1: [['a']] }))).toBe(true);
+      expect(isSpreadsheetContent(buildWorkbook({ Sheet1: [['a']] }, { bookType: 'biff8' }))).toBe(true);
+      expect(isSpreadsheetContent('Date,Description,Amount')).toBe(false);
+    });
+  });
+});
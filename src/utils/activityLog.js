@@ -0,0 +1,152 @@
+// src/utils/activityLog.js
+// Helpers for the couple's activity log (see services/activityLogService.js)
+//
+// Creates and deletes keep the whole document, updates keep only the fields
+// that changed (before and after). Bookkeeping timestamps are ignored, so an
+// edit that changes nothing doesn't show up in the feed.
+
+export const ACTIVITY_ENTITIES = {
+  EXPENSE: 'expense',
+  CATEGORY: 'category',
+  BUDGET: 'budget',
+  SETTLEMENT: 'settlement',
+  SETTLEMENT_PLAN: 'settlementPlan',
+};
+
+export const ACTIVITY_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore', // Deleted expense brought back from the log
+  REVERSE: 'reverse', // Settlement undone
+  CANCEL: 'cancel', // Settlement plan cancelled
+};
+
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Fields shown in the feed without digging into before/after
+const SUMMARY_FIELDS = {
+  [ACTIVITY_ENTITIES.EXPENSE]: ['description', 'amount', 'currency', 'categoryKey'],
+  [ACTIVITY_ENTITIES.CATEGORY]: ['name', 'icon'],
+  [ACTIVITY_ENTITIES.BUDGET]: ['month', 'year'],
+  [ACTIVITY_ENTITIES.SETTLEMENT]: ['amount', 'settledBy'],
+  [ACTIVITY_ENTITIES.SETTLEMENT_PLAN]: ['totalAmount', 'instalmentCount'],
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Remove undefined values (Firestore rejects them), keeping Dates and Timestamps
+ * @param {*} value - Value to clean
+ * @returns {*} Cleaned copy
+ */
+export const stripUndefined = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripUndefined);
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.entries(value).reduce((result, [key, item]) => {
+    if (item !== undefined) {
+      result[key] = stripUndefined(item);
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Comparable form of a value: Dates and Timestamps become ISO strings
+ */
+const toComparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toComparable);
+  if (isPlainObject(value)) {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = toComparable(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Whether two field values are the same for logging purposes
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export const isSameValue = (a, b) => {
+  return JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+};
+
+/**
+ * Get the fields an update changes
+ * Only the fields being written are compared, so partial updates work.
+ * @param {Object} before - Document before the update
+ * @param {Object} after - Fields written by the update
+ * @returns {Object|null} { before, after } with the changed fields, or null if nothing changed
+ */
+export const getChangedFields = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+
+  Object.keys(after || {}).forEach((key) => {
+    if (IGNORED_FIELDS.includes(key) || isSameValue(before?.[key], after[key])) {
+      return;
+    }
+
+    changes.before[key] = before?.[key] ?? null;
+    changes.after[key] = after[key] ?? null;
+  });
+
+  return Object.keys(changes.after).length > 0 ? changes : null;
+};
+
+/**
+ * Build the summary shown for an entry in the activity feed
+ * @param {string} entityType - One of ACTIVITY_ENTITIES
+ * @param {Object} data - Document (or the part of it that is known)
+ * @returns {Object} Summary fields that have a value
+ */
+export const buildActivitySummary = (entityType, data) => {
+  const fields = SUMMARY_FIELDS[entityType] || [];
+
+  return fields.reduce((summary, field) => {
+    if (data?.[field] !== undefined && data?.[field] !== null) {
+      summary[field] = data[field];
+    }
+    return summary;
+  }, {});
+};
+
+/**
+ * Whether an entry records a deleted expense that can be restored
+ * @param {Object} entry - Activity log entry
+ * @returns {boolean}
+ */
+export const isRestorableEntry = (entry) => {
+  return entry?.entityType === ACTIVITY_ENTITIES.EXPENSE
+    && entry?.action === ACTIVITY_ACTIONS.DELETE
+    && isPlainObject(entry?.before);
+};
+
+/**
+ * Get the expense to re-create from a delete entry
+ * The receipt link is dropped because the trash purge may have removed the image.
+ * @param {Object} entry - Activity log entry of a deleted expense
+ * @returns {Object} Expense data without id, receipt or bookkeeping fields
+ */
+export const getRestoredExpenseData = (entry) => {
+  if (!isRestorableEntry(entry)) {
+    throw new Error('Only deleted expenses can be restored');
+  }
+
+  const { id, receiptUrl, updatedAt, ...expense } = entry.before;
+  return { ...expense, receiptUrl: null };
+};
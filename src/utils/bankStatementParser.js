@@ -1,6 +1,10 @@
 import { parseCSV } from './csvParser';
+import { detectBank, getBankCSVMapping, applyBankTemplate } from './bankTemplates';
 import { parsePDF, isPDF } from './pdfParser';
 import { parsePDFWeb } from './pdfParserWeb';
+import { parseOFX, isOFXContent } from './ofxParser';
+import { parseQIF, isQIFContent } from './qifParser';
+import { parseXLSX, inspectSpreadsheet as inspectSpreadsheetContent, isSpreadsheetContent } from './xlsxParser';
 import * as FileSystem from 'expo-file-system/legacy';
 import { Platform } from 'react-native';
 import { autoDetectAndDecode } from './encodingDetector';
@@ -11,6 +15,13 @@ import { Buffer } from 'buffer';
  * Detects file type and routes to appropriate parser
  */
 
+// OFX and QFX share a parser; QFX is Quicken's branded OFX.
+// XLSX and XLS share one too ('xlsx')
+const SUPPORTED_FILE_TYPES = ['csv', 'ofx', 'qif', 'pdf', 'xlsx'];
+
+// File types read as raw bytes rather than decoded text
+const BINARY_FILE_TYPES = ['pdf', 'xlsx'];
+
 /**
  * Detect file type from URI or content
  */
@@ -26,6 +37,18 @@ function detectFileType(uri, fileContent) {
     return 'pdf';
   }
 
+  if (extension === 'ofx' || extension === 'qfx') {
+    return 'ofx';
+  }
+
+  if (extension === 'qif') {
+    return 'qif';
+  }
+
+  if (extension === 'xlsx' || extension === 'xls') {
+    return 'xlsx';
+  }
+
   // Check content if extension is ambiguous
   if (fileContent) {
     // Check for PDF magic number
@@ -34,15 +57,27 @@ function detectFileType(uri, fileContent) {
       if (header.toString('utf-8') === '%PDF' || header.toString() === '%PDF') {
         return 'pdf';
       }
+
+      if (isSpreadsheetContent(fileContent)) {
+        return 'xlsx';
+      }
+    }
+
+    if (isOFXContent(fileContent)) {
+      return 'ofx';
+    }
+
+    if (isQIFContent(fileContent)) {
+      return 'qif';
     }
 
-    // If it's a string, assume CSV
+    // If it's any other string, assume CSV
     if (typeof fileContent === 'string') {
       return 'csv';
     }
   }
 
-  throw new Error('Unable to detect file type. Please ensure the file is a CSV or PDF.');
+  throw new Error('Unable to detect file type. Please ensure the file is a CSV, XLSX, XLS, OFX, QFX, QIF or PDF.');
 }
 
 /**
@@ -55,16 +90,16 @@ async function readFileContent(uri, fileType) {
       // On web, the URI might be a blob URL
       const response = await fetch(uri);
 
-      if (fileType === 'pdf') {
+      if (BINARY_FILE_TYPES.includes(fileType)) {
         const arrayBuffer = await response.arrayBuffer();
         return Buffer.from(arrayBuffer);
       } else {
-        // For CSV/text files, detect encoding and decode
+        // For CSV/OFX/QIF text files, detect encoding and decode
         const arrayBuffer = await response.arrayBuffer();
         const result = autoDetectAndDecode(arrayBuffer);
 
         if (result.isBinary) {
-          throw new Error('File appears to be binary, not a text CSV file');
+          throw new Error('File appears to be binary, not a text statement file');
         }
 
         console.log(`📄 Detected file encoding: ${result.encoding}`);
@@ -72,14 +107,14 @@ async function readFileContent(uri, fileType) {
       }
     } else {
       // On native platforms, use FileSystem
-      if (fileType === 'pdf') {
+      if (BINARY_FILE_TYPES.includes(fileType)) {
         // Read as base64 and convert to buffer
         const base64 = await FileSystem.readAsStringAsync(uri, {
           encoding: FileSystem.EncodingType.Base64,
         });
         return Buffer.from(base64, 'base64');
       } else {
-        // For CSV/text files, detect encoding and decode
+        // For CSV/OFX/QIF text files, detect encoding and decode
         const base64 = await FileSystem.readAsStringAsync(uri, {
           encoding: FileSystem.EncodingType.Base64,
         });
@@ -87,7 +122,7 @@ async function readFileContent(uri, fileType) {
         const result = autoDetectAndDecode(buffer);
 
         if (result.isBinary) {
-          throw new Error('File appears to be binary, not a text CSV file');
+          throw new Error('File appears to be binary, not a text statement file');
         }
 
         console.log(`📄 Detected file encoding: ${result.encoding}`);
@@ -104,7 +139,11 @@ async function readFileContent(uri, fileType) {
  *
  * @param {string} fileUri - URI of the file to parse
  * @param {Object} options - Parsing options
- * @param {string} options.fileType - Override auto-detection ('csv' or 'pdf')
+ * @param {string} options.fileType - Override auto-detection ('csv', 'ofx', 'qif', 'pdf' or 'xlsx')
+ * @param {string} options.sheetName - Spreadsheet sheet to import
+ * @param {number} options.headerIndex - Spreadsheet header row
+ * @param {Object} options.columnMapping - Spreadsheet column index per field
+ * @param {Array} options.customTemplates - The couple's bank templates, checked before the built-ins
  * @returns {Promise<Object>} Parsed result with transactions and metadata
  */
 export async function parseBankStatement(fileUri, options = {}) {
@@ -120,8 +159,8 @@ export async function parseBankStatement(fileUri, options = {}) {
     }
 
     // Validate file type
-    if (!['csv', 'pdf'].includes(fileType)) {
-      throw new Error(`Unsupported file type: ${fileType}. Only CSV and PDF files are supported.`);
+    if (!SUPPORTED_FILE_TYPES.includes(fileType)) {
+      throw new Error(`Unsupported file type: ${fileType}. Only CSV, XLSX, XLS, OFX, QFX, QIF and PDF files are supported.`);
     }
 
     // Read file content
@@ -131,11 +170,40 @@ export async function parseBankStatement(fileUri, options = {}) {
       throw new Error('File is empty or unreadable');
     }
 
+    // Some banks export OFX/QIF with a .txt or .csv name
+    if (fileType === 'csv') {
+      fileType = detectFileType('', fileContent);
+    }
+
     // Parse based on file type
     let result;
 
     if (fileType === 'csv') {
-      result = await parseCSV(fileContent);
+      const customTemplates = options.customTemplates || [];
+      // Match on the file name and the first lines only; transaction text
+      // ("PURCHASE", "DISCOVER CARD") would otherwise trigger false matches
+      const detectionSample = `${fileUri.split('/').pop()}\n${fileContent.split(/\r?\n/).slice(0, 10).join('\n')}`;
+      const bank = detectBank(detectionSample, customTemplates);
+
+      // Only the couple's own templates change how the file is read; built-in
+      // ones just label the result, as before
+      result = await parseCSV(fileContent, {
+        template: bank?.isCustom ? getBankCSVMapping(bank.key, customTemplates) : null,
+      });
+
+      if (bank) {
+        result = applyBankTemplate(result, bank.key, customTemplates);
+      }
+    } else if (fileType === 'ofx') {
+      result = await parseOFX(fileContent);
+    } else if (fileType === 'qif') {
+      result = await parseQIF(fileContent);
+    } else if (fileType === 'xlsx') {
+      result = await parseXLSX(fileContent, {
+        sheetName: options.sheetName,
+        headerIndex: options.headerIndex,
+        columnMapping: options.columnMapping,
+      });
     } else if (fileType === 'pdf') {
       // Use web-compatible parser on web, native parser on mobile
       if (Platform.OS === 'web') {
@@ -177,6 +245,25 @@ export async function parseBankStatement(fileUri, options = {}) {
   }
 }
 
+/**
+ * Describe a spreadsheet before parsing it
+ * Returns its sheet names plus the detected header row and column mapping
+ * for the chosen sheet, so the user can confirm them
+ *
+ * @param {string} fileUri - URI of the XLSX/XLS file
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Sheet to describe (defaults to the first sheet with data)
+ * @returns {Promise<Object>} Spreadsheet description
+ */
+export async function inspectSpreadsheet(fileUri, options = {}) {
+  if (!fileUri) {
+    throw new Error('File URI is required');
+  }
+
+  const fileContent = await readFileContent(fileUri, 'xlsx');
+  return inspectSpreadsheetContent(fileContent, options);
+}
+
 /**
  * Validate parsed transactions
  * Checks for data quality issues
@@ -257,6 +344,7 @@ export async function getFileInfo(fileUri) {
 
 export default {
   parseBankStatement,
+  inspectSpreadsheet,
   validateTransactions,
   getFileInfo,
 };
@@ -1,8 +1,31 @@
+import { Buffer } from 'buffer';
+
 /**
  * Bank-specific templates for improved parsing accuracy
  * Pre-configured column mappings and date formats for popular banks
+ *
+ * Couples can also save their own templates (see bankTemplateService). Those
+ * use the same `csv` shape plus a few extra settings, and are always checked
+ * before the built-in ones:
+ *   dateFormat        'auto', 'DD/MM/YYYY', 'MM/DD/YYYY' or 'YYYY-MM-DD'
+ *   decimalSeparator  '.' (1,234.56) or ',' (1.234,56)
+ *   amountSign        'negativeIsDebit' or 'negativeIsCredit' for a single amount column
+ *   skipHeaderRows    rows above the column headers
+ *   skipFooterRows    rows below the last transaction
  */
 
+export const TEMPLATE_DATE_FORMATS = ['auto', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+export const DECIMAL_SEPARATORS = ['.', ','];
+export const AMOUNT_SIGNS = ['negativeIsDebit', 'negativeIsCredit'];
+
+const MAX_TEMPLATE_NAME_LENGTH = 40;
+const MAX_SKIPPED_ROWS = 50;
+
+// Identifiers shorter than this match too many unrelated files
+const MIN_IDENTIFIER_LENGTH = 3;
+
+const SHARE_CODE_VERSION = 1;
+
 export const BANK_TEMPLATES = {
   // Chase Bank
   chase: {
@@ -205,17 +228,111 @@ export const BANK_TEMPLATES = {
   },
 };
 
+/**
+ * Check and clean a user-defined template
+ *
+ * @param {Object} template - { name, identifier, csv }
+ * @returns {Object} Normalised template
+ * @throws {Error} If a required setting is missing or invalid
+ */
+export function normalizeBankTemplate(template) {
+  const name = String(template?.name || '').trim();
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    throw new Error(`Template name must be ${MAX_TEMPLATE_NAME_LENGTH} characters or less`);
+  }
+
+  const rawIdentifiers = Array.isArray(template.identifier)
+    ? template.identifier
+    : String(template.identifier || '').split(',');
+  const identifier = [...new Set(
+    rawIdentifiers
+      .map(value => String(value || '').toLowerCase().trim())
+      .filter(value => value.length >= MIN_IDENTIFIER_LENGTH)
+  )];
+  if (identifier.length === 0) {
+    throw new Error(`Add at least one identifier of ${MIN_IDENTIFIER_LENGTH} or more characters`);
+  }
+
+  const csv = template.csv || {};
+  const column = (value) => {
+    const trimmed = String(value || '').trim();
+    return trimmed || null;
+  };
+
+  const normalized = {
+    dateColumn: column(csv.dateColumn),
+    descriptionColumn: column(csv.descriptionColumn),
+    amountColumn: column(csv.amountColumn),
+    debitColumn: column(csv.debitColumn),
+    creditColumn: column(csv.creditColumn),
+    balanceColumn: column(csv.balanceColumn),
+    dateFormat: csv.dateFormat || 'auto',
+    decimalSeparator: csv.decimalSeparator || '.',
+    amountSign: csv.amountSign || 'negativeIsDebit',
+    skipHeaderRows: parseInt(csv.skipHeaderRows, 10) || 0,
+    skipFooterRows: parseInt(csv.skipFooterRows, 10) || 0,
+  };
+
+  if (!normalized.dateColumn || !normalized.descriptionColumn) {
+    throw new Error('Date and description columns are required');
+  }
+  if (!normalized.amountColumn && !normalized.debitColumn && !normalized.creditColumn) {
+    throw new Error('Set an amount column or debit/credit columns');
+  }
+  if (!TEMPLATE_DATE_FORMATS.includes(normalized.dateFormat)) {
+    throw new Error(`Unsupported date format: ${normalized.dateFormat}`);
+  }
+  if (!DECIMAL_SEPARATORS.includes(normalized.decimalSeparator)) {
+    throw new Error(`Unsupported decimal separator: ${normalized.decimalSeparator}`);
+  }
+  if (!AMOUNT_SIGNS.includes(normalized.amountSign)) {
+    throw new Error(`Unsupported sign convention: ${normalized.amountSign}`);
+  }
+  if ([normalized.skipHeaderRows, normalized.skipFooterRows].some(rows => rows < 0 || rows > MAX_SKIPPED_ROWS)) {
+    throw new Error(`Rows to skip must be between 0 and ${MAX_SKIPPED_ROWS}`);
+  }
+
+  return { name, identifier, csv: normalized };
+}
+
+/**
+ * Find a template by key, checking the couple's own templates first
+ *
+ * @param {string} bankKey - Template key
+ * @param {Array} customTemplates - The couple's templates ({ key, name, identifier, csv })
+ * @returns {Object|null} Template
+ */
+function findTemplate(bankKey, customTemplates = []) {
+  const custom = customTemplates.find(template => template.key === bankKey);
+  if (custom) {
+    return { ...custom, isCustom: true };
+  }
+  return BANK_TEMPLATES[bankKey] || null;
+}
+
 /**
  * Detect bank from file content or filename
  *
  * @param {string} content - File content or filename
+ * @param {Array} customTemplates - The couple's own templates, checked before the built-ins
  * @returns {Object|null} Bank template if detected
  */
-export function detectBank(content) {
+export function detectBank(content, customTemplates = []) {
   if (!content) return null;
 
   const lowerContent = content.toLowerCase();
 
+  for (const template of customTemplates) {
+    for (const identifier of template.identifier || []) {
+      if (lowerContent.includes(identifier)) {
+        return { ...template, isCustom: true };
+      }
+    }
+  }
+
   for (const [key, template] of Object.entries(BANK_TEMPLATES)) {
     for (const identifier of template.identifier) {
       if (lowerContent.includes(identifier)) {
@@ -231,10 +348,11 @@ export function detectBank(content) {
  * Get CSV column mapping for detected bank
  *
  * @param {string} bankKey - Bank template key
+ * @param {Array} customTemplates - The couple's own templates
  * @returns {Object} Column mapping
  */
-export function getBankCSVMapping(bankKey) {
-  const template = BANK_TEMPLATES[bankKey];
+export function getBankCSVMapping(bankKey, customTemplates = []) {
+  const template = findTemplate(bankKey, customTemplates);
   return template ? template.csv : null;
 }
 
@@ -246,7 +364,7 @@ export function getBankCSVMapping(bankKey) {
  */
 export function getBankPDFPatterns(bankKey) {
   const template = BANK_TEMPLATES[bankKey];
-  return template ? template.pdf.patterns : null;
+  return template?.pdf ? template.pdf.patterns : null;
 }
 
 /**
@@ -254,10 +372,11 @@ export function getBankPDFPatterns(bankKey) {
  *
  * @param {Object} parsedData - Parsed transaction data
  * @param {string} bankKey - Bank template key
+ * @param {Array} customTemplates - The couple's own templates
  * @returns {Object} Enhanced parsed data with bank-specific optimizations
  */
-export function applyBankTemplate(parsedData, bankKey) {
-  const template = BANK_TEMPLATES[bankKey];
+export function applyBankTemplate(parsedData, bankKey, customTemplates = []) {
+  const template = findTemplate(bankKey, customTemplates);
 
   if (!template) {
     return parsedData;
@@ -269,15 +388,53 @@ export function applyBankTemplate(parsedData, bankKey) {
     detectedBank: template.name,
     bankKey,
     templateApplied: true,
+    customTemplate: Boolean(template.isCustom),
   };
 
   return parsedData;
 }
 
+/**
+ * Encode a template as a code that can be pasted into another couple's app
+ *
+ * @param {Object} template - Template with name, identifier and csv
+ * @returns {string} Base64 share code
+ */
+export function encodeTemplateShareCode(template) {
+  const { name, identifier, csv } = normalizeBankTemplate(template);
+  const payload = JSON.stringify({ v: SHARE_CODE_VERSION, name, identifier, csv });
+  return Buffer.from(payload, 'utf-8').toString('base64');
+}
+
+/**
+ * Decode a share code back into a template
+ *
+ * @param {string} code - Code from encodeTemplateShareCode
+ * @returns {Object} Normalised template
+ * @throws {Error} If the code is not a valid template
+ */
+export function decodeTemplateShareCode(code) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(code || '').trim(), 'base64').toString('utf-8'));
+  } catch (error) {
+    throw new Error('This is not a valid template code');
+  }
+
+  if (!payload || payload.v !== SHARE_CODE_VERSION) {
+    throw new Error('This is not a valid template code');
+  }
+
+  return normalizeBankTemplate(payload);
+}
+
 export default {
   BANK_TEMPLATES,
   detectBank,
   getBankCSVMapping,
   getBankPDFPatterns,
   applyBankTemplate,
+  normalizeBankTemplate,
+  encodeTemplateShareCode,
+  decodeTemplateShareCode,
 };
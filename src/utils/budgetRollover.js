@@ -0,0 +1,148 @@
+// src/utils/budgetRollover.js
+// Per-category budget rollover math
+//
+// A category's rollover settings live on the category document
+// (`rollover: { mode, cap }`). When a month's budget is initialised, the
+// previous month's leftover (effective budget minus spending) is carried
+// according to the mode and stored as `categoryRollovers` on the new budget,
+// next to the unchanged base `categoryBudgets`.
+
+export const ROLLOVER_MODES = {
+  NONE: 'none',
+  SURPLUS: 'surplus', // Carry unspent money forward
+  DEFICIT: 'deficit', // Take overspending out of next month
+  BOTH: 'both',
+};
+
+const VALID_MODES = Object.values(ROLLOVER_MODES);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a category's rollover settings
+ * @param {Object} rollover - Stored settings ({ mode, cap })
+ * @returns {Object} { mode, cap } with cap a positive number or null (no cap)
+ */
+export const normalizeRolloverSettings = (rollover) => {
+  const mode = VALID_MODES.includes(rollover?.mode) ? rollover.mode : ROLLOVER_MODES.NONE;
+  const cap = parseFloat(rollover?.cap);
+
+  return {
+    mode,
+    cap: mode !== ROLLOVER_MODES.NONE && cap > 0 ? cap : null,
+  };
+};
+
+/**
+ * Whether a category carries anything between months
+ * @param {Object} category - Category object
+ * @returns {boolean}
+ */
+export const hasRollover = (category) => {
+  return normalizeRolloverSettings(category?.rollover).mode !== ROLLOVER_MODES.NONE;
+};
+
+/**
+ * Get the month before a given month
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year
+ * @returns {Object} { month, year }
+ */
+export const getPreviousMonth = (month, year) => {
+  return month === 1 ? { month: 12, year: year - 1 } : { month: month - 1, year };
+};
+
+/**
+ * Get the rollover stored on a budget for a category
+ * @param {Object} budget - Budget document
+ * @param {string} key - Category key
+ * @returns {number} Positive for carried surplus, negative for carried deficit
+ */
+export const getCategoryRollover = (budget, key) => {
+  return budget?.categoryRollovers?.[key] || 0;
+};
+
+/**
+ * Get a category's budget for the month including its rollover
+ * A carried deficit never takes the budget below zero.
+ * @param {Object} budget - Budget document
+ * @param {string} key - Category key
+ * @returns {number}
+ */
+export const getEffectiveCategoryBudget = (budget, key) => {
+  const base = budget?.categoryBudgets?.[key] || 0;
+  return Math.max(0, base + getCategoryRollover(budget, key));
+};
+
+/**
+ * Get a budget's total including rollovers
+ * @param {Object} budget - Budget document
+ * @returns {number}
+ */
+export const getEffectiveTotalBudget = (budget) => {
+  if (!budget || !budget.categoryBudgets) {
+    return 0;
+  }
+
+  return Object.keys(budget.categoryBudgets)
+    .reduce((sum, key) => sum + getEffectiveCategoryBudget(budget, key), 0);
+};
+
+/**
+ * Calculate the amount one category carries into the next month
+ * @param {Object} rollover - Category rollover settings ({ mode, cap })
+ * @param {number} budgetAmount - Last month's effective budget
+ * @param {number} spent - Last month's spending
+ * @returns {number} Positive surplus, negative deficit, or 0
+ */
+export const calculateCategoryRollover = (rollover, budgetAmount, spent) => {
+  const { mode, cap } = normalizeRolloverSettings(rollover);
+  const leftover = (budgetAmount || 0) - (spent || 0);
+
+  let carried = 0;
+  if (leftover > 0 && (mode === ROLLOVER_MODES.SURPLUS || mode === ROLLOVER_MODES.BOTH)) {
+    carried = leftover;
+  } else if (leftover < 0 && (mode === ROLLOVER_MODES.DEFICIT || mode === ROLLOVER_MODES.BOTH)) {
+    carried = leftover;
+  }
+
+  if (cap !== null && Math.abs(carried) > cap) {
+    carried = Math.sign(carried) * cap;
+  }
+
+  return roundAmount(carried) || 0;
+};
+
+/**
+ * Calculate every category's rollover into a new month
+ * Only categories that were budgeted last month and opted in carry anything.
+ * @param {Object} categories - Categories object (with `rollover` settings)
+ * @param {Object} previousBudget - Last month's budget document
+ * @param {Object} previousSpending - Last month's spending by category
+ * @returns {Object} { categoryKey: amount } for non-zero rollovers
+ */
+export const calculateRollovers = (categories, previousBudget, previousSpending = {}) => {
+  const rollovers = {};
+
+  if (!previousBudget || !previousBudget.categoryBudgets) {
+    return rollovers;
+  }
+
+  Object.entries(categories || {}).forEach(([key, category]) => {
+    if (!hasRollover(category) || previousBudget.categoryBudgets[key] === undefined) {
+      return;
+    }
+
+    const amount = calculateCategoryRollover(
+      category.rollover,
+      getEffectiveCategoryBudget(previousBudget, key),
+      previousSpending[key] || 0
+    );
+
+    if (amount !== 0) {
+      rollovers[key] = amount;
+    }
+  });
+
+  return rollovers;
+};
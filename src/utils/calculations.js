@@ -1,6 +1,8 @@
 // src/utils/calculations.js
 // Balance and expense calculation utilities for Dividela
 
+import { DEFAULT_CURRENCY, getCurrencyDecimals } from '../constants/currencies';
+
 /**
  * Calculate split amounts based on total and percentages
  * @param {number|string} amount - Total amount to split
@@ -184,6 +186,11 @@ export const calculateBalanceWithSettlements = (expenses, settlements, user1Id,
 
     const { settledBy, amount, coupleId: settlementCoupleId } = settlement;
 
+    // Reversed settlements stay on record but no longer move the balance
+    if (settlement.reversalId) {
+      return;
+    }
+
     // SECURITY: Validate settlement belongs to correct couple
     if (coupleId && settlementCoupleId && settlementCoupleId !== coupleId) {
       console.warn('calculateBalanceWithSettlements: skipping settlement from different couple', {
@@ -419,10 +426,50 @@ export const formatDate = (date) => {
 };
 
 /**
- * Round to 2 decimal places (for currency)
+ * Round to the currency's decimals (2 for USD, 0 for JPY, 3 for KWD)
+ * @param {number} amount - Amount to round
+ * @param {string} currency - Currency code
+ * @returns {number} Rounded amount
+ */
+export const roundCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Get who pays to settle a balance
+ * Positive balance = user2 owes user1, so user2 pays
+ *
+ * @param {number} balance - Balance from calculateBalanceWithSettlements
+ * @param {string} user1Id - First user's ID
+ * @param {string} user2Id - Second user's ID
+ * @returns {string} ID of the paying user
  */
-export const roundCurrency = (amount) => {
-  return Math.round(amount * 100) / 100;
+export const getSettlementPayer = (balance, user1Id, user2Id) => {
+  return balance > 0 ? user2Id : user1Id;
+};
+
+/**
+ * Apply a payment to an outstanding balance
+ * A partial payment leaves expenses unsettled; the remainder stays in the
+ * balance because calculateBalanceWithSettlements counts every payment.
+ *
+ * @param {number} balance - Outstanding balance (sign ignored)
+ * @param {number} paymentAmount - Amount being paid
+ * @param {string} currency - Currency of the balance
+ * @returns {object} { outstanding, amount, remainingBalance, isPartial }
+ */
+export const calculatePartialSettlement = (balance, paymentAmount, currency = DEFAULT_CURRENCY) => {
+  const outstanding = roundCurrency(Math.abs(balance), currency);
+  const amount = roundCurrency(paymentAmount, currency);
+  const remainingBalance = Math.max(0, roundCurrency(outstanding - amount, currency));
+
+  return {
+    outstanding,
+    amount,
+    remainingBalance,
+    isPartial: remainingBalance > 0,
+  };
 };
 
 /**
@@ -523,6 +570,8 @@ export default {
   groupExpensesByDate,
   formatDate,
   roundCurrency,
+  getSettlementPayer,
+  calculatePartialSettlement,
   validateSettlement,
   isSettlementValid,
 };
@@ -0,0 +1,69 @@
+/**
+ * Content Hash Utility
+ *
+ * Fast, non-cryptographic hashing of file contents, used to detect identical
+ * uploads (e.g. the same receipt photo picked twice). Two 32-bit lanes are
+ * combined into a 53-bit value and prefixed with the content length, so a
+ * collision requires equal length and equal hash.
+ */
+
+/**
+ * Hash bytes or a string into a stable hex key
+ *
+ * @param {Uint8Array|string} content - Raw bytes or string content
+ * @returns {string} Hash key in the form `{lengthHex}-{hashHex}`
+ */
+export function hashContent(content) {
+  if (content === null || content === undefined) {
+    throw new Error('Content is required');
+  }
+
+  const isString = typeof content === 'string';
+  const length = content.length;
+
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < length; i++) {
+    const value = isString ? content.charCodeAt(i) : content[i];
+    h1 = Math.imul(h1 ^ value, 2654435761);
+    h2 = Math.imul(h2 ^ value, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+
+  return `${length.toString(16)}-${hash.toString(16).padStart(14, '0')}`;
+}
+
+/**
+ * Read a Blob and hash its contents
+ * Falls back to a data URL read where Blob.arrayBuffer is unavailable (React Native)
+ *
+ * @param {Blob} blob - Blob to hash
+ * @returns {Promise<string>} Hash key
+ */
+export async function hashBlob(blob) {
+  if (!blob) {
+    throw new Error('Blob is required');
+  }
+
+  if (typeof blob.arrayBuffer === 'function') {
+    const buffer = await blob.arrayBuffer();
+    return hashContent(new Uint8Array(buffer));
+  }
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read blob'));
+    reader.readAsDataURL(blob);
+  });
+
+  // Strip the "data:<mime>;base64," prefix so the MIME type doesn't affect the hash
+  return hashContent(String(dataUrl).replace(/^data:[^,]*,/, ''));
+}
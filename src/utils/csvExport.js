@@ -31,9 +31,10 @@ const escapeCSVField = (field) => {
  * @param {Object} userDetails - Current user details
  * @param {Object} partnerDetails - Partner details
  * @param {Object} categories - Categories object from BudgetContext
+ * @param {Object} tags - Tags object from BudgetContext
  * @returns {Array} Array of CSV field values
  */
-export const formatExpenseForCSV = (expense, userDetails, partnerDetails, categories = {}) => {
+export const formatExpenseForCSV = (expense, userDetails, partnerDetails, categories = {}, tags = {}) => {
   const date = expense.date ? new Date(expense.date).toLocaleDateString() : '';
   const description = expense.description || '';
   const categoryKey = expense.category || expense.categoryKey || 'other';
@@ -62,6 +63,12 @@ export const formatExpenseForCSV = (expense, userDetails, partnerDetails, catego
     ? new Date(expense.settledAt.toDate ? expense.settledAt.toDate() : expense.settledAt).toLocaleDateString()
     : '';
 
+  // Tags deleted since the expense was tagged are skipped
+  const tagNames = (expense.tags || [])
+    .map(tag => tags[tag]?.name)
+    .filter(Boolean)
+    .join('; ');
+
   return [
     date,
     description,
@@ -72,6 +79,8 @@ export const formatExpenseForCSV = (expense, userDetails, partnerDetails, catego
     partnerShare,
     settlementStatus,
     settledDate,
+    tagNames,
+    expense.notes || '',
   ];
 };
 
@@ -81,9 +90,10 @@ export const formatExpenseForCSV = (expense, userDetails, partnerDetails, catego
  * @param {Object} userDetails - Current user details
  * @param {Object} partnerDetails - Partner details
  * @param {Object} categories - Categories object from BudgetContext
+ * @param {Object} tags - Tags object from BudgetContext
  * @returns {string} CSV formatted string
  */
-export const exportExpensesToCSV = (expenses, userDetails, partnerDetails, categories = {}) => {
+export const exportExpensesToCSV = (expenses, userDetails, partnerDetails, categories = {}, tags = {}) => {
   // CSV Header
   const headers = [
     'Date',
@@ -95,6 +105,8 @@ export const exportExpensesToCSV = (expenses, userDetails, partnerDetails, categ
     'Partner Share',
     'Settlement Status',
     'Settled Date',
+    'Tags',
+    'Notes',
   ];
 
   // Convert header to CSV row
@@ -102,7 +114,7 @@ export const exportExpensesToCSV = (expenses, userDetails, partnerDetails, categ
 
   // Convert expenses to CSV rows
   const dataRows = expenses.map(expense => {
-    const fields = formatExpenseForCSV(expense, userDetails, partnerDetails, categories);
+    const fields = formatExpenseForCSV(expense, userDetails, partnerDetails, categories, tags);
     return fields.map(escapeCSVField).join(',');
   });
 
@@ -218,13 +230,13 @@ export const downloadCSV = async (csvData, filename) => {
  * @param {Object} userDetails - Current user details
  * @param {Object} partnerDetails - Partner details
  * @param {Object} categories - Categories object from BudgetContext
- * @param {Object} options - Export options
+ * @param {Object} options - Export options ({ startDate, endDate, tags })
  * @returns {Promise} Resolves when export completes
  */
 export const exportExpenses = async (expenses, userDetails, partnerDetails, categories = {}, options = {}) => {
   try {
     // Generate CSV content
-    const csvData = exportExpensesToCSV(expenses, userDetails, partnerDetails, categories);
+    const csvData = exportExpensesToCSV(expenses, userDetails, partnerDetails, categories, options.tags);
 
     // Generate filename
     const filename = generateCSVFilename(options.startDate, options.endDate);
@@ -14,6 +14,7 @@ const DATE_FORMATS = [
   /^\d{2}-\d{2}-\d{4}$/, // DD-MM-YYYY or MM-DD-YYYY
   /^\d{1,2}\/\d{1,2}\/\d{2,4}$/, // M/D/YY or M/D/YYYY
   /^\d{1,2}-[a-z]{3}-\d{4}$/i, // DD-mon-YYYY (Spanish: 18-ene-2026)
+  /^\d{1,2}\.\d{1,2}\.\d{4}$/, // DD.MM.YYYY (German, Swiss)
 ];
 
 /**
@@ -71,6 +72,8 @@ const COLUMN_MAPPINGS = {
  * Detect if a string matches a date format
  */
 function isDateFormat(value) {
+  // Spreadsheet cells arrive as Date objects
+  if (value instanceof Date) return !isNaN(value.getTime());
   if (!value || typeof value !== 'string') return false;
   return DATE_FORMATS.some(regex => regex.test(value.trim()));
 }
@@ -84,6 +87,9 @@ function isDateFormat(value) {
  */
 function parseDate(dateString, preferredFormat = 'auto') {
   if (!dateString) return null;
+  if (dateString instanceof Date) {
+    return isNaN(dateString.getTime()) ? null : dateString;
+  }
 
   const cleaned = dateString.trim();
 
@@ -160,6 +166,14 @@ function parseDate(dateString, preferredFormat = 'auto') {
     return null;
   }
 
+  // Try DD.MM.YYYY (dotted dates are day-first unless the user says otherwise)
+  if (/^\d{1,2}\.\d{1,2}\.\d{4}$/.test(cleaned)) {
+    const [first, second, year] = cleaned.split('.').map(part => parseInt(part));
+    const [month, day] = preferredFormat === 'MM/DD/YYYY' ? [first, second] : [second, first];
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
   // Try DD-mon-YYYY format with Spanish month abbreviations (e.g., 18-ene-2026)
   if (/^\d{1,2}-[a-z]{3}-\d{4}$/i.test(cleaned)) {
     const [day, monthStr, year] = cleaned.split('-');
@@ -295,7 +309,7 @@ function detectHeaderRow(rows) {
     const row = rows[i];
     if (!Array.isArray(row)) continue;
 
-    const normalizedRow = row.map(cell => (cell || '').toLowerCase().trim());
+    const normalizedRow = row.map(cell => String(cell || '').toLowerCase().trim());
 
     // Skip rows that look like account summary headers
     if (isAccountSummaryHeader(normalizedRow)) {
@@ -363,7 +377,7 @@ function removeFooterRows(rows, headerIndex) {
 
   for (let i = dataRows.length - 1; i >= 0; i--) {
     const row = dataRows[i];
-    if (!Array.isArray(row) || row.every(cell => !cell || cell.trim() === '')) {
+    if (!Array.isArray(row) || row.every(cell => !cell || String(cell).trim() === '')) {
       lastValidIndex = i - 1;
       continue;
     }
@@ -390,16 +404,62 @@ function stripBOM(content) {
   return content;
 }
 
+/**
+ * Turn a bank template's CSV settings into processCSVData options
+ * Template columns are header names, matched case-insensitively. A named
+ * column missing from the file falls back to auto-detection; an amount,
+ * debit, credit or balance column set to null is not used.
+ *
+ * @param {Array} rows - Parsed CSV rows
+ * @param {Object} csvTemplate - Template `csv` settings
+ * @returns {Object} Options for processCSVData
+ */
+function getTemplateOptions(rows, csvTemplate) {
+  if (!csvTemplate) return {};
+
+  const hasSkipRows = Number.isInteger(csvTemplate.skipHeaderRows);
+  const headerIndex = hasSkipRows ? csvTemplate.skipHeaderRows : detectHeaderRow(rows).index;
+  const headers = (rows[headerIndex] || []).map(h => String(h || '').toLowerCase().trim());
+
+  const columnMapping = {};
+  Object.keys(COLUMN_MAPPINGS).forEach((columnType) => {
+    const columnName = csvTemplate[`${columnType}Column`];
+
+    if (columnName) {
+      const index = headers.indexOf(String(columnName).toLowerCase().trim());
+      if (index !== -1) columnMapping[columnType] = index;
+    } else if (columnName === null && !['date', 'description'].includes(columnType)) {
+      columnMapping[columnType] = -1;
+    }
+  });
+
+  return {
+    headerIndex: hasSkipRows ? headerIndex : undefined,
+    columnMapping,
+    skipFooterRows: csvTemplate.skipFooterRows || 0,
+    decimalSeparator: csvTemplate.decimalSeparator || '.',
+    amountSign: csvTemplate.amountSign || 'negativeIsCredit',
+  };
+}
+
 /**
  * Parse CSV file content
  *
  * @param {string} fileContent - CSV file content as string
  * @param {Object} options - Parsing options
  * @param {string} options.dateFormat - Preferred date format ('auto', 'MM/DD/YYYY', 'DD/MM/YYYY')
+ * @param {Object} options.template - Bank template `csv` settings (see bankTemplates)
  * @returns {Promise<Object>} Parsed transactions and metadata
  */
 export async function parseCSV(fileContent, options = {}) {
-  const { dateFormat = 'auto' } = options;
+  const { dateFormat = 'auto', template = null } = options;
+
+  // A bank template's settings win over auto-detection
+  const processRows = (rows) => processCSVData(
+    rows,
+    template?.dateFormat && template.dateFormat !== 'auto' ? template.dateFormat : dateFormat,
+    getTemplateOptions(rows, template)
+  );
 
   return new Promise((resolve, reject) => {
     // Strip BOM if present (common in Excel-exported CSVs)
@@ -429,7 +489,7 @@ export async function parseCSV(fileContent, options = {}) {
                   escapeChar: '"',
                 });
                 if (retryResult.data.length > 0) {
-                  return resolve(processCSVData(retryResult.data, dateFormat));
+                  return resolve(processRows(retryResult.data));
                 }
               } catch (e) {
                 continue;
@@ -441,7 +501,7 @@ export async function parseCSV(fileContent, options = {}) {
             return reject(new Error('CSV file is empty'));
           }
 
-          resolve(processCSVData(data, dateFormat));
+          resolve(processRows(data));
         } catch (error) {
           reject(error);
         }
@@ -460,15 +520,42 @@ export async function parseCSV(fileContent, options = {}) {
  *
  * @param {Array} rows - Parsed CSV rows
  * @param {string} dateFormat - Preferred date format
+ * @param {Object} options - Overrides chosen by the user (used by the spreadsheet import)
+ * @param {number} options.headerIndex - Header row index, skips header detection
+ * @param {Object} options.columnMapping - Column index per field (date, description, amount, debit, credit, balance); -1 or null means not used
+ * @param {number} options.skipFooterRows - Rows to drop from the end of the file
+ * @param {string} options.decimalSeparator - '.' (1,234.56) or ',' (1.234,56)
+ * @param {string} options.amountSign - 'negativeIsCredit' (default) or 'negativeIsDebit' for single amount columns
  * @returns {Object} Processed transactions and metadata
  */
-function processCSVData(rows, dateFormat = 'auto') {
+function processCSVData(rows, dateFormat = 'auto', options = {}) {
+  const {
+    headerIndex: knownHeaderIndex,
+    columnMapping,
+    skipFooterRows = 0,
+    decimalSeparator = '.',
+    amountSign = 'negativeIsCredit',
+  } = options;
+
+  if (skipFooterRows > 0 && rows) {
+    rows = rows.slice(0, Math.max(rows.length - skipFooterRows, 0));
+  }
+
   if (!rows || rows.length === 0) {
     throw new Error('No data found in CSV file');
   }
 
+  // With a decimal comma, dots group thousands ("1.234,56")
+  const readAmount = (value) => (
+    decimalSeparator === ','
+      ? parseAmount(String(value || '').replace(/\./g, '').replace(',', '.'))
+      : parseAmount(value)
+  );
+
   // Detect header row
-  const headerResult = detectHeaderRow(rows);
+  const headerResult = knownHeaderIndex !== undefined
+    ? { index: knownHeaderIndex, confidence: 'manual' }
+    : detectHeaderRow(rows);
   const headerIndex = headerResult.index;
 
   // Handle case where no header was detected
@@ -496,7 +583,7 @@ function processCSVData(rows, dateFormat = 'auto') {
   const headers = rows[headerIndex];
 
   // Additional validation: check for empty headers
-  if (!headers || headers.length === 0 || headers.every(h => !h || h.trim() === '')) {
+  if (!headers || headers.length === 0 || headers.every(h => !h || String(h).trim() === '')) {
     console.error('❌ All headers are empty');
     console.error('Header row:', headers);
     throw new Error('CSV file has empty header row. Please ensure the first row contains column names.');
@@ -509,13 +596,18 @@ function processCSVData(rows, dateFormat = 'auto') {
     throw new Error('No transaction data found in CSV file');
   }
 
-  // Find column indices
-  const dateIndex = findColumnIndex(headers, 'date');
-  const descriptionIndex = findColumnIndex(headers, 'description');
-  const amountIndex = findColumnIndex(headers, 'amount');
-  const debitIndex = findColumnIndex(headers, 'debit');
-  const creditIndex = findColumnIndex(headers, 'credit');
-  const balanceIndex = findColumnIndex(headers, 'balance');
+  // Find column indices (a user-chosen mapping wins over header names)
+  const resolveColumn = (columnType) => (
+    columnMapping && columnMapping[columnType] !== undefined
+      ? (columnMapping[columnType] ?? -1)
+      : findColumnIndex(headers, columnType)
+  );
+  const dateIndex = resolveColumn('date');
+  const descriptionIndex = resolveColumn('description');
+  const amountIndex = resolveColumn('amount');
+  const debitIndex = resolveColumn('debit');
+  const creditIndex = resolveColumn('credit');
+  const balanceIndex = resolveColumn('balance');
 
   // Log column mapping results
   console.log('📊 Column Mapping:');
@@ -601,26 +693,31 @@ function processCSVData(rows, dateFormat = 'auto') {
 
       if (amountIndex !== -1) {
         // Single amount column
-        const amountResult = parseAmount(row[amountIndex]);
+        const amountResult = readAmount(row[amountIndex]);
         if (!amountResult.isValid) {
           amountParseError = amountResult.error;
         } else {
           amount = amountResult.value;
-          type = amount < 0 ? 'credit' : 'debit';
+          if (amountSign === 'negativeIsDebit') {
+            type = amount < 0 ? 'debit' : 'credit';
+          } else {
+            type = amount < 0 ? 'credit' : 'debit';
+          }
           amount = Math.abs(amount);
           detectedCurrency = amountResult.currency;
         }
       } else {
         // Separate debit/credit columns
-        const debitResult = debitIndex !== -1 ? parseAmount(row[debitIndex]) : { value: 0, isValid: true, currency: null };
-        const creditResult = creditIndex !== -1 ? parseAmount(row[creditIndex]) : { value: 0, isValid: true, currency: null };
+        const debitResult = debitIndex !== -1 ? readAmount(row[debitIndex]) : { value: 0, isValid: true, currency: null };
+        const creditResult = creditIndex !== -1 ? readAmount(row[creditIndex]) : { value: 0, isValid: true, currency: null };
 
-        if (debitResult.value > 0) {
-          amount = debitResult.value;
+        // Some banks write debits as negative numbers in their own column
+        if (debitResult.value !== 0) {
+          amount = Math.abs(debitResult.value);
           type = 'debit';
           detectedCurrency = debitResult.currency;
-        } else if (creditResult.value > 0) {
-          amount = creditResult.value;
+        } else if (creditResult.value !== 0) {
+          amount = Math.abs(creditResult.value);
           type = 'credit';
           detectedCurrency = creditResult.currency;
         }
@@ -647,7 +744,7 @@ function processCSVData(rows, dateFormat = 'auto') {
       }
 
       // Parse balance (optional)
-      const balance = balanceIndex !== -1 ? parseAmount(row[balanceIndex]) : null;
+      const balance = balanceIndex !== -1 ? readAmount(row[balanceIndex]) : null;
 
       transactions.push({
         date,
@@ -735,7 +832,15 @@ function processCSVData(rows, dateFormat = 'auto') {
 }
 
 // Named exports for direct imports (parseCSV is already exported above)
-export { parseDate, parseAmount, detectCurrency };
+export {
+  parseDate,
+  parseAmount,
+  detectCurrency,
+  detectHeaderRow,
+  findColumnIndex,
+  processCSVData,
+  COLUMN_MAPPINGS,
+};
 
 // Default export for backward compatibility
 export default {
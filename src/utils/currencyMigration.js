@@ -1,5 +1,6 @@
 // src/utils/currencyMigration.js
-// Migration utilities for adding multi-currency support to existing data
+// Migration utilities for adding multi-currency support to existing data, and
+// for re-valuing a couple's data when their primary currency changes
 
 import {
   collection,
@@ -12,6 +13,9 @@ import {
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { DEFAULT_CURRENCY } from '../constants/currencies';
+import { roundCurrency } from './currencyUtils';
+import { toDateKey } from './recurrence';
+import { EXCHANGE_RATE_SOURCES } from '../services/exchangeRateService';
 
 /**
  * Migrate existing expenses to include currency fields
@@ -309,10 +313,336 @@ export const dryRunMigration = async (coupleId) => {
   return status;
 };
 
+// Status of a primary currency change (see services/currencyMigrationService.js)
+// A change moves running → completed or failed → rolling_back → rolled_back
+export const CURRENCY_MIGRATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  ROLLING_BACK: 'rolling_back',
+  ROLLED_BACK: 'rolled_back',
+};
+
+// Minutes without progress after which either partner can take over a running
+// change or undo (must match isChangingCurrency in firestore.rules)
+export const CURRENCY_MIGRATION_STALE_MINUTES = 30;
+
+// Collections re-valued when the primary currency changes, in write order
+export const CURRENCY_MIGRATION_COLLECTIONS = ['expenses', 'budgets', 'recurringExpenses', 'settlements'];
+
+// Field holding a document's values from before a primary currency change
+export const CURRENCY_MIGRATION_BACKUP_FIELD = 'currencyMigrationBackup';
+
+// Settlement amounts recorded in the primary currency
+const SETTLEMENT_AMOUNT_FIELDS = ['amount', 'balanceAtSettlement', 'remainingBalance', 'totalExpensesAmount'];
+
+const RATE_DECIMALS = 6;
+
+const roundRate = (rate) => Number(rate.toFixed(RATE_DECIMALS));
+
+/**
+ * Whether a migration record has had no progress for CURRENCY_MIGRATION_STALE_MINUTES
+ * @param {Object} migration - Migration record
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isCurrencyMigrationStale = (migration, now = new Date()) => {
+  const updatedAt = migration?.updatedAt?.toDate ? migration.updatedAt.toDate() : new Date(migration?.updatedAt);
+  if (isNaN(updatedAt.getTime())) {
+    return true;
+  }
+  return now - updatedAt > CURRENCY_MIGRATION_STALE_MINUTES * 60 * 1000;
+};
+
+/**
+ * Get the key of a rate in the rate table passed to revalueDocument
+ */
+export const getMigrationRateKey = (fromCurrency, dateKey) => `${fromCurrency}_${dateKey}`;
+
+/**
+ * Get the currency a document's amounts are currently recorded in
+ * @param {string} collectionName - One of CURRENCY_MIGRATION_COLLECTIONS
+ * @param {Object} data - Document data
+ * @param {string} fallbackCurrency - Primary currency for documents without currency fields
+ * @returns {string} Currency code
+ */
+export const getDocumentPrimaryCurrency = (collectionName, data, fallbackCurrency) => {
+  switch (collectionName) {
+    case 'expenses':
+      return data.primaryCurrency || fallbackCurrency;
+    case 'recurringExpenses':
+      return data.expenseTemplate?.primaryCurrency || fallbackCurrency;
+    default:
+      return data.currency || fallbackCurrency;
+  }
+};
+
+/**
+ * Get the day whose exchange rate re-values a document
+ * Expenses and settlements use their own date, budgets the first of their
+ * month and recurring series today's rate. Future days use today's rate.
+ * @param {string} collectionName - One of CURRENCY_MIGRATION_COLLECTIONS
+ * @param {Object} data - Document data
+ * @param {string} today - Today's date key
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+export const getMigrationRateDate = (collectionName, data, today) => {
+  let dateKey = null;
+  if (collectionName === 'expenses') {
+    dateKey = toDateKey(data.date || data.createdAt);
+  } else if (collectionName === 'settlements') {
+    dateKey = toDateKey(data.settledAt);
+  } else if (collectionName === 'budgets' && data.year && data.month) {
+    dateKey = `${data.year}-${String(data.month).padStart(2, '0')}-01`;
+  }
+
+  return dateKey && dateKey < today ? dateKey : today;
+};
+
+/**
+ * Whether a document still has to be re-valued into the target currency
+ * Documents already re-valued by this migration are skipped, which is what
+ * lets an interrupted migration resume.
+ * @param {string} collectionName - One of CURRENCY_MIGRATION_COLLECTIONS
+ * @param {Object} data - Document data
+ * @param {Object} options
+ * @param {string} options.fromCurrency - Previous primary currency
+ * @param {string} options.toCurrency - New primary currency
+ * @param {string} options.migrationId - Migration ID
+ * @returns {boolean}
+ */
+export const needsRevaluation = (collectionName, data, { fromCurrency, toCurrency, migrationId }) => {
+  if (data[CURRENCY_MIGRATION_BACKUP_FIELD]?.migrationId === migrationId) {
+    return false;
+  }
+  return getDocumentPrimaryCurrency(collectionName, data, fromCurrency) !== toCurrency;
+};
+
+/**
+ * Collect the exchange rates needed to re-value a couple's documents
+ * @param {Object} documents - { collectionName: [{ id, data }] }
+ * @param {Object} options - { fromCurrency, toCurrency, migrationId, today }
+ * @returns {Array} Unique [{ fromCurrency, dateKey }], sorted by day
+ */
+export const collectRateRequests = (documents, { fromCurrency, toCurrency, migrationId, today }) => {
+  const requests = new Map();
+
+  CURRENCY_MIGRATION_COLLECTIONS.forEach((collectionName) => {
+    (documents[collectionName] || []).forEach(({ data }) => {
+      if (!needsRevaluation(collectionName, data, { fromCurrency, toCurrency, migrationId })) {
+        return;
+      }
+
+      const source = getDocumentPrimaryCurrency(collectionName, data, fromCurrency);
+      const dateKey = getMigrationRateDate(collectionName, data, today);
+      requests.set(getMigrationRateKey(source, dateKey), { fromCurrency: source, dateKey });
+    });
+  });
+
+  return [...requests.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+};
+
+/**
+ * Scale a split to a new total
+ * When the split added up to the old total, the second share takes the
+ * rounding difference so it still adds up.
+ */
+const scaleSplitDetails = (splitDetails, oldTotal, newTotal, currency) => {
+  if (!splitDetails || typeof splitDetails.user1Amount !== 'number') {
+    return splitDetails;
+  }
+
+  const factor = oldTotal ? newTotal / oldTotal : 0;
+  const user1Amount = roundCurrency(splitDetails.user1Amount * factor, currency);
+  const user2Original = splitDetails.user2Amount || 0;
+  const addsUp = Math.abs(splitDetails.user1Amount + user2Original - oldTotal) < 0.01;
+
+  return {
+    ...splitDetails,
+    user1Amount,
+    user2Amount: addsUp
+      ? roundCurrency(newTotal - user1Amount, currency)
+      : roundCurrency(user2Original * factor, currency),
+  };
+};
+
+/**
+ * Re-value the currency fields of an expense (or recurring expense template)
+ * An expense in the old primary currency takes the fetched rate. One in a
+ * third currency keeps its stored rate, combined with the fetched one.
+ * @param {Object} expense - Expense fields
+ * @param {string} oldPrimary - Currency the expense's primary amounts are in
+ * @param {string} toCurrency - New primary currency
+ * @param {Object} rateInfo - { rate, date, source, provider } from oldPrimary to toCurrency
+ * @returns {Object} Updated currency fields (and split, when present)
+ */
+export const revalueExpenseFields = (expense, oldPrimary, toCurrency, rateInfo) => {
+  const amount = Number(expense.amount) || 0;
+  const currency = expense.currency || oldPrimary;
+  const oldPrimaryAmount = expense.primaryCurrencyAmount ?? amount * (expense.exchangeRate || 1);
+
+  let updates;
+  if (currency === toCurrency) {
+    updates = {
+      exchangeRate: 1.0,
+      exchangeRateSource: EXCHANGE_RATE_SOURCES.NONE,
+      exchangeRateProvider: null,
+      exchangeRateDate: null,
+    };
+  } else {
+    const storedRate = currency === oldPrimary
+      ? 1
+      : expense.exchangeRate || (amount ? oldPrimaryAmount / amount : 1);
+    updates = {
+      exchangeRate: roundRate(storedRate * rateInfo.rate),
+      exchangeRateSource: currency === oldPrimary ? rateInfo.source : EXCHANGE_RATE_SOURCES.MIGRATION,
+      exchangeRateProvider: rateInfo.provider || null,
+      exchangeRateDate: rateInfo.date || null,
+    };
+  }
+
+  const primaryCurrencyAmount = roundCurrency(amount * updates.exchangeRate, toCurrency);
+  const revalued = {
+    currency,
+    primaryCurrency: toCurrency,
+    primaryCurrencyAmount,
+    ...updates,
+  };
+
+  if (expense.splitDetails) {
+    revalued.splitDetails = scaleSplitDetails(expense.splitDetails, oldPrimaryAmount, primaryCurrencyAmount, toCurrency);
+  }
+
+  return revalued;
+};
+
+/**
+ * Convert every amount in a { key: amount } map
+ */
+const convertAmountMap = (amounts, rate, currency) => Object.fromEntries(
+  Object.entries(amounts).map(([key, value]) => [
+    key,
+    typeof value === 'number' ? roundCurrency(value * rate, currency) : value,
+  ])
+);
+
+/**
+ * Build the updates that re-value one document into a new primary currency
+ * The previous values of every changed field are kept in
+ * CURRENCY_MIGRATION_BACKUP_FIELD so the change can be rolled back.
+ * @param {string} collectionName - One of CURRENCY_MIGRATION_COLLECTIONS
+ * @param {Object} data - Document data
+ * @param {Object} options
+ * @param {string} options.fromCurrency - Previous primary currency
+ * @param {string} options.toCurrency - New primary currency
+ * @param {string} options.migrationId - Migration ID
+ * @param {Object} options.rates - Rate table keyed by getMigrationRateKey
+ * @param {string} options.today - Today's date key
+ * @returns {Object|null} Updates, or null when the document is already re-valued
+ */
+export const revalueDocument = (collectionName, data, { fromCurrency, toCurrency, migrationId, rates, today }) => {
+  if (!needsRevaluation(collectionName, data, { fromCurrency, toCurrency, migrationId })) {
+    return null;
+  }
+
+  const source = getDocumentPrimaryCurrency(collectionName, data, fromCurrency);
+  const dateKey = getMigrationRateDate(collectionName, data, today);
+  const rateInfo = rates[getMigrationRateKey(source, dateKey)];
+  if (!rateInfo) {
+    throw new Error(`No exchange rate for ${source}/${toCurrency} on ${dateKey}`);
+  }
+
+  let updates;
+  switch (collectionName) {
+    case 'expenses':
+      updates = revalueExpenseFields(data, source, toCurrency, rateInfo);
+      break;
+    case 'recurringExpenses':
+      updates = {
+        expenseTemplate: {
+          ...data.expenseTemplate,
+          ...revalueExpenseFields(data.expenseTemplate || {}, source, toCurrency, rateInfo),
+        },
+      };
+      break;
+    case 'budgets':
+      updates = {
+        currency: toCurrency,
+        categoryBudgets: convertAmountMap(data.categoryBudgets || {}, rateInfo.rate, toCurrency),
+        categoryRollovers: convertAmountMap(data.categoryRollovers || {}, rateInfo.rate, toCurrency),
+      };
+      break;
+    case 'settlements':
+      updates = { currency: toCurrency };
+      SETTLEMENT_AMOUNT_FIELDS.forEach((field) => {
+        if (typeof data[field] === 'number') {
+          updates[field] = roundCurrency(data[field] * rateInfo.rate, toCurrency);
+        }
+      });
+      break;
+    default:
+      throw new Error(`Unknown collection: ${collectionName}`);
+  }
+
+  const previous = {};
+  const missing = [];
+  Object.keys(updates).forEach((field) => {
+    if (data[field] === undefined) {
+      missing.push(field);
+    } else {
+      previous[field] = data[field];
+    }
+  });
+
+  return {
+    ...updates,
+    [CURRENCY_MIGRATION_BACKUP_FIELD]: { migrationId, fields: previous, missing },
+  };
+};
+
+/**
+ * Get the values that undo a migration on one document
+ * @param {Object} data - Document data
+ * @param {string} migrationId - Migration to undo
+ * @returns {Object|null} { restore, remove } where `remove` lists fields that
+ *   did not exist before, or null when the migration did not touch the document
+ */
+export const getRollbackFields = (data, migrationId) => {
+  const backup = data[CURRENCY_MIGRATION_BACKUP_FIELD];
+  if (backup?.migrationId !== migrationId) {
+    return null;
+  }
+
+  return { restore: backup.fields || {}, remove: backup.missing || [] };
+};
+
+/**
+ * Sum the primary-currency amounts of the expenses a migration re-values,
+ * before and after re-valuing
+ * @param {Array} expenses - [{ id, data }]
+ * @param {Object} options - Same options as revalueDocument
+ * @returns {Object} { before, after }
+ */
+export const getRevaluedTotals = (expenses, options) => expenses.reduce((totals, { data }) => {
+  const updates = revalueDocument('expenses', data, options);
+  if (!updates) {
+    return totals;
+  }
+
+  return {
+    before: totals.before + (data.primaryCurrencyAmount ?? (Number(data.amount) || 0)),
+    after: totals.after + updates.primaryCurrencyAmount,
+  };
+}, { before: 0, after: 0 });
+
 export default {
   migrateExpensesToMultiCurrency,
   migrateBudgetsToMultiCurrency,
   migrateCoupleToCurrency,
   checkMigrationNeeded,
   dryRunMigration,
+  collectRateRequests,
+  revalueDocument,
+  getRollbackFields,
+  getRevaluedTotals,
 };
@@ -137,7 +137,7 @@ export const convertWithRate = (amount, fromCurrency, toCurrency, exchangeRate)
   const convertedAmount = convertCurrency(amount, exchangeRate);
 
   return {
-    convertedAmount: roundCurrency(convertedAmount),
+    convertedAmount: roundCurrency(convertedAmount, toCurrency),
     exchangeRate,
   };
 };
@@ -226,7 +226,7 @@ export const parseCurrencyInputSafe = (input) => {
 };
 
 /**
- * Round to currency decimals (typically 2)
+ * Round to currency decimals (ISO 4217 minor units: 2 for USD, 0 for JPY, 3 for KWD)
  * @param {number} amount - Amount to round
  * @param {string} currencyCode - Currency code
  * @returns {number} Rounded amount
@@ -241,11 +241,13 @@ export const roundCurrency = (amount, currencyCode = DEFAULT_CURRENCY) => {
 /**
  * Validate currency amount
  * Note: Large amount warnings are handled at the UI level with currency-aware thresholds
- * This validator only checks for basic validity (positive number)
+ * This validator checks for basic validity (positive number) and, when a
+ * currency is given, that the amount has no more decimals than the currency allows
  * @param {number} amount - Amount to validate
+ * @param {string} currencyCode - Currency code (optional)
  * @returns {object} { isValid: boolean, error: string|null }
  */
-export const validateAmount = (amount) => {
+export const validateAmount = (amount, currencyCode = null) => {
   if (typeof amount !== 'number' || isNaN(amount)) {
     return { isValid: false, error: 'Amount must be a valid number' };
   }
@@ -254,6 +256,18 @@ export const validateAmount = (amount) => {
     return { isValid: false, error: 'Amount must be greater than zero' };
   }
 
+  // Tolerance absorbs floating-point noise from earlier arithmetic
+  const tolerance = 1e-9 * Math.max(1, amount);
+  if (currencyCode && Math.abs(roundCurrency(amount, currencyCode) - amount) > tolerance) {
+    const { decimals } = getCurrencyInfo(currencyCode);
+    return {
+      isValid: false,
+      error: decimals === 0
+        ? `${currencyCode} amounts cannot have decimals`
+        : `${currencyCode} amounts can have at most ${decimals} decimal places`,
+    };
+  }
+
   return { isValid: true, error: null };
 };
 
@@ -289,7 +303,10 @@ export const getCurrencySymbol = (currencyCode = DEFAULT_CURRENCY) => {
 
 /**
  * Create expense with multi-currency data
- * Helper to structure expense data correctly
+ * Helper to structure expense data correctly. `exchangeRateSource` defaults to
+ * 'manual'; rates from the exchange-rate provider also pass
+ * `exchangeRateProvider` and `exchangeRateDate` (the day the rate is for) so
+ * the expense can be re-valued later.
  * @param {object} expenseData - Base expense data
  * @param {string} primaryCurrency - Couple's primary currency
  * @returns {object} Enhanced expense with currency fields
@@ -299,6 +316,9 @@ export const createMultiCurrencyExpense = (expenseData, primaryCurrency) => {
     amount,
     currency,
     exchangeRate,
+    exchangeRateSource = 'manual',
+    exchangeRateProvider = null,
+    exchangeRateDate = null,
     ...rest
   } = expenseData;
 
@@ -325,7 +345,9 @@ export const createMultiCurrencyExpense = (expenseData, primaryCurrency) => {
     primaryCurrencyAmount: roundCurrency(primaryCurrencyAmount, primaryCurrency),
     primaryCurrency,
     exchangeRate,
-    exchangeRateSource: 'manual',
+    exchangeRateSource,
+    ...(exchangeRateProvider && { exchangeRateProvider }),
+    ...(exchangeRateDate && { exchangeRateDate }),
   };
 };
 
@@ -0,0 +1,402 @@
+// src/utils/dataBackup.js
+// Versioned JSON backup of a couple's data (see services/backupService.js)
+//
+// A backup holds every document of the couple in BACKUP_COLLECTIONS, the
+// savings contributions of its targets and the couple settings. Timestamps
+// and Dates are stored as { $date: ISO string }. Restoring remaps every ID to
+// the target couple: `{coupleId}_...` document IDs get the new couple's
+// prefix, other documents get fresh IDs, and partners are matched to the
+// target couple's members. References to data a backup doesn't hold (trips,
+// settlement plans, and receipts of another couple) are cleared.
+
+import {
+  validateAmount,
+  validateDate,
+  validateDescription,
+  validateFirestoreFieldNames,
+} from './importValidation';
+
+export const BACKUP_FORMAT = 'dividela-backup';
+
+// Bump when the layout changes; restores refuse newer versions
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// Collections queried by coupleId, in restore order
+export const BACKUP_COLLECTIONS = [
+  'categories',
+  'tags',
+  'budgets',
+  'annualBudgets',
+  'savingsTargets',
+  'recurringExpenses',
+  'settlements',
+  'expenses',
+  'merchantAliases',
+];
+
+// Subcollection entries of savingsTargets
+export const CONTRIBUTIONS_KEY = 'savingsContributions';
+
+// Fields pointing at documents that aren't part of a backup
+const CLEARED_REFERENCES = ['tripId', 'planId'];
+
+const DATE_MARKER = '$date';
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Convert a Firestore value to plain JSON, keeping dates as markers
+ * @param {*} value - Document data or field value
+ * @returns {*} JSON-safe copy
+ */
+export const serializeValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value?.toDate === 'function') return { [DATE_MARKER]: value.toDate().toISOString() };
+  if (value instanceof Date) return { [DATE_MARKER]: value.toISOString() };
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (isPlainObject(value)) {
+    return Object.entries(value).reduce((result, [key, item]) => {
+      result[key] = serializeValue(item);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Turn date markers back into Firestore values
+ * @param {*} value - Serialized value
+ * @param {Function} toTimestamp - Converts a Date (e.g. Timestamp.fromDate)
+ * @returns {*} Value ready to write
+ */
+export const deserializeValue = (value, toTimestamp = (date) => date) => {
+  if (Array.isArray(value)) return value.map((item) => deserializeValue(item, toTimestamp));
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === DATE_MARKER) {
+      return toTimestamp(new Date(value[DATE_MARKER]));
+    }
+    return keys.reduce((result, key) => {
+      result[key] = deserializeValue(value[key], toTimestamp);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Build a backup from loaded documents
+ * @param {Object} params
+ * @param {string} params.coupleId - Couple ID
+ * @param {Object} params.members - { user1: { id, displayName }, user2: { id, displayName } }
+ * @param {Object} params.coupleSettings - coupleSettings document data (or null)
+ * @param {Object} params.collections - { collectionName: [{ id, data }] }
+ * @param {Array} params.contributions - [{ id, targetId, data }]
+ * @param {Date} params.exportedAt - Export time (defaults to now)
+ * @returns {Object} Backup object, ready for JSON.stringify
+ */
+export const buildBackup = ({
+  coupleId,
+  members,
+  coupleSettings = null,
+  collections = {},
+  contributions = [],
+  exportedAt = new Date(),
+}) => {
+  const backupCollections = {};
+  BACKUP_COLLECTIONS.forEach((name) => {
+    backupCollections[name] = (collections[name] || []).map(({ id, data }) => ({
+      id,
+      data: serializeValue(data),
+    }));
+  });
+  backupCollections[CONTRIBUTIONS_KEY] = contributions.map(({ id, targetId, data }) => ({
+    id,
+    targetId,
+    data: serializeValue(data),
+  }));
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    coupleId,
+    members: {
+      user1: { id: members?.user1?.id || null, displayName: members?.user1?.displayName || null },
+      user2: { id: members?.user2?.id || null, displayName: members?.user2?.displayName || null },
+    },
+    coupleSettings: coupleSettings ? serializeValue(coupleSettings) : null,
+    collections: backupCollections,
+  };
+};
+
+/**
+ * Count the documents of each collection in a backup
+ * @param {Object} backup - Backup object
+ * @returns {Object} { collectionName: count }
+ */
+export const getBackupCounts = (backup) => {
+  const counts = {};
+  [...BACKUP_COLLECTIONS, CONTRIBUTIONS_KEY].forEach((name) => {
+    counts[name] = Array.isArray(backup?.collections?.[name]) ? backup.collections[name].length : 0;
+  });
+  return counts;
+};
+
+/**
+ * Validate a parsed backup file before restoring it
+ * Expenses are checked with the same rules as imported ones.
+ * @param {Object} backup - Parsed JSON
+ * @returns {Object} { isValid, errors, warnings, hasWarnings, counts }
+ */
+export const validateBackup = (backup) => {
+  const errors = [];
+  const warnings = [];
+  const result = () => ({
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    hasWarnings: warnings.length > 0,
+    counts: getBackupCounts(backup),
+  });
+
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    errors.push('This file is not a Dividela backup');
+    return result();
+  }
+
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    errors.push('Backup has no valid schema version');
+    return result();
+  }
+
+  if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    errors.push(`Backup was created by a newer version of the app (schema ${backup.schemaVersion})`);
+    return result();
+  }
+
+  if (!backup.coupleId || !backup.members?.user1?.id) {
+    errors.push('Backup is missing its couple or members');
+  }
+
+  if (!isPlainObject(backup.collections)) {
+    errors.push('Backup has no collections');
+    return result();
+  }
+
+  if (backup.coupleSettings !== null && backup.coupleSettings !== undefined) {
+    const settingsValidation = validateFirestoreFieldNames(backup.coupleSettings);
+    errors.push(...settingsValidation.errors.map((e) => `coupleSettings: ${e}`));
+  }
+
+  const targetIds = new Set();
+
+  [...BACKUP_COLLECTIONS, CONTRIBUTIONS_KEY].forEach((name) => {
+    const entries = backup.collections[name];
+    if (entries === undefined) return;
+
+    if (!Array.isArray(entries)) {
+      errors.push(`${name} must be a list`);
+      return;
+    }
+
+    const seen = new Set();
+    entries.forEach((entry, index) => {
+      const label = `${name} ${entry?.id || index + 1}`;
+
+      if (!entry || typeof entry.id !== 'string' || !entry.id || entry.id.includes('/')) {
+        errors.push(`${name} ${index + 1}: invalid document ID`);
+        return;
+      }
+      if (!isPlainObject(entry.data)) {
+        errors.push(`${label}: missing data`);
+        return;
+      }
+      if (seen.has(entry.id)) {
+        errors.push(`${label}: duplicate document ID`);
+      }
+      seen.add(entry.id);
+
+      const fieldValidation = validateFirestoreFieldNames(entry.data);
+      errors.push(...fieldValidation.errors.map((e) => `${label}: ${e}`));
+
+      if (name === 'savingsTargets') {
+        targetIds.add(entry.id);
+      }
+
+      if (name === 'expenses') {
+        const expense = deserializeValue(entry.data);
+
+        const amountValidation = validateAmount(expense.amount);
+        errors.push(...amountValidation.errors.map((e) => `${label}: ${e}`));
+
+        if (expense.date) {
+          const dateValidation = validateDate(expense.date);
+          errors.push(...dateValidation.errors.map((e) => `${label}: ${e}`));
+        }
+
+        if (expense.description) {
+          const descriptionValidation = validateDescription(expense.description);
+          errors.push(...descriptionValidation.errors.map((e) => `${label}: ${e}`));
+        }
+      }
+    });
+  });
+
+  (backup.collections[CONTRIBUTIONS_KEY] || []).forEach((entry) => {
+    if (entry?.id && !targetIds.has(entry.targetId)) {
+      warnings.push(`Contribution ${entry.id} belongs to a savings target that isn't in the backup and will be skipped`);
+    }
+  });
+
+  return result();
+};
+
+/**
+ * Match the backup's partners to the members of the target couple
+ * The signed-in user keeps their own data when they appear in the backup;
+ * otherwise partners are matched by position, optionally swapped.
+ * @param {Object} backupMembers - backup.members
+ * @param {Object} targetMembers - { user1Id, user2Id } of the target couple
+ * @param {Object} options
+ * @param {string} options.currentUserId - Signed-in user
+ * @param {boolean} options.swap - Swap the default matching
+ * @returns {Object} { oldUserId: newUserId }
+ */
+export const buildUserIdMap = (backupMembers, targetMembers, { currentUserId = null, swap = false } = {}) => {
+  const oldIds = [backupMembers?.user1?.id, backupMembers?.user2?.id];
+  let newIds = [targetMembers?.user1Id, targetMembers?.user2Id];
+
+  const ownIndex = oldIds.indexOf(currentUserId);
+  const targetIndex = newIds.indexOf(currentUserId);
+  if (ownIndex !== -1 && targetIndex !== -1 && ownIndex !== targetIndex) {
+    newIds = [newIds[1], newIds[0]];
+  }
+  if (swap) {
+    newIds = [newIds[1], newIds[0]];
+  }
+
+  return oldIds.reduce((map, oldId, index) => {
+    if (oldId && newIds[index]) {
+      map[oldId] = newIds[index];
+    }
+    return map;
+  }, {});
+};
+
+/**
+ * Remap IDs anywhere in a value: exact matches and `{oldCoupleId}_` prefixes
+ */
+const remapValue = (value, idMap, oldPrefix, newPrefix) => {
+  const remapString = (text) => {
+    if (Object.prototype.hasOwnProperty.call(idMap, text)) return idMap[text];
+    if (text.startsWith(oldPrefix)) return newPrefix + text.slice(oldPrefix.length);
+    return text;
+  };
+
+  if (typeof value === 'string') return remapString(value);
+  if (Array.isArray(value)) return value.map((item) => remapValue(item, idMap, oldPrefix, newPrefix));
+  if (isPlainObject(value)) {
+    return Object.entries(value).reduce((result, [key, item]) => {
+      result[remapString(key)] = remapValue(item, idMap, oldPrefix, newPrefix);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Prepare a validated backup for writing into a couple
+ * @param {Object} backup - Validated backup
+ * @param {Object} options
+ * @param {string} options.coupleId - Target couple ID
+ * @param {Object} options.userIdMap - From buildUserIdMap
+ * @param {Function} options.generateId - Returns a fresh document ID
+ * @param {Function} options.toTimestamp - Converts a Date for Firestore
+ * @returns {Object} { coupleSettings, documents: [{ collection, id, data }], contributions: [{ targetId, id, data }], skipped }
+ */
+export const prepareRestore = (backup, {
+  coupleId,
+  userIdMap = {},
+  generateId,
+  toTimestamp = (date) => date,
+}) => {
+  const oldPrefix = `${backup.coupleId}_`;
+  const newPrefix = `${coupleId}_`;
+  const sameCouple = backup.coupleId === coupleId;
+  const idMap = { ...userIdMap, [backup.coupleId]: coupleId };
+  const collections = backup.collections || {};
+
+  // Pass 1: new IDs for every document, so references can be rewritten
+  BACKUP_COLLECTIONS.forEach((name) => {
+    (collections[name] || []).forEach(({ id }) => {
+      if (!id.startsWith(oldPrefix)) {
+        idMap[id] = generateId(name);
+      }
+    });
+  });
+
+  // Recurring occurrences keep their `{seriesId}_{date}` IDs so they are never materialized twice
+  (collections.expenses || []).forEach(({ id, data }) => {
+    const seriesId = data.recurringExpenseId;
+    if (seriesId && idMap[seriesId] && data.recurrenceDate && id === `${seriesId}_${data.recurrenceDate}`) {
+      idMap[id] = `${idMap[seriesId]}_${data.recurrenceDate}`;
+    }
+  });
+
+  const remapId = (id) => remapValue(id, idMap, oldPrefix, newPrefix);
+  const prepareData = (data) => deserializeValue(remapValue(data, idMap, oldPrefix, newPrefix), toTimestamp);
+
+  let clearedReceipts = 0;
+  const documents = [];
+
+  BACKUP_COLLECTIONS.forEach((name) => {
+    (collections[name] || []).forEach(({ id, data }) => {
+      const prepared = prepareData(data);
+
+      CLEARED_REFERENCES.forEach((field) => {
+        if (prepared[field]) prepared[field] = null;
+      });
+
+      // Receipt images live in the source couple's Storage folder, which the new couple can't read
+      if (!sameCouple && prepared.receiptUrl) {
+        prepared.receiptUrl = null;
+        clearedReceipts++;
+      }
+
+      // Milestones are re-reached (and re-announced) as the restored targets grow
+      if (name === 'savingsTargets') {
+        prepared.reachedMilestones = [];
+      }
+
+      documents.push({ collection: name, id: remapId(id), data: prepared });
+    });
+  });
+
+  const targetIds = new Set((collections.savingsTargets || []).map(({ id }) => id));
+  const contributions = (collections[CONTRIBUTIONS_KEY] || [])
+    .filter(({ targetId }) => targetIds.has(targetId))
+    .map(({ id, targetId, data }) => ({
+      targetId: remapId(targetId),
+      id: generateId(CONTRIBUTIONS_KEY),
+      data: prepareData(data),
+    }));
+
+  return {
+    coupleSettings: backup.coupleSettings ? prepareData(backup.coupleSettings) : null,
+    documents,
+    contributions,
+    skipped: { receipts: clearedReceipts },
+  };
+};
+
+/**
+ * File name for a backup made today
+ * @param {Date} date - Backup date
+ * @returns {string}
+ */
+export const generateBackupFilename = (date = new Date()) => {
+  return `dividela-backup-${date.toISOString().split('T')[0]}.json`;
+};
@@ -122,6 +122,40 @@ function isWithinDays(date1, date2, days) {
   return diffDays <= days;
 }
 
+/**
+ * Get the bank transaction ID (OFX FITID) of a parsed transaction or an imported expense
+ */
+function getBankTransactionId(item) {
+  return item?.fitId || item?.importMetadata?.fitId || null;
+}
+
+function getBankAccountId(item) {
+  return item?.accountId || item?.importMetadata?.accountId || null;
+}
+
+/**
+ * Compare bank transaction IDs
+ * FITIDs are only unique per account, so account IDs must agree when both are known
+ *
+ * @param {Object} transaction - Parsed transaction
+ * @param {Object} existingExpense - Existing expense
+ * @returns {boolean|null} true/false when both carry an ID, null when one is missing
+ */
+export function compareBankTransactionIds(transaction, existingExpense) {
+  const transactionId = getBankTransactionId(transaction);
+  const expenseId = getBankTransactionId(existingExpense);
+
+  if (!transactionId || !expenseId) return null;
+
+  const transactionAccount = getBankAccountId(transaction);
+  const expenseAccount = getBankAccountId(existingExpense);
+  if (transactionAccount && expenseAccount && transactionAccount !== expenseAccount) {
+    return false;
+  }
+
+  return transactionId === expenseId;
+}
+
 /**
  * Detect if a transaction is a duplicate of an existing expense
  *
@@ -148,6 +182,20 @@ export function isDuplicate(transaction, existingExpense, options = {}) {
     reasons: [],
   };
 
+  // Bank transaction IDs are exact: same ID is the same transaction, different IDs never are
+  const idMatch = compareBankTransactionIds(transaction, existingExpense);
+  if (idMatch === true) {
+    return {
+      isDuplicate: true,
+      confidence: 1,
+      reasons: ['Bank transaction ID matches'],
+      exactMatch: true,
+    };
+  }
+  if (idMatch === false) {
+    return result;
+  }
+
   // Date check
   const transactionDate = new Date(transaction.date);
   const expenseDate = new Date(existingExpense.date);
@@ -335,14 +383,31 @@ export function detectDuplicatesForTransactions(transactions, existingExpenses,
     ? buildExpenseIndex(recentExpenses, detectionOptions)
     : null;
 
+  // Bank transaction IDs match exactly, so they are checked against every expense, not just the window
+  const bankIdIndex = new Map();
+  existingExpenses.forEach(expense => {
+    const bankId = getBankTransactionId(expense);
+    if (bankId) {
+      if (!bankIdIndex.has(bankId)) {
+        bankIdIndex.set(bankId, []);
+      }
+      bankIdIndex.get(bankId).push(expense);
+    }
+  });
+
   // Process only uncached transactions
   const newResults = uncached.map((transaction, index) => {
+    const bankIdCandidates = bankIdIndex.get(getBankTransactionId(transaction)) || [];
+    const exactDuplicates = findDuplicates(transaction, bankIdCandidates, detectionOptions);
+
     // Get candidate expenses to check
     const candidates = useIndexOptimization && expenseIndex
       ? findCandidatesFromIndex(transaction, expenseIndex)
       : recentExpenses;
 
-    const duplicates = findDuplicates(transaction, candidates, detectionOptions);
+    const duplicates = exactDuplicates.length > 0
+      ? exactDuplicates
+      : findDuplicates(transaction, candidates, detectionOptions);
 
     processedCount++;
 
@@ -414,9 +479,14 @@ export function getDuplicateSummary(detectionResults) {
     possibleDuplicates: 0,
     likelyDuplicates: 0,
     definitelyDuplicates: 0,
+    exactMatches: 0,
   };
 
   detectionResults.forEach(result => {
+    if (result.highConfidenceDuplicate?.exactMatch) {
+      summary.exactMatches++;
+    }
+
     if (!result.hasDuplicates) {
       summary.noDuplicates++;
     } else if (result.highConfidenceDuplicate) {
@@ -477,6 +547,7 @@ export function markDuplicatesForReview(detectionResults) {
       highestConfidence: result.duplicates[0]?.confidence || 0,
       needsReview: result.hasDuplicates && result.duplicates[0]?.confidence < 0.95,
       autoSkip: result.highConfidenceDuplicate?.confidence >= 0.95,
+      exactMatch: Boolean(result.highConfidenceDuplicate?.exactMatch),
       matchedExpenses: result.duplicates.map(d => ({
         id: d.expense.id,
         description: d.expense.description,
@@ -490,6 +561,7 @@ export function markDuplicatesForReview(detectionResults) {
 }
 
 export default {
+  compareBankTransactionIds,
   isDuplicate,
   findDuplicates,
   detectDuplicatesForTransactions,
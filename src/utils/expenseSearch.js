@@ -0,0 +1,365 @@
+/**
+ * expenseSearch.js
+ *
+ * Query syntax for searching expenses
+ *
+ * A query is a list of words, "quoted phrases" and qualifiers:
+ * - amount:>100, amount:10..20, or just >100 / <=50 (amount in the expense currency)
+ * - currency:EUR
+ * - date:2026, date:2026-03, date:2026-03-14, date:>=2026-01-01, date:2026-01..2026-03
+ * - before:2026-03-01, after:2026-01-31
+ * - category:food
+ * - tag:vacation
+ * - paid:me, paid:partner
+ * - status:settled, status:pending
+ *
+ * Words and phrases match the description, notes and merchant name.
+ * A leading "-" excludes a word or phrase.
+ */
+
+import { normalizeMerchantName } from './merchantNormalizer';
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+const AMOUNT_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:[.,]\d+)?)$/;
+const AMOUNT_RANGE_PATTERN = /^(\d+(?:[.,]\d+)?)\.\.(\d+(?:[.,]\d+)?)$/;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+
+const QUALIFIER_ALIASES = {
+  amount: 'amount',
+  currency: 'currency',
+  cur: 'currency',
+  date: 'date',
+  before: 'before',
+  after: 'after',
+  category: 'category',
+  cat: 'category',
+  tag: 'tag',
+  paid: 'paid',
+  paidby: 'paid',
+  status: 'status',
+  is: 'status',
+};
+
+const PAYER_VALUES = ['me', 'partner'];
+const STATUS_VALUES = ['settled', 'pending'];
+
+const parseNumber = (value) => parseFloat(String(value).replace(',', '.'));
+
+/**
+ * Get the first and last millisecond of a YYYY, YYYY-MM or YYYY-MM-DD date
+ * @param {string} value - Date text
+ * @returns {{start: Date, end: Date}|null} Local-time range, or null if invalid
+ */
+export const parseDatePeriod = (value) => {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+
+  if (month !== null && (month < 0 || month > 11)) return null;
+
+  let start;
+  let end;
+  if (day !== null) {
+    start = new Date(year, month, day);
+    if (start.getMonth() !== month) return null;
+    end = new Date(year, month, day + 1);
+  } else if (month !== null) {
+    start = new Date(year, month, 1);
+    end = new Date(year, month + 1, 1);
+  } else {
+    start = new Date(year, 0, 1);
+    end = new Date(year + 1, 0, 1);
+  }
+
+  return { start, end: new Date(end.getTime() - 1) };
+};
+
+const narrowStart = (current, date) => (!current || date > current ? date : current);
+const narrowEnd = (current, date) => (!current || date < current ? date : current);
+
+const applyAmount = (search, value) => {
+  const range = AMOUNT_RANGE_PATTERN.exec(value);
+  if (range) {
+    search.minAmount = parseNumber(range[1]);
+    search.maxAmount = parseNumber(range[2]);
+    return true;
+  }
+
+  const match = AMOUNT_PATTERN.exec(value);
+  if (!match) return false;
+
+  const amount = parseNumber(match[2]);
+  switch (match[1]) {
+    case '>':
+      search.minAmount = amount + 0.01;
+      break;
+    case '>=':
+      search.minAmount = amount;
+      break;
+    case '<':
+      search.maxAmount = amount - 0.01;
+      break;
+    case '<=':
+      search.maxAmount = amount;
+      break;
+    default:
+      search.minAmount = amount;
+      search.maxAmount = amount;
+  }
+  return true;
+};
+
+const applyDate = (search, value) => {
+  const [from, to] = value.split('..');
+  if (to !== undefined) {
+    const fromPeriod = parseDatePeriod(from);
+    const toPeriod = parseDatePeriod(to);
+    if (!fromPeriod || !toPeriod) return false;
+    search.startDate = narrowStart(search.startDate, fromPeriod.start);
+    search.endDate = narrowEnd(search.endDate, toPeriod.end);
+    return true;
+  }
+
+  const [, operator, dateText] = COMPARISON_PATTERN.exec(value);
+  const period = parseDatePeriod(dateText);
+  if (!period) return false;
+
+  switch (operator) {
+    case '>':
+      search.startDate = narrowStart(search.startDate, new Date(period.end.getTime() + 1));
+      break;
+    case '>=':
+      search.startDate = narrowStart(search.startDate, period.start);
+      break;
+    case '<':
+      search.endDate = narrowEnd(search.endDate, new Date(period.start.getTime() - 1));
+      break;
+    case '<=':
+      search.endDate = narrowEnd(search.endDate, period.end);
+      break;
+    default:
+      search.startDate = narrowStart(search.startDate, period.start);
+      search.endDate = narrowEnd(search.endDate, period.end);
+  }
+  return true;
+};
+
+const applyQualifier = (search, qualifier, value) => {
+  const lowerValue = value.toLowerCase();
+
+  switch (qualifier) {
+    case 'amount':
+      return applyAmount(search, value);
+    case 'currency':
+      if (!/^[a-z]{3}$/i.test(value)) return false;
+      search.currencies.push(value.toUpperCase());
+      return true;
+    case 'date':
+      return applyDate(search, value);
+    case 'before':
+      return applyDate(search, `<${value}`);
+    case 'after':
+      return applyDate(search, `>${value}`);
+    case 'category':
+      if (!lowerValue) return false;
+      search.categories.push(lowerValue);
+      return true;
+    case 'tag':
+      if (!lowerValue) return false;
+      search.tags.push(lowerValue);
+      return true;
+    case 'paid':
+      if (!PAYER_VALUES.includes(lowerValue)) return false;
+      search.paidBy = lowerValue;
+      return true;
+    case 'status':
+      if (!STATUS_VALUES.includes(lowerValue)) return false;
+      search.status = lowerValue;
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Parse a search query into structured criteria
+ * @param {string} input - Query text
+ * @returns {Object} Criteria for matchesSearch. Tokens that look like
+ *   qualifiers but can't be understood are listed in `invalidTokens`.
+ */
+export const parseSearchQuery = (input) => {
+  const search = {
+    terms: [],
+    excludedTerms: [],
+    minAmount: null,
+    maxAmount: null,
+    currencies: [],
+    startDate: null,
+    endDate: null,
+    categories: [],
+    tags: [],
+    paidBy: null,
+    status: null,
+    invalidTokens: [],
+  };
+
+  const text = String(input || '');
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [token, negation, rawKey, phrase, word] = match;
+    const value = phrase !== undefined ? phrase : word;
+    const qualifier = rawKey ? QUALIFIER_ALIASES[rawKey.toLowerCase()] : null;
+
+    if (qualifier) {
+      if (negation || !applyQualifier(search, qualifier, value)) {
+        search.invalidTokens.push(token);
+      }
+      continue;
+    }
+
+    // Bare comparisons and ranges like ">100" or "10..20" are amounts
+    const isBareAmount = !rawKey && !negation && phrase === undefined &&
+      (/^[<>]/.test(value) || AMOUNT_RANGE_PATTERN.test(value));
+    if (isBareAmount && applyAmount(search, value)) {
+      continue;
+    }
+
+    // Unknown "key:value" pairs are searched as plain text
+    const term = (rawKey ? `${rawKey}:${value}` : value).trim().toLowerCase();
+    if (!term) continue;
+
+    if (negation) {
+      search.excludedTerms.push(term);
+    } else {
+      search.terms.push(term);
+    }
+  }
+
+  return search;
+};
+
+/**
+ * Check whether a parsed query has any criteria
+ * @param {Object} search - Result of parseSearchQuery
+ * @returns {boolean} True if nothing would be filtered
+ */
+export const isEmptySearch = (search) => {
+  return (
+    !search ||
+    (search.terms.length === 0 &&
+      search.excludedTerms.length === 0 &&
+      search.minAmount === null &&
+      search.maxAmount === null &&
+      search.currencies.length === 0 &&
+      search.startDate === null &&
+      search.endDate === null &&
+      search.categories.length === 0 &&
+      search.tags.length === 0 &&
+      search.paidBy === null &&
+      search.status === null)
+  );
+};
+
+const matchesTerm = (term, searchableText, merchant) => {
+  if (searchableText.includes(term)) return true;
+
+  // Store numbers and payment prefixes don't matter: "Starbucks #12" finds "SQ *STARBUCKS #4521"
+  const normalizedTerm = normalizeMerchantName(term);
+  return Boolean(normalizedTerm && merchant && merchant.includes(normalizedTerm));
+};
+
+/**
+ * Check whether an expense matches parsed search criteria
+ * @param {Object} expense - Expense object
+ * @param {Object} search - Result of parseSearchQuery
+ * @param {Object} context - { userId, partnerId, categories, tags } used for
+ *   paid:me/partner and matching category and tag names
+ * @returns {boolean} True if the expense matches every criterion
+ */
+export const matchesSearch = (expense, search, context = {}) => {
+  if (!expense || !search) return false;
+
+  const { userId, partnerId, categories = {}, tags = {} } = context;
+  const amount = expense.amount || 0;
+
+  if (search.minAmount !== null && amount < search.minAmount) return false;
+  if (search.maxAmount !== null && amount > search.maxAmount) return false;
+
+  if (search.currencies.length > 0 && !search.currencies.includes((expense.currency || '').toUpperCase())) {
+    return false;
+  }
+
+  if (search.startDate || search.endDate) {
+    if (!expense.date) return false;
+    const expenseDate = new Date(expense.date);
+    if (search.startDate && expenseDate < search.startDate) return false;
+    if (search.endDate && expenseDate > search.endDate) return false;
+  }
+
+  if (search.categories.length > 0) {
+    const categoryKey = (expense.categoryKey || expense.category || '').toLowerCase();
+    const categoryName = (categories[expense.categoryKey || expense.category]?.name || '').toLowerCase();
+    const categoryMatches = search.categories.some(
+      (category) => category === categoryKey || (categoryName && categoryName.includes(category))
+    );
+    if (!categoryMatches) return false;
+  }
+
+  if (search.tags.length > 0) {
+    const expenseTags = expense.tags || [];
+    const tagsMatch = search.tags.every((tag) =>
+      expenseTags.some(
+        (key) => key.toLowerCase() === tag || (tags[key]?.name || '').toLowerCase().includes(tag)
+      )
+    );
+    if (!tagsMatch) return false;
+  }
+
+  if (search.paidBy === 'me' && expense.paidBy !== userId) return false;
+  if (search.paidBy === 'partner' && expense.paidBy !== partnerId) return false;
+
+  if (search.status === 'settled' && !expense.settledAt) return false;
+  if (search.status === 'pending' && expense.settledAt) return false;
+
+  if (search.terms.length === 0 && search.excludedTerms.length === 0) return true;
+
+  const searchableText = [expense.description, expense.notes, expense.merchant]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const merchant = normalizeMerchantName(expense.merchant || expense.description || '');
+
+  if (!search.terms.every((term) => matchesTerm(term, searchableText, merchant))) return false;
+  if (search.excludedTerms.some((term) => matchesTerm(term, searchableText, merchant))) return false;
+
+  return true;
+};
+
+/**
+ * Filter expenses with a query string
+ * @param {Array} expenses - Array of expense objects
+ * @param {string|Object} queryOrSearch - Query text or a parsed query
+ * @param {Object} context - { userId, partnerId, categories, tags }
+ * @returns {Array} Matching expenses
+ */
+export const searchExpenseList = (expenses, queryOrSearch, context = {}) => {
+  if (!Array.isArray(expenses)) return [];
+  const search = typeof queryOrSearch === 'string' ? parseSearchQuery(queryOrSearch) : queryOrSearch;
+  if (isEmptySearch(search)) return expenses;
+
+  return expenses.filter((expense) => matchesSearch(expense, search, context));
+};
+
+export default {
+  parseDatePeriod,
+  parseSearchQuery,
+  isEmptySearch,
+  matchesSearch,
+  searchExpenseList,
+};
@@ -0,0 +1,78 @@
+// src/utils/expenseTrash.js
+// Helpers for the expense trash bin
+//
+// Deleting an expense only marks it with `deletedAt` and `deletedBy`. Trashed
+// expenses are left out of lists, balances and budgets, either partner can
+// restore them for TRASH_RETENTION_DAYS days, and the purgeDeletedExpenses
+// Cloud Function then removes them (and their receipt) for good.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value?.toDate === 'function') return value.toDate();
+  if (typeof value?.seconds === 'number') return new Date(value.seconds * 1000);
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Whether an expense is in the trash
+ * `deletedBy` is checked too because a pending server timestamp reads as null
+ * until the write is confirmed.
+ * @param {Object} expense - Expense object
+ * @returns {boolean}
+ */
+export const isExpenseDeleted = (expense) => {
+  return Boolean(expense?.deletedAt || expense?.deletedBy);
+};
+
+/**
+ * Leave trashed expenses out of a list
+ * @param {Array} expenses - Expense objects
+ * @returns {Array} Expenses that aren't in the trash
+ */
+export const excludeDeletedExpenses = (expenses = []) => {
+  return expenses.filter((expense) => !isExpenseDeleted(expense));
+};
+
+/**
+ * Get the date a trashed expense will be permanently deleted
+ * @param {Object} expense - Trashed expense
+ * @param {Date} now - Used while the deletion time is still pending
+ * @returns {Date}
+ */
+export const getTrashExpiryDate = (expense, now = new Date()) => {
+  const deletedAt = toDate(expense?.deletedAt) || now;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+};
+
+/**
+ * Get the number of days left before a trashed expense is purged
+ * @param {Object} expense - Trashed expense
+ * @param {Date} now - Reference date (defaults to now)
+ * @returns {number} Whole days, rounded up and never below zero
+ */
+export const getDaysUntilPurge = (expense, now = new Date()) => {
+  const remaining = getTrashExpiryDate(expense, now).getTime() - now.getTime();
+  return Math.max(0, Math.ceil(remaining / DAY_MS));
+};
+
+/**
+ * Sort trashed expenses with the most recently deleted first
+ * @param {Array} expenses - Trashed expenses
+ * @returns {Array} New sorted array
+ */
+export const sortByDeletedAt = (expenses = []) => {
+  return [...expenses].sort((a, b) => {
+    const dateA = toDate(a.deletedAt) || new Date();
+    const dateB = toDate(b.deletedAt) || new Date();
+    return dateB - dateA;
+  });
+};
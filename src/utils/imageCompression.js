@@ -16,6 +16,8 @@ const MAX_WIDTH = 1920; // First pass width
 const FALLBACK_WIDTH = 1280; // Second pass width for aggressive compression
 const INITIAL_QUALITY = 0.8; // 80% quality - good for OCR readability
 const FALLBACK_QUALITY = 0.6; // 60% quality - more aggressive compression
+const THUMBNAIL_WIDTH = 320; // Thumbnail width for receipt lists
+const THUMBNAIL_QUALITY = 0.7; // Thumbnails are never OCR'd
 
 /**
  * Get image file information
@@ -148,6 +150,34 @@ export async function compressReceipt(imageUri) {
 // Alias for backward compatibility
 export const compressImage = compressReceipt;
 
+/**
+ * Create a small thumbnail of a receipt for list views
+ *
+ * @param {string} imageUri - URI of the source image
+ * @returns {Promise<Object>} Thumbnail image with uri, width, height
+ * @throws {Error} If URI is invalid or resizing fails
+ */
+export async function createThumbnail(imageUri) {
+  if (!imageUri || typeof imageUri !== 'string' || imageUri.trim() === '') {
+    throw new Error('Invalid image URI');
+  }
+
+  const thumbnail = await ImageManipulator.manipulateAsync(
+    imageUri,
+    [{ resize: { width: THUMBNAIL_WIDTH } }],
+    {
+      compress: THUMBNAIL_QUALITY,
+      format: ImageManipulator.SaveFormat.JPEG,
+    }
+  );
+
+  return {
+    uri: thumbnail.uri,
+    width: thumbnail.width,
+    height: thumbnail.height,
+  };
+}
+
 /**
  * Export constants for testing and reference
  */
@@ -157,4 +187,6 @@ export const COMPRESSION_CONSTANTS = {
   FALLBACK_WIDTH,
   INITIAL_QUALITY,
   FALLBACK_QUALITY,
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_QUALITY,
 };
@@ -16,7 +16,13 @@ class ImportCache {
    * Generate cache key from transaction
    */
   generateKey(transaction, prefix = '') {
-    const { date, amount, description } = transaction;
+    const { date, amount, description, fitId } = transaction;
+
+    // Bank transaction IDs (OFX FITID) already identify the transaction
+    if (fitId) {
+      return `${prefix}:fitid:${transaction.accountId || ''}:${fitId}`;
+    }
+
     // Use normalized values for consistent keys
     const normalizedDesc = description?.toLowerCase().trim() || '';
     const normalizedAmount = typeof amount === 'number' ? amount.toFixed(2) : '0.00';
@@ -6,6 +6,9 @@
 import { warn, error as logError } from './importDebug';
 import { getFirestore, doc, getDoc } from 'firebase/firestore';
 
+const SUPPORTED_FILE_TYPES = ['csv', 'pdf', 'ofx', 'qif', 'xlsx'];
+const SUPPORTED_EXTENSIONS = ['csv', 'txt', 'pdf', 'ofx', 'qfx', 'qif', 'xlsx', 'xls'];
+
 /**
  * Validation result structure
  */
@@ -48,9 +51,9 @@ export function validateFile(fileInfo) {
   }
 
   // Check file type
-  if (!fileInfo.type || (!fileInfo.type.includes('csv') && !fileInfo.type.includes('pdf'))) {
+  if (!fileInfo.type || !SUPPORTED_FILE_TYPES.some(type => fileInfo.type.includes(type))) {
     const extension = fileInfo.name.toLowerCase().split('.').pop();
-    if (extension !== 'csv' && extension !== 'pdf' && extension !== 'txt') {
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
       errors.push(`Unsupported file type: ${fileInfo.type || 'unknown'}`);
     }
   }
@@ -0,0 +1,129 @@
+// src/utils/itemizedSplit.js
+// Split a receipt between partners line by line
+
+import { DEFAULT_CURRENCY, getCurrencyDecimals } from '../constants/currencies';
+
+export const ITEM_ASSIGNMENTS = ['mine', 'partner', 'shared'];
+
+const DEFAULT_ASSIGNMENT = 'shared';
+
+// Amount in the currency's minor units (cents, or whole yen for JPY)
+const toMinorUnits = (value, factor) => Math.round((parseFloat(value) || 0) * factor);
+
+/**
+ * Build editable line items from OCR output
+ * Every line starts out shared so an untouched receipt splits 50/50
+ *
+ * @param {Array} lineItems - Line items returned by the OCR pipeline
+ * @returns {Array} Items with an `assignment`
+ */
+export const createItemization = (lineItems = []) => {
+  return lineItems
+    .filter((item) => item && parseFloat(item.price) > 0)
+    .map((item) => ({
+      description: item.description || '',
+      quantity: item.quantity || 1,
+      price: parseFloat(item.price),
+      assignment: DEFAULT_ASSIGNMENT,
+    }));
+};
+
+/**
+ * Calculate split details from assigned receipt lines
+ *
+ * Shared lines are halved. Whatever the lines don't account for - tax, tip,
+ * or a discount when the receipt total is known - is spread over both
+ * partners in proportion to their item subtotals, so the two amounts always
+ * add up to the receipt total. All maths is done in the currency's minor
+ * units (cents for USD, whole yen for JPY, fils for KWD).
+ *
+ * @param {Array} items - Items with `price` and `assignment` ('mine' | 'partner' | 'shared')
+ * @param {object} options
+ * @param {number} options.tax - Tax on the receipt
+ * @param {number} options.tip - Tip on the receipt
+ * @param {number} options.total - Receipt total (defaults to items + tax + tip)
+ * @param {number} options.targetTotal - Amount to split if different from the
+ *   receipt total, e.g. after currency conversion
+ * @param {string} options.currency - Currency of the receipt
+ * @param {string} options.targetCurrency - Currency of targetTotal (defaults to currency)
+ * @returns {object} Split details from the current user's perspective
+ * @throws {Error} If there is nothing to split
+ */
+export const calculateItemizedSplit = (items, {
+  tax = 0,
+  tip = 0,
+  total = null,
+  targetTotal = null,
+  currency = DEFAULT_CURRENCY,
+  targetCurrency = currency,
+} = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Itemized split needs at least one item');
+  }
+
+  const factor = 10 ** getCurrencyDecimals(currency);
+  let splitFactor = factor;
+
+  let mineUnits = 0;
+  let partnerUnits = 0;
+
+  items.forEach((item) => {
+    const units = toMinorUnits(item.price, factor);
+    const assignment = ITEM_ASSIGNMENTS.includes(item.assignment) ? item.assignment : DEFAULT_ASSIGNMENT;
+
+    if (assignment === 'mine') {
+      mineUnits += units;
+    } else if (assignment === 'partner') {
+      partnerUnits += units;
+    } else {
+      // An odd minor unit of a shared line goes to the current user
+      const half = Math.floor(units / 2);
+      partnerUnits += half;
+      mineUnits += units - half;
+    }
+  });
+
+  const subtotalUnits = mineUnits + partnerUnits;
+  const taxUnits = toMinorUnits(tax, factor);
+  const tipUnits = toMinorUnits(tip, factor);
+  const totalUnits = total !== null && total !== undefined
+    ? toMinorUnits(total, factor)
+    : subtotalUnits + taxUnits + tipUnits;
+
+  if (subtotalUnits <= 0 || totalUnits <= 0) {
+    throw new Error('Invalid amount: must be a positive number');
+  }
+
+  // Tax, tip and discounts follow each partner's share of the items
+  const extraUnits = totalUnits - subtotalUnits;
+  let user1Units = mineUnits + Math.round((extraUnits * mineUnits) / subtotalUnits);
+
+  // Rescale when splitting a different amount than the receipt shows
+  let splitUnits = totalUnits;
+  if (targetTotal !== null && targetTotal !== undefined) {
+    splitFactor = 10 ** getCurrencyDecimals(targetCurrency);
+    splitUnits = toMinorUnits(targetTotal, splitFactor);
+    user1Units = Math.round((splitUnits * user1Units) / totalUnits);
+  }
+
+  user1Units = Math.min(Math.max(user1Units, 0), splitUnits);
+  const user2Units = splitUnits - user1Units;
+  const user1Percentage = Math.round((user1Units * 100) / splitUnits);
+
+  return {
+    user1Amount: user1Units / splitFactor,
+    user2Amount: user2Units / splitFactor,
+    user1Percentage,
+    user2Percentage: 100 - user1Percentage,
+    subtotal: subtotalUnits / factor,
+    tax: taxUnits / factor,
+    tip: tipUnits / factor,
+    total: splitUnits / splitFactor,
+  };
+};
+
+export default {
+  ITEM_ASSIGNMENTS,
+  createItemization,
+  calculateItemizedSplit,
+};
@@ -0,0 +1,242 @@
+// src/utils/offlineMutations.js
+// Helpers for the offline write queue
+//
+// Expense, settlement and budget writes made without a connection are kept as
+// mutations in AsyncStorage (see offlineQueueService) and replayed in order
+// once the device is back online. Mutations only hold JSON-safe data: server
+// timestamps are added when the write is replayed.
+
+import { isExpenseDeleted } from './expenseTrash';
+
+export const MUTATION_ENTITIES = {
+  EXPENSE: 'expense',
+  SETTLEMENT: 'settlement',
+  BUDGET: 'budget',
+};
+
+export const MUTATION_OPS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+};
+
+export const MUTATION_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  FAILED: 'failed',
+};
+
+// Sync state shown on expense rows
+export const SYNC_STATES = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+  FAILED: 'failed',
+};
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value?.toDate === 'function') return value.toDate();
+  if (typeof value?.seconds === 'number') return new Date(value.seconds * 1000);
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Bring a value into a form that compares equal across JSON and Firestore
+ * Timestamps become ISO strings and object keys are sorted.
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value?.toDate === 'function') {
+    return toDate(value).toISOString();
+  }
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = normalizeValue(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Create a queued mutation
+ * @param {Object} params
+ * @param {string} params.entity - One of MUTATION_ENTITIES
+ * @param {string} params.op - One of MUTATION_OPS
+ * @param {string} params.entityId - Document ID (assigned up front for creates)
+ * @param {string} params.coupleId - Couple ID
+ * @param {Object} params.data - Fields to write
+ * @param {Object} params.base - Values of the changed fields as the user last saw them
+ * @param {number} now - Queue time in milliseconds
+ * @returns {Object} Mutation
+ */
+export const createMutation = ({ entity, op, entityId, coupleId, data, base = null }, now = Date.now()) => ({
+  id: `${now}_${Math.random().toString(36).substr(2, 9)}`,
+  entity,
+  op,
+  entityId,
+  coupleId,
+  data: JSON.parse(JSON.stringify(data)),
+  base: base ? JSON.parse(JSON.stringify(normalizeValue(base))) : null,
+  status: MUTATION_STATUS.PENDING,
+  retryCount: 0,
+  queuedAt: now,
+});
+
+/**
+ * Add a mutation to the queue
+ * An update to a document that is still waiting to be created, or that
+ * already has a pending update, is folded into that mutation so the queue
+ * never writes the same document twice.
+ * @param {Array} queue - Queued mutations, oldest first
+ * @param {Object} mutation - Mutation from createMutation
+ * @returns {Array} New queue
+ */
+export const enqueueMutation = (queue, mutation) => {
+  if (mutation.op === MUTATION_OPS.UPDATE) {
+    const index = queue.findIndex((queued) =>
+      queued.entity === mutation.entity &&
+      queued.entityId === mutation.entityId &&
+      queued.status === MUTATION_STATUS.PENDING
+    );
+
+    if (index > -1) {
+      const queued = queue[index];
+      const base = queued.base || mutation.base
+        ? { ...(mutation.base || {}), ...(queued.base || {}) }
+        : null;
+      const merged = {
+        ...queued,
+        data: { ...queued.data, ...mutation.data },
+        base: queued.op === MUTATION_OPS.CREATE ? null : base,
+      };
+      return [...queue.slice(0, index), merged, ...queue.slice(index + 1)];
+    }
+  }
+
+  return [...queue, mutation];
+};
+
+/**
+ * Put mutations left syncing by an interrupted run back in line
+ * A mutation is only syncing while a run is writing it, so any found when a
+ * run starts were cut off (e.g. the app was closed) and must be replayed.
+ * @param {Array} queue - Queued mutations
+ * @returns {Array} New queue
+ */
+export const resetInterruptedMutations = (queue) => queue.map((mutation) => (
+  mutation.status === MUTATION_STATUS.SYNCING
+    ? { ...mutation, status: MUTATION_STATUS.PENDING }
+    : mutation
+));
+
+/**
+ * Decide how to replay a mutation against the server version of its document
+ *
+ * - A create whose document already exists was written before; it is skipped.
+ * - An update to a document that no longer exists (or is in the trash) is dropped.
+ * - With `base` values, each field is checked on its own: a field the partner
+ *   changed in the meantime keeps the server value, the others are written.
+ * - Without `base` values, the whole update is dropped if the server document
+ *   was changed after the mutation was queued.
+ *
+ * @param {Object} mutation - Queued mutation
+ * @param {Object|null} serverData - Current server document, null when missing
+ * @returns {Object} { action: 'apply'|'skip', data, conflicts, reason }
+ */
+export const resolveMutation = (mutation, serverData) => {
+  if (mutation.op === MUTATION_OPS.CREATE) {
+    return serverData
+      ? { action: 'skip', data: null, conflicts: [], reason: 'exists' }
+      : { action: 'apply', data: mutation.data, conflicts: [], reason: null };
+  }
+
+  if (!serverData || isExpenseDeleted(serverData)) {
+    return { action: 'skip', data: null, conflicts: Object.keys(mutation.data), reason: 'missing' };
+  }
+
+  if (!mutation.base) {
+    const serverUpdatedAt = toDate(serverData.updatedAt);
+    if (serverUpdatedAt && serverUpdatedAt.getTime() > mutation.queuedAt) {
+      return { action: 'skip', data: null, conflicts: Object.keys(mutation.data), reason: 'conflict' };
+    }
+    return { action: 'apply', data: mutation.data, conflicts: [], reason: null };
+  }
+
+  const data = {};
+  const conflicts = [];
+  Object.entries(mutation.data).forEach(([field, value]) => {
+    const unchangedOnServer = !(field in mutation.base) ||
+      isSameValue(serverData[field], mutation.base[field]);
+
+    if (unchangedOnServer || isSameValue(serverData[field], value)) {
+      data[field] = value;
+    } else {
+      conflicts.push(field);
+    }
+  });
+
+  if (Object.keys(data).length === 0) {
+    return { action: 'skip', data: null, conflicts, reason: 'conflict' };
+  }
+  return { action: 'apply', data, conflicts, reason: conflicts.length > 0 ? 'conflict' : null };
+};
+
+/**
+ * Show queued expense writes in a list of server expenses
+ * Pending creates are added, pending updates are applied on top of the server
+ * version, and every expense gets a `syncState` when it has one. Writes that
+ * gave up after the retry limit show as failed.
+ * @param {Array} expenses - Expenses from Firestore
+ * @param {Array} queue - Queued mutations
+ * @param {Object} syncStates - { expenseId: SYNC_STATES.SYNCED|CONFLICT } for writes replayed this session
+ * @param {string} coupleId - Only mutations of this couple are shown
+ * @returns {Array} Expenses with pending writes applied
+ */
+export const applyPendingExpenses = (expenses, queue = [], syncStates = {}, coupleId = null) => {
+  const pending = queue.filter((mutation) =>
+    mutation.entity === MUTATION_ENTITIES.EXPENSE &&
+    (!coupleId || mutation.coupleId === coupleId)
+  );
+
+  const byId = new Map(expenses.map((expense) => [expense.id, expense]));
+  const created = [];
+
+  pending.forEach((mutation) => {
+    const syncState = mutation.status === MUTATION_STATUS.FAILED ? SYNC_STATES.FAILED : SYNC_STATES.PENDING;
+    const existing = byId.get(mutation.entityId);
+    if (existing) {
+      byId.set(mutation.entityId, { ...existing, ...mutation.data, syncState });
+    } else if (mutation.op === MUTATION_OPS.CREATE) {
+      created.push({ id: mutation.entityId, ...mutation.data, syncState });
+    }
+  });
+
+  const merged = expenses.map((expense) => {
+    const current = byId.get(expense.id);
+    if (current.syncState || !syncStates[expense.id]) return current;
+    return { ...current, syncState: syncStates[expense.id] };
+  });
+
+  return [...created, ...merged];
+};
+
+/**
+ * Count the mutations in each status
+ * @param {Array} queue - Queued mutations
+ * @returns {Object} { total, pending, syncing, failed }
+ */
+export const getMutationCounts = (queue = []) => ({
+  total: queue.length,
+  pending: queue.filter((mutation) => mutation.status === MUTATION_STATUS.PENDING).length,
+  syncing: queue.filter((mutation) => mutation.status === MUTATION_STATUS.SYNCING).length,
+  failed: queue.filter((mutation) => mutation.status === MUTATION_STATUS.FAILED).length,
+});
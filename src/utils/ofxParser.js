@@ -0,0 +1,232 @@
+/**
+ * Parses OFX and QFX bank statements
+ * Handles both OFX 1.x (SGML, leaf tags without closing tags) and OFX 2.x (XML)
+ *
+ * Every OFX transaction carries a FITID assigned by the bank. It stays the same
+ * across downloads, so duplicate detection can match it exactly instead of
+ * comparing dates, amounts and descriptions.
+ */
+
+const TRANSACTION_PATTERN = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>)|$)/gi;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': ' ',
+};
+
+/**
+ * Decode the XML/SGML entities banks use in names and memos
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Read the value of a leaf element
+ * Works for SGML (<NAME>Value) and XML (<NAME>Value</NAME>)
+ *
+ * @param {string} block - OFX text to search
+ * @param {string} tag - Element name
+ * @returns {string|null} Trimmed value or null if missing
+ */
+function getTagValue(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  if (!match) return null;
+
+  const value = decodeEntities(match[1]).trim();
+  return value || null;
+}
+
+/**
+ * Read an aggregate element such as <BANKACCTFROM>...</BANKACCTFROM>
+ */
+function getAggregate(text, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'i').exec(text);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse an OFX date (YYYYMMDD, optionally followed by HHMMSS, .XXX and a [+/-hh:TZ] offset)
+ * Only the calendar date is kept; banks post in their own time zone
+ *
+ * @param {string} value - OFX date value
+ * @returns {Date|null} Local date or null if invalid
+ */
+function parseOFXDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10) - 1;
+  const day = parseInt(match[3], 10);
+  const date = new Date(year, month, day);
+
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Parse an OFX amount
+ * OFX allows either "." or "," as the decimal separator
+ *
+ * @param {string} value - OFX amount value
+ * @returns {number} Signed amount or NaN if invalid
+ */
+function parseOFXAmount(value) {
+  if (!value) return NaN;
+
+  let cleaned = value.replace(/\s/g, '');
+  if (cleaned.includes(',') && !cleaned.includes('.')) {
+    cleaned = cleaned.replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  return /^[+-]?\d*\.?\d+$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+/**
+ * Check whether text content looks like an OFX/QFX statement
+ */
+export function isOFXContent(content) {
+  if (typeof content !== 'string') return false;
+  const head = content.slice(0, 2000);
+  return /OFXHEADER/i.test(head) || /<\?OFX/i.test(head) || /<OFX>/i.test(head);
+}
+
+/**
+ * Parse OFX/QFX file content
+ *
+ * @param {string} fileContent - OFX file content as string
+ * @returns {Promise<Object>} Parsed transactions and metadata
+ */
+export async function parseOFX(fileContent) {
+  if (!fileContent || typeof fileContent !== 'string') {
+    throw new Error('OFX file is empty');
+  }
+
+  const bodyStart = fileContent.search(/<OFX>/i);
+  if (bodyStart === -1) {
+    throw new Error('This file does not look like an OFX or QFX statement. Please check the file and try again.');
+  }
+  const body = fileContent.slice(bodyStart);
+
+  const accountBlock = getAggregate(body, 'BANKACCTFROM') || getAggregate(body, 'CCACCTFROM');
+  const accountId = accountBlock ? getTagValue(accountBlock, 'ACCTID') : null;
+  const statementCurrency = getTagValue(body, 'CURDEF');
+
+  const transactions = [];
+  const errors = [];
+  const duplicateFitIds = [];
+  const seenFitIds = new Set();
+
+  let match;
+  let index = 0;
+  TRANSACTION_PATTERN.lastIndex = 0;
+
+  while ((match = TRANSACTION_PATTERN.exec(body)) !== null) {
+    const block = match[1];
+    index += 1;
+
+    const fitId = getTagValue(block, 'FITID');
+    const date = parseOFXDate(getTagValue(block, 'DTPOSTED') || getTagValue(block, 'DTUSER'));
+
+    if (!date) {
+      errors.push({ row: index, error: 'Invalid date format', value: getTagValue(block, 'DTPOSTED') });
+      continue;
+    }
+
+    const signedAmount = parseOFXAmount(getTagValue(block, 'TRNAMT'));
+
+    if (isNaN(signedAmount)) {
+      errors.push({ row: index, error: 'Amount parsing failed: Invalid number', value: getTagValue(block, 'TRNAMT') });
+      continue;
+    }
+
+    if (signedAmount === 0) {
+      errors.push({ row: index, error: 'Zero amount transaction skipped', value: fitId });
+      continue;
+    }
+
+    // Overlapping downloads can repeat a transaction inside one file
+    if (fitId) {
+      if (seenFitIds.has(fitId)) {
+        duplicateFitIds.push(fitId);
+        continue;
+      }
+      seenFitIds.add(fitId);
+    }
+
+    const name = getTagValue(block, 'NAME');
+    const memo = getTagValue(block, 'MEMO');
+    const description = name || memo;
+
+    if (!description) {
+      errors.push({ row: index, error: 'Missing description', value: fitId });
+      continue;
+    }
+
+    transactions.push({
+      date,
+      description,
+      memo: name && memo && memo !== name ? memo : null,
+      // Money leaving the account is negative in OFX
+      amount: Math.abs(signedAmount),
+      type: signedAmount < 0 ? 'debit' : 'credit',
+      currency: getTagValue(block, 'CURSYM') || statementCurrency,
+      balance: null,
+      fitId,
+      accountId,
+      checkNumber: getTagValue(block, 'CHECKNUM'),
+      rawData: {
+        rowIndex: index,
+        transactionType: getTagValue(block, 'TRNTYPE'),
+      },
+    });
+  }
+
+  // Sort by date (oldest first)
+  transactions.sort((a, b) => a.date - b.date);
+
+  console.log('✅ OFX Parsing Complete:');
+  console.log(`  Total transactions: ${index}`);
+  console.log(`  Successful transactions: ${transactions.length}`);
+  console.log(`  Repeated FITIDs skipped: ${duplicateFitIds.length}`);
+  console.log(`  Errors: ${errors.length}`);
+
+  if (transactions.length === 0) {
+    throw new Error(
+      index === 0
+        ? 'No transactions found in OFX file'
+        : `No valid transactions found in OFX file. All ${index} transactions had errors.`
+    );
+  }
+
+  return {
+    transactions,
+    metadata: {
+      format: 'ofx',
+      totalRows: index,
+      successfulRows: transactions.length,
+      errorRows: errors.length,
+      errors,
+      accountId,
+      currency: statementCurrency,
+      transactionIdCount: transactions.filter(t => t.fitId).length,
+      duplicateFitIds,
+    },
+  };
+}
+
+export { parseOFXDate, parseOFXAmount };
+
+export default {
+  parseOFX,
+  isOFXContent,
+};
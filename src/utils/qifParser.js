@@ -0,0 +1,203 @@
+/**
+ * Parses QIF (Quicken Interchange Format) bank statements
+ *
+ * A QIF file is a list of records, one field per line, each record ending
+ * with "^". The first character of a line is the field code:
+ * D date, T/U amount, P payee, M memo, N check number, L category.
+ *
+ * QIF has no bank transaction IDs, so these transactions go through the
+ * usual date/amount/description duplicate matching.
+ */
+
+import { parseDate, parseAmount } from './csvParser';
+
+// Account types that hold plain spending transactions
+const SUPPORTED_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Check whether text content looks like a QIF file
+ */
+export function isQIFContent(content) {
+  if (typeof content !== 'string') return false;
+  return /^\s*!(Type|Account|Option)/i.test(content.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Parse a QIF date
+ * Quicken writes M/D/YY, M/D'YY (years 2000+) or MM/DD/YYYY; some banks use YYYY-MM-DD
+ *
+ * @param {string} value - QIF date value
+ * @param {string} dateFormat - Preferred date format ('auto', 'MM/DD/YYYY', 'DD/MM/YYYY')
+ * @returns {Date|null} Parsed date or null
+ */
+function parseQIFDate(value, dateFormat = 'auto') {
+  if (!value) return null;
+
+  const cleaned = value.trim().replace(/\s/g, '');
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(cleaned);
+  if (iso) {
+    return new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+  }
+
+  const parts = cleaned.split(/[/'.-]/);
+  if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+
+  let [first, second, year] = parts;
+  if (year.length <= 2) {
+    const shortYear = parseInt(year, 10);
+    // Quicken's apostrophe marks 2000+; otherwise assume the most recent century that fits
+    year = String(cleaned.includes("'") || shortYear < 70 ? 2000 + shortYear : 1900 + shortYear);
+  }
+
+  return parseDate(`${first.padStart(2, '0')}/${second.padStart(2, '0')}/${year}`, dateFormat);
+}
+
+/**
+ * Parse QIF file content
+ *
+ * @param {string} fileContent - QIF file content as string
+ * @param {Object} options - Parsing options
+ * @param {string} options.dateFormat - Preferred date format ('auto', 'MM/DD/YYYY', 'DD/MM/YYYY')
+ * @returns {Promise<Object>} Parsed transactions and metadata
+ */
+export async function parseQIF(fileContent, options = {}) {
+  const { dateFormat = 'auto' } = options;
+
+  if (!isQIFContent(fileContent)) {
+    throw new Error('This file does not look like a QIF statement. Please check the file and try again.');
+  }
+
+  const lines = fileContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const transactions = [];
+  const errors = [];
+
+  let accountType = null;
+  let inAccountList = false;
+  let record = {};
+  let recordIndex = 0;
+
+  const finishRecord = () => {
+    const hasFields = Object.keys(record).length > 0;
+    const current = record;
+    record = {};
+
+    if (!hasFields || inAccountList || !SUPPORTED_TYPES.includes(accountType)) return;
+    recordIndex += 1;
+
+    const date = parseQIFDate(current.D, dateFormat);
+    if (!date || isNaN(date.getTime())) {
+      errors.push({ row: recordIndex, error: 'Invalid date format', value: current.D });
+      return;
+    }
+
+    const amountResult = parseAmount(current.T || current.U);
+    if (!amountResult.isValid) {
+      errors.push({ row: recordIndex, error: `Amount parsing failed: ${amountResult.error}`, value: current.T || current.U });
+      return;
+    }
+
+    if (amountResult.value === 0) {
+      errors.push({ row: recordIndex, error: 'Zero amount transaction skipped', value: current.T || current.U });
+      return;
+    }
+
+    const payee = (current.P || '').trim();
+    const memo = (current.M || '').trim();
+    const description = payee || memo;
+
+    if (!description) {
+      errors.push({ row: recordIndex, error: 'Missing description', value: current.T || current.U });
+      return;
+    }
+
+    transactions.push({
+      date,
+      description,
+      memo: payee && memo && memo !== payee ? memo : null,
+      // Money leaving the account is negative in QIF
+      amount: Math.abs(amountResult.value),
+      type: amountResult.value < 0 ? 'debit' : 'credit',
+      currency: amountResult.currency,
+      balance: null,
+      checkNumber: current.N && /^\d+$/.test(current.N.trim()) ? current.N.trim() : null,
+      rawData: {
+        rowIndex: recordIndex,
+        category: current.L || null,
+      },
+    });
+  };
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trimEnd();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      finishRecord();
+      const header = line.toLowerCase();
+
+      if (header.startsWith('!type:')) {
+        accountType = header.slice('!type:'.length).trim();
+        inAccountList = false;
+      } else if (header.startsWith('!account')) {
+        inAccountList = true;
+      } else if (header.startsWith('!clear:autoswitch')) {
+        inAccountList = false;
+      }
+      return;
+    }
+
+    if (line.startsWith('^')) {
+      finishRecord();
+      return;
+    }
+
+    const code = line[0];
+    // Only the first value of each field is kept (split lines like S/E/$ repeat)
+    if (record[code] === undefined) {
+      record[code] = line.slice(1);
+    }
+  });
+
+  // Last record may be missing its "^"
+  finishRecord();
+
+  // Sort by date (oldest first)
+  transactions.sort((a, b) => a.date - b.date);
+
+  console.log('✅ QIF Parsing Complete:');
+  console.log(`  Account type: ${accountType || 'unknown'}`);
+  console.log(`  Total records: ${recordIndex}`);
+  console.log(`  Successful transactions: ${transactions.length}`);
+  console.log(`  Errors: ${errors.length}`);
+
+  if (transactions.length === 0) {
+    if (accountType && !SUPPORTED_TYPES.includes(accountType)) {
+      throw new Error(`QIF files of type "${accountType}" are not supported. Please export a bank, cash or credit card account.`);
+    }
+    throw new Error(
+      recordIndex === 0
+        ? 'No transactions found in QIF file'
+        : `No valid transactions found in QIF file. All ${recordIndex} records had errors.`
+    );
+  }
+
+  return {
+    transactions,
+    metadata: {
+      format: 'qif',
+      accountType,
+      totalRows: recordIndex,
+      successfulRows: transactions.length,
+      errorRows: errors.length,
+      errors,
+      transactionIdCount: 0,
+    },
+  };
+}
+
+export { parseQIFDate };
+
+export default {
+  parseQIF,
+  isQIFContent,
+};
@@ -0,0 +1,213 @@
+// src/utils/recurrence.js
+// Date math for recurring expense schedules
+//
+// Occurrence dates are stored as local 'YYYY-MM-DD' keys so that a monthly
+// rent on the 1st stays on the 1st regardless of the device time zone.
+// Every occurrence is computed from the series start (never from the previous
+// occurrence) so clamped days like the 31st don't drift to the 28th forever.
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+export const RECURRENCE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+};
+
+// Safety cap for catch-up loops (e.g. after a long pause in materialization)
+export const MAX_OCCURRENCES_PER_RUN = 60;
+
+/**
+ * Convert a Date (or date-like value) to a local 'YYYY-MM-DD' key
+ * @param {Date|string|Object} value - Date, ISO string or Firestore Timestamp
+ * @returns {string|null} Date key or null if invalid
+ */
+export const toDateKey = (value) => {
+  if (!value) return null;
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const date = value?.toDate ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse a 'YYYY-MM-DD' key into a Date at local midnight
+ * @param {string} key - Date key
+ * @returns {Date|null}
+ */
+export const parseDateKey = (key) => {
+  if (!key || typeof key !== 'string') return null;
+
+  const [year, month, day] = key.split('-').map(Number);
+  if (!year || !month || !day) return null;
+
+  return new Date(year, month - 1, day);
+};
+
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+/**
+ * Get the date of the nth occurrence (0-based) of a recurrence rule
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {string} rule.frequency - 'weekly' | 'monthly' | 'yearly'
+ * @param {number} rule.interval - Repeat every N periods (default 1)
+ * @param {string} rule.startDate - Series start ('YYYY-MM-DD'); no occurrence falls before it
+ * @param {number} rule.dayOfMonth - Custom day of month for monthly rules (1-31)
+ * @param {number} index - Occurrence index
+ * @returns {string|null} Occurrence date key
+ */
+export const getOccurrenceDate = (rule, index) => {
+  const start = parseDateKey(toDateKey(rule?.startDate));
+  if (!start || index < 0) return null;
+
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const date = new Date(start);
+      date.setDate(start.getDate() + index * interval * 7);
+      return toDateKey(date);
+    }
+
+    case 'monthly': {
+      const targetDay = rule.dayOfMonth || start.getDate();
+      // A custom day before the start day first falls in the next month
+      const firstMonth = Math.min(targetDay, daysInMonth(start.getFullYear(), start.getMonth())) < start.getDate()
+        ? 1
+        : 0;
+      const totalMonths = start.getMonth() + firstMonth + index * interval;
+      const year = start.getFullYear() + Math.floor(totalMonths / 12);
+      const monthIndex = totalMonths % 12;
+      const day = Math.min(targetDay, daysInMonth(year, monthIndex));
+      return toDateKey(new Date(year, monthIndex, day));
+    }
+
+    case 'yearly': {
+      const year = start.getFullYear() + index * interval;
+      const day = Math.min(start.getDate(), daysInMonth(year, start.getMonth()));
+      return toDateKey(new Date(year, start.getMonth(), day));
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the index of the first occurrence on or after a date
+ * @param {Object} rule - Recurrence rule
+ * @param {string|Date} date - Reference date
+ * @returns {number} Occurrence index
+ */
+export const getOccurrenceIndexOnOrAfter = (rule, date) => {
+  const target = toDateKey(date);
+  let index = 0;
+
+  while (index < 10000) {
+    const occurrence = getOccurrenceDate(rule, index);
+    if (!occurrence || occurrence >= target) return index;
+    index++;
+  }
+
+  return index;
+};
+
+/**
+ * Check whether a rule has run out of occurrences at the given index
+ * @param {Object} rule - Recurrence rule with optional endDate / maxOccurrences
+ * @param {number} index - Occurrence index
+ * @returns {boolean}
+ */
+export const isRecurrenceFinished = (rule, index) => {
+  if (rule.maxOccurrences && index >= rule.maxOccurrences) {
+    return true;
+  }
+
+  const occurrence = getOccurrenceDate(rule, index);
+  if (!occurrence) return true;
+
+  const endDate = toDateKey(rule.endDate);
+  return !!endDate && occurrence > endDate;
+};
+
+/**
+ * List upcoming occurrences starting at an index, honouring end conditions
+ * and skipped dates
+ *
+ * @param {Object} rule - Recurrence rule
+ * @param {number} fromIndex - First occurrence index to consider
+ * @param {number} count - Maximum number of dates to return
+ * @returns {Array<{index: number, date: string, skipped: boolean}>}
+ */
+export const getUpcomingOccurrences = (rule, fromIndex = 0, count = 3) => {
+  const skipped = new Set(rule.skippedDates || []);
+  const occurrences = [];
+  let index = fromIndex;
+
+  while (occurrences.length < count && !isRecurrenceFinished(rule, index)) {
+    const date = getOccurrenceDate(rule, index);
+    occurrences.push({ index, date, skipped: skipped.has(date) });
+    index++;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Validate a recurrence rule before saving
+ * @param {Object} rule - Recurrence rule
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+export const validateRecurrenceRule = (rule) => {
+  const errors = [];
+
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+    errors.push('Frequency must be weekly, monthly or yearly');
+    return { isValid: false, errors };
+  }
+
+  const startDate = toDateKey(rule.startDate);
+  if (!startDate) {
+    errors.push('Start date is required');
+  }
+
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+    errors.push('Interval must be a whole number of at least 1');
+  }
+
+  if (rule.dayOfMonth !== undefined && rule.dayOfMonth !== null) {
+    if (rule.frequency !== 'monthly') {
+      errors.push('Day of month only applies to monthly schedules');
+    } else if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      errors.push('Day of month must be between 1 and 31');
+    }
+  }
+
+  if (rule.endDate) {
+    const endDate = toDateKey(rule.endDate);
+    if (!endDate) {
+      errors.push('End date is invalid');
+    } else if (startDate && endDate < startDate) {
+      errors.push('End date must be after the start date');
+    }
+  }
+
+  if (
+    rule.maxOccurrences !== undefined &&
+    rule.maxOccurrences !== null &&
+    (!Number.isInteger(rule.maxOccurrences) || rule.maxOccurrences < 1)
+  ) {
+    errors.push('Number of occurrences must be at least 1');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
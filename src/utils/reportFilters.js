@@ -103,6 +103,25 @@ export const filterExpensesByAmountRange = (expenses, minAmount, maxAmount) => {
   });
 };
 
+/**
+ * Filter expenses by tags
+ * @param {Array} expenses - Array of expense objects
+ * @param {Array} tagKeys - Array of tag keys to include
+ * @param {string} match - 'any' (at least one of the tags) or 'all' (every tag)
+ * @returns {Array} Filtered expenses
+ */
+export const filterExpensesByTags = (expenses, tagKeys, match = 'any') => {
+  if (!Array.isArray(expenses)) return [];
+  if (!tagKeys || tagKeys.length === 0) return expenses;
+
+  return expenses.filter(expense => {
+    const expenseTags = expense.tags || [];
+    return match === 'all'
+      ? tagKeys.every(tag => expenseTags.includes(tag))
+      : tagKeys.some(tag => expenseTags.includes(tag));
+  });
+};
+
 /**
  * Apply all filters to expenses
  * @param {Array} expenses - Array of expense objects
@@ -137,6 +156,11 @@ export const applyAllFilters = (expenses, filters, userId, partnerId) => {
     filtered = filterExpensesByAmountRange(filtered, filters.minAmount, filters.maxAmount);
   }
 
+  // Apply tag filter
+  if (filters.tags && filters.tags.length > 0) {
+    filtered = filterExpensesByTags(filtered, filters.tags, filters.tagMatch);
+  }
+
   return filtered;
 };
 
@@ -238,6 +262,102 @@ export const groupExpensesByCategory = (expenses, categories = {}) => {
   return grouped;
 };
 
+/**
+ * Group expenses by tag
+ * An expense with several tags appears in each of their groups
+ * @param {Array} expenses - Array of expense objects
+ * @param {Object} tags - Tags object from BudgetContext
+ * @returns {Object} Object with tag keys (and 'untagged') and expense arrays
+ */
+export const groupExpensesByTag = (expenses, tags = {}) => {
+  if (!Array.isArray(expenses)) return {};
+
+  const grouped = {};
+  const untagged = [];
+
+  expenses.forEach(expense => {
+    const expenseTags = (expense.tags || []).filter(tag => tags[tag]);
+
+    if (expenseTags.length === 0) {
+      untagged.push(expense);
+      return;
+    }
+
+    expenseTags.forEach(tag => {
+      if (!grouped[tag]) {
+        grouped[tag] = {
+          tag,
+          label: tags[tag].name,
+          expenses: [],
+        };
+      }
+
+      grouped[tag].expenses.push(expense);
+    });
+  });
+
+  const sorted = Object.fromEntries(
+    Object.entries(grouped).sort(([, a], [, b]) => a.label.localeCompare(b.label))
+  );
+
+  if (untagged.length > 0) {
+    sorted.untagged = { tag: null, label: 'Untagged', expenses: untagged };
+  }
+
+  return sorted;
+};
+
+/**
+ * Calculate spending per tag
+ * Percentages are of the total spent, so they can add up to more than 100%
+ * when expenses carry several tags
+ * @param {Array} expenses - Array of expense objects
+ * @param {Object} tags - Tags object from BudgetContext
+ * @returns {Object} { items: [{ key, name, color, total, count, percentage }], untaggedTotal, untaggedCount }
+ */
+export const calculateTagBreakdown = (expenses, tags = {}) => {
+  if (!Array.isArray(expenses)) return { items: [], untaggedTotal: 0, untaggedCount: 0 };
+
+  const totals = {};
+  let grandTotal = 0;
+  let untaggedTotal = 0;
+  let untaggedCount = 0;
+
+  expenses.forEach(expense => {
+    // Use primaryCurrencyAmount for multi-currency support, fallback to amount for legacy data
+    const amount = expense.primaryCurrencyAmount || expense.amount || 0;
+    const expenseTags = [...new Set(expense.tags || [])].filter(tag => tags[tag]);
+    grandTotal += amount;
+
+    if (expenseTags.length === 0) {
+      untaggedTotal += amount;
+      untaggedCount += 1;
+      return;
+    }
+
+    expenseTags.forEach(tag => {
+      if (!totals[tag]) {
+        totals[tag] = { total: 0, count: 0 };
+      }
+      totals[tag].total += amount;
+      totals[tag].count += 1;
+    });
+  });
+
+  const items = Object.entries(totals)
+    .map(([key, { total, count }]) => ({
+      key,
+      name: tags[key].name,
+      color: tags[key].color,
+      total,
+      count,
+      percentage: grandTotal > 0 ? (total / grandTotal) * 100 : 0,
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  return { items, untaggedTotal, untaggedCount };
+};
+
 /**
  * Group expenses by settlement status
  * @param {Array} expenses - Array of expense objects
@@ -322,6 +442,8 @@ export const getDefaultFilters = () => ({
   paidBy: 'all',
   minAmount: null,
   maxAmount: null,
+  tags: [],
+  tagMatch: 'any',
 });
 
 /**
@@ -337,6 +459,7 @@ export const countActiveFilters = (filters) => {
   if (filters.settlementStatus && filters.settlementStatus !== 'all') count++;
   if (filters.paidBy && filters.paidBy !== 'all') count++;
   if (filters.minAmount !== null || filters.maxAmount !== null) count++;
+  if (filters.tags && filters.tags.length > 0) count++;
 
   return count;
 };
@@ -347,11 +470,14 @@ export default {
   filterExpensesBySettlementStatus,
   filterExpensesByPayer,
   filterExpensesByAmountRange,
+  filterExpensesByTags,
   applyAllFilters,
   sortExpenses,
   groupExpensesByMonth,
   groupExpensesByCategory,
+  groupExpensesByTag,
   groupExpensesBySettlementStatus,
+  calculateTagBreakdown,
   generateReportSummary,
   getDefaultFilters,
   countActiveFilters,
@@ -0,0 +1,254 @@
+// src/utils/spendingForecast.js
+// Month-end and fiscal-year-end spending projections
+//
+// Discretionary spending (everything not created by a recurring series) is
+// projected from a blend of this month's daily pace and the average of
+// previous months: early in the month history carries most of the weight,
+// by the end of the month the actual pace does. Recurring expenses that are
+// still scheduled are added on top at their real amounts instead of being
+// extrapolated.
+
+import { getUpcomingOccurrences, MAX_OCCURRENCES_PER_RUN, RECURRENCE_STATUS } from './recurrence';
+
+export const FORECAST_STATUS = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk', // Projected to use 90%+ of the budget
+  ON_PACE_TO_EXCEED: 'on_pace_to_exceed', // Projected over budget, not over yet
+  EXCEEDED: 'exceeded',
+};
+
+export const AT_RISK_THRESHOLD = 90;
+
+// Months of history averaged into the projection
+export const FORECAST_HISTORY_MONTHS = 6;
+
+const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whether an expense was created by a recurring series
+ * @param {Object} expense - Expense object
+ * @returns {boolean}
+ */
+export const isRecurringExpense = (expense) => !!expense?.recurringExpenseId;
+
+/**
+ * Number of days in a month
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year
+ * @returns {number}
+ */
+export const getDaysInMonth = (month, year) => new Date(year, month, 0).getDate();
+
+/**
+ * Average spending per category across months
+ * A category missing from a month counts as nothing spent that month.
+ * @param {Array<Object>} monthlySpending - One { categoryKey: amount } map per month
+ * @returns {Object|null} { categoryKey: average }, or null without any history
+ */
+export const calculateHistoricalAverages = (monthlySpending = []) => {
+  if (monthlySpending.length === 0) {
+    return null;
+  }
+
+  const totals = {};
+  monthlySpending.forEach((spending) => {
+    Object.entries(spending || {}).forEach(([key, amount]) => {
+      totals[key] = (totals[key] || 0) + amount;
+    });
+  });
+
+  const averages = {};
+  Object.entries(totals).forEach(([key, total]) => {
+    averages[key] = roundAmount(total / monthlySpending.length);
+  });
+
+  return averages;
+};
+
+/**
+ * Sum the recurring occurrences still to come, by category
+ * Counts every occurrence the series hasn't materialized yet (skipped dates
+ * excluded) up to and including `toKey`.
+ * @param {Array} recurringExpenses - Recurring expense series
+ * @param {string} toKey - Last date to include ('YYYY-MM-DD')
+ * @param {string} fromKey - Only count occurrences after this date (optional)
+ * @returns {Object} { categoryKey: amount }
+ */
+export const getUpcomingRecurringAmounts = (recurringExpenses = [], toKey, fromKey = null) => {
+  const amounts = {};
+
+  recurringExpenses.forEach((series) => {
+    if (!series || series.status !== RECURRENCE_STATUS.ACTIVE) {
+      return;
+    }
+
+    const amount = series.primaryCurrencyAmount || series.amount || 0;
+    const categoryKey = series.categoryKey || series.category || 'other';
+
+    getUpcomingOccurrences(series, series.occurrenceIndex || 0, MAX_OCCURRENCES_PER_RUN)
+      .filter((occurrence) => !occurrence.skipped
+        && occurrence.date <= toKey
+        && (!fromKey || occurrence.date > fromKey))
+      .forEach(() => {
+        amounts[categoryKey] = roundAmount((amounts[categoryKey] || 0) + amount);
+      });
+  });
+
+  return amounts;
+};
+
+/**
+ * Project a category's spending to the end of a month
+ *
+ * @param {Object} params
+ * @param {number} params.spent - Spent so far this month (all expenses)
+ * @param {number} params.recurringSpent - Part of `spent` created by recurring series
+ * @param {number} params.daysElapsed - Days of the month so far, including today
+ * @param {number} params.daysInMonth - Days in the month
+ * @param {number|null} params.historicalAverage - Average discretionary spend in previous months
+ * @param {number} params.upcomingRecurring - Recurring amounts still scheduled this month
+ * @returns {number} Projected month-end spending
+ */
+export const projectMonthEnd = ({
+  spent = 0,
+  recurringSpent = 0,
+  daysElapsed,
+  daysInMonth,
+  historicalAverage = null,
+  upcomingRecurring = 0,
+}) => {
+  const elapsed = Math.min(Math.max(daysElapsed, 1), daysInMonth);
+  const daysRemaining = daysInMonth - elapsed;
+  const discretionarySpent = Math.max(0, spent - recurringSpent);
+
+  const paceRemaining = (discretionarySpent / elapsed) * daysRemaining;
+  let discretionaryRemaining = paceRemaining;
+
+  if (historicalAverage !== null && historicalAverage !== undefined) {
+    const historyRemaining = historicalAverage * (daysRemaining / daysInMonth);
+    const paceWeight = elapsed / daysInMonth;
+    discretionaryRemaining = paceWeight * paceRemaining + (1 - paceWeight) * historyRemaining;
+  }
+
+  return roundAmount(spent + discretionaryRemaining + upcomingRecurring);
+};
+
+/**
+ * Classify a projection against its budget
+ * @param {number} projected - Projected spending
+ * @param {number} spent - Spent so far
+ * @param {number} budget - Budget amount
+ * @returns {string} One of FORECAST_STATUS
+ */
+export const getForecastStatus = (projected, spent, budget) => {
+  if (!budget || budget <= 0) {
+    return FORECAST_STATUS.ON_TRACK;
+  }
+
+  if (spent > budget) {
+    return FORECAST_STATUS.EXCEEDED;
+  }
+
+  if (projected > budget) {
+    return FORECAST_STATUS.ON_PACE_TO_EXCEED;
+  }
+
+  if ((projected / budget) * 100 >= AT_RISK_THRESHOLD) {
+    return FORECAST_STATUS.AT_RISK;
+  }
+
+  return FORECAST_STATUS.ON_TRACK;
+};
+
+/**
+ * Forecast every budgeted category to the end of the month
+ *
+ * @param {Object} params
+ * @param {Object} params.categoryBudgets - { categoryKey: budget } (including rollovers)
+ * @param {Object} params.spending - This month's spending by category
+ * @param {Object} params.recurringSpending - Part of `spending` created by recurring series
+ * @param {Object|null} params.historicalAverages - Average discretionary spending by category, null without history
+ * @param {Object} params.upcomingRecurring - Recurring amounts still scheduled this month
+ * @param {number} params.daysElapsed - Days of the month so far, including today
+ * @param {number} params.daysInMonth - Days in the month
+ * @returns {Object} { totalBudget, totalSpent, totalProjected, categories, flagged }
+ *   `flagged` lists categories on pace to exceed their budget, largest overage first
+ */
+export const forecastMonth = ({
+  categoryBudgets = {},
+  spending = {},
+  recurringSpending = {},
+  historicalAverages = null,
+  upcomingRecurring = {},
+  daysElapsed,
+  daysInMonth,
+}) => {
+  const categories = {};
+  let totalBudget = 0;
+  let totalSpent = 0;
+  let totalProjected = 0;
+
+  Object.entries(categoryBudgets).forEach(([key, budget]) => {
+    const spent = spending[key] || 0;
+    const projected = projectMonthEnd({
+      spent,
+      recurringSpent: recurringSpending[key] || 0,
+      daysElapsed,
+      daysInMonth,
+      historicalAverage: historicalAverages ? historicalAverages[key] || 0 : null,
+      upcomingRecurring: upcomingRecurring[key] || 0,
+    });
+
+    totalBudget += budget;
+    totalSpent += spent;
+    totalProjected += projected;
+
+    categories[key] = {
+      budget,
+      spent,
+      projected,
+      projectedRemaining: roundAmount(budget - projected),
+      status: getForecastStatus(projected, spent, budget),
+    };
+  });
+
+  const flagged = Object.keys(categories)
+    .filter((key) => categories[key].status === FORECAST_STATUS.ON_PACE_TO_EXCEED)
+    .sort((a, b) => categories[a].projectedRemaining - categories[b].projectedRemaining);
+
+  return {
+    totalBudget: roundAmount(totalBudget),
+    totalSpent: roundAmount(totalSpent),
+    totalProjected: roundAmount(totalProjected),
+    categories,
+    flagged,
+  };
+};
+
+/**
+ * Project a category's spending to the end of the fiscal year
+ *
+ * @param {Object} params
+ * @param {number} params.spentToDate - Spent so far this fiscal year
+ * @param {number} params.monthSpent - Spent so far this month
+ * @param {number} params.monthProjected - Projected month-end spending
+ * @param {number} params.monthlyRate - Expected discretionary spending per month
+ * @param {number} params.daysAfterMonth - Days from the end of this month to the fiscal year end
+ * @param {number} params.upcomingRecurring - Recurring amounts scheduled after this month
+ * @returns {number} Projected fiscal-year-end spending
+ */
+export const projectFiscalYearEnd = ({
+  spentToDate = 0,
+  monthSpent = 0,
+  monthProjected = 0,
+  monthlyRate = 0,
+  daysAfterMonth = 0,
+  upcomingRecurring = 0,
+}) => {
+  const restOfMonth = Math.max(0, monthProjected - monthSpent);
+  const laterMonths = monthlyRate * (Math.max(0, daysAfterMonth) / AVERAGE_DAYS_PER_MONTH);
+
+  return roundAmount(spentToDate + restOfMonth + laterMonths + upcomingRecurring);
+};
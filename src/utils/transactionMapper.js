@@ -78,6 +78,8 @@ export function mapTransactionToExpense(transaction, config) {
     amount: transaction.amount,
     currency: expenseCurrency,
     description: transaction.description,
+    // OFX/QIF memos that differ from the payee name
+    ...(transaction.memo && { notes: transaction.memo }),
     categoryKey: finalCategory,
     category: finalCategory, // Legacy field
     date: transaction.date.toISOString(),
@@ -93,6 +95,11 @@ export function mapTransactionToExpense(transaction, config) {
       // Store only the row index instead of full rawData to avoid size limits
       rowIndex: transaction.rawData?.rowIndex,
       splitWarning, // Include warning if split had issues
+      // Bank transaction ID from OFX/QFX files, used for exact duplicate matching
+      ...(transaction.fitId && {
+        fitId: transaction.fitId,
+        accountId: transaction.accountId || null,
+      }),
     },
   };
 
@@ -0,0 +1,403 @@
+import * as XLSX from 'xlsx';
+import { detectHeaderRow, findColumnIndex, processCSVData, detectCurrency } from './csvParser';
+
+/**
+ * Parses XLSX and XLS bank statements and expense reports
+ *
+ * Sheets are turned into the same row arrays the CSV parser works with, so
+ * header detection, footer removal and transaction building are shared.
+ * Spreadsheet-specific work happens here: picking the sheet, turning Excel
+ * serial dates into dates and reading currency-formatted cells.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Days between the 1900 and 1904 date systems (Mac Excel used 1904)
+const DATE_1904_OFFSET = 1462;
+
+// Serial numbers in this range are 1927–2173, wide enough for any statement
+const MIN_DATE_SERIAL = 10000;
+const MAX_DATE_SERIAL = 100000;
+
+export const MAPPABLE_COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'balance'];
+
+const AMOUNT_COLUMNS = ['amount', 'debit', 'credit', 'balance'];
+
+/**
+ * Convert an Excel serial date to a local calendar date
+ * Serial 1 is 1900-01-01; day 0 is taken as 1899-12-30 so that Excel's
+ * phantom 1900-02-29 lines up for every real date after it
+ *
+ * @param {number} serial - Excel serial date (the time fraction is ignored)
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {Date|null} Local date or null if not a usable serial
+ */
+function excelSerialToDate(serial, date1904 = false) {
+  if (typeof serial !== 'number' || !isFinite(serial) || serial < (date1904 ? 0 : 1)) {
+    return null;
+  }
+
+  const days = Math.floor(serial) + (date1904 ? DATE_1904_OFFSET : 0);
+  const utc = new Date(Date.UTC(1899, 11, 30) + days * MS_PER_DAY);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Find the currency of a number format such as "$"#,##0.00 or [$€-407] #,##0.00
+ *
+ * @param {string} numberFormat - Excel number format code
+ * @returns {string|null} Currency code or null
+ */
+function getFormatCurrency(numberFormat) {
+  if (!numberFormat || typeof numberFormat !== 'string') return null;
+
+  // Locale-tagged symbols: [$€-407], [$EUR], [$R$-416]
+  const tagged = /\[\$([^\]-]+)(?:-[^\]]*)?\]/.exec(numberFormat);
+  if (tagged) {
+    return detectCurrency(tagged[1]);
+  }
+
+  // Quoted or escaped literals: "$"#,##0.00, #,##0.00\ "€"
+  const literals = numberFormat.replace(/\[[^\]]*\]/g, '').replace(/[\\"]/g, '');
+  return detectCurrency(literals);
+}
+
+/**
+ * Parse an amount typed into a text cell
+ * Handles currency symbols or codes, parentheses and trailing minus for
+ * negatives, and both 1,234.56 and 1.234,56 grouping
+ *
+ * @param {string} text - Cell text
+ * @returns {Object|null} { value, currency } or null if not an amount
+ */
+function parseSpreadsheetAmount(text) {
+  if (text === null || text === undefined) return null;
+
+  const str = String(text).trim();
+  if (!str) return null;
+
+  const currency = detectCurrency(str);
+  const negative = /^\(.*\)$/.test(str) || /^-/.test(str.replace(/[^\d.,-]/g, '')) || /-\s*$/.test(str);
+  let digits = str.replace(/[^\d.,]/g, '');
+
+  if (!/\d/.test(digits)) return null;
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal one
+    digits = lastComma > lastDot
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    const isDecimalComma = digits.indexOf(',') === lastComma && /,\d{1,2}$/.test(digits);
+    digits = isDecimalComma ? digits.replace(',', '.') : digits.replace(/,/g, '');
+  } else if (lastDot !== -1 && digits.indexOf('.') !== lastDot) {
+    // Several dots can only be thousands separators
+    digits = digits.replace(/\./g, '');
+  }
+
+  const value = parseFloat(digits);
+  if (isNaN(value)) return null;
+
+  return { value: negative ? -value : value, currency };
+}
+
+/**
+ * Write an amount the way the CSV amount parser reads it ("-1234.56 EUR")
+ */
+function formatAmountForParser({ value, currency }) {
+  return currency ? `${value} ${currency}` : String(value);
+}
+
+/**
+ * Read workbook data
+ *
+ * @param {Buffer|ArrayBuffer|Uint8Array} content - File bytes
+ * @returns {Object} SheetJS workbook
+ */
+function readWorkbook(content) {
+  if (!content || (content.byteLength ?? content.length) === 0) {
+    throw new Error('Spreadsheet file is empty');
+  }
+
+  const data = content instanceof Uint8Array ? content : new Uint8Array(content);
+
+  try {
+    // cellNF keeps number formats so date and currency cells can be recognised
+    return XLSX.read(data, { type: 'array', cellNF: true, cellDates: false });
+  } catch (error) {
+    throw new Error(`Could not open spreadsheet: ${error.message}`);
+  }
+}
+
+/**
+ * Get the names of the sheets in a workbook
+ */
+function getSheetNames(workbook) {
+  return workbook.SheetNames || [];
+}
+
+/**
+ * Pick the requested sheet, or the first one that has data
+ */
+function resolveSheetName(workbook, sheetName) {
+  const sheetNames = getSheetNames(workbook);
+
+  if (sheetName) {
+    if (!sheetNames.includes(sheetName)) {
+      throw new Error(`Sheet "${sheetName}" was not found in this file`);
+    }
+    return sheetName;
+  }
+
+  const withData = sheetNames.find(name => workbook.Sheets[name]?.['!ref']);
+  if (!withData) {
+    throw new Error('This spreadsheet has no sheets with data');
+  }
+  return withData;
+}
+
+/**
+ * Normalise one cell into what the CSV pipeline expects
+ * Date-formatted numbers become Dates; everything else becomes text
+ */
+function normalizeCell(cell, date1904) {
+  if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e' || cell.t === 'z') {
+    return '';
+  }
+
+  if (cell.v instanceof Date) {
+    return new Date(cell.v.getFullYear(), cell.v.getMonth(), cell.v.getDate());
+  }
+
+  if (cell.t === 'n') {
+    if (cell.z && XLSX.SSF.is_date(cell.z)) {
+      return excelSerialToDate(cell.v, date1904) || '';
+    }
+
+    const currency = getFormatCurrency(cell.z);
+    return formatAmountForParser({ value: cell.v, currency });
+  }
+
+  return String(cell.v).trim();
+}
+
+/**
+ * Turn a sheet into rows of normalised cells
+ * Blank rows are dropped, matching the CSV parser's skipEmptyLines
+ *
+ * @returns {Array<Array>} Rows
+ */
+function getSheetRows(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) return [];
+
+  const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = [];
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    // Start at column A so indices match the column letters the user sees
+    for (let c = 0; c <= range.e.c; c++) {
+      row.push(normalizeCell(sheet[XLSX.utils.encode_cell({ r, c })], date1904));
+    }
+
+    if (row.some(cell => cell !== '')) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Find the header row, or add one named after the column letters when the sheet has none
+ */
+function resolveHeader(rows, headerIndex) {
+  if (headerIndex === undefined || headerIndex === null) {
+    headerIndex = detectHeaderRow(rows).index;
+  }
+
+  if (headerIndex >= 0) {
+    return { rows, headerIndex };
+  }
+
+  const width = Math.max(...rows.map(row => row.length));
+  const letters = Array.from({ length: width }, (_, c) => XLSX.utils.encode_col(c));
+  return { rows: [letters, ...rows], headerIndex: 0 };
+}
+
+/**
+ * Guess which column holds each field from the header names
+ */
+function detectColumnMapping(headers) {
+  return MAPPABLE_COLUMNS.reduce((mapping, columnType) => {
+    mapping[columnType] = findColumnIndex(headers.map(h => String(h || '')), columnType);
+    return mapping;
+  }, {});
+}
+
+/**
+ * Check that a column mapping has everything needed to build transactions
+ */
+export function hasRequiredColumns(columnMapping) {
+  if (!columnMapping) return false;
+
+  const isSet = (columnType) => columnMapping[columnType] !== undefined &&
+    columnMapping[columnType] !== null &&
+    columnMapping[columnType] >= 0;
+
+  return isSet('date') && isSet('description') &&
+    (isSet('amount') || isSet('debit') || isSet('credit'));
+}
+
+/**
+ * Rewrite the date and amount columns of data rows so the CSV pipeline can read them
+ * Dates typed as plain numbers are treated as serials; amounts typed as text
+ * are parsed with either decimal separator
+ */
+function normalizeMappedColumns(rows, headerIndex, columnMapping, date1904) {
+  return rows.map((row, index) => {
+    if (index <= headerIndex) return row;
+
+    const normalized = [...row];
+    const dateIndex = columnMapping.date;
+
+    if (dateIndex >= 0 && typeof normalized[dateIndex] === 'string' && /^\d+(\.\d+)?$/.test(normalized[dateIndex])) {
+      const serial = parseFloat(normalized[dateIndex]);
+      if (serial >= MIN_DATE_SERIAL && serial <= MAX_DATE_SERIAL) {
+        normalized[dateIndex] = excelSerialToDate(serial, date1904);
+      }
+    }
+
+    AMOUNT_COLUMNS.forEach((columnType) => {
+      const columnIndex = columnMapping[columnType];
+      if (columnIndex === undefined || columnIndex === null || columnIndex < 0) return;
+
+      const amount = parseSpreadsheetAmount(normalized[columnIndex]);
+      if (amount) {
+        normalized[columnIndex] = formatAmountForParser(amount);
+      }
+    });
+
+    return normalized;
+  });
+}
+
+/**
+ * Describe a sheet for the sheet picker and column-mapping step
+ *
+ * @param {Buffer|ArrayBuffer|Uint8Array} fileContent - File bytes
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Sheet to describe (defaults to the first sheet with data)
+ * @returns {Object} { sheetNames, sheetName, headerIndex, headers, columnMapping, sampleRow }
+ */
+export function inspectSpreadsheet(fileContent, options = {}) {
+  const workbook = readWorkbook(fileContent);
+  const sheetName = resolveSheetName(workbook, options.sheetName);
+  const sheetRows = getSheetRows(workbook, sheetName);
+
+  if (sheetRows.length === 0) {
+    return {
+      sheetNames: getSheetNames(workbook),
+      sheetName,
+      headerIndex: 0,
+      headers: [],
+      columnMapping: detectColumnMapping([]),
+      sampleRow: [],
+    };
+  }
+
+  const { rows, headerIndex } = resolveHeader(sheetRows, options.headerIndex);
+  const headers = rows[headerIndex].map(header => String(header || ''));
+  const sampleRow = (rows[headerIndex + 1] || []).map(cell => (
+    cell instanceof Date ? cell.toLocaleDateString() : String(cell)
+  ));
+
+  return {
+    sheetNames: getSheetNames(workbook),
+    sheetName,
+    headerIndex,
+    headers,
+    columnMapping: detectColumnMapping(headers),
+    sampleRow,
+  };
+}
+
+/**
+ * Parse XLSX/XLS file content
+ *
+ * @param {Buffer|ArrayBuffer|Uint8Array} fileContent - File bytes
+ * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Sheet to import (defaults to the first sheet with data)
+ * @param {number} options.headerIndex - Header row from inspectSpreadsheet (detected if omitted)
+ * @param {Object} options.columnMapping - Column index per field (detected from headers if omitted)
+ * @param {string} options.dateFormat - Preferred date format for text dates ('auto', 'MM/DD/YYYY', 'DD/MM/YYYY')
+ * @returns {Promise<Object>} Parsed transactions and metadata
+ */
+export async function parseXLSX(fileContent, options = {}) {
+  const { dateFormat = 'auto' } = options;
+
+  const workbook = readWorkbook(fileContent);
+  const sheetName = resolveSheetName(workbook, options.sheetName);
+  const sheetRows = getSheetRows(workbook, sheetName);
+
+  if (sheetRows.length === 0) {
+    throw new Error(`Sheet "${sheetName}" is empty`);
+  }
+
+  const { rows, headerIndex } = resolveHeader(sheetRows, options.headerIndex);
+  const headers = rows[headerIndex].map(header => String(header || ''));
+  const columnMapping = options.columnMapping || detectColumnMapping(headers);
+
+  if (!hasRequiredColumns(columnMapping)) {
+    throw new Error(
+      'Could not find the date, description and amount columns in this sheet.\n\n' +
+      'Choose which column holds each field and try again.\n' +
+      `Found headers: ${headers.filter(Boolean).join(', ')}`
+    );
+  }
+
+  const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904);
+  const normalizedRows = normalizeMappedColumns(rows, headerIndex, columnMapping, date1904);
+  const result = processCSVData(normalizedRows, dateFormat, { headerIndex, columnMapping });
+
+  return {
+    transactions: result.transactions,
+    metadata: {
+      ...result.metadata,
+      format: 'xlsx',
+      sheetNames: getSheetNames(workbook),
+      sheetName,
+      headerIndex,
+      columnMapping,
+      transactionIdCount: 0,
+    },
+  };
+}
+
+/**
+ * Check whether binary content looks like an Excel workbook
+ * XLSX files are ZIP archives ("PK"); XLS files are OLE compound documents
+ */
+export function isSpreadsheetContent(content) {
+  if (!content || typeof content === 'string' || (content.byteLength ?? content.length) < 4) {
+    return false;
+  }
+
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  const isOle = bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0;
+  return isZip || isOle;
+}
+
+export { excelSerialToDate, parseSpreadsheetAmount, getFormatCurrency };
+
+export default {
+  parseXLSX,
+  inspectSpreadsheet,
+  isSpreadsheetContent,
+};